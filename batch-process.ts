@@ -9,6 +9,8 @@
  *   node batch-process.js --all        Process all enabled clients
  *   node batch-process.js --client X   Process only client X
  *   node batch-process.js --list       List all configured clients
+ *   node batch-process.js --watch      Keep running and process new PDFs as they arrive
+ *   node batch-process.js --read X     Print the analysis embedded in enriched PDF X
  *
  * Single-client mode (without clients.json):
  *   node batch-process.js              Process invoices in config.json folders
@@ -18,7 +20,10 @@ import 'dotenv/config';
 import { loadConfig, ensureDirectories } from './src/config.js';
 import { processAllInvoices, processAllClients, processSingleClient } from './src/parallel-processor.js';
 import { isMultiClientMode, getAllClients } from './src/client-manager.js';
+import { createFolderWatcher, getWatchTargets } from './src/folder-watcher.js';
+import { readEmbeddedAnalysis } from './src/pdf-metadata.js';
 
+import type { WatchTarget } from './src/folder-watcher.js';
 import type { AppConfig, BatchResult, MultiClientResult, ProcessingResult, TokenUsage } from './src/types/index.js';
 // csv-logger imported by parallel-processor internally
 
@@ -68,6 +73,8 @@ interface ParsedOptions {
     all: boolean;
     client: string | null;
     list: boolean;
+    watch: boolean;
+    read: string | null;
 }
 
 function parseArgs(): ParsedOptions {
@@ -75,7 +82,9 @@ function parseArgs(): ParsedOptions {
     const options: ParsedOptions = {
         all: false,
         client: null,
-        list: false
+        list: false,
+        watch: false,
+        read: null
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -85,6 +94,8 @@ function parseArgs(): ParsedOptions {
             options.all = true;
         } else if (arg === '--list' || arg === '-l') {
             options.list = true;
+        } else if (arg === '--watch' || arg === '-w') {
+            options.watch = true;
         } else if (arg === '--client' || arg === '-c') {
             if (i + 1 < args.length) {
                 options.client = args[++i];
@@ -92,6 +103,13 @@ function parseArgs(): ParsedOptions {
                 log('Error: --client requires a client ID', colors.red);
                 process.exit(1);
             }
+        } else if (arg === '--read' || arg === '-r') {
+            if (i + 1 < args.length) {
+                options.read = args[++i];
+            } else {
+                log('Error: --read requires a PDF path', colors.red);
+                process.exit(1);
+            }
         } else if (arg === '--help' || arg === '-h') {
             showHelp();
             process.exit(0);
@@ -116,12 +134,17 @@ ${colors.cyan}Options:${colors.reset}
   --all, -a            Process all enabled clients (default in multi-client mode)
   --client, -c <id>    Process only the specified client
   --list, -l           List all configured clients
+  --watch, -w          Keep running and process new PDFs as they arrive
+  --read, -r <pdf>     Print the analysis embedded in an enriched PDF as JSON
   --help, -h           Show this help message
 
 ${colors.cyan}Examples:${colors.reset}
   node batch-process.js                    # Process all enabled clients
   node batch-process.js --client acme      # Process only 'acme' client
   node batch-process.js --list             # Show all clients
+  node batch-process.js --watch            # Watch all enabled clients
+  node batch-process.js --watch -c acme    # Watch only 'acme'
+  node batch-process.js --read out.pdf     # Show the data stored in an enriched PDF
 
 ${colors.dim}Without clients.json, operates in single-client mode using config.json folders.${colors.reset}
 `);
@@ -180,10 +203,14 @@ async function runSingleClientMode(config: AppConfig): Promise<BatchResult> {
         onProgress: (progress) => {
             switch (progress.status) {
                 case 'starting':
-                    log(`Found ${progress.total} PDF files to process`, colors.cyan);
+                    log(`Found ${progress.total} invoice files to process`, colors.cyan);
                     log(`Processing with ${progress.concurrency} concurrent tasks...\n`, colors.dim);
                     break;
 
+                case 'split':
+                    log(`Split ${progress.filename} into ${progress.parts} invoices`, colors.cyan);
+                    break;
+
                 case 'analyzing':
                     process.stdout.write(
                         `${colors.dim}[${processedCount + 1}/${progress.total}] Analyzing: ${progress.filename}...${colors.reset}`
@@ -202,6 +229,12 @@ async function runSingleClientMode(config: AppConfig): Promise<BatchResult> {
                     log(`    → ${progress.outputFilename}`, colors.dim);
                     break;
 
+                case 'duplicate':
+                    processedCount++;
+                    console.log(`${colors.yellow} duplicate${colors.reset}`);
+                    log(`    Same as ${progress.duplicateOf?.originalFilename} → moved to duplicates`, colors.dim);
+                    break;
+
                 case 'failed':
                     processedCount++;
                     console.log(`${colors.red} ✗${colors.reset}`);
@@ -239,10 +272,14 @@ async function runMultiClientMode(
                 onProgress: (progress) => {
                     switch (progress.status) {
                         case 'starting':
-                            log(`Found ${progress.total} PDF files to process`, colors.cyan);
+                            log(`Found ${progress.total} invoice files to process`, colors.cyan);
                             log(`Processing with ${progress.concurrency} concurrent tasks...\n`, colors.dim);
                             break;
 
+                        case 'split':
+                            log(`Split ${progress.filename} into ${progress.parts} invoices`, colors.cyan);
+                            break;
+
                         case 'analyzing':
                             process.stdout.write(
                                 `${colors.dim}[${processedCount + 1}/${progress.total}] Analyzing: ${progress.filename}...${colors.reset}`
@@ -261,6 +298,15 @@ async function runMultiClientMode(
                             log(`    → ${progress.outputFilename}`, colors.dim);
                             break;
 
+                        case 'duplicate':
+                            processedCount++;
+                            console.log(`${colors.yellow} duplicate${colors.reset}`);
+                            log(
+                                `    Same as ${progress.duplicateOf?.originalFilename} → moved to duplicates`,
+                                colors.dim
+                            );
+                            break;
+
                         case 'failed':
                             processedCount++;
                             console.log(`${colors.red} ✗${colors.reset}`);
@@ -282,6 +328,9 @@ async function runMultiClientMode(
             if (results.failed > 0) {
                 log(`  Failed:          ${results.failed}`, colors.red);
             }
+            if (results.duplicates > 0) {
+                log(`  Duplicates:      ${results.duplicates}`, colors.yellow);
+            }
             if (results.csvRowsAdded > 0) {
                 log(`  CSV rows added:  ${results.csvRowsAdded}`, colors.blue);
             }
@@ -315,10 +364,14 @@ async function runMultiClientMode(
             onProgress: (progress) => {
                 switch (progress.status) {
                     case 'starting':
-                        log(`Found ${progress.total} PDF files to process`, colors.cyan);
+                        log(`Found ${progress.total} invoice files to process`, colors.cyan);
                         log(`Processing with ${progress.concurrency} concurrent tasks...\n`, colors.dim);
                         break;
 
+                    case 'split':
+                        log(`Split ${progress.filename} into ${progress.parts} invoices`, colors.cyan);
+                        break;
+
                     case 'analyzing':
                         process.stdout.write(
                             `${colors.dim}[${(progress.completed ?? 0) + 1}/${progress.total}] Analyzing: ${progress.filename}...${colors.reset}`
@@ -336,6 +389,11 @@ async function runMultiClientMode(
                         log(`    → ${progress.outputFilename}`, colors.dim);
                         break;
 
+                    case 'duplicate':
+                        console.log(`${colors.yellow} duplicate${colors.reset}`);
+                        log(`    Same as ${progress.duplicateOf?.originalFilename} → moved to duplicates`, colors.dim);
+                        break;
+
                     case 'failed':
                         console.log(`${colors.red} ✗${colors.reset}`);
                         log(`    Error: ${progress.error}`, colors.red);
@@ -398,6 +456,67 @@ async function runMultiClientMode(
     }
 }
 
+async function runWatchMode(config: AppConfig, multiClient: boolean, clientId: string | null): Promise<void> {
+    console.log('\n' + '='.repeat(60));
+    log('  INVOICE BATCH PROCESSOR - WATCH MODE', colors.bright + colors.cyan);
+    console.log('='.repeat(60) + '\n');
+
+    let getTargets: () => Promise<WatchTarget[]>;
+    let runBatch: (target: WatchTarget, files: string[]) => Promise<BatchResult>;
+
+    if (multiClient) {
+        getTargets = async () => (await getWatchTargets(clientId)) ?? [];
+        runBatch = (target, files) => processSingleClient(target.id, config, { files });
+
+        const targets = await getTargets();
+        if (targets.length === 0) {
+            throw new Error(clientId ? `Client "${clientId}" not found or not enabled` : 'No clients to watch');
+        }
+        for (const target of targets) {
+            log(`Watching ${target.name} (${target.id}): ${target.folderPath}`, colors.dim);
+        }
+    } else {
+        await ensureDirectories(config);
+        const target: WatchTarget = { id: 'default', name: 'default', folderPath: config.folders!.input };
+        getTargets = async () => [target];
+        runBatch = (_target, files) => processAllInvoices(config, { files });
+        log(`Watching ${target.folderPath}`, colors.dim);
+    }
+
+    const watcher = createFolderWatcher({
+        ...config.watch,
+        getTargets,
+        processFiles: async (target, files) => {
+            const result = await runBatch(target, files);
+            log(
+                `[${new Date().toLocaleTimeString()}] ${target.id}: ${result.success} processed, ${result.failed} failed, ${result.duplicates} duplicates`,
+                result.failed > 0 ? colors.yellow : colors.green
+            );
+            printFailures(result.results);
+            return result;
+        },
+        onEvent: (event) => {
+            const time = new Date().toLocaleTimeString();
+            if (event.type === 'queued') {
+                log(`\n[${time}] ${event.targetId}: ${event.files!.length} new file(s)`, colors.cyan);
+            } else if (event.type === 'error') {
+                log(`[${time}] ${event.targetId}: ${event.error}`, colors.red);
+            }
+        }
+    });
+
+    log('\nWaiting for new PDFs. Press Ctrl+C to stop.', colors.bright);
+    watcher.start();
+
+    // Let an in-flight batch finish before exiting
+    await new Promise<void>((resolve) => {
+        process.once('SIGINT', () => {
+            log('\nStopping watcher...', colors.dim);
+            watcher.stop().then(resolve);
+        });
+    });
+}
+
 function printSummary(results: BatchResult, duration: string, outputFolder: string): void {
     console.log('\n' + '='.repeat(60));
     log('  PROCESSING COMPLETE', colors.bright + colors.cyan);
@@ -408,6 +527,9 @@ function printSummary(results: BatchResult, duration: string, outputFolder: stri
     if (results.failed > 0) {
         log(`  Failed:          ${results.failed}`, colors.red);
     }
+    if (results.duplicates > 0) {
+        log(`  Duplicates:      ${results.duplicates}`, colors.yellow);
+    }
     log(`  Duration:        ${duration}s`, colors.dim);
     log(`  Output folder:   ${outputFolder}`, colors.dim);
 
@@ -441,6 +563,17 @@ async function main(): Promise<void> {
             process.exit(0);
         }
 
+        // Handle --read (no configuration needed)
+        if (options.read) {
+            const embedded = await readEmbeddedAnalysis(options.read);
+            if (!embedded) {
+                log(`No embedded analysis found in ${options.read}`, colors.yellow);
+                process.exit(1);
+            }
+            console.log(JSON.stringify(embedded, null, 2));
+            process.exit(0);
+        }
+
         // Load global configuration
         // In multi-client mode, folders are optional
         log('Loading configuration...', colors.dim);
@@ -448,7 +581,9 @@ async function main(): Promise<void> {
 
         let exitCode = 0;
 
-        if (multiClient) {
+        if (options.watch) {
+            await runWatchMode(config, multiClient, options.client);
+        } else if (multiClient) {
             // Multi-client mode
             const results = await runMultiClientMode(config, options.client);
             exitCode = results.totalFailed > 0 ? 1 : 0;
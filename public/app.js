@@ -10,6 +10,7 @@ import { initFilenameEditor, loadFilenameTemplate, isFilenameLoaded, invalidateF
 import { initExportImport, loadBackups, isBackupsLoaded, getRestoreModal, getImportPreviewModal, getCloseRestoreModal, getCloseImportPreview } from './modules/export-import.js';
 import { initClientList, loadClients, getClientModal, getDeleteModal, getCloseClientForm, getCloseDeleteModal } from './modules/client-list.js';
 import { initClientDetail } from './modules/client-detail.js';
+import { getReviewModal, getCloseReview } from './modules/review-panel.js';
 // State
 let activeTab = 'dashboard';
 // DOM refs
@@ -142,7 +143,11 @@ function setupEventListeners() {
             const ipm = getImportPreviewModal();
             const dm = getDeleteModal();
             const cm = getClientModal();
-            if (rm && rm.classList.contains('active')) {
+            const rvm = getReviewModal();
+            if (rvm && rvm.classList.contains('active')) {
+                getCloseReview()();
+            }
+            else if (rm && rm.classList.contains('active')) {
                 getCloseRestoreModal()();
             }
             else if (ipm && ipm.classList.contains('active')) {
@@ -1,9 +1,10 @@
 // Client Detail View module
 // Manages the detail view for a single client: config display, override editing.
 import { showAlert, addLogEntry, clearLog } from './ui-utils.js';
-import { KNOWN_MODELS, VALID_FIELD_TYPES, VALID_FIELD_FORMATS, FORMAT_NONE } from './constants.js';
+import { KNOWN_MODELS, VALID_PROVIDERS, VALID_FIELD_TYPES, VALID_FIELD_FORMATS, FORMAT_NONE } from './constants.js';
 import { createPlaceholderChip, FILENAME_SAMPLE_DATA, SPECIAL_PLACEHOLDERS } from './filename-editor.js';
 import { initResultsViewer, loadClientResults, clearResults } from './results-viewer.js';
+import { initSupplierList, loadClientSuppliers, clearSuppliers } from './supplier-list.js';
 // --- State ---
 let clientDetailData = null;
 let fileList = [];
@@ -22,6 +23,7 @@ let detailFilenameOverride = null;
 let detailPromptPreviewDebounceTimer = null;
 let detailModelEditMode = false;
 let detailModelOverride = null;
+let detailProviderOverride = null;
 let detailHeaderEditMode = false;
 let detailHeaderEditData = null;
 // --- DOM refs (set in init) ---
@@ -147,6 +149,7 @@ export function initClientDetail() {
     processSelectedBtn.addEventListener('click', () => processSelectedFiles(false));
     dryRunSelectedBtn.addEventListener('click', () => processSelectedFiles(true));
     initResultsViewer();
+    initSupplierList();
 }
 export async function openClientDetail(clientId) {
     dashboardListView.style.display = 'none';
@@ -172,6 +175,7 @@ export async function openClientDetail(clientId) {
         updateDetailResetButtons();
         loadFileList();
         loadClientResults(clientId);
+        loadClientSuppliers(clientId, clientDetailData.supplierRules);
     }
     catch (error) {
         detailClientHeader.textContent = '';
@@ -189,6 +193,7 @@ export function closeClientDetail() {
     fileList = [];
     selectedFiles.clear();
     clearResults();
+    clearSuppliers();
 }
 // --- Internal: Rendering ---
 function createSourceBadge(source) {
@@ -241,6 +246,12 @@ function renderClientDetailReadMode(c, folderStatus) {
     meta.className = 'detail-client-meta';
     const metaItems = [
         { label: 'Status', value: c.enabled ? 'Enabled' : 'Disabled' },
+        { label: 'Review', value: c.reviewRequired ? 'Required' : 'Off' },
+        {
+            label: 'Min. Confidence',
+            value: typeof c.confidenceThreshold === 'number' ? `${Math.round(c.confidenceThreshold * 100)}%` : 'Off'
+        },
+        { label: 'Base Currency', value: c.baseCurrency || 'Off' },
         { label: 'Pending', value: String(folderStatus.inputPdfCount) },
         { label: 'Processed', value: String(folderStatus.processedCount) }
     ];
@@ -333,6 +344,64 @@ function renderClientDetailEditMode(c, folderStatus) {
     enabledLabel.appendChild(enabledText);
     enabledDiv.appendChild(enabledLabel);
     meta.appendChild(enabledDiv);
+    // Review-required toggle
+    const reviewDiv = document.createElement('div');
+    reviewDiv.className = 'detail-meta-item';
+    const reviewLabel = document.createElement('label');
+    reviewLabel.className = 'detail-header-toggle';
+    const reviewCheckbox = document.createElement('input');
+    reviewCheckbox.type = 'checkbox';
+    reviewCheckbox.checked = ed.reviewRequired;
+    reviewCheckbox.addEventListener('change', () => {
+        ed.reviewRequired = reviewCheckbox.checked;
+        updateHeaderSaveBar();
+    });
+    const reviewText = document.createElement('span');
+    reviewText.textContent = 'Review before filing';
+    reviewLabel.appendChild(reviewCheckbox);
+    reviewLabel.appendChild(reviewText);
+    reviewDiv.appendChild(reviewLabel);
+    meta.appendChild(reviewDiv);
+    // Confidence threshold (0-1; empty uses the global setting)
+    const confidenceDiv = document.createElement('div');
+    confidenceDiv.className = 'detail-meta-item';
+    const confidenceLabel = document.createElement('span');
+    confidenceLabel.className = 'detail-meta-label';
+    confidenceLabel.textContent = 'Min. Confidence';
+    const confidenceInput = document.createElement('input');
+    confidenceInput.type = 'number';
+    confidenceInput.min = '0';
+    confidenceInput.max = '1';
+    confidenceInput.step = '0.05';
+    confidenceInput.className = 'detail-header-input';
+    confidenceInput.placeholder = 'global';
+    confidenceInput.value = ed.confidenceThreshold;
+    confidenceInput.addEventListener('input', () => {
+        ed.confidenceThreshold = confidenceInput.value.trim();
+        updateHeaderSaveBar();
+    });
+    confidenceDiv.appendChild(confidenceLabel);
+    confidenceDiv.appendChild(confidenceInput);
+    meta.appendChild(confidenceDiv);
+    // Base currency for converted totals (3-letter code; empty uses the global setting)
+    const currencyDiv = document.createElement('div');
+    currencyDiv.className = 'detail-meta-item';
+    const currencyLabel = document.createElement('span');
+    currencyLabel.className = 'detail-meta-label';
+    currencyLabel.textContent = 'Base Currency';
+    const currencyInput = document.createElement('input');
+    currencyInput.type = 'text';
+    currencyInput.maxLength = 3;
+    currencyInput.className = 'detail-header-input';
+    currencyInput.placeholder = 'global';
+    currencyInput.value = ed.baseCurrency;
+    currencyInput.addEventListener('input', () => {
+        ed.baseCurrency = currencyInput.value.trim().toUpperCase();
+        updateHeaderSaveBar();
+    });
+    currencyDiv.appendChild(currencyLabel);
+    currencyDiv.appendChild(currencyInput);
+    meta.appendChild(currencyDiv);
     // Pending / Processed (read-only)
     [
         { label: 'Pending', value: String(folderStatus.inputPdfCount) },
@@ -407,11 +476,40 @@ function renderDetailModel(modelData) {
     wrapper.appendChild(code);
     wrapper.appendChild(createSourceBadge(modelData._source));
     detailModelEl.appendChild(wrapper);
+    const providerData = clientDetailData?.provider;
+    if (providerData) {
+        const providerRow = document.createElement('div');
+        providerRow.className = 'model-display';
+        providerRow.style.marginTop = '0.5rem';
+        const label = document.createElement('span');
+        label.textContent = 'Provider:';
+        providerRow.appendChild(label);
+        const providerCode = document.createElement('code');
+        providerCode.textContent = providerData.value || VALID_PROVIDERS[0];
+        providerRow.appendChild(providerCode);
+        providerRow.appendChild(createSourceBadge(providerData._source));
+        detailModelEl.appendChild(providerRow);
+    }
 }
 function renderDetailModelEditable(modelData) {
     detailModelEl.textContent = '';
     const wrapper = document.createElement('div');
     wrapper.className = 'model-detail-edit';
+    const providerData = clientDetailData?.provider;
+    const providerSelect = document.createElement('select');
+    providerSelect.style.marginBottom = '0.5rem';
+    VALID_PROVIDERS.forEach((p) => {
+        const opt = document.createElement('option');
+        opt.value = p;
+        opt.textContent = `Provider: ${p}`;
+        providerSelect.appendChild(opt);
+    });
+    providerSelect.value = detailProviderOverride || providerData?.value || VALID_PROVIDERS[0];
+    providerSelect.addEventListener('change', () => {
+        detailProviderOverride = providerSelect.value;
+        detailModelSaveBar.style.display = 'flex';
+    });
+    wrapper.appendChild(providerSelect);
     const select = document.createElement('select');
     KNOWN_MODELS.forEach((m) => {
         const opt = document.createElement('option');
@@ -716,7 +814,10 @@ function enterHeaderEditMode() {
         name: c.name || '',
         folderPath: c.folderPath || '',
         apiKeyEnvVar: c.apiKeyEnvVar || '',
-        enabled: c.enabled !== false
+        enabled: c.enabled !== false,
+        reviewRequired: c.reviewRequired === true,
+        confidenceThreshold: typeof c.confidenceThreshold === 'number' ? String(c.confidenceThreshold) : '',
+        baseCurrency: c.baseCurrency || ''
     };
     detailHeaderEditMode = true;
     renderClientDetail();
@@ -738,9 +839,19 @@ function updateHeaderSaveBar() {
     const changed = ed.name !== c.name ||
         ed.folderPath !== c.folderPath ||
         ed.apiKeyEnvVar !== (c.apiKeyEnvVar || '') ||
-        ed.enabled !== (c.enabled !== false);
+        ed.enabled !== (c.enabled !== false) ||
+        ed.reviewRequired !== (c.reviewRequired === true) ||
+        isThresholdChanged(ed.confidenceThreshold, c.confidenceThreshold) ||
+        ed.baseCurrency !== (c.baseCurrency || '');
     detailHeaderSaveBar.style.display = changed ? 'flex' : 'none';
 }
+/**
+ * Compare the edited confidence threshold with the stored one (unchanged values are not sent,
+ * so an inherited global threshold does not become a client override)
+ */
+function isThresholdChanged(edited, stored) {
+    return edited !== (typeof stored === 'number' ? String(stored) : '');
+}
 async function saveHeaderProperties() {
     if (!clientDetailData || !detailHeaderEditData)
         return;
@@ -756,7 +867,12 @@ async function saveHeaderProperties() {
                 name: ed.name,
                 folderPath: ed.folderPath,
                 apiKeyEnvVar: ed.apiKeyEnvVar || '',
-                enabled: ed.enabled
+                enabled: ed.enabled,
+                reviewRequired: ed.reviewRequired,
+                ...(isThresholdChanged(ed.confidenceThreshold, c.confidenceThreshold) && {
+                    confidenceThreshold: ed.confidenceThreshold === '' ? null : Number(ed.confidenceThreshold)
+                }),
+                ...(ed.baseCurrency !== (c.baseCurrency || '') && { baseCurrency: ed.baseCurrency || null })
             })
         });
         if (!response.ok) {
@@ -797,6 +913,7 @@ function resetDetailEditState() {
     detailFilenameOverride = null;
     detailModelEditMode = false;
     detailModelOverride = null;
+    detailProviderOverride = null;
     detailHeaderEditMode = false;
     detailHeaderEditData = null;
     detailFieldsSaveBar.style.display = 'none';
@@ -821,7 +938,10 @@ function updateDetailResetButtons() {
     resetFilenameBtn.style.display =
         d.filenameTemplate._source === 'override' ? 'inline-flex' : 'none';
     resetModelBtn.style.display =
-        d.model && d.model._source === 'override' ? 'inline-flex' : 'none';
+        (d.model && d.model._source === 'override') ||
+            (d.provider && d.provider._source === 'override')
+            ? 'inline-flex'
+            : 'none';
 }
 // --- FIELDS OVERRIDE ---
 function customizeFields() {
@@ -965,7 +1085,8 @@ function renderDetailFieldListEditable() {
             const typeEdit = document.createElement('span');
             typeEdit.className = 'cell-edit';
             const typeSelect = document.createElement('select');
-            VALID_FIELD_TYPES.forEach((t) => {
+            // Table and choice fields need sub-columns or options, which are only editable in the global field editor
+            VALID_FIELD_TYPES.filter((t) => t !== 'table' && t !== 'choice').forEach((t) => {
                 const opt = document.createElement('option');
                 opt.value = t;
                 opt.textContent = t;
@@ -1742,6 +1863,7 @@ async function saveDetailFilenameOverride() {
 function customizeModel() {
     detailModelEditMode = true;
     detailModelOverride = clientDetailData.model?.value || null;
+    detailProviderOverride = null;
     customizeModelBtn.textContent = 'Cancel';
     detailModelSaveBar.style.display = 'flex';
     renderDetailModel(clientDetailData.model);
@@ -1749,27 +1871,39 @@ function customizeModel() {
 function cancelDetailModelEdit() {
     detailModelEditMode = false;
     detailModelOverride = null;
+    detailProviderOverride = null;
     customizeModelBtn.textContent = 'Customize';
     detailModelSaveBar.style.display = 'none';
     renderDetailModel(clientDetailData.model);
 }
 async function saveDetailModelOverride() {
-    if (!clientDetailData || !detailModelOverride)
+    if (!clientDetailData || (!detailModelOverride && !detailProviderOverride))
         return;
+    const clientId = clientDetailData.client.clientId;
+    const overrides = [
+        ['provider', detailProviderOverride],
+        ['model', detailModelOverride]
+    ];
     try {
-        const response = await fetch(`/api/clients/${clientDetailData.client.clientId}/overrides`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ section: 'model', data: detailModelOverride })
-        });
-        if (!response.ok) {
-            const err = await response.json();
-            throw new Error(err.error || 'Failed to save model override');
+        let updated = null;
+        for (const [section, data] of overrides) {
+            if (!data)
+                continue;
+            const response = await fetch(`/api/clients/${clientId}/overrides`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ section, data })
+            });
+            if (!response.ok) {
+                const err = await response.json();
+                throw new Error(err.details || err.error || `Failed to save ${section} override`);
+            }
+            updated = await response.json();
         }
-        const updated = await response.json();
         clientDetailData = updated;
         detailModelEditMode = false;
         detailModelOverride = null;
+        detailProviderOverride = null;
         customizeModelBtn.textContent = 'Customize';
         detailModelSaveBar.style.display = 'none';
         renderDetailModel(updated.model);
@@ -1788,17 +1922,23 @@ async function resetOverride(section) {
         fields: 'field',
         tags: 'tag',
         prompt: 'prompt',
-        output: 'filename template'
+        output: 'filename template',
+        model: 'model'
     };
     if (!confirm(`Reset ${sectionNames[section]} settings to global defaults? Your custom settings will be removed.`)) {
         return;
     }
     const clientId = clientDetailData.client.clientId;
+    // The model card also holds the provider override
+    const sections = section === 'model' ? ['provider', 'model'] : [section];
     try {
-        const response = await fetch(`/api/clients/${clientId}/overrides/${section}`, { method: 'DELETE' });
-        const result = await response.json();
-        if (!response.ok)
-            throw new Error(result.error || result.details || 'Reset failed');
+        let result = null;
+        for (const s of sections) {
+            const response = await fetch(`/api/clients/${clientId}/overrides/${s}`, { method: 'DELETE' });
+            result = await response.json();
+            if (!response.ok)
+                throw new Error(result.error || result.details || 'Reset failed');
+        }
         clientDetailData = result;
         resetDetailEditState();
         renderClientDetail();
@@ -1845,7 +1985,7 @@ function renderFileList() {
     if (fileList.length === 0) {
         const empty = document.createElement('div');
         empty.className = 'empty-placeholder';
-        empty.textContent = 'No PDF files in input folder.';
+        empty.textContent = 'No invoice files in input folder.';
         fileSelectorEl.appendChild(empty);
         return;
     }
@@ -1958,6 +2098,7 @@ async function processSelectedFiles(dryRun) {
         dryRunSelectedBtn.disabled = false;
         loadFileList();
         loadClientResults(clientId);
+        loadClientSuppliers(clientId);
     }
 }
 function handleFileProcessingUpdate(data) {
@@ -1968,6 +2109,9 @@ function handleFileProcessingUpdate(data) {
         case 'starting':
             addLogEntry(`Found ${data.total} file${data.total > 1 ? 's' : ''}. Processing...`, 'info');
             break;
+        case 'split':
+            addLogEntry(`Split ${data.filename} into ${data.parts} invoices`, 'info');
+            break;
         case 'analyzing':
             addLogEntry('Analyzing: ' + data.filename + '...', 'processing');
             break;
@@ -1977,6 +2121,9 @@ function handleFileProcessingUpdate(data) {
         case 'dry-run-completed':
             addLogEntry('Dry run: ' + data.filename + ' -> ' + data.outputFilename, 'success');
             break;
+        case 'duplicate':
+            addLogEntry(`Duplicate: ${data.filename} (same as ${data.duplicateOf?.originalFilename})`, 'warning');
+            break;
         case 'failed':
             addLogEntry('Failed: ' + data.filename + ' - ' + data.error, 'error');
             break;
@@ -7,11 +7,15 @@ import { openClientDetail } from './client-detail.js';
 let clients = [];
 let clientStats = {};
 let isProcessing = false;
+let currentJobId = null;
+let currentJobPaused = false;
 let editingClientId = null;
 let deleteClientId = null;
 // --- DOM refs (set in init) ---
 let clientListEl;
 let processAllBtn;
+let pauseProcessingBtn;
+let cancelProcessingBtn;
 let dashboardStatsEl;
 let statTotalProcessedEl;
 let statSuccessRateEl;
@@ -38,6 +42,8 @@ let confirmDeleteBtn;
 export function initClientList() {
     clientListEl = document.getElementById('clientList');
     processAllBtn = document.getElementById('processAllBtn');
+    pauseProcessingBtn = document.getElementById('pauseProcessingBtn');
+    cancelProcessingBtn = document.getElementById('cancelProcessingBtn');
     dashboardStatsEl = document.getElementById('dashboardStats');
     statTotalProcessedEl = document.getElementById('statTotalProcessed');
     statSuccessRateEl = document.getElementById('statSuccessRate');
@@ -68,6 +74,8 @@ export function initClientList() {
     newClientBtn.addEventListener('click', () => openClientForm());
     processAllBtn.addEventListener('click', processAllClients);
     clearLogBtn.addEventListener('click', clearLog);
+    pauseProcessingBtn.addEventListener('click', togglePauseJob);
+    cancelProcessingBtn.addEventListener('click', cancelJob);
     closeModalBtn.addEventListener('click', closeClientForm);
     cancelFormBtn.addEventListener('click', closeClientForm);
     clientModal.addEventListener('click', (e) => {
@@ -566,6 +574,7 @@ async function processClient(clientId, options = {}) {
     }
     finally {
         isProcessing = false;
+        setCurrentJob(null);
         updateProcessAllButton();
         enableAllProcessButtons();
         loadClients();
@@ -612,6 +621,7 @@ async function processAllClients() {
     }
     finally {
         isProcessing = false;
+        setCurrentJob(null);
         updateProcessAllButton();
         enableAllProcessButtons();
         loadClients();
@@ -622,6 +632,21 @@ function handleProcessingUpdate(data) {
         case 'connected':
             addLogEntry('Connected to server...', 'info');
             break;
+        case 'job-started':
+            setCurrentJob(data.jobId);
+            break;
+        case 'paused':
+            setCurrentJob(currentJobId, true);
+            addLogEntry('Paused. Files already being analyzed will finish first.', 'warning');
+            break;
+        case 'resumed':
+            setCurrentJob(currentJobId, false);
+            addLogEntry('Resumed.', 'info');
+            break;
+        case 'cancelled':
+            addLogEntry('Cancelled. Remaining files were left in the input folder.', 'warning');
+            showAlert('Processing cancelled', 'warning');
+            break;
         case 'starting':
             addLogEntry('Found ' + data.total + ' files. Processing with ' + data.concurrency + ' concurrent tasks...', 'info');
             break;
@@ -631,6 +656,9 @@ function handleProcessingUpdate(data) {
         case 'client-starting':
             addLogEntry('\n--- Client ' + data.clientNumber + '/' + data.totalClients + ': ' + data.clientName + ' ---', 'info');
             break;
+        case 'split':
+            addLogEntry('Split ' + data.filename + ' into ' + data.parts + ' invoices', 'info');
+            break;
         case 'analyzing':
             addLogEntry('Analyzing: ' + data.filename + '...', 'processing');
             break;
@@ -643,6 +671,13 @@ function handleProcessingUpdate(data) {
         case 'dry-run-completed':
             addLogEntry('Dry run: ' + data.filename + ' -> ' + data.outputFilename, 'success');
             break;
+        case 'duplicate':
+            addLogEntry('Duplicate: ' +
+                data.filename +
+                ' (same as ' +
+                data.duplicateOf?.originalFilename +
+                ')', 'warning');
+            break;
         case 'failed':
             addLogEntry('Failed: ' + data.filename + ' - ' + data.error, 'error');
             break;
@@ -671,7 +706,10 @@ function handleProcessingUpdate(data) {
             }
             else {
                 addLogEntry('\nComplete: ' + data.success + ' successful, ' + data.failed + ' failed', 'info');
-                if (data.failed === 0 && data.success > 0) {
+                if (data.cancelled) {
+                    addLogEntry(data.cancelled + ' files not processed', 'warning');
+                }
+                else if (data.failed === 0 && data.success > 0) {
                     showAlert('Successfully processed ' + data.success + ' invoices!', 'success');
                 }
                 else if (data.success === 0 && data.failed === 0) {
@@ -688,6 +726,60 @@ function handleProcessingUpdate(data) {
             break;
     }
 }
+// --- Internal: Job Controls ---
+function setCurrentJob(jobId, paused = false) {
+    currentJobId = jobId;
+    currentJobPaused = jobId !== null && paused;
+    const display = jobId ? '' : 'none';
+    pauseProcessingBtn.style.display = display;
+    cancelProcessingBtn.style.display = display;
+    pauseProcessingBtn.textContent = currentJobPaused ? 'Resume' : 'Pause';
+    pauseProcessingBtn.disabled = false;
+    cancelProcessingBtn.disabled = false;
+}
+async function togglePauseJob() {
+    if (!currentJobId)
+        return;
+    const action = currentJobPaused ? 'resume' : 'pause';
+    pauseProcessingBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/jobs/${currentJobId}/${action}`, { method: 'POST' });
+        if (!response.ok) {
+            const result = await response.json();
+            showAlert(result.error || `Failed to ${action} processing`, 'error');
+        }
+    }
+    catch (error) {
+        showAlert(`Failed to ${action} processing: ` + error.message, 'error');
+    }
+    finally {
+        pauseProcessingBtn.disabled = false;
+    }
+}
+async function cancelJob() {
+    if (!currentJobId)
+        return;
+    if (!confirm('Cancel processing? Files already being analyzed will finish; the rest stay in the input folder.')) {
+        return;
+    }
+    cancelProcessingBtn.disabled = true;
+    pauseProcessingBtn.disabled = true;
+    addLogEntry('Cancelling...', 'warning');
+    try {
+        const response = await fetch(`/api/jobs/${currentJobId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const result = await response.json();
+            showAlert(result.error || 'Failed to cancel processing', 'error');
+            cancelProcessingBtn.disabled = false;
+            pauseProcessingBtn.disabled = false;
+        }
+    }
+    catch (error) {
+        showAlert('Failed to cancel processing: ' + error.message, 'error');
+        cancelProcessingBtn.disabled = false;
+        pauseProcessingBtn.disabled = false;
+    }
+}
 function disableAllProcessButtons() {
     document
         .querySelectorAll('.process-btn, .dry-run-btn')
@@ -8,7 +8,8 @@ export const KNOWN_MODELS = [
     'gemini-1.5-flash',
     'gemini-1.5-pro'
 ];
-export const VALID_FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'array'];
+export const VALID_FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'array', 'table', 'choice'];
+export const VALID_TABLE_COLUMN_TYPES = ['text', 'number', 'boolean', 'date'];
 export const VALID_FIELD_FORMATS = {
     iso8601: { label: 'Date (ISO 8601)', standard: 'ISO 8601', pattern: 'YYYY-MM-DD', compatibleTypes: ['date'] },
     iso4217: {
@@ -55,6 +56,10 @@ export const VALID_FIELD_FORMATS = {
     }
 };
 export const FORMAT_NONE = 'none';
-export const VALID_OVERRIDE_SECTIONS = ['fields', 'tags', 'prompt', 'output', 'model'];
+export const VALID_OVERRIDE_SECTIONS = ['fields', 'tags', 'prompt', 'output', 'model', 'provider'];
+export const VALID_PROVIDERS = ['gemini', 'openai', 'local'];
 export const DEFAULT_MODEL = 'gemini-3-flash-preview';
+// Confidence bands for colouring extracted fields (fields below the client's threshold are always low)
+export const LOW_CONFIDENCE = 0.5;
+export const MEDIUM_CONFIDENCE = 0.8;
 //# sourceMappingURL=constants.js.map
\ No newline at end of file
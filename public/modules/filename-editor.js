@@ -14,12 +14,18 @@ export const FILENAME_SAMPLE_DATA = {
     invoiceDateIfDifferent: ' - 10.01.2025',
     invoiceNumber: 'INV-2025-001',
     currency: 'EUR',
-    totalAmount: '1,500.50'
+    totalAmount: '1,500.50',
+    baseCurrencyAmount: '11191.03',
+    baseCurrency: 'DKK',
+    exchangeRate: '7.4582'
 };
 export const SPECIAL_PLACEHOLDERS = [
     { key: 'paymentDateFormatted', tooltip: 'Payment date as DD.MM.YYYY' },
     { key: 'invoiceDateFormatted', tooltip: 'Invoice date as DD.MM.YYYY' },
-    { key: 'invoiceDateIfDifferent', tooltip: 'Invoice date only if different from payment date, prefixed with " - "' }
+    { key: 'invoiceDateIfDifferent', tooltip: 'Invoice date only if different from payment date, prefixed with " - "' },
+    { key: 'baseCurrencyAmount', tooltip: 'Total converted to the base currency (currency conversion)' },
+    { key: 'baseCurrency', tooltip: 'Base currency code' },
+    { key: 'exchangeRate', tooltip: 'Exchange rate used for the conversion' }
 ];
 // --- DOM refs (set in init) ---
 let filenameTemplateInput;
@@ -96,6 +102,16 @@ function renderPlaceholderChips(fields, tags) {
             return;
         const chip = createPlaceholderChip(field.key, field.label);
         fieldPlaceholderChips.appendChild(chip);
+        // Choice fields also offer the option label, e.g. {categoryLabel}
+        if (field.type === 'choice') {
+            const options = (field.options || []);
+            const labelKey = `${field.key}Label`;
+            fieldPlaceholderChips.appendChild(createPlaceholderChip(labelKey, `${field.label} (option label)`));
+            if (options.length > 0) {
+                FILENAME_SAMPLE_DATA[field.key] = options[0].value;
+                FILENAME_SAMPLE_DATA[labelKey] = options[0].label;
+            }
+        }
     });
     tagPlaceholderChips.textContent = '';
     tags.forEach((tag) => {
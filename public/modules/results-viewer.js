@@ -1,11 +1,25 @@
 // Processing Results Viewer module
 // Shows processing history for a client with filtering, pagination, expandable detail rows, and retry.
-import { showAlert } from './ui-utils.js';
+import { describeConfidence, getConfidenceLevel, showAlert } from './ui-utils.js';
+import { initReviewPanel, openCorrection, openReview } from './review-panel.js';
 const PAGE_SIZE = 25;
+// Badge class and label per stored result status
+const STATUS_BADGES = {
+    success: ['status-success', 'Success'],
+    'dry-run': ['status-dry-run', 'Dry Run'],
+    duplicate: ['status-duplicate', 'Duplicate'],
+    'pending-review': ['status-pending-review', 'Pending Review'],
+    failed: ['status-failed', 'Failed']
+};
 let resultsViewerEl;
 let resultsCountEl;
 let resultsFiltersEl;
 let retryAllBtn;
+let exportUblBtn;
+let resultsExportEl;
+let exportProfileSelect;
+let exportMonthInput;
+let exportProfileBtn;
 let currentClientId = null;
 let currentFilter = 'all';
 let currentOffset = 0;
@@ -17,6 +31,11 @@ export function initResultsViewer() {
     resultsCountEl = document.getElementById('resultsCount');
     resultsFiltersEl = document.getElementById('resultsFilters');
     retryAllBtn = document.getElementById('retryAllFailedBtn');
+    exportUblBtn = document.getElementById('exportUblBtn');
+    resultsExportEl = document.getElementById('resultsExport');
+    exportProfileSelect = document.getElementById('exportProfileSelect');
+    exportMonthInput = document.getElementById('exportMonthInput');
+    exportProfileBtn = document.getElementById('exportProfileBtn');
     resultsFiltersEl.addEventListener('click', (e) => {
         const btn = e.target.closest('[data-filter]');
         if (!btn)
@@ -29,6 +48,14 @@ export function initResultsViewer() {
         loadResults();
     });
     retryAllBtn.addEventListener('click', () => retryAllFailed());
+    exportUblBtn.addEventListener('click', () => exportUbl());
+    exportProfileBtn.addEventListener('click', () => exportWithProfile());
+    initReviewPanel(() => {
+        currentOffset = 0;
+        loadedResults = [];
+        loadResults();
+    });
+    loadExportProfiles();
 }
 export async function loadClientResults(clientId) {
     currentClientId = clientId;
@@ -45,6 +72,8 @@ export function clearResults() {
     resultsCountEl.textContent = '';
     resultsViewerEl.textContent = '';
     retryAllBtn.style.display = 'none';
+    exportUblBtn.style.display = 'none';
+    resultsExportEl.style.display = 'none';
 }
 async function loadResults() {
     if (!currentClientId)
@@ -79,6 +108,9 @@ async function loadResults() {
         // Show/hide Retry All Failed button
         const hasFailed = loadedResults.some((r) => r.status === 'failed');
         retryAllBtn.style.display = hasFailed ? 'inline-flex' : 'none';
+        const hasSuccess = loadedResults.some((r) => r.status === 'success');
+        exportUblBtn.style.display = hasSuccess ? 'inline-flex' : 'none';
+        resultsExportEl.style.display = hasSuccess ? 'flex' : 'none';
         renderResults(data.hasMore);
     }
     catch (error) {
@@ -128,12 +160,7 @@ function renderResults(hasMore) {
         // Status
         const tdStatus = document.createElement('td');
         const badge = document.createElement('span');
-        const statusClass = result.status === 'success'
-            ? 'status-success'
-            : result.status === 'dry-run'
-                ? 'status-dry-run'
-                : 'status-failed';
-        const statusLabel = result.status === 'success' ? 'Success' : result.status === 'dry-run' ? 'Dry Run' : 'Failed';
+        const [statusClass, statusLabel] = STATUS_BADGES[result.status] || STATUS_BADGES.failed;
         badge.className = 'status-badge ' + statusClass;
         badge.textContent = statusLabel;
         tdStatus.appendChild(badge);
@@ -146,7 +173,9 @@ function renderResults(hasMore) {
         // Tokens
         const tdTokens = document.createElement('td');
         tdTokens.className = 'results-tokens';
-        tdTokens.textContent = formatTokens(result.tokenUsage?.totalTokens || 0);
+        tdTokens.textContent = result.fromCache
+            ? 'cached'
+            : formatTokens(result.tokenUsage?.totalTokens || 0);
         tr.appendChild(tdTokens);
         tr.addEventListener('click', () => toggleDetail(tr, result));
         tbody.appendChild(tr);
@@ -181,8 +210,49 @@ function toggleDetail(tr, result) {
     detailTd.colSpan = 5;
     const content = document.createElement('div');
     content.className = 'results-detail-content';
-    if (result.status === 'success' || result.status === 'dry-run') {
+    if (result.splitFrom) {
+        const source = result.splitFrom;
+        const pages = source.firstPage === source.lastPage
+            ? `page ${source.firstPage}`
+            : `pages ${source.firstPage}-${source.lastPage}`;
+        appendDetailField(content, 'Split from:', `${source.filename} (${pages})`);
+    }
+    if (result.eInvoice) {
+        const info = result.eInvoice;
+        const format = [info.syntax.toUpperCase(), info.profile].filter(Boolean).join(', ');
+        appendDetailField(content, 'Source:', `e-invoice XML (${format})`);
+    }
+    if (result.textLayer) {
+        const info = result.textLayer;
+        const read = info.fields.length > 0 ? ` (read: ${info.fields.join(', ')})` : '';
+        const missing = info.missing.length > 0 ? `; missing: ${info.missing.join(', ')}` : '';
+        const stages = {
+            local: `PDF text layer${read}`,
+            'model-text': `model, given the PDF text layer${read}${missing}`,
+            'model-document': `model, given the PDF${read}${missing}`
+        };
+        appendDetailField(content, 'Source:', stages[info.stage] || info.stage);
+    }
+    appendReviewInfo(content, result);
+    if (result.status === 'duplicate') {
+        renderDuplicateDetail(content, result);
+    }
+    else if (result.status === 'pending-review') {
+        renderPendingDetail(content, result);
+    }
+    else if (result.status === 'success' || result.status === 'dry-run') {
+        if (result.status === 'success' && result.outputFilename) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-small btn-secondary';
+            editBtn.textContent = 'Correct Fields';
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openCorrection(currentClientId, result);
+            });
+            content.appendChild(editBtn);
+        }
         renderSuccessDetail(content, result);
+        appendCorrections(content, result);
     }
     else {
         renderFailedDetail(content, result);
@@ -191,6 +261,33 @@ function toggleDetail(tr, result) {
     detailTr.appendChild(detailTd);
     tr.after(detailTr);
 }
+/**
+ * Render a table-field value (array of row objects) as a nested table
+ */
+function renderTableValue(rows) {
+    const columns = [];
+    rows.forEach((row) => Object.keys(row || {}).forEach((k) => !columns.includes(k) && columns.push(k)));
+    const table = document.createElement('table');
+    table.className = 'results-line-items-table';
+    const headerRow = document.createElement('tr');
+    columns.forEach((col) => {
+        const th = document.createElement('th');
+        th.textContent = col;
+        headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+    rows.forEach((row) => {
+        const tr = document.createElement('tr');
+        columns.forEach((col) => {
+            const td = document.createElement('td');
+            const cell = row?.[col];
+            td.textContent = cell === undefined || cell === null ? '' : String(cell);
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+    return table;
+}
 function renderSuccessDetail(content, result) {
     if (result.outputFilename) {
         appendDetailField(content, 'Output File:', result.outputFilename);
@@ -198,7 +295,10 @@ function renderSuccessDetail(content, result) {
     if (result.duration) {
         appendDetailField(content, 'Duration:', (result.duration / 1000).toFixed(1) + 's');
     }
-    if (result.tokenUsage) {
+    if (result.fromCache) {
+        appendDetailField(content, 'Tokens:', '0 (model response from the response cache)');
+    }
+    else if (result.tokenUsage) {
         const tokenUsage = result.tokenUsage;
         let tokenText = `${tokenUsage.promptTokens} prompt + ${tokenUsage.outputTokens} output = ${tokenUsage.totalTokens} total`;
         const extras = [];
@@ -213,28 +313,81 @@ function renderSuccessDetail(content, result) {
         }
         appendDetailField(content, 'Tokens:', tokenText);
     }
+    if (Array.isArray(result.lowConfidence)) {
+        appendDetailField(content, 'Low Confidence:', result.lowConfidence.join(', '));
+    }
     // Extracted fields
     const fields = (result.extractedFields || {});
-    const fieldEntries = Object.entries(fields).filter(([k]) => k !== 'tags');
+    const conversion = fields._conversion;
+    if (conversion) {
+        appendDetailField(content, 'Base Currency:', `${conversion.baseCurrencyAmount.toFixed(2)} ${conversion.baseCurrency} ` +
+            `(1 ${conversion.sourceCurrency} = ${conversion.rate} ${conversion.baseCurrency}, ${conversion.rateDate})`);
+    }
+    const supplier = fields._supplier;
+    if (supplier) {
+        const matchedBy = { vatNumber: 'VAT number', iban: 'IBAN', name: 'name' }[supplier.matchedBy];
+        appendDetailField(content, 'Supplier Registry:', `matched by ${matchedBy || supplier.matchedBy}` +
+            (supplier.extractedName ? `, extracted as "${supplier.extractedName}"` : ''));
+    }
+    const supplierRule = fields._supplierRule;
+    if (supplierRule) {
+        const applied = [...(supplierRule.promptHint ? ['prompt hint'] : []), ...supplierRule.fields];
+        appendDetailField(content, 'Supplier Rule:', `${supplierRule.supplier} (by ${supplierRule.matchedBy === 'filename' ? 'filename' : 'supplier name'})` +
+            (applied.length > 0 ? `: ${applied.join(', ')}` : ''));
+    }
+    const fieldEntries = Object.entries(fields).filter(([k]) => k !== 'tags' && !k.startsWith('_'));
     if (fieldEntries.length > 0) {
         const h4 = document.createElement('h4');
         h4.textContent = 'Extracted Fields';
         content.appendChild(h4);
+        // Colour by the model's confidence, unless a reviewer or correction set the value
+        const confidence = (fields._confidence || {});
+        const lowConfidence = new Set((result.lowConfidence || []));
+        const edited = getEditedKeys(result);
         const fieldTable = document.createElement('table');
         fieldTable.className = 'results-fields-table';
         fieldEntries.forEach(([key, value]) => {
             const row = document.createElement('tr');
+            if (confidence[key] && !edited.has(key)) {
+                const level = getConfidenceLevel(confidence[key], lowConfidence.has(key));
+                if (level)
+                    row.classList.add(`results-field-${level}-confidence`);
+                row.title = describeConfidence(confidence[key]);
+            }
             const keyTd = document.createElement('td');
             keyTd.className = 'results-field-key';
             keyTd.textContent = key;
             const valTd = document.createElement('td');
-            valTd.textContent = Array.isArray(value) ? value.join(', ') : String(value);
+            if (Array.isArray(value) && value.some((v) => v && typeof v === 'object')) {
+                valTd.appendChild(renderTableValue(value));
+            }
+            else {
+                valTd.textContent = Array.isArray(value) ? value.join(', ') : String(value);
+            }
             row.appendChild(keyTd);
             row.appendChild(valTd);
             fieldTable.appendChild(row);
         });
         content.appendChild(fieldTable);
     }
+    // Format and consistency warnings
+    const warnings = [
+        ...(fields._formatWarnings || []).map((w) => `${w.field}: ${w.error || 'Invalid format'}`),
+        ...(fields._consistencyWarnings || []).map((w) => w.message)
+    ];
+    if (warnings.length > 0) {
+        const h4 = document.createElement('h4');
+        h4.textContent = 'Warnings';
+        content.appendChild(h4);
+        const list = document.createElement('ul');
+        list.className = 'results-warning-list';
+        warnings.forEach((message) => {
+            const li = document.createElement('li');
+            li.textContent = message;
+            list.appendChild(li);
+        });
+        content.appendChild(list);
+    }
     // Tags
     const tags = (result.tags || {});
     const tagEntries = Object.entries(tags);
@@ -253,6 +406,120 @@ function renderSuccessDetail(content, result) {
         content.appendChild(tagList);
     }
 }
+/**
+ * Collect the field keys a reviewer or a manual correction changed
+ */
+function getEditedKeys(result) {
+    const review = result.review;
+    const corrections = (result.corrections || []);
+    return new Set([...(review?.editedFields || []), ...corrections.flatMap((c) => Object.keys(c.changes))]);
+}
+function renderPendingDetail(content, result) {
+    const reviewBtn = document.createElement('button');
+    reviewBtn.className = 'btn btn-small btn-primary';
+    reviewBtn.textContent = 'Review';
+    reviewBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openReview(currentClientId, result);
+    });
+    content.appendChild(reviewBtn);
+    if (result.outputFilename) {
+        appendDetailField(content, 'Proposed Filename:', result.outputFilename);
+    }
+    renderSuccessDetail(content, { ...result, outputFilename: null });
+}
+/**
+ * Render review outcome for results that went through the review queue
+ */
+function appendReviewInfo(content, result) {
+    const review = result.review;
+    if (!review)
+        return;
+    const edited = review.editedFields.length > 0 ? `, corrected ${review.editedFields.join(', ')}` : '';
+    const decision = review.decision === 'approved' ? 'Approved' : 'Rejected';
+    appendDetailField(content, 'Review:', `${decision} ${formatTimestamp(review.reviewedAt)}${edited}`);
+}
+/**
+ * Render the audit trail of manual corrections, oldest first
+ */
+function appendCorrections(content, result) {
+    const corrections = (result.corrections || []);
+    if (corrections.length === 0)
+        return;
+    const h4 = document.createElement('h4');
+    h4.textContent = 'Corrections';
+    content.appendChild(h4);
+    const list = document.createElement('ul');
+    list.className = 'results-correction-list';
+    const show = (value) => (value === null || value === undefined ? '-' : formatCorrectionValue(value));
+    corrections.forEach((correction) => {
+        const li = document.createElement('li');
+        const changes = Object.entries(correction.changes).map(([key, change]) => `${key}: ${show(change.from)} \u2192 ${show(change.to)}`);
+        if (correction.previousOutputFilename) {
+            changes.push(`renamed from ${correction.previousOutputFilename}`);
+        }
+        li.textContent = `${formatTimestamp(correction.correctedAt)} \u2014 ${changes.join('; ')}`;
+        list.appendChild(li);
+    });
+    content.appendChild(list);
+}
+function formatCorrectionValue(value) {
+    if (Array.isArray(value))
+        return value.map((v) => (v && typeof v === 'object' ? JSON.stringify(v) : v)).join(', ');
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+function renderDuplicateDetail(content, result) {
+    const original = (result.duplicateOf || {});
+    const reason = original.reason === 'fileHash' ? 'identical file' : 'same supplier, invoice number and amount';
+    const when = original.timestamp ? ', processed ' + formatTimestamp(original.timestamp) : '';
+    appendDetailField(content, 'Duplicate of:', `${original.originalFilename} (${reason}${when})`);
+    if (result.outputFilename) {
+        appendDetailField(content, 'Moved to:', `duplicates/${result.outputFilename}`);
+    }
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'btn btn-small btn-secondary';
+    viewBtn.textContent = 'View Original';
+    const originalContainer = document.createElement('div');
+    originalContainer.className = 'results-duplicate-original';
+    viewBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showOriginalResult(original.id, originalContainer, viewBtn);
+    });
+    content.appendChild(viewBtn);
+    content.appendChild(originalContainer);
+    renderSuccessDetail(content, { ...result, outputFilename: null });
+}
+/**
+ * Jump to the original record when it is on the current page, otherwise load it inline
+ */
+async function showOriginalResult(id, container, btn) {
+    const row = resultsViewerEl.querySelector(`.results-row[data-result-id="${CSS.escape(id)}"]`);
+    const loaded = loadedResults.find((r) => r.id === id);
+    if (row && loaded) {
+        toggleDetail(row, loaded);
+        row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+    }
+    btn.disabled = true;
+    try {
+        const response = await fetch(`/api/clients/${currentClientId}/results/${encodeURIComponent(id)}`);
+        if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || 'Failed to load original');
+        }
+        const original = await response.json();
+        container.textContent = '';
+        const h4 = document.createElement('h4');
+        h4.textContent = 'Original: ' + original.originalFilename + ' (' + formatTimestamp(original.timestamp) + ')';
+        container.appendChild(h4);
+        renderSuccessDetail(container, original);
+        btn.remove();
+    }
+    catch (error) {
+        showAlert(error.message, 'error');
+        btn.disabled = false;
+    }
+}
 function renderFailedDetail(content, result) {
     const errDiv = document.createElement('div');
     errDiv.className = 'results-error';
@@ -265,6 +532,9 @@ function renderFailedDetail(content, result) {
     errDiv.appendChild(errLabel);
     errDiv.appendChild(errValue);
     content.appendChild(errDiv);
+    if (result.failedFile) {
+        appendDetailField(content, 'Moved To:', `failed/${result.failedFile}`);
+    }
     if (result.duration) {
         appendDetailField(content, 'Duration:', (result.duration / 1000).toFixed(1) + 's');
     }
@@ -359,6 +629,108 @@ async function retryAllFailed() {
         await loadResults();
     }
 }
+/**
+ * Download the UBL invoices of all successful results as a ZIP
+ */
+async function exportUbl() {
+    exportUblBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/clients/${currentClientId}/results/export/ubl`);
+        if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || 'Export failed');
+        }
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${currentClientId}-ubl.zip`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        const skipped = Number(response.headers.get('X-Export-Skipped') || 0);
+        if (skipped > 0) {
+            showAlert(`UBL export: ${skipped} invoice(s) skipped for missing values`, 'warning');
+        }
+    }
+    catch (error) {
+        showAlert('UBL export failed: ' + error.message, 'error');
+    }
+    finally {
+        exportUblBtn.disabled = false;
+    }
+}
+/**
+ * Fill the export profile selector; the empty option uses the client's output.exportProfile
+ */
+async function loadExportProfiles() {
+    try {
+        const response = await fetch('/api/config/export-profiles');
+        if (!response.ok)
+            return;
+        const data = await response.json();
+        exportProfileSelect.textContent = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Client default';
+        exportProfileSelect.appendChild(defaultOption);
+        for (const profile of data.profiles) {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.label;
+            exportProfileSelect.appendChild(option);
+        }
+    }
+    catch {
+        // Selector stays empty; the export falls back to the client's default profile
+    }
+}
+/**
+ * Download the accounting export of the selected profile and month
+ */
+async function exportWithProfile() {
+    exportProfileBtn.disabled = true;
+    try {
+        const params = new URLSearchParams();
+        if (exportProfileSelect.value) {
+            params.set('profile', exportProfileSelect.value);
+        }
+        if (exportMonthInput.value) {
+            const [year, month] = exportMonthInput.value.split('-').map(Number);
+            const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            params.set('from', `${exportMonthInput.value}-01`);
+            params.set('to', `${exportMonthInput.value}-${String(lastDay).padStart(2, '0')}`);
+        }
+        const response = await fetch(`/api/clients/${currentClientId}/results/export?${params}`);
+        if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || 'Export failed');
+        }
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = /filename="([^"]+)"/.exec(disposition)?.[1] || `${currentClientId}-export`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        const count = Number(response.headers.get('X-Export-Count') || 0);
+        const skipped = Number(response.headers.get('X-Export-Skipped') || 0);
+        if (count === 0) {
+            showAlert('Export: no invoices in the selected period', 'warning');
+        }
+        else if (skipped > 0) {
+            showAlert(`Export: ${skipped} invoice(s) skipped for missing values`, 'warning');
+        }
+    }
+    catch (error) {
+        showAlert('Export failed: ' + error.message, 'error');
+    }
+    finally {
+        exportProfileBtn.disabled = false;
+    }
+}
 async function executeRetry(body) {
     return new Promise((resolve, reject) => {
         fetch(`/api/clients/${currentClientId}/results/retry`, {
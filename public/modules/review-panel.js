@@ -0,0 +1,284 @@
+// Review Panel module
+// Side-by-side review of a pending-review result: the invoice on the left, editable extracted fields and tags
+// on the right, with format warnings and low-confidence fields highlighted. Approving files the invoice with
+// the corrections; rejecting archives it as a failed result.
+// The same editor corrects an already filed result (without the invoice view), which regenerates its outputs.
+import { describeConfidence, getConfidenceLevel, showAlert } from './ui-utils.js';
+let reviewModal;
+let reviewTitle;
+let reviewDocument;
+let reviewFieldsEl;
+let approveBtn;
+let rejectBtn;
+let onReviewed = () => { };
+let currentClientId = null;
+let currentResult = null;
+let currentMode = 'review';
+// Inputs per field key / tag ID; only fields the reviewer touched are sent as corrections
+let fieldInputs = new Map();
+let tagInputs = new Map();
+let editedKeys = new Set();
+export function initReviewPanel(callback) {
+    reviewModal = document.getElementById('reviewModal');
+    reviewTitle = document.getElementById('reviewTitle');
+    reviewDocument = document.getElementById('reviewDocument');
+    reviewFieldsEl = document.getElementById('reviewFields');
+    approveBtn = document.getElementById('approveReviewBtn');
+    rejectBtn = document.getElementById('rejectReviewBtn');
+    onReviewed = callback;
+    document.getElementById('closeReviewModalBtn').addEventListener('click', closeReview);
+    document.getElementById('cancelReviewBtn').addEventListener('click', closeReview);
+    approveBtn.addEventListener('click', () => approve());
+    rejectBtn.addEventListener('click', () => reject());
+    reviewModal.addEventListener('click', (e) => {
+        if (e.target === reviewModal)
+            closeReview();
+    });
+}
+export function openReview(clientId, result) {
+    return openPanel(clientId, result, 'review');
+}
+export function openCorrection(clientId, result) {
+    return openPanel(clientId, result, 'correct');
+}
+async function openPanel(clientId, result, mode) {
+    currentClientId = clientId;
+    currentResult = result;
+    currentMode = mode;
+    fieldInputs = new Map();
+    tagInputs = new Map();
+    editedKeys = new Set();
+    const isReview = mode === 'review';
+    reviewTitle.textContent = (isReview ? 'Review: ' : 'Correct: ') + result.originalFilename;
+    reviewDocument.style.display = isReview ? '' : 'none';
+    reviewDocument.parentElement.classList.toggle('review-layout-single', !isReview);
+    reviewDocument.src = isReview
+        ? `/api/clients/${clientId}/results/${encodeURIComponent(result.id)}/file`
+        : 'about:blank';
+    approveBtn.textContent = isReview ? 'Approve' : 'Save Corrections';
+    rejectBtn.style.display = isReview ? '' : 'none';
+    reviewFieldsEl.textContent = '';
+    const loading = document.createElement('div');
+    loading.className = 'loading-placeholder';
+    loading.textContent = 'Loading fields...';
+    reviewFieldsEl.appendChild(loading);
+    setButtonsDisabled(false);
+    reviewModal.classList.add('active');
+    try {
+        const response = await fetch(`/api/clients/${clientId}/config`);
+        if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || 'Failed to load client config');
+        }
+        const config = await response.json();
+        renderFields(config.fieldDefinitions.filter((f) => f.enabled), config.tagDefinitions.filter((t) => t.enabled));
+    }
+    catch (error) {
+        reviewFieldsEl.textContent = '';
+        const errDiv = document.createElement('div');
+        errDiv.className = 'error-placeholder';
+        errDiv.textContent = 'Failed to load fields: ' + error.message;
+        reviewFieldsEl.appendChild(errDiv);
+    }
+}
+function closeReview() {
+    reviewModal.classList.remove('active');
+    reviewDocument.src = 'about:blank';
+    currentResult = null;
+}
+function setButtonsDisabled(disabled) {
+    approveBtn.disabled = disabled;
+    rejectBtn.disabled = disabled;
+}
+/**
+ * Format a stored value for a text input (arrays comma-separated)
+ */
+function formatValue(value) {
+    if (value === undefined || value === null)
+        return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+function renderFields(fields, tags) {
+    const extracted = (currentResult.extractedFields || {});
+    const warnings = new Map();
+    (extracted._formatWarnings || []).forEach((w) => warnings.set(w.field, w.error || 'Invalid format'));
+    const confidence = (extracted._confidence || {});
+    const lowConfidence = new Set((currentResult.lowConfidence || []));
+    reviewFieldsEl.textContent = '';
+    const reviewFields = [...fields, { key: 'summary', label: 'Summary', type: 'summary', enabled: true }];
+    reviewFields.forEach((field) => {
+        const row = document.createElement('div');
+        row.className = 'review-field';
+        const warning = warnings.get(field.key);
+        if (warning)
+            row.classList.add('review-field-warning');
+        const scored = confidence[field.key];
+        const isLowConfidence = !!scored && getConfidenceLevel(scored, lowConfidence.has(field.key)) === 'low';
+        if (isLowConfidence)
+            row.classList.add('review-field-low-confidence');
+        const label = document.createElement('label');
+        label.className = 'review-field-label';
+        label.textContent = field.label || field.key;
+        row.appendChild(label);
+        const value = extracted[field.key];
+        if (field.type === 'table') {
+            // Line items are shown for reference only
+            const rows = Array.isArray(value) ? value.length : 0;
+            const note = document.createElement('div');
+            note.className = 'review-field-readonly';
+            note.textContent = rows === 1 ? '1 row' : `${rows} rows`;
+            row.appendChild(note);
+        }
+        else if (field.type === 'boolean') {
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value === true;
+            input.addEventListener('change', () => editedKeys.add(field.key));
+            fieldInputs.set(field.key, { input, type: field.type });
+            row.appendChild(input);
+        }
+        else if (field.type === 'choice') {
+            const select = document.createElement('select');
+            select.className = 'form-input';
+            [...(field.options || []), { value: 'Unknown', label: 'Unknown' }].forEach((option) => {
+                const opt = document.createElement('option');
+                opt.value = option.value;
+                opt.textContent = option.label;
+                select.appendChild(opt);
+            });
+            select.value = formatValue(value) || 'Unknown';
+            select.addEventListener('change', () => editedKeys.add(field.key));
+            fieldInputs.set(field.key, { input: select, type: field.type });
+            row.appendChild(select);
+        }
+        else {
+            const input = document.createElement(field.type === 'summary' ? 'textarea' : 'input');
+            input.className = 'form-input';
+            input.value = formatValue(value);
+            input.addEventListener('input', () => editedKeys.add(field.key));
+            fieldInputs.set(field.key, { input, type: field.type });
+            row.appendChild(input);
+        }
+        if (warning) {
+            const hint = document.createElement('div');
+            hint.className = 'review-field-hint';
+            hint.textContent = warning;
+            row.appendChild(hint);
+        }
+        if (scored) {
+            const hint = document.createElement('div');
+            hint.className = isLowConfidence ? 'review-field-hint review-field-hint-low' : 'review-field-source';
+            hint.textContent = describeConfidence(scored);
+            row.appendChild(hint);
+        }
+        reviewFieldsEl.appendChild(row);
+    });
+    if (tags.length > 0) {
+        const h4 = document.createElement('h4');
+        h4.textContent = 'Tags';
+        reviewFieldsEl.appendChild(h4);
+        const resultTags = (currentResult.tags || {});
+        tags.forEach((tag) => {
+            const label = document.createElement('label');
+            label.className = 'review-tag';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = resultTags[tag.id] === true;
+            tagInputs.set(tag.id, input);
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(' ' + (tag.label || tag.id)));
+            reviewFieldsEl.appendChild(label);
+        });
+    }
+}
+/**
+ * Read the fields the reviewer changed, converted to their field type
+ */
+function readEdits() {
+    const fields = {};
+    editedKeys.forEach((key) => {
+        const { input, type } = fieldInputs.get(key);
+        if (type === 'boolean') {
+            fields[key] = input.checked;
+        }
+        else if (type === 'array') {
+            fields[key] = input.value
+                .split(',')
+                .map((v) => v.trim())
+                .filter(Boolean);
+        }
+        else if (type === 'number') {
+            const text = input.value.trim();
+            fields[key] = text !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+        }
+        else {
+            fields[key] = input.value.trim();
+        }
+    });
+    const tags = {};
+    tagInputs.forEach((input, id) => {
+        tags[id] = input.checked;
+    });
+    return { fields, tags };
+}
+async function approve() {
+    if (!currentResult)
+        return;
+    const isReview = currentMode === 'review';
+    const resultUrl = `/api/clients/${currentClientId}/results/${encodeURIComponent(currentResult.id)}`;
+    setButtonsDisabled(true);
+    try {
+        const response = await fetch(isReview ? `${resultUrl}/approve` : resultUrl, {
+            method: isReview ? 'POST' : 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(readEdits())
+        });
+        const data = await response.json();
+        if (!response.ok)
+            throw new Error(data.error || (isReview ? 'Approval failed' : 'Correction failed'));
+        showAlert(isReview
+            ? `Approved and filed as ${data.result.outputFilename}`
+            : `Corrected, filed as ${data.result.outputFilename}`, 'success');
+        closeReview();
+        onReviewed();
+    }
+    catch (error) {
+        showAlert(error.message, 'error');
+        setButtonsDisabled(false);
+    }
+}
+async function reject() {
+    if (!currentResult)
+        return;
+    const reason = prompt('Reason for rejecting this invoice (optional):');
+    if (reason === null)
+        return;
+    setButtonsDisabled(true);
+    try {
+        const response = await fetch(`/api/clients/${currentClientId}/results/${encodeURIComponent(currentResult.id)}/reject`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
+        });
+        const data = await response.json();
+        if (!response.ok)
+            throw new Error(data.error || 'Rejection failed');
+        showAlert('Invoice rejected', 'success');
+        closeReview();
+        onReviewed();
+    }
+    catch (error) {
+        showAlert(error.message, 'error');
+        setButtonsDisabled(false);
+    }
+}
+/**
+ * Get modal elements for Escape key handling in app.js.
+ */
+export function getReviewModal() {
+    return reviewModal;
+}
+export function getCloseReview() {
+    return closeReview;
+}
+//# sourceMappingURL=review-panel.js.map
\ No newline at end of file
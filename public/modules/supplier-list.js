@@ -0,0 +1,312 @@
+// Supplier Registry module
+// Lists the suppliers learned for a client with their aliases, VAT number, IBAN and default category. Suppliers can
+// be edited inline or deleted, and several selected suppliers can be merged into one; the others become its aliases.
+// The client's supplier rules are edited below the list as JSON.
+import { showAlert } from './ui-utils.js';
+let supplierListEl;
+let supplierCountEl;
+let mergeTargetSelect;
+let mergeSuppliersBtn;
+let currentClientId = null;
+let suppliers = [];
+let selectedIds = new Set();
+let supplierRulesInput;
+let saveSupplierRulesBtn;
+export function initSupplierList() {
+    supplierListEl = document.getElementById('supplierList');
+    supplierCountEl = document.getElementById('supplierCount');
+    mergeTargetSelect = document.getElementById('mergeTargetSelect');
+    mergeSuppliersBtn = document.getElementById('mergeSuppliersBtn');
+    supplierRulesInput = document.getElementById('supplierRulesInput');
+    saveSupplierRulesBtn = document.getElementById('saveSupplierRulesBtn');
+    mergeSuppliersBtn.addEventListener('click', () => mergeSelected());
+    saveSupplierRulesBtn.addEventListener('click', () => saveSupplierRules());
+}
+// Rules are passed when the client is opened; reloads after processing keep the editor as is
+export async function loadClientSuppliers(clientId, rules) {
+    currentClientId = clientId;
+    if (rules)
+        renderSupplierRules(rules);
+    await loadSuppliers();
+}
+export function clearSuppliers() {
+    currentClientId = null;
+    suppliers = [];
+    selectedIds = new Set();
+    supplierCountEl.textContent = '';
+    supplierListEl.textContent = '';
+    supplierRulesInput.value = '';
+    updateMergeControls();
+}
+function renderSupplierRules(rules) {
+    supplierRulesInput.value = rules.length > 0 ? JSON.stringify(rules, null, 2) : '';
+}
+async function loadSuppliers() {
+    if (!currentClientId)
+        return;
+    selectedIds = new Set();
+    updateMergeControls();
+    try {
+        const response = await fetch(`/api/clients/${currentClientId}/suppliers`);
+        if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || 'Failed to load suppliers');
+        }
+        suppliers = (await response.json()).suppliers;
+        supplierCountEl.textContent = suppliers.length > 0 ? `(${suppliers.length})` : '';
+        renderSuppliers();
+    }
+    catch (error) {
+        supplierListEl.textContent = '';
+        const errDiv = document.createElement('div');
+        errDiv.className = 'error-placeholder';
+        errDiv.textContent = 'Failed to load suppliers: ' + error.message;
+        supplierListEl.appendChild(errDiv);
+    }
+}
+function renderSuppliers() {
+    supplierListEl.textContent = '';
+    if (suppliers.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-placeholder';
+        empty.textContent =
+            'No suppliers yet. With processing.supplierRegistry, suppliers are learned from processed invoices.';
+        supplierListEl.appendChild(empty);
+        return;
+    }
+    const table = document.createElement('table');
+    table.className = 'results-table supplier-table';
+    const headerRow = document.createElement('tr');
+    ['', 'Supplier', 'VAT Number', 'IBAN', 'Default Category', 'Invoices', ''].forEach((text) => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    suppliers.forEach((supplier) => tbody.appendChild(renderSupplierRow(supplier)));
+    table.appendChild(tbody);
+    supplierListEl.appendChild(table);
+}
+function renderSupplierRow(supplier) {
+    const tr = document.createElement('tr');
+    tr.className = 'results-row';
+    const tdSelect = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.title = 'Select for merging';
+    checkbox.checked = selectedIds.has(supplier.id);
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked)
+            selectedIds.add(supplier.id);
+        else
+            selectedIds.delete(supplier.id);
+        updateMergeControls();
+    });
+    tdSelect.appendChild(checkbox);
+    tr.appendChild(tdSelect);
+    const tdName = document.createElement('td');
+    tdName.textContent = supplier.name;
+    if (supplier.aliases.length > 0) {
+        const aliases = document.createElement('div');
+        aliases.className = 'supplier-aliases';
+        aliases.textContent = 'Also: ' + supplier.aliases.join(', ');
+        tdName.appendChild(aliases);
+    }
+    tr.appendChild(tdName);
+    [supplier.vatNumber, supplier.iban, supplier.defaultCategory].forEach((value) => {
+        const td = document.createElement('td');
+        td.className = 'results-model';
+        td.textContent = value || '-';
+        tr.appendChild(td);
+    });
+    const tdCount = document.createElement('td');
+    tdCount.className = 'results-tokens';
+    tdCount.textContent = String(supplier.invoiceCount);
+    tr.appendChild(tdCount);
+    const tdActions = document.createElement('td');
+    tdActions.className = 'supplier-actions';
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn btn-small btn-secondary';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => tr.replaceWith(renderEditRow(supplier)));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => removeSupplier(supplier));
+    tdActions.append(editBtn, deleteBtn);
+    tr.appendChild(tdActions);
+    return tr;
+}
+function renderEditRow(supplier) {
+    const tr = document.createElement('tr');
+    tr.className = 'results-row expanded';
+    tr.appendChild(document.createElement('td'));
+    const createInput = (value, placeholder) => {
+        const input = document.createElement('input');
+        input.className = 'form-input';
+        input.value = value;
+        input.placeholder = placeholder;
+        return input;
+    };
+    const nameInput = createInput(supplier.name, 'Canonical name');
+    const aliasesInput = createInput(supplier.aliases.join(', '), 'Aliases, comma-separated');
+    const vatInput = createInput(supplier.vatNumber || '', 'VAT number');
+    const ibanInput = createInput(supplier.iban || '', 'IBAN');
+    const categoryInput = createInput(supplier.defaultCategory || '', 'Category');
+    const tdName = document.createElement('td');
+    tdName.append(nameInput, aliasesInput);
+    tr.appendChild(tdName);
+    [vatInput, ibanInput, categoryInput].forEach((input) => {
+        const td = document.createElement('td');
+        td.appendChild(input);
+        tr.appendChild(td);
+    });
+    const tdCount = document.createElement('td');
+    tdCount.className = 'results-tokens';
+    tdCount.textContent = String(supplier.invoiceCount);
+    tr.appendChild(tdCount);
+    const tdActions = document.createElement('td');
+    tdActions.className = 'supplier-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn btn-small btn-primary';
+    saveBtn.textContent = 'Save';
+    saveBtn.addEventListener('click', () => saveSupplier(supplier.id, {
+        name: nameInput.value.trim(),
+        aliases: aliasesInput.value
+            .split(',')
+            .map((a) => a.trim())
+            .filter(Boolean),
+        vatNumber: vatInput.value.trim() || null,
+        iban: ibanInput.value.trim() || null,
+        defaultCategory: categoryInput.value.trim() || null
+    }));
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn btn-small btn-secondary';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => tr.replaceWith(renderSupplierRow(supplier)));
+    tdActions.append(saveBtn, cancelBtn);
+    tr.appendChild(tdActions);
+    return tr;
+}
+function updateMergeControls() {
+    const selected = suppliers.filter((s) => selectedIds.has(s.id));
+    const canMerge = selected.length >= 2;
+    mergeTargetSelect.style.display = canMerge ? '' : 'none';
+    mergeSuppliersBtn.style.display = canMerge ? 'inline-flex' : 'none';
+    if (!canMerge)
+        return;
+    // Keep the chosen target while it stays selected; default to the supplier with the most invoices
+    const previous = mergeTargetSelect.value;
+    mergeTargetSelect.textContent = '';
+    [...selected]
+        .sort((a, b) => b.invoiceCount - a.invoiceCount)
+        .forEach((supplier) => {
+        const opt = document.createElement('option');
+        opt.value = supplier.id;
+        opt.textContent = `Keep "${supplier.name}"`;
+        mergeTargetSelect.appendChild(opt);
+    });
+    if (selectedIds.has(previous))
+        mergeTargetSelect.value = previous;
+}
+async function saveSupplier(supplierId, changes) {
+    try {
+        const response = await fetch(`/api/clients/${currentClientId}/suppliers/${encodeURIComponent(supplierId)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const data = await response.json();
+        if (!response.ok)
+            throw new Error(data.error || 'Failed to save supplier');
+        showAlert(`Saved ${data.supplier.name}`, 'success');
+        await loadSuppliers();
+    }
+    catch (error) {
+        showAlert(error.message, 'error');
+    }
+}
+async function removeSupplier(supplier) {
+    if (!confirm(`Delete "${supplier.name}" from the supplier registry?`))
+        return;
+    try {
+        const response = await fetch(`/api/clients/${currentClientId}/suppliers/${encodeURIComponent(supplier.id)}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+        if (!response.ok)
+            throw new Error(data.error || 'Failed to delete supplier');
+        showAlert(`Deleted ${supplier.name}`, 'success');
+        await loadSuppliers();
+    }
+    catch (error) {
+        showAlert(error.message, 'error');
+    }
+}
+async function mergeSelected() {
+    const targetId = mergeTargetSelect.value;
+    const target = suppliers.find((s) => s.id === targetId);
+    const sourceIds = [...selectedIds].filter((id) => id !== targetId);
+    if (!target || sourceIds.length === 0)
+        return;
+    if (!confirm(`Merge ${sourceIds.length} supplier(s) into "${target.name}"? Their names become aliases.`))
+        return;
+    mergeSuppliersBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/clients/${currentClientId}/suppliers/merge`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ targetId, sourceIds })
+        });
+        const data = await response.json();
+        if (!response.ok)
+            throw new Error(data.error || 'Merge failed');
+        showAlert(`Merged into ${data.supplier.name}`, 'success');
+        await loadSuppliers();
+    }
+    catch (error) {
+        showAlert(error.message, 'error');
+    }
+    finally {
+        mergeSuppliersBtn.disabled = false;
+    }
+}
+async function saveSupplierRules() {
+    if (!currentClientId)
+        return;
+    const text = supplierRulesInput.value.trim();
+    let rules;
+    try {
+        rules = text ? JSON.parse(text) : null;
+    }
+    catch (error) {
+        showAlert('Supplier rules are not valid JSON: ' + error.message, 'error');
+        return;
+    }
+    saveSupplierRulesBtn.disabled = true;
+    try {
+        // Empty rules remove the client's supplierRules
+        const response = rules
+            ? await fetch(`/api/clients/${currentClientId}/overrides`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ section: 'supplierRules', data: rules })
+            })
+            : await fetch(`/api/clients/${currentClientId}/overrides/supplierRules`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok)
+            throw new Error(data.details || data.error || 'Failed to save supplier rules');
+        renderSupplierRules(data.supplierRules);
+        showAlert('Supplier rules saved', 'success');
+    }
+    catch (error) {
+        showAlert(error.message, 'error');
+    }
+    finally {
+        saveSupplierRulesBtn.disabled = false;
+    }
+}
+//# sourceMappingURL=supplier-list.js.map
\ No newline at end of file
@@ -1,4 +1,5 @@
 // Shared UI utilities — alert system, logging, HTML escaping, fetch helpers.
+import { LOW_CONFIDENCE, MEDIUM_CONFIDENCE } from './constants.js';
 /**
  * Escape HTML entities to prevent XSS
  */
@@ -40,6 +41,26 @@ export function showAlert(message, type = 'error') {
         }, 5000);
     }
 }
+/**
+ * Classify a field's confidence score for colouring
+ * @returns 'low', 'medium', or null for a confident value
+ */
+export function getConfidenceLevel(entry, belowThreshold) {
+    if (belowThreshold || entry.confidence < LOW_CONFIDENCE)
+        return 'low';
+    return entry.confidence < MEDIUM_CONFIDENCE ? 'medium' : null;
+}
+/**
+ * Describe a field's confidence score and where the value was read
+ */
+export function describeConfidence(entry) {
+    let text = `Confidence ${Math.round(entry.confidence * 100)}%`;
+    if (entry.source)
+        text += ` \u2014 "${entry.source}"`;
+    if (entry.page)
+        text += ` (page ${entry.page})`;
+    return text;
+}
 /**
  * Append a log entry to #processingLog
  */
@@ -4,7 +4,11 @@ import fs from 'node:fs';
 import path from 'node:path';
 
 // Import modules
-import { VALID_OVERRIDE_SECTIONS, DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER } from './src/constants.js';
+import {
+    VALID_OVERRIDE_SECTIONS,
+    DEFAULT_FAILED_SUBFOLDER,
+    DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER
+} from './src/constants.js';
 import {
     loadConfig,
     saveConfig,
@@ -19,12 +23,13 @@ import {
     restoreBackup
 } from './src/config.js';
 import { buildPromptPreview } from './src/prompt-builder.js';
-import { processAllInvoices, processWithRetry } from './src/parallel-processor.js';
+import { processAllInvoices, processWithRetry, prepareDuplicateIndex } from './src/parallel-processor.js';
 import {
     getResults,
     getSummary,
     getResult,
     getFailedResults,
+    getSuccessfulResults,
     updateResult,
     getGlobalStats
 } from './src/result-manager.js';
@@ -43,10 +48,32 @@ import {
     removeClientOverrides,
     resolveApiKey
 } from './src/client-manager.js';
+import { createFolderWatcher, getWatchTargets } from './src/folder-watcher.js';
+import { createJobManager, isJobActive, countJobFiles } from './src/job-manager.js';
+import { getPdfFiles } from './src/processor.js';
+import { writeParts } from './src/pdf-splitter.js';
+import { isInvoiceFile } from './src/image-input.js';
+import { buildUblZip } from './src/ubl-export.js';
+import { buildExport, getExportProfiles } from './src/export-profiles.js';
+import { approveReview, getReviewFilePath, rejectReview } from './src/review.js';
+import { correctResult } from './src/result-editor.js';
+import { deleteSupplier, getSuppliers, mergeSuppliers, updateSupplier } from './src/supplier-registry.js';
+import { clearResponseCache, getResponseCacheStats } from './src/response-cache.js';
 
 import rateLimit from 'express-rate-limit';
 
-import type { AppConfig } from './src/types/index.js';
+import type { ExportFile } from './src/export-profiles.js';
+import type { FolderWatcher } from './src/folder-watcher.js';
+import type { JobContext, JobListener } from './src/job-manager.js';
+import type {
+    AppConfig,
+    BatchResult,
+    Job,
+    JobFileStatus,
+    MergedClientConfig,
+    ResultRecord,
+    ResultStatus
+} from './src/types/index.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -62,8 +89,331 @@ const processingLimiter = rateLimit({
     message: { error: 'Too many requests, please try again later' }
 });
 
-// Store active SSE connections for processing
-const activeProcessing = new Map<string, boolean>();
+/**
+ * Merge a client's config into the global config for processing
+ * @param globalConfig - The global configuration
+ * @param clientConfig - The merged client configuration
+ * @returns Config to pass to the processor
+ */
+function buildProcessingConfig(globalConfig: AppConfig, clientConfig: MergedClientConfig): AppConfig {
+    return {
+        ...globalConfig,
+        model: clientConfig.model ?? undefined,
+        provider: clientConfig.provider ?? undefined,
+        folders: clientConfig.folders as unknown as AppConfig['folders'],
+        processing: clientConfig.processing,
+        output: clientConfig.output,
+        fieldDefinitions: clientConfig.fieldDefinitions,
+        tagDefinitions: clientConfig.tagDefinitions ?? undefined,
+        promptTemplate: clientConfig.promptTemplate as AppConfig['promptTemplate'],
+        supplierRules: clientConfig.supplierRules
+    };
+}
+
+// ============================================================================
+// PROCESSING JOBS
+// ============================================================================
+
+/**
+ * Send a job's events to an SSE response and close it when the job ends
+ * The job keeps running if the browser disconnects; only the view goes away.
+ * @param res - The SSE response
+ * @param extra - Fields added to every event (e.g. clientId)
+ * @returns Listener to register with the job manager
+ */
+function sseJobListener(res: Response, extra: Record<string, unknown> = {}): JobListener {
+    let open = true;
+    res.on('close', () => {
+        open = false;
+    });
+
+    return {
+        onEvent: (event) => {
+            if (open) res.write('data: ' + JSON.stringify({ ...event, ...extra }) + '\n\n');
+        },
+        onEnd: () => {
+            if (open) res.end();
+        }
+    };
+}
+
+/**
+ * Find an unfinished (queued, running or paused) job matching a condition
+ */
+function findActiveJob(predicate: (job: Job) => boolean): Job | null {
+    return jobManager.list().find((job) => isJobActive(job) && predicate(job)) || null;
+}
+
+/**
+ * Whether a client is covered by an unfinished job
+ */
+function isClientBusy(clientId: string): boolean {
+    return findActiveJob((job) => job.clients.some((c) => c.clientId === clientId)) !== null;
+}
+
+/**
+ * Job without its file list, plus counts per file state (for listings)
+ */
+function toJobOverview(job: Job): Omit<Job, 'files'> & { fileCounts: Record<JobFileStatus, number> } {
+    const { files: _files, ...overview } = job;
+    return { ...overview, fileCounts: countJobFiles(job) };
+}
+
+/**
+ * Load a client's processing config and make sure its folder is usable
+ * @throws If the client folder does not exist
+ */
+async function prepareClient(clientId: string, globalConfig: AppConfig) {
+    const clientConfig = await getClientConfig(clientId, globalConfig);
+
+    try {
+        await fs.promises.access(clientConfig.folders.base);
+    } catch (error: unknown) {
+        throw new Error(`Folder does not exist: ${clientConfig.folders.base}`, { cause: error });
+    }
+
+    // Ensure subfolders exist (processed-original, processed-enriched)
+    await ensureClientDirectories(clientConfig);
+
+    return { clientConfig, processingConfig: buildProcessingConfig(globalConfig, clientConfig) };
+}
+
+/**
+ * Run one client's share of a process or process-all job
+ * Files are listed on the first run; after a restart only unfinished files are processed.
+ */
+async function processClientFiles(
+    job: Job,
+    ctx: JobContext,
+    clientId: string,
+    globalConfig: AppConfig,
+    extra: Record<string, unknown>,
+    onComplete: (summary: BatchResult & { status: 'done' }) => void
+): Promise<void> {
+    const { clientConfig, processingConfig } = await prepareClient(clientId, globalConfig);
+
+    const listed = (await getPdfFiles(processingConfig)).map((f) => path.basename(f));
+    const files = ctx.registerFiles(clientId, listed);
+    if (files.length === 0) {
+        onComplete({ ...EMPTY_BATCH, status: 'done' });
+        return;
+    }
+
+    await processAllInvoices(processingConfig, {
+        apiKey: resolveApiKey(clientConfig),
+        csvPath: clientConfig.folders.csvPath,
+        dryRun: job.dryRun,
+        files,
+        clientId,
+        clientName: clientConfig.name,
+        signal: ctx.signal,
+        waitWhilePaused: ctx.waitWhilePaused,
+        onProgress: (data) => ctx.emit({ ...data, ...extra }),
+        onComplete
+    });
+}
+
+/**
+ * Locate a processed file: archived in processed-original, or still in the input folder
+ * @throws If the file is in neither place
+ */
+async function findOriginalFile(baseFolder: string, originalFolder: string, filename: string): Promise<string> {
+    for (const candidate of [path.join(originalFolder, filename), path.join(baseFolder, filename)]) {
+        try {
+            await fs.promises.access(candidate);
+            return candidate;
+        } catch {
+            // Try the next location
+        }
+    }
+    throw new Error(`Original file not found: ${filename}`);
+}
+
+const EMPTY_BATCH: BatchResult = {
+    total: 0,
+    success: 0,
+    failed: 0,
+    duplicates: 0,
+    results: [],
+    csvRowsAdded: 0,
+    tokenUsage: { promptTokens: 0, outputTokens: 0, totalTokens: 0, cachedTokens: 0 }
+};
+
+const jobManager = createJobManager({
+    async process(job, ctx) {
+        const { clientId } = job.clients[0];
+        const extra = { clientId, dryRun: job.dryRun };
+        const globalConfig = await loadConfig({ requireFolders: false });
+
+        await processClientFiles(job, ctx, clientId, globalConfig, extra, (summary) => {
+            ctx.emit({ ...summary, ...extra, status: 'done' });
+        });
+    },
+
+    async 'process-all'(job, ctx) {
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const totalClients = job.clients.length;
+
+        ctx.emit({
+            status: 'starting-batch',
+            totalClients,
+            clients: job.clients.map(({ clientId, name }) => ({ clientId, name }))
+        });
+
+        let totalSuccess = 0;
+        let totalFailed = 0;
+
+        // Process each client sequentially
+        for (const [index, { clientId, name }] of job.clients.entries()) {
+            await ctx.waitWhilePaused();
+            if (ctx.signal.aborted) break;
+
+            ctx.emit({
+                status: 'client-starting',
+                clientId,
+                clientName: name,
+                clientNumber: index + 1,
+                totalClients
+            });
+
+            try {
+                await processClientFiles(job, ctx, clientId, globalConfig, { clientId }, (summary) => {
+                    totalSuccess += summary.success || 0;
+                    totalFailed += summary.failed || 0;
+                    ctx.emit({ ...summary, status: 'client-done', clientId });
+                });
+            } catch (error: unknown) {
+                ctx.emit({ status: 'client-error', clientId, error: (error as Error).message });
+            }
+        }
+
+        // A cancelled batch ends with the manager's 'cancelled' event instead
+        if (ctx.signal.aborted) return;
+        ctx.emit({ status: 'done', mode: 'all', totalClients, totalSuccess, totalFailed });
+    },
+
+    async retry(job, ctx) {
+        const { clientId } = job.clients[0];
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(clientId, globalConfig);
+        const apiKey = resolveApiKey(clientConfig);
+        const processingConfig = buildProcessingConfig(globalConfig, clientConfig);
+
+        const total = job.files.length;
+        ctx.emit({ status: 'retry-starting', total });
+
+        const originalFolder =
+            clientConfig.folders.processedOriginal ||
+            path.join(clientConfig.folders.base, DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER);
+        const failedFolder =
+            clientConfig.folders.failed || path.join(clientConfig.folders.base, DEFAULT_FAILED_SUBFOLDER);
+        const duplicateIndex = await prepareDuplicateIndex(processingConfig, clientId);
+
+        for (const file of ctx.pendingFiles(clientId)) {
+            await ctx.waitWhilePaused();
+            if (ctx.signal.aborted) break;
+
+            const resultId = file.resultId!;
+            const current = job.files.indexOf(file) + 1;
+            const originalPath = path.join(clientConfig.folders.base, file.filename);
+            const processedOriginalPath = path.join(originalFolder, file.filename);
+
+            ctx.emit({ status: 'retry-processing', filename: file.filename, current, total, resultId });
+
+            let cleanupPart: (() => Promise<void>) | null = null;
+            try {
+                let filePath: string;
+                if (file.splitFrom) {
+                    // Invoice split from a scan: cut its pages out of the scan again
+                    const scanPath = await findOriginalFile(
+                        clientConfig.folders.base,
+                        originalFolder,
+                        file.splitFrom.filename
+                    );
+                    const { parts, cleanup } = await writeParts(scanPath, [file.splitFrom], processingConfig);
+                    cleanupPart = cleanup;
+                    filePath = parts[0].path;
+                } else {
+                    // Copy file back to input folder for processing
+                    try {
+                        await fs.promises.access(processedOriginalPath);
+                        await fs.promises.copyFile(processedOriginalPath, originalPath);
+                        filePath = originalPath;
+                    } catch {
+                        // File might still be in input folder
+                        try {
+                            await fs.promises.access(originalPath);
+                            filePath = originalPath;
+                        } catch {
+                            // A PDF that could not be decrypted was set aside; move it back
+                            const record = await getResult(clientConfig.folders.base, resultId);
+                            const failedPath = path.join(failedFolder, record?.failedFile || file.filename);
+                            try {
+                                await fs.promises.rename(failedPath, originalPath);
+                                filePath = originalPath;
+                            } catch {
+                                throw new Error(`Original file not found: ${file.filename}`);
+                            }
+                        }
+                    }
+                }
+
+                // A retry uses cached responses (a changed filename template costs no model call)
+                // unless it was started with skipCache
+                const result = await processWithRetry(filePath, processingConfig, {
+                    apiKey,
+                    duplicateIndex,
+                    recordId: resultId,
+                    signal: ctx.signal,
+                    splitFrom: file.splitFrom,
+                    skipCache: job.skipCache === true
+                });
+
+                // Update the result record
+                await updateResult(clientConfig.folders.base, resultId, result, {
+                    model: result.success ? result.model || null : processingConfig.model,
+                    duration: (result as { duration?: number }).duration,
+                    clientId,
+                    clientName: clientConfig.name
+                });
+
+                if (result.success) {
+                    ctx.emit({
+                        status: 'retry-completed',
+                        resultId,
+                        filename: file.filename,
+                        outputFilename: (result as { outputFilename?: string }).outputFilename,
+                        current,
+                        total
+                    });
+                } else {
+                    ctx.emit({
+                        status: 'retry-failed',
+                        resultId,
+                        filename: file.filename,
+                        error: (result as { error?: string }).error,
+                        current,
+                        total
+                    });
+                }
+            } catch (error: unknown) {
+                ctx.emit({
+                    status: 'retry-failed',
+                    resultId,
+                    filename: file.filename,
+                    error: (error as Error).message,
+                    current,
+                    total
+                });
+            } finally {
+                if (cleanupPart) await cleanupPart();
+            }
+        }
+
+        const counts = countJobFiles(job);
+        ctx.emit({ status: 'retry-done', success: counts.done, failed: counts.failed, total });
+    }
+});
 
 // ============================================================================
 // CLIENT MANAGEMENT API ENDPOINTS
@@ -150,7 +500,17 @@ app.get('/api/clients/:id', async (req: Request, res: Response) => {
  */
 app.post('/api/clients', async (req: Request, res: Response) => {
     try {
-        const { clientId, name, enabled, folderPath, apiKeyEnvVar, tagOverrides } = req.body;
+        const {
+            clientId,
+            name,
+            enabled,
+            folderPath,
+            apiKeyEnvVar,
+            tagOverrides,
+            reviewRequired,
+            confidenceThreshold,
+            baseCurrency
+        } = req.body;
 
         if (!clientId) {
             return res.status(400).json({ error: 'clientId is required' });
@@ -170,6 +530,18 @@ app.post('/api/clients', async (req: Request, res: Response) => {
             config.tagOverrides = tagOverrides;
         }
 
+        if (reviewRequired !== undefined) {
+            config.reviewRequired = reviewRequired;
+        }
+
+        if (confidenceThreshold !== undefined && confidenceThreshold !== null) {
+            config.confidenceThreshold = confidenceThreshold;
+        }
+
+        if (baseCurrency) {
+            config.baseCurrency = baseCurrency;
+        }
+
         await createClient(clientId, config);
 
         res.status(201).json({
@@ -194,7 +566,16 @@ app.post('/api/clients', async (req: Request, res: Response) => {
 app.put('/api/clients/:id', async (req: Request, res: Response) => {
     try {
         const clientId = req.params.id as string;
-        const { name, enabled, folderPath, apiKeyEnvVar, tagOverrides } = req.body;
+        const {
+            name,
+            enabled,
+            folderPath,
+            apiKeyEnvVar,
+            tagOverrides,
+            reviewRequired,
+            confidenceThreshold,
+            baseCurrency
+        } = req.body;
 
         const existing = await getClient(clientId);
         const config: Record<string, unknown> = {
@@ -217,6 +598,29 @@ app.put('/api/clients/:id', async (req: Request, res: Response) => {
             config.tagOverrides = tagOverrides;
         }
 
+        // Support clearing reviewRequired (send null to fall back to processing.reviewRequired)
+        if (reviewRequired === null) {
+            delete config.reviewRequired;
+        } else if (reviewRequired !== undefined) {
+            config.reviewRequired = reviewRequired;
+        }
+
+        // Support clearing confidenceThreshold (send null to fall back to processing.confidence.threshold)
+        if (confidenceThreshold === null) {
+            delete config.confidenceThreshold;
+        } else if (confidenceThreshold !== undefined) {
+            config.confidenceThreshold = confidenceThreshold;
+        }
+
+        // Support clearing baseCurrency (send null/empty to fall back to processing.currencyConversion.baseCurrency)
+        if (baseCurrency !== undefined) {
+            if (baseCurrency) {
+                config.baseCurrency = baseCurrency;
+            } else {
+                delete config.baseCurrency;
+            }
+        }
+
         await updateClient(clientId, config);
 
         res.json({
@@ -408,6 +812,7 @@ app.get('/api/config', async (req: Request, res: Response) => {
             model: config.model || null,
             fieldDefinitions: config.fieldDefinitions || null,
             tagDefinitions: config.tagDefinitions || null,
+            customFormats: config.customFormats || {},
             output: config.output,
             processing: config.processing
         });
@@ -444,6 +849,23 @@ app.get('/api/config/tags', async (req: Request, res: Response) => {
     }
 });
 
+/**
+ * GET /api/config/export-profiles - List accounting export profiles (built-in and configured)
+ */
+app.get('/api/config/export-profiles', async (req: Request, res: Response) => {
+    try {
+        const config = await loadConfig({ requireFolders: false });
+        const profiles = Object.entries(getExportProfiles(config)).map(([name, profile]) => ({
+            name,
+            label: profile.label,
+            format: profile.format
+        }));
+        res.json({ profiles, defaultProfile: config.output?.exportProfile || null });
+    } catch (error: unknown) {
+        res.status(500).json({ error: 'Failed to load export profiles', details: (error as Error).message });
+    }
+});
+
 /**
  * PUT /api/config/tags - Update tag definitions
  */
@@ -645,7 +1067,7 @@ app.get('/api/clients/:id/results', async (req: Request, res: Response) => {
         const offset = parseInt(req.query.offset as string) || 0;
 
         const results = await getResults(clientConfig.folders.base, {
-            status: status as 'success' | 'failed' | undefined,
+            status: status as ResultStatus | undefined,
             limit,
             offset
         });
@@ -674,205 +1096,328 @@ app.get('/api/clients/:id/results/summary', async (req: Request, res: Response)
 });
 
 /**
- * POST /api/clients/:id/results/retry - Retry failed invoice processing (SSE)
- * Body: { resultIds: ["uuid1", ...] } or { all: true }
+ * GET /api/clients/:id/results/export/ubl - ZIP of UBL invoices for successful results
+ * Query: ?ids=uuid1,uuid2 (default: all successful results)
  */
-app.post('/api/clients/:id/results/retry', processingLimiter, async (req: Request, res: Response) => {
-    const clientId = req.params.id as string;
-
-    // SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-
-    res.write('data: ' + JSON.stringify({ status: 'connected', clientId }) + '\n\n');
-
+app.get('/api/clients/:id/results/export/ubl', async (req: Request, res: Response) => {
     try {
-        if (activeProcessing.has(clientId)) {
-            res.write(
-                'data: ' + JSON.stringify({ status: 'error', error: 'Client is already being processed' }) + '\n\n'
-            );
-            res.end();
-            return;
-        }
-
-        activeProcessing.set(clientId, true);
-
+        const clientId = req.params.id as string;
         const globalConfig = await loadConfig({ requireFolders: false });
         const clientConfig = await getClientConfig(clientId, globalConfig);
-        const apiKey = resolveApiKey(clientConfig);
 
-        const processingConfig: AppConfig = {
-            ...globalConfig,
-            model: clientConfig.model ?? undefined,
-            folders: clientConfig.folders as unknown as AppConfig['folders'],
-            output: clientConfig.output,
-            fieldDefinitions: clientConfig.fieldDefinitions,
-            tagDefinitions: clientConfig.tagDefinitions ?? undefined,
-            promptTemplate: clientConfig.promptTemplate as AppConfig['promptTemplate']
-        };
-
-        // Determine which results to retry
-        let resultsToRetry;
-        if (req.body.all) {
-            resultsToRetry = await getFailedResults(clientConfig.folders.base);
-        } else if (req.body.resultIds && Array.isArray(req.body.resultIds)) {
-            resultsToRetry = [];
-            for (const id of req.body.resultIds) {
-                const r = await getResult(clientConfig.folders.base, id);
-                if (r && r.status === 'failed') resultsToRetry.push(r);
-            }
-        } else {
-            res.write(
-                'data: ' + JSON.stringify({ status: 'error', error: 'Provide resultIds array or all: true' }) + '\n\n'
+        let records: ResultRecord[];
+        if (typeof req.query.ids === 'string' && req.query.ids) {
+            const found = await Promise.all(
+                req.query.ids.split(',').map((id) => getResult(clientConfig.folders.base, id.trim()))
             );
-            res.end();
-            activeProcessing.delete(clientId);
-            return;
+            records = found.filter((r): r is ResultRecord => r !== null);
+        } else {
+            records = await getSuccessfulResults(clientConfig.folders.base);
         }
 
-        if (resultsToRetry.length === 0) {
-            res.write('data: ' + JSON.stringify({ status: 'error', error: 'No failed results to retry' }) + '\n\n');
-            res.end();
-            activeProcessing.delete(clientId);
-            return;
+        const { zip, exported, skipped } = buildUblZip(records, clientConfig as unknown as AppConfig);
+        if (exported === 0) {
+            return res.status(404).json({ error: 'No invoices to export as UBL', skipped });
         }
 
-        res.write('data: ' + JSON.stringify({ status: 'retry-starting', total: resultsToRetry.length }) + '\n\n');
-
-        const originalFolder =
-            clientConfig.folders.processedOriginal ||
-            path.join(clientConfig.folders.base, DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER);
-        let retrySuccess = 0;
-        let retryFailed = 0;
-
-        for (let i = 0; i < resultsToRetry.length; i++) {
-            const failedResult = resultsToRetry[i];
-            const originalPath = path.join(clientConfig.folders.base, failedResult.originalFilename);
-            const processedOriginalPath = path.join(originalFolder, failedResult.originalFilename);
-
-            res.write(
-                'data: ' +
-                    JSON.stringify({
-                        status: 'retry-processing',
-                        filename: failedResult.originalFilename,
-                        current: i + 1,
-                        total: resultsToRetry.length,
-                        resultId: failedResult.id
-                    }) +
-                    '\n\n'
-            );
-
-            try {
-                // Copy file back to input folder for processing
-                let filePath: string;
-                try {
-                    await fs.promises.access(processedOriginalPath);
-                    await fs.promises.copyFile(processedOriginalPath, originalPath);
-                    filePath = originalPath;
-                } catch {
-                    // File might still be in input folder
-                    try {
-                        await fs.promises.access(originalPath);
-                        filePath = originalPath;
-                    } catch {
-                        throw new Error(`Original file not found: ${failedResult.originalFilename}`);
-                    }
-                }
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${clientId}-ubl.zip"`);
+        res.setHeader('X-Export-Skipped', String(skipped.length));
+        res.send(zip);
+    } catch (error: unknown) {
+        const status = (error as Error).message.includes('not found') ? 404 : 500;
+        res.status(status).json({ error: (error as Error).message });
+    }
+});
 
-                const result = await processWithRetry(filePath, processingConfig, { apiKey });
+/**
+ * GET /api/clients/:id/results/export - Accounting export of successful results in a date range
+ * Query: ?profile=datev&from=YYYY-MM-DD&to=YYYY-MM-DD (profile defaults to output.exportProfile,
+ * dates filter by invoice date and are both optional)
+ */
+app.get('/api/clients/:id/results/export', async (req: Request, res: Response) => {
+    try {
+        const clientId = req.params.id as string;
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(clientId, globalConfig);
 
-                // Update the result record
-                await updateResult(clientConfig.folders.base, failedResult.id, result, {
-                    model: processingConfig.model,
-                    duration: (result as { duration?: number }).duration,
-                    clientId,
-                    clientName: clientConfig.name
-                });
+        const profile =
+            typeof req.query.profile === 'string' && req.query.profile
+                ? req.query.profile
+                : clientConfig.output?.exportProfile;
+        if (!profile) {
+            return res.status(400).json({ error: 'No export profile selected and no output.exportProfile configured' });
+        }
 
-                if (result.success) {
-                    retrySuccess++;
-                    res.write(
-                        'data: ' +
-                            JSON.stringify({
-                                status: 'retry-completed',
-                                resultId: failedResult.id,
-                                filename: failedResult.originalFilename,
-                                outputFilename: (result as { outputFilename?: string }).outputFilename,
-                                current: i + 1,
-                                total: resultsToRetry.length
-                            }) +
-                            '\n\n'
-                    );
-                } else {
-                    retryFailed++;
-                    res.write(
-                        'data: ' +
-                            JSON.stringify({
-                                status: 'retry-failed',
-                                resultId: failedResult.id,
-                                filename: failedResult.originalFilename,
-                                error: (result as { error?: string }).error,
-                                current: i + 1,
-                                total: resultsToRetry.length
-                            }) +
-                            '\n\n'
-                    );
-                }
-            } catch (error: unknown) {
-                retryFailed++;
-                res.write(
-                    'data: ' +
-                        JSON.stringify({
-                            status: 'retry-failed',
-                            resultId: failedResult.id,
-                            filename: failedResult.originalFilename,
-                            error: (error as Error).message,
-                            current: i + 1,
-                            total: resultsToRetry.length
-                        }) +
-                        '\n\n'
-                );
-            }
+        const records = await getSuccessfulResults(clientConfig.folders.base);
+        let file: ExportFile;
+        try {
+            file = buildExport(records, clientConfig as unknown as AppConfig, {
+                profile,
+                from: typeof req.query.from === 'string' && req.query.from ? req.query.from : undefined,
+                to: typeof req.query.to === 'string' && req.query.to ? req.query.to : undefined
+            });
+        } catch (error: unknown) {
+            const status = (error as Error).message.includes('not found') ? 404 : 400;
+            return res.status(status).json({ error: (error as Error).message });
         }
 
-        res.write(
-            'data: ' +
-                JSON.stringify({
-                    status: 'retry-done',
-                    success: retrySuccess,
-                    failed: retryFailed,
-                    total: resultsToRetry.length
-                }) +
-                '\n\n'
-        );
-        res.end();
-        activeProcessing.delete(clientId);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${clientId}-${file.filename}"`);
+        res.setHeader('X-Export-Count', String(file.count));
+        res.setHeader('X-Export-Skipped', String(file.skipped));
+        res.send(file.content);
     } catch (error: unknown) {
-        res.write('data: ' + JSON.stringify({ status: 'error', error: (error as Error).message }) + '\n\n');
-        res.end();
-        activeProcessing.delete(clientId);
+        const status = (error as Error).message.includes('not found') ? 404 : 500;
+        res.status(status).json({ error: (error as Error).message });
     }
-
-    req.on('close', () => {
-        activeProcessing.delete(clientId);
-    });
 });
 
 /**
- * GET /api/stats - Aggregate processing statistics across all clients
+ * GET /api/clients/:id/results/:resultId - Single result record (e.g. the original of a duplicate)
  */
-app.get('/api/stats', async (_req: Request, res: Response) => {
+app.get('/api/clients/:id/results/:resultId', async (req: Request, res: Response) => {
     try {
-        // Fast path: read from global archive
-        const globalStats = await getGlobalStats();
-        if (globalStats) {
-            return res.json(globalStats);
-        }
-
-        // Fallback: per-client loop (pre-backfill or empty archive)
-        const clients = await getAllClients();
+        const clientId = req.params.id as string;
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(clientId, globalConfig);
+
+        const result = await getResult(clientConfig.folders.base, req.params.resultId as string);
+        if (!result) {
+            return res.status(404).json({ error: `Result ${req.params.resultId} not found` });
+        }
+        res.json(result);
+    } catch (error: unknown) {
+        const status = (error as Error).message.includes('not found') ? 404 : 500;
+        res.status(status).json({ error: (error as Error).message });
+    }
+});
+
+/**
+ * Check the shape of a { fields, tags } corrections body
+ * @returns Error message, or null when the body is valid
+ */
+function checkEditsBody(fields: unknown, tags: unknown): string | null {
+    const isObject = (value: unknown) => typeof value === 'object' && value !== null && !Array.isArray(value);
+    if (fields !== undefined && !isObject(fields)) return 'fields must be an object';
+    if (tags !== undefined && !isObject(tags)) return 'tags must be an object';
+    return null;
+}
+
+/**
+ * Send the HTTP status for a review or correction error: unknown result, result in
+ * the wrong status, or invalid corrections
+ */
+function sendResultEditError(res: Response, error: unknown): void {
+    const message = (error as Error).message;
+    let status = 500;
+    if (message.includes('not found')) status = 404;
+    else if (message.includes('not pending review') || message.includes('cannot be corrected')) status = 409;
+    else if (message.startsWith('Unknown') || message.includes('must be')) status = 400;
+    res.status(status).json({ error: message });
+}
+
+/**
+ * GET /api/clients/:id/results/:resultId/file - The file a pending-review result waits with
+ */
+app.get('/api/clients/:id/results/:resultId/file', async (req: Request, res: Response) => {
+    try {
+        const clientId = req.params.id as string;
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(clientId, globalConfig);
+
+        const result = await getResult(clientConfig.folders.base, req.params.resultId as string);
+        if (!result) {
+            return res.status(404).json({ error: `Result ${req.params.resultId} not found` });
+        }
+        if (result.status !== 'pending-review' || !result.reviewFile) {
+            return res.status(409).json({ error: `Result ${req.params.resultId} is not pending review` });
+        }
+
+        const filePath = getReviewFilePath(buildProcessingConfig(globalConfig, clientConfig), result);
+        res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(result.reviewFile)}"`);
+        res.sendFile(filePath, (error) => {
+            if (error && !res.headersSent) res.status(404).json({ error: `File ${result.reviewFile} not found` });
+        });
+    } catch (error: unknown) {
+        sendResultEditError(res, error);
+    }
+});
+
+/**
+ * POST /api/clients/:id/results/:resultId/approve - Approve a pending-review result and file the invoice
+ * Body: { fields?: { key: value }, tags?: { id: boolean } } with the reviewer's corrections
+ * Refused with 409 while the client is being processed.
+ */
+app.post('/api/clients/:id/results/:resultId/approve', async (req: Request, res: Response) => {
+    try {
+        const clientId = req.params.id as string;
+        if (isClientBusy(clientId)) {
+            return res.status(409).json({ error: `Client "${clientId}" is already being processed` });
+        }
+        const { fields, tags } = req.body || {};
+        const bodyError = checkEditsBody(fields, tags);
+        if (bodyError) {
+            return res.status(400).json({ error: bodyError });
+        }
+
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(clientId, globalConfig);
+        const record = await approveReview(
+            req.params.resultId as string,
+            buildProcessingConfig(globalConfig, clientConfig),
+            { fields, tags },
+            { clientId, clientName: clientConfig.name }
+        );
+        res.json({ success: true, result: record });
+    } catch (error: unknown) {
+        sendResultEditError(res, error);
+    }
+});
+
+/**
+ * POST /api/clients/:id/results/:resultId/reject - Reject a pending-review result
+ * Body: { reason?: string }
+ * Refused with 409 while the client is being processed.
+ */
+app.post('/api/clients/:id/results/:resultId/reject', async (req: Request, res: Response) => {
+    try {
+        const clientId = req.params.id as string;
+        if (isClientBusy(clientId)) {
+            return res.status(409).json({ error: `Client "${clientId}" is already being processed` });
+        }
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : undefined;
+
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(clientId, globalConfig);
+        const record = await rejectReview(
+            req.params.resultId as string,
+            buildProcessingConfig(globalConfig, clientConfig),
+            reason || undefined,
+            { clientId, clientName: clientConfig.name }
+        );
+        res.json({ success: true, result: record });
+    } catch (error: unknown) {
+        sendResultEditError(res, error);
+    }
+});
+
+/**
+ * PATCH /api/clients/:id/results/:resultId - Correct the fields and tags of a successful result
+ * Body: { fields?: { key: value }, tags?: { id: boolean } }
+ * Regenerates the enriched PDF, its filename, CSV rows and UBL file; previous values are kept in `corrections`.
+ * Refused with 409 while the client is being processed.
+ */
+app.patch('/api/clients/:id/results/:resultId', async (req: Request, res: Response) => {
+    try {
+        const clientId = req.params.id as string;
+        if (isClientBusy(clientId)) {
+            return res.status(409).json({ error: `Client "${clientId}" is already being processed` });
+        }
+        const { fields, tags } = req.body || {};
+        const bodyError = checkEditsBody(fields, tags);
+        if (bodyError) {
+            return res.status(400).json({ error: bodyError });
+        }
+
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(clientId, globalConfig);
+        const record = await correctResult(
+            req.params.resultId as string,
+            buildProcessingConfig(globalConfig, clientConfig),
+            { fields, tags },
+            { clientId, clientName: clientConfig.name }
+        );
+        res.json({ success: true, result: record });
+    } catch (error: unknown) {
+        sendResultEditError(res, error);
+    }
+});
+
+/**
+ * POST /api/clients/:id/results/retry - Retry failed invoice processing (SSE)
+ * Body: { resultIds: ["uuid1", ...] } or { all: true }, with skipCache: true to ask the model again
+ */
+app.post('/api/clients/:id/results/retry', processingLimiter, async (req: Request, res: Response) => {
+    const clientId = req.params.id as string;
+
+    // SSE headers
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    res.write('data: ' + JSON.stringify({ status: 'connected', clientId }) + '\n\n');
+
+    try {
+        if (isClientBusy(clientId)) {
+            res.write(
+                'data: ' + JSON.stringify({ status: 'error', error: 'Client is already being processed' }) + '\n\n'
+            );
+            res.end();
+            return;
+        }
+
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(clientId, globalConfig);
+
+        // Determine which results to retry
+        let resultsToRetry;
+        if (req.body.all) {
+            resultsToRetry = await getFailedResults(clientConfig.folders.base);
+        } else if (req.body.resultIds && Array.isArray(req.body.resultIds)) {
+            resultsToRetry = [];
+            for (const id of req.body.resultIds) {
+                const r = await getResult(clientConfig.folders.base, id);
+                if (r && r.status === 'failed') resultsToRetry.push(r);
+            }
+        } else {
+            res.write(
+                'data: ' + JSON.stringify({ status: 'error', error: 'Provide resultIds array or all: true' }) + '\n\n'
+            );
+            res.end();
+            return;
+        }
+
+        if (resultsToRetry.length === 0) {
+            res.write('data: ' + JSON.stringify({ status: 'error', error: 'No failed results to retry' }) + '\n\n');
+            res.end();
+            return;
+        }
+
+        await jobManager.create(
+            {
+                type: 'retry',
+                clients: [{ clientId, name: clientConfig.name }],
+                skipCache: req.body.skipCache === true,
+                files: resultsToRetry.map((r) => ({
+                    clientId,
+                    filename: r.originalFilename,
+                    resultId: r.id,
+                    splitFrom: r.splitFrom
+                }))
+            },
+            sseJobListener(res)
+        );
+    } catch (error: unknown) {
+        res.write('data: ' + JSON.stringify({ status: 'error', error: (error as Error).message }) + '\n\n');
+        res.end();
+    }
+});
+
+/**
+ * GET /api/stats - Aggregate processing statistics across all clients
+ */
+app.get('/api/stats', async (_req: Request, res: Response) => {
+    try {
+        // Fast path: read from global archive
+        const globalStats = await getGlobalStats();
+        if (globalStats) {
+            return res.json(globalStats);
+        }
+
+        // Fallback: per-client loop (pre-backfill or empty archive)
+        const clients = await getAllClients();
         const globalConfig = await loadConfig({ requireFolders: false });
 
         const aggregate = {
@@ -882,6 +1427,7 @@ app.get('/api/stats', async (_req: Request, res: Response) => {
             successRate: 0,
             totalTokens: 0,
             totalCachedTokens: 0,
+            cacheHits: 0,
             lastProcessed: null as string | null
         };
 
@@ -900,6 +1446,7 @@ app.get('/api/stats', async (_req: Request, res: Response) => {
                         successRate: summary.successRate,
                         totalTokens: summary.tokenUsage.totalTokens,
                         totalCachedTokens: summary.tokenUsage.cachedTokens || 0,
+                        cacheHits: summary.cacheHits,
                         lastProcessed: summary.lastProcessed
                     };
 
@@ -908,6 +1455,7 @@ app.get('/api/stats', async (_req: Request, res: Response) => {
                     aggregate.totalFailed += summary.failed;
                     aggregate.totalTokens += summary.tokenUsage.totalTokens;
                     aggregate.totalCachedTokens += summary.tokenUsage.cachedTokens || 0;
+                    aggregate.cacheHits += summary.cacheHits;
 
                     if (
                         summary.lastProcessed &&
@@ -931,6 +1479,118 @@ app.get('/api/stats', async (_req: Request, res: Response) => {
     }
 });
 
+// ============================================================================
+// SUPPLIER REGISTRY API ENDPOINTS
+// ============================================================================
+
+/**
+ * Send the HTTP status for a supplier registry error: unknown supplier or invalid change
+ */
+function sendSupplierError(res: Response, error: unknown): void {
+    const message = (error as Error).message;
+    let status = 500;
+    if (message.includes('not found')) status = 404;
+    else if (message.startsWith('Unknown') || message.includes('must') || message.includes('already registered')) {
+        status = 400;
+    }
+    res.status(status).json({ error: message });
+}
+
+/**
+ * GET /api/clients/:id/suppliers - The client's supplier registry, sorted by name
+ */
+app.get('/api/clients/:id/suppliers', async (req: Request, res: Response) => {
+    try {
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(req.params.id as string, globalConfig);
+        res.json({ suppliers: await getSuppliers(clientConfig.folders.base) });
+    } catch (error: unknown) {
+        sendSupplierError(res, error);
+    }
+});
+
+/**
+ * POST /api/clients/:id/suppliers/merge - Merge suppliers into one
+ * Body: { targetId: "uuid", sourceIds: ["uuid", ...] }; the sources become aliases of the target
+ */
+app.post('/api/clients/:id/suppliers/merge', async (req: Request, res: Response) => {
+    try {
+        const { targetId, sourceIds } = req.body || {};
+        if (typeof targetId !== 'string' || !targetId) {
+            return res.status(400).json({ error: 'targetId must be a supplier ID' });
+        }
+
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(req.params.id as string, globalConfig);
+        const supplier = await mergeSuppliers(clientConfig.folders.base, targetId, sourceIds);
+        res.json({ success: true, supplier });
+    } catch (error: unknown) {
+        sendSupplierError(res, error);
+    }
+});
+
+/**
+ * PATCH /api/clients/:id/suppliers/:supplierId - Change a supplier
+ * Body: { name?, aliases?: [], vatNumber?, iban?, defaultCategory? }; null clears an optional value
+ */
+app.patch('/api/clients/:id/suppliers/:supplierId', async (req: Request, res: Response) => {
+    try {
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(req.params.id as string, globalConfig);
+        const supplier = await updateSupplier(clientConfig.folders.base, req.params.supplierId as string, req.body);
+        res.json({ success: true, supplier });
+    } catch (error: unknown) {
+        sendSupplierError(res, error);
+    }
+});
+
+/**
+ * DELETE /api/clients/:id/suppliers/:supplierId - Remove a supplier from the registry
+ */
+app.delete('/api/clients/:id/suppliers/:supplierId', async (req: Request, res: Response) => {
+    try {
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(req.params.id as string, globalConfig);
+        await deleteSupplier(clientConfig.folders.base, req.params.supplierId as string);
+        res.json({ success: true });
+    } catch (error: unknown) {
+        sendSupplierError(res, error);
+    }
+});
+
+// ============================================================================
+// RESPONSE CACHE API ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/clients/:id/response-cache - Number and total size of the client's cached model responses
+ */
+app.get('/api/clients/:id/response-cache', async (req: Request, res: Response) => {
+    try {
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(req.params.id as string, globalConfig);
+        res.json(await getResponseCacheStats(clientConfig.folders.base));
+    } catch (error: unknown) {
+        const status = (error as Error).message.includes('not found') ? 404 : 500;
+        res.status(status).json({ error: (error as Error).message });
+    }
+});
+
+/**
+ * DELETE /api/clients/:id/response-cache - Remove the client's cached model responses
+ */
+app.delete('/api/clients/:id/response-cache', async (req: Request, res: Response) => {
+    try {
+        const globalConfig = await loadConfig({ requireFolders: false });
+        const clientConfig = await getClientConfig(req.params.id as string, globalConfig);
+        const removed = await clearResponseCache(clientConfig.folders.base);
+        res.json({ success: true, removed });
+    } catch (error: unknown) {
+        const status = (error as Error).message.includes('not found') ? 404 : 500;
+        res.status(status).json({ error: (error as Error).message });
+    }
+});
+
 // ============================================================================
 // FILE LISTING API ENDPOINTS
 // ============================================================================
@@ -953,10 +1613,10 @@ app.get('/api/clients/:id/files', processingLimiter, async (req: Request, res: R
         }
 
         const entries = await fs.promises.readdir(inputFolder);
-        const pdfFiles = entries.filter((f) => f.toLowerCase().endsWith('.pdf'));
+        const invoiceFiles = entries.filter(isInvoiceFile);
 
         const files = await Promise.all(
-            pdfFiles.map(async (filename) => {
+            invoiceFiles.map(async (filename) => {
                 const filePath = path.join(inputFolder, filename);
                 const stat = await fs.promises.stat(filePath);
                 return {
@@ -982,6 +1642,7 @@ app.get('/api/clients/:id/files', processingLimiter, async (req: Request, res: R
 
 /**
  * POST /api/clients/:id/process - Process specific client (SSE)
+ * Runs as a job; closing the stream does not stop it (see /api/jobs).
  */
 app.post('/api/clients/:id/process', processingLimiter, async (req: Request, res: Response) => {
     const clientId = req.params.id as string;
@@ -997,7 +1658,7 @@ app.post('/api/clients/:id/process', processingLimiter, async (req: Request, res
 
     try {
         // Check if already processing this client
-        if (activeProcessing.has(clientId)) {
+        if (isClientBusy(clientId)) {
             res.write(
                 'data: ' +
                     JSON.stringify({
@@ -1010,62 +1671,22 @@ app.post('/api/clients/:id/process', processingLimiter, async (req: Request, res
             return;
         }
 
-        activeProcessing.set(clientId, true);
-
         const globalConfig = await loadConfig({ requireFolders: false });
-        const clientConfig = await getClientConfig(clientId, globalConfig);
-
-        // Check if folder exists
-        try {
-            await fs.promises.access(clientConfig.folders.base);
-        } catch {
-            res.write(
-                'data: ' +
-                    JSON.stringify({
-                        status: 'error',
-                        error: `Folder does not exist: ${clientConfig.folders.base}`
-                    }) +
-                    '\n\n'
-            );
-            res.end();
-            activeProcessing.delete(clientId);
-            return;
-        }
-
-        // Ensure subfolders exist (processed-original, processed-enriched)
-        await ensureClientDirectories(clientConfig);
-
-        // Merge client config with global config for processing
-        const processingConfig: AppConfig = {
-            ...globalConfig,
-            model: clientConfig.model ?? undefined,
-            folders: clientConfig.folders as unknown as AppConfig['folders'],
-            output: clientConfig.output,
-            fieldDefinitions: clientConfig.fieldDefinitions,
-            tagDefinitions: clientConfig.tagDefinitions ?? undefined,
-            promptTemplate: clientConfig.promptTemplate as AppConfig['promptTemplate']
-        };
+        const { clientConfig } = await prepareClient(clientId, globalConfig);
 
         // Check for dry-run mode and file selection
         const dryRun = req.body && req.body.dryRun === true;
-        const files = req.body && Array.isArray(req.body.files) ? req.body.files : undefined;
-
-        // Start processing with progress streaming
-        await processAllInvoices(processingConfig, {
-            csvPath: clientConfig.folders.csvPath,
-            dryRun,
-            files,
-            clientId,
-            clientName: clientConfig.name,
-            onProgress: (data) => {
-                res.write('data: ' + JSON.stringify({ ...data, clientId, dryRun }) + '\n\n');
+        const files: string[] | undefined = req.body && Array.isArray(req.body.files) ? req.body.files : undefined;
+
+        await jobManager.create(
+            {
+                type: 'process',
+                clients: [{ clientId, name: clientConfig.name }],
+                files: files?.map((filename) => ({ clientId, filename })),
+                dryRun
             },
-            onComplete: (summary) => {
-                res.write('data: ' + JSON.stringify({ ...summary, status: 'done', clientId, dryRun }) + '\n\n');
-                res.end();
-                activeProcessing.delete(clientId);
-            }
-        });
+            sseJobListener(res)
+        );
     } catch (error: unknown) {
         res.write(
             'data: ' +
@@ -1077,13 +1698,7 @@ app.post('/api/clients/:id/process', processingLimiter, async (req: Request, res
                 '\n\n'
         );
         res.end();
-        activeProcessing.delete(clientId);
     }
-
-    // Handle client disconnect
-    req.on('close', () => {
-        activeProcessing.delete(clientId);
-    });
 });
 
 /**
@@ -1101,7 +1716,7 @@ app.post('/api/clients/process-all', processingLimiter, async (req: Request, res
 
     try {
         // Check if already processing all
-        if (activeProcessing.has('all')) {
+        if (findActiveJob((job) => job.type === 'process-all')) {
             res.write(
                 'data: ' +
                     JSON.stringify({
@@ -1114,10 +1729,7 @@ app.post('/api/clients/process-all', processingLimiter, async (req: Request, res
             return;
         }
 
-        activeProcessing.set('all', true);
-
         const clients = await getAllClients();
-        const globalConfig = await loadConfig({ requireFolders: false });
 
         if (!clients || Object.keys(clients).length === 0) {
             res.write(
@@ -1129,7 +1741,6 @@ app.post('/api/clients/process-all', processingLimiter, async (req: Request, res
                     '\n\n'
             );
             res.end();
-            activeProcessing.delete('all');
             return;
         }
 
@@ -1146,136 +1757,240 @@ app.post('/api/clients/process-all', processingLimiter, async (req: Request, res
                     '\n\n'
             );
             res.end();
-            activeProcessing.delete('all');
             return;
         }
 
+        await jobManager.create(
+            {
+                type: 'process-all',
+                clients: enabledClients.map(([clientId, client]) => ({ clientId, name: client.name }))
+            },
+            sseJobListener(res)
+        );
+    } catch (error: unknown) {
         res.write(
             'data: ' +
                 JSON.stringify({
-                    status: 'starting-batch',
-                    totalClients: enabledClients.length,
-                    clients: enabledClients.map(([id, c]) => ({ clientId: id, name: c.name }))
+                    status: 'error',
+                    error: (error as Error).message
                 }) +
                 '\n\n'
         );
+        res.end();
+    }
+});
 
-        let totalSuccess = 0;
-        let totalFailed = 0;
-        let completedClients = 0;
+// ============================================================================
+// JOB API ENDPOINTS
+// ============================================================================
 
-        // Process each enabled client sequentially
-        for (const [clientId, client] of enabledClients) {
-            res.write(
-                'data: ' +
-                    JSON.stringify({
-                        status: 'client-starting',
-                        clientId,
-                        clientName: client.name,
-                        clientNumber: completedClients + 1,
-                        totalClients: enabledClients.length
-                    }) +
-                    '\n\n'
-            );
+/**
+ * GET /api/jobs - List jobs, newest first
+ * Query: clientId, status
+ */
+app.get('/api/jobs', (req: Request, res: Response) => {
+    const { clientId, status } = req.query;
 
-            try {
-                const clientConfig = await getClientConfig(clientId, globalConfig);
+    const jobs = jobManager
+        .list()
+        .filter((job) => !clientId || job.clients.some((c) => c.clientId === clientId))
+        .filter((job) => !status || job.status === status);
 
-                // Check if folder exists
-                try {
-                    await fs.promises.access(clientConfig.folders.base);
-                } catch {
-                    res.write(
-                        'data: ' +
-                            JSON.stringify({
-                                status: 'client-error',
-                                clientId,
-                                error: `Folder does not exist: ${clientConfig.folders.base}`
-                            }) +
-                            '\n\n'
-                    );
-                    completedClients++;
-                    continue;
-                }
+    res.json({ jobs: jobs.map(toJobOverview) });
+});
 
-                // Ensure subfolders exist (processed-original, processed-enriched)
-                await ensureClientDirectories(clientConfig);
+/**
+ * GET /api/jobs/:id - Job with per-file states
+ */
+app.get('/api/jobs/:id', (req: Request, res: Response) => {
+    const job = jobManager.get(req.params.id as string);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
 
-                const processingConfig: AppConfig = {
-                    ...globalConfig,
-                    model: clientConfig.model ?? undefined,
-                    folders: clientConfig.folders as unknown as AppConfig['folders'],
-                    output: clientConfig.output,
-                    fieldDefinitions: clientConfig.fieldDefinitions,
-                    tagDefinitions: clientConfig.tagDefinitions ?? undefined
-                };
+/**
+ * GET /api/jobs/:id/events - Follow a job's progress (SSE)
+ * Replays the events of a running job, then streams new ones; a finished job
+ * is sent as a single snapshot.
+ */
+app.get('/api/jobs/:id/events', (req: Request, res: Response) => {
+    const jobId = req.params.id as string;
+    const job = jobManager.get(jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
-                await processAllInvoices(processingConfig, {
-                    csvPath: clientConfig.folders.csvPath,
-                    clientId,
-                    clientName: clientConfig.name,
-                    onProgress: (data) => {
-                        res.write('data: ' + JSON.stringify({ ...data, clientId }) + '\n\n');
-                    },
-                    onComplete: (summary) => {
-                        totalSuccess += summary.success || 0;
-                        totalFailed += summary.failed || 0;
-                        res.write(
-                            'data: ' +
-                                JSON.stringify({
-                                    ...summary,
-                                    status: 'client-done',
-                                    clientId
-                                }) +
-                                '\n\n'
-                        );
-                    }
-                });
-            } catch (error: unknown) {
-                res.write(
-                    'data: ' +
-                        JSON.stringify({
-                            status: 'client-error',
-                            clientId,
-                            error: (error as Error).message
-                        }) +
-                        '\n\n'
-                );
-            }
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', '*');
 
-            completedClients++;
-        }
+    res.write('data: ' + JSON.stringify({ status: 'connected', jobId }) + '\n\n');
 
-        res.write(
-            'data: ' +
-                JSON.stringify({
-                    status: 'done',
-                    mode: 'all',
-                    totalClients: enabledClients.length,
-                    totalSuccess,
-                    totalFailed
-                }) +
-                '\n\n'
-        );
+    const unsubscribe = jobManager.subscribe(jobId, sseJobListener(res));
+    if (!unsubscribe) {
+        res.write('data: ' + JSON.stringify({ status: 'finished', job: toJobOverview(job) }) + '\n\n');
         res.end();
-        activeProcessing.delete('all');
+        return;
+    }
+    res.on('close', unsubscribe);
+});
+
+/**
+ * Apply a cancel/pause/resume action and send the updated job
+ * Unknown jobs get 404, jobs that have already finished 409.
+ */
+function controlJob(req: Request, res: Response, action: (jobId: string) => Job): void {
+    try {
+        const job = action(req.params.id as string);
+        res.json({ success: true, job: toJobOverview(job) });
     } catch (error: unknown) {
-        res.write(
-            'data: ' +
-                JSON.stringify({
-                    status: 'error',
-                    error: (error as Error).message
-                }) +
-                '\n\n'
-        );
-        res.end();
-        activeProcessing.delete('all');
+        const message = (error as Error).message;
+        res.status(message.includes('not found') ? 404 : 409).json({ error: message });
     }
+}
 
-    // Handle client disconnect
-    req.on('close', () => {
-        activeProcessing.delete('all');
+/**
+ * DELETE /api/jobs/:id - Cancel an unfinished job
+ * Files already being analyzed are finished; the rest stay in the input folder.
+ */
+app.delete('/api/jobs/:id', (req: Request, res: Response) => {
+    controlJob(req, res, (jobId) => jobManager.cancel(jobId));
+});
+
+/**
+ * POST /api/jobs/:id/pause - Hold a job before its next file
+ */
+app.post('/api/jobs/:id/pause', (req: Request, res: Response) => {
+    controlJob(req, res, (jobId) => jobManager.pause(jobId));
+});
+
+/**
+ * POST /api/jobs/:id/resume - Continue a paused job
+ */
+app.post('/api/jobs/:id/resume', (req: Request, res: Response) => {
+    controlJob(req, res, (jobId) => jobManager.resume(jobId));
+});
+
+// ============================================================================
+// WATCH-FOLDER MODE
+// ============================================================================
+
+let folderWatcher: FolderWatcher | null = null;
+
+/**
+ * Start the folder watcher with the current watch settings
+ * Each run is a process job like a manual run; a client that already has an
+ * active job is skipped and its files are picked up on a later poll.
+ */
+async function startFolderWatcher(): Promise<FolderWatcher> {
+    const globalConfig = await loadConfig({ requireFolders: false });
+
+    const watcher = createFolderWatcher({
+        ...globalConfig.watch,
+        getTargets: async () => (await getWatchTargets()) ?? [],
+        processFiles: async (target, files) => {
+            if (isClientBusy(target.id)) return null;
+
+            const job = await jobManager.create({
+                type: 'process',
+                clients: [{ clientId: target.id, name: target.name }],
+                files: files.map((filename) => ({ clientId: target.id, filename }))
+            });
+            const finished = await jobManager.wait(job.id);
+            if (finished.status === 'failed') {
+                throw new Error(finished.error);
+            }
+            return finished.summary ?? null;
+        },
+        onEvent: (event) => {
+            if (event.type === 'processed' && event.result) {
+                const { success, failed, duplicates } = event.result;
+                console.log(`👀 ${event.targetId}: ${success} processed, ${failed} failed, ${duplicates} duplicates`);
+            } else if (event.type === 'error') {
+                console.error(`👀 ${event.targetId}: ${event.error}`);
+            }
+        }
     });
+
+    watcher.start();
+    return watcher;
+}
+
+/**
+ * GET /api/watch/status - Watcher state and per-client activity
+ */
+app.get('/api/watch/status', (_req: Request, res: Response) => {
+    if (!folderWatcher) {
+        return res.json({ running: false, lastPollAt: null, targets: {} });
+    }
+    res.json(folderWatcher.getStatus());
+});
+
+/**
+ * POST /api/watch/start - Start watching all enabled clients
+ */
+app.post('/api/watch/start', async (_req: Request, res: Response) => {
+    try {
+        if (!(await isMultiClientMode())) {
+            return res.status(400).json({ error: 'Watch mode requires client configurations' });
+        }
+        if (folderWatcher?.getStatus().running) {
+            return res.status(409).json({ error: 'Watcher is already running' });
+        }
+
+        folderWatcher = await startFolderWatcher();
+        res.json({ success: true, status: folderWatcher.getStatus() });
+    } catch (error: unknown) {
+        res.status(500).json({ error: 'Failed to start watcher', details: (error as Error).message });
+    }
+});
+
+/**
+ * POST /api/watch/stop - Stop watching; waits for in-flight runs to finish
+ */
+app.post('/api/watch/stop', async (_req: Request, res: Response) => {
+    if (!folderWatcher?.getStatus().running) {
+        return res.status(409).json({ error: 'Watcher is not running' });
+    }
+
+    await folderWatcher.stop();
+    res.json({ success: true, status: folderWatcher.getStatus() });
+});
+
+/**
+ * PUT /api/clients/:id/watch - Include or exclude a client from watch mode
+ */
+app.put('/api/clients/:id/watch', async (req: Request, res: Response) => {
+    try {
+        const clientId = req.params.id as string;
+        const { enabled } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be a boolean' });
+        }
+
+        const existing = await getClient(clientId);
+        const config: Record<string, unknown> = { ...existing };
+        if (enabled) {
+            delete config.watch;
+        } else {
+            config.watch = false;
+        }
+        await updateClient(clientId, config);
+
+        res.json({ success: true, clientId, watch: enabled });
+    } catch (error: unknown) {
+        if ((error as Error).message.includes('not found')) {
+            return res.status(404).json({ error: (error as Error).message });
+        }
+        res.status(400).json({
+            error: 'Failed to update client',
+            details: (error as Error).message
+        });
+    }
 });
 
 // ============================================================================
@@ -1309,6 +2024,24 @@ if (!process.env.JEST_WORKER_ID) {
             console.warn('⚠️  WARNING: GEMINI_API_KEY not found in .env file');
             console.warn('   Please add your API key to continue\n');
         }
+
+        jobManager
+            .restore()
+            .then((jobs) => {
+                if (jobs.length > 0) {
+                    console.log(`🔁 Resuming ${jobs.length} interrupted job${jobs.length > 1 ? 's' : ''}\n`);
+                }
+            })
+            .catch((error: Error) => console.error('Failed to resume jobs:', error.message));
+
+        loadConfig({ requireFolders: false })
+            .then(async (config) => {
+                if (config.watch?.enabled && (await isMultiClientMode())) {
+                    folderWatcher = await startFolderWatcher();
+                    console.log('👀 Watching client folders for new PDFs\n');
+                }
+            })
+            .catch((error: Error) => console.error('Failed to start folder watcher:', error.message));
     });
 }
 
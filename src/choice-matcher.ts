@@ -0,0 +1,81 @@
+/**
+ * Mapping of extracted values onto the options of a choice field
+ * The prompt and response schema list the allowed values, but models still
+ * return near-misses: the label instead of the value, different case or
+ * punctuation, or a typo. A value maps to an option when, ignoring case,
+ * accents and punctuation, it equals the option's value or label, or is within
+ * a small edit distance of exactly one option.
+ */
+
+import type { ChoiceOption } from './types/index.js';
+
+// One edit allowed per this many characters of the longer string
+const CHARS_PER_EDIT = 4;
+
+// ── Private helpers ──
+
+/**
+ * Reduce text to lowercase letters and digits, without accents
+ */
+function normalize(text: string): string {
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a: string, b: string): number {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// ── Public API ──
+
+/**
+ * Find the option an extracted value stands for
+ * @param value - The extracted value
+ * @param options - The field's options
+ * @returns The matching option, or null when there is none or the closest match is ambiguous
+ */
+export function matchChoice(value: unknown, options: ChoiceOption[]): ChoiceOption | null {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = normalize(String(value));
+    if (!text) return null;
+
+    const exact = options.find((o) => normalize(o.value) === text || normalize(o.label) === text);
+    if (exact) return exact;
+
+    let best: ChoiceOption | null = null;
+    let bestDistance = Infinity;
+    let ambiguous = false;
+    for (const option of options) {
+        const distance = Math.min(
+            ...[option.value, option.label].map((candidate) => {
+                const target = normalize(candidate);
+                const allowed = Math.floor(Math.max(text.length, target.length) / CHARS_PER_EDIT);
+                const d = target ? editDistance(text, target) : Infinity;
+                return d <= allowed ? d : Infinity;
+            })
+        );
+        if (distance < bestDistance) {
+            best = option;
+            bestDistance = distance;
+            ambiguous = false;
+        } else if (distance === bestDistance && distance !== Infinity) {
+            ambiguous = true;
+        }
+    }
+    return ambiguous ? null : best;
+}
@@ -5,9 +5,17 @@ import {
     VALID_OVERRIDE_SECTIONS,
     DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER,
     DEFAULT_PROCESSED_ENRICHED_SUBFOLDER,
+    DEFAULT_DUPLICATES_SUBFOLDER,
+    DEFAULT_PENDING_REVIEW_SUBFOLDER,
+    DEFAULT_FAILED_SUBFOLDER,
     DEFAULT_CSV_FILENAME,
+    VALID_PROVIDERS,
+    DEFAULT_PROVIDER,
+    PROVIDER_API_KEY_ENV_VARS,
     safeJoin
 } from './constants.js';
+import { isCurrencyCode, isEnvVarName, validateSupplierRules } from './config.js';
+import { isInvoiceFile } from './image-input.js';
 
 import type {
     AppConfig,
@@ -106,6 +114,42 @@ export function validateClientConfig(clientId: string, config: Record<string, un
     if (config.model !== undefined && typeof config.model !== 'string') {
         throw new Error(`Client "${clientId}": "model" must be a string`);
     }
+    // provider is optional but must be a known provider if present
+    if (config.provider !== undefined && !(VALID_PROVIDERS as readonly unknown[]).includes(config.provider)) {
+        throw new Error(`Client "${clientId}": "provider" must be one of: ${VALID_PROVIDERS.join(', ')}`);
+    }
+    // watch is optional but must be a boolean if present
+    if (config.watch !== undefined && typeof config.watch !== 'boolean') {
+        throw new Error(`Client "${clientId}": "watch" must be a boolean`);
+    }
+    // reviewRequired is optional but must be a boolean if present
+    if (config.reviewRequired !== undefined && typeof config.reviewRequired !== 'boolean') {
+        throw new Error(`Client "${clientId}": "reviewRequired" must be a boolean`);
+    }
+    // confidenceThreshold is optional but must be a number between 0 and 1 if present
+    if (
+        config.confidenceThreshold !== undefined &&
+        (typeof config.confidenceThreshold !== 'number' ||
+            !(config.confidenceThreshold >= 0 && config.confidenceThreshold <= 1))
+    ) {
+        throw new Error(`Client "${clientId}": "confidenceThreshold" must be a number between 0 and 1`);
+    }
+    // baseCurrency is optional but must be a 3-letter currency code if present
+    if (config.baseCurrency !== undefined && !isCurrencyCode(config.baseCurrency)) {
+        throw new Error(`Client "${clientId}": "baseCurrency" must be a 3-letter currency code`);
+    }
+    // pdfPasswordEnvVar is optional but must be an environment variable name if present
+    if (config.pdfPasswordEnvVar !== undefined && !isEnvVarName(config.pdfPasswordEnvVar)) {
+        throw new Error(`Client "${clientId}": "pdfPasswordEnvVar" must be an environment variable name`);
+    }
+    // supplierRules is optional but must be a valid rule list if present
+    if (config.supplierRules !== undefined) {
+        try {
+            validateSupplierRules(config.supplierRules);
+        } catch (error: unknown) {
+            throw new Error(`Client "${clientId}": ${(error as Error).message}`, { cause: error });
+        }
+    }
 }
 
 /**
@@ -212,6 +256,15 @@ export async function getAllClients(): Promise<Record<string, ClientFile> | null
     return clientsConfig.clients;
 }
 
+/**
+ * Check whether a client runs on another provider than the global configuration
+ * The global model (and splitting model) is set for the global provider, so such a
+ * client falls back to its provider's default model unless it names its own.
+ */
+function overridesProvider(client: ClientFile, globalConfig: AppConfig): boolean {
+    return !!client.provider && client.provider !== (globalConfig.provider || DEFAULT_PROVIDER);
+}
+
 /**
  * Get merged configuration for a specific client
  * Merges global config with client-specific overrides (full override, not merge)
@@ -236,6 +289,7 @@ export async function getClientConfig(clientId: string, globalConfig: AppConfig)
         globalConfig.output?.processedOriginalSubfolder || DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER;
     const processedEnrichedSubfolder =
         globalConfig.output?.processedEnrichedSubfolder || DEFAULT_PROCESSED_ENRICHED_SUBFOLDER;
+    const duplicatesSubfolder = globalConfig.output?.duplicatesSubfolder || DEFAULT_DUPLICATES_SUBFOLDER;
     const csvFilename = globalConfig.output?.csvFilename || DEFAULT_CSV_FILENAME;
 
     const folders: ClientFolders = {
@@ -243,6 +297,9 @@ export async function getClientConfig(clientId: string, globalConfig: AppConfig)
         input: client.folderPath, // New PDFs are placed directly in the base folder
         processedOriginal: path.join(client.folderPath, processedOriginalSubfolder),
         processedEnriched: path.join(client.folderPath, processedEnrichedSubfolder),
+        duplicates: path.join(client.folderPath, duplicatesSubfolder),
+        pendingReview: path.join(client.folderPath, DEFAULT_PENDING_REVIEW_SUBFOLDER),
+        failed: path.join(client.folderPath, DEFAULT_FAILED_SUBFOLDER),
         csvPath: path.join(client.folderPath, csvFilename)
     };
 
@@ -303,8 +360,41 @@ export async function getClientConfig(clientId: string, globalConfig: AppConfig)
         promptTemplate = client.promptTemplate;
     }
 
-    // Model: client overrides global
-    const model = client.model || globalConfig.model || null;
+    // Model: client overrides global; the global model only applies to the global provider
+    const otherProvider = overridesProvider(client, globalConfig);
+    const model = client.model || (otherProvider ? null : globalConfig.model) || null;
+
+    // Provider: client overrides global
+    const provider = client.provider || globalConfig.provider || null;
+
+    // Review: the client's reviewRequired overrides processing.reviewRequired
+    let processing =
+        typeof client.reviewRequired === 'boolean'
+            ? { ...globalConfig.processing, reviewRequired: client.reviewRequired }
+            : globalConfig.processing;
+    // Splitting: the global splitting model only applies to the global provider too
+    if (otherProvider && processing?.splitting?.model) {
+        const { model: _splittingModel, ...splitting } = processing.splitting;
+        processing = { ...processing, splitting };
+    }
+    // Confidence: the client's confidenceThreshold overrides processing.confidence.threshold
+    if (typeof client.confidenceThreshold === 'number') {
+        processing = {
+            ...processing,
+            confidence: { ...processing?.confidence, threshold: client.confidenceThreshold }
+        };
+    }
+    // Currency conversion: the client's baseCurrency overrides processing.currencyConversion.baseCurrency
+    if (client.baseCurrency) {
+        processing = {
+            ...processing,
+            currencyConversion: { ...processing?.currencyConversion, baseCurrency: client.baseCurrency.toUpperCase() }
+        };
+    }
+    // Encrypted PDFs: the client's pdfPasswordEnvVar overrides processing.pdfPasswordEnvVar
+    if (client.pdfPasswordEnvVar) {
+        processing = { ...processing, pdfPasswordEnvVar: client.pdfPasswordEnvVar };
+    }
 
     return {
         clientId,
@@ -312,20 +402,25 @@ export async function getClientConfig(clientId: string, globalConfig: AppConfig)
         enabled: client.enabled,
         apiKeyEnvVar: client.apiKeyEnvVar || null,
         model,
+        provider,
         folders,
-        processing: globalConfig.processing,
+        processing,
         output,
         fieldDefinitions,
         tagDefinitions,
-        promptTemplate
+        promptTemplate,
+        consistencyRules: globalConfig.consistencyRules,
+        customFormats: globalConfig.customFormats,
+        // The client's own rules are checked first
+        supplierRules: [...(client.supplierRules || []), ...(globalConfig.supplierRules || [])]
     };
 }
 
 /**
  * Resolve API key for a client
- * Checks client-specific env var first, then falls back to default
+ * Checks client-specific env var first, then falls back to the provider's default
  * @param clientConfig - Client configuration object
- * @returns API key
+ * @returns API key (empty string for providers that need none)
  */
 export function resolveApiKey(clientConfig: MergedClientConfig): string {
     // 1. Check client-specific env var
@@ -333,14 +428,18 @@ export function resolveApiKey(clientConfig: MergedClientConfig): string {
         return process.env[clientConfig.apiKeyEnvVar]!;
     }
 
-    // 2. Fall back to default
-    if (process.env.GEMINI_API_KEY) {
-        return process.env.GEMINI_API_KEY;
+    // 2. Fall back to the provider default
+    const defaultEnvVar = PROVIDER_API_KEY_ENV_VARS[clientConfig.provider || DEFAULT_PROVIDER];
+    if (defaultEnvVar === null) {
+        return '';
+    }
+    if (process.env[defaultEnvVar]) {
+        return process.env[defaultEnvVar]!;
     }
 
     // 3. Error
     throw new Error(
-        `No API key found for client "${clientConfig.name}". Set ${clientConfig.apiKeyEnvVar || 'GEMINI_API_KEY'} environment variable.`
+        `No API key found for client "${clientConfig.name}". Set ${clientConfig.apiKeyEnvVar || defaultEnvVar} environment variable.`
     );
 }
 
@@ -513,15 +612,15 @@ export async function getClientFolderStatus(
         await fs.promises.access(folderPath);
         result.exists = true;
 
-        // Count PDFs in input folder (base folder, excluding subfolders)
+        // Count invoice files in input folder (base folder, excluding subfolders)
         const files = await fs.promises.readdir(folderPath);
-        result.inputPdfCount = files.filter((f) => f.toLowerCase().endsWith('.pdf')).length;
+        result.inputPdfCount = files.filter(isInvoiceFile).length;
 
-        // Count PDFs in processed-original subfolder
+        // Count invoice files in processed-original subfolder
         const processedPath = path.join(folderPath, processedOriginalSubfolder);
         try {
             const processedFiles = await fs.promises.readdir(processedPath);
-            result.processedCount = processedFiles.filter((f) => f.toLowerCase().endsWith('.pdf')).length;
+            result.processedCount = processedFiles.filter(isInvoiceFile).length;
         } catch {
             // Subfolder doesn't exist yet
         }
@@ -646,12 +745,18 @@ export async function getAnnotatedClientConfig(
         _source: (hasOutputOverride || hasLegacyOutput ? 'override' : 'global') as 'global' | 'override'
     };
 
-    // Model: client overrides global
+    // Model: client overrides global; the global model only applies to the global provider
     const effectiveModel = {
-        value: client.model || globalConfig.model || null,
+        value: client.model || (overridesProvider(client, globalConfig) ? null : globalConfig.model) || null,
         _source: (client.model ? 'override' : 'global') as 'global' | 'override'
     };
 
+    // Provider: client overrides global
+    const effectiveProvider = {
+        value: client.provider || globalConfig.provider || null,
+        _source: (client.provider ? 'override' : 'global') as 'global' | 'override'
+    };
+
     // Folder status
     const folderStatus = await getClientFolderStatus(
         client.folderPath,
@@ -675,21 +780,27 @@ export async function getAnnotatedClientConfig(
             enabled: client.enabled,
             folderPath: client.folderPath,
             apiKeyEnvVar: client.apiKeyEnvVar || null,
+            reviewRequired: client.reviewRequired ?? globalConfig.processing?.reviewRequired ?? false,
+            confidenceThreshold: client.confidenceThreshold ?? globalConfig.processing?.confidence?.threshold ?? null,
+            baseCurrency: client.baseCurrency ?? globalConfig.processing?.currencyConversion?.baseCurrency ?? null,
+            pdfPasswordEnvVar: client.pdfPasswordEnvVar ?? globalConfig.processing?.pdfPasswordEnvVar ?? null,
             folderStatus
         },
         model: effectiveModel,
+        provider: effectiveProvider,
         fieldDefinitions: effectiveFields,
         tagDefinitions: effectiveTags,
         promptTemplate: effectivePrompt,
         filenameTemplate: effectiveFilename,
-        output: effectiveOutput
+        output: effectiveOutput,
+        supplierRules: client.supplierRules || []
     };
 }
 
 /**
  * Save per-section overrides to a client's config file (partial update)
  * @param clientId - Client identifier
- * @param section - Override section: 'fields', 'tags', 'prompt', 'output', 'model'
+ * @param section - Override section: 'fields', 'tags', 'prompt', 'output', 'model', 'provider', 'supplierRules'
  * @param data - The override data
  */
 export async function saveClientOverrides(clientId: string, section: string, data: unknown): Promise<void> {
@@ -723,6 +834,16 @@ export async function saveClientOverrides(clientId: string, section: string, dat
         case 'model':
             config.model = data;
             break;
+        case 'provider':
+            if (!(VALID_PROVIDERS as readonly unknown[]).includes(data)) {
+                throw new Error(`Invalid provider: ${String(data)}. Must be one of: ${VALID_PROVIDERS.join(', ')}`);
+            }
+            config.provider = data;
+            break;
+        case 'supplierRules':
+            validateSupplierRules(data);
+            config.supplierRules = data;
+            break;
         default:
             throw new Error(
                 `Invalid override section: ${section}. Must be one of: ${VALID_OVERRIDE_SECTIONS.join(', ')}`
@@ -736,7 +857,7 @@ export async function saveClientOverrides(clientId: string, section: string, dat
 /**
  * Remove a per-section override from a client's config file
  * @param clientId - Client identifier
- * @param section - Override section: 'fields', 'tags', 'prompt', 'output', 'model'
+ * @param section - Override section: 'fields', 'tags', 'prompt', 'output', 'model', 'provider', 'supplierRules'
  */
 export async function removeClientOverrides(clientId: string, section: string): Promise<void> {
     const clientsDir = path.join(process.cwd(), 'clients');
@@ -770,6 +891,12 @@ export async function removeClientOverrides(clientId: string, section: string):
         case 'model':
             delete config.model;
             break;
+        case 'provider':
+            delete config.provider;
+            break;
+        case 'supplierRules':
+            delete config.supplierRules;
+            break;
         default:
             throw new Error(
                 `Invalid override section: ${section}. Must be one of: ${VALID_OVERRIDE_SECTIONS.join(', ')}`
@@ -4,16 +4,29 @@ import sanitize from 'sanitize-filename';
 
 import {
     VALID_FIELD_TYPES,
+    VALID_TABLE_COLUMN_TYPES,
     VALID_FIELD_FORMATS,
     FORMAT_NONE,
+    VALID_FORMAT_NORMALIZATIONS,
+    VALID_CHECKSUM_ALGORITHMS,
     DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER,
     DEFAULT_PROCESSED_ENRICHED_SUBFOLDER,
     DEFAULT_CSV_FILENAME,
+    VALID_PROVIDERS,
+    VALID_SPLIT_MODES,
+    VALID_LOW_CONFIDENCE_ACTIONS,
+    VALID_CONSISTENCY_RULE_TYPES,
+    E_INVOICE_FIELDS,
+    BUILT_IN_EXPORT_PROFILES,
+    VALID_EXPORT_FORMATS,
+    VALID_EXPORT_ENCODINGS,
+    VALID_EXPORT_VALUE_TYPES,
     safeJoin
 } from './constants.js';
 
 import type {
     AppConfig,
+    CustomFormatDefinition,
     FieldDefinition,
     TagDefinition,
     PromptTemplate,
@@ -21,7 +34,9 @@ import type {
     BackupMetadata,
     ImportResult,
     RestoreResult,
-    FieldFormatKey
+    FieldFormatKey,
+    ConsistencyRule,
+    SupplierRule
 } from './types/index.js';
 
 const CONFIG_FILE = 'config.json';
@@ -89,8 +104,12 @@ export async function loadConfig(options: { requireFolders?: boolean } = {}): Pr
 /**
  * Validate field definitions array
  * @param fieldDefinitions - Field definitions to validate
+ * @param customFormats - User-defined formats a field's "format" may also name
  */
-export function validateFieldDefinitions(fieldDefinitions: unknown): asserts fieldDefinitions is FieldDefinition[] {
+export function validateFieldDefinitions(
+    fieldDefinitions: unknown,
+    customFormats: AppConfig['customFormats'] = {}
+): asserts fieldDefinitions is FieldDefinition[] {
     if (!Array.isArray(fieldDefinitions)) {
         throw new Error('fieldDefinitions must be an array');
     }
@@ -116,21 +135,302 @@ export function validateFieldDefinitions(fieldDefinitions: unknown): asserts fie
         if (typeof field.enabled !== 'boolean') {
             throw new Error(`fieldDefinitions[${index}]: "enabled" must be a boolean`);
         }
-        if (field.format !== undefined && field.format !== null) {
-            if (field.format !== FORMAT_NONE && !VALID_FIELD_FORMATS[field.format as FieldFormatKey]) {
+        if (field.type === 'table') {
+            validateTableColumns(field.columns, `fieldDefinitions[${index}]`);
+        }
+        if (field.type === 'choice') {
+            validateChoiceOptions(field.options, `fieldDefinitions[${index}]`);
+        }
+        if (
+            field.eInvoiceField !== undefined &&
+            !(E_INVOICE_FIELDS as readonly unknown[]).includes(field.eInvoiceField)
+        ) {
+            throw new Error(
+                `fieldDefinitions[${index}]: "eInvoiceField" must be one of: ${E_INVOICE_FIELDS.join(', ')}`
+            );
+        }
+        if (field.format !== undefined && field.format !== null && field.format !== FORMAT_NONE) {
+            const builtIn = VALID_FIELD_FORMATS[field.format as FieldFormatKey];
+            const isCustom = !builtIn && Object.hasOwn(customFormats, field.format);
+            if (!builtIn && !isCustom) {
+                const formats = [...Object.keys(VALID_FIELD_FORMATS), ...Object.keys(customFormats)];
+                throw new Error(`fieldDefinitions[${index}]: "format" must be one of: ${formats.join(', ')}`);
+            }
+            // Custom formats apply to text fields
+            if (isCustom ? field.type !== 'text' : !builtIn.compatibleTypes.includes(field.type)) {
                 throw new Error(
-                    `fieldDefinitions[${index}]: "format" must be one of: ${Object.keys(VALID_FIELD_FORMATS).join(', ')}`
+                    `fieldDefinitions[${index}]: format "${field.format}" is not compatible with type "${field.type}"`
                 );
             }
+        }
+    }
+}
+
+/**
+ * Validate the user-defined field formats
+ * @param customFormats - The customFormats object from config.json
+ * @throws If a key clashes with a built-in format, a pattern does not compile,
+ *   or a normalization, checksum or weight is not supported
+ */
+export function validateCustomFormats(
+    customFormats: unknown
+): asserts customFormats is Record<string, CustomFormatDefinition> {
+    if (typeof customFormats !== 'object' || customFormats === null || Array.isArray(customFormats)) {
+        throw new Error('customFormats must be an object');
+    }
+    for (const [key, format] of Object.entries(customFormats as Record<string, Record<string, unknown>>)) {
+        const prefix = `customFormats.${key}`;
+        if (!/^[a-z][a-zA-Z0-9_]*$/.test(key)) {
+            throw new Error(
+                `${prefix}: key must start with a lowercase letter and contain only letters, digits and underscores`
+            );
+        }
+        if (key === FORMAT_NONE || Object.hasOwn(VALID_FIELD_FORMATS, key)) {
+            throw new Error(`${prefix}: key is already a built-in format`);
+        }
+        if (typeof format !== 'object' || format === null || Array.isArray(format)) {
+            throw new Error(`${prefix} must be an object`);
+        }
+        if (typeof format.label !== 'string' || format.label.trim() === '') {
+            throw new Error(`${prefix}: must have a "label" string`);
+        }
+        if (typeof format.pattern !== 'string' || format.pattern === '') {
+            throw new Error(`${prefix}: must have a "pattern" string`);
+        }
+        try {
+            new RegExp(format.pattern);
+        } catch {
+            throw new Error(`${prefix}: "pattern" is not a valid regular expression`);
+        }
+        if (
+            format.normalize !== undefined &&
+            (!Array.isArray(format.normalize) ||
+                format.normalize.some((n) => !(VALID_FORMAT_NORMALIZATIONS as readonly unknown[]).includes(n)))
+        ) {
+            throw new Error(`${prefix}: "normalize" must be an array of: ${VALID_FORMAT_NORMALIZATIONS.join(', ')}`);
+        }
+        if (
+            format.checksum !== undefined &&
+            !(VALID_CHECKSUM_ALGORITHMS as readonly unknown[]).includes(format.checksum)
+        ) {
+            throw new Error(`${prefix}: "checksum" must be one of: ${VALID_CHECKSUM_ALGORITHMS.join(', ')}`);
+        }
+        if (format.weights !== undefined) {
+            if (format.checksum !== 'mod11') {
+                throw new Error(`${prefix}: "weights" only applies to the mod11 checksum`);
+            }
             if (
-                field.format !== FORMAT_NONE &&
-                !VALID_FIELD_FORMATS[field.format as FieldFormatKey].compatibleTypes.includes(field.type)
+                !Array.isArray(format.weights) ||
+                format.weights.length === 0 ||
+                format.weights.some((w) => !Number.isInteger(w) || w < 0)
             ) {
-                throw new Error(
-                    `fieldDefinitions[${index}]: format "${field.format}" is not compatible with type "${field.type}"`
-                );
+                throw new Error(`${prefix}: "weights" must be a non-empty array of non-negative integers`);
             }
         }
+        if (format.example !== undefined && typeof format.example !== 'string') {
+            throw new Error(`${prefix}: "example" must be a string`);
+        }
+    }
+}
+
+/**
+ * Validate the options of a choice field
+ * @param options - Option definitions to validate
+ * @param context - Error message prefix (e.g. "fieldDefinitions[3]")
+ * @throws If the list is empty, or an option lacks a value or label or repeats a value
+ */
+function validateChoiceOptions(options: unknown, context: string): void {
+    if (!Array.isArray(options) || options.length === 0) {
+        throw new Error(`${context}: choice fields must have a non-empty "options" array`);
+    }
+    const values = new Set<string>();
+    for (const [optIndex, option] of options.entries()) {
+        if (!option || typeof option.value !== 'string' || option.value.trim() === '') {
+            throw new Error(`${context}.options[${optIndex}]: must have a "value" string`);
+        }
+        if (typeof option.label !== 'string' || option.label.trim() === '') {
+            throw new Error(`${context}.options[${optIndex}]: must have a "label" string`);
+        }
+        if (option.description !== undefined && typeof option.description !== 'string') {
+            throw new Error(`${context}.options[${optIndex}]: "description" must be a string`);
+        }
+        if (values.has(option.value)) {
+            throw new Error(`${context}.options[${optIndex}]: duplicate option value "${option.value}"`);
+        }
+        values.add(option.value);
+    }
+}
+
+/**
+ * Validate the sub-columns of a table field
+ * @param columns - Column definitions to validate
+ * @param context - Error message prefix (e.g. "fieldDefinitions[3]")
+ */
+function validateTableColumns(columns: unknown, context: string): void {
+    if (!Array.isArray(columns) || columns.length === 0) {
+        throw new Error(`${context}: table fields must have a non-empty "columns" array`);
+    }
+    const seenKeys = new Set<string>();
+    for (const [colIndex, column] of columns.entries()) {
+        if (!column.key || typeof column.key !== 'string' || !/^[a-z][a-zA-Z0-9]*$/.test(column.key)) {
+            throw new Error(
+                `${context}.columns[${colIndex}]: "key" must start with a lowercase letter and contain only alphanumeric characters`
+            );
+        }
+        if (seenKeys.has(column.key)) {
+            throw new Error(`${context}.columns[${colIndex}]: duplicate column key "${column.key}"`);
+        }
+        seenKeys.add(column.key);
+        if (!column.label || typeof column.label !== 'string') {
+            throw new Error(`${context}.columns[${colIndex}]: must have a "label" string`);
+        }
+        if (!(VALID_TABLE_COLUMN_TYPES as readonly string[]).includes(column.type)) {
+            throw new Error(
+                `${context}.columns[${colIndex}]: "type" must be one of: ${VALID_TABLE_COLUMN_TYPES.join(', ')}`
+            );
+        }
+        if (column.schemaHint !== undefined && typeof column.schemaHint !== 'string') {
+            throw new Error(`${context}.columns[${colIndex}]: "schemaHint" must be a string`);
+        }
+    }
+}
+
+/**
+ * Validate consistency rules array
+ * @param rules - Consistency rules to validate
+ */
+export function validateConsistencyRules(rules: unknown): asserts rules is ConsistencyRule[] {
+    if (!Array.isArray(rules)) {
+        throw new Error('consistencyRules must be an array');
+    }
+    const isRefList = (value: unknown): boolean =>
+        Array.isArray(value) && value.length > 0 && value.every((ref) => typeof ref === 'string' && ref !== '');
+    const seenIds = new Set<string>();
+    for (const [index, rule] of rules.entries()) {
+        if (!rule.id || typeof rule.id !== 'string') {
+            throw new Error(`consistencyRules[${index}]: must have an "id" string`);
+        }
+        if (seenIds.has(rule.id)) {
+            throw new Error(`consistencyRules[${index}]: duplicate id "${rule.id}"`);
+        }
+        seenIds.add(rule.id);
+        if (!(VALID_CONSISTENCY_RULE_TYPES as readonly string[]).includes(rule.type)) {
+            throw new Error(
+                `consistencyRules[${index}]: "type" must be one of: ${VALID_CONSISTENCY_RULE_TYPES.join(', ')}`
+            );
+        }
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            throw new Error(`consistencyRules[${index}]: "enabled" must be a boolean`);
+        }
+        switch (rule.type) {
+            case 'sum':
+                if (!isRefList(rule.addends) || !rule.total || typeof rule.total !== 'string') {
+                    throw new Error(`consistencyRules[${index}]: sum rules need "addends" and a "total" field`);
+                }
+                if (rule.tolerance !== undefined && (typeof rule.tolerance !== 'number' || rule.tolerance < 0)) {
+                    throw new Error(`consistencyRules[${index}]: "tolerance" must be a non-negative number`);
+                }
+                break;
+            case 'dateOrder':
+                if (
+                    !rule.earlier ||
+                    typeof rule.earlier !== 'string' ||
+                    !rule.later ||
+                    typeof rule.later !== 'string'
+                ) {
+                    throw new Error(`consistencyRules[${index}]: dateOrder rules need "earlier" and "later" fields`);
+                }
+                break;
+            case 'equal':
+                if (!isRefList(rule.fields) || rule.fields.length < 2) {
+                    throw new Error(`consistencyRules[${index}]: equal rules need at least two "fields"`);
+                }
+                break;
+        }
+    }
+}
+
+/**
+ * Validate supplier rules array
+ * @param rules - Supplier rules to validate
+ * @throws If a rule has no supplier, nothing to do, a pattern that does not compile
+ *   or a field rule without "set" or "pattern"
+ */
+export function validateSupplierRules(rules: unknown): asserts rules is SupplierRule[] {
+    if (!Array.isArray(rules)) {
+        throw new Error('supplierRules must be an array');
+    }
+    const isPattern = (value: unknown): boolean => {
+        if (typeof value !== 'string' || value === '') return false;
+        try {
+            new RegExp(value);
+            return true;
+        } catch {
+            return false;
+        }
+    };
+    for (const [index, rule] of rules.entries()) {
+        const prefix = `supplierRules[${index}]`;
+        if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+            throw new Error(`${prefix} must be an object`);
+        }
+        if (typeof rule.supplier !== 'string' || rule.supplier.trim() === '') {
+            throw new Error(`${prefix}: must have a "supplier" string`);
+        }
+        if (rule.filenamePattern !== undefined && !isPattern(rule.filenamePattern)) {
+            throw new Error(`${prefix}: "filenamePattern" must be a valid regular expression`);
+        }
+        if (rule.promptHint !== undefined && (typeof rule.promptHint !== 'string' || rule.promptHint.trim() === '')) {
+            throw new Error(`${prefix}: "promptHint" must be a non-empty string`);
+        }
+        if (rule.fields !== undefined) {
+            if (typeof rule.fields !== 'object' || rule.fields === null || Array.isArray(rule.fields)) {
+                throw new Error(`${prefix}: "fields" must be an object`);
+            }
+            for (const [key, fieldRule] of Object.entries(rule.fields as Record<string, Record<string, unknown>>)) {
+                const fieldPrefix = `${prefix}.fields.${key}`;
+                if (typeof fieldRule !== 'object' || fieldRule === null || Array.isArray(fieldRule)) {
+                    throw new Error(`${fieldPrefix} must be an object`);
+                }
+                if ((fieldRule.set === undefined) === (fieldRule.pattern === undefined)) {
+                    throw new Error(`${fieldPrefix}: must have either "set" or "pattern"`);
+                }
+                if (fieldRule.set !== undefined && !['string', 'number', 'boolean'].includes(typeof fieldRule.set)) {
+                    throw new Error(`${fieldPrefix}: "set" must be a string, number or boolean`);
+                }
+                if (fieldRule.pattern !== undefined && !isPattern(fieldRule.pattern)) {
+                    throw new Error(`${fieldPrefix}: "pattern" must be a valid regular expression`);
+                }
+                if (fieldRule.replacement !== undefined && typeof fieldRule.replacement !== 'string') {
+                    throw new Error(`${fieldPrefix}: "replacement" must be a string`);
+                }
+            }
+        }
+        if (rule.textPatterns !== undefined) {
+            if (
+                typeof rule.textPatterns !== 'object' ||
+                rule.textPatterns === null ||
+                Array.isArray(rule.textPatterns)
+            ) {
+                throw new Error(`${prefix}: "textPatterns" must be an object`);
+            }
+            for (const [key, pattern] of Object.entries(rule.textPatterns as Record<string, unknown>)) {
+                if (!isPattern(pattern)) {
+                    throw new Error(`${prefix}.textPatterns.${key} must be a valid regular expression`);
+                }
+            }
+        }
+        if (rule.pdfPasswordEnvVar !== undefined && !isEnvVarName(rule.pdfPasswordEnvVar)) {
+            throw new Error(`${prefix}: "pdfPasswordEnvVar" must be an environment variable name`);
+        }
+        if (
+            rule.promptHint === undefined &&
+            rule.fields === undefined &&
+            rule.textPatterns === undefined &&
+            rule.pdfPasswordEnvVar === undefined
+        ) {
+            throw new Error(`${prefix}: must have a "promptHint", "fields", "textPatterns" or "pdfPasswordEnvVar"`);
+        }
     }
 }
 
@@ -322,10 +622,40 @@ export function validateConfig(config: Record<string, unknown>, options: { requi
     if (typeof processing.retryAttempts !== 'number' || (processing.retryAttempts as number) < 0) {
         throw new Error('processing.retryAttempts must be a non-negative number');
     }
+    if (processing.splitting !== undefined) {
+        validateSplittingConfig(processing.splitting);
+    }
+    if (processing.readEInvoices !== undefined && typeof processing.readEInvoices !== 'boolean') {
+        throw new Error('processing.readEInvoices must be a boolean');
+    }
+    if (processing.reviewRequired !== undefined && typeof processing.reviewRequired !== 'boolean') {
+        throw new Error('processing.reviewRequired must be a boolean');
+    }
+    if (processing.supplierRegistry !== undefined && typeof processing.supplierRegistry !== 'boolean') {
+        throw new Error('processing.supplierRegistry must be a boolean');
+    }
+    if (processing.confidence !== undefined) {
+        validateConfidenceConfig(processing.confidence);
+    }
+    if (processing.currencyConversion !== undefined) {
+        validateCurrencyConversionConfig(processing.currencyConversion);
+    }
+    if (processing.textLayer !== undefined) {
+        validateTextLayerConfig(processing.textLayer);
+    }
+    if (processing.responseCache !== undefined) {
+        validateResponseCacheConfig(processing.responseCache);
+    }
+    if (processing.pdfPasswordEnvVar !== undefined && !isEnvVarName(processing.pdfPasswordEnvVar)) {
+        throw new Error('processing.pdfPasswordEnvVar must be an environment variable name');
+    }
 
-    // Validate field definitions if present
+    // Validate custom formats and field definitions if present
+    if (config.customFormats !== undefined) {
+        validateCustomFormats(config.customFormats);
+    }
     if (config.fieldDefinitions) {
-        validateFieldDefinitions(config.fieldDefinitions);
+        validateFieldDefinitions(config.fieldDefinitions, config.customFormats);
     }
 
     // Validate tag definitions if present
@@ -338,11 +668,333 @@ export function validateConfig(config: Record<string, unknown>, options: { requi
         validatePromptTemplate(config.promptTemplate);
     }
 
+    // Validate consistency rules if present
+    if (config.consistencyRules !== undefined) {
+        validateConsistencyRules(config.consistencyRules);
+    }
+
+    // Validate supplier rules if present
+    if (config.supplierRules !== undefined) {
+        validateSupplierRules(config.supplierRules);
+    }
+
+    // Validate provider if present
+    if (config.provider !== undefined && !(VALID_PROVIDERS as readonly unknown[]).includes(config.provider)) {
+        throw new Error(`provider must be one of: ${VALID_PROVIDERS.join(', ')}`);
+    }
+
+    // Validate watch settings if present
+    if (config.watch !== undefined) {
+        validateWatchConfig(config.watch);
+    }
+
     // Validate output
     const output = config.output as Record<string, unknown>;
     if (!output.filenameTemplate) {
         throw new Error('Missing required configuration: output.filenameTemplate');
     }
+    if (output.ubl !== undefined) {
+        validateUblExportConfig(output.ubl);
+    }
+
+    // Validate export profiles if present
+    if (config.exportProfiles !== undefined) {
+        validateExportProfiles(config.exportProfiles);
+    }
+    if (output.exportProfile !== undefined) {
+        const profiles = { ...BUILT_IN_EXPORT_PROFILES, ...(config.exportProfiles as Record<string, unknown>) };
+        if (typeof output.exportProfile !== 'string' || !Object.hasOwn(profiles, output.exportProfile)) {
+            throw new Error(`output.exportProfile must be one of: ${Object.keys(profiles).join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Validate document splitting settings
+ * @param splitting - The processing.splitting object from config.json
+ * @throws If a setting has the wrong type or range
+ */
+function validateSplittingConfig(splitting: unknown): void {
+    if (typeof splitting !== 'object' || splitting === null || Array.isArray(splitting)) {
+        throw new Error('processing.splitting must be an object');
+    }
+    const { enabled, mode, pagesPerDocument, model } = splitting as Record<string, unknown>;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new Error('processing.splitting.enabled must be a boolean');
+    }
+    if (mode !== undefined && !(VALID_SPLIT_MODES as readonly unknown[]).includes(mode)) {
+        throw new Error(`processing.splitting.mode must be one of: ${VALID_SPLIT_MODES.join(', ')}`);
+    }
+    if (
+        pagesPerDocument !== undefined &&
+        (typeof pagesPerDocument !== 'number' || !Number.isInteger(pagesPerDocument) || pagesPerDocument < 1)
+    ) {
+        throw new Error('processing.splitting.pagesPerDocument must be a positive integer');
+    }
+    if (mode === 'pages' && pagesPerDocument === undefined) {
+        throw new Error('processing.splitting.pagesPerDocument is required when mode is "pages"');
+    }
+    if (model !== undefined && (typeof model !== 'string' || model.trim() === '')) {
+        throw new Error('processing.splitting.model must be a non-empty string');
+    }
+}
+
+/**
+ * Validate per-field confidence settings
+ * @param confidence - The processing.confidence object from config.json
+ * @throws If a setting has the wrong type or range
+ */
+function validateConfidenceConfig(confidence: unknown): void {
+    if (typeof confidence !== 'object' || confidence === null || Array.isArray(confidence)) {
+        throw new Error('processing.confidence must be an object');
+    }
+    const { enabled, threshold, action } = confidence as Record<string, unknown>;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new Error('processing.confidence.enabled must be a boolean');
+    }
+    if (threshold !== undefined && (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 1))) {
+        throw new Error('processing.confidence.threshold must be a number between 0 and 1');
+    }
+    if (action !== undefined && !(VALID_LOW_CONFIDENCE_ACTIONS as readonly unknown[]).includes(action)) {
+        throw new Error(`processing.confidence.action must be one of: ${VALID_LOW_CONFIDENCE_ACTIONS.join(', ')}`);
+    }
+}
+
+/**
+ * Validate currency conversion settings
+ * @param conversion - The processing.currencyConversion object from config.json
+ * @throws If a currency is not a 3-letter code or the rates file is not a string
+ */
+function validateCurrencyConversionConfig(conversion: unknown): void {
+    if (typeof conversion !== 'object' || conversion === null || Array.isArray(conversion)) {
+        throw new Error('processing.currencyConversion must be an object');
+    }
+    const { baseCurrency, ratesFile, ratesBase } = conversion as Record<string, unknown>;
+    if (baseCurrency !== undefined && !isCurrencyCode(baseCurrency)) {
+        throw new Error('processing.currencyConversion.baseCurrency must be a 3-letter currency code');
+    }
+    if (ratesBase !== undefined && !isCurrencyCode(ratesBase)) {
+        throw new Error('processing.currencyConversion.ratesBase must be a 3-letter currency code');
+    }
+    if (ratesFile !== undefined && (typeof ratesFile !== 'string' || ratesFile.trim() === '')) {
+        throw new Error('processing.currencyConversion.ratesFile must be a non-empty string');
+    }
+}
+
+/**
+ * Validate text-layer extraction settings
+ * @param textLayer - The processing.textLayer object from config.json
+ * @throws If a flag is not a boolean or requiredFields is not a list of field keys
+ */
+function validateTextLayerConfig(textLayer: unknown): void {
+    if (typeof textLayer !== 'object' || textLayer === null || Array.isArray(textLayer)) {
+        throw new Error('processing.textLayer must be an object');
+    }
+    const { enabled, requiredFields, sendText } = textLayer as Record<string, unknown>;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new Error('processing.textLayer.enabled must be a boolean');
+    }
+    if (sendText !== undefined && typeof sendText !== 'boolean') {
+        throw new Error('processing.textLayer.sendText must be a boolean');
+    }
+    if (
+        requiredFields !== undefined &&
+        (!Array.isArray(requiredFields) || requiredFields.some((key) => typeof key !== 'string' || key === ''))
+    ) {
+        throw new Error('processing.textLayer.requiredFields must be an array of field keys');
+    }
+}
+
+/**
+ * Validate response cache settings
+ * @param responseCache - The processing.responseCache object from config.json
+ * @throws If enabled is not a boolean or maxSizeMb is not a positive number
+ */
+function validateResponseCacheConfig(responseCache: unknown): void {
+    if (typeof responseCache !== 'object' || responseCache === null || Array.isArray(responseCache)) {
+        throw new Error('processing.responseCache must be an object');
+    }
+    const { enabled, maxSizeMb } = responseCache as Record<string, unknown>;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new Error('processing.responseCache.enabled must be a boolean');
+    }
+    if (maxSizeMb !== undefined && (typeof maxSizeMb !== 'number' || !(maxSizeMb > 0))) {
+        throw new Error('processing.responseCache.maxSizeMb must be a positive number');
+    }
+}
+
+/**
+ * Check for an ISO 4217-style currency code (e.g. "EUR", case-insensitive)
+ * @param value - The value to check
+ * @returns Whether the value is a 3-letter code
+ */
+export function isCurrencyCode(value: unknown): boolean {
+    return typeof value === 'string' && /^[A-Za-z]{3}$/.test(value);
+}
+
+/**
+ * Check for an environment variable name (letters, digits and underscores, not starting with a digit)
+ * @param value - The value to check
+ * @returns Whether the value is a valid name
+ */
+export function isEnvVarName(value: unknown): boolean {
+    return typeof value === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(value);
+}
+
+/**
+ * Validate watch-folder settings
+ * @param watch - The watch object from config.json
+ * @throws If a setting has the wrong type or range
+ */
+function validateWatchConfig(watch: unknown): void {
+    if (typeof watch !== 'object' || watch === null || Array.isArray(watch)) {
+        throw new Error('watch must be an object');
+    }
+    const { enabled, pollIntervalMs, stabilityMs } = watch as Record<string, unknown>;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new Error('watch.enabled must be a boolean');
+    }
+    if (pollIntervalMs !== undefined && (typeof pollIntervalMs !== 'number' || pollIntervalMs < 100)) {
+        throw new Error('watch.pollIntervalMs must be a number of at least 100');
+    }
+    if (stabilityMs !== undefined && (typeof stabilityMs !== 'number' || stabilityMs < 0)) {
+        throw new Error('watch.stabilityMs must be a non-negative number');
+    }
+}
+
+/**
+ * Validate UBL export settings
+ * @param ubl - The output.ubl object from config.json
+ * @throws If a setting has the wrong type or maps to an unknown UBL value
+ */
+function validateUblExportConfig(ubl: unknown): void {
+    if (typeof ubl !== 'object' || ubl === null || Array.isArray(ubl)) {
+        throw new Error('output.ubl must be an object');
+    }
+    const { enabled, mapping } = ubl as Record<string, unknown>;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new Error('output.ubl.enabled must be a boolean');
+    }
+    if (mapping === undefined) return;
+    if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+        throw new Error('output.ubl.mapping must be an object');
+    }
+    for (const [key, target] of Object.entries(mapping)) {
+        if (!(E_INVOICE_FIELDS as readonly unknown[]).includes(target)) {
+            throw new Error(`output.ubl.mapping.${key} must be one of: ${E_INVOICE_FIELDS.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Validate the columns of a CSV export profile
+ * @param columns - The columns array
+ * @param prefix - Error message prefix (e.g. "exportProfiles.datev")
+ * @throws If a column is malformed
+ */
+function validateExportColumns(columns: unknown, prefix: string): void {
+    if (!Array.isArray(columns) || columns.length === 0) {
+        throw new Error(`${prefix}: "columns" must be a non-empty array`);
+    }
+    for (const [index, column] of columns.entries()) {
+        const where = `${prefix}.columns[${index}]`;
+        if (typeof column !== 'object' || column === null) {
+            throw new Error(`${where}: must be an object`);
+        }
+        const { header, field, tag, value, type, maxLength } = column as Record<string, unknown>;
+        if (typeof header !== 'string') {
+            throw new Error(`${where}: must have a "header" string`);
+        }
+        const fields = Array.isArray(field) ? field : [field];
+        if (field !== undefined && !fields.every((f) => typeof f === 'string' && f)) {
+            throw new Error(`${where}: "field" must be a field key or an array of field keys`);
+        }
+        if (tag !== undefined && typeof tag !== 'string') {
+            throw new Error(`${where}: "tag" must be a string`);
+        }
+        if (value !== undefined && typeof value !== 'string') {
+            throw new Error(`${where}: "value" must be a string`);
+        }
+        if (type !== undefined && !(VALID_EXPORT_VALUE_TYPES as readonly unknown[]).includes(type)) {
+            throw new Error(`${where}: "type" must be one of: ${VALID_EXPORT_VALUE_TYPES.join(', ')}`);
+        }
+        if (maxLength !== undefined && (!Number.isInteger(maxLength) || (maxLength as number) < 1)) {
+            throw new Error(`${where}: "maxLength" must be a positive integer`);
+        }
+    }
+}
+
+/**
+ * Validate export profiles
+ * Entries named like a built-in profile only need the properties they change.
+ * @param exportProfiles - The exportProfiles object from config.json
+ * @throws If a profile is malformed
+ */
+export function validateExportProfiles(exportProfiles: unknown): void {
+    if (typeof exportProfiles !== 'object' || exportProfiles === null || Array.isArray(exportProfiles)) {
+        throw new Error('exportProfiles must be an object');
+    }
+
+    for (const [name, profile] of Object.entries(exportProfiles)) {
+        const prefix = `exportProfiles.${name}`;
+        if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+            throw new Error(`${prefix}: must be an object`);
+        }
+        const p = profile as Record<string, unknown>;
+        const builtIn = Object.hasOwn(BUILT_IN_EXPORT_PROFILES, name) ? BUILT_IN_EXPORT_PROFILES[name] : null;
+        const format = p.format ?? builtIn?.format;
+
+        if (!builtIn && (typeof p.label !== 'string' || !p.label)) {
+            throw new Error(`${prefix}: must have a "label" string`);
+        }
+        if (!(VALID_EXPORT_FORMATS as readonly unknown[]).includes(format)) {
+            throw new Error(`${prefix}: "format" must be one of: ${VALID_EXPORT_FORMATS.join(', ')}`);
+        }
+        if (p.encoding !== undefined && !(VALID_EXPORT_ENCODINGS as readonly unknown[]).includes(p.encoding)) {
+            throw new Error(`${prefix}: "encoding" must be one of: ${VALID_EXPORT_ENCODINGS.join(', ')}`);
+        }
+        if (p.lineEnding !== undefined && p.lineEnding !== '\n' && p.lineEnding !== '\r\n') {
+            throw new Error(`${prefix}: "lineEnding" must be "\\n" or "\\r\\n"`);
+        }
+        if (p.delimiter !== undefined && (typeof p.delimiter !== 'string' || p.delimiter.length !== 1)) {
+            throw new Error(`${prefix}: "delimiter" must be a single character`);
+        }
+        if (p.decimalSeparator !== undefined && p.decimalSeparator !== '.' && p.decimalSeparator !== ',') {
+            throw new Error(`${prefix}: "decimalSeparator" must be "." or ","`);
+        }
+        for (const key of ['extension', 'dateFormat', 'rowsPerLineItem']) {
+            if (p[key] !== undefined && (typeof p[key] !== 'string' || !p[key])) {
+                throw new Error(`${prefix}: "${key}" must be a non-empty string`);
+            }
+        }
+        if (
+            p.booleanValues !== undefined &&
+            !(
+                Array.isArray(p.booleanValues) &&
+                p.booleanValues.length === 2 &&
+                p.booleanValues.every((v) => typeof v === 'string')
+            )
+        ) {
+            throw new Error(`${prefix}: "booleanValues" must be two strings`);
+        }
+        if (
+            p.preamble !== undefined &&
+            !(Array.isArray(p.preamble) && p.preamble.every((l) => typeof l === 'string'))
+        ) {
+            throw new Error(`${prefix}: "preamble" must be an array of strings`);
+        }
+        if (
+            p.settings !== undefined &&
+            (typeof p.settings !== 'object' ||
+                p.settings === null ||
+                !Object.values(p.settings).every((v) => typeof v === 'string'))
+        ) {
+            throw new Error(`${prefix}: "settings" must be an object of strings`);
+        }
+        if (format === 'csv' && (p.columns !== undefined || !builtIn?.columns)) {
+            validateExportColumns(p.columns, prefix);
+        }
+    }
 }
 
 /**
@@ -396,7 +1048,8 @@ export async function saveConfig(updates: Record<string, unknown>): Promise<void
  * @param fieldDefinitions - The field definitions array
  */
 export async function updateFieldDefinitions(fieldDefinitions: FieldDefinition[]): Promise<void> {
-    validateFieldDefinitions(fieldDefinitions);
+    const { customFormats } = await loadConfig({ requireFolders: false });
+    validateFieldDefinitions(fieldDefinitions, customFormats);
     await saveConfig({ fieldDefinitions });
 }
 
@@ -422,7 +1075,8 @@ export async function exportConfig(scope: string): Promise<ExportBundle> {
         case 'fields':
             data = {
                 fieldDefinitions: rawConfig.fieldDefinitions || null,
-                tagDefinitions: rawConfig.tagDefinitions || null
+                tagDefinitions: rawConfig.tagDefinitions || null,
+                customFormats: rawConfig.customFormats || null
             };
             break;
 
@@ -516,13 +1170,21 @@ export async function importConfig(bundle: unknown): Promise<ImportResult> {
 
     switch (b.scope) {
         case 'fields': {
+            const rawConfig = JSON.parse(await fs.promises.readFile(configPath, 'utf-8')) as Record<string, unknown>;
+            const customFormats = bundleData.customFormats ?? rawConfig.customFormats;
+            if (customFormats) {
+                validateCustomFormats(customFormats);
+            }
             if (bundleData.fieldDefinitions) {
-                validateFieldDefinitions(bundleData.fieldDefinitions);
+                validateFieldDefinitions(bundleData.fieldDefinitions, customFormats as AppConfig['customFormats']);
             }
             if (bundleData.tagDefinitions) {
                 validateTagDefinitions(bundleData.tagDefinitions);
             }
-            const rawConfig = JSON.parse(await fs.promises.readFile(configPath, 'utf-8')) as Record<string, unknown>;
+            if (bundleData.customFormats) {
+                rawConfig.customFormats = bundleData.customFormats;
+                imported.updated.push('customFormats');
+            }
             if (bundleData.fieldDefinitions !== undefined) {
                 rawConfig.fieldDefinitions = bundleData.fieldDefinitions;
                 imported.updated.push('fieldDefinitions');
@@ -541,8 +1203,14 @@ export async function importConfig(bundle: unknown): Promise<ImportResult> {
             const folders = rawConfig.folders; // Preserve environment-specific folders
             Object.assign(rawConfig, bundleData);
             rawConfig.folders = folders;
+            if (rawConfig.customFormats) {
+                validateCustomFormats(rawConfig.customFormats);
+            }
             if (rawConfig.fieldDefinitions) {
-                validateFieldDefinitions(rawConfig.fieldDefinitions);
+                validateFieldDefinitions(
+                    rawConfig.fieldDefinitions,
+                    rawConfig.customFormats as AppConfig['customFormats']
+                );
             }
             await fs.promises.writeFile(configPath, JSON.stringify(rawConfig, null, 2));
             clearConfigCache();
@@ -575,8 +1243,14 @@ export async function importConfig(bundle: unknown): Promise<ImportResult> {
                 const folders = rawConfig.folders;
                 Object.assign(rawConfig, bundleData.config as Record<string, unknown>);
                 rawConfig.folders = folders;
+                if (rawConfig.customFormats) {
+                    validateCustomFormats(rawConfig.customFormats);
+                }
                 if (rawConfig.fieldDefinitions) {
-                    validateFieldDefinitions(rawConfig.fieldDefinitions);
+                    validateFieldDefinitions(
+                        rawConfig.fieldDefinitions,
+                        rawConfig.customFormats as AppConfig['customFormats']
+                    );
                 }
                 await fs.promises.writeFile(configPath, JSON.stringify(rawConfig, null, 2));
                 clearConfigCache();
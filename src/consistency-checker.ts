@@ -0,0 +1,190 @@
+/**
+ * Cross-field consistency checks
+ * Runs configured rules (sums, date order, equal values) against an analysis
+ * after defaults and format corrections have been applied. Rules whose inputs
+ * were not extracted are skipped rather than reported.
+ */
+
+import { DEFAULT_CONSISTENCY_TOLERANCE } from './constants.js';
+import { isEmptyValue } from './field-values.js';
+
+import type { ConsistencyRule, ConsistencyWarning } from './types/index.js';
+
+// Resolved field value; table column references resolve to one value per row
+type ResolvedValue = { present: false } | { present: true; values: unknown[] };
+
+/**
+ * Resolve a field reference against the analysis
+ * Plain keys are read from the raw extraction so that filled-in defaults (0, 'Unknown')
+ * do not trigger false warnings. "table.column" references read the normalized rows.
+ * @param ref - Field key or "tableKey.columnKey"
+ * @param validated - The validated analysis
+ * @param raw - The raw analysis before defaults were applied
+ * @returns Resolved values, or not present
+ */
+function resolveField(ref: string, validated: Record<string, unknown>, raw: Record<string, unknown>): ResolvedValue {
+    const dot = ref.indexOf('.');
+    if (dot === -1) {
+        if (isEmptyValue(raw[ref])) return { present: false };
+        return { present: true, values: [validated[ref]] };
+    }
+
+    const rows = validated[ref.slice(0, dot)];
+    if (!Array.isArray(rows) || rows.length === 0) return { present: false };
+    const column = ref.slice(dot + 1);
+    return { present: true, values: rows.map((row) => (row as Record<string, unknown>)[column]) };
+}
+
+/**
+ * Coerce a value to a number
+ * @param value - Number or numeric string
+ * @returns The number, or null when not numeric
+ */
+function toNumber(value: unknown): number | null {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '') {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+    return null;
+}
+
+/**
+ * Parse a date value to a comparable YYYYMMDD string
+ * @param value - Date in YYYY-MM-DD (optionally with time) or YYYYMMDD form
+ * @returns Comparable date string, or null when unparseable
+ */
+function toDateKey(value: unknown): string | null {
+    if (typeof value !== 'string') return null;
+    const match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:T.*)?$/);
+    return match ? `${match[1]}${match[2]}${match[3]}` : null;
+}
+
+/**
+ * Round a sum to cents to avoid floating point noise in messages
+ */
+function round(value: number): number {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Describe a rule for warning messages
+ */
+function ruleLabel(rule: ConsistencyRule): string {
+    return rule.label || rule.id;
+}
+
+const checkers: Record<
+    ConsistencyRule['type'],
+    (
+        rule: ConsistencyRule,
+        validated: Record<string, unknown>,
+        raw: Record<string, unknown>
+    ) => ConsistencyWarning | null
+> = {
+    sum(rule, validated, raw) {
+        const addends = rule.addends || [];
+        if (!rule.total || addends.length === 0) return null;
+
+        const total = resolveField(rule.total, validated, raw);
+        const parts = addends.map((ref) => resolveField(ref, validated, raw));
+        if (!total.present || parts.some((p) => !p.present)) return null;
+
+        const expected = toNumber(total.values[0]);
+        if (expected === null) return null;
+
+        let actual = 0;
+        for (const part of parts) {
+            if (!part.present) return null;
+            for (const value of part.values) {
+                const n = toNumber(value);
+                if (n === null) return null;
+                actual += n;
+            }
+        }
+
+        const tolerance = rule.tolerance ?? DEFAULT_CONSISTENCY_TOLERANCE;
+        if (Math.abs(actual - expected) <= tolerance) return null;
+
+        return {
+            rule: rule.id,
+            type: rule.type,
+            fields: [...addends, rule.total],
+            message: `${ruleLabel(rule)}: ${addends.join(' + ')} = ${round(actual)}, but ${rule.total} is ${expected}`,
+            expected,
+            actual: round(actual)
+        };
+    },
+
+    dateOrder(rule, validated, raw) {
+        if (!rule.earlier || !rule.later) return null;
+
+        const earlier = resolveField(rule.earlier, validated, raw);
+        const later = resolveField(rule.later, validated, raw);
+        if (!earlier.present || !later.present) return null;
+
+        const earlierKey = toDateKey(earlier.values[0]);
+        const laterKey = toDateKey(later.values[0]);
+        if (!earlierKey || !laterKey || laterKey >= earlierKey) return null;
+
+        return {
+            rule: rule.id,
+            type: rule.type,
+            fields: [rule.earlier, rule.later],
+            message: `${ruleLabel(rule)}: ${rule.later} (${later.values[0]}) is before ${rule.earlier} (${earlier.values[0]})`,
+            expected: `${rule.later} on or after ${earlier.values[0]}`,
+            actual: String(later.values[0])
+        };
+    },
+
+    equal(rule, validated, raw) {
+        const fields = rule.fields || [];
+        const distinct = new Set<string>();
+
+        for (const ref of fields) {
+            const resolved = resolveField(ref, validated, raw);
+            if (!resolved.present) continue;
+            for (const value of resolved.values) {
+                if (isEmptyValue(value)) continue;
+                distinct.add(String(value).trim().toUpperCase());
+            }
+        }
+
+        if (distinct.size <= 1) return null;
+
+        const values = [...distinct];
+        return {
+            rule: rule.id,
+            type: rule.type,
+            fields,
+            message: `${ruleLabel(rule)}: expected one value across ${fields.join(', ')}, found ${values.join(', ')}`,
+            expected: values[0],
+            actual: values.slice(1).join(', ')
+        };
+    }
+};
+
+/**
+ * Run consistency rules against an analysis
+ * @param validated - The analysis after defaults and format corrections
+ * @param rules - Configured consistency rules
+ * @param raw - The raw analysis as returned by the model (used to detect missing values)
+ * @returns Warnings for every enabled rule that failed
+ */
+export function checkConsistency(
+    validated: Record<string, unknown>,
+    rules: ConsistencyRule[] | undefined,
+    raw: Record<string, unknown> = validated
+): ConsistencyWarning[] {
+    if (!rules || !Array.isArray(rules)) return [];
+
+    const warnings: ConsistencyWarning[] = [];
+    for (const rule of rules) {
+        if (rule.enabled === false) continue;
+        const checker = checkers[rule.type];
+        if (!checker) continue;
+        const warning = checker(rule, validated, raw);
+        if (warning) warnings.push(warning);
+    }
+    return warnings;
+}
@@ -3,9 +3,35 @@
 
 import path from 'node:path';
 
-import type { FieldFormatKey, FieldFormatDefinition, FieldType, OverrideSection } from './types/index.js';
+import type {
+    ChecksumAlgorithm,
+    ConsistencyRuleType,
+    ExportEncoding,
+    ExportFormat,
+    ExportProfile,
+    ExportValueType,
+    FieldFormatKey,
+    FieldFormatDefinition,
+    FieldType,
+    FormatNormalization,
+    LowConfidenceAction,
+    OverrideSection,
+    ProviderName,
+    SplitMode,
+    TableColumnType
+} from './types/index.js';
 
-export const VALID_FIELD_TYPES: readonly FieldType[] = ['text', 'number', 'boolean', 'date', 'array'] as const;
+export const VALID_FIELD_TYPES: readonly FieldType[] = [
+    'text',
+    'number',
+    'boolean',
+    'date',
+    'array',
+    'table',
+    'choice'
+] as const;
+
+export const VALID_TABLE_COLUMN_TYPES: readonly TableColumnType[] = ['text', 'number', 'boolean', 'date'] as const;
 
 export const VALID_FIELD_FORMATS: Record<FieldFormatKey, FieldFormatDefinition> = {
     iso8601: { label: 'Date (ISO 8601)', standard: 'ISO 8601', pattern: 'YYYY-MM-DD', compatibleTypes: ['date'] },
@@ -55,20 +81,172 @@ export const VALID_FIELD_FORMATS: Record<FieldFormatKey, FieldFormatDefinition>
 
 export const FORMAT_NONE = 'none';
 
+// User-defined formats (config.customFormats): value clean-ups and check-digit algorithms
+export const VALID_FORMAT_NORMALIZATIONS: readonly FormatNormalization[] = ['stripSpaces', 'uppercase'] as const;
+export const VALID_CHECKSUM_ALGORITHMS: readonly ChecksumAlgorithm[] = ['mod97', 'luhn', 'mod11'] as const;
+
+export const VALID_CONSISTENCY_RULE_TYPES: readonly ConsistencyRuleType[] = ['sum', 'dateOrder', 'equal'] as const;
+export const DEFAULT_CONSISTENCY_TOLERANCE = 0.01;
+
 export const VALID_OVERRIDE_SECTIONS: readonly OverrideSection[] = [
     'fields',
     'tags',
     'prompt',
     'output',
-    'model'
+    'model',
+    'provider',
+    'supplierRules'
 ] as const;
 
 export const DEFAULT_MODEL = 'gemini-3-flash-preview';
 
+export const VALID_PROVIDERS: readonly ProviderName[] = ['gemini', 'openai', 'local'] as const;
+export const DEFAULT_PROVIDER: ProviderName = 'gemini';
+
+// Env var holding the default API key per provider (null = no key required)
+export const PROVIDER_API_KEY_ENV_VARS: Record<ProviderName, string | null> = {
+    gemini: 'GEMINI_API_KEY',
+    openai: 'OPENAI_API_KEY',
+    local: null
+};
+
 export const DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER = 'processed-original';
 export const DEFAULT_PROCESSED_ENRICHED_SUBFOLDER = 'processed-enriched';
+export const DEFAULT_DUPLICATES_SUBFOLDER = 'duplicates';
+export const DEFAULT_PENDING_REVIEW_SUBFOLDER = 'pending-review';
+export const DEFAULT_FAILED_SUBFOLDER = 'failed';
 export const DEFAULT_CSV_FILENAME = 'invoice-log.csv';
 
+// Watch-folder mode: scan interval, and how long a PDF must stay unchanged before it is processed
+export const DEFAULT_WATCH_POLL_INTERVAL_MS = 5000;
+export const DEFAULT_WATCH_STABILITY_MS = 3000;
+
+// Image invoices accepted alongside PDFs, by extension
+export const IMAGE_MIME_TYPES: Record<string, string> = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff'
+};
+
+// Values read from e-invoice XML; fields with these keys (or a matching eInvoiceField) are filled from them
+export const E_INVOICE_FIELDS = [
+    'supplierName',
+    'vatNumber',
+    'buyerName',
+    'invoiceNumber',
+    'invoiceDate',
+    'paymentDate',
+    'currency',
+    'totalAmount',
+    'netAmount',
+    'vatAmount',
+    'amountDue',
+    'iban',
+    'paymentReference',
+    'lineItems'
+] as const;
+
+export const VALID_SPLIT_MODES: readonly SplitMode[] = ['classify', 'pages'] as const;
+
+export const VALID_LOW_CONFIDENCE_ACTIONS: readonly LowConfidenceAction[] = ['review', 'fail'] as const;
+
+// Currency conversion: ECB history CSV by default; older rates than this are not used
+export const DEFAULT_RATES_FILE = path.join('data', 'eurofxref-hist.csv');
+export const DEFAULT_RATES_BASE = 'EUR';
+export const MAX_RATE_AGE_DAYS = 7;
+
+export const VALID_EXPORT_FORMATS: readonly ExportFormat[] = ['csv', 'iif', 'saft'] as const;
+export const VALID_EXPORT_ENCODINGS: readonly ExportEncoding[] = ['utf-8', 'utf-8-bom', 'windows-1252'] as const;
+export const VALID_EXPORT_VALUE_TYPES: readonly ExportValueType[] = ['text', 'amount', 'date', 'boolean'] as const;
+
+// Accounting export profiles; config.json exportProfiles can change them (e.g. settings) or add new ones
+export const BUILT_IN_EXPORT_PROFILES: Record<string, ExportProfile> = {
+    datev: {
+        label: 'DATEV Buchungsstapel',
+        format: 'csv',
+        encoding: 'windows-1252',
+        lineEnding: '\r\n',
+        delimiter: ';',
+        decimalSeparator: ',',
+        dateFormat: 'DDMM',
+        quoteText: true,
+        preamble: [
+            '"EXTF";700;21;"Buchungsstapel";13;{created:YYYYMMDDHHmmssSSS};;"RE";"";"";{consultantNumber};{clientNumber};' +
+                '{from:YYYY}{fiscalYearStart};{accountLength};{from:YYYYMMDD};{to:YYYYMMDD};"Rechnungseingang";"";1;0;0;"EUR"'
+        ],
+        columns: [
+            { header: 'Umsatz (ohne Soll/Haben-Kz)', field: 'totalAmount', type: 'amount' },
+            { header: 'Soll/Haben-Kennzeichen', value: 'S' },
+            { header: 'WKZ Umsatz', field: 'currency' },
+            { header: 'Kurs' },
+            { header: 'Basis-Umsatz' },
+            { header: 'WKZ Basis-Umsatz' },
+            { header: 'Konto', value: '{expenseAccount}' },
+            { header: 'Gegenkonto (ohne BU-Schlüssel)', value: '{payableAccount}' },
+            { header: 'BU-Schlüssel' },
+            { header: 'Belegdatum', field: 'invoiceDate', type: 'date' },
+            { header: 'Belegfeld 1', field: 'invoiceNumber', maxLength: 36 },
+            { header: 'Belegfeld 2' },
+            { header: 'Skonto' },
+            { header: 'Buchungstext', field: 'supplierName', maxLength: 60 }
+        ],
+        // SKR03: 4900 other operating expenses, 70000 first creditor account
+        settings: {
+            consultantNumber: '1001',
+            clientNumber: '1',
+            fiscalYearStart: '0101',
+            accountLength: '4',
+            expenseAccount: '4900',
+            payableAccount: '70000'
+        }
+    },
+    xero: {
+        label: 'Xero bills (CSV)',
+        format: 'csv',
+        dateFormat: 'DD/MM/YYYY',
+        rowsPerLineItem: 'lineItems',
+        columns: [
+            { header: '*ContactName', field: 'supplierName' },
+            { header: '*InvoiceNumber', field: 'invoiceNumber' },
+            { header: '*InvoiceDate', field: 'invoiceDate', type: 'date' },
+            { header: '*DueDate', field: ['paymentDate', 'invoiceDate'], type: 'date' },
+            { header: '*Description', field: ['lineItems.description', 'summary', 'supplierName'] },
+            { header: '*Quantity', field: 'lineItems.quantity', value: '1' },
+            {
+                header: '*UnitAmount',
+                field: ['lineItems.unitPrice', 'lineItems.lineTotal', 'totalAmount'],
+                type: 'amount'
+            },
+            { header: '*AccountCode', value: '{expenseAccount}' },
+            { header: '*TaxType', value: '{taxType}' },
+            { header: 'Currency', field: 'currency' }
+        ],
+        settings: { expenseAccount: '429', taxType: 'INPUT' }
+    },
+    quickbooks: {
+        label: 'QuickBooks Desktop (IIF)',
+        format: 'iif',
+        encoding: 'windows-1252',
+        lineEnding: '\r\n',
+        dateFormat: 'MM/DD/YYYY',
+        settings: { payableAccount: 'Accounts Payable', expenseAccount: 'Expenses' }
+    },
+    saft: {
+        label: 'SAF-T purchase invoices (XML)',
+        format: 'saft',
+        settings: { companyName: '', companyId: '', currency: 'EUR' }
+    }
+};
+
+// Finished jobs kept in data/jobs/ for the job history; older ones are removed
+export const MAX_FINISHED_JOBS = 100;
+
+// Suffix for the companion CSV holding table-field rows (invoice-log.csv -> invoice-log-line-items.csv)
+export const LINE_ITEMS_CSV_SUFFIX = '-line-items';
+
 /**
  * Safely join a base directory with an untrusted segment.
  * Resolves the full path and verifies it stays within the base directory.
@@ -1,6 +1,8 @@
 import fs from 'node:fs';
+import path from 'node:path';
+import { LINE_ITEMS_CSV_SUFFIX } from './constants.js';
 
-import type { AppConfig, FieldDefinition, InvoiceAnalysis } from './types/index.js';
+import type { AppConfig, FieldDefinition, InvoiceAnalysis, TableColumnDefinition } from './types/index.js';
 
 /**
  * Build CSV headers dynamically from field definitions
@@ -12,7 +14,8 @@ export function buildCsvHeaders(config: AppConfig): string[] {
     const tagDefinitions = config.tagDefinitions;
 
     const headers: string[] = ['Enriched Filename', 'Original Filename'];
-    const enabledFields = fieldDefinitions.filter((f) => f.enabled);
+    // Table fields are logged to the companion line-items CSV instead
+    const enabledFields = fieldDefinitions.filter((f) => f.enabled && f.type !== 'table');
 
     for (const field of enabledFields) {
         headers.push(field.label);
@@ -27,6 +30,11 @@ export function buildCsvHeaders(config: AppConfig): string[] {
             headers.push(tag.label);
         }
     }
+    // Base-currency conversion of the total
+    const baseCurrency = config.processing?.currencyConversion?.baseCurrency;
+    if (baseCurrency) {
+        headers.push(`Amount (${baseCurrency.toUpperCase()})`, 'Exchange Rate', 'Rate Date');
+    }
     headers.push('Processed At');
     return headers;
 }
@@ -124,23 +132,16 @@ interface InvoiceRowData {
 }
 
 /**
- * Append an invoice row to the CSV file
- * @param csvPath - Path to the CSV file
- * @param data - Invoice data
- * @param config - Configuration object (for dynamic columns)
+ * Build the CSV line of an invoice (with trailing newline)
  */
-export async function appendInvoiceRow(csvPath: string, data: InvoiceRowData, config: AppConfig): Promise<void> {
+function buildInvoiceRow(data: InvoiceRowData, config: AppConfig, processedAt: string): string {
     const { outputFilename, originalFilename, analysis } = data;
-
-    // Ensure CSV exists before appending
-    await ensureCsvExists(csvPath, config);
-
     const fieldDefinitions = config.fieldDefinitions as FieldDefinition[];
     const tagDefinitions = config.tagDefinitions;
 
     // Build row from enabled field definitions
     const row: string[] = [outputFilename || '', originalFilename || ''];
-    const enabledFields = fieldDefinitions.filter((f) => f.enabled);
+    const enabledFields = fieldDefinitions.filter((f) => f.enabled && f.type !== 'table');
 
     for (const field of enabledFields) {
         row.push(formatFieldForCSV(analysis?.[field.key], field.type));
@@ -155,10 +156,207 @@ export async function appendInvoiceRow(csvPath: string, data: InvoiceRowData, co
             row.push(analysis?.tags?.[tag.id] ? 'Yes' : 'No');
         }
     }
-    row.push(new Date().toISOString());
+    if (config.processing?.currencyConversion?.baseCurrency) {
+        const conversion = analysis?._conversion;
+        row.push(
+            conversion ? conversion.baseCurrencyAmount.toFixed(2) : '',
+            conversion ? String(conversion.rate) : '',
+            conversion?.rateDate || ''
+        );
+    }
+    row.push(processedAt);
+
+    return row.map((v) => escapeCSV(v)).join(',') + '\n';
+}
+
+/**
+ * Append an invoice row to the CSV file
+ * @param csvPath - Path to the CSV file
+ * @param data - Invoice data
+ * @param config - Configuration object (for dynamic columns)
+ */
+export async function appendInvoiceRow(csvPath: string, data: InvoiceRowData, config: AppConfig): Promise<void> {
+    // Ensure CSV exists before appending
+    await ensureCsvExists(csvPath, config);
+
+    await fs.promises.appendFile(csvPath, buildInvoiceRow(data, config, new Date().toISOString()), 'utf-8');
+}
+
+/**
+ * Get the path of the companion line-items CSV next to the invoice log
+ * @param csvPath - Path to the invoice log CSV
+ * @returns Path to the line-items CSV (e.g. invoice-log-line-items.csv)
+ */
+export function getLineItemsCsvPath(csvPath: string): string {
+    const ext = path.extname(csvPath);
+    return path.join(path.dirname(csvPath), path.basename(csvPath, ext) + LINE_ITEMS_CSV_SUFFIX + (ext || '.csv'));
+}
+
+/**
+ * Collect the sub-columns of all enabled table fields (deduplicated by key, in order)
+ * @param config - Configuration object
+ * @returns Union of table columns
+ */
+function getLineItemColumns(config: AppConfig): TableColumnDefinition[] {
+    const columns = new Map<string, TableColumnDefinition>();
+    for (const field of config.fieldDefinitions || []) {
+        if (!field.enabled || field.type !== 'table') continue;
+        for (const column of field.columns || []) {
+            if (!columns.has(column.key)) columns.set(column.key, column);
+        }
+    }
+    return [...columns.values()];
+}
+
+/**
+ * Build line-items CSV headers from the enabled table fields
+ * @param config - Configuration object
+ * @returns Array of CSV column headers
+ */
+export function buildLineItemsCsvHeaders(config: AppConfig): string[] {
+    return [
+        'Enriched Filename',
+        'Original Filename',
+        'Table',
+        'Row',
+        ...getLineItemColumns(config).map((c) => c.label),
+        'Processed At'
+    ];
+}
+
+/**
+ * Append one row per table entry to the companion line-items CSV
+ * No-op when no table fields are enabled.
+ * @param csvPath - Path to the invoice log CSV (the line-items CSV is written next to it)
+ * @param data - Invoice data
+ * @param config - Configuration object
+ * @returns Number of line-item rows written
+ */
+export async function appendLineItemRows(csvPath: string, data: InvoiceRowData, config: AppConfig): Promise<number> {
+    const tableFields = (config.fieldDefinitions || []).filter((f) => f.enabled && f.type === 'table');
+    if (tableFields.length === 0) return 0;
+
+    const lineItemsPath = getLineItemsCsvPath(csvPath);
+    try {
+        await fs.promises.access(lineItemsPath);
+    } catch {
+        const headerLine = buildLineItemsCsvHeaders(config)
+            .map((h) => escapeCSV(h))
+            .join(',');
+        await fs.promises.writeFile(lineItemsPath, headerLine + '\n', 'utf-8');
+    }
+
+    const lines = buildLineItemRows(data, config, new Date().toISOString());
+    if (lines.length > 0) {
+        await fs.promises.appendFile(lineItemsPath, lines.join(''), 'utf-8');
+    }
+    return lines.length;
+}
+
+/**
+ * Build the line-items CSV lines of an invoice (one per table entry, with trailing newlines)
+ */
+function buildLineItemRows(data: InvoiceRowData, config: AppConfig, processedAt: string): string[] {
+    const { outputFilename, originalFilename, analysis } = data;
+    const tableFields = (config.fieldDefinitions || []).filter((f) => f.enabled && f.type === 'table');
+    const columns = getLineItemColumns(config);
+    const lines: string[] = [];
+
+    for (const field of tableFields) {
+        const rows = Array.isArray(analysis?.[field.key]) ? (analysis[field.key] as Record<string, unknown>[]) : [];
+        const fieldColumnKeys = new Set((field.columns || []).map((c) => c.key));
+
+        rows.forEach((entry, i) => {
+            const row: string[] = [outputFilename || '', originalFilename || '', field.label, String(i + 1)];
+            for (const column of columns) {
+                row.push(fieldColumnKeys.has(column.key) ? formatFieldForCSV(entry?.[column.key], column.type) : '');
+            }
+            row.push(processedAt);
+            lines.push(row.map((v) => escapeCSV(v)).join(',') + '\n');
+        });
+    }
+    return lines;
+}
+
+/**
+ * Split CSV content into records, keeping newlines inside quoted values
+ * @returns Records without their line endings
+ */
+function splitCsvRecords(content: string): string[] {
+    const records: string[] = [];
+    let inQuotes = false;
+    let start = 0;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === '\n' && !inQuotes) {
+            records.push(content.slice(start, i));
+            start = i + 1;
+        }
+    }
+    if (start < content.length) records.push(content.slice(start));
+    return records.filter((record) => record.trim());
+}
+
+/**
+ * Replace the rows of an invoice, found by enriched filename, keeping their position and Processed At
+ * Rows are appended when none match.
+ * @returns Whether a row was replaced
+ */
+async function replaceRows(
+    filePath: string,
+    previousFilename: string,
+    buildLines: (processedAt: string) => string[]
+): Promise<boolean> {
+    const records = splitCsvRecords(await fs.promises.readFile(filePath, 'utf-8'));
+    const matches = records
+        .map((record, i) => ({ i, values: parseCSVLine(record) }))
+        .filter(({ i, values }) => i > 0 && values[0] === previousFilename);
+
+    const processedAt = matches.length > 0 ? matches[0].values[matches[0].values.length - 1] : new Date().toISOString();
+    const lines = buildLines(processedAt).map((line) => line.replace(/\n$/, ''));
+    const matched = new Set(matches.map((m) => m.i));
+    // Matches are in file order, so nothing before the first one is removed
+    const insertAt = matches.length > 0 ? matches[0].i : records.length;
 
-    const rowLine = row.map((v) => escapeCSV(v)).join(',') + '\n';
-    await fs.promises.appendFile(csvPath, rowLine, 'utf-8');
+    const kept = records.filter((_, i) => !matched.has(i));
+    kept.splice(insertAt, 0, ...lines);
+    await fs.promises.writeFile(filePath, kept.join('\n') + '\n', 'utf-8');
+    return matches.length > 0;
+}
+
+/**
+ * Rewrite the CSV row (and line-item rows) of an invoice after its fields were corrected
+ * @param csvPath - Path to the invoice log CSV
+ * @param previousFilename - Enriched filename the rows were logged under
+ * @param data - Corrected invoice data
+ * @param config - Configuration object
+ * @returns Whether an existing invoice row was replaced (false: the row was appended)
+ */
+export async function replaceInvoiceRows(
+    csvPath: string,
+    previousFilename: string,
+    data: InvoiceRowData,
+    config: AppConfig
+): Promise<boolean> {
+    await ensureCsvExists(csvPath, config);
+    const replaced = await replaceRows(csvPath, previousFilename, (processedAt) => [
+        buildInvoiceRow(data, config, processedAt)
+    ]);
+
+    const hasTableFields = (config.fieldDefinitions || []).some((f) => f.enabled && f.type === 'table');
+    if (hasTableFields) {
+        const lineItemsPath = getLineItemsCsvPath(csvPath);
+        if (fs.existsSync(lineItemsPath)) {
+            await replaceRows(lineItemsPath, previousFilename, (processedAt) =>
+                buildLineItemRows(data, config, processedAt)
+            );
+        } else {
+            await appendLineItemRows(csvPath, data, config);
+        }
+    }
+    return replaced;
 }
 
 /**
@@ -0,0 +1,120 @@
+/**
+ * Duplicate invoice detection
+ * Recognises invoices that were already processed for a client, either by the
+ * SHA-256 of the PDF bytes or by supplier + invoice number + total amount.
+ * The index is loaded once per batch from results.jsonl and the global archive;
+ * files claimed during the batch are added so parallel workers see each other.
+ */
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { getProcessedRecords } from './result-manager.js';
+
+import type { DuplicateMatch, DuplicateReason, GlobalResultRecord, ResultRecord } from './types/index.js';
+
+/** Record details a new invoice claims in the index */
+interface IndexEntry {
+    id: string;
+    originalFilename: string;
+    outputFilename: string | null;
+    timestamp: string | null;
+}
+
+export interface DuplicateIndex {
+    /** Return the earlier record with the same file hash, or claim the hash for this entry */
+    claimFile(fileHash: string, entry: IndexEntry): DuplicateMatch | null;
+    /** Return the earlier record with the same invoice key, or claim the key for this entry */
+    claimInvoice(analysis: Record<string, unknown>, entry: IndexEntry): DuplicateMatch | null;
+    /** Drop claims held by an entry whose processing failed */
+    release(id: string): void;
+}
+
+/**
+ * Compute the SHA-256 hash of a file
+ * @param filePath - Path to the file
+ * @returns Hex digest
+ */
+export async function hashFile(filePath: string): Promise<string> {
+    const data = await fs.promises.readFile(filePath);
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Build the supplier + invoice number + amount key for an analysis
+ * Supplier and invoice number are compared without case, spacing or punctuation;
+ * the amount is compared to the cent.
+ * @param analysis - Extracted invoice fields
+ * @returns The key, or null when any part was not extracted
+ */
+export function buildInvoiceKey(analysis: Record<string, unknown>): string | null {
+    const normalize = (value: unknown): string =>
+        typeof value === 'string' && value !== 'Unknown' ? value.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '') : '';
+
+    const supplier = normalize(analysis.supplierName);
+    const invoiceNumber = normalize(analysis.invoiceNumber);
+    const amount = Number(analysis.totalAmount);
+    if (!supplier || !invoiceNumber || analysis.totalAmount === '' || !Number.isFinite(amount)) {
+        return null;
+    }
+
+    return `${supplier}|${invoiceNumber}|${amount.toFixed(2)}`;
+}
+
+/**
+ * Load the duplicate index for a client
+ * @param folderPath - Client base folder holding results.jsonl (optional in single-client mode)
+ * @param clientId - Client ID used to select entries from the global archive
+ * @returns The index
+ */
+export async function loadDuplicateIndex(folderPath: string | undefined, clientId?: string): Promise<DuplicateIndex> {
+    const byHash = new Map<string, IndexEntry>();
+    const byKey = new Map<string, IndexEntry>();
+
+    const records: Array<ResultRecord | GlobalResultRecord> = await getProcessedRecords(folderPath, clientId);
+    // Oldest first so the first occurrence stays the original
+    records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    for (const record of records) {
+        const entry: IndexEntry = {
+            id: record.id,
+            originalFilename: record.originalFilename,
+            outputFilename: record.outputFilename,
+            timestamp: record.timestamp
+        };
+        if (record.fileHash && !byHash.has(record.fileHash)) {
+            byHash.set(record.fileHash, entry);
+        }
+        const key = buildInvoiceKey(record.extractedFields || {});
+        if (key && !byKey.has(key)) {
+            byKey.set(key, entry);
+        }
+    }
+
+    const claim = (map: Map<string, IndexEntry>, key: string, entry: IndexEntry, reason: DuplicateReason) => {
+        const existing = map.get(key);
+        if (existing && existing.id !== entry.id) {
+            return { ...existing, reason };
+        }
+        map.set(key, entry);
+        return null;
+    };
+
+    return {
+        claimFile(fileHash, entry) {
+            return claim(byHash, fileHash, entry, 'fileHash');
+        },
+
+        claimInvoice(analysis, entry) {
+            const key = buildInvoiceKey(analysis);
+            return key ? claim(byKey, key, entry, 'invoiceKey') : null;
+        },
+
+        release(id) {
+            for (const map of [byHash, byKey]) {
+                for (const [key, entry] of map) {
+                    if (entry.id === id) map.delete(key);
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,292 @@
+/**
+ * Structured e-invoices
+ * Reads invoice data from e-invoice XML instead of asking the model:
+ * - hybrid PDFs (Factur-X / ZUGFeRD 2.x) that carry CII XML as an attachment
+ * - standalone XRechnung or Peppol .xml files in CII or UBL syntax
+ *
+ * The values are mapped onto fieldDefinitions by key: a field named like one of
+ * E_INVOICE_FIELDS (or pointing to one with eInvoiceField) is filled from the XML.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { AFRelationship, PDFDocument } from 'pdf-lib';
+import { E_INVOICE_FIELDS } from './constants.js';
+import { readAttachments } from './pdf-metadata.js';
+import { elementText, findElement, findElements, parseXml } from './xml.js';
+
+import type { XmlElement } from './xml.js';
+import type { EInvoiceInfo, FieldDefinition } from './types/index.js';
+
+/** Name of a value read from (or written to) an e-invoice */
+export type EInvoiceField = (typeof E_INVOICE_FIELDS)[number];
+
+/** Values read from an e-invoice; missing values are left out */
+export type EInvoiceValues = Partial<Record<EInvoiceField, unknown>>;
+
+export interface EInvoice {
+    values: EInvoiceValues;
+    info: EInvoiceInfo;
+}
+
+// ── Private: value helpers ──
+
+/**
+ * Normalise CII (format 102, YYYYMMDD) and UBL dates to YYYY-MM-DD
+ */
+function toIsoDate(value: string | null): string | null {
+    if (!value) return null;
+    const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+    if (compact) return `${compact[1]}-${compact[2]}-${compact[3]}`;
+    return /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : value;
+}
+
+function toNumber(value: string | null): number | null {
+    if (value === null) return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function withoutEmpty(values: Record<string, unknown>): Record<string, unknown> {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// ── Private: CII (Factur-X, ZUGFeRD, XRechnung CII) ──
+
+function readCii(root: XmlElement): EInvoice['values'] {
+    const transaction = findElement(root, 'SupplyChainTradeTransaction');
+    const agreement = findElement(transaction, 'ApplicableHeaderTradeAgreement');
+    const settlement = findElement(transaction, 'ApplicableHeaderTradeSettlement');
+    const seller = findElement(agreement, 'SellerTradeParty');
+    const totals = findElement(settlement, 'SpecifiedTradeSettlementHeaderMonetarySummation');
+    const currency = elementText(settlement, 'InvoiceCurrencyCode');
+
+    // The tax total may be repeated in the accounting currency
+    const taxTotal = findElements(totals, 'TaxTotalAmount').find(
+        (amount) => !amount.attributes.currencyID || amount.attributes.currencyID === currency
+    );
+    const vatRegistration = findElements(seller, 'SpecifiedTaxRegistration')
+        .map((registration) => findElement(registration, 'ID'))
+        .find((id) => id?.attributes.schemeID === 'VA');
+    const iban = findElements(settlement, 'SpecifiedTradeSettlementPaymentMeans')
+        .map((means) => elementText(means, 'PayeePartyCreditorFinancialAccount', 'IBANID'))
+        .find(Boolean);
+
+    const lineItems = findElements(transaction, 'IncludedSupplyChainTradeLineItem').map((line) =>
+        withoutEmpty({
+            description: elementText(line, 'SpecifiedTradeProduct', 'Name'),
+            quantity: toNumber(elementText(line, 'SpecifiedLineTradeDelivery', 'BilledQuantity')),
+            unitPrice: toNumber(
+                elementText(line, 'SpecifiedLineTradeAgreement', 'NetPriceProductTradePrice', 'ChargeAmount')
+            ),
+            vatRate: toNumber(
+                elementText(line, 'SpecifiedLineTradeSettlement', 'ApplicableTradeTax', 'RateApplicablePercent')
+            ),
+            lineTotal: toNumber(
+                elementText(
+                    line,
+                    'SpecifiedLineTradeSettlement',
+                    'SpecifiedTradeSettlementLineMonetarySummation',
+                    'LineTotalAmount'
+                )
+            )
+        })
+    );
+
+    return withoutEmpty({
+        supplierName: elementText(seller, 'Name'),
+        vatNumber: vatRegistration?.text.trim() || null,
+        buyerName: elementText(agreement, 'BuyerTradeParty', 'Name'),
+        invoiceNumber: elementText(root, 'ExchangedDocument', 'ID'),
+        invoiceDate: toIsoDate(elementText(root, 'ExchangedDocument', 'IssueDateTime', 'DateTimeString')),
+        paymentDate: toIsoDate(
+            elementText(settlement, 'SpecifiedTradePaymentTerms', 'DueDateDateTime', 'DateTimeString')
+        ),
+        currency,
+        totalAmount: toNumber(elementText(totals, 'GrandTotalAmount')),
+        netAmount: toNumber(elementText(totals, 'TaxBasisTotalAmount')),
+        vatAmount: toNumber(taxTotal?.text.trim() || null),
+        amountDue: toNumber(elementText(totals, 'DuePayableAmount')),
+        iban: iban || null,
+        paymentReference: elementText(settlement, 'PaymentReference'),
+        lineItems: lineItems.length > 0 ? lineItems : null
+    });
+}
+
+// ── Private: UBL (XRechnung UBL, Peppol BIS) ──
+
+function readUblParty(party: XmlElement | undefined): { name: string | null; vatNumber: string | null } {
+    const taxSchemes = findElements(party, 'PartyTaxScheme');
+    const vatScheme = taxSchemes.find((scheme) => elementText(scheme, 'TaxScheme', 'ID') === 'VAT') || taxSchemes[0];
+    return {
+        name: elementText(party, 'PartyLegalEntity', 'RegistrationName') ?? elementText(party, 'PartyName', 'Name'),
+        vatNumber: elementText(vatScheme, 'CompanyID')
+    };
+}
+
+function readUbl(root: XmlElement): EInvoice['values'] {
+    const isCreditNote = root.localName === 'CreditNote';
+    const supplier = readUblParty(findElement(root, 'AccountingSupplierParty', 'Party'));
+    const buyer = readUblParty(findElement(root, 'AccountingCustomerParty', 'Party'));
+    const totals = findElement(root, 'LegalMonetaryTotal');
+    const paymentMeans = findElement(root, 'PaymentMeans');
+    const currency = elementText(root, 'DocumentCurrencyCode');
+
+    // The tax total may be repeated in the tax currency
+    const taxTotal = findElements(root, 'TaxTotal')
+        .map((total) => findElement(total, 'TaxAmount'))
+        .find((amount) => amount && (!amount.attributes.currencyID || amount.attributes.currencyID === currency));
+
+    const lineItems = findElements(root, isCreditNote ? 'CreditNoteLine' : 'InvoiceLine').map((line) =>
+        withoutEmpty({
+            description: elementText(line, 'Item', 'Name') ?? elementText(line, 'Item', 'Description'),
+            quantity: toNumber(elementText(line, isCreditNote ? 'CreditedQuantity' : 'InvoicedQuantity')),
+            unitPrice: toNumber(elementText(line, 'Price', 'PriceAmount')),
+            vatRate: toNumber(elementText(line, 'Item', 'ClassifiedTaxCategory', 'Percent')),
+            lineTotal: toNumber(elementText(line, 'LineExtensionAmount'))
+        })
+    );
+
+    return withoutEmpty({
+        supplierName: supplier.name,
+        vatNumber: supplier.vatNumber,
+        buyerName: buyer.name,
+        invoiceNumber: elementText(root, 'ID'),
+        invoiceDate: toIsoDate(elementText(root, 'IssueDate')),
+        paymentDate: toIsoDate(elementText(root, 'DueDate') ?? elementText(paymentMeans, 'PaymentDueDate')),
+        currency,
+        totalAmount: toNumber(elementText(totals, 'TaxInclusiveAmount')),
+        netAmount: toNumber(elementText(totals, 'TaxExclusiveAmount')),
+        vatAmount: toNumber(taxTotal?.text.trim() || null),
+        amountDue: toNumber(elementText(totals, 'PayableAmount')),
+        iban: elementText(paymentMeans, 'PayeeFinancialAccount', 'ID'),
+        paymentReference: elementText(paymentMeans, 'PaymentID'),
+        lineItems: lineItems.length > 0 ? lineItems : null
+    });
+}
+
+// ── Public API ──
+
+/**
+ * Check whether a file is a standalone XML invoice
+ * @param filename - File name or path
+ * @returns True for .xml files
+ */
+export function isXmlFile(filename: string): boolean {
+    return filename.toLowerCase().endsWith('.xml');
+}
+
+/**
+ * Read an e-invoice XML document
+ * @param xml - The document
+ * @param attachment - Name of the PDF attachment it came from, if any
+ * @returns The values and format, or null when the document is not a CII or UBL invoice
+ * @throws If the XML is malformed
+ */
+export function parseEInvoice(xml: string, attachment: string | null = null): EInvoice | null {
+    const root = parseXml(xml);
+
+    if (root.localName === 'CrossIndustryInvoice') {
+        const profile = elementText(
+            root,
+            'ExchangedDocumentContext',
+            'GuidelineSpecifiedDocumentContextParameter',
+            'ID'
+        );
+        return { values: readCii(root), info: { syntax: 'cii', profile, attachment } };
+    }
+    if (root.localName === 'Invoice' || root.localName === 'CreditNote') {
+        return {
+            values: readUbl(root),
+            info: { syntax: 'ubl', profile: elementText(root, 'CustomizationID'), attachment }
+        };
+    }
+    return null;
+}
+
+/**
+ * Find e-invoice data for an input file
+ * PDFs are searched for an attached CII/UBL XML; attachments that cannot be
+ * parsed are skipped, so the PDF falls back to the model.
+ * @param filePath - Path to a PDF or .xml file
+ * @returns The e-invoice, or null when a PDF has none (images always return null)
+ * @throws If a standalone .xml file is not a CII or UBL invoice
+ */
+export async function readEInvoice(filePath: string): Promise<EInvoice | null> {
+    const filename = path.basename(filePath);
+
+    if (isXmlFile(filename)) {
+        const eInvoice = parseEInvoice(await fs.promises.readFile(filePath, 'utf-8'));
+        if (!eInvoice) {
+            throw new Error(`${filename} is not a CII or UBL e-invoice`);
+        }
+        return eInvoice;
+    }
+    if (!filename.toLowerCase().endsWith('.pdf')) {
+        return null;
+    }
+
+    let attachments: Array<{ name: string; data: Uint8Array }>;
+    try {
+        attachments = await readAttachments(filePath);
+    } catch {
+        return null; // left to the model, which reports why the PDF cannot be read
+    }
+
+    for (const attachment of attachments) {
+        if (!isXmlFile(attachment.name)) continue;
+        try {
+            const eInvoice = parseEInvoice(Buffer.from(attachment.data).toString('utf-8'), attachment.name);
+            if (eInvoice) return eInvoice;
+        } catch (error: unknown) {
+            console.warn(`Ignoring unreadable ${attachment.name} in ${filename}: ${(error as Error).message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Fill the enabled field definitions from e-invoice values
+ * Table fields receive the line items, reduced to their configured columns.
+ * @param values - Values from readEInvoice()
+ * @param fieldDefinitions - Configured fields
+ * @returns Analysis fields; fields without a matching value are left out
+ */
+export function mapEInvoiceFields(
+    values: EInvoiceValues,
+    fieldDefinitions: FieldDefinition[]
+): Record<string, unknown> {
+    const analysis: Record<string, unknown> = {};
+
+    for (const field of fieldDefinitions.filter((f) => f.enabled)) {
+        const value = values[(field.eInvoiceField || field.key) as EInvoiceField];
+        if (value === undefined) continue;
+
+        if (field.type === 'table' && Array.isArray(value)) {
+            const columns = (field.columns || []).map((column) => column.key);
+            analysis[field.key] = value.map((row: Record<string, unknown>) =>
+                Object.fromEntries(columns.filter((key) => key in row).map((key) => [key, row[key]]))
+            );
+        } else {
+            analysis[field.key] = value;
+        }
+    }
+
+    return analysis;
+}
+
+/**
+ * Create the PDF for a standalone XML invoice
+ * The XML is attached as the source document; the caller adds the summary page.
+ * @param xmlPath - Path to the .xml file
+ * @returns A document without pages
+ */
+export async function eInvoiceToPdf(xmlPath: string): Promise<PDFDocument> {
+    const pdfDoc = await PDFDocument.create();
+    await pdfDoc.attach(new Uint8Array(await fs.promises.readFile(xmlPath)), path.basename(xmlPath), {
+        mimeType: 'application/xml',
+        description: 'Original e-invoice',
+        afRelationship: AFRelationship.Source
+    });
+    return pdfDoc;
+}
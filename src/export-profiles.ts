@@ -0,0 +1,392 @@
+/**
+ * Accounting-system exports
+ * Writes the results of a date range in the layout an accounting system imports:
+ * - CSV profiles (DATEV, Xero, custom) map fields and tags to columns with their
+ *   own delimiter, date and number formats and encoding
+ * - QuickBooks IIF and SAF-T XML have fixed layouts and read the standard field
+ *   keys (supplierName, invoiceNumber, invoiceDate, totalAmount, ...)
+ *
+ * Built-in profiles are in BUILT_IN_EXPORT_PROFILES; config.json exportProfiles
+ * changes them or adds new ones.
+ */
+
+import { BUILT_IN_EXPORT_PROFILES } from './constants.js';
+import { formatDateForCSV } from './csv-logger.js';
+import { isEmptyValue, toAmount } from './field-values.js';
+import { escapeXml } from './xml.js';
+
+import type { AppConfig, ExportColumn, ExportProfile, ExportValueType, ResultRecord } from './types/index.js';
+
+const DEFAULT_EXTENSIONS: Record<ExportProfile['format'], string> = { csv: '.csv', iif: '.iif', saft: '.xml' };
+const CONTENT_TYPES: Record<ExportProfile['format'], string> = {
+    csv: 'text/csv',
+    iif: 'text/plain',
+    saft: 'application/xml'
+};
+
+// Characters where Windows-1252 differs from Latin-1 (0x80-0x9F)
+const CP1252_EXTRA: Record<string, number> = {
+    '€': 0x80,
+    '‚': 0x82,
+    ƒ: 0x83,
+    '„': 0x84,
+    '…': 0x85,
+    '†': 0x86,
+    '‡': 0x87,
+    ˆ: 0x88,
+    '‰': 0x89,
+    Š: 0x8a,
+    '‹': 0x8b,
+    Œ: 0x8c,
+    Ž: 0x8e,
+    '‘': 0x91,
+    '’': 0x92,
+    '“': 0x93,
+    '”': 0x94,
+    '•': 0x95,
+    '–': 0x96,
+    '—': 0x97,
+    '˜': 0x98,
+    '™': 0x99,
+    š: 0x9a,
+    '›': 0x9b,
+    œ: 0x9c,
+    ž: 0x9e,
+    Ÿ: 0x9f
+};
+
+interface Row {
+    fields: Record<string, unknown>;
+    tags: Record<string, boolean>;
+    line: Record<string, unknown> | null; // line item when rowsPerLineItem is set
+}
+
+export interface ExportFile {
+    filename: string;
+    contentType: string;
+    content: Buffer;
+    count: number; // invoices written
+    skipped: number; // invoices in the range that the format cannot represent
+}
+
+// ── Private: formatting ──
+
+/**
+ * Format an ISO date or timestamp with YYYY, YY, MM, DD, HH, mm, ss and SSS tokens
+ */
+function formatDate(iso: string, format: string): string {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2})(?:\.(\d{3}))?)?/.exec(iso);
+    if (!match) return iso;
+    const [, year, month, day, hours = '00', minutes = '00', seconds = '00', millis = '000'] = match;
+    const tokens: Record<string, string> = {
+        YYYY: year,
+        YY: year.slice(2),
+        MM: month,
+        DD: day,
+        HH: hours,
+        mm: minutes,
+        ss: seconds,
+        SSS: millis
+    };
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss|SSS/g, (token) => tokens[token]);
+}
+
+function formatValue(value: unknown, type: ExportValueType, profile: ExportProfile): string {
+    if (type === 'boolean') {
+        const [yes, no] = profile.booleanValues || ['Yes', 'No'];
+        return value ? yes : no;
+    }
+    if (isEmptyValue(value)) return '';
+
+    if (type === 'amount') {
+        const amount = toAmount(value);
+        if (amount === null) return String(value);
+        const text = amount.toFixed(2);
+        return profile.decimalSeparator === ',' ? text.replace('.', ',') : text;
+    }
+    if (type === 'date') {
+        return formatDate(formatDateForCSV(value), profile.dateFormat || 'YYYY-MM-DD');
+    }
+    return Array.isArray(value) ? value.join('; ') : String(value);
+}
+
+/**
+ * Replace {setting} and {from:FORMAT}-style placeholders
+ */
+function fillPlaceholders(text: string, profile: ExportProfile, dates: Record<string, string>): string {
+    return text.replace(/\{(\w+)(?::([^}]+))?\}/g, (_match, name: string, format?: string) => {
+        if (name in dates) return formatDate(dates[name], format || profile.dateFormat || 'YYYY-MM-DD');
+        return profile.settings?.[name] ?? '';
+    });
+}
+
+function encode(text: string, encoding: ExportProfile['encoding']): Buffer {
+    if (encoding === 'utf-8-bom') return Buffer.from(`\uFEFF${text}`, 'utf-8');
+    if (encoding !== 'windows-1252') return Buffer.from(text, 'utf-8');
+
+    const bytes = Buffer.alloc(text.length);
+    let length = 0;
+    for (const char of text) {
+        const code = char.codePointAt(0)!;
+        bytes[length++] = CP1252_EXTRA[char] ?? (code <= 0xff && (code < 0x80 || code > 0x9f) ? code : 0x3f); // '?'
+    }
+    return bytes.subarray(0, length);
+}
+
+// ── Private: CSV profiles ──
+
+function readColumn(column: ExportColumn, row: Row, profile: ExportProfile, dates: Record<string, string>): string {
+    const type = column.type || 'text';
+    let value: unknown;
+
+    if (column.tag) {
+        value = row.tags[column.tag];
+    } else {
+        for (const ref of column.field === undefined ? [] : [column.field].flat()) {
+            const [tableKey, columnKey] = ref.split('.');
+            const candidate =
+                columnKey === undefined
+                    ? row.fields[ref]
+                    : tableKey === profile.rowsPerLineItem
+                      ? row.line?.[columnKey]
+                      : null;
+            if (!isEmptyValue(candidate)) {
+                value = candidate;
+                break;
+            }
+        }
+        if (isEmptyValue(value) && column.value !== undefined) {
+            value = fillPlaceholders(column.value, profile, dates);
+        }
+    }
+
+    const text = formatValue(value, type, profile);
+    return column.maxLength ? text.slice(0, column.maxLength) : text;
+}
+
+function buildCsv(records: ResultRecord[], profile: ExportProfile, dates: Record<string, string>): string[] {
+    const delimiter = profile.delimiter || ',';
+    const columns = profile.columns || [];
+    const quote = (text: string, quoteText = false): string =>
+        (quoteText && text) || /["\r\n]/.test(text) || text.includes(delimiter)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    const isText = (column: ExportColumn) => !!profile.quoteText && (column.type || 'text') === 'text';
+
+    const lines = (profile.preamble || []).map((line) => fillPlaceholders(line, profile, dates));
+    lines.push(columns.map((column) => quote(column.header)).join(delimiter));
+
+    for (const record of records) {
+        const lineItems = profile.rowsPerLineItem ? record.extractedFields[profile.rowsPerLineItem] : null;
+        const entries = Array.isArray(lineItems) && lineItems.length > 0 ? lineItems : [null];
+
+        for (const line of entries as Array<Record<string, unknown> | null>) {
+            const row: Row = { fields: record.extractedFields, tags: record.tags || {}, line };
+            lines.push(
+                columns.map((column) => quote(readColumn(column, row, profile, dates), isText(column))).join(delimiter)
+            );
+        }
+    }
+    return lines;
+}
+
+// ── Private: fixed layouts ──
+
+function buildIif(records: ResultRecord[], profile: ExportProfile): { lines: string[]; count: number } {
+    const settings = profile.settings || {};
+    const clean = (value: unknown) => (isEmptyValue(value) ? '' : String(value).replace(/[\t\r\n]+/g, ' '));
+    const lines = [
+        '!TRNS\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO\tDUEDATE',
+        '!SPL\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO',
+        '!ENDTRNS'
+    ];
+    let count = 0;
+
+    for (const { extractedFields: fields } of records) {
+        const amount = toAmount(fields.totalAmount);
+        if (amount === null || isEmptyValue(fields.invoiceDate)) continue;
+
+        const date = formatValue(fields.invoiceDate, 'date', profile);
+        const dueDate = formatValue(fields.paymentDate, 'date', profile);
+        const name = clean(fields.supplierName);
+        const number = clean(fields.invoiceNumber);
+        const memo = clean(fields.summary);
+        // A bill credits accounts payable and debits the expense account
+        lines.push(
+            ['TRNS', 'BILL', date, settings.payableAccount, name, (-amount).toFixed(2), number, memo, dueDate].join(
+                '\t'
+            ),
+            ['SPL', 'BILL', date, settings.expenseAccount, name, amount.toFixed(2), number, memo].join('\t'),
+            'ENDTRNS'
+        );
+        count++;
+    }
+    return { lines, count };
+}
+
+function buildSaft(
+    records: ResultRecord[],
+    profile: ExportProfile,
+    dates: Record<string, string>
+): { lines: string[]; count: number } {
+    const settings = profile.settings || {};
+    const text = (value: unknown) => escapeXml(isEmptyValue(value) ? '' : String(value));
+    const amount = (value: number | null) => (value === null ? null : value.toFixed(2));
+    const suppliers = new Map<string, { id: string; name: unknown; vatNumber: unknown }>();
+    const invoices: string[] = [];
+
+    for (const { extractedFields: fields } of records) {
+        const gross = toAmount(fields.totalAmount);
+        if (gross === null || isEmptyValue(fields.invoiceNumber) || isEmptyValue(fields.invoiceDate)) continue;
+
+        const supplierKey = String(
+            isEmptyValue(fields.vatNumber) ? fields.supplierName : fields.vatNumber
+        ).toLowerCase();
+        if (!suppliers.has(supplierKey)) {
+            const id = `S${String(suppliers.size + 1).padStart(4, '0')}`;
+            suppliers.set(supplierKey, { id, name: fields.supplierName, vatNumber: fields.vatNumber });
+        }
+        const vat = toAmount(fields.vatAmount);
+        const net = toAmount(fields.netAmount) ?? (vat !== null ? gross - vat : null);
+
+        invoices.push(
+            [
+                '      <Invoice>',
+                `        <InvoiceNo>${text(fields.invoiceNumber)}</InvoiceNo>`,
+                `        <SupplierInfo><SupplierID>${suppliers.get(supplierKey)!.id}</SupplierID></SupplierInfo>`,
+                `        <InvoiceDate>${formatDateForCSV(fields.invoiceDate)}</InvoiceDate>`,
+                '        <DocumentTotals>',
+                vat !== null ? `          <TaxPayable>${amount(vat)}</TaxPayable>` : null,
+                net !== null ? `          <NetTotal>${amount(net)}</NetTotal>` : null,
+                `          <GrossTotal>${amount(gross)}</GrossTotal>`,
+                isEmptyValue(fields.currency)
+                    ? null
+                    : `          <Currency><CurrencyCode>${text(fields.currency)}</CurrencyCode><CurrencyAmount>${amount(gross)}</CurrencyAmount></Currency>`,
+                '        </DocumentTotals>',
+                '      </Invoice>'
+            ]
+                .filter((line) => line !== null)
+                .join('\n')
+        );
+    }
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<AuditFile xmlns="urn:OECD:StandardAuditFile-Tax:2.00">',
+        '  <Header>',
+        '    <AuditFileVersion>2.00</AuditFileVersion>',
+        `    <AuditFileDateCreated>${dates.created.slice(0, 10)}</AuditFileDateCreated>`,
+        '    <SoftwareCompanyName>invoice-analyzer-app</SoftwareCompanyName>',
+        '    <SoftwareID>invoice-analyzer-app</SoftwareID>',
+        `    <Company><RegistrationNumber>${text(settings.companyId)}</RegistrationNumber><Name>${text(settings.companyName)}</Name></Company>`,
+        `    <DefaultCurrencyCode>${text(settings.currency)}</DefaultCurrencyCode>`,
+        `    <SelectionCriteria><SelectionStartDate>${dates.from}</SelectionStartDate><SelectionEndDate>${dates.to}</SelectionEndDate></SelectionCriteria>`,
+        '  </Header>',
+        '  <MasterFiles>',
+        '    <Suppliers>',
+        ...[...suppliers.values()].map(
+            (supplier) =>
+                `      <Supplier><SupplierID>${supplier.id}</SupplierID><Name>${text(supplier.name)}</Name>` +
+                (isEmptyValue(supplier.vatNumber)
+                    ? ''
+                    : `<TaxRegistration><TaxRegistrationNumber>${text(supplier.vatNumber)}</TaxRegistrationNumber></TaxRegistration>`) +
+                '</Supplier>'
+        ),
+        '    </Suppliers>',
+        '  </MasterFiles>',
+        '  <SourceDocuments>',
+        '    <PurchaseInvoices>',
+        `      <NumberOfEntries>${invoices.length}</NumberOfEntries>`,
+        ...invoices,
+        '    </PurchaseInvoices>',
+        '  </SourceDocuments>',
+        '</AuditFile>'
+    ];
+    return { lines, count: invoices.length };
+}
+
+// ── Public API ──
+
+/**
+ * Get the available export profiles
+ * @param config - Configuration object (exportProfiles is merged over the built-in profiles)
+ * @returns Profiles by name
+ */
+export function getExportProfiles(config: AppConfig): Record<string, ExportProfile> {
+    const profiles: Record<string, ExportProfile> = { ...BUILT_IN_EXPORT_PROFILES };
+    for (const [name, custom] of Object.entries(config.exportProfiles || {})) {
+        const base = profiles[name];
+        profiles[name] = {
+            ...base,
+            ...custom,
+            settings: { ...base?.settings, ...custom.settings }
+        } as ExportProfile;
+    }
+    return profiles;
+}
+
+/**
+ * Get the date a result is exported under
+ * @param record - Result record
+ * @returns The invoice date (YYYY-MM-DD), or the processing date when it has none
+ */
+export function getRecordDate(record: ResultRecord): string {
+    const invoiceDate = formatDateForCSV(record.extractedFields?.invoiceDate);
+    return /^\d{4}-\d{2}-\d{2}$/.test(invoiceDate) ? invoiceDate : record.timestamp.slice(0, 10);
+}
+
+/**
+ * Export the successful results of a date range with a profile
+ * @param records - Result records (other statuses are ignored)
+ * @param config - Configuration object
+ * @param options - Profile name and inclusive YYYY-MM-DD range by invoice date
+ * @returns The file to download
+ * @throws If the profile does not exist or a date is not YYYY-MM-DD
+ */
+export function buildExport(
+    records: ResultRecord[],
+    config: AppConfig,
+    options: { profile: string; from?: string; to?: string }
+): ExportFile {
+    const profile = getExportProfiles(config)[options.profile];
+    if (!profile) {
+        throw new Error(`Export profile "${options.profile}" not found`);
+    }
+    for (const date of [options.from, options.to]) {
+        if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new Error(`Invalid date "${date}", expected YYYY-MM-DD`);
+        }
+    }
+
+    const selected = records
+        .filter((record) => record.status === 'success')
+        .map((record) => ({ record, date: getRecordDate(record) }))
+        .filter(({ date }) => (!options.from || date >= options.from) && (!options.to || date <= options.to))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const created = new Date().toISOString();
+    const dates = {
+        created,
+        from: options.from || selected[0]?.date || created.slice(0, 10),
+        to: options.to || selected[selected.length - 1]?.date || created.slice(0, 10)
+    };
+    const sorted = selected.map(({ record }) => record);
+
+    let result: { lines: string[]; count: number };
+    if (profile.format === 'iif') {
+        result = buildIif(sorted, profile);
+    } else if (profile.format === 'saft') {
+        result = buildSaft(sorted, profile, dates);
+    } else {
+        result = { lines: buildCsv(sorted, profile, dates), count: sorted.length };
+    }
+
+    const lineEnding = profile.lineEnding || '\n';
+    const range = [options.from, options.to].filter(Boolean).join('_');
+    return {
+        filename: `${options.profile}${range ? `_${range}` : ''}${profile.extension || DEFAULT_EXTENSIONS[profile.format]}`,
+        contentType: CONTENT_TYPES[profile.format],
+        content: encode(result.lines.join(lineEnding) + lineEnding, profile.encoding),
+        count: result.count,
+        skipped: sorted.length - result.count
+    };
+}
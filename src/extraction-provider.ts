@@ -0,0 +1,263 @@
+/**
+ * Extraction provider adapters behind analyzeInvoice().
+ * Each adapter sends the extraction prompt and document to one vendor and
+ * returns the raw response text with token usage normalised into TokenUsage.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { DEFAULT_MODEL, DEFAULT_PROVIDER, VALID_PROVIDERS } from './constants.js';
+
+import type { ExtractionProvider, ExtractionRequest, ExtractionResponse, ProviderName } from './types/index.js';
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const DEFAULT_LOCAL_PROVIDER_URL = 'http://127.0.0.1:8787/extract';
+const DEFAULT_LOCAL_MODEL = 'local';
+
+// Cap on the error body included in thrown messages
+const MAX_ERROR_BODY_LENGTH = 500;
+
+// Cache for Gemini AI instances per API key
+const genAICache = new Map<string, GoogleGenerativeAI>();
+
+/**
+ * Get or create a Gemini AI instance for the given API key
+ * @param apiKey - The API key to use
+ * @returns The Gemini AI instance
+ */
+function getGenAI(apiKey: string | null = null): GoogleGenerativeAI {
+    const key = apiKey || process.env.GEMINI_API_KEY;
+
+    if (!key) {
+        throw new Error('GEMINI_API_KEY not configured in environment');
+    }
+
+    if (!genAICache.has(key)) {
+        genAICache.set(key, new GoogleGenerativeAI(key));
+    }
+
+    return genAICache.get(key)!;
+}
+
+/**
+ * Clear cached provider clients (useful for testing)
+ */
+export function clearProviderCache(): void {
+    genAICache.clear();
+}
+
+/**
+ * Coerce a usage counter to a non-negative number
+ * @param value - Raw counter from a vendor response
+ * @returns The counter, or 0 when missing or invalid
+ */
+function toCount(value: unknown): number {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ * Non-2xx responses throw with the status code in the message so that
+ * rate limits (429) are picked up by the retry logic.
+ * @param url - Endpoint URL
+ * @param body - Request body
+ * @param label - Provider label for error messages
+ * @param headers - Extra request headers
+ * @returns Parsed response body
+ */
+async function postJson(
+    url: string,
+    body: unknown,
+    label: string,
+    headers: Record<string, string> = {}
+): Promise<Record<string, unknown>> {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(
+            `${label} request failed with status ${response.status}: ${errorText.slice(0, MAX_ERROR_BODY_LENGTH)}`
+        );
+    }
+
+    return (await response.json()) as Record<string, unknown>;
+}
+
+// ── Gemini ──────────────────────────────────────────────────────────────────
+
+function createGeminiProvider(apiKey: string | null): ExtractionProvider {
+    const genAI = getGenAI(apiKey);
+
+    return {
+        name: 'gemini',
+        defaultModel: DEFAULT_MODEL,
+        async generate(request: ExtractionRequest): Promise<ExtractionResponse> {
+            const model = genAI.getGenerativeModel({ model: request.model });
+
+            const result = await model.generateContent({
+                systemInstruction: request.systemInstruction,
+                contents: [
+                    {
+                        role: 'user',
+                        parts: [
+                            request.document
+                                ? { inlineData: { mimeType: request.document.mimeType, data: request.document.data } }
+                                : { text: request.text || '' }
+                        ]
+                    }
+                ],
+                generationConfig: {
+                    temperature: 0,
+                    ...(request.useJsonMode && { responseMimeType: 'application/json' }),
+                    ...(request.useJsonMode && request.responseSchema && { responseSchema: request.responseSchema }),
+                    // Gemini 3 uses thinkingLevel (not thinkingBudget). 'low' balances cost/speed
+                    // with safety margin for complex extractions. See INV-69 for analysis.
+                    thinkingConfig: { thinkingLevel: 'low' }
+                } as Record<string, unknown>
+            });
+
+            const response = await result.response;
+            const usageMetadata = (response.usageMetadata || {}) as Record<string, unknown>;
+
+            return {
+                text: response.text(),
+                tokenUsage: {
+                    promptTokens: toCount(usageMetadata.promptTokenCount),
+                    outputTokens: toCount(usageMetadata.candidatesTokenCount),
+                    totalTokens: toCount(usageMetadata.totalTokenCount),
+                    cachedTokens: toCount(usageMetadata.cachedContentTokenCount),
+                    thoughtsTokens: toCount(usageMetadata.thoughtsTokenCount)
+                }
+            };
+        }
+    };
+}
+
+// ── OpenAI-compatible ───────────────────────────────────────────────────────
+
+/**
+ * Build the user content part for a document
+ * PDFs are sent as file parts, images as image_url parts (both as data URLs),
+ * a text layer as a text part.
+ */
+function buildOpenAIDocumentPart(request: ExtractionRequest): Record<string, unknown> {
+    const { document } = request;
+    if (!document) return { type: 'text', text: request.text || '' };
+    const dataUrl = `data:${document.mimeType};base64,${document.data}`;
+    if (document.mimeType.startsWith('image/')) {
+        return { type: 'image_url', image_url: { url: dataUrl } };
+    }
+    return { type: 'file', file: { filename: 'invoice.pdf', file_data: dataUrl } };
+}
+
+function createOpenAIProvider(apiKey: string | null): ExtractionProvider {
+    const key = apiKey || process.env.OPENAI_API_KEY;
+    if (!key) {
+        throw new Error('OPENAI_API_KEY not configured in environment');
+    }
+    const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+
+    return {
+        name: 'openai',
+        defaultModel: DEFAULT_OPENAI_MODEL,
+        async generate(request: ExtractionRequest): Promise<ExtractionResponse> {
+            const body = await postJson(
+                `${baseUrl}/chat/completions`,
+                {
+                    model: request.model,
+                    temperature: 0,
+                    messages: [
+                        { role: 'system', content: request.systemInstruction },
+                        { role: 'user', content: [buildOpenAIDocumentPart(request)] }
+                    ],
+                    ...(request.useJsonMode && { response_format: { type: 'json_object' } })
+                },
+                'OpenAI-compatible provider',
+                { Authorization: `Bearer ${key}` }
+            );
+
+            const choices = (body.choices || []) as Array<{ message?: { content?: unknown } }>;
+            const content = choices[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw new Error('OpenAI-compatible provider returned no message content');
+            }
+
+            const usage = (body.usage || {}) as Record<string, unknown>;
+            const promptDetails = (usage.prompt_tokens_details || {}) as Record<string, unknown>;
+            const completionDetails = (usage.completion_tokens_details || {}) as Record<string, unknown>;
+
+            return {
+                text: content,
+                tokenUsage: {
+                    promptTokens: toCount(usage.prompt_tokens),
+                    outputTokens: toCount(usage.completion_tokens),
+                    totalTokens: toCount(usage.total_tokens),
+                    cachedTokens: toCount(promptDetails.cached_tokens),
+                    thoughtsTokens: toCount(completionDetails.reasoning_tokens)
+                }
+            };
+        }
+    };
+}
+
+// ── Local HTTP stand-in ─────────────────────────────────────────────────────
+
+/**
+ * The local provider POSTs the request as-is to LOCAL_PROVIDER_URL and expects
+ * `{ text, tokenUsage? }` back. Useful for offline runs and end-to-end tests.
+ */
+function createLocalProvider(): ExtractionProvider {
+    const url = process.env.LOCAL_PROVIDER_URL || DEFAULT_LOCAL_PROVIDER_URL;
+
+    return {
+        name: 'local',
+        defaultModel: DEFAULT_LOCAL_MODEL,
+        async generate(request: ExtractionRequest): Promise<ExtractionResponse> {
+            const body = await postJson(url, request, 'Local provider');
+
+            if (typeof body.text !== 'string') {
+                throw new Error('Local provider response must contain a "text" string');
+            }
+
+            const usage = (body.tokenUsage || {}) as Record<string, unknown>;
+            const promptTokens = toCount(usage.promptTokens);
+            const outputTokens = toCount(usage.outputTokens);
+
+            return {
+                text: body.text,
+                tokenUsage: {
+                    promptTokens,
+                    outputTokens,
+                    totalTokens: toCount(usage.totalTokens) || promptTokens + outputTokens,
+                    cachedTokens: toCount(usage.cachedTokens),
+                    thoughtsTokens: toCount(usage.thoughtsTokens)
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Get the extraction provider for a configured provider name
+ * @param name - Provider name (defaults to Gemini)
+ * @param apiKey - API key for providers that need one (falls back to the provider's env var)
+ * @returns The provider adapter
+ */
+export function getProvider(name: ProviderName | null | undefined, apiKey: string | null = null): ExtractionProvider {
+    const providerName = name || DEFAULT_PROVIDER;
+
+    switch (providerName) {
+        case 'gemini':
+            return createGeminiProvider(apiKey);
+        case 'openai':
+            return createOpenAIProvider(apiKey);
+        case 'local':
+            return createLocalProvider();
+        default:
+            throw new Error(`Unknown provider "${providerName}". Must be one of: ${VALID_PROVIDERS.join(', ')}`);
+    }
+}
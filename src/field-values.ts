@@ -0,0 +1,33 @@
+/**
+ * Shared checks and conversions for extracted field values
+ */
+
+/**
+ * Check whether an extracted value counts as missing
+ * The model returns "Unknown" (or nothing) for values it could not find.
+ * @param value - The extracted value
+ * @returns True when the value should be treated as not extracted
+ */
+export function isEmptyValue(value: unknown): boolean {
+    return value === undefined || value === null || value === '' || value === 'Unknown';
+}
+
+/**
+ * Read an amount from an extracted number or numeric string ("1,234.56", "1.234,56", "12,50")
+ * A comma is the decimal separator when it follows the last dot, or when it is the
+ * only comma and has one or two digits after it; otherwise commas group thousands.
+ * @param value - The extracted value
+ * @returns The amount, or null when the value is not a finite number
+ */
+export function toAmount(value: unknown): number | null {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || !value.trim()) return null;
+    let text = value.replace(/[\s']/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > lastDot && (lastDot !== -1 || /^[^,]*,\d{1,2}$/.test(text))) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    }
+    const number = Number(text.replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
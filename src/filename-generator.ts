@@ -5,7 +5,7 @@
 import path from 'node:path';
 import fs from 'node:fs';
 
-import type { AppConfig, TagDefinition } from './types/index.js';
+import type { AppConfig, CurrencyConversion, FieldDefinition, TagDefinition } from './types/index.js';
 
 // Characters that are illegal in filenames across different operating systems
 // eslint-disable-next-line no-control-regex
@@ -213,6 +213,21 @@ export function formatFieldValue(
             return String(currencyValue).toUpperCase();
         }
 
+        case 'baseCurrencyAmount': {
+            const conversion = analysis._conversion as CurrencyConversion | undefined;
+            return conversion ? conversion.baseCurrencyAmount.toFixed(2) : 'Unknown';
+        }
+
+        case 'baseCurrency': {
+            const conversion = analysis._conversion as CurrencyConversion | undefined;
+            return conversion ? conversion.baseCurrency : 'Unknown';
+        }
+
+        case 'exchangeRate': {
+            const conversion = analysis._conversion as CurrencyConversion | undefined;
+            return conversion ? String(conversion.rate) : 'Unknown';
+        }
+
         case 'privateTag': {
             const tags = analysis.tags as Record<string, boolean> | undefined;
             const isPrivate = (tags && tags.private) || analysis.isPrivate;
@@ -269,13 +284,17 @@ export function generateFormattedFilename(
         }
     }
 
-    // Build field format lookup from config
+    // Build field format lookup from config; choice fields also offer {<key>Label}
     const fieldFormatMap: Record<string, string> = {};
+    const choiceLabelPlaceholders: Record<string, FieldDefinition> = {};
     if (config && config.fieldDefinitions) {
         for (const field of config.fieldDefinitions) {
             if (field.format) {
                 fieldFormatMap[field.key] = field.format;
             }
+            if (field.type === 'choice') {
+                choiceLabelPlaceholders[`${field.key}Label`] = field;
+            }
         }
     }
 
@@ -288,6 +307,13 @@ export function generateFormattedFilename(
             return isActive ? tag.filenameFormat || '' : '';
         }
 
+        // Label of the selected option of a choice field
+        if (choiceLabelPlaceholders[fieldName] && analysis[fieldName] === undefined) {
+            const field = choiceLabelPlaceholders[fieldName];
+            const option = (field.options || []).find((o) => o.value === analysis[field.key]);
+            return sanitizeForFilename(option ? option.label : 'Unknown');
+        }
+
         const value = analysis[fieldName];
         const format = fieldFormatMap[fieldName];
         const formatted = formatFieldValue(fieldName, value, analysis, format);
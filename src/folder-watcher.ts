@@ -0,0 +1,317 @@
+/**
+ * Watch-folder mode
+ * Polls each watched folder for invoice files (PDFs and images) and hands them to the host for processing
+ * once their size and modification time have stopped changing. Polling (rather
+ * than fs.watch) keeps behaviour identical on network shares and scanner drops.
+ *
+ * The watcher does not process files itself: the host (server or CLI) supplies
+ * processFiles(), which lets it build the client config and guard against
+ * overlapping runs its own way.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { getEnabledClients } from './client-manager.js';
+import { DEFAULT_WATCH_POLL_INTERVAL_MS, DEFAULT_WATCH_STABILITY_MS } from './constants.js';
+import { isInvoiceFile } from './image-input.js';
+
+import type { JobSummary, WatchConfig } from './types/index.js';
+
+/** A folder to watch — a client, or the input folder in single-client mode */
+export interface WatchTarget {
+    id: string;
+    name: string;
+    folderPath: string;
+}
+
+/** Event reported to the host for logging */
+export interface WatchEvent {
+    type: 'queued' | 'processed' | 'error';
+    targetId: string;
+    files?: string[];
+    result?: JobSummary;
+    error?: string;
+}
+
+interface WatchTargetStatus {
+    name: string;
+    folderPath: string;
+    processing: boolean;
+    waiting: string[]; // seen, but size not yet stable
+    lastRunAt: string | null;
+    processed: number;
+    failed: number;
+    duplicates: number;
+    lastError: string | null;
+}
+
+export interface WatchStatus {
+    running: boolean;
+    pollIntervalMs: number;
+    stabilityMs: number;
+    lastPollAt: string | null;
+    targets: Record<string, WatchTargetStatus>;
+}
+
+interface FolderWatcherOptions extends WatchConfig {
+    getTargets: () => Promise<WatchTarget[]>;
+    /** Process the given files (basenames); resolve null when the target is busy and should be retried later */
+    processFiles: (target: WatchTarget, files: string[]) => Promise<JobSummary | null>;
+    onEvent?: (event: WatchEvent) => void;
+}
+
+export interface FolderWatcher {
+    start(): void;
+    /** Stop polling and wait for in-flight runs to finish */
+    stop(): Promise<void>;
+    /** Run a single scan (also used by start() on every tick) */
+    poll(): Promise<void>;
+    getStatus(): WatchStatus;
+}
+
+// Size/mtime observed for a file, and when that observation was first made
+interface FileObservation {
+    signature: string;
+    since: number;
+}
+
+/**
+ * Get the clients that take part in watch mode
+ * Enabled clients are watched unless their client file sets `"watch": false`.
+ * @param clientId - Restrict to a single client
+ * @returns Watch targets, or null in single-client mode
+ */
+export async function getWatchTargets(clientId?: string | null): Promise<WatchTarget[] | null> {
+    const clients = await getEnabledClients();
+    if (!clients) return null;
+
+    return Object.entries(clients)
+        .filter(([id, client]) => (clientId ? id === clientId : client.watch !== false))
+        .map(([id, client]) => ({ id, name: client.name, folderPath: client.folderPath }));
+}
+
+/**
+ * List invoice files in a folder with a size + mtime signature
+ * @param folderPath - Folder to scan (not recursive)
+ * @returns Map of basename -> signature
+ */
+async function scanFolder(folderPath: string): Promise<Map<string, string>> {
+    const entries = await fs.promises.readdir(folderPath, { withFileTypes: true });
+    const files = new Map<string, string>();
+
+    for (const entry of entries) {
+        if (!entry.isFile() || !isInvoiceFile(entry.name)) continue;
+        try {
+            const stat = await fs.promises.stat(path.join(folderPath, entry.name));
+            files.set(entry.name, `${stat.size}:${stat.mtimeMs}`);
+        } catch {
+            // Moved or deleted between readdir and stat
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Create a folder watcher
+ * @param options - Targets, processing callback and timing
+ * @returns The watcher
+ */
+export function createFolderWatcher(options: FolderWatcherOptions): FolderWatcher {
+    const { getTargets, processFiles, onEvent } = options;
+    const pollIntervalMs = options.pollIntervalMs ?? DEFAULT_WATCH_POLL_INTERVAL_MS;
+    const stabilityMs = options.stabilityMs ?? DEFAULT_WATCH_STABILITY_MS;
+
+    let running = false;
+    let timer: NodeJS.Timeout | null = null;
+    let lastPollAt: string | null = null;
+    let polling: Promise<void> | null = null;
+
+    const observations = new Map<string, Map<string, FileObservation>>();
+    // Files that were handed over but stayed in the folder (failed); skipped until they change
+    const attempted = new Map<string, Map<string, string>>();
+    const inFlight = new Map<string, Promise<void>>();
+    const status: Record<string, WatchTargetStatus> = {};
+
+    function emit(event: WatchEvent): void {
+        if (!onEvent) return;
+        try {
+            onEvent(event);
+        } catch (e) {
+            console.error('Error in watch listener:', e);
+        }
+    }
+
+    function getTargetStatus(target: WatchTarget): WatchTargetStatus {
+        if (!status[target.id]) {
+            status[target.id] = {
+                name: target.name,
+                folderPath: target.folderPath,
+                processing: false,
+                waiting: [],
+                lastRunAt: null,
+                processed: 0,
+                failed: 0,
+                duplicates: 0,
+                lastError: null
+            };
+        }
+        status[target.id].name = target.name;
+        status[target.id].folderPath = target.folderPath;
+        return status[target.id];
+    }
+
+    async function runTarget(target: WatchTarget, files: string[], signatures: Map<string, string>): Promise<void> {
+        const targetStatus = getTargetStatus(target);
+        targetStatus.processing = true;
+        emit({ type: 'queued', targetId: target.id, files });
+
+        try {
+            const result = await processFiles(target, files);
+            if (!result) return; // busy — picked up again on a later poll
+
+            targetStatus.lastRunAt = new Date().toISOString();
+            targetStatus.processed += result.success;
+            targetStatus.failed += result.failed;
+            targetStatus.duplicates += result.duplicates;
+            targetStatus.lastError = null;
+
+            const targetAttempted = attempted.get(target.id) || new Map<string, string>();
+            for (const file of files) targetAttempted.set(file, signatures.get(file)!);
+            attempted.set(target.id, targetAttempted);
+
+            emit({ type: 'processed', targetId: target.id, files, result });
+        } catch (error: unknown) {
+            targetStatus.lastError = (error as Error).message;
+            emit({ type: 'error', targetId: target.id, error: (error as Error).message });
+        } finally {
+            targetStatus.processing = false;
+        }
+    }
+
+    async function scanTarget(target: WatchTarget, now: number): Promise<void> {
+        const targetStatus = getTargetStatus(target);
+
+        let current: Map<string, string>;
+        try {
+            current = await scanFolder(target.folderPath);
+        } catch (error: unknown) {
+            targetStatus.lastError = `Cannot read folder: ${(error as Error).message}`;
+            return;
+        }
+
+        const previous = observations.get(target.id) || new Map<string, FileObservation>();
+        const next = new Map<string, FileObservation>();
+        const targetAttempted = attempted.get(target.id);
+        const ready: string[] = [];
+        const waiting: string[] = [];
+
+        for (const [file, signature] of current) {
+            // Forget failed attempts once the file is replaced or changed
+            if (targetAttempted?.has(file)) {
+                if (targetAttempted.get(file) === signature) continue;
+                targetAttempted.delete(file);
+            }
+
+            const seen = previous.get(file);
+            const since = seen && seen.signature === signature ? seen.since : now;
+            next.set(file, { signature, since });
+
+            // Ready once observed unchanged across polls for at least stabilityMs
+            if (seen && seen.signature === signature && now - since >= stabilityMs) {
+                ready.push(file);
+            } else {
+                waiting.push(file);
+            }
+        }
+
+        if (targetAttempted) {
+            for (const file of targetAttempted.keys()) {
+                if (!current.has(file)) targetAttempted.delete(file);
+            }
+        }
+
+        observations.set(target.id, next);
+        targetStatus.waiting = waiting;
+
+        if (ready.length > 0 && !inFlight.has(target.id)) {
+            const run = runTarget(target, ready.sort(), current).finally(() => inFlight.delete(target.id));
+            inFlight.set(target.id, run);
+        }
+    }
+
+    async function doPoll(): Promise<void> {
+        const now = Date.now();
+        lastPollAt = new Date(now).toISOString();
+
+        let targets: WatchTarget[];
+        try {
+            targets = await getTargets();
+        } catch (error: unknown) {
+            emit({ type: 'error', targetId: '*', error: (error as Error).message });
+            return;
+        }
+
+        // Drop state for targets that are no longer watched
+        const ids = new Set(targets.map((t) => t.id));
+        for (const id of Object.keys(status)) {
+            if (!ids.has(id) && !inFlight.has(id)) {
+                delete status[id];
+                observations.delete(id);
+                attempted.delete(id);
+            }
+        }
+
+        for (const target of targets) {
+            await scanTarget(target, now);
+        }
+    }
+
+    function poll(): Promise<void> {
+        // Never overlap scans
+        if (!polling) {
+            polling = doPoll().finally(() => {
+                polling = null;
+            });
+        }
+        return polling;
+    }
+
+    function schedule(): void {
+        if (!running) return;
+        timer = setTimeout(async () => {
+            await poll();
+            schedule();
+        }, pollIntervalMs);
+    }
+
+    return {
+        start() {
+            if (running) return;
+            running = true;
+            poll().then(schedule);
+        },
+
+        async stop() {
+            running = false;
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            if (polling) await polling;
+            await Promise.all(inFlight.values());
+        },
+
+        poll,
+
+        getStatus() {
+            return {
+                running,
+                pollIntervalMs,
+                stabilityMs,
+                lastPollAt,
+                targets: JSON.parse(JSON.stringify(status))
+            };
+        }
+    };
+}
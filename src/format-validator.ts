@@ -1,12 +1,14 @@
 /**
  * Format-aware post-extraction validation
- * Validates extracted values against their declared format standards.
+ * Validates extracted values against their declared format standards, including
+ * the check digits of IBANs, creditor references and LEIs, and against the
+ * user-defined formats in config.customFormats (regex, normalization, checksum).
  * Returns validation results with optional auto-correction.
  */
 
-import { FORMAT_NONE } from './constants.js';
+import { FORMAT_NONE, VALID_FIELD_FORMATS } from './constants.js';
 
-import type { FieldDefinition } from './types/index.js';
+import type { ChecksumAlgorithm, CustomFormatDefinition, FieldDefinition, FieldFormatKey } from './types/index.js';
 
 interface ValidationResult {
     valid: boolean;
@@ -26,23 +28,118 @@ interface ValidateAllResult {
     warnings: FormatWarning[];
 }
 
+type CustomFormats = Record<string, CustomFormatDefinition>;
+
+/**
+ * Remainder of an alphanumeric value under ISO 7064 MOD 97-10 (letters count as A=10 ... Z=35)
+ */
+function mod97(value: string): number {
+    let remainder = 0;
+    for (const char of value.toUpperCase().replace(/[^A-Z0-9]/g, '')) {
+        const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+        for (const digit of digits) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder;
+}
+
+/**
+ * Check-digit tests of custom formats; non-digits are ignored by luhn and mod11
+ * mod11 weights the digits left to right and expects a multiple of 11; without
+ * weights, the digits are weighted 1, 2, 3, ... from the right.
+ */
+const checksums: Record<ChecksumAlgorithm, (value: string, weights?: number[]) => boolean> = {
+    mod97(value: string): boolean {
+        return mod97(value) === 1;
+    },
+
+    luhn(value: string): boolean {
+        const digits = value.replace(/\D/g, '');
+        if (!digits) return false;
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    },
+
+    mod11(value: string, weights?: number[]): boolean {
+        const digits = value.replace(/\D/g, '');
+        if (!digits || (weights && weights.length !== digits.length)) return false;
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            sum += Number(digits[i]) * (weights ? weights[i] : digits.length - i);
+        }
+        return sum % 11 === 0;
+    }
+};
+
+/**
+ * Validate a value against a user-defined format
+ * The normalized value must match the whole pattern and pass the checksum.
+ */
+function validateCustomFormat(value: string, format: CustomFormatDefinition): ValidationResult {
+    let normalized = value;
+    if (format.normalize?.includes('stripSpaces')) normalized = normalized.replace(/\s+/g, '');
+    if (format.normalize?.includes('uppercase')) normalized = normalized.toUpperCase();
+
+    if (!new RegExp(`^(?:${format.pattern})$`).test(normalized)) {
+        return { valid: false, error: `Not a valid ${format.label}: ${value}` };
+    }
+    if (format.checksum && !checksums[format.checksum](normalized, format.weights)) {
+        return { valid: false, error: `${format.label} check digits do not match: ${value}` };
+    }
+    return normalized !== value ? { valid: true, corrected: normalized } : { valid: true };
+}
+
 /**
  * Validate a value against a declared format
  * @param value - The extracted value to validate
- * @param format - The format key (e.g., 'iso8601', 'iso4217')
+ * @param format - The format key (e.g., 'iso8601', 'iso4217', or a key of customFormats)
+ * @param customFormats - User-defined formats from config.customFormats
  * @returns Validation result with optional correction
  */
-export function validateFieldFormat(value: unknown, format: string): ValidationResult {
+export function validateFieldFormat(
+    value: unknown,
+    format: string,
+    customFormats: CustomFormats = {}
+): ValidationResult {
     if (value === undefined || value === null || value === '' || value === 'Unknown') {
         return { valid: true };
     }
 
     const str = String(value);
     const validator = validators[format as keyof typeof validators];
-    if (!validator) {
-        return { valid: true };
+    if (validator) {
+        return validator(str);
     }
-    return validator(str);
+    if (Object.hasOwn(customFormats, format)) {
+        return validateCustomFormat(str, customFormats[format]);
+    }
+    return { valid: true };
+}
+
+/**
+ * Describe a format for the model, e.g. "ISO 8601: YYYY-MM-DD"
+ * @param format - The format key
+ * @param customFormats - User-defined formats from config.customFormats
+ * @returns The description, or null for no or unknown formats
+ */
+export function describeFormat(format: string | null | undefined, customFormats: CustomFormats = {}): string | null {
+    if (!format || format === FORMAT_NONE) return null;
+    const builtIn = VALID_FIELD_FORMATS[format as FieldFormatKey];
+    if (builtIn) return `${builtIn.standard}: ${builtIn.pattern}`;
+    if (Object.hasOwn(customFormats, format)) {
+        const custom = customFormats[format];
+        return custom.example ? `${custom.label}, e.g. ${custom.example}` : custom.label;
+    }
+    return null;
 }
 
 const validators: Record<string, (value: string) => ValidationResult> = {
@@ -106,27 +203,39 @@ const validators: Record<string, (value: string) => ValidationResult> = {
     iso13616(value: string): ValidationResult {
         // IBAN: 2 letter country + 2 check digits + up to 30 alphanumeric BBAN
         const cleaned = value.replace(/\s/g, '');
-        if (/^[A-Z]{2}\d{2}[A-Z0-9]{1,30}$/i.test(cleaned)) {
-            return { valid: true };
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]{1,30}$/i.test(cleaned)) {
+            return { valid: false, error: `Not a valid IBAN format: ${value}` };
+        }
+        // Check digits: country code and check digits moved to the end, MOD 97-10 must leave 1
+        if (mod97(cleaned.slice(4) + cleaned.slice(0, 4)) !== 1) {
+            return { valid: false, error: `IBAN check digits do not match: ${value}` };
         }
-        return { valid: false, error: `Not a valid IBAN format: ${value}` };
+        return { valid: true };
     },
 
     iso11649(value: string): ValidationResult {
         // Creditor Reference: starts with RF + 2 check digits + reference
         const cleaned = value.replace(/\s/g, '');
-        if (/^RF\d{2}[A-Z0-9]{1,21}$/i.test(cleaned)) {
-            return { valid: true };
+        if (!/^RF\d{2}[A-Z0-9]{1,21}$/i.test(cleaned)) {
+            return { valid: false, error: `Not a valid creditor reference (RF format): ${value}` };
         }
-        return { valid: false, error: `Not a valid creditor reference (RF format): ${value}` };
+        // Check digits: same MOD 97-10 scheme as the IBAN
+        if (mod97(cleaned.slice(4) + cleaned.slice(0, 4)) !== 1) {
+            return { valid: false, error: `Creditor reference check digits do not match: ${value}` };
+        }
+        return { valid: true };
     },
 
     iso17442(value: string): ValidationResult {
         // LEI: exactly 20 alphanumeric characters
-        if (/^[A-Z0-9]{20}$/i.test(value)) {
-            return { valid: true };
+        if (!/^[A-Z0-9]{20}$/i.test(value)) {
+            return { valid: false, error: `Not a valid LEI (20 alphanumeric chars required): ${value}` };
         }
-        return { valid: false, error: `Not a valid LEI (20 alphanumeric chars required): ${value}` };
+        // Check digits: the last two, MOD 97-10 over the whole code must leave 1
+        if (mod97(value) !== 1) {
+            return { valid: false, error: `LEI check digits do not match: ${value}` };
+        }
+        return { valid: true };
     }
 };
 
@@ -134,11 +243,13 @@ const validators: Record<string, (value: string) => ValidationResult> = {
  * Validate all fields with format metadata in an analysis result
  * @param analysis - The extracted analysis data
  * @param fieldDefinitions - The field definitions with format metadata
+ * @param customFormats - User-defined formats from config.customFormats
  * @returns Corrected analysis and any warnings
  */
 export function validateAllFormats(
     analysis: Record<string, unknown>,
-    fieldDefinitions: FieldDefinition[]
+    fieldDefinitions: FieldDefinition[],
+    customFormats: CustomFormats = {}
 ): ValidateAllResult {
     const corrected: Record<string, unknown> = { ...analysis };
     const warnings: FormatWarning[] = [];
@@ -151,7 +262,7 @@ export function validateAllFormats(
         if (!field.enabled || !field.format || field.format === FORMAT_NONE) continue;
 
         const value = corrected[field.key];
-        const result = validateFieldFormat(value, field.format);
+        const result = validateFieldFormat(value, field.format, customFormats);
 
         if (result.corrected !== undefined) {
             corrected[field.key] = result.corrected;
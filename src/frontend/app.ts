@@ -63,6 +63,7 @@ import {
     getCloseDeleteModal
 } from './modules/client-list.js';
 import { initClientDetail } from './modules/client-detail.js';
+import { getReviewModal, getCloseReview } from './modules/review-panel.js';
 
 // State
 let activeTab = 'dashboard';
@@ -199,7 +200,10 @@ function setupEventListeners(): void {
             const ipm = getImportPreviewModal();
             const dm = getDeleteModal();
             const cm = getClientModal();
-            if (rm && rm.classList.contains('active')) {
+            const rvm = getReviewModal();
+            if (rvm && rvm.classList.contains('active')) {
+                getCloseReview()();
+            } else if (rm && rm.classList.contains('active')) {
                 getCloseRestoreModal()();
             } else if (ipm && ipm.classList.contains('active')) {
                 getCloseImportPreview()();
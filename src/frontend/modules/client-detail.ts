@@ -2,9 +2,10 @@
 // Manages the detail view for a single client: config display, override editing.
 
 import { showAlert, addLogEntry, clearLog } from './ui-utils.js';
-import { KNOWN_MODELS, VALID_FIELD_TYPES, VALID_FIELD_FORMATS, FORMAT_NONE } from './constants.js';
+import { KNOWN_MODELS, VALID_PROVIDERS, VALID_FIELD_TYPES, VALID_FIELD_FORMATS, FORMAT_NONE } from './constants.js';
 import { createPlaceholderChip, FILENAME_SAMPLE_DATA, SPECIAL_PLACEHOLDERS } from './filename-editor.js';
 import { initResultsViewer, loadClientResults, clearResults } from './results-viewer.js';
+import { initSupplierList, loadClientSuppliers, clearSuppliers } from './supplier-list.js';
 
 // --- State ---
 let clientDetailData: Record<string, unknown> | null = null;
@@ -25,8 +26,17 @@ let detailFilenameOverride: string | null = null;
 let detailPromptPreviewDebounceTimer: ReturnType<typeof setTimeout> | null = null;
 let detailModelEditMode = false;
 let detailModelOverride: string | null = null;
+let detailProviderOverride: string | null = null;
 let detailHeaderEditMode = false;
-let detailHeaderEditData: { name: string; folderPath: string; apiKeyEnvVar: string; enabled: boolean } | null = null;
+let detailHeaderEditData: {
+    name: string;
+    folderPath: string;
+    apiKeyEnvVar: string;
+    enabled: boolean;
+    reviewRequired: boolean;
+    confidenceThreshold: string; // '' falls back to processing.confidence.threshold
+    baseCurrency: string; // '' falls back to processing.currencyConversion.baseCurrency
+} | null = null;
 
 // --- DOM refs (set in init) ---
 let dashboardListView: HTMLElement;
@@ -183,6 +193,7 @@ export function initClientDetail(): void {
     dryRunSelectedBtn.addEventListener('click', () => processSelectedFiles(true));
 
     initResultsViewer();
+    initSupplierList();
 }
 
 export async function openClientDetail(clientId: string): Promise<void> {
@@ -211,6 +222,7 @@ export async function openClientDetail(clientId: string): Promise<void> {
         updateDetailResetButtons();
         loadFileList();
         loadClientResults(clientId);
+        loadClientSuppliers(clientId, clientDetailData!.supplierRules as unknown[]);
     } catch (error) {
         detailClientHeader.textContent = '';
         const errDiv = document.createElement('div');
@@ -228,6 +240,7 @@ export function closeClientDetail(): void {
     fileList = [];
     selectedFiles.clear();
     clearResults();
+    clearSuppliers();
 }
 
 // --- Internal: Rendering ---
@@ -289,6 +302,12 @@ function renderClientDetailReadMode(c: Record<string, unknown>, folderStatus: Re
 
     const metaItems = [
         { label: 'Status', value: c.enabled ? 'Enabled' : 'Disabled' },
+        { label: 'Review', value: c.reviewRequired ? 'Required' : 'Off' },
+        {
+            label: 'Min. Confidence',
+            value: typeof c.confidenceThreshold === 'number' ? `${Math.round(c.confidenceThreshold * 100)}%` : 'Off'
+        },
+        { label: 'Base Currency', value: (c.baseCurrency as string) || 'Off' },
         { label: 'Pending', value: String(folderStatus.inputPdfCount) },
         { label: 'Processed', value: String(folderStatus.processedCount) }
     ];
@@ -392,6 +411,67 @@ function renderClientDetailEditMode(c: Record<string, unknown>, folderStatus: Re
     enabledDiv.appendChild(enabledLabel);
     meta.appendChild(enabledDiv);
 
+    // Review-required toggle
+    const reviewDiv = document.createElement('div');
+    reviewDiv.className = 'detail-meta-item';
+    const reviewLabel = document.createElement('label');
+    reviewLabel.className = 'detail-header-toggle';
+    const reviewCheckbox = document.createElement('input');
+    reviewCheckbox.type = 'checkbox';
+    reviewCheckbox.checked = ed.reviewRequired;
+    reviewCheckbox.addEventListener('change', () => {
+        ed.reviewRequired = reviewCheckbox.checked;
+        updateHeaderSaveBar();
+    });
+    const reviewText = document.createElement('span');
+    reviewText.textContent = 'Review before filing';
+    reviewLabel.appendChild(reviewCheckbox);
+    reviewLabel.appendChild(reviewText);
+    reviewDiv.appendChild(reviewLabel);
+    meta.appendChild(reviewDiv);
+
+    // Confidence threshold (0-1; empty uses the global setting)
+    const confidenceDiv = document.createElement('div');
+    confidenceDiv.className = 'detail-meta-item';
+    const confidenceLabel = document.createElement('span');
+    confidenceLabel.className = 'detail-meta-label';
+    confidenceLabel.textContent = 'Min. Confidence';
+    const confidenceInput = document.createElement('input');
+    confidenceInput.type = 'number';
+    confidenceInput.min = '0';
+    confidenceInput.max = '1';
+    confidenceInput.step = '0.05';
+    confidenceInput.className = 'detail-header-input';
+    confidenceInput.placeholder = 'global';
+    confidenceInput.value = ed.confidenceThreshold;
+    confidenceInput.addEventListener('input', () => {
+        ed.confidenceThreshold = confidenceInput.value.trim();
+        updateHeaderSaveBar();
+    });
+    confidenceDiv.appendChild(confidenceLabel);
+    confidenceDiv.appendChild(confidenceInput);
+    meta.appendChild(confidenceDiv);
+
+    // Base currency for converted totals (3-letter code; empty uses the global setting)
+    const currencyDiv = document.createElement('div');
+    currencyDiv.className = 'detail-meta-item';
+    const currencyLabel = document.createElement('span');
+    currencyLabel.className = 'detail-meta-label';
+    currencyLabel.textContent = 'Base Currency';
+    const currencyInput = document.createElement('input');
+    currencyInput.type = 'text';
+    currencyInput.maxLength = 3;
+    currencyInput.className = 'detail-header-input';
+    currencyInput.placeholder = 'global';
+    currencyInput.value = ed.baseCurrency;
+    currencyInput.addEventListener('input', () => {
+        ed.baseCurrency = currencyInput.value.trim().toUpperCase();
+        updateHeaderSaveBar();
+    });
+    currencyDiv.appendChild(currencyLabel);
+    currencyDiv.appendChild(currencyInput);
+    meta.appendChild(currencyDiv);
+
     // Pending / Processed (read-only)
     [
         { label: 'Pending', value: String(folderStatus.inputPdfCount) },
@@ -476,6 +556,24 @@ function renderDetailModel(modelData: Record<string, unknown>): void {
     wrapper.appendChild(createSourceBadge(modelData._source as string));
 
     detailModelEl.appendChild(wrapper);
+
+    const providerData = clientDetailData?.provider as Record<string, unknown> | undefined;
+    if (providerData) {
+        const providerRow = document.createElement('div');
+        providerRow.className = 'model-display';
+        providerRow.style.marginTop = '0.5rem';
+
+        const label = document.createElement('span');
+        label.textContent = 'Provider:';
+        providerRow.appendChild(label);
+
+        const providerCode = document.createElement('code');
+        providerCode.textContent = (providerData.value as string) || VALID_PROVIDERS[0];
+        providerRow.appendChild(providerCode);
+
+        providerRow.appendChild(createSourceBadge(providerData._source as string));
+        detailModelEl.appendChild(providerRow);
+    }
 }
 
 function renderDetailModelEditable(modelData: Record<string, unknown>): void {
@@ -484,6 +582,22 @@ function renderDetailModelEditable(modelData: Record<string, unknown>): void {
     const wrapper = document.createElement('div');
     wrapper.className = 'model-detail-edit';
 
+    const providerData = clientDetailData?.provider as Record<string, unknown> | undefined;
+    const providerSelect = document.createElement('select');
+    providerSelect.style.marginBottom = '0.5rem';
+    VALID_PROVIDERS.forEach((p) => {
+        const opt = document.createElement('option');
+        opt.value = p;
+        opt.textContent = `Provider: ${p}`;
+        providerSelect.appendChild(opt);
+    });
+    providerSelect.value = detailProviderOverride || (providerData?.value as string) || VALID_PROVIDERS[0];
+    providerSelect.addEventListener('change', () => {
+        detailProviderOverride = providerSelect.value;
+        detailModelSaveBar.style.display = 'flex';
+    });
+    wrapper.appendChild(providerSelect);
+
     const select = document.createElement('select');
     KNOWN_MODELS.forEach((m) => {
         const opt = document.createElement('option');
@@ -842,7 +956,10 @@ function enterHeaderEditMode(): void {
         name: (c.name as string) || '',
         folderPath: (c.folderPath as string) || '',
         apiKeyEnvVar: (c.apiKeyEnvVar as string) || '',
-        enabled: c.enabled !== false
+        enabled: c.enabled !== false,
+        reviewRequired: c.reviewRequired === true,
+        confidenceThreshold: typeof c.confidenceThreshold === 'number' ? String(c.confidenceThreshold) : '',
+        baseCurrency: (c.baseCurrency as string) || ''
     };
     detailHeaderEditMode = true;
     renderClientDetail();
@@ -867,10 +984,21 @@ function updateHeaderSaveBar(): void {
         ed.name !== (c.name as string) ||
         ed.folderPath !== (c.folderPath as string) ||
         ed.apiKeyEnvVar !== ((c.apiKeyEnvVar as string) || '') ||
-        ed.enabled !== (c.enabled !== false);
+        ed.enabled !== (c.enabled !== false) ||
+        ed.reviewRequired !== (c.reviewRequired === true) ||
+        isThresholdChanged(ed.confidenceThreshold, c.confidenceThreshold) ||
+        ed.baseCurrency !== ((c.baseCurrency as string) || '');
     detailHeaderSaveBar.style.display = changed ? 'flex' : 'none';
 }
 
+/**
+ * Compare the edited confidence threshold with the stored one (unchanged values are not sent,
+ * so an inherited global threshold does not become a client override)
+ */
+function isThresholdChanged(edited: string, stored: unknown): boolean {
+    return edited !== (typeof stored === 'number' ? String(stored) : '');
+}
+
 async function saveHeaderProperties(): Promise<void> {
     if (!clientDetailData || !detailHeaderEditData) return;
     const c = clientDetailData.client as Record<string, unknown>;
@@ -886,7 +1014,12 @@ async function saveHeaderProperties(): Promise<void> {
                 name: ed.name,
                 folderPath: ed.folderPath,
                 apiKeyEnvVar: ed.apiKeyEnvVar || '',
-                enabled: ed.enabled
+                enabled: ed.enabled,
+                reviewRequired: ed.reviewRequired,
+                ...(isThresholdChanged(ed.confidenceThreshold, c.confidenceThreshold) && {
+                    confidenceThreshold: ed.confidenceThreshold === '' ? null : Number(ed.confidenceThreshold)
+                }),
+                ...(ed.baseCurrency !== ((c.baseCurrency as string) || '') && { baseCurrency: ed.baseCurrency || null })
             })
         });
         if (!response.ok) {
@@ -928,6 +1061,7 @@ function resetDetailEditState(): void {
     detailFilenameOverride = null;
     detailModelEditMode = false;
     detailModelOverride = null;
+    detailProviderOverride = null;
     detailHeaderEditMode = false;
     detailHeaderEditData = null;
     detailFieldsSaveBar.style.display = 'none';
@@ -954,7 +1088,10 @@ function updateDetailResetButtons(): void {
     resetFilenameBtn.style.display =
         (d.filenameTemplate as Record<string, unknown>)._source === 'override' ? 'inline-flex' : 'none';
     resetModelBtn.style.display =
-        d.model && (d.model as Record<string, unknown>)._source === 'override' ? 'inline-flex' : 'none';
+        (d.model && (d.model as Record<string, unknown>)._source === 'override') ||
+        (d.provider && (d.provider as Record<string, unknown>)._source === 'override')
+            ? 'inline-flex'
+            : 'none';
 }
 
 // --- FIELDS OVERRIDE ---
@@ -1109,7 +1246,8 @@ function renderDetailFieldListEditable(): void {
             const typeEdit = document.createElement('span');
             typeEdit.className = 'cell-edit';
             const typeSelect = document.createElement('select');
-            VALID_FIELD_TYPES.forEach((t) => {
+            // Table and choice fields need sub-columns or options, which are only editable in the global field editor
+            VALID_FIELD_TYPES.filter((t) => t !== 'table' && t !== 'choice').forEach((t) => {
                 const opt = document.createElement('option');
                 opt.value = t;
                 opt.textContent = t;
@@ -1984,6 +2122,7 @@ async function saveDetailFilenameOverride(): Promise<void> {
 function customizeModel(): void {
     detailModelEditMode = true;
     detailModelOverride = ((clientDetailData!.model as Record<string, unknown>)?.value as string) || null;
+    detailProviderOverride = null;
     customizeModelBtn.textContent = 'Cancel';
     detailModelSaveBar.style.display = 'flex';
     renderDetailModel(clientDetailData!.model as Record<string, unknown>);
@@ -1992,33 +2131,43 @@ function customizeModel(): void {
 function cancelDetailModelEdit(): void {
     detailModelEditMode = false;
     detailModelOverride = null;
+    detailProviderOverride = null;
     customizeModelBtn.textContent = 'Customize';
     detailModelSaveBar.style.display = 'none';
     renderDetailModel(clientDetailData!.model as Record<string, unknown>);
 }
 
 async function saveDetailModelOverride(): Promise<void> {
-    if (!clientDetailData || !detailModelOverride) return;
+    if (!clientDetailData || (!detailModelOverride && !detailProviderOverride)) return;
+
+    const clientId = (clientDetailData.client as Record<string, unknown>).clientId as string;
+    const overrides: [string, string | null][] = [
+        ['provider', detailProviderOverride],
+        ['model', detailModelOverride]
+    ];
 
     try {
-        const response = await fetch(
-            `/api/clients/${(clientDetailData.client as Record<string, unknown>).clientId}/overrides`,
-            {
+        let updated = null;
+        for (const [section, data] of overrides) {
+            if (!data) continue;
+            const response = await fetch(`/api/clients/${clientId}/overrides`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ section: 'model', data: detailModelOverride })
+                body: JSON.stringify({ section, data })
+            });
+
+            if (!response.ok) {
+                const err = await response.json();
+                throw new Error(err.details || err.error || `Failed to save ${section} override`);
             }
-        );
 
-        if (!response.ok) {
-            const err = await response.json();
-            throw new Error(err.error || 'Failed to save model override');
+            updated = await response.json();
         }
 
-        const updated = await response.json();
         clientDetailData = updated;
         detailModelEditMode = false;
         detailModelOverride = null;
+        detailProviderOverride = null;
         customizeModelBtn.textContent = 'Customize';
         detailModelSaveBar.style.display = 'none';
         renderDetailModel(updated.model);
@@ -2038,7 +2187,8 @@ async function resetOverride(section: string): Promise<void> {
         fields: 'field',
         tags: 'tag',
         prompt: 'prompt',
-        output: 'filename template'
+        output: 'filename template',
+        model: 'model'
     };
     if (!confirm(`Reset ${sectionNames[section]} settings to global defaults? Your custom settings will be removed.`)) {
         return;
@@ -2046,10 +2196,16 @@ async function resetOverride(section: string): Promise<void> {
 
     const clientId = (clientDetailData.client as Record<string, unknown>).clientId as string;
 
+    // The model card also holds the provider override
+    const sections = section === 'model' ? ['provider', 'model'] : [section];
+
     try {
-        const response = await fetch(`/api/clients/${clientId}/overrides/${section}`, { method: 'DELETE' });
-        const result = await response.json();
-        if (!response.ok) throw new Error(result.error || result.details || 'Reset failed');
+        let result = null;
+        for (const s of sections) {
+            const response = await fetch(`/api/clients/${clientId}/overrides/${s}`, { method: 'DELETE' });
+            result = await response.json();
+            if (!response.ok) throw new Error(result.error || result.details || 'Reset failed');
+        }
 
         clientDetailData = result;
         resetDetailEditState();
@@ -2104,7 +2260,7 @@ function renderFileList(): void {
     if (fileList.length === 0) {
         const empty = document.createElement('div');
         empty.className = 'empty-placeholder';
-        empty.textContent = 'No PDF files in input folder.';
+        empty.textContent = 'No invoice files in input folder.';
         fileSelectorEl.appendChild(empty);
         return;
     }
@@ -2232,6 +2388,7 @@ async function processSelectedFiles(dryRun: boolean): Promise<void> {
         dryRunSelectedBtn.disabled = false;
         loadFileList();
         loadClientResults(clientId);
+        loadClientSuppliers(clientId);
     }
 }
 
@@ -2243,6 +2400,9 @@ function handleFileProcessingUpdate(data: Record<string, unknown>): void {
         case 'starting':
             addLogEntry(`Found ${data.total} file${(data.total as number) > 1 ? 's' : ''}. Processing...`, 'info');
             break;
+        case 'split':
+            addLogEntry(`Split ${data.filename} into ${data.parts} invoices`, 'info');
+            break;
         case 'analyzing':
             addLogEntry('Analyzing: ' + data.filename + '...', 'processing');
             break;
@@ -2252,6 +2412,12 @@ function handleFileProcessingUpdate(data: Record<string, unknown>): void {
         case 'dry-run-completed':
             addLogEntry('Dry run: ' + data.filename + ' -> ' + data.outputFilename, 'success');
             break;
+        case 'duplicate':
+            addLogEntry(
+                `Duplicate: ${data.filename} (same as ${(data.duplicateOf as { originalFilename?: string })?.originalFilename})`,
+                'warning'
+            );
+            break;
         case 'failed':
             addLogEntry('Failed: ' + data.filename + ' - ' + data.error, 'error');
             break;
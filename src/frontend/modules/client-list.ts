@@ -9,12 +9,16 @@ import { openClientDetail } from './client-detail.js';
 let clients: Record<string, unknown>[] = [];
 let clientStats: Record<string, Record<string, unknown>> = {};
 let isProcessing = false;
+let currentJobId: string | null = null;
+let currentJobPaused = false;
 let editingClientId: string | null = null;
 let deleteClientId: string | null = null;
 
 // --- DOM refs (set in init) ---
 let clientListEl: HTMLElement;
 let processAllBtn: HTMLButtonElement;
+let pauseProcessingBtn: HTMLButtonElement;
+let cancelProcessingBtn: HTMLButtonElement;
 let dashboardStatsEl: HTMLElement;
 let statTotalProcessedEl: HTMLElement;
 let statSuccessRateEl: HTMLElement;
@@ -43,6 +47,8 @@ let confirmDeleteBtn: HTMLButtonElement;
 export function initClientList(): void {
     clientListEl = document.getElementById('clientList')!;
     processAllBtn = document.getElementById('processAllBtn') as HTMLButtonElement;
+    pauseProcessingBtn = document.getElementById('pauseProcessingBtn') as HTMLButtonElement;
+    cancelProcessingBtn = document.getElementById('cancelProcessingBtn') as HTMLButtonElement;
 
     dashboardStatsEl = document.getElementById('dashboardStats')!;
     statTotalProcessedEl = document.getElementById('statTotalProcessed')!;
@@ -79,6 +85,8 @@ export function initClientList(): void {
     newClientBtn.addEventListener('click', () => openClientForm());
     processAllBtn.addEventListener('click', processAllClients);
     clearLogBtn.addEventListener('click', clearLog);
+    pauseProcessingBtn.addEventListener('click', togglePauseJob);
+    cancelProcessingBtn.addEventListener('click', cancelJob);
 
     closeModalBtn.addEventListener('click', closeClientForm);
     cancelFormBtn.addEventListener('click', closeClientForm);
@@ -640,6 +648,7 @@ async function processClient(clientId: string, options: { dryRun?: boolean } = {
         showAlert('Processing failed: ' + (error as Error).message, 'error');
     } finally {
         isProcessing = false;
+        setCurrentJob(null);
         updateProcessAllButton();
         enableAllProcessButtons();
         loadClients();
@@ -689,6 +698,7 @@ async function processAllClients(): Promise<void> {
         showAlert('Batch processing failed: ' + (error as Error).message, 'error');
     } finally {
         isProcessing = false;
+        setCurrentJob(null);
         updateProcessAllButton();
         enableAllProcessButtons();
         loadClients();
@@ -701,6 +711,25 @@ function handleProcessingUpdate(data: Record<string, unknown>): void {
             addLogEntry('Connected to server...', 'info');
             break;
 
+        case 'job-started':
+            setCurrentJob(data.jobId as string);
+            break;
+
+        case 'paused':
+            setCurrentJob(currentJobId, true);
+            addLogEntry('Paused. Files already being analyzed will finish first.', 'warning');
+            break;
+
+        case 'resumed':
+            setCurrentJob(currentJobId, false);
+            addLogEntry('Resumed.', 'info');
+            break;
+
+        case 'cancelled':
+            addLogEntry('Cancelled. Remaining files were left in the input folder.', 'warning');
+            showAlert('Processing cancelled', 'warning');
+            break;
+
         case 'starting':
             addLogEntry(
                 'Found ' + data.total + ' files. Processing with ' + data.concurrency + ' concurrent tasks...',
@@ -719,6 +748,10 @@ function handleProcessingUpdate(data: Record<string, unknown>): void {
             );
             break;
 
+        case 'split':
+            addLogEntry('Split ' + data.filename + ' into ' + data.parts + ' invoices', 'info');
+            break;
+
         case 'analyzing':
             addLogEntry('Analyzing: ' + data.filename + '...', 'processing');
             break;
@@ -738,6 +771,17 @@ function handleProcessingUpdate(data: Record<string, unknown>): void {
             addLogEntry('Dry run: ' + data.filename + ' -> ' + data.outputFilename, 'success');
             break;
 
+        case 'duplicate':
+            addLogEntry(
+                'Duplicate: ' +
+                    data.filename +
+                    ' (same as ' +
+                    (data.duplicateOf as { originalFilename?: string })?.originalFilename +
+                    ')',
+                'warning'
+            );
+            break;
+
         case 'failed':
             addLogEntry('Failed: ' + data.filename + ' - ' + data.error, 'error');
             break;
@@ -773,7 +817,9 @@ function handleProcessingUpdate(data: Record<string, unknown>): void {
                 }
             } else {
                 addLogEntry('\nComplete: ' + data.success + ' successful, ' + data.failed + ' failed', 'info');
-                if ((data.failed as number) === 0 && (data.success as number) > 0) {
+                if (data.cancelled) {
+                    addLogEntry(data.cancelled + ' files not processed', 'warning');
+                } else if ((data.failed as number) === 0 && (data.success as number) > 0) {
                     showAlert('Successfully processed ' + data.success + ' invoices!', 'success');
                 } else if ((data.success as number) === 0 && (data.failed as number) === 0) {
                     showAlert('No invoices to process', 'info');
@@ -790,6 +836,62 @@ function handleProcessingUpdate(data: Record<string, unknown>): void {
     }
 }
 
+// --- Internal: Job Controls ---
+
+function setCurrentJob(jobId: string | null, paused = false): void {
+    currentJobId = jobId;
+    currentJobPaused = jobId !== null && paused;
+
+    const display = jobId ? '' : 'none';
+    pauseProcessingBtn.style.display = display;
+    cancelProcessingBtn.style.display = display;
+    pauseProcessingBtn.textContent = currentJobPaused ? 'Resume' : 'Pause';
+    pauseProcessingBtn.disabled = false;
+    cancelProcessingBtn.disabled = false;
+}
+
+async function togglePauseJob(): Promise<void> {
+    if (!currentJobId) return;
+
+    const action = currentJobPaused ? 'resume' : 'pause';
+    pauseProcessingBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/jobs/${currentJobId}/${action}`, { method: 'POST' });
+        if (!response.ok) {
+            const result = await response.json();
+            showAlert(result.error || `Failed to ${action} processing`, 'error');
+        }
+    } catch (error) {
+        showAlert(`Failed to ${action} processing: ` + (error as Error).message, 'error');
+    } finally {
+        pauseProcessingBtn.disabled = false;
+    }
+}
+
+async function cancelJob(): Promise<void> {
+    if (!currentJobId) return;
+    if (!confirm('Cancel processing? Files already being analyzed will finish; the rest stay in the input folder.')) {
+        return;
+    }
+
+    cancelProcessingBtn.disabled = true;
+    pauseProcessingBtn.disabled = true;
+    addLogEntry('Cancelling...', 'warning');
+    try {
+        const response = await fetch(`/api/jobs/${currentJobId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const result = await response.json();
+            showAlert(result.error || 'Failed to cancel processing', 'error');
+            cancelProcessingBtn.disabled = false;
+            pauseProcessingBtn.disabled = false;
+        }
+    } catch (error) {
+        showAlert('Failed to cancel processing: ' + (error as Error).message, 'error');
+        cancelProcessingBtn.disabled = false;
+        pauseProcessingBtn.disabled = false;
+    }
+}
+
 function disableAllProcessButtons(): void {
     document
         .querySelectorAll('.process-btn, .dry-run-btn')
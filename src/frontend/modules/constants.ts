@@ -10,7 +10,9 @@ export const KNOWN_MODELS = [
     'gemini-1.5-pro'
 ] as const;
 
-export const VALID_FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'array'] as const;
+export const VALID_FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'array', 'table', 'choice'] as const;
+
+export const VALID_TABLE_COLUMN_TYPES = ['text', 'number', 'boolean', 'date'] as const;
 
 export const VALID_FIELD_FORMATS: Record<
     string,
@@ -63,6 +65,12 @@ export const VALID_FIELD_FORMATS: Record<
 
 export const FORMAT_NONE = 'none';
 
-export const VALID_OVERRIDE_SECTIONS = ['fields', 'tags', 'prompt', 'output', 'model'] as const;
+export const VALID_OVERRIDE_SECTIONS = ['fields', 'tags', 'prompt', 'output', 'model', 'provider'] as const;
+
+export const VALID_PROVIDERS = ['gemini', 'openai', 'local'] as const;
 
 export const DEFAULT_MODEL = 'gemini-3-flash-preview';
+
+// Confidence bands for colouring extracted fields (fields below the client's threshold are always low)
+export const LOW_CONFIDENCE = 0.5;
+export const MEDIUM_CONFIDENCE = 0.8;
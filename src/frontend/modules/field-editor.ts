@@ -2,7 +2,7 @@
 // Manages the global extraction field definitions (load, render, inline edit, save).
 
 import { showAlert } from './ui-utils.js';
-import { VALID_FIELD_TYPES, VALID_FIELD_FORMATS, FORMAT_NONE } from './constants.js';
+import { VALID_FIELD_TYPES, VALID_TABLE_COLUMN_TYPES, VALID_FIELD_FORMATS, FORMAT_NONE } from './constants.js';
 import { registerTableHandler, activateCellEdit, deactivateCellEdit, showInlineDeleteConfirm } from './table-editor.js';
 
 // --- State ---
@@ -10,6 +10,8 @@ let fieldDefinitions: Record<string, unknown>[] = [];
 let originalFieldDefinitions: Record<string, unknown>[] = [];
 let fieldsLoaded = false;
 let editMode = false;
+// User-defined formats from config.customFormats (text fields only)
+let customFormats: Record<string, { label: string }> = {};
 
 // --- DOM refs (set in init) ---
 let fieldListEl: HTMLElement;
@@ -67,6 +69,7 @@ export async function loadFieldDefinitions(): Promise<void> {
 
         if (response.ok) {
             fieldDefinitions = data.fieldDefinitions || [];
+            customFormats = data.customFormats || {};
             originalFieldDefinitions = JSON.parse(JSON.stringify(fieldDefinitions));
             fieldsLoaded = true;
             renderFieldList();
@@ -156,20 +159,43 @@ function onCellWrite(
     if (fieldName === 'type') {
         const currentFormat = fieldDefinitions[index].format as string;
         if (currentFormat && currentFormat !== FORMAT_NONE) {
-            const formatDef = VALID_FIELD_FORMATS[currentFormat];
+            const formatDef = getFormatDefinitions()[currentFormat];
             if (!formatDef || !formatDef.compatibleTypes.includes(value as string)) {
                 fieldDefinitions[index].format = FORMAT_NONE;
             }
         }
+        // Table fields carry sub-columns; other types must not
+        if (value === 'table' && !Array.isArray(fieldDefinitions[index].columns)) {
+            fieldDefinitions[index].columns = [];
+        } else if (value !== 'table') {
+            delete fieldDefinitions[index].columns;
+        }
+        // Choice fields carry options; other types must not
+        if (value === 'choice' && !Array.isArray(fieldDefinitions[index].options)) {
+            fieldDefinitions[index].options = [];
+        } else if (value !== 'choice') {
+            delete fieldDefinitions[index].options;
+        }
         renderFieldList();
     }
 }
 
+/**
+ * Get the built-in and user-defined formats by key
+ */
+function getFormatDefinitions(): Record<string, { label: string; compatibleTypes: string[] }> {
+    const formats: Record<string, { label: string; compatibleTypes: string[] }> = { ...VALID_FIELD_FORMATS };
+    for (const [key, def] of Object.entries(customFormats)) {
+        formats[key] = { label: def.label, compatibleTypes: ['text'] };
+    }
+    return formats;
+}
+
 /**
  * Get formats compatible with a given field type
  */
 function getCompatibleFormats(fieldType: string): Array<{ key: string; label: string }> {
-    return Object.entries(VALID_FIELD_FORMATS)
+    return Object.entries(getFormatDefinitions())
         .filter(([, def]) => def.compatibleTypes.includes(fieldType))
         .map(([key, def]) => ({ key, label: def.label }));
 }
@@ -310,7 +336,7 @@ function renderFieldList(): void {
         formatView.textContent = field.format
             ? field.format === FORMAT_NONE
                 ? 'None'
-                : VALID_FIELD_FORMATS[field.format as string]?.label || (field.format as string)
+                : getFormatDefinitions()[field.format as string]?.label || (field.format as string)
             : '\u2014';
         tdFormat.appendChild(formatView);
         if (hasFormats) {
@@ -378,6 +404,12 @@ function renderFieldList(): void {
         tr.appendChild(tdActions);
 
         tbody.appendChild(tr);
+
+        if (field.type === 'table') {
+            tbody.appendChild(buildColumnsRow(index, field, headers.length));
+        } else if (field.type === 'choice') {
+            tbody.appendChild(buildOptionsRow(index, field, headers.length));
+        }
     });
 
     table.appendChild(tbody);
@@ -406,6 +438,241 @@ function renderFieldList(): void {
     updateFieldsSaveBar();
 }
 
+/**
+ * Build the sub-column row shown under a table field.
+ * Read-only summary when locked; inline column editor in edit mode.
+ */
+function buildColumnsRow(index: number, field: Record<string, unknown>, colSpan: number): HTMLTableRowElement {
+    const columns = (field.columns || []) as Record<string, unknown>[];
+
+    const tr = document.createElement('tr');
+    tr.className = 'table-columns-row' + (field.enabled ? '' : ' disabled');
+    const td = document.createElement('td');
+    td.colSpan = colSpan;
+    tr.appendChild(td);
+
+    if (!editMode) {
+        const summary = document.createElement('span');
+        summary.className = 'table-columns-summary';
+        summary.textContent =
+            'Columns: ' +
+            (columns.length > 0 ? columns.map((c) => `${c.label} (${c.type})`).join(', ') : '(none defined)');
+        td.appendChild(summary);
+        return tr;
+    }
+
+    const editor = document.createElement('table');
+    editor.className = 'table-columns-editor';
+
+    const headerRow = document.createElement('tr');
+    ['Column Label', 'Key', 'Type', 'Schema Hint', ''].forEach((text) => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    editor.appendChild(headerRow);
+
+    columns.forEach((column, colIndex) => {
+        const row = document.createElement('tr');
+
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.value = (column.label as string) || '';
+        labelInput.placeholder = 'e.g., Unit Price';
+
+        const keyInput = document.createElement('input');
+        keyInput.type = 'text';
+        keyInput.value = (column.key as string) || '';
+        keyInput.placeholder = 'unitPrice';
+
+        labelInput.addEventListener('input', () => {
+            // Keep the key in sync until it is edited by hand
+            if (!column.key || column.key === labelToCamelCase((column.label as string) || '')) {
+                column.key = labelToCamelCase(labelInput.value);
+                keyInput.value = column.key as string;
+            }
+            column.label = labelInput.value;
+            updateFieldsSaveBar();
+        });
+        keyInput.addEventListener('input', () => {
+            column.key = keyInput.value.trim();
+            updateFieldsSaveBar();
+        });
+
+        const typeSelect = document.createElement('select');
+        VALID_TABLE_COLUMN_TYPES.forEach((t) => {
+            const opt = document.createElement('option');
+            opt.value = t;
+            opt.textContent = t;
+            opt.selected = t === column.type;
+            typeSelect.appendChild(opt);
+        });
+        typeSelect.addEventListener('change', () => {
+            column.type = typeSelect.value;
+            updateFieldsSaveBar();
+        });
+
+        const hintInput = document.createElement('input');
+        hintInput.type = 'text';
+        hintInput.value = (column.schemaHint as string) || '';
+        hintInput.placeholder = 'Optional';
+        hintInput.addEventListener('input', () => {
+            if (hintInput.value.trim()) {
+                column.schemaHint = hintInput.value.trim();
+            } else {
+                delete column.schemaHint;
+            }
+            updateFieldsSaveBar();
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-icon btn-icon-danger';
+        deleteBtn.title = 'Remove column';
+        deleteBtn.textContent = '\u2715';
+        deleteBtn.addEventListener('click', (e: MouseEvent) => {
+            e.stopPropagation();
+            columns.splice(colIndex, 1);
+            renderFieldList();
+        });
+
+        [labelInput, keyInput, typeSelect, hintInput, deleteBtn].forEach((el) => {
+            const cell = document.createElement('td');
+            cell.appendChild(el);
+            row.appendChild(cell);
+        });
+        editor.appendChild(row);
+    });
+
+    td.appendChild(editor);
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-small btn-secondary';
+    addBtn.textContent = '+ Add Column';
+    addBtn.addEventListener('click', (e: MouseEvent) => {
+        e.stopPropagation();
+        readFieldsFromDOM();
+        const target = fieldDefinitions[index];
+        if (!Array.isArray(target.columns)) target.columns = [];
+        (target.columns as Record<string, unknown>[]).push({ key: '', label: '', type: 'text' });
+        renderFieldList();
+    });
+    td.appendChild(addBtn);
+
+    return tr;
+}
+
+/**
+ * Build the options row shown under a choice field.
+ * Read-only summary when locked; inline option editor in edit mode.
+ */
+function buildOptionsRow(index: number, field: Record<string, unknown>, colSpan: number): HTMLTableRowElement {
+    const options = (field.options || []) as Record<string, unknown>[];
+
+    const tr = document.createElement('tr');
+    tr.className = 'table-columns-row' + (field.enabled ? '' : ' disabled');
+    const td = document.createElement('td');
+    td.colSpan = colSpan;
+    tr.appendChild(td);
+
+    if (!editMode) {
+        const summary = document.createElement('span');
+        summary.className = 'table-columns-summary';
+        summary.textContent =
+            'Options: ' +
+            (options.length > 0 ? options.map((o) => `${o.label} (${o.value})`).join(', ') : '(none defined)');
+        td.appendChild(summary);
+        return tr;
+    }
+
+    const editor = document.createElement('table');
+    editor.className = 'table-columns-editor';
+
+    const headerRow = document.createElement('tr');
+    ['Option Label', 'Value', 'Description', ''].forEach((text) => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    editor.appendChild(headerRow);
+
+    options.forEach((option, optIndex) => {
+        const row = document.createElement('tr');
+
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.value = (option.label as string) || '';
+        labelInput.placeholder = 'e.g., Office Supplies';
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.value = (option.value as string) || '';
+        valueInput.placeholder = 'office';
+
+        labelInput.addEventListener('input', () => {
+            // Keep the value in sync until it is edited by hand
+            if (!option.value || option.value === labelToCamelCase((option.label as string) || '')) {
+                option.value = labelToCamelCase(labelInput.value);
+                valueInput.value = option.value as string;
+            }
+            option.label = labelInput.value;
+            updateFieldsSaveBar();
+        });
+        valueInput.addEventListener('input', () => {
+            option.value = valueInput.value.trim();
+            updateFieldsSaveBar();
+        });
+
+        const descriptionInput = document.createElement('input');
+        descriptionInput.type = 'text';
+        descriptionInput.value = (option.description as string) || '';
+        descriptionInput.placeholder = 'Optional';
+        descriptionInput.addEventListener('input', () => {
+            if (descriptionInput.value.trim()) {
+                option.description = descriptionInput.value.trim();
+            } else {
+                delete option.description;
+            }
+            updateFieldsSaveBar();
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-icon btn-icon-danger';
+        deleteBtn.title = 'Remove option';
+        deleteBtn.textContent = '\u2715';
+        deleteBtn.addEventListener('click', (e: MouseEvent) => {
+            e.stopPropagation();
+            options.splice(optIndex, 1);
+            renderFieldList();
+        });
+
+        [labelInput, valueInput, descriptionInput, deleteBtn].forEach((el) => {
+            const cell = document.createElement('td');
+            cell.appendChild(el);
+            row.appendChild(cell);
+        });
+        editor.appendChild(row);
+    });
+
+    td.appendChild(editor);
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-small btn-secondary';
+    addBtn.textContent = '+ Add Option';
+    addBtn.addEventListener('click', (e: MouseEvent) => {
+        e.stopPropagation();
+        readFieldsFromDOM();
+        const target = fieldDefinitions[index];
+        if (!Array.isArray(target.options)) target.options = [];
+        (target.options as Record<string, unknown>[]).push({ value: '', label: '' });
+        renderFieldList();
+    });
+    td.appendChild(addBtn);
+
+    return tr;
+}
+
 function buildFieldActions(tdActions: HTMLTableCellElement, index: number, field: Record<string, unknown>): void {
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'row-actions';
@@ -551,6 +818,47 @@ async function saveFieldDefinitions(): Promise<void> {
             showAlert(`Row ${rowNum}: instruction is required`, 'error');
             return;
         }
+        if (field.type === 'table') {
+            const columns = (field.columns || []) as Record<string, unknown>[];
+            if (columns.length === 0) {
+                showAlert(`Row ${rowNum}: table fields need at least one column`, 'error');
+                return;
+            }
+            for (const [colIndex, column] of columns.entries()) {
+                if (!column.label || !column.key) {
+                    showAlert(`Row ${rowNum}, column ${colIndex + 1}: label and key are required`, 'error');
+                    return;
+                }
+                if (!/^[a-z][a-zA-Z0-9]*$/.test(column.key as string)) {
+                    showAlert(
+                        `Row ${rowNum}, column ${colIndex + 1}: key must start with a lowercase letter and contain only alphanumeric characters`,
+                        'error'
+                    );
+                    return;
+                }
+                if (columns.some((c, j) => j !== colIndex && c.key === column.key)) {
+                    showAlert(`Row ${rowNum}: duplicate column key "${column.key}"`, 'error');
+                    return;
+                }
+            }
+        }
+        if (field.type === 'choice') {
+            const options = (field.options || []) as Record<string, unknown>[];
+            if (options.length === 0) {
+                showAlert(`Row ${rowNum}: choice fields need at least one option`, 'error');
+                return;
+            }
+            for (const [optIndex, option] of options.entries()) {
+                if (!option.label || !option.value) {
+                    showAlert(`Row ${rowNum}, option ${optIndex + 1}: label and value are required`, 'error');
+                    return;
+                }
+                if (options.some((o, j) => j !== optIndex && o.value === option.value)) {
+                    showAlert(`Row ${rowNum}: duplicate option value "${option.value}"`, 'error');
+                    return;
+                }
+            }
+        }
 
         const duplicateIndex = fieldDefinitions.findIndex((f, j) => j !== i && f.key === field.key);
         if (duplicateIndex !== -1) {
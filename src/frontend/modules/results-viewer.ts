@@ -1,14 +1,29 @@
 // Processing Results Viewer module
 // Shows processing history for a client with filtering, pagination, expandable detail rows, and retry.
 
-import { showAlert } from './ui-utils.js';
+import { describeConfidence, getConfidenceLevel, showAlert, type FieldConfidence } from './ui-utils.js';
+import { initReviewPanel, openCorrection, openReview } from './review-panel.js';
 
 const PAGE_SIZE = 25;
 
+// Badge class and label per stored result status
+const STATUS_BADGES: Record<string, [string, string]> = {
+    success: ['status-success', 'Success'],
+    'dry-run': ['status-dry-run', 'Dry Run'],
+    duplicate: ['status-duplicate', 'Duplicate'],
+    'pending-review': ['status-pending-review', 'Pending Review'],
+    failed: ['status-failed', 'Failed']
+};
+
 let resultsViewerEl: HTMLElement;
 let resultsCountEl: HTMLElement;
 let resultsFiltersEl: HTMLElement;
 let retryAllBtn: HTMLButtonElement;
+let exportUblBtn: HTMLButtonElement;
+let resultsExportEl: HTMLElement;
+let exportProfileSelect: HTMLSelectElement;
+let exportMonthInput: HTMLInputElement;
+let exportProfileBtn: HTMLButtonElement;
 let currentClientId: string | null = null;
 let currentFilter = 'all';
 let currentOffset = 0;
@@ -21,6 +36,11 @@ export function initResultsViewer(): void {
     resultsCountEl = document.getElementById('resultsCount')!;
     resultsFiltersEl = document.getElementById('resultsFilters')!;
     retryAllBtn = document.getElementById('retryAllFailedBtn') as HTMLButtonElement;
+    exportUblBtn = document.getElementById('exportUblBtn') as HTMLButtonElement;
+    resultsExportEl = document.getElementById('resultsExport')!;
+    exportProfileSelect = document.getElementById('exportProfileSelect') as HTMLSelectElement;
+    exportMonthInput = document.getElementById('exportMonthInput') as HTMLInputElement;
+    exportProfileBtn = document.getElementById('exportProfileBtn') as HTMLButtonElement;
 
     resultsFiltersEl.addEventListener('click', (e: MouseEvent) => {
         const btn = (e.target as HTMLElement).closest('[data-filter]') as HTMLElement | null;
@@ -36,6 +56,16 @@ export function initResultsViewer(): void {
     });
 
     retryAllBtn.addEventListener('click', () => retryAllFailed());
+    exportUblBtn.addEventListener('click', () => exportUbl());
+    exportProfileBtn.addEventListener('click', () => exportWithProfile());
+
+    initReviewPanel(() => {
+        currentOffset = 0;
+        loadedResults = [];
+        loadResults();
+    });
+
+    loadExportProfiles();
 }
 
 export async function loadClientResults(clientId: string): Promise<void> {
@@ -56,6 +86,8 @@ export function clearResults(): void {
     resultsCountEl.textContent = '';
     resultsViewerEl.textContent = '';
     retryAllBtn.style.display = 'none';
+    exportUblBtn.style.display = 'none';
+    resultsExportEl.style.display = 'none';
 }
 
 async function loadResults(): Promise<void> {
@@ -96,6 +128,9 @@ async function loadResults(): Promise<void> {
         // Show/hide Retry All Failed button
         const hasFailed = loadedResults.some((r) => r.status === 'failed');
         retryAllBtn.style.display = hasFailed ? 'inline-flex' : 'none';
+        const hasSuccess = loadedResults.some((r) => r.status === 'success');
+        exportUblBtn.style.display = hasSuccess ? 'inline-flex' : 'none';
+        resultsExportEl.style.display = hasSuccess ? 'flex' : 'none';
 
         renderResults(data.hasMore);
     } catch (error) {
@@ -153,14 +188,7 @@ function renderResults(hasMore: boolean): void {
         // Status
         const tdStatus = document.createElement('td');
         const badge = document.createElement('span');
-        const statusClass =
-            result.status === 'success'
-                ? 'status-success'
-                : result.status === 'dry-run'
-                  ? 'status-dry-run'
-                  : 'status-failed';
-        const statusLabel =
-            result.status === 'success' ? 'Success' : result.status === 'dry-run' ? 'Dry Run' : 'Failed';
+        const [statusClass, statusLabel] = STATUS_BADGES[result.status as string] || STATUS_BADGES.failed;
         badge.className = 'status-badge ' + statusClass;
         badge.textContent = statusLabel;
         tdStatus.appendChild(badge);
@@ -175,7 +203,9 @@ function renderResults(hasMore: boolean): void {
         // Tokens
         const tdTokens = document.createElement('td');
         tdTokens.className = 'results-tokens';
-        tdTokens.textContent = formatTokens((result.tokenUsage as Record<string, number>)?.totalTokens || 0);
+        tdTokens.textContent = result.fromCache
+            ? 'cached'
+            : formatTokens((result.tokenUsage as Record<string, number>)?.totalTokens || 0);
         tr.appendChild(tdTokens);
 
         tr.addEventListener('click', () => toggleDetail(tr, result));
@@ -220,8 +250,52 @@ function toggleDetail(tr: HTMLTableRowElement, result: Record<string, unknown>):
     const content = document.createElement('div');
     content.className = 'results-detail-content';
 
-    if (result.status === 'success' || result.status === 'dry-run') {
+    if (result.splitFrom) {
+        const source = result.splitFrom as { filename: string; firstPage: number; lastPage: number };
+        const pages =
+            source.firstPage === source.lastPage
+                ? `page ${source.firstPage}`
+                : `pages ${source.firstPage}-${source.lastPage}`;
+        appendDetailField(content, 'Split from:', `${source.filename} (${pages})`);
+    }
+
+    if (result.eInvoice) {
+        const info = result.eInvoice as { syntax: string; profile: string | null };
+        const format = [info.syntax.toUpperCase(), info.profile].filter(Boolean).join(', ');
+        appendDetailField(content, 'Source:', `e-invoice XML (${format})`);
+    }
+
+    if (result.textLayer) {
+        const info = result.textLayer as { stage: string; fields: string[]; missing: string[] };
+        const read = info.fields.length > 0 ? ` (read: ${info.fields.join(', ')})` : '';
+        const missing = info.missing.length > 0 ? `; missing: ${info.missing.join(', ')}` : '';
+        const stages: Record<string, string> = {
+            local: `PDF text layer${read}`,
+            'model-text': `model, given the PDF text layer${read}${missing}`,
+            'model-document': `model, given the PDF${read}${missing}`
+        };
+        appendDetailField(content, 'Source:', stages[info.stage] || info.stage);
+    }
+
+    appendReviewInfo(content, result);
+
+    if (result.status === 'duplicate') {
+        renderDuplicateDetail(content, result);
+    } else if (result.status === 'pending-review') {
+        renderPendingDetail(content, result);
+    } else if (result.status === 'success' || result.status === 'dry-run') {
+        if (result.status === 'success' && result.outputFilename) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-small btn-secondary';
+            editBtn.textContent = 'Correct Fields';
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openCorrection(currentClientId!, result);
+            });
+            content.appendChild(editBtn);
+        }
         renderSuccessDetail(content, result);
+        appendCorrections(content, result);
     } else {
         renderFailedDetail(content, result);
     }
@@ -231,6 +305,36 @@ function toggleDetail(tr: HTMLTableRowElement, result: Record<string, unknown>):
     tr.after(detailTr);
 }
 
+/**
+ * Render a table-field value (array of row objects) as a nested table
+ */
+function renderTableValue(rows: Record<string, unknown>[]): HTMLTableElement {
+    const columns: string[] = [];
+    rows.forEach((row) => Object.keys(row || {}).forEach((k) => !columns.includes(k) && columns.push(k)));
+
+    const table = document.createElement('table');
+    table.className = 'results-line-items-table';
+    const headerRow = document.createElement('tr');
+    columns.forEach((col) => {
+        const th = document.createElement('th');
+        th.textContent = col;
+        headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    rows.forEach((row) => {
+        const tr = document.createElement('tr');
+        columns.forEach((col) => {
+            const td = document.createElement('td');
+            const cell = row?.[col];
+            td.textContent = cell === undefined || cell === null ? '' : String(cell);
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+    return table;
+}
+
 function renderSuccessDetail(content: HTMLElement, result: Record<string, unknown>): void {
     if (result.outputFilename) {
         appendDetailField(content, 'Output File:', result.outputFilename as string);
@@ -238,7 +342,9 @@ function renderSuccessDetail(content: HTMLElement, result: Record<string, unknow
     if (result.duration) {
         appendDetailField(content, 'Duration:', ((result.duration as number) / 1000).toFixed(1) + 's');
     }
-    if (result.tokenUsage) {
+    if (result.fromCache) {
+        appendDetailField(content, 'Tokens:', '0 (model response from the response cache)');
+    } else if (result.tokenUsage) {
         const tokenUsage = result.tokenUsage as Record<string, number>;
         let tokenText = `${tokenUsage.promptTokens} prompt + ${tokenUsage.outputTokens} output = ${tokenUsage.totalTokens} total`;
         const extras: string[] = [];
@@ -253,24 +359,74 @@ function renderSuccessDetail(content: HTMLElement, result: Record<string, unknow
         }
         appendDetailField(content, 'Tokens:', tokenText);
     }
+    if (Array.isArray(result.lowConfidence)) {
+        appendDetailField(content, 'Low Confidence:', (result.lowConfidence as string[]).join(', '));
+    }
 
     // Extracted fields
     const fields = (result.extractedFields || {}) as Record<string, unknown>;
-    const fieldEntries = Object.entries(fields).filter(([k]) => k !== 'tags');
+    const conversion = fields._conversion as
+        | { baseCurrency: string; baseCurrencyAmount: number; rate: number; rateDate: string; sourceCurrency: string }
+        | undefined;
+    if (conversion) {
+        appendDetailField(
+            content,
+            'Base Currency:',
+            `${conversion.baseCurrencyAmount.toFixed(2)} ${conversion.baseCurrency} ` +
+                `(1 ${conversion.sourceCurrency} = ${conversion.rate} ${conversion.baseCurrency}, ${conversion.rateDate})`
+        );
+    }
+    const supplier = fields._supplier as { matchedBy: string; extractedName?: string } | undefined;
+    if (supplier) {
+        const matchedBy = { vatNumber: 'VAT number', iban: 'IBAN', name: 'name' }[supplier.matchedBy];
+        appendDetailField(
+            content,
+            'Supplier Registry:',
+            `matched by ${matchedBy || supplier.matchedBy}` +
+                (supplier.extractedName ? `, extracted as "${supplier.extractedName}"` : '')
+        );
+    }
+    const supplierRule = fields._supplierRule as
+        | { supplier: string; matchedBy: string; promptHint: boolean; fields: string[] }
+        | undefined;
+    if (supplierRule) {
+        const applied = [...(supplierRule.promptHint ? ['prompt hint'] : []), ...supplierRule.fields];
+        appendDetailField(
+            content,
+            'Supplier Rule:',
+            `${supplierRule.supplier} (by ${supplierRule.matchedBy === 'filename' ? 'filename' : 'supplier name'})` +
+                (applied.length > 0 ? `: ${applied.join(', ')}` : '')
+        );
+    }
+    const fieldEntries = Object.entries(fields).filter(([k]) => k !== 'tags' && !k.startsWith('_'));
     if (fieldEntries.length > 0) {
         const h4 = document.createElement('h4');
         h4.textContent = 'Extracted Fields';
         content.appendChild(h4);
 
+        // Colour by the model's confidence, unless a reviewer or correction set the value
+        const confidence = (fields._confidence || {}) as Record<string, FieldConfidence>;
+        const lowConfidence = new Set((result.lowConfidence || []) as string[]);
+        const edited = getEditedKeys(result);
+
         const fieldTable = document.createElement('table');
         fieldTable.className = 'results-fields-table';
         fieldEntries.forEach(([key, value]) => {
             const row = document.createElement('tr');
+            if (confidence[key] && !edited.has(key)) {
+                const level = getConfidenceLevel(confidence[key], lowConfidence.has(key));
+                if (level) row.classList.add(`results-field-${level}-confidence`);
+                row.title = describeConfidence(confidence[key]);
+            }
             const keyTd = document.createElement('td');
             keyTd.className = 'results-field-key';
             keyTd.textContent = key;
             const valTd = document.createElement('td');
-            valTd.textContent = Array.isArray(value) ? value.join(', ') : String(value);
+            if (Array.isArray(value) && value.some((v) => v && typeof v === 'object')) {
+                valTd.appendChild(renderTableValue(value as Record<string, unknown>[]));
+            } else {
+                valTd.textContent = Array.isArray(value) ? value.join(', ') : String(value);
+            }
             row.appendChild(keyTd);
             row.appendChild(valTd);
             fieldTable.appendChild(row);
@@ -278,6 +434,28 @@ function renderSuccessDetail(content: HTMLElement, result: Record<string, unknow
         content.appendChild(fieldTable);
     }
 
+    // Format and consistency warnings
+    const warnings = [
+        ...((fields._formatWarnings || []) as Array<{ field: string; error?: string }>).map(
+            (w) => `${w.field}: ${w.error || 'Invalid format'}`
+        ),
+        ...((fields._consistencyWarnings || []) as Array<{ message: string }>).map((w) => w.message)
+    ];
+    if (warnings.length > 0) {
+        const h4 = document.createElement('h4');
+        h4.textContent = 'Warnings';
+        content.appendChild(h4);
+
+        const list = document.createElement('ul');
+        list.className = 'results-warning-list';
+        warnings.forEach((message) => {
+            const li = document.createElement('li');
+            li.textContent = message;
+            list.appendChild(li);
+        });
+        content.appendChild(list);
+    }
+
     // Tags
     const tags = (result.tags || {}) as Record<string, boolean>;
     const tagEntries = Object.entries(tags);
@@ -298,6 +476,136 @@ function renderSuccessDetail(content: HTMLElement, result: Record<string, unknow
     }
 }
 
+/**
+ * Collect the field keys a reviewer or a manual correction changed
+ */
+function getEditedKeys(result: Record<string, unknown>): Set<string> {
+    const review = result.review as { editedFields: string[] } | undefined;
+    const corrections = (result.corrections || []) as Array<{ changes: Record<string, unknown> }>;
+    return new Set([...(review?.editedFields || []), ...corrections.flatMap((c) => Object.keys(c.changes))]);
+}
+
+function renderPendingDetail(content: HTMLElement, result: Record<string, unknown>): void {
+    const reviewBtn = document.createElement('button');
+    reviewBtn.className = 'btn btn-small btn-primary';
+    reviewBtn.textContent = 'Review';
+    reviewBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openReview(currentClientId!, result);
+    });
+    content.appendChild(reviewBtn);
+
+    if (result.outputFilename) {
+        appendDetailField(content, 'Proposed Filename:', result.outputFilename as string);
+    }
+    renderSuccessDetail(content, { ...result, outputFilename: null });
+}
+
+/**
+ * Render review outcome for results that went through the review queue
+ */
+function appendReviewInfo(content: HTMLElement, result: Record<string, unknown>): void {
+    const review = result.review as { decision: string; reviewedAt: string; editedFields: string[] } | undefined;
+    if (!review) return;
+    const edited = review.editedFields.length > 0 ? `, corrected ${review.editedFields.join(', ')}` : '';
+    const decision = review.decision === 'approved' ? 'Approved' : 'Rejected';
+    appendDetailField(content, 'Review:', `${decision} ${formatTimestamp(review.reviewedAt)}${edited}`);
+}
+
+/**
+ * Render the audit trail of manual corrections, oldest first
+ */
+function appendCorrections(content: HTMLElement, result: Record<string, unknown>): void {
+    const corrections = (result.corrections || []) as Array<{
+        correctedAt: string;
+        changes: Record<string, { from: unknown; to: unknown }>;
+        previousOutputFilename?: string;
+    }>;
+    if (corrections.length === 0) return;
+
+    const h4 = document.createElement('h4');
+    h4.textContent = 'Corrections';
+    content.appendChild(h4);
+
+    const list = document.createElement('ul');
+    list.className = 'results-correction-list';
+    const show = (value: unknown) => (value === null || value === undefined ? '-' : formatCorrectionValue(value));
+    corrections.forEach((correction) => {
+        const li = document.createElement('li');
+        const changes = Object.entries(correction.changes).map(
+            ([key, change]) => `${key}: ${show(change.from)} \u2192 ${show(change.to)}`
+        );
+        if (correction.previousOutputFilename) {
+            changes.push(`renamed from ${correction.previousOutputFilename}`);
+        }
+        li.textContent = `${formatTimestamp(correction.correctedAt)} \u2014 ${changes.join('; ')}`;
+        list.appendChild(li);
+    });
+    content.appendChild(list);
+}
+
+function formatCorrectionValue(value: unknown): string {
+    if (Array.isArray(value)) return value.map((v) => (v && typeof v === 'object' ? JSON.stringify(v) : v)).join(', ');
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function renderDuplicateDetail(content: HTMLElement, result: Record<string, unknown>): void {
+    const original = (result.duplicateOf || {}) as Record<string, unknown>;
+    const reason = original.reason === 'fileHash' ? 'identical file' : 'same supplier, invoice number and amount';
+    const when = original.timestamp ? ', processed ' + formatTimestamp(original.timestamp as string) : '';
+
+    appendDetailField(content, 'Duplicate of:', `${original.originalFilename} (${reason}${when})`);
+    if (result.outputFilename) {
+        appendDetailField(content, 'Moved to:', `duplicates/${result.outputFilename}`);
+    }
+
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'btn btn-small btn-secondary';
+    viewBtn.textContent = 'View Original';
+    const originalContainer = document.createElement('div');
+    originalContainer.className = 'results-duplicate-original';
+    viewBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showOriginalResult(original.id as string, originalContainer, viewBtn);
+    });
+    content.appendChild(viewBtn);
+    content.appendChild(originalContainer);
+
+    renderSuccessDetail(content, { ...result, outputFilename: null });
+}
+
+/**
+ * Jump to the original record when it is on the current page, otherwise load it inline
+ */
+async function showOriginalResult(id: string, container: HTMLElement, btn: HTMLButtonElement): Promise<void> {
+    const row = resultsViewerEl.querySelector(`.results-row[data-result-id="${CSS.escape(id)}"]`);
+    const loaded = loadedResults.find((r) => r.id === id);
+    if (row && loaded) {
+        toggleDetail(row as HTMLTableRowElement, loaded);
+        row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        const response = await fetch(`/api/clients/${currentClientId}/results/${encodeURIComponent(id)}`);
+        if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || 'Failed to load original');
+        }
+        const original = await response.json();
+        container.textContent = '';
+        const h4 = document.createElement('h4');
+        h4.textContent = 'Original: ' + original.originalFilename + ' (' + formatTimestamp(original.timestamp) + ')';
+        container.appendChild(h4);
+        renderSuccessDetail(container, original);
+        btn.remove();
+    } catch (error) {
+        showAlert((error as Error).message, 'error');
+        btn.disabled = false;
+    }
+}
+
 function renderFailedDetail(content: HTMLElement, result: Record<string, unknown>): void {
     const errDiv = document.createElement('div');
     errDiv.className = 'results-error';
@@ -311,6 +619,9 @@ function renderFailedDetail(content: HTMLElement, result: Record<string, unknown
     errDiv.appendChild(errValue);
     content.appendChild(errDiv);
 
+    if (result.failedFile) {
+        appendDetailField(content, 'Moved To:', `failed/${result.failedFile as string}`);
+    }
     if (result.duration) {
         appendDetailField(content, 'Duration:', ((result.duration as number) / 1000).toFixed(1) + 's');
     }
@@ -413,6 +724,110 @@ async function retryAllFailed(): Promise<void> {
     }
 }
 
+/**
+ * Download the UBL invoices of all successful results as a ZIP
+ */
+async function exportUbl(): Promise<void> {
+    exportUblBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/clients/${currentClientId}/results/export/ubl`);
+        if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || 'Export failed');
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${currentClientId}-ubl.zip`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        const skipped = Number(response.headers.get('X-Export-Skipped') || 0);
+        if (skipped > 0) {
+            showAlert(`UBL export: ${skipped} invoice(s) skipped for missing values`, 'warning');
+        }
+    } catch (error) {
+        showAlert('UBL export failed: ' + (error as Error).message, 'error');
+    } finally {
+        exportUblBtn.disabled = false;
+    }
+}
+
+/**
+ * Fill the export profile selector; the empty option uses the client's output.exportProfile
+ */
+async function loadExportProfiles(): Promise<void> {
+    try {
+        const response = await fetch('/api/config/export-profiles');
+        if (!response.ok) return;
+        const data = await response.json();
+
+        exportProfileSelect.textContent = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Client default';
+        exportProfileSelect.appendChild(defaultOption);
+        for (const profile of data.profiles as { name: string; label: string }[]) {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.label;
+            exportProfileSelect.appendChild(option);
+        }
+    } catch {
+        // Selector stays empty; the export falls back to the client's default profile
+    }
+}
+
+/**
+ * Download the accounting export of the selected profile and month
+ */
+async function exportWithProfile(): Promise<void> {
+    exportProfileBtn.disabled = true;
+    try {
+        const params = new URLSearchParams();
+        if (exportProfileSelect.value) {
+            params.set('profile', exportProfileSelect.value);
+        }
+        if (exportMonthInput.value) {
+            const [year, month] = exportMonthInput.value.split('-').map(Number);
+            const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            params.set('from', `${exportMonthInput.value}-01`);
+            params.set('to', `${exportMonthInput.value}-${String(lastDay).padStart(2, '0')}`);
+        }
+
+        const response = await fetch(`/api/clients/${currentClientId}/results/export?${params}`);
+        if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || 'Export failed');
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = /filename="([^"]+)"/.exec(disposition)?.[1] || `${currentClientId}-export`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        const count = Number(response.headers.get('X-Export-Count') || 0);
+        const skipped = Number(response.headers.get('X-Export-Skipped') || 0);
+        if (count === 0) {
+            showAlert('Export: no invoices in the selected period', 'warning');
+        } else if (skipped > 0) {
+            showAlert(`Export: ${skipped} invoice(s) skipped for missing values`, 'warning');
+        }
+    } catch (error) {
+        showAlert('Export failed: ' + (error as Error).message, 'error');
+    } finally {
+        exportProfileBtn.disabled = false;
+    }
+}
+
 async function executeRetry(body: Record<string, unknown>): Promise<unknown> {
     return new Promise((resolve, reject) => {
         fetch(`/api/clients/${currentClientId}/results/retry`, {
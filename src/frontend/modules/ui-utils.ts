@@ -1,5 +1,13 @@
 // Shared UI utilities — alert system, logging, HTML escaping, fetch helpers.
 
+import { LOW_CONFIDENCE, MEDIUM_CONFIDENCE } from './constants.js';
+
+export interface FieldConfidence {
+    confidence: number;
+    source?: string;
+    page?: number;
+}
+
 /**
  * Escape HTML entities to prevent XSS
  */
@@ -47,6 +55,25 @@ export function showAlert(message: string, type: 'success' | 'warning' | 'error'
     }
 }
 
+/**
+ * Classify a field's confidence score for colouring
+ * @returns 'low', 'medium', or null for a confident value
+ */
+export function getConfidenceLevel(entry: FieldConfidence, belowThreshold: boolean): 'low' | 'medium' | null {
+    if (belowThreshold || entry.confidence < LOW_CONFIDENCE) return 'low';
+    return entry.confidence < MEDIUM_CONFIDENCE ? 'medium' : null;
+}
+
+/**
+ * Describe a field's confidence score and where the value was read
+ */
+export function describeConfidence(entry: FieldConfidence): string {
+    let text = `Confidence ${Math.round(entry.confidence * 100)}%`;
+    if (entry.source) text += ` \u2014 "${entry.source}"`;
+    if (entry.page) text += ` (page ${entry.page})`;
+    return text;
+}
+
 /**
  * Append a log entry to #processingLog
  */
@@ -0,0 +1,169 @@
+/**
+ * Currency conversion with local daily rate tables
+ * Converts an invoice's totalAmount to the client's base currency at the invoice
+ * date. Rates come from a CSV dropped into data/ — the ECB reference rates
+ * (eurofxref-hist.csv or the daily eurofxref.csv) by default: a Date column and
+ * one column per currency, quoted against ratesBase. The last rates on or before
+ * the invoice date are used, so weekends and holidays resolve to the previous
+ * business day.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { DEFAULT_RATES_BASE, DEFAULT_RATES_FILE, MAX_RATE_AGE_DAYS } from './constants.js';
+
+import type { AppConfig, CurrencyConversion, InvoiceAnalysis } from './types/index.js';
+
+interface RateTable {
+    dates: string[]; // YYYY-MM-DD, ascending
+    rates: Map<string, Record<string, number>>;
+}
+
+// Parsed tables by path; reloaded when the file changes
+const tableCache = new Map<string, { mtimeMs: number; table: RateTable }>();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Private helpers ──
+
+/**
+ * Normalize a table or invoice date (YYYY-MM-DD, YYYYMMDD or "15 January 2024") to YYYY-MM-DD
+ */
+function toIsoDate(value: unknown): string | null {
+    const str = String(value ?? '').trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
+    if (/^\d{8}$/.test(str)) return `${str.slice(0, 4)}-${str.slice(4, 6)}-${str.slice(6, 8)}`;
+    const parsed = Date.parse(`${str} UTC`);
+    return Number.isNaN(parsed) ? null : new Date(parsed).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a rate table CSV; rows without a date and cells such as "N/A" are skipped
+ */
+function parseRateTable(content: string, ratesBase: string): RateTable {
+    const lines = content.split(/\r?\n/).filter((line) => line.trim() !== '');
+    if (lines.length === 0) throw new Error('Rate table is empty');
+    const header = lines[0].split(',').map((cell) => cell.trim().toUpperCase());
+    if (header[0] !== 'DATE') throw new Error('Rate table must start with a "Date" column');
+
+    const rates = new Map<string, Record<string, number>>();
+    for (const line of lines.slice(1)) {
+        const cells = line.split(',').map((cell) => cell.trim());
+        const date = toIsoDate(cells[0]);
+        if (!date) continue;
+        const row: Record<string, number> = { [ratesBase]: 1 };
+        header.forEach((currency, i) => {
+            const rate = Number(cells[i]);
+            if (i > 0 && currency && cells[i] && Number.isFinite(rate) && rate > 0) row[currency] = rate;
+        });
+        rates.set(date, row);
+    }
+    return { dates: [...rates.keys()].sort(), rates };
+}
+
+/**
+ * Load a rate table, reusing the parsed table while the file is unchanged
+ */
+async function loadRateTable(filePath: string, ratesBase: string): Promise<RateTable> {
+    let stat: fs.Stats;
+    try {
+        stat = await fs.promises.stat(filePath);
+    } catch {
+        throw new Error(`Rate table not found: ${filePath}`);
+    }
+    const cacheKey = `${filePath}|${ratesBase}`;
+    const cached = tableCache.get(cacheKey);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.table;
+
+    const table = parseRateTable(await fs.promises.readFile(filePath, 'utf-8'), ratesBase);
+    tableCache.set(cacheKey, { mtimeMs: stat.mtimeMs, table });
+    return table;
+}
+
+/**
+ * Find the last table date on or before a date that has rates for both currencies
+ */
+function findRateDate(table: RateTable, date: string, currencies: string[]): string | null {
+    const oldest = new Date(Date.parse(date) - MAX_RATE_AGE_DAYS * DAY_MS).toISOString().slice(0, 10);
+    for (let i = table.dates.length - 1; i >= 0; i--) {
+        const candidate = table.dates[i];
+        if (candidate > date) continue;
+        if (candidate < oldest) return null;
+        const row = table.rates.get(candidate)!;
+        if (currencies.every((c) => row[c] !== undefined)) return candidate;
+    }
+    return null;
+}
+
+// ── Public API ──
+
+/**
+ * Convert an analysis' totalAmount to the configured base currency
+ * @param analysis - Validated analysis with totalAmount, currency and invoiceDate
+ * @param config - Configuration with processing.currencyConversion
+ * @returns The conversion, or null when no base currency is configured
+ * @throws If the amount, currency or date is missing, or the table has no rates for them
+ */
+export async function convertToBaseCurrency(
+    analysis: InvoiceAnalysis,
+    config: AppConfig
+): Promise<CurrencyConversion | null> {
+    const settings = config.processing?.currencyConversion;
+    if (!settings?.baseCurrency) return null;
+    const baseCurrency = settings.baseCurrency.toUpperCase();
+
+    const amount = Number(analysis.totalAmount);
+    const sourceCurrency = String(analysis.currency ?? '').toUpperCase();
+    const date = toIsoDate(analysis.invoiceDate);
+    if (analysis.totalAmount === undefined || analysis.totalAmount === null || !Number.isFinite(amount)) {
+        throw new Error('no total amount');
+    }
+    if (!/^[A-Z]{3}$/.test(sourceCurrency)) throw new Error('no currency');
+    if (!date) throw new Error('no invoice date');
+
+    if (sourceCurrency === baseCurrency) {
+        return {
+            baseCurrency,
+            baseCurrencyAmount: Math.round(amount * 100) / 100,
+            rate: 1,
+            rateDate: date,
+            sourceCurrency
+        };
+    }
+
+    const ratesBase = (settings.ratesBase || DEFAULT_RATES_BASE).toUpperCase();
+    const table = await loadRateTable(path.resolve(settings.ratesFile || DEFAULT_RATES_FILE), ratesBase);
+    const rateDate = findRateDate(table, date, [sourceCurrency, baseCurrency]);
+    if (!rateDate) {
+        throw new Error(`no ${sourceCurrency}/${baseCurrency} rate within ${MAX_RATE_AGE_DAYS} days before ${date}`);
+    }
+
+    // Both rates are quoted per unit of ratesBase
+    const row = table.rates.get(rateDate)!;
+    const rate = Math.round((row[baseCurrency] / row[sourceCurrency]) * 1e6) / 1e6;
+    return {
+        baseCurrency,
+        baseCurrencyAmount: Math.round(amount * rate * 100) / 100,
+        rate,
+        rateDate,
+        sourceCurrency
+    };
+}
+
+/**
+ * Attach the base-currency conversion to an analysis as _conversion
+ * A failed conversion is logged and leaves the analysis without _conversion.
+ * @param analysis - Validated analysis
+ * @param config - Configuration with processing.currencyConversion
+ * @returns The analysis with _conversion set or removed
+ */
+export async function addCurrencyConversion(analysis: InvoiceAnalysis, config: AppConfig): Promise<InvoiceAnalysis> {
+    const { _conversion, ...rest } = analysis;
+    try {
+        const conversion = await convertToBaseCurrency(rest, config);
+        return conversion ? { ...rest, _conversion: conversion } : rest;
+    } catch (error: unknown) {
+        console.warn(`Warning: Currency conversion skipped: ${(error as Error).message}`);
+        return rest;
+    }
+}
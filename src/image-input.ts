@@ -0,0 +1,205 @@
+/**
+ * Image invoices
+ * Photos and scans saved as JPEG, PNG, WebP or TIFF are processed like PDFs:
+ * the model receives the image with its own MIME type, and the enriched output
+ * is a PDF with the image as its first page so the summary page and the
+ * processed-enriched folder work unchanged.
+ *
+ * The model providers do not accept TIFF, so TIFF pages are converted to PNG
+ * (with UTIF and pngjs) and sent to the model as a PDF, one page per TIFF page.
+ * pdf-lib can only draw JPEG and PNG. WebP images are attached to the output
+ * PDF instead, behind a page that points to the attachment.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { PDFDocument, StandardFonts, degrees, rgb } from 'pdf-lib';
+import { PNG } from 'pngjs';
+import UTIF from 'utif';
+import { IMAGE_MIME_TYPES } from './constants.js';
+import { isXmlFile } from './e-invoice.js';
+
+// A4 in points, for images that cannot be drawn
+const PLACEHOLDER_PAGE_SIZE: [number, number] = [595.28, 841.89];
+
+// ── Private: image helpers ──
+
+/**
+ * Read the EXIF orientation of a JPEG
+ * Phones store photos as shot and record the rotation in EXIF.
+ * @param bytes - JPEG data
+ * @returns Orientation 1-8 (1 = upright)
+ */
+function getJpegOrientation(bytes: Uint8Array): number {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let pos = 2;
+
+    while (pos + 4 <= view.byteLength && view.getUint8(pos) === 0xff) {
+        const marker = view.getUint16(pos);
+        const length = view.getUint16(pos + 2);
+        const exifStart = pos + 10;
+
+        // APP1 segment starting with "Exif\0\0", followed by a TIFF header
+        if (marker === 0xffe1 && exifStart + 8 <= view.byteLength && view.getUint32(pos + 4) === 0x45786966) {
+            const little = view.getUint16(exifStart) === 0x4949;
+            const ifd = exifStart + view.getUint32(exifStart + 4, little);
+            if (ifd + 2 > view.byteLength) return 1;
+
+            const count = view.getUint16(ifd, little);
+            for (let i = 0; i < count; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (entry + 10 > view.byteLength) break;
+                if (view.getUint16(entry, little) === 0x0112) {
+                    return view.getUint16(entry + 8, little);
+                }
+            }
+            return 1;
+        }
+
+        // Image data starts at SOS; no EXIF after that
+        if (marker === 0xffda) break;
+        pos += 2 + length;
+    }
+
+    return 1;
+}
+
+/**
+ * Add a page showing a JPEG or PNG, rotated upright
+ */
+async function addImagePage(pdfDoc: PDFDocument, bytes: Uint8Array, mimeType: string): Promise<void> {
+    const image = mimeType === 'image/png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+    const { width, height } = image;
+    const orientation = mimeType === 'image/jpeg' ? getJpegOrientation(bytes) : 1;
+
+    // Only the rotations are applied; mirrored orientations (2, 4, 5, 7) are drawn as their rotation
+    if (orientation === 6 || orientation === 5) {
+        pdfDoc.addPage([height, width]).drawImage(image, { x: 0, y: width, width, height, rotate: degrees(-90) });
+    } else if (orientation === 8 || orientation === 7) {
+        pdfDoc.addPage([height, width]).drawImage(image, { x: height, y: 0, width, height, rotate: degrees(90) });
+    } else if (orientation === 3 || orientation === 4) {
+        pdfDoc.addPage([width, height]).drawImage(image, { x: width, y: height, width, height, rotate: degrees(180) });
+    } else {
+        pdfDoc.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+    }
+}
+
+/**
+ * Add a page for each image of a TIFF, converted to PNG
+ */
+async function addTiffPages(pdfDoc: PDFDocument, bytes: Uint8Array): Promise<void> {
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer;
+    for (const ifd of UTIF.decode(buffer)) {
+        UTIF.decodeImage(buffer, ifd);
+        const { width, height } = ifd;
+        if (!width || !height) continue;
+
+        const png = PNG.sync.write({ width, height, data: Buffer.from(UTIF.toRGBA8(ifd)) } as PNG);
+        const image = await pdfDoc.embedPng(png);
+        pdfDoc.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+    }
+    if (pdfDoc.getPageCount() === 0) throw new Error('No image found in the TIFF file');
+}
+
+/**
+ * Attach an image pdf-lib cannot draw, with a page pointing to the attachment
+ */
+async function addAttachmentPage(
+    pdfDoc: PDFDocument,
+    bytes: Uint8Array,
+    filename: string,
+    mimeType: string
+): Promise<void> {
+    await pdfDoc.attach(bytes, filename, { mimeType, description: 'Original invoice image' });
+
+    const page = pdfDoc.addPage(PLACEHOLDER_PAGE_SIZE);
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const format = path.extname(filename).slice(1).toUpperCase();
+    page.drawText(`The original ${format} image is attached to this PDF.`, {
+        x: 50,
+        y: page.getHeight() - 50,
+        size: 12,
+        font,
+        color: rgb(0.3, 0.3, 0.3)
+    });
+}
+
+// ── Public API ──
+
+/**
+ * Check whether a file is a supported image
+ * @param filename - File name or path
+ * @returns True for JPEG, PNG, WebP and TIFF files
+ */
+export function isImageFile(filename: string): boolean {
+    return Object.hasOwn(IMAGE_MIME_TYPES, path.extname(filename).toLowerCase());
+}
+
+/**
+ * Check whether a file can be processed as an invoice
+ * @param filename - File name or path
+ * @returns True for PDFs, supported images and e-invoice XML files
+ */
+export function isInvoiceFile(filename: string): boolean {
+    return filename.toLowerCase().endsWith('.pdf') || isImageFile(filename) || isXmlFile(filename);
+}
+
+/**
+ * Get the MIME type of an invoice file
+ * @param filename - File name or path
+ * @returns The image MIME type, or application/pdf
+ */
+export function getDocumentMimeType(filename: string): string {
+    return IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/pdf';
+}
+
+/**
+ * Read an invoice file as the document sent to the extraction provider
+ * TIFF images are converted to a PDF; the same TIFF always gives the same bytes.
+ * @param filePath - Path to the PDF or image
+ * @returns The MIME type and base64 data to send
+ * @throws If a TIFF image cannot be read
+ */
+export async function readDocument(filePath: string): Promise<{ mimeType: string; data: string }> {
+    const bytes = await fs.promises.readFile(filePath);
+    const mimeType = getDocumentMimeType(filePath);
+    if (mimeType !== 'image/tiff') return { mimeType, data: bytes.toString('base64') };
+
+    const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+    try {
+        await addTiffPages(pdfDoc, new Uint8Array(bytes));
+    } catch (error: unknown) {
+        throw new Error(`Could not read image ${path.basename(filePath)}: ${(error as Error).message}`, {
+            cause: error
+        });
+    }
+    return { mimeType: 'application/pdf', data: Buffer.from(await pdfDoc.save()).toString('base64') };
+}
+
+/**
+ * Wrap an image into a new PDF document
+ * @param imagePath - Path to the image
+ * @returns A document whose first page shows (or points to) the image
+ */
+export async function imageToPdf(imagePath: string): Promise<PDFDocument> {
+    // Copy into a fresh array: pdf-lib reads the underlying buffer from offset 0
+    const bytes = new Uint8Array(await fs.promises.readFile(imagePath));
+    const mimeType = getDocumentMimeType(imagePath);
+    const pdfDoc = await PDFDocument.create();
+
+    try {
+        if (mimeType === 'image/jpeg' || mimeType === 'image/png') {
+            await addImagePage(pdfDoc, bytes, mimeType);
+        } else if (mimeType === 'image/tiff') {
+            await addTiffPages(pdfDoc, bytes);
+        } else {
+            await addAttachmentPage(pdfDoc, bytes, path.basename(imagePath), mimeType);
+        }
+    } catch (error: unknown) {
+        throw new Error(`Could not read image ${path.basename(imagePath)}: ${(error as Error).message}`, {
+            cause: error
+        });
+    }
+
+    return pdfDoc;
+}
@@ -0,0 +1,453 @@
+/**
+ * Processing jobs
+ * Tracks every batch (process, process-all, retry) as a job with per-file
+ * states, persisted through job-store. Jobs run independently of the request
+ * that started them: SSE endpoints subscribe to a job's events, and jobs that
+ * were running when the server stopped are resumed on startup.
+ *
+ * What a job does is supplied by the host as one runner per job type; the
+ * manager owns state, persistence and fan-out of progress events.
+ */
+
+import crypto from 'node:crypto';
+import { saveJob, loadJobs, deleteJob } from './job-store.js';
+import { MAX_FINISHED_JOBS } from './constants.js';
+
+import type {
+    Job,
+    JobClient,
+    JobFile,
+    JobFileStatus,
+    JobStatus,
+    JobSummary,
+    JobType,
+    ProgressEvent
+} from './types/index.js';
+
+/** Handed to a runner while its job executes */
+export interface JobContext {
+    /** Aborted when the job is cancelled; runners check it at client and file boundaries */
+    signal: AbortSignal;
+    /** Resolves immediately, or once a paused job is resumed or cancelled; awaited before each file */
+    waitWhilePaused(): Promise<void>;
+    /** Forward a progress event to subscribers; events naming a file update that file's state */
+    emit(event: ProgressEvent): void;
+    /**
+     * Register the files a client will process, unless the job already tracks files for that client
+     * (an explicit selection, or a listing made before the job was interrupted)
+     * @returns Filenames of the client that are not finished yet
+     */
+    registerFiles(clientId: string, filenames: string[]): string[];
+    /** Files of a client that are not finished yet, in registration order */
+    pendingFiles(clientId: string): JobFile[];
+}
+
+export type JobRunner = (job: Job, ctx: JobContext) => Promise<void>;
+
+export interface JobListener {
+    onEvent(event: ProgressEvent): void;
+    onEnd(job: Job): void;
+}
+
+interface NewJob {
+    type: JobType;
+    clients: JobClient[];
+    files?: Array<Pick<JobFile, 'clientId' | 'filename' | 'resultId' | 'splitFrom'>>;
+    dryRun?: boolean;
+    skipCache?: boolean;
+}
+
+export interface JobManager {
+    /** Store a new job and start it; the listener sees every event from the first one */
+    create(input: NewJob, listener?: JobListener): Promise<Job>;
+    /** Load stored jobs and restart the ones that were interrupted */
+    restore(): Promise<Job[]>;
+    get(jobId: string): Job | null;
+    /** All known jobs, newest first */
+    list(): Job[];
+    /** Request cancellation; the runner stops at the next boundary */
+    cancel(jobId: string): Job;
+    /** Hold the job before its next file; files already started are finished */
+    pause(jobId: string): Job;
+    /** Continue a paused job */
+    resume(jobId: string): Job;
+    /** Follow a running job, replaying events emitted so far; returns null when the job is not running */
+    subscribe(jobId: string, listener: JobListener): (() => void) | null;
+    /** Resolve once the job has finished */
+    wait(jobId: string): Promise<Job>;
+}
+
+// Progress statuses that move a file to a new state
+const FILE_STATUS_BY_EVENT: Record<string, JobFileStatus> = {
+    analyzing: 'running',
+    'retry-processing': 'running',
+    split: 'running',
+    completed: 'done',
+    'dry-run-completed': 'done',
+    duplicate: 'done',
+    'pending-review': 'done', // held for review: finished for the job, filed once approved
+    'retry-completed': 'done',
+    'split-completed': 'done', // failed invoices of the scan are retried from their own results
+    failed: 'failed',
+    'retry-failed': 'failed',
+    'split-failed': 'failed'
+};
+
+const ACTIVE_STATUSES: readonly JobStatus[] = ['queued', 'running', 'paused'];
+
+/**
+ * Check whether a job is still queued, running or paused
+ * @param job - The job
+ * @returns True when the job has not finished
+ */
+export function isJobActive(job: Job): boolean {
+    return ACTIVE_STATUSES.includes(job.status);
+}
+
+/**
+ * Count a job's files by state
+ * @param job - The job
+ * @returns Number of files per state
+ */
+export function countJobFiles(job: Job): Record<JobFileStatus, number> {
+    const counts: Record<JobFileStatus, number> = { queued: 0, running: 0, done: 0, failed: 0 };
+    for (const file of job.files) counts[file.status]++;
+    return counts;
+}
+
+/**
+ * Summarise a job from its file states
+ * Counted from the files rather than per run, so a resumed job reports the whole batch.
+ * @param job - The job
+ * @returns Totals for the job
+ */
+function summarizeJob(job: Job): JobSummary {
+    const counts = countJobFiles(job);
+    const duplicates = job.files.filter((f) => f.duplicate).length;
+    const pendingReview = job.files.filter((f) => f.pendingReview).length;
+    return {
+        total: job.files.length,
+        success: counts.done - duplicates,
+        failed: counts.failed,
+        duplicates,
+        pendingReview
+    };
+}
+
+/**
+ * Create a job manager
+ * @param runners - Runner for each job type
+ * @returns The job manager
+ */
+export function createJobManager(runners: Record<JobType, JobRunner>): JobManager {
+    const jobs = new Map<string, Job>();
+    const controllers = new Map<string, AbortController>();
+    // Events of running jobs, replayed to late subscribers
+    const eventLogs = new Map<string, ProgressEvent[]>();
+    const listeners = new Map<string, Set<JobListener>>();
+    const waiters = new Map<string, Array<(job: Job) => void>>();
+    // Runners held by waitWhilePaused()
+    const pausedRunners = new Map<string, Array<() => void>>();
+    const saving = new Map<string, { again: boolean; promise: Promise<void> }>();
+
+    /**
+     * Write a job to disk, coalescing writes that arrive while one is in progress
+     */
+    function persist(job: Job): Promise<void> {
+        const pending = saving.get(job.id);
+        if (pending) {
+            pending.again = true;
+            return pending.promise;
+        }
+
+        const entry = { again: true, promise: Promise.resolve() };
+        entry.promise = (async () => {
+            while (entry.again) {
+                entry.again = false;
+                try {
+                    await saveJob(job);
+                } catch (error: unknown) {
+                    console.error(`Warning: Failed to save job ${job.id}: ${(error as Error).message}`);
+                }
+            }
+            saving.delete(job.id);
+        })();
+        saving.set(job.id, entry);
+        return entry.promise;
+    }
+
+    function broadcast(job: Job, event: ProgressEvent): void {
+        eventLogs.get(job.id)?.push(event);
+        for (const listener of listeners.get(job.id) || []) {
+            try {
+                listener.onEvent(event);
+            } catch (e) {
+                console.error('Error in job listener:', e);
+            }
+        }
+    }
+
+    function updateFileState(job: Job, event: ProgressEvent): void {
+        const status = FILE_STATUS_BY_EVENT[event.status];
+        if (!status || !event.filename) return;
+
+        const clientId = (event.clientId as string | undefined) ?? job.clients[0]?.clientId;
+        const resultId = event.resultId as string | undefined;
+        const file = job.files.find((f) =>
+            resultId
+                ? f.resultId === resultId
+                : f.clientId === clientId && f.filename === event.filename && f.status !== 'done'
+        );
+        if (!file) return;
+
+        file.status = status;
+        if (event.status === 'duplicate') file.duplicate = true;
+        if (event.status === 'pending-review') file.pendingReview = true;
+        if (event.outputFilename) file.outputFilename = event.outputFilename;
+        if (status === 'failed' && event.error) file.error = event.error;
+        if (status !== 'failed') delete file.error;
+        persist(job);
+    }
+
+    function releasePaused(jobId: string): void {
+        for (const release of pausedRunners.get(jobId) || []) release();
+        pausedRunners.delete(jobId);
+    }
+
+    /**
+     * Look up a job that can still be controlled
+     */
+    function getActiveJob(jobId: string): Job {
+        const job = jobs.get(jobId);
+        if (!job) {
+            throw new Error(`Job "${jobId}" not found`);
+        }
+        if (!isJobActive(job)) {
+            throw new Error(`Job "${jobId}" has already finished`);
+        }
+        return job;
+    }
+
+    function createContext(job: Job, signal: AbortSignal): JobContext {
+        const pendingFiles = (clientId: string) =>
+            job.files.filter((f) => f.clientId === clientId && (f.status === 'queued' || f.status === 'running'));
+
+        return {
+            signal,
+
+            waitWhilePaused() {
+                if (job.status !== 'paused' || signal.aborted) return Promise.resolve();
+                return new Promise((resolve) => {
+                    pausedRunners.set(job.id, [...(pausedRunners.get(job.id) || []), resolve]);
+                });
+            },
+
+            emit(event) {
+                updateFileState(job, event);
+                broadcast(job, event);
+            },
+
+            registerFiles(clientId, filenames) {
+                if (!job.files.some((f) => f.clientId === clientId)) {
+                    for (const filename of filenames) {
+                        job.files.push({ clientId, filename, status: 'queued' });
+                    }
+                    persist(job);
+                }
+                return pendingFiles(clientId).map((f) => f.filename);
+            },
+
+            pendingFiles
+        };
+    }
+
+    async function prune(): Promise<void> {
+        const finished = [...jobs.values()]
+            .filter((job) => !isJobActive(job))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        for (const job of finished.slice(MAX_FINISHED_JOBS)) {
+            jobs.delete(job.id);
+            try {
+                await deleteJob(job.id);
+            } catch (error: unknown) {
+                console.error(`Warning: Failed to remove job ${job.id}: ${(error as Error).message}`);
+            }
+        }
+    }
+
+    function finish(job: Job): void {
+        job.finishedAt = new Date().toISOString();
+        controllers.delete(job.id);
+
+        for (const listener of listeners.get(job.id) || []) {
+            try {
+                listener.onEnd(job);
+            } catch (e) {
+                console.error('Error in job listener:', e);
+            }
+        }
+        listeners.delete(job.id);
+        eventLogs.delete(job.id);
+
+        for (const resolve of waiters.get(job.id) || []) resolve(job);
+        waiters.delete(job.id);
+    }
+
+    async function execute(job: Job): Promise<void> {
+        const controller = new AbortController();
+        controllers.set(job.id, controller);
+        eventLogs.set(job.id, eventLogs.get(job.id) || []);
+
+        // A job paused before a restart stays paused
+        if (job.status !== 'paused') job.status = 'running';
+        job.startedAt = job.startedAt ?? new Date().toISOString();
+        broadcast(job, { status: 'job-started', jobId: job.id, resumed: Boolean(job.resumedAt) });
+        await persist(job);
+
+        try {
+            await runners[job.type](job, createContext(job, controller.signal));
+            job.status = job.cancelRequested ? 'cancelled' : 'completed';
+        } catch (error: unknown) {
+            job.error = (error as Error).message;
+            job.status = job.cancelRequested ? 'cancelled' : 'failed';
+            if (job.status === 'failed') {
+                broadcast(job, { status: 'error', jobId: job.id, error: job.error });
+            }
+        }
+
+        if (job.status === 'cancelled') {
+            broadcast(job, { status: 'cancelled', jobId: job.id });
+        } else {
+            // Files the runner never reached (e.g. removed from the folder in the meantime)
+            for (const file of job.files) {
+                if (file.status === 'queued' || file.status === 'running') {
+                    file.status = 'failed';
+                    file.error = file.error || 'Not processed';
+                }
+            }
+        }
+
+        job.summary = summarizeJob(job);
+        finish(job);
+        await persist(job);
+        await prune();
+    }
+
+    return {
+        async create(input, listener) {
+            const job: Job = {
+                id: crypto.randomUUID(),
+                type: input.type,
+                status: 'queued',
+                clients: input.clients,
+                files: (input.files || []).map((f) => ({ ...f, status: 'queued' as const })),
+                dryRun: input.dryRun === true,
+                ...(input.skipCache && { skipCache: true }),
+                createdAt: new Date().toISOString(),
+                startedAt: null,
+                finishedAt: null
+            };
+
+            jobs.set(job.id, job);
+            if (listener) listeners.set(job.id, new Set([listener]));
+            await persist(job);
+
+            void execute(job);
+            return job;
+        },
+
+        async restore() {
+            const resumed: Job[] = [];
+
+            for (const job of await loadJobs()) {
+                if (jobs.has(job.id)) continue;
+                jobs.set(job.id, job);
+                if (!isJobActive(job)) continue;
+
+                if (job.cancelRequested) {
+                    job.status = 'cancelled';
+                    job.finishedAt = new Date().toISOString();
+                    await persist(job);
+                    continue;
+                }
+
+                // A file that was mid-flight is processed again if it is still in the folder
+                for (const file of job.files) {
+                    if (file.status === 'running') file.status = 'queued';
+                }
+                if (job.status === 'running') job.status = 'queued';
+                job.resumedAt = new Date().toISOString();
+                resumed.push(job);
+            }
+
+            for (const job of resumed) void execute(job);
+            return resumed;
+        },
+
+        get(jobId) {
+            return jobs.get(jobId) || null;
+        },
+
+        list() {
+            return [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+
+        cancel(jobId) {
+            const job = getActiveJob(jobId);
+
+            job.cancelRequested = true;
+            controllers.get(jobId)?.abort();
+            releasePaused(jobId);
+            persist(job);
+            return job;
+        },
+
+        pause(jobId) {
+            const job = getActiveJob(jobId);
+            if (job.status === 'paused') return job;
+
+            job.status = 'paused';
+            broadcast(job, { status: 'paused', jobId });
+            persist(job);
+            return job;
+        },
+
+        resume(jobId) {
+            const job = getActiveJob(jobId);
+            if (job.status !== 'paused') return job;
+
+            job.status = 'running';
+            broadcast(job, { status: 'resumed', jobId });
+            releasePaused(jobId);
+            persist(job);
+            return job;
+        },
+
+        subscribe(jobId, listener) {
+            const job = jobs.get(jobId);
+            if (!job || !isJobActive(job)) return null;
+
+            for (const event of eventLogs.get(jobId) || []) listener.onEvent(event);
+            const set = listeners.get(jobId) || new Set<JobListener>();
+            set.add(listener);
+            listeners.set(jobId, set);
+
+            return () => {
+                listeners.get(jobId)?.delete(listener);
+            };
+        },
+
+        wait(jobId) {
+            const job = jobs.get(jobId);
+            if (!job) {
+                return Promise.reject(new Error(`Job "${jobId}" not found`));
+            }
+            if (!isJobActive(job)) return Promise.resolve(job);
+
+            return new Promise((resolve) => {
+                waiters.set(jobId, [...(waiters.get(jobId) || []), resolve]);
+            });
+        }
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * Job persistence
+ * Stores each processing job as data/jobs/{id}.json so that running batches
+ * survive a server restart. Writes go through a temp file and rename, so a
+ * crash mid-write leaves the previous state intact.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import type { Job } from './types/index.js';
+
+export const JOBS_DIR = path.join('data', 'jobs');
+
+// ── Private: path helpers ──
+
+function getJobsDir(): string {
+    return path.join(process.cwd(), JOBS_DIR);
+}
+
+function getJobPath(jobId: string): string {
+    // Job IDs are generated UUIDs; reject anything that could escape the folder
+    if (!/^[\w-]+$/.test(jobId)) {
+        throw new Error(`Invalid job ID: ${jobId}`);
+    }
+    return path.join(getJobsDir(), `${jobId}.json`);
+}
+
+// ── Public API ──
+
+/**
+ * Write a job to disk
+ * @param job - The job to store
+ */
+export async function saveJob(job: Job): Promise<void> {
+    const filePath = getJobPath(job.id);
+    const tmpPath = filePath + '.tmp';
+    await fs.promises.mkdir(getJobsDir(), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(job, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * Load all stored jobs
+ * Unreadable files are skipped with a warning rather than failing startup.
+ * @returns Jobs, oldest first
+ */
+export async function loadJobs(): Promise<Job[]> {
+    let entries: string[];
+    try {
+        entries = await fs.promises.readdir(getJobsDir());
+    } catch (error: unknown) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const jobs: Job[] = [];
+    for (const entry of entries) {
+        if (!entry.endsWith('.json')) continue;
+        try {
+            const content = await fs.promises.readFile(path.join(getJobsDir(), entry), 'utf-8');
+            jobs.push(JSON.parse(content) as Job);
+        } catch (error: unknown) {
+            console.error(`Warning: Skipping unreadable job file ${entry}: ${(error as Error).message}`);
+        }
+    }
+
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Remove a stored job
+ * @param jobId - The job ID
+ */
+export async function deleteJob(jobId: string): Promise<void> {
+    await fs.promises.rm(getJobPath(jobId), { force: true });
+}
@@ -2,9 +2,11 @@
  * Parallel processing with controlled concurrency
  */
 
+import fs from 'node:fs';
 import path from 'node:path';
+import crypto from 'node:crypto';
 import pLimit from 'p-limit';
-import { processInvoice, getPdfFiles } from './processor.js';
+import { addTokenUsage, processInvoice, getPdfFiles } from './processor.js';
 import {
     getEnabledClients,
     getClientConfig,
@@ -12,8 +14,13 @@ import {
     ensureClientDirectories,
     clientFolderExists
 } from './client-manager.js';
-import { appendInvoiceRow } from './csv-logger.js';
+import { appendInvoiceRow, appendLineItemRows } from './csv-logger.js';
 import { appendResult } from './result-manager.js';
+import { loadDuplicateIndex } from './duplicate-detector.js';
+import type { DuplicateIndex } from './duplicate-detector.js';
+import { detectDocuments, writeParts } from './pdf-splitter.js';
+import { writeUblFile } from './ubl-export.js';
+import type { DocumentBoundaries } from './pdf-splitter.js';
 
 import type {
     AppConfig,
@@ -27,21 +34,40 @@ import type {
     OnCompleteCallback,
     OnClientStartCallback,
     OnClientCompleteCallback,
-    MergedClientConfig
+    MergedClientConfig,
+    ProcessingSuccess,
+    ProcessingFailure,
+    SplitSource
 } from './types/index.js';
 
 /**
  * Sleep for a specified number of milliseconds
  * @param ms - Milliseconds to sleep
+ * @param signal - Ends the sleep early when aborted
  */
-function sleep(ms: number): Promise<void> {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve) => {
+        if (signal?.aborted) return resolve();
+        const timer = setTimeout(done, ms);
+        signal?.addEventListener('abort', done, { once: true });
+
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        }
+    });
 }
 
 interface RetryOptions {
     apiKey?: string;
     onProgress?: OnProgressCallback;
     dryRun?: boolean;
+    duplicateIndex?: DuplicateIndex;
+    recordId?: string;
+    signal?: AbortSignal; // no further attempts once aborted
+    splitFrom?: SplitSource;
+    skipCache?: boolean; // call the model even when processing.responseCache has its response
 }
 
 /**
@@ -56,15 +82,25 @@ export async function processWithRetry(
     config: AppConfig,
     options: RetryOptions = {}
 ): Promise<ProcessingResult> {
-    const { apiKey, onProgress, dryRun } = options;
+    const { apiKey, onProgress, dryRun, duplicateIndex, recordId, signal, splitFrom, skipCache } = options;
     const maxAttempts = config.processing.retryAttempts + 1;
     const baseDelay = config.processing.retryDelayMs || 1000;
 
     let lastError: string | null = null;
+    let lowConfidence: string[] | undefined;
+    let setAside: Pick<ProcessingFailure, 'failureReason' | 'failedPath'> | undefined;
     const startTime = Date.now();
 
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-        const result = await processInvoice(filePath, config, { apiKey, onProgress, dryRun });
+        const result = await processInvoice(filePath, config, {
+            apiKey,
+            onProgress,
+            dryRun,
+            duplicateIndex,
+            recordId,
+            splitFrom,
+            skipCache
+        });
 
         if (result.success) {
             (result as ProcessingResult & { duration?: number }).duration = Date.now() - startTime;
@@ -73,6 +109,22 @@ export async function processWithRetry(
 
         lastError = (result as { error?: string }).error || null;
 
+        // A low-confidence extraction is an outcome, not a transient error
+        lowConfidence = result.lowConfidence;
+        if (lowConfidence) break;
+
+        // Neither can a PDF that no configured password opens
+        if (result.failureReason) {
+            setAside = {
+                failureReason: result.failureReason,
+                ...(result.failedPath && { failedPath: result.failedPath })
+            };
+            break;
+        }
+
+        // No further attempts once the batch is cancelled
+        if (signal?.aborted) break;
+
         // Don't retry on the last attempt
         if (attempt < maxAttempts) {
             // Rate-limited errors get more aggressive backoff (1s, 3s, 9s)
@@ -88,7 +140,8 @@ export async function processWithRetry(
                     delay
                 });
             }
-            await sleep(delay);
+            await sleep(delay, signal);
+            if (signal?.aborted) break;
         }
     }
 
@@ -99,10 +152,66 @@ export async function processWithRetry(
         isRateLimited: false,
         rawResponse: null,
         tokenUsage: { promptTokens: 0, outputTokens: 0, totalTokens: 0, cachedTokens: 0, thoughtsTokens: 0 },
-        duration: Date.now() - startTime
+        duration: Date.now() - startTime,
+        ...(splitFrom && { splitFrom }),
+        ...(lowConfidence && { lowConfidence }),
+        ...setAside
     } as ProcessingResult & { duration: number };
 }
 
+/**
+ * Write the CSV rows and the UBL file of a filed invoice
+ * Failures are logged as warnings; the invoice itself is already filed.
+ * @param result - Successful, filed processing result
+ * @param config - Configuration object
+ * @param csvPath - CSV log to append to (none: no CSV rows)
+ * @returns Whether a CSV row was added
+ */
+export async function writeInvoiceOutputs(
+    result: ProcessingSuccess,
+    config: AppConfig,
+    csvPath?: string
+): Promise<boolean> {
+    let csvRowAdded = false;
+    if (csvPath) {
+        try {
+            await appendInvoiceRow(csvPath, result, config);
+            csvRowAdded = true;
+            await appendLineItemRows(csvPath, result, config);
+        } catch (csvError: unknown) {
+            console.error(`Warning: Failed to write to CSV: ${(csvError as Error).message}`);
+        }
+    }
+
+    // Write the UBL invoice next to the enriched PDF
+    if (result.outputPath && config.output.ubl?.enabled) {
+        try {
+            await writeUblFile(result.outputPath, result.analysis, config);
+        } catch (ublError: unknown) {
+            console.error(`Warning: Failed to write UBL invoice: ${(ublError as Error).message}`);
+        }
+    }
+    return csvRowAdded;
+}
+
+/**
+ * Load the duplicate index for a batch, unless disabled via processing.detectDuplicates
+ * @param config - Configuration object
+ * @param clientId - Client ID for global archive lookups
+ * @returns The index, or undefined when detection is off or history cannot be read
+ */
+export async function prepareDuplicateIndex(config: AppConfig, clientId?: string): Promise<DuplicateIndex | undefined> {
+    if (config.processing.detectDuplicates === false) return undefined;
+
+    const folders = config.folders as unknown as { base?: string };
+    try {
+        return await loadDuplicateIndex(folders?.base, clientId);
+    } catch (err: unknown) {
+        console.error(`Warning: Duplicate detection disabled for this run: ${(err as Error).message}`);
+        return undefined;
+    }
+}
+
 /**
  * Process all invoices in the input folder with parallel execution
  * @param config - Configuration object
@@ -120,7 +229,9 @@ export async function processAllInvoices(config: AppConfig, options: ProcessAllO
         dryRun,
         files,
         clientId,
-        clientName
+        clientName,
+        signal,
+        waitWhilePaused
     } = options;
 
     // Get all PDF files, then filter if specific files requested
@@ -135,6 +246,7 @@ export async function processAllInvoices(config: AppConfig, options: ProcessAllO
             total: 0,
             success: 0,
             failed: 0,
+            duplicates: 0,
             results: [],
             csvRowsAdded: 0,
             tokenUsage: { promptTokens: 0, outputTokens: 0, totalTokens: 0, cachedTokens: 0 } as TokenUsage
@@ -155,81 +267,161 @@ export async function processAllInvoices(config: AppConfig, options: ProcessAllO
 
     let completed = 0;
     let csvRowsAdded = 0;
+    let cancelled = 0;
+    let total = pdfFiles.length; // grows when a scan is split into several invoices
     const results: ProcessingResult[] = [];
-
-    // Create processing tasks with concurrency limit
-    const tasks = pdfFiles.map((filePath) => {
-        return limit(async () => {
-            const result = await processWithRetry(filePath, config, {
-                apiKey,
-                dryRun,
-                onProgress: (progress) => {
-                    if (onProgress) {
-                        onProgress({
-                            ...progress,
-                            completed,
-                            total: pdfFiles.length
-                        });
-                    }
+    const duplicateIndex = await prepareDuplicateIndex(config, clientId);
+    const folders = config.folders as unknown as { base?: string; processedOriginal?: string; analyzed?: string };
+
+    /**
+     * Run one PDF (or split-off invoice) through the pipeline and record the result
+     * @param extraTokenUsage - Tokens of the splitting call, counted with the first invoice of a scan
+     */
+    async function processFile(
+        filePath: string,
+        splitFrom?: SplitSource,
+        extraTokenUsage?: TokenUsage | null
+    ): Promise<ProcessingResult> {
+        const recordId = crypto.randomUUID();
+        const result = await processWithRetry(filePath, config, {
+            apiKey,
+            dryRun,
+            duplicateIndex,
+            recordId,
+            signal,
+            splitFrom,
+            onProgress: (progress) => {
+                if (onProgress) {
+                    onProgress({
+                        ...progress,
+                        completed,
+                        total
+                    });
                 }
-            });
+            }
+        });
 
-            completed++;
-            results.push(result);
-
-            // Log to CSV if successful and csvPath is provided (skip for dry-run)
-            if (result.success && !(result as { dryRun?: boolean }).dryRun && csvPath) {
-                try {
-                    await appendInvoiceRow(
-                        csvPath,
-                        result as {
-                            outputFilename: string;
-                            originalFilename: string;
-                            analysis: Record<string, unknown>;
-                        } & ProcessingResult,
-                        config
-                    );
-                    csvRowsAdded++;
-                } catch (csvError: unknown) {
-                    console.error(`Warning: Failed to write to CSV: ${(csvError as Error).message}`);
-                }
+        completed++;
+        if (extraTokenUsage) result.tokenUsage = addTokenUsage(result.tokenUsage, extraTokenUsage);
+        results.push(result);
+
+        // CSV rows and UBL file for filed invoices (not for dry-run, duplicates or invoices held for review)
+        if (result.success && !result.dryRun && !result.duplicateOf && !result.reviewPath) {
+            if (await writeInvoiceOutputs(result, config, csvPath)) csvRowsAdded++;
+        }
+
+        // Store result to processing-results.json
+        if (storeResults && folders && folders.base) {
+            try {
+                await appendResult(folders.base, result, {
+                    id: recordId,
+                    // Values read from e-invoice XML or the text layer alone did not come from a model
+                    model: result.success ? result.model || null : config.model,
+                    duration: (result as { duration?: number }).duration,
+                    clientId,
+                    clientName
+                });
+            } catch (err: unknown) {
+                console.error(`Warning: Failed to store processing result: ${(err as Error).message}`);
             }
+        }
 
-            // Store result to processing-results.json
-            const folders = config.folders as unknown as { base?: string };
-            if (storeResults && folders && folders.base) {
-                try {
-                    await appendResult(folders.base, result, {
-                        model: config.model,
-                        duration: (result as { duration?: number }).duration,
-                        clientId,
-                        clientName
-                    });
-                } catch (err: unknown) {
-                    console.error(`Warning: Failed to store processing result: ${(err as Error).message}`);
-                }
+        // Call invoice complete callback
+        if (onInvoiceComplete) {
+            onInvoiceComplete(result);
+        }
+
+        if (onProgress) {
+            let progressStatus = 'failed';
+            if (result.success) {
+                if (result.duplicateOf) progressStatus = 'duplicate';
+                else if (result.reviewPath) progressStatus = 'pending-review';
+                else progressStatus = result.dryRun ? 'dry-run-completed' : 'completed';
             }
+            onProgress({
+                status: progressStatus,
+                filename: result.originalFilename,
+                outputFilename: (result as { outputFilename?: string }).outputFilename,
+                error: (result as { error?: string }).error,
+                duplicateOf: result.success ? result.duplicateOf : undefined,
+                completed,
+                total
+            });
+        }
+
+        return result;
+    }
 
-            // Call invoice complete callback
-            if (onInvoiceComplete) {
-                onInvoiceComplete(result);
+    /**
+     * Process a scan that may hold several invoices (processing.splitting)
+     * Each invoice is processed from its own temporary PDF. The scan is then moved
+     * to processed-original, unless every invoice failed: it then stays in the
+     * input folder like any failed file.
+     */
+    async function processScan(filePath: string): Promise<void> {
+        const filename = path.basename(filePath);
+
+        let boundaries: DocumentBoundaries;
+        try {
+            boundaries = await detectDocuments(filePath, config, { apiKey });
+        } catch (err: unknown) {
+            console.error(
+                `Warning: Could not split ${filename}, processing it as one invoice: ${(err as Error).message}`
+            );
+            boundaries = { ranges: [], tokenUsage: null };
+        }
+        if (boundaries.ranges.length < 2) {
+            await processFile(filePath, undefined, boundaries.tokenUsage);
+            return;
+        }
+
+        const { parts, cleanup } = await writeParts(filePath, boundaries.ranges, config);
+        total += parts.length - 1;
+        if (onProgress) onProgress({ status: 'split', filename, parts: parts.length, completed, total });
+
+        try {
+            const partResults: ProcessingResult[] = [];
+            for (const [index, part] of parts.entries()) {
+                partResults.push(
+                    await processFile(part.path, part.splitFrom, index === 0 ? boundaries.tokenUsage : null)
+                );
             }
 
+            const allFailed = partResults.every((r) => !r.success);
+            if (!allFailed && !dryRun) {
+                const originalDestFolder = folders.processedOriginal || folders.analyzed!;
+                await fs.promises.rename(filePath, path.join(originalDestFolder, filename));
+            }
             if (onProgress) {
-                let progressStatus = 'failed';
-                if (result.success)
-                    progressStatus = (result as { dryRun?: boolean }).dryRun ? 'dry-run-completed' : 'completed';
                 onProgress({
-                    status: progressStatus,
-                    filename: result.originalFilename,
-                    outputFilename: (result as { outputFilename?: string }).outputFilename,
-                    error: (result as { error?: string }).error,
+                    status: allFailed ? 'split-failed' : 'split-completed',
+                    filename,
+                    parts: parts.length,
+                    failed: partResults.filter((r) => !r.success).length,
                     completed,
-                    total: pdfFiles.length
+                    total
                 });
             }
+        } finally {
+            await cleanup();
+        }
+    }
 
-            return result;
+    // Create processing tasks with concurrency limit
+    const tasks = pdfFiles.map((filePath) => {
+        return limit(async () => {
+            // Pause and cancel take effect between files; a file that has started is finished
+            if (waitWhilePaused) await waitWhilePaused();
+            if (signal?.aborted) {
+                cancelled++;
+                return;
+            }
+
+            if (config.processing.splitting?.enabled) {
+                await processScan(filePath);
+            } else {
+                await processFile(filePath);
+            }
         });
     });
 
@@ -251,13 +443,17 @@ export async function processAllInvoices(config: AppConfig, options: ProcessAllO
     );
 
     const summary: BatchResult = {
-        total: pdfFiles.length,
-        success: results.filter((r) => r.success).length,
+        total,
+        success: results.filter((r) => r.success && !r.duplicateOf).length,
         failed: results.filter((r) => !r.success).length,
+        duplicates: results.filter((r) => r.success && r.duplicateOf).length,
         results,
         csvRowsAdded,
         tokenUsage
     };
+    const pendingReview = results.filter((r) => r.success && r.reviewPath).length;
+    if (pendingReview > 0) summary.pendingReview = pendingReview;
+    if (cancelled > 0) summary.cancelled = cancelled;
 
     if (onComplete) {
         onComplete({ ...summary, status: 'done' });
@@ -472,6 +668,7 @@ export async function processAllClients(
 }
 
 interface ProcessSingleClientOptions {
+    files?: string[]; // restrict to these filenames (basenames)
     onProgress?: OnProgressCallback;
     onComplete?: OnCompleteCallback;
 }
@@ -488,7 +685,7 @@ export async function processSingleClient(
     globalConfig: AppConfig,
     options: ProcessSingleClientOptions = {}
 ): Promise<ClientBatchResult> {
-    const { onProgress, onComplete } = options;
+    const { files, onProgress, onComplete } = options;
 
     // Get merged client config
     const clientConfig = await getClientConfig(clientId, globalConfig);
@@ -509,6 +706,7 @@ export async function processSingleClient(
     const results = await processAllInvoices(clientConfig as unknown as AppConfig, {
         apiKey,
         csvPath: clientConfig.folders.csvPath,
+        files,
         onProgress,
         onComplete
     });
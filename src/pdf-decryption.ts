@@ -0,0 +1,483 @@
+/**
+ * Password-protected PDF decryption
+ * Utilities and banks often send statements encrypted with the standard
+ * security handler: either with an empty user password (the file opens, but
+ * its content is encrypted) or with a password agreed with the recipient.
+ * pdf-lib cannot read such files, so they are decrypted here first: every
+ * string and stream is decrypted in place and the document is saved again
+ * without its Encrypt dictionary.
+ *
+ * Passwords are never stored in config files. processing.pdfPasswordEnvVar
+ * (or pdfPasswordEnvVar in a client file) and the pdfPasswordEnvVar of a
+ * supplier rule name the environment variable that holds one.
+ *
+ * Only these combinations of Encrypt dictionary version (V) and revision (R)
+ * are decrypted; any other handler, version, revision, crypt filter method or
+ * key length is rejected as unsupported:
+ * - V1 R2: RC4 40 bit
+ * - V2 R3: RC4 40-128 bit
+ * - V4 R4: RC4 or AES-128 crypt filters (128 bit)
+ * - V5 R5 (Adobe extension level 3) and V5 R6 (ISO 32000-2): AES-256 crypt filters
+ * V3 (unpublished algorithm) and public-key security handlers are not supported.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import {
+    PDFArray,
+    PDFDict,
+    PDFHexString,
+    PDFName,
+    PDFNumber,
+    PDFObjectStreamParser,
+    PDFParser,
+    PDFRawStream,
+    PDFRef,
+    PDFString,
+    PDFWriter
+} from 'pdf-lib';
+import type { PDFContext, PDFObject } from 'pdf-lib';
+import { findRuleByFilename } from './supplier-rules.js';
+
+import type { AppConfig } from './types/index.js';
+
+// Password padding string (ISO 32000-1, 7.6.3.3)
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+
+type CipherMethod = 'rc4' | 'aes128' | 'aes256' | 'identity';
+
+// Revisions of the standard security handler, by Encrypt dictionary version
+const SUPPORTED_REVISIONS: Record<number, number[]> = { 1: [2], 2: [3], 4: [4], 5: [5, 6] };
+
+// Ciphers of the crypt filter methods (/CFM)
+const CRYPT_FILTER_CIPHERS: Record<string, CipherMethod> = {
+    '/V2': 'rc4',
+    '/AESV2': 'aes128',
+    '/AESV3': 'aes256',
+    '/None': 'identity'
+};
+
+// Crypt filter ciphers of versions 4 and 5
+const CRYPT_FILTER_METHODS: Record<number, CipherMethod[]> = {
+    4: ['rc4', 'aes128', 'identity'],
+    5: ['aes256', 'identity']
+};
+
+interface SecurityHandler {
+    revision: number;
+    keyLength: number; // bytes
+    ownerHash: Buffer; // /O
+    userHash: Buffer; // /U
+    ownerEncryption: Buffer; // /OE (revision 5+)
+    userEncryption: Buffer; // /UE (revision 5+)
+    permissions: number; // /P
+    encryptMetadata: boolean;
+    firstId: Buffer;
+    stringMethod: CipherMethod;
+    streamMethod: CipherMethod;
+}
+
+// ── Private: ciphers ──
+
+function md5(...parts: Buffer[]): Buffer {
+    const hash = crypto.createHash('md5');
+    for (const part of parts) hash.update(part);
+    return hash.digest();
+}
+
+function sha(algorithm: 'sha256' | 'sha384' | 'sha512', ...parts: Buffer[]): Buffer {
+    const hash = crypto.createHash(algorithm);
+    for (const part of parts) hash.update(part);
+    return hash.digest();
+}
+
+// RC4 is no longer available in OpenSSL 3's default provider
+function rc4(key: Buffer, data: Buffer): Buffer {
+    const state = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + state[i] + key[i % key.length]) & 0xff;
+        [state[i], state[j]] = [state[j], state[i]];
+    }
+    const output = Buffer.alloc(data.length);
+    for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+        i = (i + 1) & 0xff;
+        j = (j + state[i]) & 0xff;
+        [state[i], state[j]] = [state[j], state[i]];
+        output[n] = data[n] ^ state[(state[i] + state[j]) & 0xff];
+    }
+    return output;
+}
+
+function aesCbc(key: Buffer, iv: Buffer, data: Buffer, padding: boolean, encrypt = false): Buffer {
+    const algorithm = `aes-${key.length * 8}-cbc`;
+    const cipher = encrypt ? crypto.createCipheriv(algorithm, key, iv) : crypto.createDecipheriv(algorithm, key, iv);
+    cipher.setAutoPadding(padding);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+/**
+ * Decrypt AES data: a 16-byte IV followed by the PKCS#5-padded ciphertext
+ * Some writers omit the padding; the data is then decrypted without it.
+ */
+function aesDecrypt(key: Buffer, data: Buffer): Buffer {
+    if (data.length < 32) return Buffer.alloc(0);
+    const iv = data.subarray(0, 16);
+    const ciphertext = data.subarray(16, 16 + Math.floor((data.length - 16) / 16) * 16);
+    try {
+        return aesCbc(key, iv, ciphertext, true);
+    } catch {
+        return aesCbc(key, iv, ciphertext, false);
+    }
+}
+
+// ── Private: security handler ──
+
+function bytesOf(object: PDFObject | undefined): Buffer {
+    if (object instanceof PDFString || object instanceof PDFHexString) return Buffer.from(object.asBytes());
+    return Buffer.alloc(0);
+}
+
+function encryptionError(message: string): Error {
+    const err = new Error(message) as Error & { isPasswordProtected?: boolean };
+    err.isPasswordProtected = true;
+    return err;
+}
+
+/**
+ * Get the cipher a V4/V5 crypt filter uses
+ * @throws If the method is unknown or not used with this version
+ */
+function getCryptFilterMethod(encrypt: PDFDict, version: number, filterName: PDFName | undefined): CipherMethod {
+    if (!filterName || filterName === PDFName.of('Identity')) return 'identity';
+    const filter = encrypt.lookupMaybe(PDFName.of('CF'), PDFDict)?.lookupMaybe(filterName, PDFDict);
+    const method = filter?.lookupMaybe(PDFName.of('CFM'), PDFName)?.asString();
+    const cipher = method ? CRYPT_FILTER_CIPHERS[method] : undefined;
+    if (!cipher || !CRYPT_FILTER_METHODS[version].includes(cipher)) {
+        throw encryptionError(
+            `Unsupported PDF encryption: crypt filter method ${method || 'missing'} with version ${version}`
+        );
+    }
+    return cipher;
+}
+
+/**
+ * Read the Encrypt dictionary of the standard security handler
+ * @throws If the file uses another handler, or a version, revision or key length not listed above
+ */
+function readSecurityHandler(encrypt: PDFDict, id: PDFObject | undefined): SecurityHandler {
+    const filter = encrypt.lookupMaybe(PDFName.of('Filter'), PDFName)?.asString();
+    if (filter !== '/Standard') {
+        throw encryptionError(`Unsupported PDF encryption: security handler ${filter || 'missing'}`);
+    }
+    const version = encrypt.lookupMaybe(PDFName.of('V'), PDFNumber)?.asNumber() ?? 0;
+    const revision = encrypt.lookupMaybe(PDFName.of('R'), PDFNumber)?.asNumber() ?? 0;
+    if (!SUPPORTED_REVISIONS[version]?.includes(revision)) {
+        throw encryptionError(`Unsupported PDF encryption: version ${version}, revision ${revision}`);
+    }
+
+    let stringMethod: CipherMethod = 'rc4';
+    let streamMethod: CipherMethod = 'rc4';
+    if (version >= 4) {
+        stringMethod = getCryptFilterMethod(encrypt, version, encrypt.lookupMaybe(PDFName.of('StrF'), PDFName));
+        streamMethod = getCryptFilterMethod(encrypt, version, encrypt.lookupMaybe(PDFName.of('StmF'), PDFName));
+    }
+
+    // Key length in bytes: fixed for V1, V4 and V5, from /Length (40-128 bit) for V2
+    let keyLength = 32;
+    if (version === 1) keyLength = 5;
+    else if (version === 2) keyLength = (encrypt.lookupMaybe(PDFName.of('Length'), PDFNumber)?.asNumber() ?? 40) / 8;
+    else if (version === 4) keyLength = 16;
+    if (version === 2 && (!Number.isInteger(keyLength) || keyLength < 5 || keyLength > 16)) {
+        throw encryptionError(`Unsupported PDF encryption: key length ${keyLength * 8} bit`);
+    }
+
+    const ids = id instanceof PDFArray ? id : undefined;
+    return {
+        revision,
+        keyLength,
+        ownerHash: bytesOf(encrypt.lookup(PDFName.of('O'))),
+        userHash: bytesOf(encrypt.lookup(PDFName.of('U'))),
+        ownerEncryption: bytesOf(encrypt.lookup(PDFName.of('OE'))),
+        userEncryption: bytesOf(encrypt.lookup(PDFName.of('UE'))),
+        permissions: encrypt.lookupMaybe(PDFName.of('P'), PDFNumber)?.asNumber() ?? 0,
+        encryptMetadata: encrypt.lookup(PDFName.of('EncryptMetadata'))?.toString() !== 'false',
+        firstId: bytesOf(ids?.lookup(0)),
+        stringMethod,
+        streamMethod
+    };
+}
+
+// Key variant for the 19 extra RC4 rounds of revision 3+
+function xorKey(key: Buffer, value: number): Buffer {
+    return Buffer.from(key.map((b) => b ^ value));
+}
+
+function padPassword(password: string): Buffer {
+    return Buffer.concat([Buffer.from(password, 'latin1'), PASSWORD_PADDING]).subarray(0, 32);
+}
+
+/**
+ * File key from a (user) password, revisions 2-4 (Algorithm 2)
+ */
+function computeRc4FileKey(handler: SecurityHandler, paddedPassword: Buffer): Buffer {
+    const permissions = Buffer.alloc(4);
+    permissions.writeInt32LE(handler.permissions);
+    const parts = [paddedPassword, handler.ownerHash.subarray(0, 32), permissions, handler.firstId];
+    if (handler.revision >= 4 && !handler.encryptMetadata) parts.push(Buffer.from([0xff, 0xff, 0xff, 0xff]));
+
+    let hash = md5(...parts);
+    if (handler.revision >= 3) {
+        for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, handler.keyLength));
+    }
+    return hash.subarray(0, handler.keyLength);
+}
+
+/**
+ * Check a padded user password and return the file key (Algorithm 6)
+ */
+function authenticateRc4User(handler: SecurityHandler, paddedPassword: Buffer): Buffer | null {
+    const key = computeRc4FileKey(handler, paddedPassword);
+    if (handler.revision === 2) {
+        return rc4(key, PASSWORD_PADDING).equals(handler.userHash.subarray(0, 32)) ? key : null;
+    }
+
+    let check = rc4(key, md5(PASSWORD_PADDING, handler.firstId));
+    for (let i = 1; i <= 19; i++) {
+        check = rc4(xorKey(key, i), check);
+    }
+    return check.equals(handler.userHash.subarray(0, 16)) ? key : null;
+}
+
+/**
+ * Recover the user password from an owner password and check it (Algorithm 7)
+ */
+function authenticateRc4Owner(handler: SecurityHandler, password: string): Buffer | null {
+    let hash = md5(padPassword(password));
+    if (handler.revision >= 3) {
+        for (let i = 0; i < 50; i++) hash = md5(hash);
+    }
+    const key = hash.subarray(0, handler.keyLength);
+
+    let userPassword = handler.ownerHash.subarray(0, 32);
+    if (handler.revision === 2) {
+        userPassword = rc4(key, userPassword);
+    } else {
+        for (let i = 19; i >= 0; i--) {
+            userPassword = rc4(xorKey(key, i), userPassword);
+        }
+    }
+    return authenticateRc4User(handler, userPassword);
+}
+
+/**
+ * Password hash of revisions 5 (SHA-256) and 6 (Algorithm 2.B)
+ */
+function hashAes256Password(revision: number, password: Buffer, salt: Buffer, userKey: Buffer): Buffer {
+    let key = sha('sha256', password, salt, userKey);
+    if (revision === 5) return key;
+
+    for (let round = 0; ; round++) {
+        const block = Buffer.concat([password, key, userKey]);
+        const encrypted = aesCbc(
+            key.subarray(0, 16),
+            key.subarray(16, 32),
+            Buffer.concat(Array(64).fill(block)),
+            false,
+            true
+        );
+        // 256 mod 3 is 1, so the 128-bit number mod 3 is the sum of its bytes mod 3
+        const remainder = encrypted.subarray(0, 16).reduce((sum, b) => sum + b, 0) % 3;
+        key = sha((['sha256', 'sha384', 'sha512'] as const)[remainder], encrypted);
+        if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) break;
+    }
+    return key.subarray(0, 32);
+}
+
+/**
+ * Check a password against revisions 5 and 6 and return the file key
+ */
+function authenticateAes256(handler: SecurityHandler, password: string): Buffer | null {
+    const bytes = Buffer.from(password, 'utf-8').subarray(0, 127);
+    const { revision, ownerHash, userHash } = handler;
+    const user = userHash.subarray(0, 48);
+    const zeroIv = Buffer.alloc(16);
+
+    if (hashAes256Password(revision, bytes, ownerHash.subarray(32, 40), user).equals(ownerHash.subarray(0, 32))) {
+        const key = hashAes256Password(revision, bytes, ownerHash.subarray(40, 48), user);
+        return aesCbc(key, zeroIv, handler.ownerEncryption.subarray(0, 32), false);
+    }
+    if (
+        hashAes256Password(revision, bytes, userHash.subarray(32, 40), Buffer.alloc(0)).equals(userHash.subarray(0, 32))
+    ) {
+        const key = hashAes256Password(revision, bytes, userHash.subarray(40, 48), Buffer.alloc(0));
+        return aesCbc(key, zeroIv, handler.userEncryption.subarray(0, 32), false);
+    }
+    return null;
+}
+
+/**
+ * Find the file key with the first password that opens the document, as user or owner
+ */
+function authenticate(handler: SecurityHandler, passwords: string[]): Buffer | null {
+    for (const password of passwords) {
+        const key =
+            handler.revision >= 5
+                ? authenticateAes256(handler, password)
+                : authenticateRc4User(handler, padPassword(password)) || authenticateRc4Owner(handler, password);
+        if (key) return key;
+    }
+    return null;
+}
+
+// ── Private: document ──
+
+/**
+ * Decrypt the data of one object
+ */
+function decryptData(handler: SecurityHandler, fileKey: Buffer, method: CipherMethod, ref: PDFRef, data: Buffer) {
+    if (method === 'identity') return data;
+    if (method === 'aes256') return aesDecrypt(fileKey, data);
+
+    // Revisions 2-4 derive a key per object (Algorithm 1)
+    const objectId = Buffer.alloc(5);
+    objectId.writeUIntLE(ref.objectNumber, 0, 3);
+    objectId.writeUInt16LE(ref.generationNumber, 3);
+    const salt = method === 'aes128' ? Buffer.from('sAlT', 'latin1') : Buffer.alloc(0);
+    const key = md5(fileKey, objectId, salt).subarray(0, Math.min(handler.keyLength + 5, 16));
+    return method === 'aes128' ? aesDecrypt(key, data) : rc4(key, data);
+}
+
+/**
+ * Decrypt the strings in an object, recursing into dictionaries and arrays
+ * @returns The object, or a decrypted copy of a string
+ */
+function decryptStrings(object: PDFObject, decrypt: (data: Buffer) => Buffer): PDFObject {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+        return PDFHexString.of(decrypt(Buffer.from(object.asBytes())).toString('hex'));
+    }
+    if (object instanceof PDFDict) {
+        for (const [key, value] of object.entries()) object.set(key, decryptStrings(value, decrypt));
+    } else if (object instanceof PDFArray) {
+        for (let i = 0; i < object.size(); i++) object.set(i, decryptStrings(object.get(i), decrypt));
+    } else if (object instanceof PDFRawStream) {
+        decryptStrings(object.dict, decrypt);
+    }
+    return object;
+}
+
+function isMetadataStream(stream: PDFRawStream): boolean {
+    return stream.dict.lookup(PDFName.of('Type')) === PDFName.of('Metadata');
+}
+
+/**
+ * Unpack the (now decrypted) object streams into the context
+ * Objects that were already parsed from the file body take precedence.
+ */
+async function expandObjectStreams(context: PDFContext, objectStreams: PDFRef[]): Promise<void> {
+    if (objectStreams.length === 0) return;
+    const parsed = context.enumerateIndirectObjects().filter(([ref]) => !objectStreams.includes(ref));
+    for (const ref of objectStreams) {
+        const stream = context.lookup(ref) as PDFRawStream;
+        stream.dict.set(PDFName.of('Type'), PDFName.of('ObjStm'));
+        context.delete(ref);
+        await PDFObjectStreamParser.forStream(stream).parseIntoContext();
+    }
+    for (const [ref, object] of parsed) context.assign(ref, object);
+}
+
+/**
+ * Hide object streams from the parser, which would otherwise unpack them while their content is still encrypted
+ * The replacement name has the same length, so the cross-reference offsets stay valid.
+ */
+function maskObjectStreams(bytes: Uint8Array): Uint8Array {
+    const masked = Buffer.from(bytes);
+    const objectStream = Buffer.from('/ObjStm', 'latin1');
+    for (let at = masked.indexOf(objectStream); at !== -1; at = masked.indexOf(objectStream, at + 1)) {
+        masked.write('/EncStm', at, 'latin1');
+    }
+    return masked;
+}
+
+// ── Public API ──
+
+/**
+ * Decrypt a password-protected PDF
+ * The empty password is always tried first; it opens files that are only encrypted
+ * against editing or copying. An unencrypted PDF is returned unchanged.
+ * @param bytes - The PDF file
+ * @param passwords - Candidate user or owner passwords
+ * @returns The PDF without encryption
+ * @throws If no password opens the file or its encryption is not supported; the error has isPasswordProtected set
+ */
+export async function decryptPdf(bytes: Uint8Array, passwords: string[] = []): Promise<Uint8Array> {
+    // Cheap check before parsing: every encrypted PDF names its Encrypt dictionary in the trailer
+    if (Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).indexOf('/Encrypt') === -1) return bytes;
+
+    const context = await PDFParser.forBytesWithOptions(maskObjectStreams(bytes)).parseDocument();
+    const encryptEntry = context.trailerInfo.Encrypt;
+    const encrypt = encryptEntry && context.lookup(encryptEntry);
+    if (!(encrypt instanceof PDFDict)) return bytes;
+
+    const handler = readSecurityHandler(encrypt, context.trailerInfo.ID);
+    const fileKey = authenticate(handler, ['', ...passwords.filter((p) => p !== '')]);
+    if (!fileKey) {
+        throw encryptionError(
+            passwords.length > 0
+                ? 'PDF is password-protected and none of the configured passwords opens it'
+                : 'PDF is password-protected; set processing.pdfPasswordEnvVar (or a supplier rule pdfPasswordEnvVar) to the environment variable holding its password'
+        );
+    }
+
+    const objectStreams: PDFRef[] = [];
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (object === encrypt || encryptEntry === ref) continue;
+        const decryptString = (data: Buffer) => decryptData(handler, fileKey, handler.stringMethod, ref, data);
+        if (!(object instanceof PDFRawStream)) {
+            context.assign(ref, decryptStrings(object, decryptString));
+            continue;
+        }
+
+        decryptStrings(object.dict, decryptString);
+        if (!handler.encryptMetadata && isMetadataStream(object)) continue;
+        const contents = decryptData(handler, fileKey, handler.streamMethod, ref, Buffer.from(object.contents));
+        context.assign(ref, PDFRawStream.of(object.dict, contents));
+        if (object.dict.lookup(PDFName.of('Type')) === PDFName.of('EncStm')) objectStreams.push(ref);
+    }
+    await expandObjectStreams(context, objectStreams);
+
+    if (encryptEntry instanceof PDFRef) context.delete(encryptEntry);
+    context.trailerInfo.Encrypt = undefined;
+    return PDFWriter.forContext(context, Infinity).serializeToBuffer();
+}
+
+/**
+ * Get the passwords to try for a PDF, from the environment variables the config names
+ * The supplier rule whose filenamePattern matches comes first, then the client's
+ * processing.pdfPasswordEnvVar, then every other supplier rule. Unset variables are skipped.
+ * @param config - Processing configuration
+ * @param filename - Input filename
+ * @returns Candidate passwords, without duplicates
+ */
+export function getPdfPasswords(config: AppConfig, filename: string): string[] {
+    const rules = config.supplierRules || [];
+    const filenameRule = findRuleByFilename(filename, config);
+    const envVars = [
+        filenameRule?.pdfPasswordEnvVar,
+        config.processing?.pdfPasswordEnvVar,
+        ...rules.map((rule) => rule.pdfPasswordEnvVar)
+    ];
+    const passwords = envVars.filter((name): name is string => !!name).map((name) => process.env[name]);
+    return [...new Set(passwords.filter((password): password is string => password !== undefined))];
+}
+
+/**
+ * Read a PDF and decrypt it when it is password-protected
+ * @param filePath - Path to the PDF
+ * @param config - Processing configuration (for the password environment variables)
+ * @returns The PDF without encryption
+ * @throws If the file cannot be read or decrypted
+ */
+export async function readPdf(filePath: string, config: AppConfig): Promise<Uint8Array> {
+    const bytes = await fs.promises.readFile(filePath);
+    return decryptPdf(new Uint8Array(bytes), getPdfPasswords(config, filePath.split(/[\\/]/).pop()!));
+}
@@ -0,0 +1,202 @@
+/**
+ * Machine-readable extraction results in enriched PDFs
+ * Besides the summary page, every enriched PDF carries the analysis as data:
+ * - analysis.json, an embedded file attachment with all fields and tags
+ * - an XMP metadata packet with the scalar fields in an invoice namespace
+ * - the PDF Info title, subject and keywords, for tools that only read those
+ *
+ * readEmbeddedAnalysis() reads analysis.json back, so enriched PDFs can be
+ * re-imported without calling the model again.
+ */
+
+import fs from 'node:fs';
+import { AFRelationship, PDFArray, PDFDict, PDFDocument, PDFName, PDFRawStream, decodePDFRawStream } from 'pdf-lib';
+import type { PDFObject } from 'pdf-lib';
+import { escapeXml } from './xml.js';
+
+import type { EmbeddedAnalysis, ExtractionSource, InvoiceAnalysis } from './types/index.js';
+
+export const ANALYSIS_ATTACHMENT_NAME = 'analysis.json';
+
+const GENERATOR = 'invoice-analyzer-app';
+const XMP_NAMESPACE = 'https://github.com/Kaladeen1717/invoice-analyzer-app/ns/invoice/1.0/';
+
+// ── Private: XMP ──
+
+/**
+ * Build the XMP packet
+ * Only string, number and boolean fields are listed; arrays and tables are in analysis.json.
+ */
+function buildXmp(data: EmbeddedAnalysis, title: string): string {
+    const fields = Object.entries(data.fields)
+        .filter(
+            ([key, value]) => /^[A-Za-z_][\w-]*$/.test(key) && ['string', 'number', 'boolean'].includes(typeof value)
+        )
+        .map(([key, value]) => `      <inv:${key}>${escapeXml(String(value))}</inv:${key}>`);
+    const tags = Object.keys(data.tags).filter((id) => data.tags[id]);
+
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        '  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '    <rdf:Description rdf:about=""',
+        '        xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        '        xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+        '        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+        `        xmlns:inv="${XMP_NAMESPACE}">`,
+        `      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(title)}</rdf:li></rdf:Alt></dc:title>`,
+        `      <xmp:CreatorTool>${GENERATOR}</xmp:CreatorTool>`,
+        `      <xmp:ModifyDate>${data.processedAt}</xmp:ModifyDate>`,
+        `      <pdf:Producer>${GENERATOR}</pdf:Producer>`,
+        `      <pdf:Keywords>${escapeXml(tags.join(', '))}</pdf:Keywords>`,
+        `      <inv:provider>${escapeXml(data.provider)}</inv:provider>`,
+        `      <inv:source>${data.source}</inv:source>`,
+        data.model ? `      <inv:model>${escapeXml(data.model)}</inv:model>` : null,
+        `      <inv:originalFilename>${escapeXml(data.originalFilename)}</inv:originalFilename>`,
+        `      <inv:tags><rdf:Bag>${tags.map((id) => `<rdf:li>${escapeXml(id)}</rdf:li>`).join('')}</rdf:Bag></inv:tags>`,
+        ...fields,
+        '    </rdf:Description>',
+        '  </rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ]
+        .filter((line) => line !== null)
+        .join('\n');
+}
+
+// ── Private: attachments ──
+
+/**
+ * Collect [name, file spec] pairs from the EmbeddedFiles name tree
+ */
+function collectNameTree(node: PDFDict | undefined, pairs: Array<[string, PDFDict]>): void {
+    if (!node) return;
+
+    const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+    for (let i = 0; names && i + 1 < names.size(); i += 2) {
+        const name = names.lookup(i) as PDFObject & { decodeText?: () => string };
+        const spec = names.lookup(i + 1);
+        if (typeof name.decodeText === 'function' && spec instanceof PDFDict) {
+            pairs.push([name.decodeText(), spec]);
+        }
+    }
+
+    const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    for (let i = 0; kids && i < kids.size(); i++) {
+        collectNameTree(kids.lookupMaybe(i, PDFDict), pairs);
+    }
+}
+
+// ── Public API ──
+
+/**
+ * Build the data embedded in an enriched PDF
+ * @param analysis - The analysis result
+ * @param meta - Provider, model, extraction source and the input filename
+ * @returns Fields (without internal _-prefixed keys) and tags, with provenance
+ */
+export function buildEmbeddedAnalysis(
+    analysis: InvoiceAnalysis,
+    meta: { provider: string; model: string | null; source: ExtractionSource; originalFilename: string }
+): EmbeddedAnalysis {
+    const fields: Record<string, unknown> = {};
+    for (const [key, value] of Object.entries(analysis)) {
+        if (key !== 'tags' && !key.startsWith('_')) fields[key] = value;
+    }
+
+    return {
+        version: 1,
+        generator: GENERATOR,
+        processedAt: new Date().toISOString(),
+        provider: meta.provider,
+        model: meta.model,
+        source: meta.source,
+        originalFilename: meta.originalFilename,
+        fields,
+        tags: { ...(analysis.tags || {}) }
+    };
+}
+
+/**
+ * Write the analysis into a PDF as Info fields, XMP metadata and an analysis.json attachment
+ * Existing XMP metadata of the input is replaced.
+ * @param pdfDoc - The document being enriched (saved by the caller)
+ * @param data - Data from buildEmbeddedAnalysis()
+ */
+export async function embedAnalysis(pdfDoc: PDFDocument, data: EmbeddedAnalysis): Promise<void> {
+    const { supplierName, invoiceNumber, summary } = data.fields;
+    const title =
+        [supplierName, invoiceNumber].filter((v) => typeof v === 'string' && v && v !== 'Unknown').join(' - ') ||
+        'Invoice';
+    const processedAt = new Date(data.processedAt);
+
+    pdfDoc.setTitle(title);
+    if (typeof summary === 'string' && summary) pdfDoc.setSubject(summary);
+    pdfDoc.setKeywords(Object.keys(data.tags).filter((id) => data.tags[id]));
+    pdfDoc.setProducer(GENERATOR);
+    pdfDoc.setCreator(GENERATOR);
+    pdfDoc.setModificationDate(processedAt);
+
+    const xmp = pdfDoc.context.stream(new TextEncoder().encode(buildXmp(data, title)), {
+        Type: 'Metadata',
+        Subtype: 'XML'
+    });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmp));
+
+    await pdfDoc.attach(new TextEncoder().encode(JSON.stringify(data, null, 2)), ANALYSIS_ATTACHMENT_NAME, {
+        mimeType: 'application/json',
+        description: 'Invoice extraction results',
+        creationDate: processedAt,
+        modificationDate: processedAt,
+        afRelationship: AFRelationship.Data
+    });
+}
+
+/**
+ * Read the files attached to a PDF
+ * @param pdfPath - Path to the PDF
+ * @returns Name and content of each attachment, in document order
+ * @throws If the file is not a PDF
+ */
+export async function readAttachments(pdfPath: string): Promise<Array<{ name: string; data: Uint8Array }>> {
+    const pdfDoc = await PDFDocument.load(await fs.promises.readFile(pdfPath), {
+        ignoreEncryption: true,
+        updateMetadata: false
+    });
+
+    const embeddedFiles = pdfDoc.catalog
+        .lookupMaybe(PDFName.of('Names'), PDFDict)
+        ?.lookupMaybe(PDFName.of('EmbeddedFiles'), PDFDict);
+    const pairs: Array<[string, PDFDict]> = [];
+    collectNameTree(embeddedFiles, pairs);
+
+    const attachments: Array<{ name: string; data: Uint8Array }> = [];
+    for (const [name, spec] of pairs) {
+        const stream = spec.lookupMaybe(PDFName.of('EF'), PDFDict)?.lookup(PDFName.of('F'));
+        if (stream instanceof PDFRawStream) {
+            attachments.push({ name, data: decodePDFRawStream(stream).decode() });
+        }
+    }
+    return attachments;
+}
+
+/**
+ * Read the analysis embedded in an enriched PDF
+ * @param pdfPath - Path to the PDF
+ * @returns The embedded analysis, or null when the PDF has none
+ * @throws If the file is not a PDF or analysis.json is not valid JSON
+ */
+export async function readEmbeddedAnalysis(pdfPath: string): Promise<EmbeddedAnalysis | null> {
+    // A PDF enriched more than once keeps the latest analysis last
+    const attachment = (await readAttachments(pdfPath)).reverse().find((a) => a.name === ANALYSIS_ATTACHMENT_NAME);
+    if (!attachment) return null;
+
+    const json = Buffer.from(attachment.data).toString('utf-8');
+    try {
+        return JSON.parse(json) as EmbeddedAnalysis;
+    } catch (error: unknown) {
+        throw new Error(`Invalid ${ANALYSIS_ATTACHMENT_NAME} in ${pdfPath}: ${(error as Error).message}`, {
+            cause: error
+        });
+    }
+}
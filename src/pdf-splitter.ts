@@ -0,0 +1,200 @@
+/**
+ * Multi-document PDF splitting
+ * A scanner batch often holds several invoices in one PDF. This finds where
+ * each invoice starts, either with a short classification call to the
+ * extraction provider or by a fixed page count, and writes every invoice to
+ * its own PDF so it can go through the normal pipeline.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PDFDocument } from 'pdf-lib';
+import { getProvider } from './extraction-provider.js';
+import { readEInvoice } from './e-invoice.js';
+import { readPdf } from './pdf-decryption.js';
+
+import type { AppConfig, SplitSource, TokenUsage } from './types/index.js';
+
+/** Pages of one invoice within a scan (1-based, inclusive) */
+export interface PageRange {
+    firstPage: number;
+    lastPage: number;
+}
+
+export interface DocumentBoundaries {
+    ranges: PageRange[];
+    tokenUsage: TokenUsage | null; // set when a classification call was made
+}
+
+/** A split-off invoice written to a temporary file */
+export interface SplitPart {
+    path: string;
+    splitFrom: SplitSource;
+}
+
+const CLASSIFY_PROMPT = `You are given a scanned PDF with {pageCount} pages. It may contain several separate documents (invoices, credit notes, receipts), one after another.
+Identify the page on which each separate document starts. A document continues on the following pages until a page clearly begins a new one, for example a new letterhead, a different invoice number, or "Page 1 of N".
+Respond with JSON only, using 1-based page numbers in ascending order:
+{"documentStartPages": [1]}`;
+
+// ── Private: PDF helpers ──
+
+// Password-protected scans are decrypted first, see pdf-decryption.ts
+async function loadPdf(pdfPath: string, config: AppConfig): Promise<{ bytes: Uint8Array; pdfDoc: PDFDocument }> {
+    const bytes = await readPdf(pdfPath, config);
+    return { bytes, pdfDoc: await PDFDocument.load(bytes) };
+}
+
+async function writeRange(source: PDFDocument, range: PageRange, outputPath: string): Promise<void> {
+    const part = await PDFDocument.create({ updateMetadata: false });
+    const indices = Array.from({ length: range.lastPage - range.firstPage + 1 }, (_, i) => range.firstPage - 1 + i);
+    for (const page of await part.copyPages(source, indices)) {
+        part.addPage(page);
+    }
+    await fs.promises.writeFile(outputPath, await part.save());
+}
+
+// ── Private: boundary detection ──
+
+/**
+ * Parse the classification response
+ * @param text - Raw model output
+ * @returns Start pages
+ * @throws If the response holds no list of page numbers
+ */
+function parseStartPages(text: string): number[] {
+    const json = text
+        .trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '');
+    let parsed: unknown;
+    try {
+        parsed = JSON.parse(json);
+    } catch (error: unknown) {
+        throw new Error(`Could not parse document boundaries: ${(error as Error).message}`, { cause: error });
+    }
+
+    const starts = (parsed as { documentStartPages?: unknown })?.documentStartPages;
+    if (!Array.isArray(starts) || !starts.every((p) => typeof p === 'number')) {
+        throw new Error('Could not parse document boundaries: expected {"documentStartPages": [...]}');
+    }
+    return starts;
+}
+
+/**
+ * Ask the extraction provider where each document in a scan starts
+ */
+async function classifyBoundaries(
+    pdfBytes: Uint8Array,
+    pageCount: number,
+    config: AppConfig,
+    apiKey?: string
+): Promise<DocumentBoundaries> {
+    const provider = getProvider(config.provider, apiKey || null);
+    const { text, tokenUsage } = await provider.generate({
+        model: config.processing.splitting?.model || config.model || provider.defaultModel,
+        systemInstruction: CLASSIFY_PROMPT.replace('{pageCount}', String(pageCount)),
+        document: { mimeType: 'application/pdf', data: Buffer.from(pdfBytes).toString('base64') },
+        useJsonMode: true
+    });
+
+    return { ranges: rangesFromStartPages(parseStartPages(text), pageCount), tokenUsage };
+}
+
+// ── Public API ──
+
+/**
+ * Turn the start page of each document into page ranges
+ * Page numbers outside the scan or out of order are ignored; the first document always starts on page 1.
+ * @param startPages - Page on which each document starts
+ * @param pageCount - Number of pages in the scan
+ * @returns One range per document
+ */
+export function rangesFromStartPages(startPages: number[], pageCount: number): PageRange[] {
+    const starts = [...new Set([1, ...startPages.filter((p) => Number.isInteger(p) && p >= 1 && p <= pageCount)])];
+    starts.sort((a, b) => a - b);
+    return starts.map((firstPage, i) => ({ firstPage, lastPage: (starts[i + 1] ?? pageCount + 1) - 1 }));
+}
+
+/**
+ * Find the invoices in a PDF according to processing.splitting
+ * @param pdfPath - Path to the PDF
+ * @param config - Configuration object
+ * @param options - API key for the classification call
+ * @returns Page range of each invoice; no ranges while splitting is off, for images and XML, and for e-invoice PDFs
+ */
+export async function detectDocuments(
+    pdfPath: string,
+    config: AppConfig,
+    options: { apiKey?: string } = {}
+): Promise<DocumentBoundaries> {
+    const splitting = config.processing.splitting;
+    if (!splitting?.enabled || !pdfPath.toLowerCase().endsWith('.pdf')) {
+        return { ranges: [], tokenUsage: null };
+    }
+    // The embedded XML describes a single invoice, whatever the page layout suggests
+    if (config.processing.readEInvoices !== false && (await readEInvoice(pdfPath))) {
+        return { ranges: [], tokenUsage: null };
+    }
+
+    const { bytes, pdfDoc } = await loadPdf(pdfPath, config);
+    const pageCount = pdfDoc.getPageCount();
+    if (pageCount < 2) {
+        return { ranges: [{ firstPage: 1, lastPage: pageCount }], tokenUsage: null };
+    }
+
+    if (splitting.mode === 'pages') {
+        const size = splitting.pagesPerDocument || 1;
+        const starts = Array.from({ length: Math.ceil(pageCount / size) }, (_, i) => i * size + 1);
+        return { ranges: rangesFromStartPages(starts, pageCount), tokenUsage: null };
+    }
+
+    return classifyBoundaries(bytes, pageCount, config, options.apiKey);
+}
+
+/**
+ * Name for an invoice split from a scan, e.g. "scan (pages 3-4).pdf"
+ * @param filename - Filename of the scan
+ * @param range - Pages of the invoice
+ * @returns The part filename
+ */
+export function getPartFilename(filename: string, range: PageRange): string {
+    const stem = path.basename(filename, path.extname(filename));
+    const pages =
+        range.firstPage === range.lastPage ? `page ${range.firstPage}` : `pages ${range.firstPage}-${range.lastPage}`;
+    return `${stem} (${pages}).pdf`;
+}
+
+/**
+ * Write each invoice of a scan to its own PDF in a temporary folder
+ * Parts carry no creation date, so splitting the same scan again gives
+ * byte-identical files that duplicate detection recognises.
+ * @param pdfPath - Path to the scan
+ * @param ranges - Page range of each invoice
+ * @param config - Configuration object (passwords of encrypted scans)
+ * @returns The parts, and a cleanup function that removes the temporary folder
+ */
+export async function writeParts(
+    pdfPath: string,
+    ranges: PageRange[],
+    config: AppConfig
+): Promise<{ parts: SplitPart[]; cleanup: () => Promise<void> }> {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'invoice-split-'));
+    const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true });
+    const filename = path.basename(pdfPath);
+
+    try {
+        const { pdfDoc: source } = await loadPdf(pdfPath, config);
+        const parts: SplitPart[] = [];
+        for (const range of ranges) {
+            const partPath = path.join(dir, getPartFilename(filename, range));
+            await writeRange(source, range, partPath);
+            parts.push({ path: partPath, splitFrom: { filename, ...range } });
+        }
+        return { parts, cleanup };
+    } catch (error: unknown) {
+        await cleanup();
+        throw error;
+    }
+}
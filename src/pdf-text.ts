@@ -0,0 +1,460 @@
+/**
+ * PDF text layer extraction
+ * Reads the text that a PDF shows (not text recognised in images) from the page
+ * content streams, so text-based invoices can be read without the model. Lines
+ * are rebuilt from the text positions: text on the same baseline is joined with
+ * spaces, a change of baseline starts a new line.
+ *
+ * Character codes are mapped to Unicode with the font's ToUnicode CMap, or for
+ * simple fonts with WinAnsi encoding and /Differences glyph names. Composite
+ * fonts without a ToUnicode CMap give no text. Scanned PDFs have no text layer
+ * and give an empty string.
+ *
+ * pdfjs-dist would do this more completely, but it is ESM-only and needs the
+ * native @napi-rs/canvas package under Node, neither of which the server and
+ * its (CommonJS) tests can load. This reader is kept to what matching invoice
+ * text needs: the text operators and font encodings above, on top of pdf-lib's
+ * object parsing, stream decoding and standard font tables. It does not handle
+ * vertical writing, Type3 fonts or reading order beyond baselines.
+ */
+
+import { Encodings } from '@pdf-lib/standard-fonts';
+import { PDFArray, PDFDict, PDFDocument, PDFName, PDFNumber, PDFRawStream, decodePDFRawStream } from 'pdf-lib';
+import type { PDFObject } from 'pdf-lib';
+
+// Form XObjects drawing other forms are followed this deep
+const MAX_FORM_DEPTH = 5;
+
+// TJ adjustments beyond this (thousandths of a text space unit) separate words
+const WORD_GAP = 200;
+
+// Baseline changes up to this many units count as the same line
+const LINE_TOLERANCE = 1;
+
+// WinAnsiEncoding code and glyph name -> text, from the font tables pdf-lib embeds fonts with
+const WIN_ANSI_CODES = new Map<number, string>();
+const GLYPH_NAMES = new Map<string, string>();
+for (const codePoint of Encodings.WinAnsi.supportedCodePoints) {
+    const { code, name } = Encodings.WinAnsi.encodeUnicodeCodePoint(codePoint);
+    const text = String.fromCodePoint(codePoint);
+    // Codes with two code points (space and nbsp at 0x20) read as the first
+    if (!WIN_ANSI_CODES.has(code)) WIN_ANSI_CODES.set(code, text);
+    if (!GLYPH_NAMES.has(name)) GLYPH_NAMES.set(name, text);
+}
+
+type Operand = number | { name: string } | { bytes: string } | Operand[];
+
+interface Operation {
+    operator: string;
+    operands: Operand[];
+}
+
+interface FontDecoder {
+    codeLength: 1 | 2;
+    decode(code: number): string;
+}
+
+interface TextState {
+    output: string[];
+    font: FontDecoder | null;
+    leading: number;
+    lineMatrix: number[]; // a b c d e f
+    lastBaseline: number | null;
+    moved: boolean; // the position changed since the last text was shown
+}
+
+// ── Private: content stream parsing ──
+
+const isWhitespace = (ch: string): boolean => ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t' || ch === '\f';
+const isDelimiter = (ch: string): boolean => '()<>[]{}/%'.includes(ch) || isWhitespace(ch) || ch === '\0';
+
+/**
+ * Read a literal string starting after its opening parenthesis
+ * @returns The string bytes (as Latin-1) and the position after the closing parenthesis
+ */
+function readLiteralString(content: string, start: number): [string, number] {
+    const escapes: Record<string, string> = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let result = '';
+    let depth = 1;
+    let pos = start;
+    while (pos < content.length) {
+        const ch = content[pos++];
+        if (ch === '\\') {
+            const next = content[pos++];
+            if (next === undefined) break;
+            if (escapes[next]) {
+                result += escapes[next];
+            } else if (next >= '0' && next <= '7') {
+                let octal = next;
+                while (octal.length < 3 && content[pos] >= '0' && content[pos] <= '7') octal += content[pos++];
+                result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            } else if (next === '\r') {
+                if (content[pos] === '\n') pos++;
+            } else if (next !== '\n') {
+                result += next;
+            }
+        } else if (ch === '(') {
+            depth++;
+            result += ch;
+        } else if (ch === ')') {
+            if (--depth === 0) break;
+            result += ch;
+        } else {
+            result += ch;
+        }
+    }
+    return [result, pos];
+}
+
+function hexToBytes(hex: string): string {
+    const digits = hex.replace(/[^0-9A-Fa-f]/g, '');
+    const padded = digits.length % 2 ? digits + '0' : digits;
+    let result = '';
+    for (let i = 0; i < padded.length; i += 2) result += String.fromCharCode(parseInt(padded.slice(i, i + 2), 16));
+    return result;
+}
+
+/**
+ * Split a content stream into operators with their operands
+ * Dictionaries are read as arrays; inline image data is skipped.
+ */
+function parseOperations(content: string): Operation[] {
+    const operations: Operation[] = [];
+    const stack: Operand[][] = [[]];
+    let pos = 0;
+
+    while (pos < content.length) {
+        const ch = content[pos];
+        if (isWhitespace(ch) || ch === '\0') {
+            pos++;
+        } else if (ch === '%') {
+            while (pos < content.length && content[pos] !== '\n' && content[pos] !== '\r') pos++;
+        } else if (ch === '(') {
+            const [bytes, end] = readLiteralString(content, pos + 1);
+            stack[stack.length - 1].push({ bytes });
+            pos = end;
+        } else if (ch === '<' && content[pos + 1] === '<') {
+            stack.push([]);
+            pos += 2;
+        } else if (ch === '>' && content[pos + 1] === '>') {
+            const dict = stack.length > 1 ? stack.pop()! : [];
+            stack[stack.length - 1].push(dict);
+            pos += 2;
+        } else if (ch === '<') {
+            const end = content.indexOf('>', pos);
+            const stop = end === -1 ? content.length : end;
+            stack[stack.length - 1].push({ bytes: hexToBytes(content.slice(pos + 1, stop)) });
+            pos = stop + 1;
+        } else if (ch === '[') {
+            stack.push([]);
+            pos++;
+        } else if (ch === ']') {
+            const array = stack.length > 1 ? stack.pop()! : [];
+            stack[stack.length - 1].push(array);
+            pos++;
+        } else if (ch === '/') {
+            let end = pos + 1;
+            while (end < content.length && !isDelimiter(content[end])) end++;
+            stack[stack.length - 1].push({ name: content.slice(pos + 1, end) });
+            pos = end;
+        } else {
+            let end = pos + 1;
+            while (end < content.length && !isDelimiter(content[end])) end++;
+            const word = content.slice(pos, end);
+            pos = end;
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+                stack[stack.length - 1].push(Number(word));
+            } else if (word === 'BI') {
+                // Inline image: skip its dictionary and data up to EI
+                const dataStart = content.indexOf('ID', pos);
+                const end = dataStart === -1 ? -1 : content.slice(dataStart).search(/\sEI(?=\s|$)/);
+                pos = end === -1 ? content.length : dataStart + end + 3;
+                stack.length = 1;
+                stack[0] = [];
+            } else {
+                operations.push({ operator: word, operands: stack[0] });
+                stack.length = 1;
+                stack[0] = [];
+            }
+        }
+    }
+    return operations;
+}
+
+// ── Private: fonts ──
+
+function decodeStream(object: PDFObject | undefined): string | null {
+    if (!(object instanceof PDFRawStream)) return null;
+    try {
+        return Buffer.from(decodePDFRawStream(object).decode()).toString('latin1');
+    } catch {
+        return null;
+    }
+}
+
+function utf16ToString(bytes: string): string {
+    let result = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        result += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    }
+    return result;
+}
+
+function bytesToCode(bytes: string): number {
+    let code = 0;
+    for (let i = 0; i < bytes.length; i++) code = code * 256 + bytes.charCodeAt(i);
+    return code;
+}
+
+/**
+ * Parse the bfchar and bfrange mappings of a ToUnicode CMap
+ * @returns The mapping and the code length of its source codes
+ */
+function parseToUnicode(cmap: string): { map: Map<number, string>; codeLength: 1 | 2 } {
+    const map = new Map<number, string>();
+    let codeLength: 1 | 2 = 1;
+    const operations = parseOperations(cmap);
+
+    for (const { operator, operands } of operations) {
+        if (operator === 'endbfchar') {
+            for (let i = 0; i + 1 < operands.length; i += 2) {
+                const [src, dst] = [operands[i], operands[i + 1]];
+                if (typeof src === 'object' && 'bytes' in src && typeof dst === 'object' && 'bytes' in dst) {
+                    if (src.bytes.length === 2) codeLength = 2;
+                    map.set(bytesToCode(src.bytes), utf16ToString(dst.bytes));
+                }
+            }
+        } else if (operator === 'endbfrange') {
+            for (let i = 0; i + 2 < operands.length; i += 3) {
+                const [low, high, dst] = [operands[i], operands[i + 1], operands[i + 2]];
+                if (!(typeof low === 'object' && 'bytes' in low && typeof high === 'object' && 'bytes' in high)) {
+                    continue;
+                }
+                if (low.bytes.length === 2) codeLength = 2;
+                const [first, last] = [bytesToCode(low.bytes), bytesToCode(high.bytes)];
+                for (let code = first; code <= last && code - first < 0x10000; code++) {
+                    if (Array.isArray(dst)) {
+                        const entry = dst[code - first];
+                        if (typeof entry === 'object' && entry && 'bytes' in entry) {
+                            map.set(code, utf16ToString(entry.bytes));
+                        }
+                    } else if (typeof dst === 'object' && 'bytes' in dst) {
+                        // The last UTF-16 unit is incremented across the range
+                        const base = utf16ToString(dst.bytes);
+                        const lastUnit = base.charCodeAt(base.length - 1) + (code - first);
+                        map.set(code, base.slice(0, -1) + String.fromCharCode(lastUnit));
+                    }
+                }
+            }
+        } else if (operator === 'endcodespacerange') {
+            const first = operands[0];
+            if (typeof first === 'object' && 'bytes' in first && first.bytes.length === 2) codeLength = 2;
+        }
+    }
+    return { map, codeLength };
+}
+
+function glyphNameToText(name: string): string {
+    const known = GLYPH_NAMES.get(name);
+    if (known !== undefined) return known;
+    const uni = /^uni([0-9A-Fa-f]{4})$/.exec(name) || /^u([0-9A-Fa-f]{4,6})$/.exec(name);
+    return uni ? String.fromCodePoint(parseInt(uni[1], 16)) : '';
+}
+
+function winAnsiToText(code: number): string {
+    return WIN_ANSI_CODES.get(code) ?? '';
+}
+
+function getFontDecoder(font: PDFDict): FontDecoder {
+    const toUnicodeSource = decodeStream(font.lookup(PDFName.of('ToUnicode')));
+    const toUnicode = toUnicodeSource ? parseToUnicode(toUnicodeSource) : null;
+    const composite = font.lookup(PDFName.of('Subtype')) === PDFName.of('Type0');
+
+    if (composite) {
+        return {
+            codeLength: toUnicode?.codeLength === 1 ? 1 : 2,
+            decode: (code) => toUnicode?.map.get(code) ?? ''
+        };
+    }
+
+    // Simple font: glyph names from /Differences override the (WinAnsi) base encoding
+    const differences = new Map<number, string>();
+    const encoding = font.lookup(PDFName.of('Encoding'));
+    const differencesArray = encoding instanceof PDFDict ? encoding.lookup(PDFName.of('Differences')) : undefined;
+    if (differencesArray instanceof PDFArray) {
+        let code = 0;
+        for (const entry of differencesArray.asArray()) {
+            if (entry instanceof PDFNumber) {
+                code = entry.asNumber();
+            } else if (entry instanceof PDFName) {
+                differences.set(code++, glyphNameToText(entry.decodeText()));
+            }
+        }
+    }
+
+    return {
+        codeLength: 1,
+        decode: (code) => toUnicode?.map.get(code) ?? differences.get(code) ?? winAnsiToText(code)
+    };
+}
+
+// ── Private: text state ──
+
+function decodeText(bytes: string, font: FontDecoder | null): string {
+    if (!font) return '';
+    let text = '';
+    for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+        text += font.decode(bytesToCode(bytes.slice(i, i + font.codeLength)));
+    }
+    return text;
+}
+
+function moveLine(state: TextState, tx: number, ty: number): void {
+    const [a, b, c, d, e, f] = state.lineMatrix;
+    state.lineMatrix = [a, b, c, d, tx * a + ty * c + e, tx * b + ty * d + f];
+    state.moved = true;
+}
+
+function showText(state: TextState, text: string): void {
+    if (text === '') return;
+    const baseline = state.lineMatrix[5];
+    const last = state.output[state.output.length - 1] || '';
+    if (state.lastBaseline !== null && Math.abs(baseline - state.lastBaseline) > LINE_TOLERANCE) {
+        state.output.push('\n');
+    } else if (state.moved && last !== '' && !/\s$/.test(last)) {
+        state.output.push(' ');
+    }
+    state.output.push(text);
+    state.lastBaseline = baseline;
+    state.moved = false;
+}
+
+const toNumber = (operand: Operand | undefined): number => (typeof operand === 'number' ? operand : 0);
+
+/**
+ * Run the text operators of a content stream, following form XObjects
+ */
+function runContent(content: string, resources: PDFDict | undefined, state: TextState, depth: number): void {
+    const fonts = resources?.lookup(PDFName.of('Font'));
+    const xObjects = resources?.lookup(PDFName.of('XObject'));
+    const decoders = new Map<string, FontDecoder | null>();
+
+    for (const { operator, operands } of parseOperations(content)) {
+        switch (operator) {
+            case 'BT':
+                state.lineMatrix = [1, 0, 0, 1, 0, 0];
+                state.moved = true;
+                break;
+            case 'Tf': {
+                const name = operands[0];
+                if (typeof name !== 'object' || !('name' in name)) break;
+                if (!decoders.has(name.name)) {
+                    const font = fonts instanceof PDFDict ? fonts.lookup(PDFName.of(name.name)) : undefined;
+                    decoders.set(name.name, font instanceof PDFDict ? getFontDecoder(font) : null);
+                }
+                state.font = decoders.get(name.name)!;
+                break;
+            }
+            case 'TL':
+                state.leading = toNumber(operands[0]);
+                break;
+            case 'Td':
+                moveLine(state, toNumber(operands[0]), toNumber(operands[1]));
+                break;
+            case 'TD':
+                state.leading = -toNumber(operands[1]);
+                moveLine(state, toNumber(operands[0]), toNumber(operands[1]));
+                break;
+            case 'Tm':
+                state.lineMatrix = [0, 1, 2, 3, 4, 5].map((i) => toNumber(operands[i]));
+                state.moved = true;
+                break;
+            case 'T*':
+                moveLine(state, 0, -state.leading);
+                break;
+            case "'":
+            case '"':
+            case 'Tj': {
+                // ' and " move to the next line first; the string is their last operand
+                if (operator !== 'Tj') moveLine(state, 0, -state.leading);
+                const shown = operands[operands.length - 1];
+                if (typeof shown === 'object' && 'bytes' in shown) showText(state, decodeText(shown.bytes, state.font));
+                break;
+            }
+            case 'TJ': {
+                const parts = Array.isArray(operands[0]) ? operands[0] : [];
+                let text = '';
+                for (const part of parts) {
+                    if (typeof part === 'number') {
+                        if (part < -WORD_GAP && text !== '' && !text.endsWith(' ')) text += ' ';
+                    } else if (typeof part === 'object' && 'bytes' in part) {
+                        text += decodeText(part.bytes, state.font);
+                    }
+                }
+                showText(state, text);
+                break;
+            }
+            case 'Do': {
+                const name = operands[0];
+                if (depth >= MAX_FORM_DEPTH || typeof name !== 'object' || !('name' in name)) break;
+                const form = xObjects instanceof PDFDict ? xObjects.lookup(PDFName.of(name.name)) : undefined;
+                if (!(form instanceof PDFRawStream) || form.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Form')) {
+                    break;
+                }
+                const formContent = decodeStream(form);
+                const formResources = form.dict.lookup(PDFName.of('Resources'));
+                if (formContent) {
+                    const saved = { font: state.font, lineMatrix: state.lineMatrix };
+                    runContent(
+                        formContent,
+                        formResources instanceof PDFDict ? formResources : resources,
+                        state,
+                        depth + 1
+                    );
+                    Object.assign(state, saved);
+                }
+                break;
+            }
+        }
+    }
+}
+
+// ── Public API ──
+
+/**
+ * Extract the text layer of a PDF
+ * @param bytes - The (unencrypted) PDF
+ * @returns The text, one line per baseline and pages separated by a blank line ('' for scans)
+ * @throws If the PDF cannot be parsed
+ */
+export async function extractPdfText(bytes: Uint8Array): Promise<string> {
+    const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+    const pages: string[] = [];
+
+    for (const page of pdfDoc.getPages()) {
+        const contents = page.node.Contents();
+        const streams =
+            contents instanceof PDFArray ? contents.asArray().map((ref) => pdfDoc.context.lookup(ref)) : [contents];
+        const content = streams.map((stream) => decodeStream(stream) ?? '').join('\n');
+
+        const state: TextState = {
+            output: [],
+            font: null,
+            leading: 0,
+            lineMatrix: [1, 0, 0, 1, 0, 0],
+            lastBaseline: null,
+            moved: false
+        };
+        runContent(content, page.node.Resources(), state, 0);
+
+        const text = state.output
+            .join('')
+            .split('\n')
+            .map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+        if (text) pages.push(text);
+    }
+
+    return pages.join('\n\n');
+}
@@ -4,12 +4,36 @@
 
 import 'dotenv/config';
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
-import { buildExtractionPrompt, parseGeminiResponse, validateAnalysis } from './prompt-builder.js';
+import type { PDFFont } from 'pdf-lib';
+import {
+    buildExtractionPrompt,
+    getLowConfidenceFields,
+    parseGeminiResponse,
+    validateAnalysis
+} from './prompt-builder.js';
+import { buildResponseSchema } from './response-schema.js';
 import { generateFormattedFilename, getUniqueFilename, formatDateForDisplay } from './filename-generator.js';
-import { DEFAULT_MODEL } from './constants.js';
+import { getProvider, clearProviderCache } from './extraction-provider.js';
+import { hashFile } from './duplicate-detector.js';
+import { addCurrencyConversion } from './fx-converter.js';
+import { imageToPdf, isImageFile, isInvoiceFile, readDocument } from './image-input.js';
+import { buildEmbeddedAnalysis, embedAnalysis } from './pdf-metadata.js';
+import { decryptPdf, getPdfPasswords, readPdf } from './pdf-decryption.js';
+import { eInvoiceToPdf, isXmlFile, mapEInvoiceFields, readEInvoice } from './e-invoice.js';
+import { applySupplierRegistry, learnSupplier } from './supplier-registry.js';
+import { applySupplierRule, findRuleByFilename, findRuleBySupplier } from './supplier-rules.js';
+import { readTextLayer } from './text-layer.js';
+import { readCachedResponse, writeCachedResponse } from './response-cache.js';
+import type { DuplicateIndex } from './duplicate-detector.js';
+import {
+    DEFAULT_DUPLICATES_SUBFOLDER,
+    DEFAULT_FAILED_SUBFOLDER,
+    DEFAULT_PENDING_REVIEW_SUBFOLDER,
+    DEFAULT_PROVIDER
+} from './constants.js';
 
 import type {
     AppConfig,
@@ -18,56 +42,31 @@ import type {
     ProcessingSuccess,
     ProcessingFailure,
     TokenUsage,
-    OnProgressCallback
+    OnProgressCallback,
+    DuplicateMatch,
+    SplitSource,
+    ExtractionSource,
+    SupplierRule
 } from './types/index.js';
 
-// Cache for Gemini AI instances per API key
-const genAICache = new Map<string, GoogleGenerativeAI>();
-
-/**
- * Get or create a Gemini AI instance for the given API key
- * @param apiKey - The API key to use
- * @returns The Gemini AI instance
- */
-function getGenAI(apiKey: string | null = null): GoogleGenerativeAI {
-    const key = apiKey || process.env.GEMINI_API_KEY;
-
-    if (!key) {
-        throw new Error('GEMINI_API_KEY not configured in environment');
-    }
-
-    if (!genAICache.has(key)) {
-        genAICache.set(key, new GoogleGenerativeAI(key));
-    }
-
-    return genAICache.get(key)!;
-}
-
 /**
- * Clear the Gemini AI cache (useful for testing)
+ * Clear cached provider clients (useful for testing)
  */
 export function clearGenAICache(): void {
-    genAICache.clear();
-}
-
-/**
- * Convert PDF file to base64
- * @param filePath - Path to the PDF file
- * @returns Base64 encoded PDF
- */
-export async function pdfToBase64(filePath: string): Promise<string> {
-    const buffer = await fs.promises.readFile(filePath);
-    return buffer.toString('base64');
+    clearProviderCache();
 }
 
 interface AnalyzeOptions {
     apiKey?: string;
     model?: string;
+    supplierRule?: SupplierRule | null; // adds the rule's promptHint to the prompt
+    text?: string; // PDF text layer, sent instead of the file
+    skipCache?: boolean; // ignore cached responses (the new response is still cached)
 }
 
 /**
- * Analyze an invoice using Gemini Vision API
- * @param pdfPath - Path to the PDF file
+ * Analyze an invoice using the configured extraction provider (Gemini by default)
+ * @param pdfPath - Path to the PDF or image file
  * @param config - Configuration object
  * @param options - Additional options
  * @returns The analysis result with token usage
@@ -78,60 +77,49 @@ export async function analyzeInvoice(
     options: AnalyzeOptions = {}
 ): Promise<InvoiceAnalysis> {
     const { apiKey } = options;
-    const modelName = options.model || config.model || DEFAULT_MODEL;
-    const model = getGenAI(apiKey || null).getGenerativeModel({ model: modelName });
-    const pdfBase64 = await pdfToBase64(pdfPath);
+    const provider = getProvider(config.provider, apiKey || null);
+    const modelName = options.model || config.model || provider.defaultModel;
 
-    const prompt = buildExtractionPrompt(config);
+    const prompt = buildExtractionPrompt(config, { supplierRule: options.supplierRule });
     const extraction = (config as unknown as Record<string, unknown>).extraction as
         | { useJsonMode?: boolean }
         | undefined;
     const useJsonMode = extraction?.useJsonMode && !config.rawPrompt;
 
-    const result = await model.generateContent({
-        systemInstruction: prompt,
-        contents: [
-            {
-                role: 'user',
-                parts: [
-                    {
-                        inlineData: {
-                            mimeType: 'application/pdf',
-                            data: pdfBase64
-                        }
-                    }
-                ]
-            }
-        ],
-        generationConfig: {
-            temperature: 0,
-            ...(useJsonMode && { responseMimeType: 'application/json' }),
-            // Gemini 3 uses thinkingLevel (not thinkingBudget). 'low' balances cost/speed
-            // with safety margin for complex extractions. See INV-69 for analysis.
-            thinkingConfig: { thinkingLevel: 'low' }
-        } as Record<string, unknown>
-    });
+    // JSON mode constrains the response to the configured fields and tags
+    const responseSchema = useJsonMode ? buildResponseSchema(config) : null;
 
-    const response = await result.response;
-    const text = response.text();
-
-    // Extract token usage from response
-    const usageMetadata = response.usageMetadata || {};
-    const tokenUsage: TokenUsage = {
-        promptTokens: (usageMetadata as Record<string, number>).promptTokenCount || 0,
-        outputTokens: (usageMetadata as Record<string, number>).candidatesTokenCount || 0,
-        totalTokens: (usageMetadata as Record<string, number>).totalTokenCount || 0,
-        cachedTokens: (usageMetadata as Record<string, number>).cachedContentTokenCount || 0,
-        thoughtsTokens: (usageMetadata as Record<string, number>).thoughtsTokenCount || 0
+    const document = options.text === undefined ? await readDocument(pdfPath) : null;
+    const cacheKey = {
+        content: document ? `data:${document.mimeType};base64,${document.data}` : options.text!,
+        prompt: responseSchema ? `${prompt}\n${JSON.stringify(responseSchema)}` : prompt,
+        model: `${provider.name}/${modelName}`
     };
 
+    // A cached response costs no tokens
+    const cached = options.skipCache ? null : await readCachedResponse(config, cacheKey);
+    const { text, tokenUsage } = cached
+        ? { text: cached.text, tokenUsage: { ...EMPTY_TOKEN_USAGE } }
+        : await provider.generate({
+              model: modelName,
+              systemInstruction: prompt,
+              ...(document ? { document } : { text: options.text }),
+              useJsonMode: useJsonMode || false,
+              ...(responseSchema && { responseSchema })
+          });
+
     try {
         const analysis = parseGeminiResponse(text, { useJsonMode: useJsonMode || false });
         const validatedAnalysis = validateAnalysis(analysis, config);
 
+        // Only responses that parse are cached, so a retry calls the model again
+        if (!cached) await writeCachedResponse(config, cacheKey, { text, tokenUsage });
+
         return {
             ...validatedAnalysis,
-            _tokenUsage: tokenUsage
+            _tokenUsage: tokenUsage,
+            _model: modelName,
+            ...(cached && { _fromCache: true })
         };
     } catch (parseError: unknown) {
         // Attach raw response to parsing errors for debugging
@@ -169,23 +157,69 @@ function sanitizeTextForPdf(text: unknown): string {
     );
 }
 
+/**
+ * Truncate text with an ellipsis so it fits within a width
+ * @param text - The (sanitized) text
+ * @param font - Font used for drawing
+ * @param size - Font size
+ * @param maxWidth - Available width in points
+ * @returns Text that fits within maxWidth
+ */
+function fitTextToWidth(text: string, font: PDFFont, size: number, maxWidth: number): string {
+    if (font.widthOfTextAtSize(text, size) <= maxWidth) return text;
+    let truncated = text;
+    while (truncated.length > 0 && font.widthOfTextAtSize(truncated + '...', size) > maxWidth) {
+        truncated = truncated.slice(0, -1);
+    }
+    return truncated + '...';
+}
+
+/**
+ * Format a table cell for the summary page
+ * @param value - Cell value
+ * @param type - Column type
+ * @returns Display text
+ */
+function formatTableCellForPdf(value: unknown, type: string): string {
+    switch (type) {
+        case 'boolean':
+            return value ? 'Yes' : 'No';
+        case 'date':
+            return value ? formatDateForDisplay(value) : '';
+        default:
+            return value !== undefined && value !== null ? String(value) : '';
+    }
+}
+
 /**
  * Add a summary page to a PDF document
- * @param inputPath - Path to the input PDF
+ * The analysis is also embedded as metadata and an analysis.json attachment (see pdf-metadata.ts).
+ * @param inputPath - Path to the input PDF or image
  * @param outputPath - Path to save the output PDF
  * @param analysis - The analysis data to include
  * @param config - Configuration object
+ * @param source - Whether the analysis came from the model or e-invoice XML
+ * @param model - Model the analysis was extracted with
  */
 export async function addSummaryToPdf(
     inputPath: string,
     outputPath: string,
     analysis: InvoiceAnalysis,
-    config: AppConfig
+    config: AppConfig,
+    source: ExtractionSource = 'model',
+    model: string | null = null
 ): Promise<void> {
-    const existingPdfBytes = await fs.promises.readFile(inputPath);
-    const pdfDoc = await PDFDocument.load(existingPdfBytes, { ignoreEncryption: true });
+    // Images and XML invoices are wrapped into a new PDF first; password-protected PDFs are decrypted
+    let pdfDoc: PDFDocument;
+    if (isImageFile(inputPath)) {
+        pdfDoc = await imageToPdf(inputPath);
+    } else if (isXmlFile(inputPath)) {
+        pdfDoc = await eInvoiceToPdf(inputPath);
+    } else {
+        pdfDoc = await PDFDocument.load(await readPdf(inputPath, config));
+    }
 
-    const page = pdfDoc.addPage();
+    let page = pdfDoc.addPage();
     const { width, height } = page.getSize();
     const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
     const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
@@ -236,7 +270,7 @@ export async function addSummaryToPdf(
 
     // Build details from configured fields
     // Types handled separately (rendered above or in title)
-    const skipTypes = ['array', 'boolean'];
+    const skipTypes = ['array', 'boolean', 'table'];
 
     const fieldDefinitions = config.fieldDefinitions!;
     const fieldEntries = fieldDefinitions.filter((f) => f.enabled && !skipTypes.includes(f.type));
@@ -272,9 +306,70 @@ export async function addSummaryToPdf(
         yPosition -= 25;
     }
 
+    // Table fields: header row plus one line per entry, continuing on new pages as needed
+    const tableFontSize = 9;
+    const tableRowHeight = 14;
+    const tableFields = fieldDefinitions.filter((f) => f.enabled && f.type === 'table' && f.columns?.length);
+
+    for (const field of tableFields) {
+        const columns = field.columns!;
+        const rows = Array.isArray(analysis[field.key]) ? (analysis[field.key] as Record<string, unknown>[]) : [];
+        const columnWidth = (width - 2 * margin) / columns.length;
+
+        const drawTableRow = (cells: string[], rowFont: PDFFont): void => {
+            if (yPosition < margin) {
+                page = pdfDoc.addPage();
+                yPosition = height - margin;
+            }
+            cells.forEach((cell, i) => {
+                page.drawText(fitTextToWidth(sanitizeTextForPdf(cell), rowFont, tableFontSize, columnWidth - 6), {
+                    x: margin + i * columnWidth,
+                    y: yPosition,
+                    size: tableFontSize,
+                    font: rowFont,
+                    color: rgb(0, 0, 0)
+                });
+            });
+            yPosition -= tableRowHeight;
+        };
+
+        yPosition -= 10;
+        if (yPosition < margin + 2 * tableRowHeight) {
+            page = pdfDoc.addPage();
+            yPosition = height - margin;
+        }
+        page.drawText(`${sanitizeTextForPdf(field.label)}:`, {
+            x: margin,
+            y: yPosition,
+            size: fontSize,
+            font: boldFont,
+            color: rgb(0, 0, 0)
+        });
+        yPosition -= 20;
+
+        drawTableRow(
+            columns.map((c) => c.label),
+            boldFont
+        );
+        if (rows.length === 0) {
+            drawTableRow(['No entries'], font);
+        }
+        for (const row of rows) {
+            drawTableRow(
+                columns.map((c) => formatTableCellForPdf(row?.[c.key], c.type)),
+                font
+            );
+        }
+    }
+
     // Summary section (if included)
     if (config.output && config.output.includeSummary && analysis.summary) {
         yPosition -= 15;
+        // Long line-item tables can push the summary off the page
+        if (yPosition < margin + 40) {
+            page = pdfDoc.addPage();
+            yPosition = height - margin;
+        }
         page.drawText('Summary:', {
             x: margin,
             y: yPosition,
@@ -321,6 +416,16 @@ export async function addSummaryToPdf(
         }
     }
 
+    await embedAnalysis(
+        pdfDoc,
+        buildEmbeddedAnalysis(analysis, {
+            provider: config.provider || DEFAULT_PROVIDER,
+            model: source === 'model' ? model : null,
+            source,
+            originalFilename: path.basename(inputPath)
+        })
+    );
+
     const pdfBytes = await pdfDoc.save();
     await fs.promises.writeFile(outputPath, pdfBytes);
 }
@@ -329,6 +434,10 @@ interface ProcessInvoiceOptions {
     onProgress?: OnProgressCallback;
     apiKey?: string;
     dryRun?: boolean;
+    duplicateIndex?: DuplicateIndex;
+    recordId?: string; // ID the result will be stored under (duplicates link to it)
+    splitFrom?: SplitSource; // input is a temporary part of a larger scan; it is removed instead of archived
+    skipCache?: boolean; // call the model even when processing.responseCache has its response
 }
 
 interface ProcessingConfigFolders {
@@ -338,9 +447,256 @@ interface ProcessingConfigFolders {
     analyzed?: string;
     processedOriginal?: string;
     processedEnriched?: string;
+    duplicates?: string;
+    pendingReview?: string;
+    failed?: string;
     csvPath?: string;
 }
 
+interface FileInvoiceOptions {
+    source?: ExtractionSource;
+    model?: string | null; // model the fields were extracted with
+    splitFrom?: SplitSource; // the file is a split-off part: it is removed instead of archived
+    onProgress?: OnProgressCallback;
+}
+
+interface FiledInvoice {
+    outputFilename: string;
+    outputPath: string;
+    originalDestPath?: string; // not set for split-off parts
+}
+
+const EMPTY_TOKEN_USAGE: TokenUsage = {
+    promptTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    cachedTokens: 0,
+    thoughtsTokens: 0
+};
+
+/**
+ * Add two token usage counts
+ * @param a - First count
+ * @param b - Second count
+ * @returns The sum
+ */
+export function addTokenUsage(a: TokenUsage, b: TokenUsage): TokenUsage {
+    return {
+        promptTokens: a.promptTokens + b.promptTokens,
+        outputTokens: a.outputTokens + b.outputTokens,
+        totalTokens: a.totalTokens + b.totalTokens,
+        cachedTokens: (a.cachedTokens || 0) + (b.cachedTokens || 0),
+        thoughtsTokens: (a.thoughtsTokens || 0) + (b.thoughtsTokens || 0)
+    };
+}
+
+/**
+ * Move a duplicate invoice, unchanged, into the duplicates subfolder
+ * @param inputPath - Path to the input PDF
+ * @param config - Configuration object
+ * @param duplicateOf - The earlier record it repeats
+ * @param analysis - Extracted fields (empty when matched by file hash before analysis)
+ * @param tokenUsage - Tokens spent on the extraction
+ * @param fileHash - SHA-256 of the PDF
+ * @param dryRun - Report without moving the file
+ * @returns Processing result for the duplicate
+ */
+async function handleDuplicate(
+    inputPath: string,
+    config: AppConfig,
+    duplicateOf: DuplicateMatch,
+    analysis: InvoiceAnalysis,
+    tokenUsage: TokenUsage,
+    fileHash: string,
+    dryRun?: boolean
+): Promise<ProcessingSuccess> {
+    const filename = path.basename(inputPath);
+    const folders = config.folders as unknown as ProcessingConfigFolders;
+    const duplicatesFolder =
+        folders.duplicates ||
+        path.join(folders.base || folders.input!, config.output?.duplicatesSubfolder || DEFAULT_DUPLICATES_SUBFOLDER);
+
+    const result: ProcessingSuccess = {
+        success: true,
+        originalFilename: filename,
+        outputFilename: filename,
+        analysis,
+        tokenUsage,
+        fileHash,
+        duplicateOf
+    };
+
+    if (dryRun) {
+        return { ...result, dryRun: true };
+    }
+
+    await fs.promises.mkdir(duplicatesFolder, { recursive: true });
+    const uniqueFilename = await getUniqueFilename(duplicatesFolder, filename);
+    const outputPath = path.join(duplicatesFolder, uniqueFilename);
+    await moveFile(inputPath, outputPath);
+
+    return { ...result, outputFilename: uniqueFilename, outputPath };
+}
+
+/**
+ * Move a file, copying when source and destination are on different devices
+ * (split-off parts are written to the system temp folder)
+ */
+async function moveFile(sourcePath: string, destPath: string): Promise<void> {
+    try {
+        await fs.promises.rename(sourcePath, destPath);
+    } catch (error: unknown) {
+        if ((error as NodeJS.ErrnoException).code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(sourcePath, destPath);
+        await fs.promises.rm(sourcePath, { force: true });
+    }
+}
+
+/**
+ * Set aside a PDF that could not be decrypted in the failed subfolder
+ * @param inputPath - Path to the input file
+ * @param config - Configuration object
+ * @returns Path of the moved file
+ */
+async function moveToFailed(inputPath: string, config: AppConfig): Promise<string> {
+    const folders = config.folders as unknown as ProcessingConfigFolders;
+    const failedFolder = folders.failed || path.join(folders.base || folders.input!, DEFAULT_FAILED_SUBFOLDER);
+
+    await fs.promises.mkdir(failedFolder, { recursive: true });
+    const failedPath = path.join(failedFolder, await getUniqueFilename(failedFolder, path.basename(inputPath)));
+    await moveFile(inputPath, failedPath);
+    return failedPath;
+}
+
+/**
+ * Write a decrypted copy of a password-protected PDF to a temporary folder
+ * The copy is what gets read and sent to the model; the original is filed unchanged.
+ * @param inputPath - Path to the input file
+ * @param config - Configuration object (for the passwords)
+ * @returns Path of the copy and a cleanup function, or null when the file is not encrypted
+ * @throws If the PDF cannot be decrypted (the error has isPasswordProtected set)
+ */
+async function decryptToTemp(
+    inputPath: string,
+    config: AppConfig
+): Promise<{ path: string; cleanup: () => Promise<void> } | null> {
+    if (path.extname(inputPath).toLowerCase() !== '.pdf') return null;
+    const bytes = await fs.promises.readFile(inputPath);
+    const decrypted = await decryptPdf(bytes, getPdfPasswords(config, path.basename(inputPath)));
+    if (decrypted === bytes) return null;
+
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'invoice-decrypted-'));
+    const decryptedPath = path.join(dir, path.basename(inputPath));
+    await fs.promises.writeFile(decryptedPath, decrypted);
+    return { path: decryptedPath, cleanup: () => fs.promises.rm(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Get the name an analyzed invoice is filed under, unique within the output folder
+ */
+async function getOutputFilename(analysis: InvoiceAnalysis, config: AppConfig): Promise<string> {
+    const folders = config.folders as unknown as ProcessingConfigFolders;
+    // Multi-client uses processedEnriched, single-client uses output
+    const outputFolder = folders.processedEnriched || folders.output!;
+    const outputFilename = generateFormattedFilename(config.output.filenameTemplate, analysis, config);
+    return getUniqueFilename(outputFolder, outputFilename);
+}
+
+/**
+ * Park an analyzed invoice in the pending-review subfolder until it is approved
+ * @param inputPath - Path to the input file
+ * @param config - Configuration object
+ * @returns Path of the parked file
+ */
+async function holdForReview(inputPath: string, config: AppConfig): Promise<string> {
+    const folders = config.folders as unknown as ProcessingConfigFolders;
+    const reviewFolder = folders.pendingReview || path.join(folders.base!, DEFAULT_PENDING_REVIEW_SUBFOLDER);
+
+    await fs.promises.mkdir(reviewFolder, { recursive: true });
+    const reviewPath = path.join(reviewFolder, await getUniqueFilename(reviewFolder, path.basename(inputPath)));
+    await moveFile(inputPath, reviewPath);
+    return reviewPath;
+}
+
+/**
+ * File an analyzed invoice: save the enriched PDF under its generated name and
+ * move the original to processed-original (a split-off part is removed instead)
+ * @param inputPath - Path to the invoice file
+ * @param config - Configuration object
+ * @param analysis - Extracted fields
+ * @param options - Extraction source and model, split source and progress callback
+ * @returns Where the invoice was filed
+ */
+export async function fileInvoice(
+    inputPath: string,
+    config: AppConfig,
+    analysis: InvoiceAnalysis,
+    options: FileInvoiceOptions = {}
+): Promise<FiledInvoice> {
+    const { source = 'model', model = null, splitFrom, onProgress } = options;
+    const filename = path.basename(inputPath);
+    const folders = config.folders as unknown as ProcessingConfigFolders;
+    const outputFilename = await getOutputFilename(analysis, config);
+    const outputPath = path.join(folders.processedEnriched || folders.output!, outputFilename);
+
+    if (onProgress) {
+        onProgress({ status: 'saving', filename, outputFilename });
+    }
+
+    // Add summary page and save to output
+    await addSummaryToPdf(inputPath, outputPath, analysis, config, source, model);
+
+    // A split-off part is a temporary file; the scan itself is archived by the caller
+    if (splitFrom) {
+        await fs.promises.rm(inputPath, { force: true });
+        return { outputFilename, outputPath };
+    }
+
+    // Move original (multi-client uses processedOriginal, single-client uses analyzed)
+    const originalDestPath = path.join(folders.processedOriginal || folders.analyzed!, filename);
+    await fs.promises.rename(inputPath, originalDestPath);
+    return { outputFilename, outputPath, originalDestPath };
+}
+
+/**
+ * Replace the enriched PDF of a filed invoice after its fields were corrected
+ * The summary page is rebuilt from the original and the file is renamed with the
+ * filename template; the previous PDF is restored if this fails.
+ * @param sourcePath - Path to the original invoice (or the re-cut part of a scan)
+ * @param previousFilename - Current name of the enriched PDF
+ * @param config - Configuration object
+ * @param analysis - Corrected fields
+ * @param source - Where the fields came from originally
+ * @param model - Model the fields were extracted with originally
+ * @returns Where the invoice is filed now
+ */
+export async function refileInvoice(
+    sourcePath: string,
+    previousFilename: string,
+    config: AppConfig,
+    analysis: InvoiceAnalysis,
+    source: ExtractionSource = 'model',
+    model: string | null = null
+): Promise<FiledInvoice> {
+    const folders = config.folders as unknown as ProcessingConfigFolders;
+    const outputFolder = folders.processedEnriched || folders.output!;
+    const previousPath = path.join(outputFolder, previousFilename);
+    const backupPath = path.join(outputFolder, `.${previousFilename}.bak`);
+
+    // Move the current PDF aside so the invoice can keep its name
+    await fs.promises.rename(previousPath, backupPath);
+    try {
+        const outputFilename = await getOutputFilename(analysis, config);
+        const outputPath = path.join(outputFolder, outputFilename);
+        await addSummaryToPdf(sourcePath, outputPath, analysis, config, source, model);
+        await fs.promises.rm(backupPath, { force: true });
+        return { outputFilename, outputPath };
+    } catch (error: unknown) {
+        await fs.promises.rename(backupPath, previousPath);
+        throw error;
+    }
+}
+
 /**
  * Process a single invoice: analyze, add summary, save to output, move original
  * @param inputPath - Path to the input PDF
@@ -353,42 +709,164 @@ export async function processInvoice(
     config: AppConfig,
     options: ProcessInvoiceOptions = {}
 ): Promise<ProcessingResult> {
-    const { onProgress, apiKey, dryRun } = options;
+    const result = await runPipeline(inputPath, config, options);
+    if (options.splitFrom) result.splitFrom = options.splitFrom;
+    return result;
+}
+
+// The steps of processInvoice(); every outcome is returned rather than thrown
+async function runPipeline(
+    inputPath: string,
+    config: AppConfig,
+    options: ProcessInvoiceOptions
+): Promise<ProcessingResult> {
+    const { onProgress, apiKey, dryRun, duplicateIndex, splitFrom, skipCache } = options;
     const filename = path.basename(inputPath);
     const folders = config.folders as unknown as ProcessingConfigFolders;
+    const indexEntry = {
+        id: options.recordId || filename,
+        originalFilename: filename,
+        outputFilename: null,
+        timestamp: null
+    };
+    let fileHash: string | undefined;
+    let decrypted: Awaited<ReturnType<typeof decryptToTemp>> = null;
 
     try {
         if (onProgress) {
             onProgress({ status: 'analyzing', filename });
         }
 
+        fileHash = await hashFile(inputPath);
+
+        // Identical file already processed: skip the extraction entirely
+        const fileDuplicate = duplicateIndex?.claimFile(fileHash, indexEntry);
+        if (fileDuplicate) {
+            return await handleDuplicate(inputPath, config, fileDuplicate, {}, EMPTY_TOKEN_USAGE, fileHash, dryRun);
+        }
+
+        // Password-protected PDFs are read from a decrypted copy
+        decrypted = await decryptToTemp(inputPath, config);
+        const readablePath = decrypted?.path || inputPath;
+
+        // Structured e-invoice data (Factur-X/ZUGFeRD attachment or XML file) replaces the model call
+        const eInvoice = config.processing?.readEInvoices === false ? null : await readEInvoice(readablePath);
+        if (!eInvoice && isXmlFile(inputPath)) {
+            throw new Error('XML invoices are only read with processing.readEInvoices enabled');
+        }
+
+        // A supplier rule recognised by filename adds its instructions to the extraction
+        const filenameRule = eInvoice ? null : findRuleByFilename(filename, config);
+
+        // The PDF text layer can replace the model call, or the PDF sent to it
+        const textLayer =
+            !eInvoice && config.processing?.textLayer?.enabled && path.extname(inputPath).toLowerCase() === '.pdf'
+                ? await readTextLayer(readablePath, config, filenameRule)
+                : null;
+        const knownRule = filenameRule || textLayer?.rule || null;
+        const modelText = textLayer?.info.stage === 'model-text' ? textLayer.text : undefined;
+
+        let source: ExtractionSource = 'model';
+        if (eInvoice) source = 'xml';
+        else if (textLayer?.info.stage === 'local') source = 'text';
+
         // Analyze the invoice
-        const analysisWithTokens = await analyzeInvoice(inputPath, config, { apiKey });
+        let analysisWithTokens: InvoiceAnalysis;
+        if (eInvoice) {
+            analysisWithTokens = validateAnalysis(mapEInvoiceFields(eInvoice.values, config.fieldDefinitions!), config);
+        } else if (source === 'text') {
+            analysisWithTokens = validateAnalysis(textLayer!.values, config);
+        } else {
+            analysisWithTokens = await analyzeInvoice(readablePath, config, {
+                apiKey,
+                supplierRule: knownRule,
+                text: modelText,
+                skipCache
+            });
+        }
 
         // Extract token usage and remove from analysis object
-        const tokenUsage: TokenUsage = analysisWithTokens._tokenUsage || {
-            promptTokens: 0,
-            outputTokens: 0,
-            totalTokens: 0,
-            cachedTokens: 0,
-            thoughtsTokens: 0
+        let tokenUsage: TokenUsage = analysisWithTokens._tokenUsage || { ...EMPTY_TOKEN_USAGE };
+        let fromCache = !!analysisWithTokens._fromCache;
+        const { _tokenUsage, _fromCache, _model: model, ...extracted } = analysisWithTokens;
+        let identified = await applySupplierRegistry(extracted, config);
+
+        // A rule found by supplier name with instructions re-extracts once with them
+        const rule = knownRule || findRuleBySupplier(identified, config);
+        const hinted = source === 'model' && !!rule?.promptHint;
+        if (hinted && !knownRule) {
+            try {
+                const {
+                    _tokenUsage: hintTokens,
+                    _fromCache: hintFromCache,
+                    _model: _hintModel,
+                    ...reExtracted
+                } = await analyzeInvoice(readablePath, config, {
+                    apiKey,
+                    supplierRule: rule,
+                    text: modelText,
+                    skipCache
+                });
+                tokenUsage = addTokenUsage(tokenUsage, hintTokens || EMPTY_TOKEN_USAGE);
+                fromCache = fromCache && !!hintFromCache;
+                identified = await applySupplierRegistry(reExtracted, config);
+            } catch (hintError: unknown) {
+                const err = hintError as Error & { _tokenUsage?: TokenUsage };
+                err._tokenUsage = addTokenUsage(tokenUsage, err._tokenUsage || EMPTY_TOKEN_USAGE);
+                throw err;
+            }
+        }
+        const analysis = await addCurrencyConversion(
+            rule
+                ? applySupplierRule(identified, rule, config, {
+                      matchedBy: filenameRule ? 'filename' : knownRule ? 'text' : 'supplierName',
+                      promptHint: hinted
+                  })
+                : identified,
+            config
+        );
+        const provenance = {
+            source,
+            ...(eInvoice && { eInvoice: eInvoice.info }),
+            ...(textLayer && { textLayer: textLayer.info }),
+            ...(fromCache && { fromCache }),
+            ...(model && { model })
         };
-        const { _tokenUsage, ...analysis } = analysisWithTokens;
 
-        if (onProgress) {
-            onProgress({ status: 'generating', filename, analysis });
+        const invoiceDuplicate = duplicateIndex?.claimInvoice(analysis, indexEntry);
+        if (invoiceDuplicate) {
+            return {
+                ...(await handleDuplicate(inputPath, config, invoiceDuplicate, analysis, tokenUsage, fileHash, dryRun)),
+                ...provenance
+            };
         }
 
-        // Generate output filename
-        const outputFilename = generateFormattedFilename(config.output.filenameTemplate, analysis, config);
-
-        // Determine output folder (multi-client uses processedEnriched, single-client uses output)
-        const outputFolder = folders.processedEnriched || folders.output!;
-
-        // Ensure unique filename
-        const uniqueFilename = await getUniqueFilename(outputFolder, outputFilename);
+        // Model fields below the confidence threshold hold the invoice for review, or fail it
+        const lowConfidence = source === 'model' ? getLowConfidenceFields(analysis, config) : [];
+        const confidenceInfo = lowConfidence.length > 0 ? { lowConfidence } : {};
+        // Without a client folder there is no review queue, so low-confidence invoices fail
+        const lowConfidenceAction = folders.base ? config.processing?.confidence?.action || 'review' : 'fail';
+        if (lowConfidence.length > 0 && lowConfidenceAction === 'fail' && !dryRun) {
+            duplicateIndex?.release(indexEntry.id);
+            const scores = lowConfidence.map((key) => {
+                const score = analysis._confidence?.[key]?.confidence;
+                return `${key} (${score === undefined ? 'no score' : score.toFixed(2)})`;
+            });
+            return {
+                success: false,
+                originalFilename: filename,
+                error: `Low confidence: ${scores.join(', ')}`,
+                isRateLimited: false,
+                rawResponse: null,
+                tokenUsage,
+                fileHash,
+                lowConfidence
+            } as ProcessingFailure;
+        }
 
-        const outputPath = path.join(outputFolder, uniqueFilename);
+        if (onProgress) {
+            onProgress({ status: 'generating', filename, analysis });
+        }
 
         // Dry-run: skip file system changes (PDF enrichment, file moves)
         if (dryRun) {
@@ -396,37 +874,81 @@ export async function processInvoice(
                 success: true,
                 dryRun: true,
                 originalFilename: filename,
-                outputFilename: uniqueFilename,
+                outputFilename: await getOutputFilename(analysis, config),
                 analysis,
-                tokenUsage
+                tokenUsage,
+                fileHash,
+                ...provenance,
+                ...confidenceInfo
             } as ProcessingSuccess;
         }
 
-        if (onProgress) {
-            onProgress({ status: 'saving', filename, outputFilename: uniqueFilename });
+        // Review required: nothing is renamed or filed until the extraction is approved
+        if ((config.processing?.reviewRequired || lowConfidence.length > 0) && folders.base) {
+            const outputFilename = await getOutputFilename(analysis, config);
+            return {
+                success: true,
+                originalFilename: filename,
+                outputFilename,
+                reviewPath: await holdForReview(inputPath, config),
+                analysis,
+                tokenUsage,
+                fileHash,
+                ...provenance,
+                ...confidenceInfo
+            } as ProcessingSuccess;
         }
 
-        // Add summary page and save to output
-        await addSummaryToPdf(inputPath, outputPath, analysis as InvoiceAnalysis, config);
+        const filed = await fileInvoice(inputPath, config, analysis, { source, model, splitFrom, onProgress });
 
-        // Move original (multi-client uses processedOriginal, single-client uses analyzed)
-        const originalDestFolder = folders.processedOriginal || folders.analyzed!;
-        const originalDestPath = path.join(originalDestFolder, filename);
-        await fs.promises.rename(inputPath, originalDestPath);
+        // The registry learns from filed invoices; held ones teach it once they are approved
+        await learnSupplier(analysis, config);
 
         return {
             success: true,
             originalFilename: filename,
-            outputFilename: uniqueFilename,
-            outputPath,
-            originalDestPath,
+            ...filed,
             // Keep analyzedPath for backward compatibility
-            analyzedPath: originalDestPath,
+            ...(filed.originalDestPath && { analyzedPath: filed.originalDestPath }),
             analysis,
-            tokenUsage
+            tokenUsage,
+            fileHash,
+            ...provenance,
+            ...confidenceInfo
         } as ProcessingSuccess;
     } catch (error: unknown) {
-        const err = error as Error & { isRateLimited?: boolean; _rawResponse?: string; _tokenUsage?: TokenUsage };
+        const err = error as Error & {
+            isRateLimited?: boolean;
+            isPasswordProtected?: boolean;
+            _rawResponse?: string;
+            _tokenUsage?: TokenUsage;
+        };
+        // A failed file must not stand in as the original for later duplicates
+        duplicateIndex?.release(indexEntry.id);
+
+        // A PDF that cannot be decrypted is set aside: retrying it cannot help
+        if (err.isPasswordProtected) {
+            const failure: ProcessingFailure = {
+                success: false,
+                originalFilename: filename,
+                error: err.message,
+                isRateLimited: false,
+                rawResponse: null,
+                tokenUsage: { ...EMPTY_TOKEN_USAGE },
+                fileHash,
+                failureReason: 'encrypted'
+            };
+            if (dryRun || splitFrom) return failure;
+            try {
+                return { ...failure, failedPath: await moveToFailed(inputPath, config) };
+            } catch (moveError: unknown) {
+                console.warn(
+                    `Warning: Could not move ${filename} to the failed folder: ${(moveError as Error).message}`
+                );
+                return failure;
+            }
+        }
+
         // Tag rate-limit errors so parallel-processor can use longer backoff
         if (
             err.message &&
@@ -443,26 +965,23 @@ export async function processInvoice(
             error: err.message,
             isRateLimited: err.isRateLimited || false,
             rawResponse: err._rawResponse || null,
-            tokenUsage: err._tokenUsage || {
-                promptTokens: 0,
-                outputTokens: 0,
-                totalTokens: 0,
-                cachedTokens: 0,
-                thoughtsTokens: 0
-            }
+            tokenUsage: err._tokenUsage || { ...EMPTY_TOKEN_USAGE },
+            fileHash
         } as ProcessingFailure;
+    } finally {
+        if (decrypted) await decrypted.cleanup();
     }
 }
 
 /**
- * Get all PDF files from the input directory
+ * Get all invoice files (PDFs and supported images) from the input directory
  * @param config - Configuration object
- * @returns Array of PDF file paths
+ * @returns Array of file paths
  */
 export async function getPdfFiles(config: AppConfig): Promise<string[]> {
     const folders = config.folders as unknown as ProcessingConfigFolders;
     // Multi-client uses base folder, single-client uses input folder
     const inputFolder = folders.base || folders.input!;
     const files = await fs.promises.readdir(inputFolder);
-    return files.filter((f) => f.toLowerCase().endsWith('.pdf')).map((f) => path.join(inputFolder, f));
+    return files.filter(isInvoiceFile).map((f) => path.join(inputFolder, f));
 }
@@ -2,18 +2,24 @@
  * Builds dynamic Gemini prompts based on configuration
  */
 
-import { validateAllFormats } from './format-validator.js';
-import { VALID_FIELD_FORMATS, FORMAT_NONE } from './constants.js';
+import { describeFormat, validateAllFormats } from './format-validator.js';
+import { checkConsistency } from './consistency-checker.js';
+import { matchChoice } from './choice-matcher.js';
+import { isEmptyValue, toAmount } from './field-values.js';
 
 import type {
     AppConfig,
     FieldDefinition,
     TagDefinition,
     PromptTemplate,
-    FieldFormatKey,
-    InvoiceAnalysis
+    InvoiceAnalysis,
+    FieldConfidence,
+    SupplierRule,
+    TableColumnDefinition
 } from './types/index.js';
 
+const MAX_CONFIDENCE_SOURCE_LENGTH = 200;
+
 interface FieldFilter {
     fields?: string[];
     tags?: string[];
@@ -22,6 +28,7 @@ interface FieldFilter {
 
 interface BuildOptions {
     fieldFilter?: FieldFilter;
+    supplierRule?: SupplierRule | null; // adds the rule's promptHint
 }
 
 /**
@@ -43,6 +50,17 @@ export function resolveTagInstruction(tag: TagDefinition, paramOverrides?: Recor
     return instruction;
 }
 
+/**
+ * Check whether the model is asked for per-field confidence scores
+ * A confidence threshold implies it.
+ * @param config - The configuration object
+ * @returns True when processing.confidence is enabled or has a threshold
+ */
+export function isConfidenceEnabled(config: AppConfig): boolean {
+    const confidence = config.processing?.confidence;
+    return confidence?.enabled === true || typeof confidence?.threshold === 'number';
+}
+
 /**
  * Build the invoice analysis prompt from configuration
  * @param config - The configuration object
@@ -52,7 +70,7 @@ export function resolveTagInstruction(tag: TagDefinition, paramOverrides?: Recor
 export function buildExtractionPrompt(config: AppConfig, options: BuildOptions = {}): string {
     const fieldDefinitions = config.fieldDefinitions as FieldDefinition[];
     const tagDefinitions = config.tagDefinitions;
-    const { fieldFilter } = options;
+    const { fieldFilter, supplierRule } = options;
     const includeSummary =
         fieldFilter && 'includeSummary' in fieldFilter
             ? fieldFilter.includeSummary
@@ -69,14 +87,33 @@ export function buildExtractionPrompt(config: AppConfig, options: BuildOptions =
     }
 
     for (const field of enabledFields) {
-        let schemaHint = field.schemaHint;
-        if (field.format && field.format !== FORMAT_NONE) {
-            const formatDef = VALID_FIELD_FORMATS[field.format as FieldFormatKey];
-            if (formatDef) {
-                schemaHint += ` (${formatDef.standard}: ${formatDef.pattern})`;
+        if (field.type === 'table') {
+            const columns = field.columns || [];
+            const rowExample: Record<string, string> = {};
+            for (const column of columns) {
+                rowExample[column.key] = column.schemaHint || column.type;
             }
+            jsonStructure[field.key] = [rowExample];
+            instructions.push(
+                `- For ${field.key}, ${field.instruction} Return one object per row with the keys: ${columns.map((c) => c.key).join(', ')}`
+            );
+            continue;
         }
-        jsonStructure[field.key] = schemaHint;
+
+        if (field.type === 'choice') {
+            const options = field.options || [];
+            jsonStructure[field.key] = `${field.schemaHint} (one of: ${options.map((o) => o.value).join(', ')})`;
+            const optionLines = options.map(
+                (o) => `  - "${o.value}": ${o.label}${o.description ? ` (${o.description})` : ''}`
+            );
+            instructions.push(
+                `- For ${field.key}, ${field.instruction} Use exactly one of these values, or "Unknown" if none applies:\n${optionLines.join('\n')}`
+            );
+            continue;
+        }
+
+        const formatHint = describeFormat(field.format, config.customFormats);
+        jsonStructure[field.key] = formatHint ? `${field.schemaHint} (${formatHint})` : field.schemaHint;
         instructions.push(`- For ${field.key}, ${field.instruction}`);
     }
 
@@ -106,6 +143,17 @@ export function buildExtractionPrompt(config: AppConfig, options: BuildOptions =
         }
     }
 
+    // Per-field confidence with the text and page each value was read from
+    const scoredKeys = enabledFields.filter((f) => f.type !== 'table').map((f) => f.key);
+    if (isConfidenceEnabled(config) && scoredKeys.length > 0) {
+        jsonStructure._confidence = {
+            [scoredKeys[0]]: { confidence: 'number from 0 to 1', source: 'text the value was read from', page: 1 }
+        };
+        instructions.push(
+            `- For _confidence, add an entry for each of: ${scoredKeys.join(', ')}. Set confidence from 0 (guessed) to 1 (clearly printed), source to the exact text the value was read from (a short snippet, empty if the value was not printed), and page to the 1-based page number`
+        );
+    }
+
     const jsonExample = JSON.stringify(jsonStructure, null, 2);
 
     let rulesText = instructions.join('\n');
@@ -114,9 +162,14 @@ export function buildExtractionPrompt(config: AppConfig, options: BuildOptions =
         rulesText += tagInstructions.join('\n');
     }
 
+    const supplierText = supplierRule?.promptHint
+        ? `\n\nFor invoices from ${supplierRule.supplier}:\n${supplierRule.promptHint}`
+        : '';
+    rulesText += supplierText;
+
     // If rawPrompt is set, use it directly
     if (config.rawPrompt) {
-        return config.rawPrompt;
+        return config.rawPrompt + supplierText;
     }
 
     // Use promptTemplate from config, or hardcoded defaults for backward compatibility
@@ -142,9 +195,12 @@ ${suffix}`;
 
 /**
  * Parse the Gemini response and extract JSON
+ * In JSON mode the response is parsed as is (the response schema fixes its shape);
+ * otherwise markdown code fences around it are stripped first.
  * @param responseText - The raw response from Gemini
  * @param options - Parse options
  * @returns The parsed analysis object
+ * @throws If the response is not valid JSON or not a JSON object
  */
 export function parseGeminiResponse(
     responseText: string,
@@ -162,14 +218,103 @@ export function parseGeminiResponse(
         jsonText = jsonText.trim();
     }
 
+    let parsed: unknown;
     try {
-        return JSON.parse(jsonText) as Record<string, unknown>;
+        parsed = JSON.parse(jsonText);
     } catch (error: unknown) {
         throw new Error(
             `Failed to parse Gemini response as JSON: ${(error as Error).message}\nResponse was: ${jsonText.substring(0, 200)}...`,
             { cause: error }
         );
     }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`Gemini response is not a JSON object: ${jsonText.substring(0, 200)}`);
+    }
+    return parsed as Record<string, unknown>;
+}
+
+/**
+ * Normalize extracted table rows against column definitions
+ * Drops non-object rows, keeps only configured columns and fills missing cells
+ * with type defaults ('' for text/date, 0 for number, false for boolean). Number
+ * cells are read like amounts ("1.234,56"); cells that are not a number are left
+ * empty (null) with a warning.
+ * @param value - The extracted table value
+ * @param field - The table field
+ * @param warnings - Receives a warning per number cell that could not be read
+ * @returns Normalized rows
+ */
+function normalizeTableRows(
+    value: unknown,
+    field: FieldDefinition,
+    warnings: NonNullable<InvoiceAnalysis['_formatWarnings']>
+): Record<string, unknown>[] {
+    if (!Array.isArray(value)) return [];
+    const columns: TableColumnDefinition[] = field.columns || [];
+
+    return value
+        .filter((row): row is Record<string, unknown> => !!row && typeof row === 'object' && !Array.isArray(row))
+        .map((row, index) => {
+            const normalized: Record<string, unknown> = {};
+            for (const column of columns) {
+                const cell = row[column.key];
+                switch (column.type) {
+                    case 'number': {
+                        const amount = isEmptyValue(cell) ? 0 : toAmount(cell);
+                        if (amount === null) {
+                            warnings.push({
+                                field: field.key,
+                                format: 'number',
+                                value: cell,
+                                error: `Row ${index + 1}, ${column.label || column.key}: not a number`
+                            });
+                        }
+                        normalized[column.key] = amount;
+                        break;
+                    }
+                    case 'boolean':
+                        normalized[column.key] = cell === true;
+                        break;
+                    case 'date':
+                    case 'text':
+                    default:
+                        normalized[column.key] = cell === undefined || cell === null ? '' : String(cell);
+                        break;
+                }
+            }
+            return normalized;
+        });
+}
+
+/**
+ * Normalize the model's per-field confidence entries
+ * Keeps entries for the given field keys with a numeric confidence, clamped to 0-1;
+ * source is trimmed to MAX_CONFIDENCE_SOURCE_LENGTH and page must be a positive integer.
+ * @param value - The extracted _confidence value
+ * @param fieldKeys - Keys of the enabled, non-table fields
+ * @returns Normalized entries, or null when none are usable
+ */
+function normalizeConfidence(value: unknown, fieldKeys: string[]): Record<string, FieldConfidence> | null {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+    const normalized: Record<string, FieldConfidence> = {};
+    for (const key of fieldKeys) {
+        const entry = (value as Record<string, unknown>)[key];
+        if (!entry || typeof entry !== 'object') continue;
+        const { confidence, source, page } = entry as Record<string, unknown>;
+        const score = typeof confidence === 'number' ? confidence : Number(confidence);
+        if (confidence === null || confidence === '' || !Number.isFinite(score)) continue;
+
+        const result: FieldConfidence = { confidence: Math.min(1, Math.max(0, score)) };
+        if (typeof source === 'string' && source.trim() !== '') {
+            result.source = source.trim().slice(0, MAX_CONFIDENCE_SOURCE_LENGTH);
+        }
+        if (typeof page === 'number' && Number.isInteger(page) && page >= 1) {
+            result.page = page;
+        }
+        normalized[key] = result;
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
 }
 
 /**
@@ -197,6 +342,7 @@ export function validateAnalysis(analysis: Record<string, unknown>, config: AppC
                     validated[field.key] = false;
                     break;
                 case 'array':
+                case 'table':
                     validated[field.key] = [];
                     break;
                 case 'date':
@@ -208,6 +354,41 @@ export function validateAnalysis(analysis: Record<string, unknown>, config: AppC
         }
     }
 
+    // Normalize table rows to the configured sub-columns
+    const tableWarnings: NonNullable<InvoiceAnalysis['_formatWarnings']> = [];
+    for (const field of enabledFields) {
+        if (field.type === 'table') {
+            validated[field.key] = normalizeTableRows(validated[field.key], field, tableWarnings);
+        }
+    }
+
+    // Keep confidence entries for enabled fields only
+    const confidence = normalizeConfidence(
+        analysis._confidence,
+        enabledFields.filter((f) => f.type !== 'table').map((f) => f.key)
+    );
+    if (confidence) {
+        validated._confidence = confidence;
+    } else {
+        delete validated._confidence;
+    }
+
+    // Map choice values onto their options; values that match none become Unknown with a warning
+    const choiceWarnings: NonNullable<InvoiceAnalysis['_formatWarnings']> = [];
+    for (const field of enabledFields) {
+        if (field.type !== 'choice' || validated[field.key] === 'Unknown') continue;
+        const option = matchChoice(validated[field.key], field.options || []);
+        if (!option) {
+            choiceWarnings.push({
+                field: field.key,
+                format: 'choice',
+                value: validated[field.key],
+                error: `Not one of the options: ${(field.options || []).map((o) => o.value).join(', ')}`
+            });
+        }
+        validated[field.key] = option ? option.value : 'Unknown';
+    }
+
     // Ensure paymentDate falls back to invoiceDate if not found
     if (validated.paymentDate === 'Unknown' && validated.invoiceDate && validated.invoiceDate !== 'Unknown') {
         validated.paymentDate = validated.invoiceDate;
@@ -228,15 +409,41 @@ export function validateAnalysis(analysis: Record<string, unknown>, config: AppC
     }
 
     // Format-aware validation (non-blocking: apply corrections, collect warnings)
-    const { corrected, warnings } = validateAllFormats(validated, fieldDefinitions);
+    const { corrected, warnings } = validateAllFormats(validated, fieldDefinitions, config.customFormats);
     Object.assign(validated, corrected);
-    if (warnings.length > 0) {
-        validated._formatWarnings = warnings;
+    if (tableWarnings.length > 0 || choiceWarnings.length > 0 || warnings.length > 0) {
+        validated._formatWarnings = [...tableWarnings, ...choiceWarnings, ...warnings];
+    }
+
+    // Cross-field consistency rules (non-blocking: collect warnings)
+    const consistencyWarnings = checkConsistency(validated, config.consistencyRules, analysis);
+    if (consistencyWarnings.length > 0) {
+        validated._consistencyWarnings = consistencyWarnings;
     }
 
     return validated as InvoiceAnalysis;
 }
 
+/**
+ * List the fields whose confidence is below processing.confidence.threshold
+ * A field the model returned no score for counts as low. Table fields are not
+ * scored, and fields changed by a supplier rule lose their score without counting.
+ * @param analysis - The validated model analysis
+ * @param config - The configuration object
+ * @returns Field keys in definition order (empty without a threshold)
+ */
+export function getLowConfidenceFields(analysis: InvoiceAnalysis, config: AppConfig): string[] {
+    const threshold = config.processing?.confidence?.threshold;
+    if (typeof threshold !== 'number') return [];
+
+    const confidence = analysis._confidence || {};
+    const ruleFields = new Set(analysis._supplierRule?.fields || []);
+    return (config.fieldDefinitions || [])
+        .filter((f) => f.enabled && f.type !== 'table' && !ruleFields.has(f.key))
+        .filter((f) => !confidence[f.key] || confidence[f.key].confidence < threshold)
+        .map((f) => f.key);
+}
+
 /**
  * Get the list of active tag IDs from analysis.tags
  * @param tags - The tags object from analysis
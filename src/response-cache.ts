@@ -0,0 +1,185 @@
+/**
+ * Cache of model responses
+ * With processing.responseCache, each client folder keeps the raw responses of
+ * successful extractions in .response-cache/, one file per response. A response
+ * is found again by the hash of the document (or text layer) sent, the hash of
+ * the prompt and response schema, and the provider and model. Changing any of
+ * them misses the cache. Above maxSizeMb, the least recently used responses are
+ * removed.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+import type { AppConfig, ClientFolders, TokenUsage } from './types/index.js';
+
+/** What a response is cached under */
+interface ResponseCacheKey {
+    content: string; // document (base64) or text layer sent to the model
+    prompt: string; // system prompt, plus the response schema in JSON mode
+    model: string; // provider and model, e.g. "gemini/gemini-3-flash-preview"
+}
+
+/** A cached model response */
+interface CachedResponse {
+    model: string;
+    text: string; // raw response text, parsed again on every hit
+    tokenUsage: TokenUsage; // tokens of the original call
+    cachedAt: string;
+}
+
+/** Number and total size of cached responses */
+interface ResponseCacheStats {
+    entries: number;
+    sizeBytes: number;
+}
+
+export const RESPONSE_CACHE_FOLDER = '.response-cache';
+
+const DEFAULT_MAX_SIZE_MB = 50;
+
+// Latest pending write per cache folder, so evictions of parallel workers do not overlap
+const pendingWrites = new Map<string, Promise<unknown>>();
+
+// ── Private helpers ──
+
+function sha256(value: string): string {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function getCacheFolder(config: AppConfig): string | null {
+    if (!config.processing?.responseCache?.enabled) return null;
+    const base = (config.folders as unknown as ClientFolders | undefined)?.base;
+    return base ? path.join(base, RESPONSE_CACHE_FOLDER) : null;
+}
+
+function getEntryPath(folderPath: string, key: ResponseCacheKey): string {
+    const name = sha256([sha256(key.content), sha256(key.prompt), key.model].join('\n'));
+    return path.join(folderPath, `${name}.json`);
+}
+
+/**
+ * List the cached responses of a folder, least recently used first
+ */
+async function listEntries(folderPath: string): Promise<Array<{ filePath: string; size: number; usedAt: number }>> {
+    let names: string[];
+    try {
+        names = await fs.promises.readdir(folderPath);
+    } catch (error: unknown) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const entries = [];
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+        const filePath = path.join(folderPath, name);
+        try {
+            const stats = await fs.promises.stat(filePath);
+            entries.push({ filePath, size: stats.size, usedAt: stats.mtimeMs });
+        } catch {
+            // Removed by a concurrent clear
+        }
+    }
+    return entries.sort((a, b) => a.usedAt - b.usedAt);
+}
+
+/**
+ * Remove the least recently used responses until the folder fits in maxBytes
+ */
+async function evict(folderPath: string, maxBytes: number): Promise<void> {
+    const entries = await listEntries(folderPath);
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries) {
+        if (total <= maxBytes) break;
+        await fs.promises.rm(entry.filePath, { force: true });
+        total -= entry.size;
+    }
+}
+
+// ── Public API ──
+
+/**
+ * Look up a cached model response
+ * A hit counts as a use for eviction. An unreadable entry is a miss.
+ * @param config - Client configuration with processing.responseCache and folders.base
+ * @param key - Content, prompt and model of the request
+ * @returns The cached response, or null when the cache is off or has none
+ */
+export async function readCachedResponse(config: AppConfig, key: ResponseCacheKey): Promise<CachedResponse | null> {
+    const folderPath = getCacheFolder(config);
+    if (!folderPath) return null;
+
+    const filePath = getEntryPath(folderPath, key);
+    try {
+        const cached = JSON.parse(await fs.promises.readFile(filePath, 'utf-8')) as CachedResponse;
+        const now = new Date();
+        await fs.promises.utimes(filePath, now, now);
+        return cached;
+    } catch (error: unknown) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+            console.warn(`Warning: Could not read a cached model response: ${(error as Error).message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Store a model response, then trim the cache to processing.responseCache.maxSizeMb
+ * Failures are logged as warnings; the extraction itself succeeded.
+ * @param config - Client configuration with processing.responseCache and folders.base
+ * @param key - Content, prompt and model of the request
+ * @param response - Raw response text and its token usage
+ */
+export function writeCachedResponse(
+    config: AppConfig,
+    key: ResponseCacheKey,
+    response: { text: string; tokenUsage: TokenUsage }
+): Promise<void> {
+    const folderPath = getCacheFolder(config);
+    if (!folderPath) return Promise.resolve();
+
+    const maxBytes = (config.processing.responseCache?.maxSizeMb ?? DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+    const entry: CachedResponse = { model: key.model, ...response, cachedAt: new Date().toISOString() };
+    const filePath = getEntryPath(folderPath, key);
+
+    const previous = pendingWrites.get(folderPath) || Promise.resolve();
+    const next = previous
+        .catch(() => {})
+        .then(async () => {
+            await fs.promises.mkdir(folderPath, { recursive: true });
+            await fs.promises.writeFile(filePath + '.tmp', JSON.stringify(entry));
+            await fs.promises.rename(filePath + '.tmp', filePath);
+            await evict(folderPath, maxBytes);
+        })
+        .catch((error: unknown) => {
+            console.warn(`Warning: Could not cache the model response: ${(error as Error).message}`);
+        });
+    pendingWrites.set(folderPath, next);
+    return next;
+}
+
+/**
+ * Count a client's cached responses
+ * @param folderPath - Client base folder
+ * @returns Number and total size of the cached responses
+ */
+export async function getResponseCacheStats(folderPath: string): Promise<ResponseCacheStats> {
+    const entries = await listEntries(path.join(folderPath, RESPONSE_CACHE_FOLDER));
+    return { entries: entries.length, sizeBytes: entries.reduce((sum, entry) => sum + entry.size, 0) };
+}
+
+/**
+ * Remove all cached responses of a client
+ * @param folderPath - Client base folder
+ * @returns Number and total size of the removed responses
+ */
+export async function clearResponseCache(folderPath: string): Promise<ResponseCacheStats> {
+    const cacheFolder = path.join(folderPath, RESPONSE_CACHE_FOLDER);
+    const previous = pendingWrites.get(cacheFolder) || Promise.resolve();
+    await previous.catch(() => {});
+
+    const stats = await getResponseCacheStats(folderPath);
+    await fs.promises.rm(cacheFolder, { recursive: true, force: true });
+    return stats;
+}
@@ -0,0 +1,114 @@
+/**
+ * Structured-output schema for the extraction response
+ * Turns fieldDefinitions and tagDefinitions into the response schema sent with
+ * JSON mode, so the model can only return the configured shape: typed fields
+ * (null when not found), the options of choice fields, line-item tables, the
+ * summary, one boolean per tag and, with processing.confidence, the per-field
+ * confidence entries. The schema uses the OpenAPI subset Gemini accepts for
+ * `responseSchema`.
+ */
+
+import { describeFormat } from './format-validator.js';
+import { isConfidenceEnabled } from './prompt-builder.js';
+
+import type { AppConfig, FieldDefinition, ResponseSchema, TableColumnType } from './types/index.js';
+
+// ── Private helpers ──
+
+/**
+ * Build the schema of a table sub-column (cells are never null; validateAnalysis fills defaults)
+ */
+function columnSchema(type: TableColumnType, description?: string): ResponseSchema {
+    const schema: ResponseSchema = { type: type === 'number' || type === 'boolean' ? type : 'string' };
+    if (description) schema.description = description;
+    return schema;
+}
+
+/**
+ * Build the schema of one field; null stands for "not found"
+ */
+function fieldSchema(field: FieldDefinition, customFormats: AppConfig['customFormats']): ResponseSchema {
+    const formatHint = describeFormat(field.format, customFormats);
+    const description = formatHint ? `${field.schemaHint} (${formatHint})` : field.schemaHint;
+
+    switch (field.type) {
+        case 'number':
+        case 'boolean':
+            return { type: field.type, description, nullable: true };
+        case 'array':
+            return { type: 'array', description, items: { type: 'string' } };
+        case 'choice':
+            return {
+                type: 'string',
+                description,
+                nullable: true,
+                format: 'enum',
+                enum: (field.options || []).map((o) => o.value)
+            };
+        case 'table': {
+            const columns = field.columns || [];
+            return {
+                type: 'array',
+                description,
+                items: objectSchema(Object.fromEntries(columns.map((c) => [c.key, columnSchema(c.type, c.schemaHint)])))
+            };
+        }
+        case 'date':
+        case 'text':
+        default:
+            return { type: 'string', description, nullable: true };
+    }
+}
+
+/**
+ * Build an object schema with its properties in the given order (all required by default)
+ */
+function objectSchema(properties: Record<string, ResponseSchema>, required = Object.keys(properties)): ResponseSchema {
+    const schema: ResponseSchema = { type: 'object', properties, propertyOrdering: Object.keys(properties) };
+    if (required.length > 0) schema.required = required;
+    return schema;
+}
+
+// ── Public API ──
+
+/**
+ * Build the response schema for an extraction
+ * Mirrors buildExtractionPrompt(): enabled fields, the summary with output.includeSummary,
+ * enabled tags and, when confidence scores are enabled, the _confidence object.
+ * @param config - The configuration object
+ * @returns The schema, or null when there is nothing to extract (Gemini rejects empty objects)
+ */
+export function buildResponseSchema(config: AppConfig): ResponseSchema | null {
+    const enabledFields = (config.fieldDefinitions || []).filter((f) => f.enabled);
+    const enabledTags = (config.tagDefinitions || []).filter((t) => t.enabled);
+
+    const properties: Record<string, ResponseSchema> = {};
+    for (const field of enabledFields) {
+        properties[field.key] = fieldSchema(field, config.customFormats);
+    }
+    if (config.output?.includeSummary) {
+        properties.summary = { type: 'string', description: 'Brief summary of the invoice' };
+    }
+    if (enabledTags.length > 0) {
+        properties.tags = objectSchema(
+            Object.fromEntries(enabledTags.map((t) => [t.id, { type: 'boolean', description: t.label }]))
+        );
+    }
+    if (Object.keys(properties).length === 0) return null;
+
+    // Every scored field needs a confidence entry; a missing one counts as low confidence
+    const scoredKeys = enabledFields.filter((f) => f.type !== 'table').map((f) => f.key);
+    if (isConfidenceEnabled(config) && scoredKeys.length > 0) {
+        const entry = objectSchema(
+            {
+                confidence: { type: 'number', description: '0 (guessed) to 1 (clearly printed)' },
+                source: { type: 'string', description: 'Text the value was read from', nullable: true },
+                page: { type: 'integer', description: '1-based page number', nullable: true }
+            },
+            ['confidence']
+        );
+        properties._confidence = objectSchema(Object.fromEntries(scoredKeys.map((key) => [key, entry])));
+    }
+
+    return objectSchema(properties);
+}
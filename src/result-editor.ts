@@ -0,0 +1,161 @@
+/**
+ * Manual correction of stored results
+ * Corrects the extracted fields and tags of a successful result and brings the
+ * filed invoice in line: the enriched PDF is rebuilt from the original and
+ * renamed with the filename template, and its CSV rows and UBL file are
+ * rewritten. The previous values are kept on the record as an audit trail.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { isDeepStrictEqual } from 'node:util';
+import { DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER } from './constants.js';
+import { replaceInvoiceRows } from './csv-logger.js';
+import { addCurrencyConversion } from './fx-converter.js';
+import { writeParts } from './pdf-splitter.js';
+import { refileInvoice } from './processor.js';
+import { validateAnalysis } from './prompt-builder.js';
+import { getResult, updateResultRecord } from './result-manager.js';
+import { validateEdits, type ReviewEdits } from './review.js';
+import { getUblFilename, writeUblFile } from './ubl-export.js';
+
+import type { AppConfig, ClientFolders, ResultCorrection, ResultRecord } from './types/index.js';
+
+interface CorrectionOptions {
+    clientId?: string;
+    clientName?: string;
+}
+
+// ── Private helpers ──
+
+/**
+ * Collect the changed values of a correction, by field key and "tags.<id>"
+ */
+function diffEdits(record: ResultRecord, edits: ReviewEdits): ResultCorrection['changes'] {
+    const changes: ResultCorrection['changes'] = {};
+    for (const [key, value] of Object.entries(edits.fields || {})) {
+        const previous = record.extractedFields[key];
+        if (!isDeepStrictEqual(value, previous)) changes[key] = { from: previous ?? null, to: value };
+    }
+    for (const [id, value] of Object.entries(edits.tags || {})) {
+        const previous = record.tags[id];
+        if (value !== previous) changes[`tags.${id}`] = { from: previous ?? null, to: value };
+    }
+    return changes;
+}
+
+/**
+ * Rebuild the enriched PDF from the archived original (or re-cut the pages of a split scan)
+ */
+async function refileFromOriginal(
+    record: ResultRecord,
+    config: AppConfig,
+    analysis: ResultRecord['extractedFields']
+): Promise<{ outputFilename: string; outputPath: string }> {
+    const folders = config.folders as unknown as ClientFolders;
+    const originalFolder = folders.processedOriginal || path.join(folders.base, DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER);
+    const originalPath = path.join(originalFolder, record.splitFrom?.filename ?? record.originalFilename);
+    if (!fs.existsSync(originalPath)) {
+        throw new Error(`Original file not found: ${path.basename(originalPath)}`);
+    }
+
+    if (!record.splitFrom) {
+        return refileInvoice(originalPath, record.outputFilename!, config, analysis, record.source, record.model);
+    }
+    const { parts, cleanup } = await writeParts(originalPath, [record.splitFrom], config);
+    try {
+        return await refileInvoice(
+            parts[0].path,
+            record.outputFilename!,
+            config,
+            analysis,
+            record.source,
+            record.model
+        );
+    } finally {
+        await cleanup();
+    }
+}
+
+// ── Public API ──
+
+/**
+ * Correct the fields and tags of a successful result and regenerate its outputs
+ * Unchanged values are ignored; a correction without changes returns the record as is.
+ * @param resultId - ID of the result
+ * @param config - Client processing configuration
+ * @param edits - Corrected field values and tags
+ * @param options - Client ID and name for the global archive
+ * @returns The updated result record
+ * @throws If the result is not a filed success, an edit names an unknown field or tag,
+ *   or the original file is missing
+ */
+export async function correctResult(
+    resultId: string,
+    config: AppConfig,
+    edits: ReviewEdits,
+    options: CorrectionOptions = {}
+): Promise<ResultRecord> {
+    const folders = config.folders as unknown as ClientFolders;
+    const record = await getResult(folders.base, resultId);
+    if (!record) {
+        throw new Error(`Result ${resultId} not found`);
+    }
+    if (record.status !== 'success' || !record.outputFilename) {
+        throw new Error(`Result ${resultId} cannot be corrected (status ${record.status})`);
+    }
+    validateEdits(edits, config);
+
+    const changes = diffEdits(record, edits);
+    if (Object.keys(changes).length === 0) return record;
+
+    // Format and consistency warnings are recomputed from the corrected values, and corrected fields lose their confidence score
+    const { _formatWarnings, _consistencyWarnings, ...extracted } = record.extractedFields;
+    if (extracted._confidence) {
+        extracted._confidence = Object.fromEntries(
+            Object.entries(extracted._confidence).filter(([key]) => !(key in changes))
+        );
+    }
+    const lowConfidence = record.lowConfidence?.filter((key) => !(key in changes));
+    const analysis = await addCurrencyConversion(
+        validateAnalysis({ ...extracted, ...edits.fields, tags: { ...record.tags, ...edits.tags } }, config),
+        config
+    );
+    const filed = await refileFromOriginal(record, config, analysis);
+    const rowData = { outputFilename: filed.outputFilename, originalFilename: record.originalFilename, analysis };
+
+    if (folders.csvPath) {
+        try {
+            await replaceInvoiceRows(folders.csvPath, record.outputFilename, rowData, config);
+        } catch (csvError: unknown) {
+            console.error(`Warning: Failed to update CSV: ${(csvError as Error).message}`);
+        }
+    }
+    if (config.output.ubl?.enabled) {
+        try {
+            await fs.promises.rm(path.join(path.dirname(filed.outputPath), getUblFilename(record.outputFilename)), {
+                force: true
+            });
+            await writeUblFile(filed.outputPath, analysis, config);
+        } catch (ublError: unknown) {
+            console.error(`Warning: Failed to write UBL invoice: ${(ublError as Error).message}`);
+        }
+    }
+
+    const correction: ResultCorrection = { correctedAt: new Date().toISOString(), changes };
+    if (filed.outputFilename !== record.outputFilename) {
+        correction.previousOutputFilename = record.outputFilename;
+    }
+    return updateResultRecord(
+        folders.base,
+        resultId,
+        {
+            outputFilename: filed.outputFilename,
+            extractedFields: analysis,
+            tags: analysis.tags || {},
+            lowConfidence: lowConfidence?.length ? lowConfidence : undefined,
+            corrections: [...(record.corrections || []), correction]
+        },
+        options
+    );
+}
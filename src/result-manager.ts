@@ -188,6 +188,19 @@ function toGlobalRecord(record: ResultRecord, clientId: string, clientName: stri
         duration: record.duration
     };
     if (record.retriedFrom) globalRecord.retriedFrom = record.retriedFrom;
+    if (record.fileHash) globalRecord.fileHash = record.fileHash;
+    if (record.duplicateOf) globalRecord.duplicateOf = record.duplicateOf;
+    if (record.splitFrom) globalRecord.splitFrom = record.splitFrom;
+    if (record.source) globalRecord.source = record.source;
+    if (record.eInvoice) globalRecord.eInvoice = record.eInvoice;
+    if (record.textLayer) globalRecord.textLayer = record.textLayer;
+    if (record.fromCache) globalRecord.fromCache = record.fromCache;
+    if (record.reviewFile) globalRecord.reviewFile = record.reviewFile;
+    if (record.review) globalRecord.review = record.review;
+    if (record.corrections) globalRecord.corrections = record.corrections;
+    if (record.lowConfidence) globalRecord.lowConfidence = record.lowConfidence;
+    if (record.failureReason) globalRecord.failureReason = record.failureReason;
+    if (record.failedFile) globalRecord.failedFile = record.failedFile;
     return globalRecord;
 }
 
@@ -207,7 +220,11 @@ function buildRecord(
     const now = new Date().toISOString();
 
     let status: ResultRecord['status'] = 'failed';
-    if (result.success) status = (result as { dryRun?: boolean }).dryRun ? 'dry-run' : 'success';
+    if (result.success) {
+        if (result.dryRun) status = 'dry-run';
+        else if (result.duplicateOf) status = 'duplicate';
+        else status = result.reviewPath ? 'pending-review' : 'success';
+    }
 
     const record: ResultRecord = {
         id: options.id || crypto.randomUUID(),
@@ -236,6 +253,39 @@ function buildRecord(
     if (options.retriedFrom) {
         record.retriedFrom = options.retriedFrom;
     }
+    if (result.fileHash) {
+        record.fileHash = result.fileHash;
+    }
+    if (result.success && result.duplicateOf) {
+        record.duplicateOf = result.duplicateOf;
+    }
+    if (result.splitFrom) {
+        record.splitFrom = result.splitFrom;
+    }
+    if (result.success && result.source) {
+        record.source = result.source;
+    }
+    if (result.success && result.eInvoice) {
+        record.eInvoice = result.eInvoice;
+    }
+    if (result.success && result.textLayer) {
+        record.textLayer = result.textLayer;
+    }
+    if (result.success && result.fromCache) {
+        record.fromCache = true;
+    }
+    if (result.success && result.reviewPath) {
+        record.reviewFile = path.basename(result.reviewPath);
+    }
+    if (result.lowConfidence) {
+        record.lowConfidence = result.lowConfidence;
+    }
+    if (!result.success && result.failureReason) {
+        record.failureReason = result.failureReason;
+    }
+    if (!result.success && result.failedPath) {
+        record.failedFile = path.basename(result.failedPath);
+    }
 
     return record;
 }
@@ -245,11 +295,18 @@ function buildRecord(
 /**
  * Append a single processing result to the client's JSONL log.
  * If clientId and clientName are provided, also appends to the global archive.
+ * Pass `id` to use an ID reserved before processing (duplicate detection links to it).
  */
 export async function appendResult(
     folderPath: string,
     result: ProcessingResult,
-    options: { model?: string | null; duration?: number | null; clientId?: string; clientName?: string } = {}
+    options: {
+        id?: string;
+        model?: string | null;
+        duration?: number | null;
+        clientId?: string;
+        clientName?: string;
+    } = {}
 ): Promise<ResultRecord> {
     const record = buildRecord(result, options);
     await appendJsonlLine(folderPath, record);
@@ -314,8 +371,11 @@ export async function getSummary(folderPath: string): Promise<SummaryStats> {
             success: 0,
             failed: 0,
             dryRun: 0,
+            duplicate: 0,
+            pendingReview: 0,
             successRate: 0,
             tokenUsage: { promptTokens: 0, outputTokens: 0, totalTokens: 0, cachedTokens: 0, thoughtsTokens: 0 },
+            cacheHits: 0,
             firstProcessed: null,
             lastProcessed: null
         };
@@ -324,6 +384,8 @@ export async function getSummary(folderPath: string): Promise<SummaryStats> {
     const success = results.filter((r) => r.status === 'success').length;
     const failed = results.filter((r) => r.status === 'failed').length;
     const dryRunCount = results.filter((r) => r.status === 'dry-run').length;
+    const duplicateCount = results.filter((r) => r.status === 'duplicate').length;
+    const pendingReviewCount = results.filter((r) => r.status === 'pending-review').length;
 
     const tokenUsage = results.reduce(
         (acc, r) => {
@@ -352,8 +414,11 @@ export async function getSummary(folderPath: string): Promise<SummaryStats> {
         success,
         failed,
         dryRun: dryRunCount,
+        duplicate: duplicateCount,
+        pendingReview: pendingReviewCount,
         successRate: Math.round((success / results.length) * 100),
         tokenUsage,
+        cacheHits: results.filter((r) => r.fromCache).length,
         firstProcessed: timestamps[0],
         lastProcessed: timestamps[timestamps.length - 1]
     };
@@ -396,6 +461,37 @@ export async function updateResult(
     return record;
 }
 
+/**
+ * Change fields of a stored result (e.g. after review) without a new processing outcome.
+ * Appends the merged record as a new JSONL line with the same ID; fields set to
+ * undefined are dropped. If clientId and clientName are provided, also appends to the global archive.
+ */
+export async function updateResultRecord(
+    folderPath: string,
+    id: string,
+    changes: Partial<Omit<ResultRecord, 'id'>>,
+    options: { clientId?: string; clientName?: string } = {}
+): Promise<ResultRecord> {
+    await ensureFreshCache(folderPath);
+    const data = await readResultsFile(folderPath);
+    const original = data.results.find((r) => r.id === id);
+    if (!original) throw new Error(`Result ${id} not found`);
+
+    const record = JSON.parse(JSON.stringify({ ...original, ...changes })) as ResultRecord;
+    await appendJsonlLine(folderPath, record);
+    scheduleCacheRebuild(folderPath);
+
+    if (options.clientId && options.clientName) {
+        try {
+            await appendGlobalResult(record, options.clientId, options.clientName);
+        } catch (err: unknown) {
+            console.error(`Warning: Failed to write to global archive: ${(err as Error).message}`);
+        }
+    }
+
+    return record;
+}
+
 /**
  * Get all failed result entries (for retry-all).
  */
@@ -405,6 +501,47 @@ export async function getFailedResults(folderPath: string): Promise<ResultRecord
     return data.results.filter((r) => r.status === 'failed');
 }
 
+/**
+ * Get all successful result entries (for exports).
+ */
+export async function getSuccessfulResults(folderPath: string): Promise<ResultRecord[]> {
+    await ensureFreshCache(folderPath);
+    const data = await readResultsFile(folderPath);
+    return data.results.filter((r) => r.status === 'success');
+}
+
+/**
+ * Get successfully processed records for duplicate detection: the client's own
+ * history plus, when clientId is given, that client's entries in the global archive.
+ */
+export async function getProcessedRecords(
+    folderPath: string | undefined,
+    clientId?: string
+): Promise<Array<ResultRecord | GlobalResultRecord>> {
+    const records: Array<ResultRecord | GlobalResultRecord> = [];
+
+    if (folderPath) {
+        await ensureFreshCache(folderPath);
+        const data = await readResultsFile(folderPath);
+        // Invoices waiting for review are already claimed
+        records.push(...data.results.filter((r) => r.status === 'success' || r.status === 'pending-review'));
+    }
+
+    const archivePath = getGlobalArchivePath();
+    if (clientId && (await fileExists(archivePath))) {
+        const content = await fs.promises.readFile(archivePath, 'utf-8');
+        const seenIds = new Set(records.map((r) => r.id));
+        for (const record of parseJsonlToMap<GlobalResultRecord>(content).values()) {
+            const claimed = record.status === 'success' || record.status === 'pending-review';
+            if (record.clientId === clientId && claimed && !seenIds.has(record.id)) {
+                records.push(record);
+            }
+        }
+    }
+
+    return records;
+}
+
 // ── Global archive stats ──
 
 interface ClientStats {
@@ -414,6 +551,7 @@ interface ClientStats {
     successRate: number;
     totalTokens: number;
     totalCachedTokens: number;
+    cacheHits: number;
     lastProcessed: string | null;
 }
 
@@ -429,6 +567,7 @@ export async function getGlobalStats(): Promise<{
         successRate: number;
         totalTokens: number;
         totalCachedTokens: number;
+        cacheHits: number;
         lastProcessed: string | null;
     };
     perClient: Record<string, ClientStats>;
@@ -456,6 +595,7 @@ export async function getGlobalStats(): Promise<{
         successRate: 0,
         totalTokens: 0,
         totalCachedTokens: 0,
+        cacheHits: 0,
         lastProcessed: null as string | null
     };
 
@@ -466,6 +606,7 @@ export async function getGlobalStats(): Promise<{
         const failed = records.filter((r) => r.status === 'failed').length;
         const totalTokens = records.reduce((sum, r) => sum + (r.tokenUsage?.totalTokens || 0), 0);
         const totalCachedTokens = records.reduce((sum, r) => sum + (r.tokenUsage?.cachedTokens || 0), 0);
+        const cacheHits = records.filter((r) => r.fromCache).length;
 
         const timestamps = records.map((r) => r.timestamp).sort();
         const lastProcessed = timestamps.length > 0 ? timestamps[timestamps.length - 1] : null;
@@ -477,6 +618,7 @@ export async function getGlobalStats(): Promise<{
             successRate: records.length > 0 ? Math.round((success / records.length) * 100) : 0,
             totalTokens,
             totalCachedTokens,
+            cacheHits,
             lastProcessed
         };
 
@@ -485,6 +627,7 @@ export async function getGlobalStats(): Promise<{
         aggregate.totalFailed += failed;
         aggregate.totalTokens += totalTokens;
         aggregate.totalCachedTokens += totalCachedTokens;
+        aggregate.cacheHits += cacheHits;
 
         if (lastProcessed && (!aggregate.lastProcessed || lastProcessed > aggregate.lastProcessed)) {
             aggregate.lastProcessed = lastProcessed;
@@ -0,0 +1,198 @@
+/**
+ * Human review of extractions before invoices are filed
+ * With processing.reviewRequired (or a client's reviewRequired), the pipeline
+ * parks each analyzed invoice in the pending-review subfolder and stores a
+ * 'pending-review' result. Approving files it the way the pipeline would have
+ * (enriched PDF, archived original, CSV rows, UBL file) with the reviewer's
+ * corrections; rejecting archives the original and marks the result as failed,
+ * so it can be retried.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { isDeepStrictEqual } from 'node:util';
+import { DEFAULT_PENDING_REVIEW_SUBFOLDER, DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER, safeJoin } from './constants.js';
+import { addCurrencyConversion } from './fx-converter.js';
+import { fileInvoice } from './processor.js';
+import { writeInvoiceOutputs } from './parallel-processor.js';
+import { validateAnalysis } from './prompt-builder.js';
+import { getResult, updateResultRecord } from './result-manager.js';
+import { learnSupplier } from './supplier-registry.js';
+
+import type { AppConfig, ClientFolders, ProcessingSuccess, ResultRecord } from './types/index.js';
+
+/** Reviewer's corrections, by field key and tag ID */
+export interface ReviewEdits {
+    fields?: Record<string, unknown>;
+    tags?: Record<string, boolean>;
+}
+
+interface ReviewOptions {
+    clientId?: string;
+    clientName?: string;
+}
+
+// ── Private helpers ──
+
+function getFolders(config: AppConfig): ClientFolders {
+    return config.folders as unknown as ClientFolders;
+}
+
+async function getPendingRecord(folderPath: string, resultId: string): Promise<ResultRecord> {
+    const record = await getResult(folderPath, resultId);
+    if (!record) {
+        throw new Error(`Result ${resultId} not found`);
+    }
+    if (record.status !== 'pending-review' || !record.reviewFile) {
+        throw new Error(`Result ${resultId} is not pending review`);
+    }
+    return record;
+}
+
+// ── Public API ──
+
+/**
+ * Check that corrections only name enabled fields and tags
+ * @param edits - Corrected field values and tags
+ * @param config - Client processing configuration
+ * @throws On an unknown field or tag, or a tag value that is not a boolean
+ */
+export function validateEdits(edits: ReviewEdits, config: AppConfig): void {
+    const fieldKeys = new Set([
+        'summary',
+        ...(config.fieldDefinitions || []).filter((f) => f.enabled).map((f) => f.key)
+    ]);
+    const tagIds = new Set((config.tagDefinitions || []).filter((t) => t.enabled).map((t) => t.id));
+
+    for (const key of Object.keys(edits.fields || {})) {
+        if (!fieldKeys.has(key)) throw new Error(`Unknown field "${key}"`);
+    }
+    for (const [id, value] of Object.entries(edits.tags || {})) {
+        if (!tagIds.has(id)) throw new Error(`Unknown tag "${id}"`);
+        if (typeof value !== 'boolean') throw new Error(`Tag "${id}" must be true or false`);
+    }
+}
+
+/**
+ * Get the path of the file a pending result waits with
+ * @param config - Client processing configuration
+ * @param record - Result record in 'pending-review' status
+ * @returns Path inside the pending-review subfolder
+ */
+export function getReviewFilePath(config: AppConfig, record: ResultRecord): string {
+    const folders = getFolders(config);
+    const reviewFolder = folders.pendingReview || path.join(folders.base, DEFAULT_PENDING_REVIEW_SUBFOLDER);
+    return safeJoin(reviewFolder, record.reviewFile!);
+}
+
+/**
+ * Approve a pending result: apply corrections and file the invoice
+ * @param resultId - ID of the pending result
+ * @param config - Client processing configuration
+ * @param edits - Corrected field values and tags
+ * @param options - Client ID and name for the global archive
+ * @returns The updated result record
+ * @throws If the result is not pending review or an edit names an unknown field or tag
+ */
+export async function approveReview(
+    resultId: string,
+    config: AppConfig,
+    edits: ReviewEdits = {},
+    options: ReviewOptions = {}
+): Promise<ResultRecord> {
+    const folders = getFolders(config);
+    const record = await getPendingRecord(folders.base, resultId);
+    validateEdits(edits, config);
+
+    const { fields = {}, tags = {} } = edits;
+    const editedFields = [
+        ...Object.keys(fields).filter((key) => !isDeepStrictEqual(fields[key], record.extractedFields[key])),
+        ...Object.keys(tags)
+            .filter((id) => tags[id] !== record.tags[id])
+            .map((id) => `tags.${id}`)
+    ];
+
+    // Format and consistency warnings are recomputed from the corrected values. The reviewer
+    // confirmed every value, so the model's confidence scores no longer apply.
+    const { _formatWarnings, _consistencyWarnings, _confidence, ...extracted } = record.extractedFields;
+    const analysis = await addCurrencyConversion(
+        validateAnalysis({ ...extracted, ...fields, tags: { ...record.tags, ...tags } }, config),
+        config
+    );
+
+    const filed = await fileInvoice(getReviewFilePath(config, record), config, analysis, {
+        source: record.source,
+        model: record.model,
+        splitFrom: record.splitFrom
+    });
+    const result: ProcessingSuccess = {
+        success: true,
+        originalFilename: record.originalFilename,
+        ...filed,
+        analysis,
+        tokenUsage: record.tokenUsage
+    };
+    await writeInvoiceOutputs(result, config, folders.csvPath);
+
+    // The registry learns from the approved values, including a corrected supplier name
+    const { _supplier, ...approved } = analysis;
+    await learnSupplier(editedFields.includes('supplierName') ? approved : analysis, config);
+
+    return updateResultRecord(
+        folders.base,
+        resultId,
+        {
+            status: 'success',
+            outputFilename: filed.outputFilename,
+            extractedFields: analysis,
+            tags: analysis.tags || {},
+            reviewFile: undefined,
+            lowConfidence: undefined,
+            review: { decision: 'approved', reviewedAt: new Date().toISOString(), editedFields }
+        },
+        options
+    );
+}
+
+/**
+ * Reject a pending result: archive the original and mark the result as failed
+ * A split-off part is removed; a retry cuts its pages out of the archived scan again.
+ * @param resultId - ID of the pending result
+ * @param config - Client processing configuration
+ * @param reason - Reviewer's reason, stored in the error message
+ * @param options - Client ID and name for the global archive
+ * @returns The updated result record
+ * @throws If the result is not pending review
+ */
+export async function rejectReview(
+    resultId: string,
+    config: AppConfig,
+    reason?: string,
+    options: ReviewOptions = {}
+): Promise<ResultRecord> {
+    const folders = getFolders(config);
+    const record = await getPendingRecord(folders.base, resultId);
+    const reviewPath = getReviewFilePath(config, record);
+
+    if (record.splitFrom) {
+        await fs.promises.rm(reviewPath, { force: true });
+    } else {
+        const originalFolder =
+            folders.processedOriginal || path.join(folders.base, DEFAULT_PROCESSED_ORIGINAL_SUBFOLDER);
+        await fs.promises.mkdir(originalFolder, { recursive: true });
+        await fs.promises.rename(reviewPath, path.join(originalFolder, record.originalFilename));
+    }
+
+    return updateResultRecord(
+        folders.base,
+        resultId,
+        {
+            status: 'failed',
+            outputFilename: null,
+            error: reason ? `Rejected in review: ${reason}` : 'Rejected in review',
+            reviewFile: undefined,
+            review: { decision: 'rejected', reviewedAt: new Date().toISOString(), editedFields: [] }
+        },
+        options
+    );
+}
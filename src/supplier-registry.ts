@@ -0,0 +1,468 @@
+/**
+ * Supplier master data registry
+ * Keeps a per-client list of suppliers (suppliers.json in the client folder) with
+ * a canonical name, the other spellings seen for it, VAT number, IBAN and a
+ * default category. With processing.supplierRegistry, each extraction is matched
+ * by VAT number, then IBAN, then name (ignoring case, accents, punctuation and
+ * legal forms such as "Corp" or "A/S"). A match replaces supplierName with the
+ * canonical name and fills empty vatNumber, iban and category fields. Processed
+ * invoices teach the registry new suppliers, aliases and missing values.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+import { isEmptyValue } from './field-values.js';
+
+import type { AppConfig, ClientFolders, InvoiceAnalysis, SupplierMatchReason, SupplierRecord } from './types/index.js';
+
+/** Editable supplier properties */
+interface SupplierChanges {
+    name?: string;
+    aliases?: string[];
+    vatNumber?: string | null;
+    iban?: string | null;
+    defaultCategory?: string | null;
+}
+
+export const SUPPLIERS_FILENAME = 'suppliers.json';
+
+// Legal-form words ignored when comparing names ("Acme Corp" and "ACME Corporation" are the same supplier)
+const LEGAL_FORMS = new Set([
+    'ab',
+    'ag',
+    'aps',
+    'as',
+    'bv',
+    'co',
+    'company',
+    'corp',
+    'corporation',
+    'gmbh',
+    'inc',
+    'incorporated',
+    'kg',
+    'limited',
+    'llc',
+    'llp',
+    'ltd',
+    'nv',
+    'oy',
+    'plc',
+    'sa',
+    'sarl',
+    'sas',
+    'se',
+    'spa',
+    'srl'
+]);
+
+// Shorter VAT numbers and IBANs are not looked for in document text (too likely to match by chance)
+const MIN_IDENTIFIER_LENGTH = 8;
+
+// Supplier values filled into empty extracted fields, by field key
+const DEFAULT_FIELDS = { vatNumber: 'vatNumber', iban: 'iban', category: 'defaultCategory' } as const;
+
+// Latest pending update per registry file, so parallel workers do not overwrite each other
+const pendingUpdates = new Map<string, Promise<unknown>>();
+
+// ── Private helpers ──
+
+/**
+ * Split a text into lowercase words without accents
+ */
+function toWords(value: string): string[] {
+    return value
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\b[aik]\/s\b/g, ' ')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * The significant words of a supplier name: its words without legal forms (all words if that leaves none)
+ */
+function nameWords(value: unknown): string[] {
+    if (typeof value !== 'string' || isEmptyValue(value)) return [];
+    const words = toWords(value);
+    const significant = words.filter((word) => !LEGAL_FORMS.has(word));
+    return significant.length > 0 ? significant : words;
+}
+
+/**
+ * Reduce a VAT number or IBAN to uppercase letters and digits
+ */
+function normalizeIdentifier(value: unknown): string {
+    if (isEmptyValue(value) || (typeof value !== 'string' && typeof value !== 'number')) return '';
+    return String(value)
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, '');
+}
+
+function getRegistryFolder(config: AppConfig): string | null {
+    if (!config.processing?.supplierRegistry) return null;
+    return (config.folders as unknown as ClientFolders | undefined)?.base || null;
+}
+
+async function readSuppliers(folderPath: string): Promise<SupplierRecord[]> {
+    try {
+        const content = await fs.promises.readFile(path.join(folderPath, SUPPLIERS_FILENAME), 'utf-8');
+        return (JSON.parse(content) as { suppliers?: SupplierRecord[] }).suppliers || [];
+    } catch (error: unknown) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Read, change and write a folder's registry after the updates already pending for it
+ * The file is replaced through a temp file, so a crash mid-write keeps the previous list.
+ */
+function updateSuppliers<T>(folderPath: string, update: (suppliers: SupplierRecord[]) => T): Promise<T> {
+    const previous = pendingUpdates.get(folderPath) || Promise.resolve();
+    const next = previous
+        .catch(() => {})
+        .then(async () => {
+            const suppliers = await readSuppliers(folderPath);
+            const result = update(suppliers);
+            const filePath = path.join(folderPath, SUPPLIERS_FILENAME);
+            await fs.promises.writeFile(filePath + '.tmp', JSON.stringify({ suppliers }, null, 2));
+            await fs.promises.rename(filePath + '.tmp', filePath);
+            return result;
+        });
+    pendingUpdates.set(folderPath, next);
+    return next;
+}
+
+function findById(suppliers: SupplierRecord[], id: string): SupplierRecord {
+    const supplier = suppliers.find((s) => s.id === id);
+    if (!supplier) {
+        throw new Error(`Supplier ${id} not found`);
+    }
+    return supplier;
+}
+
+/**
+ * Add names to a supplier's aliases, skipping its name and spellings it already has
+ */
+function addAliases(supplier: SupplierRecord, names: string[]): void {
+    for (const name of names) {
+        const trimmed = name.trim();
+        const known = [supplier.name, ...supplier.aliases].some((n) => n.toLowerCase() === trimmed.toLowerCase());
+        if (trimmed && !known) supplier.aliases.push(trimmed);
+    }
+}
+
+/**
+ * Check that no other supplier holds a VAT number or IBAN
+ */
+function checkUnique(suppliers: SupplierRecord[], supplier: SupplierRecord, key: 'vatNumber' | 'iban'): void {
+    const value = supplier[key];
+    const other = value && suppliers.find((s) => s !== supplier && s[key] === value);
+    if (other) {
+        throw new Error(`${key} ${value} is already registered for "${other.name}"; merge the suppliers instead`);
+    }
+}
+
+/**
+ * Validate supplier changes from the API
+ * @throws If a property is unknown or has the wrong type
+ */
+function validateChanges(changes: unknown): asserts changes is SupplierChanges {
+    if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+        throw new Error('Supplier changes must be an object');
+    }
+    for (const [key, value] of Object.entries(changes)) {
+        if (key === 'name') {
+            if (typeof value !== 'string' || value.trim() === '') throw new Error('name must be a non-empty string');
+        } else if (key === 'aliases') {
+            if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+                throw new Error('aliases must be an array of strings');
+            }
+        } else if (key === 'vatNumber' || key === 'iban' || key === 'defaultCategory') {
+            if (value !== null && typeof value !== 'string') throw new Error(`${key} must be a string or null`);
+        } else {
+            throw new Error(`Unknown supplier property "${key}"`);
+        }
+    }
+}
+
+// ── Public API ──
+
+/**
+ * Reduce a supplier name to its significant words, without case, accents, punctuation or legal form
+ * @param value - The supplier name
+ * @returns The comparable name ('' for empty or Unknown values)
+ */
+export function normalizeSupplierName(value: unknown): string {
+    return nameWords(value).join('');
+}
+
+/**
+ * Check whether a text mentions a supplier name as whole words
+ * Case, accents, punctuation and legal forms are ignored as in normalizeSupplierName().
+ * @param text - The text to search, e.g. a PDF text layer
+ * @param name - The supplier name
+ * @returns Whether the name's significant words appear in sequence
+ */
+export function containsSupplierName(text: string, name: unknown): boolean {
+    const words = nameWords(name);
+    if (words.length === 0) return false;
+    return ` ${toWords(text).join(' ')} `.includes(` ${words.join(' ')} `);
+}
+
+/**
+ * Find the registry supplier of a document by its text
+ * The VAT number or IBAN appearing in the text identifies the supplier; otherwise
+ * the canonical name or an alias does, when only one supplier's names appear.
+ * An unreadable registry is logged and gives no match.
+ * @param text - The document text (PDF text layer)
+ * @param config - Client configuration with processing.supplierRegistry and folders.base
+ * @returns The supplier, or null
+ */
+export async function findSupplierInText(text: string, config: AppConfig): Promise<SupplierRecord | null> {
+    const folderPath = getRegistryFolder(config);
+    if (!folderPath || !text) return null;
+
+    let suppliers: SupplierRecord[];
+    try {
+        suppliers = await readSuppliers(folderPath);
+    } catch (error: unknown) {
+        console.warn(`Warning: Supplier registry skipped: ${(error as Error).message}`);
+        return null;
+    }
+
+    const identifiers = normalizeIdentifier(text);
+    const byIdentifier = suppliers.find((s) =>
+        [s.vatNumber, s.iban].some((value) => {
+            const identifier = normalizeIdentifier(value);
+            return identifier.length >= MIN_IDENTIFIER_LENGTH && identifiers.includes(identifier);
+        })
+    );
+    if (byIdentifier) return byIdentifier;
+
+    const byName = suppliers.filter((s) => [s.name, ...s.aliases].some((n) => containsSupplierName(text, n)));
+    return byName.length === 1 ? byName[0] : null;
+}
+
+/**
+ * List a client's suppliers
+ * @param folderPath - Client base folder holding suppliers.json
+ * @returns Suppliers sorted by name
+ */
+export async function getSuppliers(folderPath: string): Promise<SupplierRecord[]> {
+    const suppliers = await readSuppliers(folderPath);
+    return suppliers.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the registry supplier of an extraction
+ * A name match is ignored when both sides have different VAT numbers, and when
+ * several suppliers share the name.
+ * @param suppliers - The client's suppliers
+ * @param analysis - Extracted fields with supplierName and optionally vatNumber and iban
+ * @returns The supplier and what matched, or null
+ */
+export function findSupplier(
+    suppliers: SupplierRecord[],
+    analysis: InvoiceAnalysis
+): { supplier: SupplierRecord; matchedBy: SupplierMatchReason } | null {
+    const vatNumber = normalizeIdentifier(analysis.vatNumber);
+    const byVat = vatNumber && suppliers.find((s) => normalizeIdentifier(s.vatNumber) === vatNumber);
+    if (byVat) return { supplier: byVat, matchedBy: 'vatNumber' };
+
+    const iban = normalizeIdentifier(analysis.iban);
+    const byIban = iban && suppliers.find((s) => normalizeIdentifier(s.iban) === iban);
+    if (byIban) return { supplier: byIban, matchedBy: 'iban' };
+
+    const name = normalizeSupplierName(analysis.supplierName);
+    if (!name) return null;
+    const candidates = suppliers.filter(
+        (s) =>
+            [s.name, ...s.aliases].some((n) => normalizeSupplierName(n) === name) &&
+            !(vatNumber && s.vatNumber && normalizeIdentifier(s.vatNumber) !== vatNumber)
+    );
+    return candidates.length === 1 ? { supplier: candidates[0], matchedBy: 'name' } : null;
+}
+
+/**
+ * Replace the supplier of an extraction with its registry entry
+ * Sets the canonical supplierName, fills empty vatNumber, iban and category fields
+ * (when enabled) and records the match as _supplier. An unreadable registry is logged
+ * and leaves the analysis unchanged.
+ * @param analysis - Validated analysis
+ * @param config - Client configuration with processing.supplierRegistry and folders.base
+ * @returns The analysis with the registry values applied
+ */
+export async function applySupplierRegistry(analysis: InvoiceAnalysis, config: AppConfig): Promise<InvoiceAnalysis> {
+    const folderPath = getRegistryFolder(config);
+    if (!folderPath) return analysis;
+
+    let match: ReturnType<typeof findSupplier>;
+    try {
+        match = findSupplier(await readSuppliers(folderPath), analysis);
+    } catch (error: unknown) {
+        console.warn(`Warning: Supplier registry skipped: ${(error as Error).message}`);
+        return analysis;
+    }
+    if (!match) return analysis;
+
+    const { supplier, matchedBy } = match;
+    const result: InvoiceAnalysis = {
+        ...analysis,
+        supplierName: supplier.name,
+        _supplier: { id: supplier.id, matchedBy }
+    };
+    if (!isEmptyValue(analysis.supplierName) && analysis.supplierName !== supplier.name) {
+        result._supplier!.extractedName = String(analysis.supplierName);
+    }
+
+    const enabledKeys = new Set((config.fieldDefinitions || []).filter((f) => f.enabled).map((f) => f.key));
+    for (const [fieldKey, supplierKey] of Object.entries(DEFAULT_FIELDS)) {
+        if (enabledKeys.has(fieldKey) && isEmptyValue(analysis[fieldKey]) && supplier[supplierKey]) {
+            result[fieldKey] = supplier[supplierKey];
+        }
+    }
+    return result;
+}
+
+/**
+ * Record a processed invoice in the registry
+ * A known supplier gains the extracted spelling as an alias and any VAT number, IBAN
+ * or category it did not have yet; an unknown one is added. Failures are logged.
+ * @param analysis - Analysis returned by applySupplierRegistry()
+ * @param config - Client configuration with processing.supplierRegistry and folders.base
+ */
+export async function learnSupplier(analysis: InvoiceAnalysis, config: AppConfig): Promise<void> {
+    const folderPath = getRegistryFolder(config);
+    if (!folderPath) return;
+
+    const extracted: InvoiceAnalysis = {
+        ...analysis,
+        supplierName: analysis._supplier?.extractedName ?? analysis.supplierName
+    };
+    const name = isEmptyValue(extracted.supplierName) ? '' : String(extracted.supplierName).trim();
+    const vatNumber = normalizeIdentifier(extracted.vatNumber) || null;
+    const iban = normalizeIdentifier(extracted.iban) || null;
+    const category = isEmptyValue(extracted.category) ? null : String(extracted.category);
+
+    try {
+        await updateSuppliers(folderPath, (suppliers) => {
+            const now = new Date().toISOString();
+            const match = findSupplier(suppliers, extracted);
+            if (match) {
+                const { supplier } = match;
+                addAliases(supplier, [name]);
+                if (!supplier.vatNumber && vatNumber && !suppliers.some((s) => s.vatNumber === vatNumber)) {
+                    supplier.vatNumber = vatNumber;
+                }
+                if (!supplier.iban && iban && !suppliers.some((s) => s.iban === iban)) {
+                    supplier.iban = iban;
+                }
+                supplier.defaultCategory ??= category;
+                supplier.invoiceCount += 1;
+                supplier.lastSeen = now;
+            } else if (normalizeSupplierName(name)) {
+                suppliers.push({
+                    id: crypto.randomUUID(),
+                    name,
+                    aliases: [],
+                    vatNumber,
+                    iban: iban && !suppliers.some((s) => s.iban === iban) ? iban : null,
+                    defaultCategory: category,
+                    invoiceCount: 1,
+                    firstSeen: now,
+                    lastSeen: now
+                });
+            }
+        });
+    } catch (error: unknown) {
+        console.warn(`Warning: Failed to update supplier registry: ${(error as Error).message}`);
+    }
+}
+
+/**
+ * Change a supplier's name, aliases, VAT number, IBAN or default category
+ * @param folderPath - Client base folder holding suppliers.json
+ * @param supplierId - ID of the supplier
+ * @param changes - Properties to change; null clears an optional value
+ * @returns The updated supplier
+ * @throws If the supplier does not exist, a change is invalid, or the VAT number or IBAN
+ *   belongs to another supplier
+ */
+export async function updateSupplier(
+    folderPath: string,
+    supplierId: string,
+    changes: unknown
+): Promise<SupplierRecord> {
+    validateChanges(changes);
+    return updateSuppliers(folderPath, (suppliers) => {
+        const supplier = findById(suppliers, supplierId);
+        if (changes.name !== undefined) supplier.name = changes.name.trim();
+        if (changes.aliases !== undefined) {
+            supplier.aliases = [];
+            addAliases(supplier, changes.aliases);
+        }
+        if (changes.vatNumber !== undefined) supplier.vatNumber = normalizeIdentifier(changes.vatNumber) || null;
+        if (changes.iban !== undefined) supplier.iban = normalizeIdentifier(changes.iban) || null;
+        if (changes.defaultCategory !== undefined) supplier.defaultCategory = changes.defaultCategory?.trim() || null;
+        // A renamed supplier keeps no alias equal to its new name
+        supplier.aliases = supplier.aliases.filter((a) => a.toLowerCase() !== supplier.name.toLowerCase());
+        checkUnique(suppliers, supplier, 'vatNumber');
+        checkUnique(suppliers, supplier, 'iban');
+        return supplier;
+    });
+}
+
+/**
+ * Merge suppliers into one
+ * The target keeps its name and values; the others become aliases, fill its missing
+ * VAT number, IBAN and category, add their invoice counts and are removed.
+ * @param folderPath - Client base folder holding suppliers.json
+ * @param targetId - ID of the supplier to keep
+ * @param sourceIds - IDs of the suppliers merged into it
+ * @returns The merged supplier
+ * @throws If a supplier does not exist or the target is among the sources
+ */
+export async function mergeSuppliers(
+    folderPath: string,
+    targetId: string,
+    sourceIds: unknown
+): Promise<SupplierRecord> {
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || sourceIds.some((id) => typeof id !== 'string')) {
+        throw new Error('sourceIds must be a non-empty array of supplier IDs');
+    }
+    if (sourceIds.includes(targetId)) {
+        throw new Error('sourceIds must not include the target supplier');
+    }
+    return updateSuppliers(folderPath, (suppliers) => {
+        const target = findById(suppliers, targetId);
+        const sources = (sourceIds as string[]).map((id) => findById(suppliers, id));
+        for (const source of sources) {
+            addAliases(target, [source.name, ...source.aliases]);
+            target.vatNumber ??= source.vatNumber;
+            target.iban ??= source.iban;
+            target.defaultCategory ??= source.defaultCategory;
+            target.invoiceCount += source.invoiceCount;
+            if (source.firstSeen < target.firstSeen) target.firstSeen = source.firstSeen;
+            if (source.lastSeen > target.lastSeen) target.lastSeen = source.lastSeen;
+            suppliers.splice(suppliers.indexOf(source), 1);
+        }
+        return target;
+    });
+}
+
+/**
+ * Remove a supplier from the registry
+ * @param folderPath - Client base folder holding suppliers.json
+ * @param supplierId - ID of the supplier
+ * @throws If the supplier does not exist
+ */
+export async function deleteSupplier(folderPath: string, supplierId: string): Promise<void> {
+    await updateSuppliers(folderPath, (suppliers) => {
+        suppliers.splice(suppliers.indexOf(findById(suppliers, supplierId)), 1);
+    });
+}
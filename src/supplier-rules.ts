@@ -0,0 +1,100 @@
+/**
+ * Supplier-specific extraction rules
+ * supplierRules (in a client file, checked before the global ones) hold extra
+ * prompt instructions and field clean-ups for single suppliers. A rule is
+ * picked before extraction when its filenamePattern matches the input file or
+ * (with processing.textLayer) its supplier is named in the PDF text, or
+ * afterwards by the extracted supplier name, compared like the supplier
+ * registry compares names. Field rules set a fixed value or rewrite a text
+ * value with a regular expression; format and consistency warnings are then
+ * recomputed from the new values.
+ */
+
+import { isDeepStrictEqual } from 'node:util';
+import { validateAnalysis } from './prompt-builder.js';
+import { containsSupplierName, normalizeSupplierName } from './supplier-registry.js';
+
+import type { AppConfig, InvoiceAnalysis, SupplierRule, SupplierRuleMatch } from './types/index.js';
+
+// ── Private helpers ──
+
+function applyFieldRule(value: unknown, fieldRule: NonNullable<SupplierRule['fields']>[string]): unknown {
+    if (fieldRule.set !== undefined) return fieldRule.set;
+    if (typeof value !== 'string') return value;
+    return value.replace(new RegExp(fieldRule.pattern!, 'g'), fieldRule.replacement ?? '').trim();
+}
+
+// ── Public API ──
+
+/**
+ * Find the first rule whose filenamePattern matches an input file (case-insensitive)
+ * @param filename - Input filename
+ * @param config - Processing configuration
+ * @returns The rule, or null
+ */
+export function findRuleByFilename(filename: string, config: AppConfig): SupplierRule | null {
+    return (
+        (config.supplierRules || []).find(
+            (rule) => rule.filenamePattern && new RegExp(rule.filenamePattern, 'i').test(filename)
+        ) || null
+    );
+}
+
+/**
+ * Find the first rule whose supplier is named in a document's text
+ * @param text - The document text (PDF text layer)
+ * @param config - Processing configuration
+ * @returns The rule, or null
+ */
+export function findRuleByText(text: string, config: AppConfig): SupplierRule | null {
+    return (config.supplierRules || []).find((rule) => containsSupplierName(text, rule.supplier)) || null;
+}
+
+/**
+ * Find the first rule for the supplier of an extraction
+ * The supplier name is compared as extracted and, after a registry match, as its canonical name.
+ * @param analysis - Extracted invoice data
+ * @param config - Processing configuration
+ * @returns The rule, or null
+ */
+export function findRuleBySupplier(analysis: InvoiceAnalysis, config: AppConfig): SupplierRule | null {
+    const names = [analysis.supplierName, analysis._supplier?.extractedName].map(normalizeSupplierName).filter(Boolean);
+    if (names.length === 0) return null;
+    return (config.supplierRules || []).find((rule) => names.includes(normalizeSupplierName(rule.supplier))) || null;
+}
+
+/**
+ * Apply a rule's field rules to an extraction and record the rule on it
+ * Changed fields lose their confidence entry: the value was not read by the model.
+ * @param analysis - Validated invoice data
+ * @param rule - The supplier rule
+ * @param config - Processing configuration
+ * @param match - How the rule was found and whether its promptHint was used
+ * @returns The analysis with _supplierRule set
+ */
+export function applySupplierRule(
+    analysis: InvoiceAnalysis,
+    rule: SupplierRule,
+    config: AppConfig,
+    match: Omit<SupplierRuleMatch, 'supplier' | 'fields'>
+): InvoiceAnalysis {
+    const { _formatWarnings, _consistencyWarnings, ...values } = analysis;
+    const fields: string[] = [];
+    for (const [key, fieldRule] of Object.entries(rule.fields || {})) {
+        const value = applyFieldRule(values[key], fieldRule);
+        if (!isDeepStrictEqual(value, values[key])) {
+            values[key] = value;
+            fields.push(key);
+        }
+    }
+
+    const supplierRule: SupplierRuleMatch = { supplier: rule.supplier, ...match, fields };
+    if (fields.length === 0) return { ...analysis, _supplierRule: supplierRule };
+
+    if (values._confidence) {
+        values._confidence = Object.fromEntries(
+            Object.entries(values._confidence).filter(([key]) => !fields.includes(key))
+        );
+    }
+    return { ...validateAnalysis(values, config), _supplierRule: supplierRule };
+}
@@ -0,0 +1,170 @@
+/**
+ * Local extraction from the PDF text layer
+ * With processing.textLayer, the text of a PDF is read locally before the model
+ * is called. The supplier is recognised by a supplier rule (its filenamePattern,
+ * or its supplier name in the text) or by the supplier registry (VAT number,
+ * IBAN or name in the text), and the rule's textPatterns read field values from
+ * the text. When that finds every required field, the model is not called.
+ * Otherwise the model gets the text layer instead of the PDF (with sendText,
+ * when there is enough text) or the PDF as before.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { isEmptyValue } from './field-values.js';
+import { extractPdfText } from './pdf-text.js';
+import { applySupplierRegistry, findSupplierInText } from './supplier-registry.js';
+import { findRuleBySupplier, findRuleByText } from './supplier-rules.js';
+
+import type { AppConfig, FieldDefinition, SupplierRule, TextLayerInfo } from './types/index.js';
+
+// Text layers with fewer characters (whitespace aside) are treated as scans: the model gets the PDF
+const MIN_TEXT_LENGTH = 100;
+
+// Field types required by default
+const DEFAULT_REQUIRED_TYPES = ['text', 'number', 'date', 'choice'];
+
+/** Outcome of the text-layer stage for one PDF */
+interface TextLayerExtraction {
+    info: TextLayerInfo;
+    text: string; // '' for scans
+    values: Record<string, unknown>; // fields read locally, before the registry and rule field clean-ups
+    rule: SupplierRule | null; // rule recognised by filename or in the text
+}
+
+// ── Private helpers ──
+
+/**
+ * Parse an amount such as "1.234,56", "1,234.56" or "-12.50 EUR"
+ * With one kind of separator, a single group of three digits after it is read
+ * as thousands ("1.234" is 1234).
+ */
+function parseAmount(value: string): number | null {
+    const negative = /^\s*-|-\s*$|^\s*\(.*\)\s*$/.test(value);
+    const digits = value.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(digits)) return null;
+
+    // The last separator is the decimal one, unless only one kind is used and it groups thousands
+    let decimalIndex = Math.max(digits.lastIndexOf(','), digits.lastIndexOf('.'));
+    if (decimalIndex !== -1 && !(digits.includes(',') && digits.includes('.'))) {
+        const groups = digits.split(digits[decimalIndex]);
+        if (groups.length > 2 || groups[1].length === 3) decimalIndex = -1;
+    }
+
+    const integer = (decimalIndex === -1 ? digits : digits.slice(0, decimalIndex)).replace(/[.,]/g, '');
+    const fraction = decimalIndex === -1 ? '' : digits.slice(decimalIndex + 1);
+    const number = Number(`${integer || '0'}.${fraction || '0'}`);
+    return negative ? -number : number;
+}
+
+/**
+ * Parse a date to YYYY-MM-DD: ISO dates, numeric dates with the day first
+ * ("31.01.2024", "31/01/24") and written dates ("31 January 2024")
+ */
+function parseDate(value: string): string | null {
+    const iso = /(\d{4})-(\d{1,2})-(\d{1,2})/.exec(value);
+    const dayFirst = /(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})(?!\d)/.exec(value);
+    let year: number, month: number, day: number;
+    if (iso) {
+        [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+    } else if (dayFirst) {
+        [day, month, year] = [Number(dayFirst[1]), Number(dayFirst[2]), Number(dayFirst[3])];
+        if (dayFirst[3].length === 2) year += 2000;
+    } else {
+        const parsed = Date.parse(`${value} UTC`);
+        return Number.isNaN(parsed) ? null : new Date(parsed).toISOString().slice(0, 10);
+    }
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Read the values of a rule's textPatterns from the text
+ * A pattern's first group (or the whole match) is the value, converted by field type.
+ * A boolean field is true when its pattern matches. Array and table fields are skipped.
+ */
+function readTextPatterns(
+    text: string,
+    rule: SupplierRule,
+    fieldDefinitions: FieldDefinition[]
+): Record<string, unknown> {
+    const values: Record<string, unknown> = {};
+    for (const [key, pattern] of Object.entries(rule.textPatterns || {})) {
+        const field = fieldDefinitions.find((f) => f.key === key && f.enabled);
+        if (!field) continue;
+        const match = new RegExp(pattern, 'im').exec(text);
+        if (field.type === 'boolean') {
+            values[key] = match !== null;
+            continue;
+        }
+        const raw = match ? (match[1] ?? match[0]).trim() : '';
+        if (!raw) continue;
+
+        let value: unknown = null;
+        if (field.type === 'number') value = parseAmount(raw);
+        else if (field.type === 'date') value = parseDate(raw);
+        else if (field.type === 'text' || field.type === 'choice') value = raw;
+        if (value !== null) values[key] = value;
+    }
+    return values;
+}
+
+function getRequiredFields(config: AppConfig): string[] {
+    const enabled = (config.fieldDefinitions || []).filter((f) => f.enabled);
+    const configured = config.processing?.textLayer?.requiredFields;
+    if (configured) return configured.filter((key) => enabled.some((f) => f.key === key));
+    return enabled.filter((f) => DEFAULT_REQUIRED_TYPES.includes(f.type)).map((f) => f.key);
+}
+
+// ── Public API ──
+
+/**
+ * Read a PDF's text layer and the fields it provides locally
+ * @param pdfPath - Path to the (decrypted) PDF
+ * @param config - Client configuration with processing.textLayer
+ * @param filenameRule - Supplier rule already recognised by filename
+ * @returns The stage to use, the text and the values read from it
+ */
+export async function readTextLayer(
+    pdfPath: string,
+    config: AppConfig,
+    filenameRule: SupplierRule | null
+): Promise<TextLayerExtraction> {
+    let text = '';
+    try {
+        text = await extractPdfText(await fs.promises.readFile(pdfPath));
+    } catch (error: unknown) {
+        console.warn(
+            `Warning: Could not read the text layer of ${path.basename(pdfPath)}: ${(error as Error).message}`
+        );
+    }
+
+    const supplier = await findSupplierInText(text, config);
+    const rule =
+        filenameRule ||
+        (text && findRuleByText(text, config)) ||
+        (supplier && findRuleBySupplier({ supplierName: supplier.name }, config)) ||
+        null;
+
+    const values = rule && text ? readTextPatterns(text, rule, config.fieldDefinitions || []) : {};
+    const supplierName = supplier?.name ?? rule?.supplier;
+    const hasSupplierField = (config.fieldDefinitions || []).some((f) => f.key === 'supplierName' && f.enabled);
+    if (text && supplierName && hasSupplierField && isEmptyValue(values.supplierName)) {
+        values.supplierName = supplierName;
+    }
+
+    // Registry values and fixed values of the rule count as found
+    const identified = await applySupplierRegistry(values, config);
+    const missing = getRequiredFields(config).filter(
+        (key) => isEmptyValue(identified[key]) && rule?.fields?.[key]?.set === undefined
+    );
+
+    let stage: TextLayerInfo['stage'] = 'model-document';
+    if (text && (rule || supplier) && missing.length === 0) {
+        stage = 'local';
+    } else if (config.processing?.textLayer?.sendText && text.replace(/\s/g, '').length >= MIN_TEXT_LENGTH) {
+        stage = 'model-text';
+    }
+
+    return { info: { stage, fields: Object.keys(values), missing }, text, values, rule };
+}
@@ -1,7 +1,17 @@
 // Client-related type definitions.
 // Extracted from src/client-manager.js data shapes.
 
-import type { FieldDefinition, TagDefinition, PromptTemplate, OutputConfig, ProcessingConfig } from './config.js';
+import type {
+    FieldDefinition,
+    TagDefinition,
+    PromptTemplate,
+    OutputConfig,
+    ProcessingConfig,
+    ProviderName,
+    ConsistencyRule,
+    CustomFormatDefinition,
+    SupplierRule
+} from './config.js';
 
 /** On-disk client JSON file shape (clients/{clientId}.json) */
 export interface ClientFile {
@@ -10,12 +20,19 @@ export interface ClientFile {
     folderPath: string;
     apiKeyEnvVar?: string | null;
     model?: string;
+    provider?: ProviderName;
+    watch?: boolean; // default true; false excludes the client from watch-folder mode
+    reviewRequired?: boolean; // overrides processing.reviewRequired for this client
+    confidenceThreshold?: number; // overrides processing.confidence.threshold for this client
+    baseCurrency?: string; // overrides processing.currencyConversion.baseCurrency for this client
+    pdfPasswordEnvVar?: string; // overrides processing.pdfPasswordEnvVar for this client
 
     // Modern override format (preferred)
     fieldOverrides?: Record<string, { enabled?: boolean; [key: string]: unknown }>;
     tagOverrides?: Record<string, { enabled?: boolean; [key: string]: unknown }>;
     promptOverride?: Partial<PromptTemplate>;
     outputOverride?: Partial<OutputConfig>;
+    supplierRules?: SupplierRule[]; // checked before the global supplierRules
 
     // Legacy formats (deprecated, still supported for backward compatibility)
     fieldDefinitions?: FieldDefinition[];
@@ -38,6 +55,9 @@ export interface ClientFolders {
     input: string;
     processedOriginal: string;
     processedEnriched: string;
+    duplicates: string;
+    pendingReview: string;
+    failed: string;
     csvPath: string;
 }
 
@@ -48,12 +68,16 @@ export interface MergedClientConfig {
     enabled: boolean;
     apiKeyEnvVar: string | null;
     model: string | null;
+    provider: ProviderName | null;
     folders: ClientFolders;
     processing: ProcessingConfig;
     output: OutputConfig;
     fieldDefinitions: FieldDefinition[];
     tagDefinitions: TagDefinition[] | null;
     promptTemplate: PromptTemplate | Record<string, never>;
+    consistencyRules?: ConsistencyRule[];
+    customFormats?: Record<string, CustomFormatDefinition>;
+    supplierRules?: SupplierRule[];
 }
 
 /** Source annotation for annotated config */
@@ -84,12 +108,20 @@ export interface AnnotatedClientConfig {
         enabled: boolean;
         folderPath: string;
         apiKeyEnvVar: string | null;
+        reviewRequired: boolean;
+        confidenceThreshold: number | null;
+        baseCurrency: string | null;
+        pdfPasswordEnvVar: string | null;
         folderStatus: FolderStatus;
     };
     model: {
         value: string | null;
         _source: 'global' | 'override';
     };
+    provider: {
+        value: ProviderName | null;
+        _source: 'global' | 'override';
+    };
     fieldDefinitions: AnnotatedField[];
     tagDefinitions: AnnotatedTag[];
     promptTemplate: PromptTemplate & { _source: 'global' | 'override' };
@@ -98,4 +130,5 @@ export interface AnnotatedClientConfig {
         _source: 'global' | 'override';
     };
     output: OutputConfig & { _source: 'global' | 'override' };
+    supplierRules: SupplierRule[]; // the client's own rules
 }
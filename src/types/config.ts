@@ -1,7 +1,10 @@
 // Configuration-related type definitions.
 // Extracted from src/config.js and src/constants.js data shapes.
 
-export type FieldType = 'text' | 'number' | 'boolean' | 'date' | 'array';
+export type FieldType = 'text' | 'number' | 'boolean' | 'date' | 'array' | 'table' | 'choice';
+
+/** Cell types allowed in the sub-columns of a `table` field */
+export type TableColumnType = 'text' | 'number' | 'boolean' | 'date';
 
 export type FieldFormatKey =
     | 'iso8601'
@@ -20,7 +23,42 @@ export interface FieldFormatDefinition {
     compatibleTypes: FieldType[];
 }
 
-export type OverrideSection = 'fields' | 'tags' | 'prompt' | 'output' | 'model';
+/** Check-digit algorithms available to custom formats */
+export type ChecksumAlgorithm = 'mod97' | 'luhn' | 'mod11';
+
+/** Clean-ups applied to a value before a custom format is checked */
+export type FormatNormalization = 'stripSpaces' | 'uppercase';
+
+/** User-defined field format (e.g. a national VAT number), keyed by format name in `customFormats` */
+export interface CustomFormatDefinition {
+    label: string;
+    pattern: string; // regular expression the whole (normalized) value must match
+    normalize?: FormatNormalization[];
+    checksum?: ChecksumAlgorithm;
+    weights?: number[]; // mod11 only: one weight per digit, left to right
+    example?: string; // shown to the model next to the schema hint
+}
+
+export type OverrideSection = 'fields' | 'tags' | 'prompt' | 'output' | 'model' | 'provider' | 'supplierRules';
+
+/** Post-processing of one extracted field: a fixed value, or a regex replacement in a text value */
+export interface SupplierFieldRule {
+    set?: string | number | boolean;
+    pattern?: string; // regular expression, every match is replaced
+    replacement?: string; // default ''; may use $1 etc.
+}
+
+/** Extraction rule for invoices from one supplier */
+export interface SupplierRule {
+    supplier: string; // compared like the supplier registry: ignoring case, punctuation and legal forms
+    filenamePattern?: string; // regular expression on the input filename, identifies the supplier before extraction
+    promptHint?: string; // extra instructions added to the extraction prompt
+    fields?: Record<string, SupplierFieldRule>; // by field key, applied after extraction
+    textPatterns?: Record<string, string>; // by field key: regular expression on the PDF text layer, group 1 is the value
+    pdfPasswordEnvVar?: string; // environment variable holding the password of the supplier's encrypted PDFs
+}
+
+export type ProviderName = 'gemini' | 'openai' | 'local';
 
 export interface FieldDefinition {
     key: string;
@@ -30,6 +68,46 @@ export interface FieldDefinition {
     instruction: string;
     enabled: boolean;
     format?: string | null;
+    columns?: TableColumnDefinition[]; // table fields only
+    options?: ChoiceOption[]; // choice fields only
+    eInvoiceField?: string; // e-invoice value to fill this field from, when the key is not a standard name
+}
+
+/** Allowed value of a `choice` field (e.g. a cost centre) */
+export interface ChoiceOption {
+    value: string; // stored and used in filenames and exports
+    label: string;
+    description?: string; // tells the model when the option applies
+}
+
+/** Sub-column of a `table` field (e.g. a line item's quantity) */
+export interface TableColumnDefinition {
+    key: string;
+    label: string;
+    type: TableColumnType;
+    schemaHint?: string;
+}
+
+export type ConsistencyRuleType = 'sum' | 'dateOrder' | 'equal';
+
+/**
+ * Cross-field consistency rule checked after extraction.
+ * Field references are field keys, or "tableKey.columnKey" for table columns.
+ */
+export interface ConsistencyRule {
+    id: string;
+    type: ConsistencyRuleType;
+    label?: string;
+    enabled?: boolean; // default true
+    // sum: addends (summed) must equal total within tolerance
+    addends?: string[];
+    total?: string;
+    tolerance?: number; // absolute, default 0.01
+    // dateOrder: earlier must be on or before later
+    earlier?: string;
+    later?: string;
+    // equal: all present values must match (case-insensitive for text)
+    fields?: string[];
 }
 
 export interface TagParameter {
@@ -57,14 +135,113 @@ export interface OutputConfig {
     filenameTemplate: string;
     processedOriginalSubfolder: string;
     processedEnrichedSubfolder: string;
+    duplicatesSubfolder?: string;
     csvFilename: string;
     includeSummary?: boolean;
+    ubl?: UblExportConfig;
+    exportProfile?: string; // default accounting export profile for the client
+}
+
+/** UBL (Peppol BIS Billing 3.0) export of processed invoices */
+export interface UblExportConfig {
+    enabled?: boolean; // write an .xml next to every enriched PDF
+    mapping?: Record<string, string>; // field key -> UBL value name (one of E_INVOICE_FIELDS)
+}
+
+export type ExportFormat = 'csv' | 'iif' | 'saft';
+
+export type ExportEncoding = 'utf-8' | 'utf-8-bom' | 'windows-1252';
+
+export type ExportValueType = 'text' | 'amount' | 'date' | 'boolean';
+
+/** Column of a CSV export profile */
+export interface ExportColumn {
+    header: string;
+    field?: string | string[]; // field key, or "tableKey.columnKey" in line-item rows; the first non-empty value is used
+    tag?: string; // tag id, written as the profile's booleanValues
+    value?: string; // constant, or fallback when the fields are empty; {setting} placeholders are replaced
+    type?: ExportValueType; // default 'text'
+    maxLength?: number;
+}
+
+/** Accounting-system export layout (built in, or from config.json exportProfiles) */
+export interface ExportProfile {
+    label: string;
+    format: ExportFormat;
+    extension?: string; // default by format: .csv, .iif, .xml
+    encoding?: ExportEncoding; // default 'utf-8'
+    lineEnding?: '\n' | '\r\n'; // default '\n'
+    delimiter?: string; // csv, default ','
+    decimalSeparator?: '.' | ','; // default '.'
+    dateFormat?: string; // YYYY, YY, MM, DD tokens; default 'YYYY-MM-DD'
+    booleanValues?: [string, string]; // default ['Yes', 'No']
+    quoteText?: boolean; // csv: quote every non-empty text value
+    preamble?: string[]; // csv: lines before the header; {from:FORMAT}, {to:FORMAT}, {created:FORMAT}, {setting}
+    rowsPerLineItem?: string; // csv: table field key; one row per entry instead of per invoice
+    columns?: ExportColumn[]; // csv
+    settings?: Record<string, string>; // account numbers and other per-installation values
+}
+
+export type SplitMode = 'classify' | 'pages';
+
+/** Splitting of scans that hold several invoices */
+export interface SplittingConfig {
+    enabled?: boolean;
+    mode?: SplitMode; // 'classify' (default): ask the model where each invoice starts; 'pages': fixed page count
+    pagesPerDocument?: number; // 'pages' mode
+    model?: string; // model for the classification call; defaults to the extraction model
+}
+
+/** What happens to an invoice with a field below the confidence threshold */
+export type LowConfidenceAction = 'review' | 'fail';
+
+/** Per-field confidence scores reported by the model */
+export interface ConfidenceConfig {
+    enabled?: boolean; // ask for confidence and source text per field; implied by threshold
+    threshold?: number; // 0-1: invoices with a field below it are held for review or failed
+    action?: LowConfidenceAction; // default 'review'
+}
+
+/** Conversion of totalAmount to a base currency with a local daily rate table */
+export interface CurrencyConversionConfig {
+    baseCurrency?: string; // ISO 4217 code; no conversion without one
+    ratesFile?: string; // CSV of daily rates, default data/eurofxref-hist.csv (ECB)
+    ratesBase?: string; // currency the table quotes against, default 'EUR'
+}
+
+/** Local extraction from the PDF text layer before the model is called */
+export interface TextLayerConfig {
+    enabled?: boolean; // default false
+    requiredFields?: string[]; // fields that must be read locally to skip the model; default: enabled text, number, date and choice fields
+    sendText?: boolean; // default false: when fields are missing, send the text layer instead of the PDF
+}
+
+/** Cache of model responses, per client folder */
+export interface ResponseCacheConfig {
+    enabled?: boolean; // default false
+    maxSizeMb?: number; // default 50: least recently used responses are removed above it
 }
 
 export interface ProcessingConfig {
     concurrency: number;
     retryAttempts: number;
     retryDelayMs?: number;
+    detectDuplicates?: boolean; // default true
+    readEInvoices?: boolean; // default true: use embedded/standalone e-invoice XML instead of the model
+    reviewRequired?: boolean; // default false: hold extractions in pending-review until approved
+    supplierRegistry?: boolean; // default false: match extractions to the client's suppliers.json and learn from them
+    splitting?: SplittingConfig;
+    confidence?: ConfidenceConfig;
+    currencyConversion?: CurrencyConversionConfig;
+    pdfPasswordEnvVar?: string; // environment variable holding the password of encrypted PDFs
+    textLayer?: TextLayerConfig;
+    responseCache?: ResponseCacheConfig;
+}
+
+export interface WatchConfig {
+    enabled?: boolean; // start the watcher with the server
+    pollIntervalMs?: number;
+    stabilityMs?: number; // how long a file must stay unchanged before it is picked up
 }
 
 export interface FoldersConfig {
@@ -83,6 +260,12 @@ export interface AppConfig {
     promptTemplate?: PromptTemplate;
     rawPrompt?: string;
     model?: string;
+    provider?: ProviderName;
+    consistencyRules?: ConsistencyRule[];
+    watch?: WatchConfig;
+    exportProfiles?: Record<string, Partial<ExportProfile>>; // new profiles, or changes to built-in ones
+    customFormats?: Record<string, CustomFormatDefinition>;
+    supplierRules?: SupplierRule[];
 }
 
 export interface ExportBundle {
@@ -2,15 +2,40 @@
 
 export type {
     FieldType,
+    TableColumnType,
+    ChoiceOption,
+    TableColumnDefinition,
     FieldFormatKey,
     FieldFormatDefinition,
+    ChecksumAlgorithm,
+    FormatNormalization,
+    CustomFormatDefinition,
     OverrideSection,
+    SupplierFieldRule,
+    SupplierRule,
+    ProviderName,
+    ConsistencyRuleType,
+    ConsistencyRule,
     FieldDefinition,
     TagParameter,
     TagDefinition,
     PromptTemplate,
     OutputConfig,
+    UblExportConfig,
+    ExportFormat,
+    ExportEncoding,
+    ExportValueType,
+    ExportColumn,
+    ExportProfile,
     ProcessingConfig,
+    LowConfidenceAction,
+    ConfidenceConfig,
+    CurrencyConversionConfig,
+    TextLayerConfig,
+    ResponseCacheConfig,
+    SplitMode,
+    SplittingConfig,
+    WatchConfig,
     FoldersConfig,
     AppConfig,
     ExportBundle,
@@ -33,6 +58,17 @@ export type {
 
 export type {
     TokenUsage,
+    ConsistencyWarning,
+    FieldConfidence,
+    CurrencyConversion,
+    SupplierRecord,
+    SupplierMatchReason,
+    SupplierMatch,
+    SupplierRuleMatch,
+    ExtractionRequest,
+    ResponseSchema,
+    ExtractionResponse,
+    ExtractionProvider,
     InvoiceAnalysis,
     ProcessingSuccess,
     ProcessingFailure,
@@ -48,9 +84,28 @@ export type {
     OnClientStartCallback,
     OnClientCompleteCallback,
     GlobalResultRecord,
+    DuplicateReason,
+    DuplicateMatch,
+    SplitSource,
+    EmbeddedAnalysis,
+    ExtractionSource,
+    EInvoiceSyntax,
+    EInvoiceInfo,
+    TextLayerStage,
+    TextLayerInfo,
+    ResultStatus,
+    ReviewInfo,
+    ResultCorrection,
     ResultRecord,
     ResultsFileData,
     GetResultsOptions,
     PaginatedResults,
-    SummaryStats
+    SummaryStats,
+    JobType,
+    JobStatus,
+    JobFileStatus,
+    JobClient,
+    JobFile,
+    JobSummary,
+    Job
 } from './processing.js';
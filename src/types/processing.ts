@@ -1,7 +1,9 @@
 // Processing pipeline type definitions.
 // Extracted from src/processor.js, src/parallel-processor.js, src/result-manager.js.
 
-/** Token usage from Gemini API response */
+import type { ConsistencyRuleType, ProviderName } from './config.js';
+
+/** Token usage from an extraction provider response, normalised across vendors */
 export interface TokenUsage {
     promptTokens: number;
     outputTokens: number;
@@ -10,17 +12,194 @@ export interface TokenUsage {
     thoughtsTokens?: number;
 }
 
+/** Response schema in the OpenAPI subset Gemini accepts for structured output */
+export interface ResponseSchema {
+    type: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean';
+    description?: string;
+    nullable?: boolean;
+    format?: 'enum';
+    enum?: string[];
+    properties?: Record<string, ResponseSchema>;
+    required?: string[];
+    propertyOrdering?: string[];
+    items?: ResponseSchema;
+}
+
+/** Document payload and prompt sent to an extraction provider */
+export interface ExtractionRequest {
+    model: string;
+    systemInstruction: string;
+    document?: {
+        mimeType: string;
+        data: string; // base64
+    }; // not set when text is sent instead
+    text?: string; // PDF text layer, sent instead of the document
+    useJsonMode: boolean;
+    responseSchema?: ResponseSchema; // JSON mode only; constrains the response where the provider supports it
+}
+
+/** Raw model output returned by an extraction provider */
+export interface ExtractionResponse {
+    text: string;
+    tokenUsage: TokenUsage;
+}
+
+/** Vendor adapter behind analyzeInvoice() */
+export interface ExtractionProvider {
+    name: ProviderName;
+    defaultModel: string;
+    generate(request: ExtractionRequest): Promise<ExtractionResponse>;
+}
+
+/** Failed cross-field consistency rule */
+export interface ConsistencyWarning {
+    rule: string;
+    type: ConsistencyRuleType;
+    fields: string[];
+    message: string;
+    expected?: number | string;
+    actual?: number | string;
+}
+
+/** Model's confidence in one extracted value and where it was read */
+export interface FieldConfidence {
+    confidence: number; // 0 (guess) to 1 (clearly printed)
+    source?: string; // text snippet the value was read from
+    page?: number; // 1-based
+}
+
 /** Extracted invoice data — keys are dynamic from fieldDefinitions */
 export interface InvoiceAnalysis {
     [fieldKey: string]: unknown;
     tags?: Record<string, boolean>;
     summary?: string;
     _formatWarnings?: Array<{ field: string; format: string; value: unknown; error: string | undefined }>;
+    _consistencyWarnings?: ConsistencyWarning[];
+    _confidence?: Record<string, FieldConfidence>; // by field key, when processing.confidence is enabled
+    _conversion?: CurrencyConversion; // when processing.currencyConversion has a base currency
+    _supplier?: SupplierMatch; // when processing.supplierRegistry matched a known supplier
+    _supplierRule?: SupplierRuleMatch; // when one of the supplierRules applied
     _tokenUsage?: TokenUsage;
+    _fromCache?: boolean; // the model response came from processing.responseCache
+    _model?: string; // model the fields were extracted with
     // Legacy support
     isPrivate?: boolean;
 }
 
+/** totalAmount converted to the base currency */
+export interface CurrencyConversion {
+    baseCurrency: string;
+    baseCurrencyAmount: number; // rounded to 2 decimals
+    rate: number; // base-currency units per unit of the invoice currency
+    rateDate: string; // YYYY-MM-DD of the rates used (the invoice date, or the last rates before it)
+    sourceCurrency: string;
+}
+
+/** Supplier master data, stored per client in suppliers.json */
+export interface SupplierRecord {
+    id: string;
+    name: string; // canonical name used for supplierName
+    aliases: string[]; // other spellings extracted for this supplier
+    vatNumber: string | null;
+    iban: string | null;
+    defaultCategory: string | null; // used when no category is extracted
+    invoiceCount: number;
+    firstSeen: string;
+    lastSeen: string;
+}
+
+/** How an extraction was matched to a registry supplier */
+export type SupplierMatchReason = 'vatNumber' | 'iban' | 'name';
+
+/** Registry supplier an extraction was matched to */
+export interface SupplierMatch {
+    id: string;
+    matchedBy: SupplierMatchReason;
+    extractedName?: string; // the extracted supplierName, when the canonical name replaced it
+}
+
+/** Supplier rule applied to an extraction */
+export interface SupplierRuleMatch {
+    supplier: string; // the rule's supplier
+    matchedBy: 'filename' | 'text' | 'supplierName';
+    promptHint: boolean; // the extraction was made with the rule's promptHint
+    fields: string[]; // keys of the fields the rule changed
+}
+
+/** How a duplicate was recognised: identical PDF bytes, or same supplier + invoice number + amount */
+export type DuplicateReason = 'fileHash' | 'invoiceKey';
+
+/** Link from a duplicate to the earlier record it repeats */
+export interface DuplicateMatch {
+    id: string;
+    reason: DuplicateReason;
+    originalFilename: string;
+    outputFilename: string | null;
+    timestamp: string | null; // null when the original is still being processed in the same batch
+}
+
+/** Scan and pages an invoice was split from (1-based, inclusive) */
+export interface SplitSource {
+    filename: string;
+    firstPage: number;
+    lastPage: number;
+}
+
+/** Where the extracted fields came from: the model, structured e-invoice XML, or the PDF text layer alone */
+export type ExtractionSource = 'model' | 'xml' | 'text';
+
+/**
+ * What the text-layer stage (processing.textLayer) did with a PDF:
+ * read every required field locally, or send the model the text layer or the document
+ */
+export type TextLayerStage = 'local' | 'model-text' | 'model-document';
+
+/** Outcome of the text-layer stage */
+export interface TextLayerInfo {
+    stage: TextLayerStage;
+    fields: string[]; // field keys read from the text layer
+    missing: string[]; // required fields that were not found in it
+}
+
+export type EInvoiceSyntax = 'cii' | 'ubl';
+
+/** Structured e-invoice (Factur-X/ZUGFeRD, XRechnung, UBL) the fields were read from */
+export interface EInvoiceInfo {
+    syntax: EInvoiceSyntax;
+    profile: string | null; // guideline/customization ID, e.g. "urn:cen.eu:en16931:2017"
+    attachment: string | null; // XML file attached to the PDF; null for a standalone .xml file
+}
+
+/** Extraction results embedded in an enriched PDF as analysis.json */
+export interface EmbeddedAnalysis {
+    version: 1;
+    generator: string;
+    processedAt: string;
+    provider: string;
+    model: string | null; // null when the provider's default model was used
+    source: ExtractionSource;
+    originalFilename: string;
+    fields: Record<string, unknown>;
+    tags: Record<string, boolean>;
+}
+
+/** Result status as stored in results.jsonl */
+export type ResultStatus = 'success' | 'failed' | 'dry-run' | 'duplicate' | 'pending-review';
+
+/** Sign-off of a result that was held for review */
+export interface ReviewInfo {
+    decision: 'approved' | 'rejected';
+    reviewedAt: string;
+    editedFields: string[]; // field keys (and "tags.<id>") changed by the reviewer
+}
+
+/** Manual correction of a stored result, kept as an audit trail */
+export interface ResultCorrection {
+    correctedAt: string;
+    changes: Record<string, { from: unknown; to: unknown }>; // by field key, or "tags.<id>"
+    previousOutputFilename?: string; // set when the correction renamed the enriched PDF
+}
+
 /** Successful processing result */
 export interface ProcessingSuccess {
     success: true;
@@ -33,6 +212,16 @@ export interface ProcessingSuccess {
     analysis: InvoiceAnalysis;
     tokenUsage: TokenUsage;
     duration?: number;
+    fileHash?: string;
+    duplicateOf?: DuplicateMatch; // set when the invoice was moved to the duplicates subfolder
+    splitFrom?: SplitSource;
+    source?: ExtractionSource; // not set when a duplicate was recognised before extraction
+    eInvoice?: EInvoiceInfo;
+    textLayer?: TextLayerInfo;
+    fromCache?: boolean; // the model response came from processing.responseCache: no tokens were spent
+    model?: string; // model the fields were extracted with (source 'model')
+    reviewPath?: string; // set when the invoice waits in the pending-review subfolder (outputFilename is then proposed)
+    lowConfidence?: string[]; // field keys below processing.confidence.threshold
 }
 
 /** Failed processing result */
@@ -44,6 +233,11 @@ export interface ProcessingFailure {
     rawResponse: string | null;
     tokenUsage: TokenUsage;
     duration?: number;
+    fileHash?: string;
+    splitFrom?: SplitSource;
+    lowConfidence?: string[]; // set when the invoice failed processing.confidence.threshold
+    failureReason?: 'encrypted'; // the PDF could not be decrypted with the configured passwords
+    failedPath?: string; // where the file was set aside (the failed subfolder)
 }
 
 /** Union type for processing results */
@@ -61,6 +255,7 @@ export interface ProgressEvent {
     delay?: number;
     error?: string;
     analysis?: InvoiceAnalysis;
+    duplicateOf?: DuplicateMatch;
     [key: string]: unknown;
 }
 
@@ -74,9 +269,14 @@ export interface BatchResult {
     total: number;
     success: number;
     failed: number;
+    duplicates: number;
     results: ProcessingResult[];
     csvRowsAdded: number;
     tokenUsage: TokenUsage;
+    /** Invoices held for review (counted in success) */
+    pendingReview?: number;
+    /** Files left in the input folder because the batch was cancelled */
+    cancelled?: number;
 }
 
 /** Options for processAllInvoices */
@@ -91,6 +291,10 @@ export interface ProcessAllOptions {
     files?: string[];
     clientId?: string;
     clientName?: string;
+    /** Cancels the batch: files that have not started stay in the input folder */
+    signal?: AbortSignal;
+    /** Awaited before each file starts; pauses the batch at file boundaries until it resolves */
+    waitWhilePaused?: () => Promise<void>;
 }
 
 /** Per-client batch result */
@@ -132,7 +336,7 @@ export interface GlobalResultRecord {
     clientName: string;
     originalFilename: string;
     outputFilename: string | null;
-    status: 'success' | 'failed' | 'dry-run';
+    status: ResultStatus;
     model: string | null;
     extractedFields: Record<string, unknown>;
     tags: Record<string, boolean>;
@@ -141,6 +345,19 @@ export interface GlobalResultRecord {
     error: string | null;
     duration: number | null;
     retriedFrom?: string;
+    fileHash?: string;
+    duplicateOf?: DuplicateMatch;
+    splitFrom?: SplitSource;
+    source?: ExtractionSource;
+    eInvoice?: EInvoiceInfo;
+    textLayer?: TextLayerInfo;
+    fromCache?: boolean;
+    reviewFile?: string; // file in the pending-review subfolder while status is 'pending-review'
+    review?: ReviewInfo;
+    corrections?: ResultCorrection[]; // oldest first
+    lowConfidence?: string[]; // field keys below the client's confidence threshold
+    failureReason?: 'encrypted'; // the PDF could not be decrypted with the configured passwords
+    failedFile?: string; // file in the failed subfolder
 }
 
 /** Stored result record (in processing-results.json) */
@@ -148,7 +365,7 @@ export interface ResultRecord {
     id: string;
     originalFilename: string;
     outputFilename: string | null;
-    status: 'success' | 'failed' | 'dry-run';
+    status: ResultStatus;
     model: string | null;
     extractedFields: Record<string, unknown>;
     tags: Record<string, boolean>;
@@ -158,6 +375,19 @@ export interface ResultRecord {
     rawResponse: string | null;
     duration: number | null;
     retriedFrom?: string;
+    fileHash?: string;
+    duplicateOf?: DuplicateMatch;
+    splitFrom?: SplitSource;
+    source?: ExtractionSource;
+    eInvoice?: EInvoiceInfo;
+    textLayer?: TextLayerInfo;
+    fromCache?: boolean;
+    reviewFile?: string; // file in the pending-review subfolder while status is 'pending-review'
+    review?: ReviewInfo;
+    corrections?: ResultCorrection[]; // oldest first
+    lowConfidence?: string[]; // field keys below the client's confidence threshold
+    failureReason?: 'encrypted'; // the PDF could not be decrypted with the configured passwords
+    failedFile?: string; // file in the failed subfolder
 }
 
 /** Results file on-disk shape */
@@ -168,7 +398,7 @@ export interface ResultsFileData {
 
 /** Options for getResults() */
 export interface GetResultsOptions {
-    status?: 'success' | 'failed';
+    status?: ResultStatus;
     limit?: number;
     offset?: number;
 }
@@ -186,8 +416,66 @@ export interface SummaryStats {
     success: number;
     failed: number;
     dryRun: number;
+    duplicate: number;
+    pendingReview: number;
     successRate: number;
     tokenUsage: TokenUsage;
+    cacheHits: number; // results whose model response came from the response cache
     firstProcessed: string | null;
     lastProcessed: string | null;
 }
+
+/** Kind of work a job performs */
+export type JobType = 'process' | 'process-all' | 'retry';
+
+/** Lifecycle of a job; 'queued' jobs were interrupted by a restart, 'paused' jobs hold before their next file */
+export type JobStatus = 'queued' | 'running' | 'paused' | 'completed' | 'failed' | 'cancelled';
+
+/** Lifecycle of a single file within a job */
+export type JobFileStatus = 'queued' | 'running' | 'done' | 'failed';
+
+/** Client covered by a job */
+export interface JobClient {
+    clientId: string;
+    name: string;
+}
+
+/** File tracked by a job */
+export interface JobFile {
+    clientId: string;
+    filename: string;
+    status: JobFileStatus;
+    resultId?: string; // retry jobs: the failed result being retried
+    splitFrom?: SplitSource; // retry jobs: the result was split from a larger scan
+    outputFilename?: string;
+    duplicate?: boolean;
+    pendingReview?: boolean; // held in the review queue
+    error?: string;
+}
+
+/** Counts reported when a job finishes */
+export interface JobSummary {
+    total: number;
+    success: number;
+    failed: number;
+    duplicates: number;
+    pendingReview?: number; // files held for review (counted in success, as in BatchResult)
+}
+
+/** Persistent processing job (data/jobs/{id}.json) */
+export interface Job {
+    id: string;
+    type: JobType;
+    status: JobStatus;
+    clients: JobClient[];
+    files: JobFile[];
+    dryRun: boolean;
+    skipCache?: boolean; // retry: ask the model again instead of using cached responses
+    createdAt: string;
+    startedAt: string | null;
+    finishedAt: string | null;
+    resumedAt?: string; // last restart after an interruption
+    cancelRequested?: boolean;
+    summary?: JobSummary;
+    error?: string;
+}
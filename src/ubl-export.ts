@@ -0,0 +1,303 @@
+/**
+ * UBL export
+ * Turns extracted invoice fields into UBL 2.1 invoices following Peppol BIS
+ * Billing 3.0, for accounting systems that import UBL rather than CSV.
+ *
+ * Fields are mapped onto the same value names used for e-invoice ingestion
+ * (E_INVOICE_FIELDS): output.ubl.mapping first, then a field's eInvoiceField,
+ * then its own key. Only extracted values are written; addresses and Peppol
+ * endpoint IDs are not part of the extraction, so strict validators may ask
+ * for them.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { E_INVOICE_FIELDS } from './constants.js';
+import { formatDateForCSV } from './csv-logger.js';
+import { toAmount } from './field-values.js';
+import { escapeXml } from './xml.js';
+import { createZip } from './zip.js';
+
+import type { EInvoiceField, EInvoiceValues } from './e-invoice.js';
+import type { AppConfig, ResultRecord } from './types/index.js';
+
+const CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0';
+const PROFILE_ID = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+const REQUIRED_VALUES: EInvoiceField[] = ['invoiceNumber', 'invoiceDate', 'currency', 'totalAmount'];
+
+// Greece uses EL in VAT numbers but GR as its ISO country code
+const VAT_PREFIX_COUNTRIES: Record<string, string> = { EL: 'GR' };
+
+interface UblLine {
+    description: string;
+    quantity: number;
+    unitPrice: number;
+    lineTotal: number;
+    vatRate: number | null;
+}
+
+// ── Private: values ──
+
+function toText(value: unknown): string | null {
+    if (value === null || value === undefined || value === 'Unknown') return null;
+    const text = String(value).trim();
+    return text ? text : null;
+}
+
+function formatAmount(value: number): string {
+    return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+/**
+ * Collect the UBL values from extracted fields according to the field mapping
+ */
+function mapFieldsToUbl(fields: Record<string, unknown>, config: AppConfig): EInvoiceValues {
+    const mapping = config.output?.ubl?.mapping || {};
+    const definitions = new Map((config.fieldDefinitions || []).map((field) => [field.key, field]));
+    const values: EInvoiceValues = {};
+
+    for (const [key, value] of Object.entries(fields)) {
+        const target = mapping[key] ?? definitions.get(key)?.eInvoiceField ?? key;
+        if ((E_INVOICE_FIELDS as readonly string[]).includes(target) && value !== null && value !== undefined) {
+            values[target as EInvoiceField] ??= value;
+        }
+    }
+    return values;
+}
+
+function toLines(value: unknown): UblLine[] {
+    if (!Array.isArray(value)) return [];
+
+    return value.flatMap((row: Record<string, unknown>) => {
+        const quantity = toAmount(row?.quantity) ?? 1;
+        const unitPrice = toAmount(row?.unitPrice);
+        const lineTotal = toAmount(row?.lineTotal) ?? (unitPrice !== null ? quantity * unitPrice : null);
+        if (lineTotal === null) return [];
+        return [
+            {
+                description: toText(row.description) || 'Item',
+                quantity,
+                unitPrice: unitPrice ?? (quantity ? lineTotal / quantity : lineTotal),
+                lineTotal,
+                vatRate: toAmount(row.vatRate)
+            }
+        ];
+    });
+}
+
+// ── Private: XML ──
+
+function element(name: string, value: string | null, attributes = ''): string | null {
+    return value === null ? null : `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+}
+
+function amount(name: string, value: number | null, currency: string): string | null {
+    return value === null ? null : element(name, formatAmount(value), ` currencyID="${escapeXml(currency)}"`);
+}
+
+function block(name: string, children: Array<string | null>): string {
+    return `<${name}>${children.filter((child) => child !== null).join('')}</${name}>`;
+}
+
+function taxCategory(name: string, rate: number): string {
+    return block(name, [
+        element('cbc:ID', rate === 0 ? 'Z' : 'S'),
+        element('cbc:Percent', String(rate)),
+        block('cac:TaxScheme', [element('cbc:ID', 'VAT')])
+    ]);
+}
+
+function party(name: string, vatNumber: string | null): string {
+    const prefix = vatNumber && /^[A-Z]{2}/.test(vatNumber) ? vatNumber.slice(0, 2) : null;
+    const country = prefix ? VAT_PREFIX_COUNTRIES[prefix] || prefix : null;
+
+    return block('cac:Party', [
+        block('cac:PartyName', [element('cbc:Name', name)]),
+        country
+            ? block('cac:PostalAddress', [block('cac:Country', [element('cbc:IdentificationCode', country)])])
+            : null,
+        vatNumber
+            ? block('cac:PartyTaxScheme', [
+                  element('cbc:CompanyID', vatNumber),
+                  block('cac:TaxScheme', [element('cbc:ID', 'VAT')])
+              ])
+            : null,
+        block('cac:PartyLegalEntity', [element('cbc:RegistrationName', name)])
+    ]);
+}
+
+/**
+ * Build the VAT breakdown: one subtotal per line VAT rate when every line has
+ * one, otherwise a single subtotal derived from the net and VAT amounts
+ */
+function taxSubtotals(lines: UblLine[], net: number | null, vat: number | null, currency: string): string[] {
+    const rates = new Set(lines.map((line) => line.vatRate));
+    if (lines.length > 0 && !rates.has(null)) {
+        return [...rates].map((rate) => {
+            const taxable = lines.filter((line) => line.vatRate === rate).reduce((sum, l) => sum + l.lineTotal, 0);
+            const tax = rates.size === 1 && vat !== null ? vat : (taxable * rate!) / 100;
+            return block('cac:TaxSubtotal', [
+                amount('cbc:TaxableAmount', taxable, currency),
+                amount('cbc:TaxAmount', tax, currency),
+                taxCategory('cac:TaxCategory', rate!)
+            ]);
+        });
+    }
+    if (net === null || vat === null) return [];
+
+    const rate = net ? Math.round((vat / net) * 10000) / 100 : 0;
+    return [
+        block('cac:TaxSubtotal', [
+            amount('cbc:TaxableAmount', net, currency),
+            amount('cbc:TaxAmount', vat, currency),
+            taxCategory('cac:TaxCategory', rate)
+        ])
+    ];
+}
+
+// ── Public API ──
+
+/**
+ * Build a UBL 2.1 invoice (Peppol BIS Billing 3.0) from extracted fields
+ * @param fields - Extracted fields, as stored in a result record
+ * @param config - Configuration with fieldDefinitions and output.ubl
+ * @returns The XML document
+ * @throws If the invoice number, invoice date, currency or total amount is missing
+ */
+export function buildUblInvoice(fields: Record<string, unknown>, config: AppConfig): string {
+    const values = mapFieldsToUbl(fields, config);
+    const missing = REQUIRED_VALUES.filter((key) => toText(values[key]) === null);
+    if (missing.length > 0) {
+        throw new Error(`Missing ${missing.join(', ')} for a UBL invoice`);
+    }
+
+    const currency = toText(values.currency)!.toUpperCase();
+    const total = toAmount(values.totalAmount);
+    if (total === null) {
+        throw new Error(`totalAmount "${values.totalAmount}" is not a number`);
+    }
+    const date = (value: unknown) => (toText(value) ? formatDateForCSV(toText(value)) : null);
+    const lines = toLines(values.lineItems);
+    const lineSum = lines.length > 0 ? lines.reduce((sum, line) => sum + line.lineTotal, 0) : null;
+    let net = toAmount(values.netAmount);
+    let vat = toAmount(values.vatAmount);
+    net ??= vat !== null ? total - vat : lineSum;
+    vat ??= net !== null ? total - net : null;
+
+    const supplierName = toText(values.supplierName);
+    const buyerName = toText(values.buyerName);
+    const iban = toText(values.iban)?.replace(/\s/g, '') || null;
+    const paymentReference = toText(values.paymentReference);
+    const subtotals = taxSubtotals(lines, net, vat, currency);
+
+    const invoice = [
+        '<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"',
+        ' xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"',
+        ' xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">',
+        element('cbc:CustomizationID', CUSTOMIZATION_ID),
+        element('cbc:ProfileID', PROFILE_ID),
+        element('cbc:ID', toText(values.invoiceNumber)),
+        element('cbc:IssueDate', date(values.invoiceDate)),
+        element('cbc:DueDate', date(values.paymentDate)),
+        element('cbc:InvoiceTypeCode', '380'),
+        element('cbc:DocumentCurrencyCode', currency),
+        supplierName ? block('cac:AccountingSupplierParty', [party(supplierName, toText(values.vatNumber))]) : null,
+        buyerName ? block('cac:AccountingCustomerParty', [party(buyerName, null)]) : null,
+        iban || paymentReference
+            ? block('cac:PaymentMeans', [
+                  element('cbc:PaymentMeansCode', '30'), // credit transfer
+                  element('cbc:PaymentID', paymentReference),
+                  iban ? block('cac:PayeeFinancialAccount', [element('cbc:ID', iban)]) : null
+              ])
+            : null,
+        vat !== null ? block('cac:TaxTotal', [amount('cbc:TaxAmount', vat, currency), ...subtotals]) : null,
+        block('cac:LegalMonetaryTotal', [
+            amount('cbc:LineExtensionAmount', lineSum ?? net, currency),
+            amount('cbc:TaxExclusiveAmount', net, currency),
+            amount('cbc:TaxInclusiveAmount', total, currency),
+            amount('cbc:PayableAmount', toAmount(values.amountDue) ?? total, currency)
+        ]),
+        ...lines.map((line, index) =>
+            block('cac:InvoiceLine', [
+                element('cbc:ID', String(index + 1)),
+                element('cbc:InvoicedQuantity', String(line.quantity), ' unitCode="C62"'),
+                amount('cbc:LineExtensionAmount', line.lineTotal, currency),
+                block('cac:Item', [
+                    element('cbc:Name', line.description),
+                    line.vatRate !== null ? taxCategory('cac:ClassifiedTaxCategory', line.vatRate) : null
+                ]),
+                block('cac:Price', [amount('cbc:PriceAmount', line.unitPrice, currency)])
+            ])
+        ),
+        '</Invoice>'
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${invoice.filter((part) => part !== null).join('\n')}\n`;
+}
+
+/**
+ * Get the UBL filename for an enriched PDF
+ * @param filename - Enriched PDF filename
+ * @returns The same name with an .xml extension
+ */
+export function getUblFilename(filename: string): string {
+    return `${path.basename(filename, path.extname(filename))}.xml`;
+}
+
+/**
+ * Write the UBL invoice next to an enriched PDF
+ * @param pdfPath - Path to the enriched PDF
+ * @param fields - Extracted fields
+ * @param config - Configuration object
+ * @returns Path of the written .xml file
+ */
+export async function writeUblFile(
+    pdfPath: string,
+    fields: Record<string, unknown>,
+    config: AppConfig
+): Promise<string> {
+    const ublPath = path.join(path.dirname(pdfPath), getUblFilename(pdfPath));
+    await fs.promises.writeFile(ublPath, buildUblInvoice(fields, config), 'utf-8');
+    return ublPath;
+}
+
+/**
+ * Bundle the UBL invoices of result records into a ZIP archive
+ * Records that are not successful, or lack a required value, are skipped.
+ * @param records - Result records to export
+ * @param config - Configuration object
+ * @returns The archive, with the number of exported invoices and the skipped records
+ */
+export function buildUblZip(
+    records: ResultRecord[],
+    config: AppConfig
+): { zip: Buffer; exported: number; skipped: Array<{ id: string; filename: string; error: string }> } {
+    const entries: Array<{ name: string; data: Uint8Array }> = [];
+    const names = new Set<string>();
+    const skipped: Array<{ id: string; filename: string; error: string }> = [];
+
+    for (const record of records) {
+        const filename = record.outputFilename || record.originalFilename;
+        if (record.status !== 'success') {
+            skipped.push({ id: record.id, filename, error: `Status is ${record.status}` });
+            continue;
+        }
+
+        let xml: string;
+        try {
+            xml = buildUblInvoice(record.extractedFields, config);
+        } catch (error: unknown) {
+            skipped.push({ id: record.id, filename, error: (error as Error).message });
+            continue;
+        }
+
+        // Invoices filed under the same name get a counter
+        const base = path.basename(getUblFilename(filename), '.xml');
+        let name = `${base}.xml`;
+        for (let n = 2; names.has(name); n++) name = `${base} (${n}).xml`;
+        names.add(name);
+        entries.push({ name, data: Buffer.from(xml, 'utf-8') });
+    }
+
+    return { zip: createZip(entries), exported: entries.length, skipped };
+}
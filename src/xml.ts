@@ -0,0 +1,135 @@
+/**
+ * Minimal XML support
+ * Enough to read and write e-invoice documents (CII, UBL) without a parser
+ * dependency: elements, attributes, text and CDATA. DTDs are rejected rather
+ * than expanded, so entity tricks in untrusted supplier files cannot apply.
+ */
+
+export interface XmlElement {
+    name: string; // qualified, e.g. "cbc:ID"
+    localName: string; // without prefix, e.g. "ID"
+    attributes: Record<string, string>;
+    children: XmlElement[];
+    text: string; // concatenated text directly inside the element
+}
+
+const ENTITIES: Record<string, string> = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// ── Private: parsing ──
+
+function decodeEntities(text: string): string {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity: string) => {
+        if (entity[0] === '#') {
+            const code =
+                entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity] ?? match;
+    });
+}
+
+function createElement(name: string, attributeSource: string): XmlElement {
+    const attributes: Record<string, string> = {};
+    for (const [, key, , value] of attributeSource.matchAll(/([^\s=]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+        attributes[key] = decodeEntities(value);
+    }
+    return { name, localName: name.slice(name.indexOf(':') + 1), attributes, children: [], text: '' };
+}
+
+// ── Public API ──
+
+/**
+ * Parse an XML document
+ * @param xml - The document
+ * @returns The root element
+ * @throws If the document is not well-formed or declares a DTD
+ */
+export function parseXml(xml: string): XmlElement {
+    const tokens =
+        /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+|</g;
+    const stack: XmlElement[] = [];
+    let root: XmlElement | null = null;
+
+    for (const match of xml.replace(/^\uFEFF/, '').matchAll(tokens)) {
+        const [token, cdata, closeName, openName, attributeSource, selfClosing] = match;
+        const current = stack[stack.length - 1];
+
+        if (token === '<!DOCTYPE') {
+            throw new Error('XML documents with a DOCTYPE are not supported');
+        } else if (cdata !== undefined) {
+            if (current) current.text += cdata;
+        } else if (closeName) {
+            if (current?.name !== closeName) {
+                throw new Error(`Malformed XML: unexpected </${closeName}>`);
+            }
+            stack.pop();
+        } else if (openName) {
+            if (root && stack.length === 0) {
+                throw new Error('Malformed XML: more than one root element');
+            }
+            const element = createElement(openName, attributeSource);
+            if (current) current.children.push(element);
+            else root = element;
+            if (!selfClosing) stack.push(element);
+        } else if (token === '<') {
+            throw new Error('Malformed XML: stray "<"');
+        } else if (!token.startsWith('<')) {
+            if (current) current.text += decodeEntities(token);
+            else if (token.trim()) throw new Error('Malformed XML: text outside the root element');
+        }
+    }
+
+    if (!root) throw new Error('Malformed XML: no root element');
+    if (stack.length > 0) throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+    return root;
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ * Control characters, which XML 1.0 does not allow, are removed.
+ * @param value - Raw text
+ * @returns Escaped text
+ */
+export function escapeXml(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[^\t\n\r\u0020-\uffff]/g, '');
+}
+
+/**
+ * Follow a path of child elements by local name (namespace prefixes are ignored)
+ * @param element - Starting element
+ * @param path - Local names, outermost first
+ * @returns The first matching element, or undefined
+ */
+export function findElement(element: XmlElement | undefined, ...path: string[]): XmlElement | undefined {
+    let current = element;
+    for (const localName of path) {
+        current = current?.children.find((child) => child.localName === localName);
+    }
+    return current;
+}
+
+/**
+ * Get all direct children with a local name
+ * @param element - Parent element
+ * @param localName - Local name to match
+ * @returns Matching children in document order
+ */
+export function findElements(element: XmlElement | undefined, localName: string): XmlElement[] {
+    return element ? element.children.filter((child) => child.localName === localName) : [];
+}
+
+/**
+ * Get the trimmed text of the element at a path
+ * @param element - Starting element
+ * @param path - Local names, outermost first
+ * @returns The text, or null when the element is missing or empty
+ */
+export function elementText(element: XmlElement | undefined, ...path: string[]): string | null {
+    const text = findElement(element, ...path)?.text.trim();
+    return text ? text : null;
+}
@@ -0,0 +1,104 @@
+/**
+ * Minimal ZIP writer
+ * Bundles generated files (e.g. UBL exports) into one download without an
+ * archive dependency. Entries are deflated with zlib; ZIP64 is not supported,
+ * so an archive must stay below 4 GB and 65535 entries.
+ */
+
+import zlib from 'node:zlib';
+
+export interface ZipEntry {
+    name: string; // path inside the archive, "/"-separated
+    data: Uint8Array;
+}
+
+// ── Private: CRC-32 ──
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(data: Uint8Array): number {
+    let crc = 0xffffffff;
+    for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a date as MS-DOS time and date words (local time, 2-second resolution)
+ */
+function toDosDateTime(date: Date): [number, number] {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return [time, day];
+}
+
+// ── Public API ──
+
+/**
+ * Create a ZIP archive
+ * @param entries - Files to include, in order
+ * @param modified - Modification time recorded for every entry
+ * @returns The archive
+ * @throws If entry names are duplicated or the archive would need ZIP64
+ */
+export function createZip(entries: ZipEntry[], modified: Date = new Date()): Buffer {
+    if (new Set(entries.map((entry) => entry.name)).size !== entries.length) {
+        throw new Error('ZIP entry names must be unique');
+    }
+    if (entries.length > 0xffff) {
+        throw new Error('Too many files for a ZIP archive');
+    }
+
+    const [time, date] = toDosDateTime(modified);
+    const localParts: Buffer[] = [];
+    const centralParts: Buffer[] = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf-8');
+        const compressed = zlib.deflateRawSync(entry.data);
+        const crc = crc32(entry.data);
+
+        // Fields shared by the local header and the central directory record
+        const common = Buffer.alloc(26);
+        common.writeUInt16LE(20, 0); // version needed: 2.0 (deflate)
+        common.writeUInt16LE(0x0800, 2); // UTF-8 names
+        common.writeUInt16LE(8, 4); // deflate
+        common.writeUInt16LE(time, 6);
+        common.writeUInt16LE(date, 8);
+        common.writeUInt32LE(crc, 10);
+        common.writeUInt32LE(compressed.length, 14);
+        common.writeUInt32LE(entry.data.length, 18);
+        common.writeUInt16LE(name.length, 22);
+        common.writeUInt16LE(0, 24); // extra field length
+
+        const local = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), common, name, compressed]);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        common.copy(central, 6);
+        // comment length, disk number, internal and external attributes stay 0
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        localParts.push(local);
+        offset += local.length;
+        if (offset > 0xffffffff) {
+            throw new Error('ZIP archive too large');
+        }
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
@@ -14,7 +14,8 @@ import {
     getClientFolderStatus,
     getAnnotatedClientConfig,
     saveClientOverrides,
-    removeClientOverrides
+    removeClientOverrides,
+    isMultiClientMode
 } from '../../src/client-manager.js';
 import { loadConfig } from '../../src/config.js';
 import { buildPromptPreview } from '../../src/prompt-builder.js';
@@ -30,6 +31,7 @@ const mockedGetClientFolderStatus = jest.mocked(getClientFolderStatus);
 const mockedGetAnnotatedClientConfig = jest.mocked(getAnnotatedClientConfig);
 const mockedSaveClientOverrides = jest.mocked(saveClientOverrides);
 const mockedRemoveClientOverrides = jest.mocked(removeClientOverrides);
+const mockedIsMultiClientMode = jest.mocked(isMultiClientMode);
 const mockedLoadConfig = jest.mocked(loadConfig);
 const mockedBuildPromptPreview = jest.mocked(buildPromptPreview);
 
@@ -502,3 +504,76 @@ describe('POST /api/clients/:id/prompt/preview', () => {
         expect(res.body.error).toContain('not found');
     });
 });
+
+// ============================================================================
+// Watch-folder mode
+// ============================================================================
+
+describe('PUT /api/clients/:id/watch', () => {
+    const EXISTING_CLIENT = { name: 'Acme Corp', enabled: true, folderPath: '/invoices/acme', watch: false };
+
+    beforeEach(() => {
+        mockedGetClient.mockResolvedValue(EXISTING_CLIENT as any);
+        mockedUpdateClient.mockResolvedValue(undefined as any);
+    });
+
+    it('excludes a client from watch mode', async () => {
+        mockedGetClient.mockResolvedValue({ ...EXISTING_CLIENT, watch: undefined } as any);
+
+        const res = await request(app).put('/api/clients/acme/watch').send({ enabled: false }).expect(200);
+
+        expect(res.body).toMatchObject({ success: true, watch: false });
+        expect(mockedUpdateClient).toHaveBeenCalledWith('acme', expect.objectContaining({ watch: false }));
+    });
+
+    it('removes the flag when re-enabling', async () => {
+        await request(app).put('/api/clients/acme/watch').send({ enabled: true }).expect(200);
+
+        const passedConfig = mockedUpdateClient.mock.calls[0][1] as Record<string, unknown>;
+        expect(passedConfig).not.toHaveProperty('watch');
+        expect(passedConfig.name).toBe('Acme Corp');
+    });
+
+    it('returns 400 when enabled is not a boolean', async () => {
+        await request(app).put('/api/clients/acme/watch').send({ enabled: 'yes' }).expect(400);
+
+        expect(mockedUpdateClient).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 when client not found', async () => {
+        mockedGetClient.mockRejectedValue(new Error('Client "nope" not found'));
+
+        await request(app).put('/api/clients/nope/watch').send({ enabled: true }).expect(404);
+    });
+});
+
+describe('watch start/stop/status', () => {
+    it('reports a stopped watcher before start', async () => {
+        const res = await request(app).get('/api/watch/status').expect(200);
+
+        expect(res.body).toMatchObject({ running: false, targets: {} });
+    });
+
+    it('refuses to start in single-client mode', async () => {
+        mockedIsMultiClientMode.mockResolvedValue(false);
+
+        const res = await request(app).post('/api/watch/start').expect(400);
+
+        expect(res.body.error).toContain('client configurations');
+    });
+
+    it('starts and stops the watcher', async () => {
+        mockedIsMultiClientMode.mockResolvedValue(true);
+
+        const started = await request(app).post('/api/watch/start').expect(200);
+        expect(started.body.status.running).toBe(true);
+
+        await request(app).post('/api/watch/start').expect(409);
+        expect((await request(app).get('/api/watch/status')).body.running).toBe(true);
+
+        const stopped = await request(app).post('/api/watch/stop').expect(200);
+        expect(stopped.body.status.running).toBe(false);
+
+        await request(app).post('/api/watch/stop').expect(409);
+    });
+});
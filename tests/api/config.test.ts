@@ -134,6 +134,32 @@ describe('GET /api/config/tags', () => {
     });
 });
 
+// ============================================================================
+// GET /api/config/export-profiles
+// ============================================================================
+
+describe('GET /api/config/export-profiles', () => {
+    it('lists built-in and configured profiles with the default', async () => {
+        mockedLoadConfig.mockResolvedValue({
+            ...MOCK_CONFIG,
+            output: { exportProfile: 'mine' },
+            exportProfiles: { mine: { label: 'Mine', format: 'csv', columns: [{ header: 'No' }] } }
+        } as any);
+
+        const res = await request(app).get('/api/config/export-profiles').expect(200);
+
+        expect(res.body.profiles.map((p: { name: string }) => p.name)).toEqual([
+            'datev',
+            'xero',
+            'quickbooks',
+            'saft',
+            'mine'
+        ]);
+        expect(res.body.profiles[0]).toEqual({ name: 'datev', label: 'DATEV Buchungsstapel', format: 'csv' });
+        expect(res.body.defaultProfile).toBe('mine');
+    });
+});
+
 // ============================================================================
 // PUT /api/config/tags
 // ============================================================================
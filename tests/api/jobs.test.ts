@@ -0,0 +1,211 @@
+import request from 'supertest';
+
+jest.mock('fs', () => {
+    const actual = jest.requireActual('fs');
+    return {
+        ...actual,
+        promises: {
+            access: jest.fn(),
+            readdir: jest.fn()
+        }
+    };
+});
+jest.mock('../../src/client-manager.js');
+jest.mock('../../src/config.js');
+jest.mock('../../src/parallel-processor.js');
+jest.mock('../../src/job-store.js');
+
+import fs from 'fs';
+const fsp = jest.mocked(fs.promises);
+
+import { getAllClients, getClientConfig, ensureClientDirectories } from '../../src/client-manager.js';
+import { loadConfig } from '../../src/config.js';
+import { processAllInvoices } from '../../src/parallel-processor.js';
+
+const mockedGetAllClients = jest.mocked(getAllClients);
+const mockedGetClientConfig = jest.mocked(getClientConfig);
+const mockedEnsureClientDirectories = jest.mocked(ensureClientDirectories);
+const mockedLoadConfig = jest.mocked(loadConfig);
+const mockedProcessAllInvoices: any = jest.mocked(processAllInvoices);
+
+import app from '../../server.js';
+import { parseSSEEvents } from '../helpers.js';
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    mockedLoadConfig.mockResolvedValue({ output: {}, processing: { concurrency: 3 } } as any);
+    mockedGetClientConfig.mockResolvedValue({
+        name: 'Acme',
+        folders: { base: '/invoices/acme', csvPath: '/log.csv' },
+        output: {},
+        fieldDefinitions: [],
+        tagDefinitions: [],
+        promptTemplate: {}
+    } as any);
+    mockedEnsureClientDirectories.mockResolvedValue(undefined as any);
+    fsp.access.mockResolvedValue(undefined);
+    fsp.readdir.mockResolvedValue(['inv.pdf'] as any);
+});
+
+// ============================================================================
+// GET /api/jobs
+// ============================================================================
+
+describe('GET /api/jobs', () => {
+    it('lists and returns jobs started by the processing routes', async () => {
+        mockedProcessAllInvoices.mockImplementation(async (config: any, options: any) => {
+            options.onProgress({ status: 'completed', filename: 'inv.pdf', outputFilename: 'Acme.pdf' });
+            options.onComplete({ success: 1, failed: 0, total: 1 });
+        });
+
+        const res = await request(app).post('/api/clients/jobs-list/process').send({}).expect(200);
+        const started = parseSSEEvents(res.text).find((e) => e.status === 'job-started');
+
+        const list = await request(app).get('/api/jobs').query({ clientId: 'jobs-list' }).expect(200);
+        expect(list.body.jobs).toHaveLength(1);
+        expect(list.body.jobs[0]).toMatchObject({
+            id: started.jobId,
+            type: 'process',
+            status: 'completed',
+            fileCounts: { queued: 0, running: 0, done: 1, failed: 0 },
+            summary: { total: 1, success: 1, failed: 0, duplicates: 0 }
+        });
+        expect(list.body.jobs[0].files).toBeUndefined();
+
+        const filtered = await request(app).get('/api/jobs').query({ clientId: 'jobs-list', status: 'failed' });
+        expect(filtered.body.jobs).toEqual([]);
+
+        const job = await request(app).get(`/api/jobs/${started.jobId}`).expect(200);
+        expect(job.body.files).toEqual([
+            { clientId: 'jobs-list', filename: 'inv.pdf', status: 'done', outputFilename: 'Acme.pdf' }
+        ]);
+
+        const events = await request(app).get(`/api/jobs/${started.jobId}/events`).expect(200);
+        expect(parseSSEEvents(events.text)[1]).toMatchObject({ status: 'finished', job: { id: started.jobId } });
+    });
+
+    it('returns 404 for unknown jobs', async () => {
+        await request(app).get('/api/jobs/missing').expect(404);
+        await request(app).delete('/api/jobs/missing').expect(404);
+        await request(app).post('/api/jobs/missing/pause').expect(404);
+        await request(app).post('/api/jobs/missing/resume').expect(404);
+    });
+});
+
+// ============================================================================
+// DELETE /api/jobs/:id
+// ============================================================================
+
+describe('DELETE /api/jobs/:id', () => {
+    it('cancels a running job before its next client', async () => {
+        mockedGetAllClients.mockResolvedValue({
+            first: { name: 'First', enabled: true },
+            second: { name: 'Second', enabled: true }
+        } as any);
+        let release!: () => void;
+        let reached!: () => void;
+        const processing = new Promise<void>((resolve) => (reached = resolve));
+        mockedProcessAllInvoices.mockImplementation(async (config: any, options: any) => {
+            reached();
+            await new Promise<void>((resolve) => (release = resolve));
+            options.onComplete({ success: 1, failed: 0, total: 1 });
+        });
+
+        const pending = request(app)
+            .post('/api/clients/process-all')
+            .send({})
+            .then((r) => r);
+        await processing;
+
+        const { body } = await request(app).get('/api/jobs').query({ clientId: 'second', status: 'running' });
+        const jobId = body.jobs[0].id;
+        const cancel = await request(app).delete(`/api/jobs/${jobId}`).expect(200);
+        expect(cancel.body.job).toMatchObject({ id: jobId, cancelRequested: true });
+        release();
+
+        const events = parseSSEEvents((await pending).text);
+        expect(events.filter((e) => e.status === 'client-starting')).toHaveLength(1);
+        expect(events.find((e) => e.status === 'cancelled')).toMatchObject({ jobId });
+        expect(events.find((e) => e.status === 'done')).toBeUndefined();
+        expect(mockedProcessAllInvoices).toHaveBeenCalledTimes(1);
+        expect(mockedProcessAllInvoices.mock.calls[0][1].signal.aborted).toBe(true);
+
+        const res = await request(app).delete(`/api/jobs/${jobId}`).expect(409);
+        expect(res.body.error).toContain('already finished');
+    });
+});
+
+// ============================================================================
+// POST /api/jobs/:id/pause and /resume
+// ============================================================================
+
+describe('POST /api/jobs/:id/pause and /resume', () => {
+    it('pauses and resumes a running job between files', async () => {
+        let release!: () => void;
+        let reached!: () => void;
+        const processing = new Promise<void>((resolve) => (reached = resolve));
+        let resumedBeforeNextFile = false;
+        mockedProcessAllInvoices.mockImplementation(async (config: any, options: any) => {
+            reached();
+            await new Promise<void>((resolve) => (release = resolve));
+            await options.waitWhilePaused();
+            resumedBeforeNextFile = true;
+            options.onComplete({ success: 1, failed: 0, total: 1 });
+        });
+
+        const pending = request(app)
+            .post('/api/clients/jobs-pause/process')
+            .send({})
+            .then((r) => r);
+        await processing;
+
+        const { body } = await request(app).get('/api/jobs').query({ clientId: 'jobs-pause' });
+        const jobId = body.jobs[0].id;
+        const paused = await request(app).post(`/api/jobs/${jobId}/pause`).expect(200);
+        expect(paused.body.job.status).toBe('paused');
+        release();
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(resumedBeforeNextFile).toBe(false);
+
+        const resumed = await request(app).post(`/api/jobs/${jobId}/resume`).expect(200);
+        expect(resumed.body.job.status).toBe('running');
+
+        const events = parseSSEEvents((await pending).text);
+        expect(resumedBeforeNextFile).toBe(true);
+        expect(events.map((e) => e.status)).toEqual(expect.arrayContaining(['paused', 'resumed', 'done']));
+        await request(app).post(`/api/jobs/${jobId}/pause`).expect(409);
+    });
+});
+
+// ============================================================================
+// Result edits while a client is being processed
+// ============================================================================
+
+describe('result edits during processing', () => {
+    it('refuses to approve, reject or correct results of a busy client', async () => {
+        let release!: () => void;
+        let reached!: () => void;
+        const processing = new Promise<void>((resolve) => (reached = resolve));
+        mockedProcessAllInvoices.mockImplementation(async (config: any, options: any) => {
+            reached();
+            await new Promise<void>((resolve) => (release = resolve));
+            options.onComplete({ success: 1, failed: 0, total: 1 });
+        });
+
+        const pending = request(app)
+            .post('/api/clients/jobs-busy/process')
+            .send({})
+            .then((r) => r);
+        await processing;
+
+        const approve = await request(app).post('/api/clients/jobs-busy/results/r1/approve').send({}).expect(409);
+        expect(approve.body.error).toContain('already being processed');
+        await request(app).post('/api/clients/jobs-busy/results/r1/reject').send({}).expect(409);
+        await request(app)
+            .patch('/api/clients/jobs-busy/results/r1')
+            .send({ fields: { invoiceNumber: 'A-2' } })
+            .expect(409);
+        release();
+        await pending;
+    });
+});
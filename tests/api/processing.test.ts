@@ -1,4 +1,5 @@
 import request from 'supertest';
+import path from 'path';
 
 jest.mock('fs', () => {
     const actual = jest.requireActual('fs');
@@ -8,7 +9,8 @@ jest.mock('fs', () => {
             access: jest.fn(),
             readdir: jest.fn(),
             stat: jest.fn(),
-            copyFile: jest.fn()
+            copyFile: jest.fn(),
+            rename: jest.fn()
         }
     };
 });
@@ -16,6 +18,7 @@ jest.mock('../../src/client-manager.js');
 jest.mock('../../src/config.js');
 jest.mock('../../src/result-manager.js');
 jest.mock('../../src/parallel-processor.js');
+jest.mock('../../src/job-store.js');
 
 import fs from 'fs';
 const fsp = jest.mocked(fs.promises);
@@ -44,16 +47,7 @@ const mockedProcessAllInvoices: any = jest.mocked(processAllInvoices);
 const mockedProcessWithRetry = jest.mocked(processWithRetry);
 
 import app from '../../server.js';
-
-/**
- * Parse SSE response text into an array of event objects.
- */
-function parseSSEEvents(text: string): any[] {
-    return text
-        .split('\n\n')
-        .filter((chunk) => chunk.startsWith('data: '))
-        .map((chunk) => JSON.parse(chunk.replace('data: ', '')));
-}
+import { parseSSEEvents } from '../helpers.js';
 
 const MOCK_GLOBAL_CONFIG = {
     output: { processedOriginalSubfolder: 'processed-original' },
@@ -81,6 +75,8 @@ beforeEach(() => {
     mockedEnsureClientDirectories.mockResolvedValue(undefined as any);
     fsp.access.mockResolvedValue(undefined);
     fsp.copyFile.mockResolvedValue(undefined);
+    fsp.rename.mockRejectedValue(new Error('ENOENT'));
+    fsp.readdir.mockResolvedValue(['inv.pdf'] as any);
 });
 
 // ============================================================================
@@ -108,6 +104,11 @@ describe('POST /api/clients/:id/results/retry', () => {
         expect(events.find((e) => e.status === 'retry-starting')).toMatchObject({ total: 2 });
         expect(events.filter((e) => e.status === 'retry-completed')).toHaveLength(2);
         expect(events.find((e) => e.status === 'retry-done')).toMatchObject({ success: 2, failed: 0 });
+        expect(mockedProcessWithRetry).toHaveBeenCalledWith(
+            expect.any(String),
+            expect.anything(),
+            expect.objectContaining({ skipCache: false })
+        );
     });
 
     it('retries specific result IDs', async () => {
@@ -125,12 +126,17 @@ describe('POST /api/clients/:id/results/retry', () => {
 
         const res = await request(app)
             .post('/api/clients/retry-ids/results/retry')
-            .send({ resultIds: ['r1'] })
+            .send({ resultIds: ['r1'], skipCache: true })
             .expect(200);
 
         const events = parseSSEEvents(res.text);
         expect(events.find((e) => e.status === 'retry-done')).toMatchObject({ success: 1, failed: 0 });
         expect(mockedGetResult).toHaveBeenCalledWith('/invoices/acme', 'r1');
+        expect(mockedProcessWithRetry).toHaveBeenCalledWith(
+            expect.any(String),
+            expect.anything(),
+            expect.objectContaining({ skipCache: true })
+        );
     });
 
     it('skips non-failed results from resultIds', async () => {
@@ -223,6 +229,27 @@ describe('POST /api/clients/:id/results/retry', () => {
         expect(fsp.copyFile).not.toHaveBeenCalled();
     });
 
+    it('moves a PDF that could not be decrypted back from the failed folder', async () => {
+        mockedGetFailedResults.mockResolvedValue([{ id: 'r1', status: 'failed', originalFilename: 'inv.pdf' }] as any);
+        mockedGetResult.mockResolvedValue({ id: 'r1', failedFile: 'inv (1).pdf' } as any);
+        fsp.access.mockRejectedValue(new Error('ENOENT'));
+        fsp.rename.mockResolvedValue(undefined);
+        mockedProcessWithRetry.mockResolvedValue({ success: true, outputFilename: 'out.pdf', duration: 100 } as any);
+        mockedUpdateResult.mockResolvedValue(undefined as any);
+
+        const res = await request(app)
+            .post('/api/clients/retry-failed-folder/results/retry')
+            .send({ all: true })
+            .expect(200);
+
+        expect(parseSSEEvents(res.text).find((e) => e.status === 'retry-completed')).toBeDefined();
+        expect(fsp.rename).toHaveBeenCalledWith(
+            path.join('/invoices/acme', 'failed', 'inv (1).pdf'),
+            path.join('/invoices/acme', 'inv.pdf')
+        );
+        expect(mockedProcessWithRetry.mock.calls[0][0]).toBe(path.join('/invoices/acme', 'inv.pdf'));
+    });
+
     it('errors when source file not found in any location', async () => {
         mockedGetFailedResults.mockResolvedValue([{ id: 'r1', status: 'failed', originalFilename: 'inv.pdf' }] as any);
         fsp.access.mockRejectedValue(new Error('ENOENT'));
@@ -451,8 +478,8 @@ describe('POST /api/clients/process-all', () => {
 // ============================================================================
 
 describe('GET /api/clients/:id/files', () => {
-    it('lists PDF files in client folder', async () => {
-        fsp.readdir.mockResolvedValue(['invoice1.pdf', 'invoice2.PDF', 'readme.txt'] as any);
+    it('lists PDF and image files in client folder', async () => {
+        fsp.readdir.mockResolvedValue(['invoice1.pdf', 'invoice2.PDF', 'receipt.jpg', 'readme.txt'] as any);
         fsp.stat.mockResolvedValue({
             size: 12345,
             mtime: new Date('2026-01-15T10:00:00Z')
@@ -461,8 +488,9 @@ describe('GET /api/clients/:id/files', () => {
         const res = await request(app).get('/api/clients/acme/files').expect(200);
 
         expect(res.body.exists).toBe(true);
-        expect(res.body.files).toHaveLength(2);
+        expect(res.body.files).toHaveLength(3);
         expect(res.body.files[0]).toMatchObject({ filename: 'invoice1.pdf', size: 12345 });
+        expect(res.body.files[2]).toMatchObject({ filename: 'receipt.jpg' });
     });
 
     it('returns empty list when folder does not exist', async () => {
@@ -0,0 +1,58 @@
+import request from 'supertest';
+
+jest.mock('../../src/client-manager.js');
+jest.mock('../../src/config.js');
+jest.mock('../../src/response-cache.js');
+
+import { getClientConfig } from '../../src/client-manager.js';
+import { loadConfig } from '../../src/config.js';
+import { clearResponseCache, getResponseCacheStats } from '../../src/response-cache.js';
+
+const mockedGetClientConfig = jest.mocked(getClientConfig);
+const mockedLoadConfig = jest.mocked(loadConfig);
+const mockedGetResponseCacheStats = jest.mocked(getResponseCacheStats);
+const mockedClearResponseCache = jest.mocked(clearResponseCache);
+
+import app from '../../server.js';
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    mockedLoadConfig.mockResolvedValue({} as any);
+    mockedGetClientConfig.mockResolvedValue({ folders: { base: '/invoices/acme' }, name: 'Acme' } as any);
+});
+
+describe('GET /api/clients/:id/response-cache', () => {
+    it('returns the size of the client cache', async () => {
+        mockedGetResponseCacheStats.mockResolvedValue({ entries: 12, sizeBytes: 48000 });
+
+        const res = await request(app).get('/api/clients/acme/response-cache').expect(200);
+
+        expect(res.body).toEqual({ entries: 12, sizeBytes: 48000 });
+        expect(mockedGetResponseCacheStats).toHaveBeenCalledWith('/invoices/acme');
+    });
+
+    it('returns 404 for unknown clients', async () => {
+        mockedGetClientConfig.mockRejectedValue(new Error('Client "nope" not found'));
+
+        await request(app).get('/api/clients/nope/response-cache').expect(404);
+    });
+});
+
+describe('DELETE /api/clients/:id/response-cache', () => {
+    it('clears the client cache', async () => {
+        mockedClearResponseCache.mockResolvedValue({ entries: 12, sizeBytes: 48000 });
+
+        const res = await request(app).delete('/api/clients/acme/response-cache').expect(200);
+
+        expect(res.body).toEqual({ success: true, removed: { entries: 12, sizeBytes: 48000 } });
+        expect(mockedClearResponseCache).toHaveBeenCalledWith('/invoices/acme');
+    });
+
+    it('returns 500 when the cache cannot be removed', async () => {
+        mockedClearResponseCache.mockRejectedValue(new Error('EACCES: permission denied'));
+
+        const res = await request(app).delete('/api/clients/acme/response-cache').expect(500);
+
+        expect(res.body.error).toContain('EACCES');
+    });
+});
@@ -3,24 +3,34 @@ import request from 'supertest';
 jest.mock('../../src/client-manager.js');
 jest.mock('../../src/config.js');
 jest.mock('../../src/result-manager.js');
+jest.mock('../../src/review.js');
+jest.mock('../../src/result-editor.js');
 
 import { getAllClients, getClientConfig } from '../../src/client-manager.js';
 import { loadConfig } from '../../src/config.js';
-import { getResults, getSummary, getGlobalStats } from '../../src/result-manager.js';
+import { getResults, getResult, getSummary, getGlobalStats, getSuccessfulResults } from '../../src/result-manager.js';
+import { approveReview, rejectReview } from '../../src/review.js';
+import { correctResult } from '../../src/result-editor.js';
 
 const mockedGetAllClients = jest.mocked(getAllClients);
 const mockedGetClientConfig = jest.mocked(getClientConfig);
 const mockedLoadConfig = jest.mocked(loadConfig);
 const mockedGetResults = jest.mocked(getResults);
+const mockedGetResult = jest.mocked(getResult);
 const mockedGetSummary = jest.mocked(getSummary);
 const mockedGetGlobalStats = jest.mocked(getGlobalStats);
+const mockedGetSuccessfulResults = jest.mocked(getSuccessfulResults);
+const mockedApproveReview = jest.mocked(approveReview);
+const mockedRejectReview = jest.mocked(rejectReview);
+const mockedCorrectResult = jest.mocked(correctResult);
 
 import app from '../../server.js';
 
 const MOCK_GLOBAL_CONFIG = { output: { processedOriginalSubfolder: 'processed-original' } };
 const MOCK_CLIENT_CONFIG = {
     folders: { base: '/invoices/acme', csvPath: '/invoices/acme/log.csv' },
-    model: 'gemini-3-flash-preview'
+    model: 'gemini-3-flash-preview',
+    name: 'Acme Corp'
 };
 
 beforeEach(() => {
@@ -127,6 +137,256 @@ describe('GET /api/clients/:id/results/summary', () => {
     });
 });
 
+// ============================================================================
+// GET /api/clients/:id/results/:resultId
+// ============================================================================
+
+describe('GET /api/clients/:id/results/:resultId', () => {
+    it('returns a single result record', async () => {
+        const record = { id: 'r1', status: 'success', originalFilename: 'inv.pdf' };
+        mockedGetResult.mockResolvedValue(record as any);
+
+        const res = await request(app).get('/api/clients/acme/results/r1').expect(200);
+
+        expect(res.body).toEqual(record);
+        expect(mockedGetResult).toHaveBeenCalledWith('/invoices/acme', 'r1');
+    });
+
+    it('returns 404 when the result does not exist', async () => {
+        mockedGetResult.mockResolvedValue(null);
+
+        const res = await request(app).get('/api/clients/acme/results/missing').expect(404);
+
+        expect(res.body.error).toContain('not found');
+    });
+});
+
+// ============================================================================
+// GET /api/clients/:id/results/export/ubl
+// ============================================================================
+
+describe('GET /api/clients/:id/results/export/ubl', () => {
+    const record = (id: string, extractedFields: Record<string, unknown>) => ({
+        id,
+        status: 'success',
+        originalFilename: `${id}.pdf`,
+        outputFilename: `${id}-out.pdf`,
+        extractedFields
+    });
+    const FIELDS = { invoiceNumber: 'INV-1', invoiceDate: '2024-01-31', currency: 'EUR', totalAmount: 10 };
+
+    it('returns a ZIP of all successful results', async () => {
+        mockedGetSuccessfulResults.mockResolvedValue([record('r1', FIELDS), record('r2', {})] as any);
+
+        const res = await request(app).get('/api/clients/acme/results/export/ubl').expect(200);
+
+        expect(res.headers['content-type']).toBe('application/zip');
+        expect(res.headers['content-disposition']).toBe('attachment; filename="acme-ubl.zip"');
+        expect(res.headers['x-export-skipped']).toBe('1');
+        expect(mockedGetSuccessfulResults).toHaveBeenCalledWith('/invoices/acme');
+    });
+
+    it('exports only the requested results', async () => {
+        mockedGetResult.mockImplementation(async (_base, id) => (id === 'r1' ? (record('r1', FIELDS) as any) : null));
+
+        await request(app).get('/api/clients/acme/results/export/ubl?ids=r1,missing').expect(200);
+
+        expect(mockedGetResult).toHaveBeenCalledWith('/invoices/acme', 'r1');
+        expect(mockedGetResult).toHaveBeenCalledWith('/invoices/acme', 'missing');
+        expect(mockedGetSuccessfulResults).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 when nothing can be exported', async () => {
+        mockedGetSuccessfulResults.mockResolvedValue([record('r2', {})] as any);
+
+        const res = await request(app).get('/api/clients/acme/results/export/ubl').expect(404);
+
+        expect(res.body.error).toBe('No invoices to export as UBL');
+        expect(res.body.skipped).toHaveLength(1);
+    });
+});
+
+// ============================================================================
+// GET /api/clients/:id/results/export
+// ============================================================================
+
+describe('GET /api/clients/:id/results/export', () => {
+    const RECORDS = [
+        {
+            id: 'r1',
+            status: 'success',
+            timestamp: '2024-03-20T10:00:00.000Z',
+            extractedFields: {
+                supplierName: 'Acme',
+                invoiceNumber: 'INV-1',
+                invoiceDate: '2024-03-05',
+                totalAmount: 10
+            }
+        },
+        {
+            id: 'r2',
+            status: 'success',
+            timestamp: '2024-04-20T10:00:00.000Z',
+            extractedFields: {
+                supplierName: 'Acme',
+                invoiceNumber: 'INV-2',
+                invoiceDate: '2024-04-05',
+                totalAmount: 20
+            }
+        }
+    ];
+
+    it('exports the date range with the requested profile', async () => {
+        mockedGetSuccessfulResults.mockResolvedValue(RECORDS as any);
+
+        const res = await request(app)
+            .get('/api/clients/acme/results/export?profile=xero&from=2024-03-01&to=2024-03-31')
+            .expect(200);
+
+        expect(res.headers['content-type']).toContain('text/csv');
+        expect(res.headers['content-disposition']).toBe('attachment; filename="acme-xero_2024-03-01_2024-03-31.csv"');
+        expect(res.headers['x-export-count']).toBe('1');
+        expect(res.text).toContain('Acme,INV-1,05/03/2024');
+        expect(res.text).not.toContain('INV-2');
+    });
+
+    it("uses the client's default profile", async () => {
+        mockedGetClientConfig.mockResolvedValue({ ...MOCK_CLIENT_CONFIG, output: { exportProfile: 'saft' } } as any);
+        mockedGetSuccessfulResults.mockResolvedValue(RECORDS as any);
+
+        const res = await request(app).get('/api/clients/acme/results/export').expect(200);
+
+        expect(res.headers['content-type']).toContain('application/xml');
+        expect(res.headers['x-export-count']).toBe('2');
+    });
+
+    it('returns 400 without a profile and for invalid dates', async () => {
+        mockedGetSuccessfulResults.mockResolvedValue(RECORDS as any);
+
+        const none = await request(app).get('/api/clients/acme/results/export').expect(400);
+        expect(none.body.error).toContain('No export profile');
+
+        const invalid = await request(app).get('/api/clients/acme/results/export?profile=xero&from=2024-3').expect(400);
+        expect(invalid.body.error).toBe('Invalid date "2024-3", expected YYYY-MM-DD');
+    });
+
+    it('returns 404 for an unknown profile', async () => {
+        mockedGetSuccessfulResults.mockResolvedValue([]);
+
+        const res = await request(app).get('/api/clients/acme/results/export?profile=nope').expect(404);
+
+        expect(res.body.error).toBe('Export profile "nope" not found');
+    });
+});
+
+// ============================================================================
+// Review queue
+// ============================================================================
+
+describe('GET /api/clients/:id/results/:resultId/file', () => {
+    it('returns 409 when the result is not pending review', async () => {
+        mockedGetResult.mockResolvedValue({ id: 'r1', status: 'success' } as any);
+
+        const res = await request(app).get('/api/clients/acme/results/r1/file').expect(409);
+
+        expect(res.body.error).toBe('Result r1 is not pending review');
+    });
+
+    it('returns 404 when the result does not exist', async () => {
+        mockedGetResult.mockResolvedValue(null);
+
+        await request(app).get('/api/clients/acme/results/missing/file').expect(404);
+    });
+});
+
+describe('POST /api/clients/:id/results/:resultId/approve', () => {
+    it('approves with the reviewer corrections', async () => {
+        mockedApproveReview.mockResolvedValue({ id: 'r1', status: 'success' } as any);
+
+        const res = await request(app)
+            .post('/api/clients/acme/results/r1/approve')
+            .send({ fields: { invoiceNumber: 'A-2' }, tags: { private: true } })
+            .expect(200);
+
+        expect(res.body).toEqual({ success: true, result: { id: 'r1', status: 'success' } });
+        expect(mockedApproveReview).toHaveBeenCalledWith(
+            'r1',
+            expect.objectContaining({ folders: MOCK_CLIENT_CONFIG.folders }),
+            { fields: { invoiceNumber: 'A-2' }, tags: { private: true } },
+            { clientId: 'acme', clientName: 'Acme Corp' }
+        );
+    });
+
+    it('maps review errors to status codes', async () => {
+        mockedApproveReview.mockRejectedValueOnce(new Error('Result r1 is not pending review'));
+        await request(app).post('/api/clients/acme/results/r1/approve').send({}).expect(409);
+
+        mockedApproveReview.mockRejectedValueOnce(new Error('Unknown field "iban"'));
+        await request(app).post('/api/clients/acme/results/r1/approve').send({}).expect(400);
+
+        mockedApproveReview.mockRejectedValueOnce(new Error('Result r1 not found'));
+        await request(app).post('/api/clients/acme/results/r1/approve').send({}).expect(404);
+    });
+
+    it('returns 400 when fields is not an object', async () => {
+        await request(app)
+            .post('/api/clients/acme/results/r1/approve')
+            .send({ fields: ['x'] })
+            .expect(400);
+        expect(mockedApproveReview).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /api/clients/:id/results/:resultId/reject', () => {
+    it('rejects with the trimmed reason', async () => {
+        mockedRejectReview.mockResolvedValue({ id: 'r1', status: 'failed' } as any);
+
+        await request(app).post('/api/clients/acme/results/r1/reject').send({ reason: ' wrong client ' }).expect(200);
+
+        expect(mockedRejectReview).toHaveBeenCalledWith('r1', expect.anything(), 'wrong client', {
+            clientId: 'acme',
+            clientName: 'Acme Corp'
+        });
+    });
+});
+
+// ============================================================================
+// PATCH /api/clients/:id/results/:resultId
+// ============================================================================
+
+describe('PATCH /api/clients/:id/results/:resultId', () => {
+    it('corrects fields and tags of a result', async () => {
+        const record = { id: 'r1', status: 'success', corrections: [{ changes: {} }] };
+        mockedCorrectResult.mockResolvedValue(record as any);
+
+        const res = await request(app)
+            .patch('/api/clients/acme/results/r1')
+            .send({ fields: { totalAmount: 12.5 } })
+            .expect(200);
+
+        expect(res.body).toEqual({ success: true, result: record });
+        expect(mockedCorrectResult).toHaveBeenCalledWith(
+            'r1',
+            expect.objectContaining({ folders: MOCK_CLIENT_CONFIG.folders }),
+            { fields: { totalAmount: 12.5 }, tags: undefined },
+            { clientId: 'acme', clientName: 'Acme Corp' }
+        );
+    });
+
+    it('returns 409 for results that cannot be corrected', async () => {
+        mockedCorrectResult.mockRejectedValue(new Error('Result r1 cannot be corrected (status failed)'));
+
+        const res = await request(app).patch('/api/clients/acme/results/r1').send({}).expect(409);
+
+        expect(res.body.error).toBe('Result r1 cannot be corrected (status failed)');
+    });
+
+    it('returns 400 when tags is not an object', async () => {
+        await request(app).patch('/api/clients/acme/results/r1').send({ tags: 'private' }).expect(400);
+        expect(mockedCorrectResult).not.toHaveBeenCalled();
+    });
+});
+
 // ============================================================================
 // GET /api/stats
 // ============================================================================
@@ -141,6 +401,7 @@ describe('GET /api/stats', () => {
                 successRate: 80,
                 totalTokens: 3000,
                 totalCachedTokens: 100,
+                cacheHits: 3,
                 lastProcessed: '2026-01-20T10:00:00Z'
             },
             perClient: {
@@ -151,6 +412,7 @@ describe('GET /api/stats', () => {
                     successRate: 80,
                     totalTokens: 2000,
                     totalCachedTokens: 50,
+                    cacheHits: 2,
                     lastProcessed: '2026-01-20T10:00:00Z'
                 },
                 globex: {
@@ -160,6 +422,7 @@ describe('GET /api/stats', () => {
                     successRate: 80,
                     totalTokens: 1000,
                     totalCachedTokens: 50,
+                    cacheHits: 1,
                     lastProcessed: '2026-01-15T10:00:00Z'
                 }
             }
@@ -186,6 +449,7 @@ describe('GET /api/stats', () => {
             failed: 1,
             successRate: 80,
             tokenUsage: { totalTokens: 1000 },
+            cacheHits: 1,
             lastProcessed: '2026-01-15T10:00:00Z'
         } as any);
 
@@ -195,6 +459,7 @@ describe('GET /api/stats', () => {
         expect(res.body.aggregate.totalSuccess).toBe(8);
         expect(res.body.aggregate.totalFailed).toBe(2);
         expect(res.body.aggregate.totalTokens).toBe(2000);
+        expect(res.body.aggregate.cacheHits).toBe(2);
         expect(res.body.perClient).toHaveProperty('acme');
         expect(res.body.perClient).toHaveProperty('globex');
     });
@@ -0,0 +1,99 @@
+import request from 'supertest';
+
+jest.mock('../../src/client-manager.js');
+jest.mock('../../src/config.js');
+jest.mock('../../src/supplier-registry.js');
+
+import { getClientConfig } from '../../src/client-manager.js';
+import { loadConfig } from '../../src/config.js';
+import { deleteSupplier, getSuppliers, mergeSuppliers, updateSupplier } from '../../src/supplier-registry.js';
+
+const mockedGetClientConfig = jest.mocked(getClientConfig);
+const mockedLoadConfig = jest.mocked(loadConfig);
+const mockedGetSuppliers = jest.mocked(getSuppliers);
+const mockedUpdateSupplier = jest.mocked(updateSupplier);
+const mockedMergeSuppliers = jest.mocked(mergeSuppliers);
+const mockedDeleteSupplier = jest.mocked(deleteSupplier);
+
+import app from '../../server.js';
+
+const SUPPLIER = { id: 's1', name: 'Acme Corp', aliases: ['ACME A/S'], invoiceCount: 3 };
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    mockedLoadConfig.mockResolvedValue({} as any);
+    mockedGetClientConfig.mockResolvedValue({ folders: { base: '/invoices/acme' }, name: 'Acme' } as any);
+});
+
+describe('GET /api/clients/:id/suppliers', () => {
+    it('returns the registry of the client folder', async () => {
+        mockedGetSuppliers.mockResolvedValue([SUPPLIER] as any);
+
+        const res = await request(app).get('/api/clients/acme/suppliers').expect(200);
+
+        expect(res.body).toEqual({ suppliers: [SUPPLIER] });
+        expect(mockedGetSuppliers).toHaveBeenCalledWith('/invoices/acme');
+    });
+
+    it('returns 404 for unknown clients', async () => {
+        mockedGetClientConfig.mockRejectedValue(new Error('Client "nope" not found'));
+
+        await request(app).get('/api/clients/nope/suppliers').expect(404);
+    });
+});
+
+describe('PATCH /api/clients/:id/suppliers/:supplierId', () => {
+    it('updates the supplier', async () => {
+        mockedUpdateSupplier.mockResolvedValue({ ...SUPPLIER, vatNumber: 'DK12345678' } as any);
+
+        const res = await request(app)
+            .patch('/api/clients/acme/suppliers/s1')
+            .send({ vatNumber: 'DK12345678' })
+            .expect(200);
+
+        expect(res.body.supplier.vatNumber).toBe('DK12345678');
+        expect(mockedUpdateSupplier).toHaveBeenCalledWith('/invoices/acme', 's1', { vatNumber: 'DK12345678' });
+    });
+
+    it('maps invalid changes to 400 and unknown suppliers to 404', async () => {
+        mockedUpdateSupplier.mockRejectedValueOnce(new Error('name must be a non-empty string'));
+        await request(app).patch('/api/clients/acme/suppliers/s1').send({ name: '' }).expect(400);
+
+        mockedUpdateSupplier.mockRejectedValueOnce(new Error('Supplier s9 not found'));
+        await request(app).patch('/api/clients/acme/suppliers/s9').send({ name: 'x' }).expect(404);
+    });
+});
+
+describe('POST /api/clients/:id/suppliers/merge', () => {
+    it('merges the sources into the target', async () => {
+        mockedMergeSuppliers.mockResolvedValue(SUPPLIER as any);
+
+        const res = await request(app)
+            .post('/api/clients/acme/suppliers/merge')
+            .send({ targetId: 's1', sourceIds: ['s2'] })
+            .expect(200);
+
+        expect(res.body).toEqual({ success: true, supplier: SUPPLIER });
+        expect(mockedMergeSuppliers).toHaveBeenCalledWith('/invoices/acme', 's1', ['s2']);
+    });
+
+    it('requires a target', async () => {
+        const res = await request(app)
+            .post('/api/clients/acme/suppliers/merge')
+            .send({ sourceIds: ['s2'] })
+            .expect(400);
+
+        expect(res.body.error).toBe('targetId must be a supplier ID');
+        expect(mockedMergeSuppliers).not.toHaveBeenCalled();
+    });
+});
+
+describe('DELETE /api/clients/:id/suppliers/:supplierId', () => {
+    it('removes the supplier', async () => {
+        mockedDeleteSupplier.mockResolvedValue();
+
+        await request(app).delete('/api/clients/acme/suppliers/s1').expect(200);
+
+        expect(mockedDeleteSupplier).toHaveBeenCalledWith('/invoices/acme', 's1');
+    });
+});
@@ -0,0 +1,38 @@
+import { matchChoice } from '../src/choice-matcher.js';
+
+const options = [
+    { value: 'office', label: 'Office Supplies' },
+    { value: 'travel', label: 'Travel & Lodging', description: 'Hotels, flights, trains' },
+    { value: 'software', label: 'Software' }
+];
+
+describe('matchChoice', () => {
+    test('matches option values and labels regardless of case, accents and punctuation', () => {
+        expect(matchChoice('office', options)).toBe(options[0]);
+        expect(matchChoice('OFFICE SUPPLIES', options)).toBe(options[0]);
+        expect(matchChoice('travel-&-lodging', options)).toBe(options[1]);
+        expect(matchChoice('S\u00f3ftware', options)).toBe(options[2]);
+    });
+
+    test('maps near-misses within the allowed edit distance', () => {
+        expect(matchChoice('Sofware', options)).toBe(options[2]);
+        expect(matchChoice('Office Suplies', options)).toBe(options[0]);
+        expect(matchChoice('Hardware', options)).toBeNull();
+    });
+
+    test('rejects ambiguous near-misses', () => {
+        const regions = [
+            { value: 'north', label: 'North' },
+            { value: 'south', label: 'South' }
+        ];
+        expect(matchChoice('nouth', regions)).toBeNull();
+        expect(matchChoice('nort', regions)).toBe(regions[0]);
+    });
+
+    test('returns null for empty and non-text values', () => {
+        expect(matchChoice('', options)).toBeNull();
+        expect(matchChoice('  ', options)).toBeNull();
+        expect(matchChoice(null, options)).toBeNull();
+        expect(matchChoice(['office'], options)).toBeNull();
+    });
+});
@@ -224,6 +224,59 @@ describe('validateClientConfig', () => {
             '"model" must be a string'
         );
     });
+
+    test('accepts known provider', () => {
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, provider: 'openai' })).not.toThrow();
+    });
+
+    test('rejects unknown provider', () => {
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, provider: 'acme-ai' })).toThrow(
+            '"provider" must be one of: gemini, openai, local'
+        );
+    });
+
+    test('rejects watch that is not a boolean', () => {
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, watch: 'no' })).toThrow(
+            '"watch" must be a boolean'
+        );
+    });
+
+    test('rejects reviewRequired that is not a boolean', () => {
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, reviewRequired: 'yes' })).toThrow(
+            '"reviewRequired" must be a boolean'
+        );
+    });
+
+    test('rejects confidenceThreshold outside 0-1', () => {
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, confidenceThreshold: 0.7 })).not.toThrow();
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, confidenceThreshold: 70 })).toThrow(
+            '"confidenceThreshold" must be a number between 0 and 1'
+        );
+    });
+
+    test('rejects a baseCurrency that is not a 3-letter code', () => {
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, baseCurrency: 'dkk' })).not.toThrow();
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, baseCurrency: 'kroner' })).toThrow(
+            '"baseCurrency" must be a 3-letter currency code'
+        );
+    });
+
+    test('rejects invalid supplierRules', () => {
+        const rules = [{ supplier: 'Acme A/S', promptHint: 'The invoice number is the Bilagsnr. box.' }];
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, supplierRules: rules })).not.toThrow();
+        expect(() =>
+            validateClientConfig('test', { ...MINIMAL_CLIENT, supplierRules: [{ supplier: 'Acme' }] })
+        ).toThrow(
+            'Client "test": supplierRules[0]: must have a "promptHint", "fields", "textPatterns" or "pdfPasswordEnvVar"'
+        );
+    });
+
+    test('rejects a pdfPasswordEnvVar that is not an environment variable name', () => {
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, pdfPasswordEnvVar: 'ACME_PDF' })).not.toThrow();
+        expect(() => validateClientConfig('test', { ...MINIMAL_CLIENT, pdfPasswordEnvVar: '' })).toThrow(
+            'Client "test": "pdfPasswordEnvVar" must be an environment variable name'
+        );
+    });
 });
 
 // ============================================================================
@@ -369,6 +422,9 @@ describe('getClientConfig', () => {
                 input: '/invoices/acme',
                 processedOriginal: path.join('/invoices/acme', 'processed-original'),
                 processedEnriched: path.join('/invoices/acme', 'processed-enriched'),
+                duplicates: path.join('/invoices/acme', 'duplicates'),
+                pendingReview: path.join('/invoices/acme', 'pending-review'),
+                failed: path.join('/invoices/acme', 'failed'),
                 csvPath: path.join('/invoices/acme', 'invoice-log.csv')
             });
         });
@@ -380,6 +436,7 @@ describe('getClientConfig', () => {
 
             expect(result.folders.processedOriginal).toContain('processed-original');
             expect(result.folders.processedEnriched).toContain('processed-enriched');
+            expect(result.folders.duplicates).toContain('duplicates');
             expect(result.folders.csvPath).toContain('invoice-log.csv');
         });
     });
@@ -610,6 +667,62 @@ describe('getClientConfig', () => {
 
             expect(result.model).toBeNull();
         });
+
+        test("leaves the provider's default model to a client that overrides only the provider", async () => {
+            mockClientFolder({ acme: { ...MINIMAL_CLIENT, provider: 'openai' } });
+            const globalConfig = {
+                ...GLOBAL_CONFIG,
+                processing: { splitting: { mode: 'classify', model: 'gemini-lite' } }
+            };
+
+            const result = await getClientConfig('acme', globalConfig);
+
+            expect(result.provider).toBe('openai');
+            expect(result.model).toBeNull();
+            expect(result.processing.splitting).toEqual({ mode: 'classify' });
+        });
+
+        test('keeps the global model for a client that names the global provider', async () => {
+            mockClientFolder({ acme: { ...MINIMAL_CLIENT, provider: 'openai' } });
+
+            const result = await getClientConfig('acme', { ...GLOBAL_CONFIG, provider: 'openai', model: 'gpt-4o' });
+
+            expect(result.model).toBe('gpt-4o');
+        });
+
+        test('uses the client model with an overridden provider', async () => {
+            mockClientFolder({ acme: { ...MINIMAL_CLIENT, provider: 'local', model: 'llama3' } });
+
+            const result = await getClientConfig('acme', GLOBAL_CONFIG);
+
+            expect(result.model).toBe('llama3');
+        });
+    });
+
+    describe('provider merging', () => {
+        test('client provider overrides global', async () => {
+            mockClientFolder({ acme: { ...MINIMAL_CLIENT, provider: 'openai' } });
+
+            const result = await getClientConfig('acme', { ...GLOBAL_CONFIG, provider: 'local' });
+
+            expect(result.provider).toBe('openai');
+        });
+
+        test('falls back to global provider', async () => {
+            mockClientFolder({ acme: MINIMAL_CLIENT });
+
+            const result = await getClientConfig('acme', { ...GLOBAL_CONFIG, provider: 'local' });
+
+            expect(result.provider).toBe('local');
+        });
+
+        test('returns null when neither client nor global has provider', async () => {
+            mockClientFolder({ acme: MINIMAL_CLIENT });
+
+            const result = await getClientConfig('acme', GLOBAL_CONFIG);
+
+            expect(result.provider).toBeNull();
+        });
     });
 
     describe('metadata', () => {
@@ -640,6 +753,48 @@ describe('getClientConfig', () => {
 
             expect(result.processing).toEqual({ concurrency: 5 });
         });
+
+        test('client reviewRequired overrides processing.reviewRequired', async () => {
+            mockClientFolder({ acme: { ...MINIMAL_CLIENT, reviewRequired: true } });
+
+            const result = await getClientConfig('acme', GLOBAL_CONFIG);
+
+            expect(result.processing).toEqual({ concurrency: 5, reviewRequired: true });
+        });
+
+        test('client confidenceThreshold overrides processing.confidence.threshold', async () => {
+            mockClientFolder({ acme: { ...MINIMAL_CLIENT, confidenceThreshold: 0.8 } });
+
+            const result = await getClientConfig('acme', GLOBAL_CONFIG);
+
+            expect(result.processing).toEqual({ concurrency: 5, confidence: { threshold: 0.8 } });
+        });
+
+        test('client baseCurrency overrides processing.currencyConversion.baseCurrency', async () => {
+            mockClientFolder({ acme: { ...MINIMAL_CLIENT, baseCurrency: 'dkk' } });
+
+            const result = await getClientConfig('acme', GLOBAL_CONFIG);
+
+            expect(result.processing).toEqual({ concurrency: 5, currencyConversion: { baseCurrency: 'DKK' } });
+        });
+
+        test('client pdfPasswordEnvVar overrides processing.pdfPasswordEnvVar', async () => {
+            mockClientFolder({ acme: { ...MINIMAL_CLIENT, pdfPasswordEnvVar: 'ACME_PDF_PASSWORD' } });
+
+            const result = await getClientConfig('acme', GLOBAL_CONFIG);
+
+            expect(result.processing).toEqual({ concurrency: 5, pdfPasswordEnvVar: 'ACME_PDF_PASSWORD' });
+        });
+
+        test('client supplierRules come before the global ones', async () => {
+            const clientRule = { supplier: 'Acme', promptHint: 'Client hint' };
+            const globalRule = { supplier: 'Acme', promptHint: 'Global hint' };
+            mockClientFolder({ acme: { ...MINIMAL_CLIENT, supplierRules: [clientRule] } });
+
+            const result = await getClientConfig('acme', { ...GLOBAL_CONFIG, supplierRules: [globalRule] });
+
+            expect(result.supplierRules).toEqual([clientRule, globalRule]);
+        });
     });
 
     describe('error cases', () => {
@@ -778,6 +933,26 @@ describe('getAnnotatedClientConfig', () => {
 
         const resultOverride = await getAnnotatedClientConfig('acme', GLOBAL_CONFIG);
         expect(resultOverride.model).toEqual({ value: 'gemini-pro', _source: 'override' });
+
+        clearClientsCache();
+        mockClientFolder({ acme: { ...MINIMAL_CLIENT, provider: 'openai' } });
+
+        const resultOtherProvider = await getAnnotatedClientConfig('acme', GLOBAL_CONFIG);
+        expect(resultOtherProvider.model).toEqual({ value: null, _source: 'global' });
+    });
+
+    test('marks provider as global or override', async () => {
+        mockClientFolder({ acme: MINIMAL_CLIENT });
+        fsp.access.mockRejectedValue(new Error('ENOENT'));
+
+        const resultGlobal = await getAnnotatedClientConfig('acme', GLOBAL_CONFIG);
+        expect(resultGlobal.provider).toEqual({ value: null, _source: 'global' });
+
+        clearClientsCache();
+        mockClientFolder({ acme: { ...MINIMAL_CLIENT, provider: 'openai' } });
+
+        const resultOverride = await getAnnotatedClientConfig('acme', GLOBAL_CONFIG);
+        expect(resultOverride.provider).toEqual({ value: 'openai', _source: 'override' });
     });
 
     test('marks filename template as global or override', async () => {
@@ -953,6 +1128,29 @@ describe('saveClientOverrides', () => {
         expect(written.model).toBe('gemini-pro');
     });
 
+    test('saves provider override', async () => {
+        await saveClientOverrides('acme', 'provider', 'openai');
+
+        const written = JSON.parse(fsp.writeFile.mock.calls[0][1] as string);
+        expect(written.provider).toBe('openai');
+    });
+
+    test('saves supplier rules after validating them', async () => {
+        const rules = [{ supplier: 'Acme', fields: { invoiceNumber: { pattern: '^Bilag\\s*' } } }];
+        await saveClientOverrides('acme', 'supplierRules', rules);
+
+        const written = JSON.parse(fsp.writeFile.mock.calls[0][1] as string);
+        expect(written.supplierRules).toEqual(rules);
+        await expect(
+            saveClientOverrides('acme', 'supplierRules', [{ supplier: 'Acme', fields: { x: {} } }])
+        ).rejects.toThrow('supplierRules[0].fields.x: must have either "set" or "pattern"');
+    });
+
+    test('rejects unknown provider override', async () => {
+        await expect(saveClientOverrides('acme', 'provider', 'acme-ai')).rejects.toThrow('Invalid provider: acme-ai');
+        expect(fsp.writeFile).not.toHaveBeenCalled();
+    });
+
     test('throws on invalid section', async () => {
         await expect(saveClientOverrides('acme', 'invalid', {})).rejects.toThrow('Invalid override section: invalid');
     });
@@ -976,7 +1174,8 @@ describe('removeClientOverrides', () => {
             promptOverride: { extraction: 'Custom' },
             promptTemplate: { extraction: 'Legacy' },
             outputOverride: { filenameTemplate: 'custom.pdf' },
-            model: 'gemini-pro'
+            model: 'gemini-pro',
+            supplierRules: [{ supplier: 'Acme', promptHint: 'Hint' }]
         };
         fsp.readFile.mockResolvedValue(JSON.stringify(fullConfig));
     });
@@ -1018,6 +1217,20 @@ describe('removeClientOverrides', () => {
         expect(written.model).toBeUndefined();
     });
 
+    test('removes provider override', async () => {
+        await removeClientOverrides('acme', 'provider');
+
+        const written = JSON.parse(fsp.writeFile.mock.calls[0][1] as string);
+        expect(written.provider).toBeUndefined();
+    });
+
+    test('removes supplier rules', async () => {
+        await removeClientOverrides('acme', 'supplierRules');
+
+        const written = JSON.parse(fsp.writeFile.mock.calls[0][1] as string);
+        expect(written.supplierRules).toBeUndefined();
+    });
+
     test('throws on invalid section', async () => {
         await expect(removeClientOverrides('acme', 'bogus')).rejects.toThrow('Invalid override section: bogus');
     });
@@ -1090,6 +1303,25 @@ describe('resolveApiKey', () => {
 
         expect(() => resolveApiKey({ name: 'Acme' } as any)).toThrow('Set GEMINI_API_KEY');
     });
+
+    test('falls back to OPENAI_API_KEY for the openai provider', () => {
+        process.env.GEMINI_API_KEY = 'gemini-key';
+        process.env.OPENAI_API_KEY = 'openai-key';
+
+        expect(resolveApiKey({ name: 'Acme', provider: 'openai' } as any)).toBe('openai-key');
+    });
+
+    test('error message names OPENAI_API_KEY for the openai provider', () => {
+        delete process.env.OPENAI_API_KEY;
+
+        expect(() => resolveApiKey({ name: 'Acme', provider: 'openai' } as any)).toThrow('Set OPENAI_API_KEY');
+    });
+
+    test('returns empty key for the local provider', () => {
+        delete process.env.GEMINI_API_KEY;
+
+        expect(resolveApiKey({ name: 'Acme', provider: 'local' } as any)).toBe('');
+    });
 });
 
 // ============================================================================
@@ -1141,15 +1373,15 @@ describe('clientFolderExists', () => {
 // ============================================================================
 
 describe('getClientFolderStatus', () => {
-    test('counts PDFs in input and processed folders', async () => {
+    test('counts PDFs and images in input and processed folders', async () => {
         fsp.access.mockResolvedValue(undefined as any);
         fsp.readdir
-            .mockResolvedValueOnce(['inv1.pdf', 'inv2.PDF', 'readme.txt'] as any) // input folder
-            .mockResolvedValueOnce(['done1.pdf'] as any); // processed folder
+            .mockResolvedValueOnce(['inv1.pdf', 'inv2.PDF', 'photo.jpeg', 'readme.txt'] as any) // input folder
+            .mockResolvedValueOnce(['done1.pdf', 'done2.png'] as any); // processed folder
 
         const result = await getClientFolderStatus('/invoices/acme');
 
-        expect(result).toEqual({ exists: true, inputPdfCount: 2, processedCount: 1 });
+        expect(result).toEqual({ exists: true, inputPdfCount: 3, processedCount: 2 });
     });
 
     test('returns exists: false when folder missing', async () => {
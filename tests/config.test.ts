@@ -1,4 +1,12 @@
-import { validateFieldDefinitions, validateTagDefinitions, validatePromptTemplate } from '../src/config.js';
+import {
+    validateFieldDefinitions,
+    validateTagDefinitions,
+    validatePromptTemplate,
+    validateConsistencyRules,
+    validateCustomFormats,
+    validateSupplierRules,
+    validateConfig
+} from '../src/config.js';
 
 // Helper: valid field definition
 function validField(overrides = {}) {
@@ -135,6 +143,15 @@ describe('validateFieldDefinitions', () => {
         );
     });
 
+    test('accepts custom formats on text fields only', () => {
+        const customFormats = { dkCvr: { label: 'CVR', pattern: '\\d{8}' } };
+        expect(() => validateFieldDefinitions([validField({ format: 'dkCvr' })], customFormats)).not.toThrow();
+        expect(() => validateFieldDefinitions([validField({ format: 'dkCvr' })])).toThrow('"format" must be one of');
+        expect(() =>
+            validateFieldDefinitions([validField({ type: 'number', format: 'dkCvr' })], customFormats)
+        ).toThrow('format "dkCvr" is not compatible with type "number"');
+    });
+
     test('accepts fields with annotation properties (_source, _globalDefaults)', () => {
         const fields = [
             validField({
@@ -158,6 +175,83 @@ describe('validateFieldDefinitions', () => {
         ];
         expect(() => validateFieldDefinitions(fields)).not.toThrow();
     });
+
+    test('accepts eInvoiceField naming an e-invoice value and rejects others', () => {
+        expect(() =>
+            validateFieldDefinitions([validField({ key: 'vendorVat', eInvoiceField: 'vatNumber' })])
+        ).not.toThrow();
+        expect(() => validateFieldDefinitions([validField({ eInvoiceField: 'vat' })])).toThrow(
+            '"eInvoiceField" must be one of'
+        );
+    });
+
+    describe('table fields', () => {
+        const columns = [
+            { key: 'description', label: 'Description', type: 'text' },
+            { key: 'quantity', label: 'Quantity', type: 'number', schemaHint: 'units' }
+        ];
+
+        test('accepts table field with typed columns', () => {
+            expect(() => validateFieldDefinitions([validField({ type: 'table', columns })])).not.toThrow();
+        });
+
+        test('rejects table field without columns', () => {
+            expect(() => validateFieldDefinitions([validField({ type: 'table' })])).toThrow(
+                'table fields must have a non-empty "columns" array'
+            );
+        });
+
+        test('rejects column with invalid key', () => {
+            expect(() =>
+                validateFieldDefinitions([
+                    validField({ type: 'table', columns: [{ key: 'Bad Key', label: 'X', type: 'text' }] })
+                ])
+            ).toThrow('columns[0]: "key" must start with a lowercase letter');
+        });
+
+        test('rejects duplicate column keys', () => {
+            expect(() =>
+                validateFieldDefinitions([validField({ type: 'table', columns: [columns[0], columns[0]] })])
+            ).toThrow('duplicate column key "description"');
+        });
+
+        test('rejects unsupported column type', () => {
+            expect(() =>
+                validateFieldDefinitions([
+                    validField({ type: 'table', columns: [{ key: 'nested', label: 'Nested', type: 'table' }] })
+                ])
+            ).toThrow('columns[0]: "type" must be one of: text, number, boolean, date');
+        });
+    });
+
+    describe('choice fields', () => {
+        const options = [
+            { value: 'office', label: 'Office Supplies' },
+            { value: 'travel', label: 'Travel', description: 'Hotels and flights' }
+        ];
+
+        test('accepts choice field with options', () => {
+            expect(() => validateFieldDefinitions([validField({ type: 'choice', options })])).not.toThrow();
+        });
+
+        test('rejects choice field without options', () => {
+            expect(() => validateFieldDefinitions([validField({ type: 'choice', options: [] })])).toThrow(
+                'choice fields must have a non-empty "options" array'
+            );
+        });
+
+        test('rejects option without label', () => {
+            expect(() =>
+                validateFieldDefinitions([validField({ type: 'choice', options: [{ value: 'office' }] })])
+            ).toThrow('options[0]: must have a "label" string');
+        });
+
+        test('rejects duplicate option values', () => {
+            expect(() =>
+                validateFieldDefinitions([validField({ type: 'choice', options: [options[0], options[0]] })])
+            ).toThrow('duplicate option value "office"');
+        });
+    });
 });
 
 describe('validateTagDefinitions', () => {
@@ -289,3 +383,412 @@ describe('validatePromptTemplate', () => {
         );
     });
 });
+
+describe('validateConsistencyRules', () => {
+    const sumRule = { id: 'net-vat', type: 'sum', addends: ['netAmount', 'vatAmount'], total: 'totalAmount' };
+
+    test('accepts valid rules of every type', () => {
+        expect(() =>
+            validateConsistencyRules([
+                sumRule,
+                { id: 'due', type: 'dateOrder', earlier: 'invoiceDate', later: 'paymentDate' },
+                { id: 'currency', type: 'equal', fields: ['currency', 'lineItems.currency'], enabled: false }
+            ])
+        ).not.toThrow();
+    });
+
+    test('rejects non-array', () => {
+        expect(() => validateConsistencyRules({})).toThrow('consistencyRules must be an array');
+    });
+
+    test('rejects missing and duplicate ids', () => {
+        expect(() => validateConsistencyRules([{ ...sumRule, id: '' }])).toThrow('must have an "id" string');
+        expect(() => validateConsistencyRules([sumRule, sumRule])).toThrow('duplicate id "net-vat"');
+    });
+
+    test('rejects unknown type', () => {
+        expect(() => validateConsistencyRules([{ ...sumRule, type: 'product' }])).toThrow('"type" must be one of');
+    });
+
+    test('rejects incomplete sum rules', () => {
+        expect(() => validateConsistencyRules([{ ...sumRule, addends: [] }])).toThrow('sum rules need');
+        expect(() => validateConsistencyRules([{ ...sumRule, total: undefined }])).toThrow('sum rules need');
+        expect(() => validateConsistencyRules([{ ...sumRule, tolerance: -1 }])).toThrow('"tolerance" must be');
+    });
+
+    test('rejects incomplete dateOrder rules', () => {
+        expect(() => validateConsistencyRules([{ id: 'due', type: 'dateOrder', earlier: 'invoiceDate' }])).toThrow(
+            'dateOrder rules need'
+        );
+    });
+
+    test('rejects equal rules with fewer than two fields', () => {
+        expect(() => validateConsistencyRules([{ id: 'c', type: 'equal', fields: ['currency'] }])).toThrow(
+            'equal rules need at least two'
+        );
+    });
+});
+
+describe('validateSupplierRules', () => {
+    test('accepts prompt hints and field rules', () => {
+        expect(() =>
+            validateSupplierRules([
+                {
+                    supplier: 'Acme A/S',
+                    filenamePattern: '^acme',
+                    promptHint: 'The invoice number is the Bilagsnr. box.'
+                },
+                {
+                    supplier: 'Globex',
+                    fields: { invoiceNumber: { pattern: '^INV-', replacement: '' }, category: { set: 'utilities' } }
+                },
+                { supplier: 'Initech', textPatterns: { invoiceNumber: 'Invoice no\\.\\s*(\\S+)' } }
+            ])
+        ).not.toThrow();
+    });
+
+    test('rejects rules without a supplier or anything to do', () => {
+        expect(() => validateSupplierRules({})).toThrow('supplierRules must be an array');
+        expect(() => validateSupplierRules([{ promptHint: 'x' }])).toThrow('supplierRules[0]: must have a "supplier"');
+        expect(() => validateSupplierRules([{ supplier: 'Acme' }])).toThrow(
+            'must have a "promptHint", "fields", "textPatterns" or "pdfPasswordEnvVar"'
+        );
+        expect(() => validateSupplierRules([{ supplier: 'Acme', promptHint: ' ' }])).toThrow(
+            '"promptHint" must be a non-empty string'
+        );
+    });
+
+    test('rejects invalid patterns and field rules', () => {
+        const rule = (extra: Record<string, unknown>) => [{ supplier: 'Acme', promptHint: 'x', ...extra }];
+        expect(() => validateSupplierRules(rule({ filenamePattern: '(' }))).toThrow(
+            '"filenamePattern" must be a valid regular expression'
+        );
+        expect(() => validateSupplierRules(rule({ fields: { a: { set: 'x', pattern: 'y' } } }))).toThrow(
+            'supplierRules[0].fields.a: must have either "set" or "pattern"'
+        );
+        expect(() => validateSupplierRules(rule({ fields: { a: { set: null } } }))).toThrow(
+            '"set" must be a string, number or boolean'
+        );
+        expect(() => validateSupplierRules(rule({ fields: { a: { pattern: '[' } } }))).toThrow(
+            '"pattern" must be a valid regular expression'
+        );
+        expect(() => validateSupplierRules(rule({ fields: { a: { pattern: 'x', replacement: 1 } } }))).toThrow(
+            '"replacement" must be a string'
+        );
+        expect(() => validateSupplierRules(rule({ textPatterns: ['x'] }))).toThrow('"textPatterns" must be an object');
+        expect(() => validateSupplierRules(rule({ textPatterns: { invoiceNumber: '(' } }))).toThrow(
+            'supplierRules[0].textPatterns.invoiceNumber must be a valid regular expression'
+        );
+    });
+});
+
+describe('validateConfig watch settings', () => {
+    const base = { processing: { concurrency: 1, retryAttempts: 0 }, output: { filenameTemplate: '{supplierName}' } };
+    const validate = (watch: unknown) => validateConfig({ ...base, watch }, { requireFolders: false });
+
+    test('accepts valid settings', () => {
+        expect(() => validate({ enabled: true, pollIntervalMs: 5000, stabilityMs: 0 })).not.toThrow();
+        expect(() => validate({})).not.toThrow();
+    });
+
+    test('rejects invalid settings', () => {
+        expect(() => validate(true)).toThrow('watch must be an object');
+        expect(() => validate({ enabled: 'yes' })).toThrow('watch.enabled must be a boolean');
+        expect(() => validate({ pollIntervalMs: 10 })).toThrow('watch.pollIntervalMs');
+        expect(() => validate({ stabilityMs: -1 })).toThrow('watch.stabilityMs');
+    });
+});
+
+describe('validateConfig splitting settings', () => {
+    const validate = (splitting: unknown) =>
+        validateConfig(
+            {
+                processing: { concurrency: 1, retryAttempts: 0, splitting },
+                output: { filenameTemplate: '{supplierName}' }
+            },
+            { requireFolders: false }
+        );
+
+    test('accepts valid settings', () => {
+        expect(() => validate({ enabled: true, mode: 'classify', model: 'gemini-flash' })).not.toThrow();
+        expect(() => validate({ enabled: true, mode: 'pages', pagesPerDocument: 2 })).not.toThrow();
+        expect(() => validate({})).not.toThrow();
+    });
+
+    test('rejects invalid settings', () => {
+        expect(() => validate('yes')).toThrow('processing.splitting must be an object');
+        expect(() => validate({ enabled: 1 })).toThrow('processing.splitting.enabled must be a boolean');
+        expect(() => validate({ mode: 'ocr' })).toThrow('processing.splitting.mode must be one of');
+        expect(() => validate({ mode: 'pages' })).toThrow('pagesPerDocument is required');
+        expect(() => validate({ mode: 'pages', pagesPerDocument: 0 })).toThrow('positive integer');
+        expect(() => validate({ model: '' })).toThrow('processing.splitting.model');
+    });
+});
+
+describe('validateConfig e-invoice settings', () => {
+    test('requires readEInvoices to be a boolean', () => {
+        const validate = (readEInvoices: unknown) =>
+            validateConfig(
+                {
+                    processing: { concurrency: 1, retryAttempts: 0, readEInvoices },
+                    output: { filenameTemplate: '{supplierName}' }
+                },
+                { requireFolders: false }
+            );
+
+        expect(() => validate(false)).not.toThrow();
+        expect(() => validate('no')).toThrow('processing.readEInvoices must be a boolean');
+    });
+});
+
+describe('validateConfig review settings', () => {
+    test('requires reviewRequired to be a boolean', () => {
+        const validate = (reviewRequired: unknown) =>
+            validateConfig(
+                {
+                    processing: { concurrency: 1, retryAttempts: 0, reviewRequired },
+                    output: { filenameTemplate: '{supplierName}' }
+                },
+                { requireFolders: false }
+            );
+
+        expect(() => validate(true)).not.toThrow();
+        expect(() => validate('yes')).toThrow('processing.reviewRequired must be a boolean');
+    });
+
+    test('requires supplierRegistry to be a boolean', () => {
+        const validate = (supplierRegistry: unknown) =>
+            validateConfig(
+                {
+                    processing: { concurrency: 1, retryAttempts: 0, supplierRegistry },
+                    output: { filenameTemplate: '{supplierName}' }
+                },
+                { requireFolders: false }
+            );
+
+        expect(() => validate(true)).not.toThrow();
+        expect(() => validate('on')).toThrow('processing.supplierRegistry must be a boolean');
+    });
+
+    test('validates confidence settings', () => {
+        const validate = (confidence: unknown) =>
+            validateConfig(
+                {
+                    processing: { concurrency: 1, retryAttempts: 0, confidence },
+                    output: { filenameTemplate: '{supplierName}' }
+                },
+                { requireFolders: false }
+            );
+
+        expect(() => validate({ enabled: true, threshold: 0.7, action: 'fail' })).not.toThrow();
+        expect(() => validate(true)).toThrow('processing.confidence must be an object');
+        expect(() => validate({ threshold: 1.5 })).toThrow(
+            'processing.confidence.threshold must be a number between 0 and 1'
+        );
+        expect(() => validate({ action: 'skip' })).toThrow('processing.confidence.action must be one of: review, fail');
+    });
+
+    test('validates currency conversion settings', () => {
+        const validate = (currencyConversion: unknown) =>
+            validateConfig(
+                {
+                    processing: { concurrency: 1, retryAttempts: 0, currencyConversion },
+                    output: { filenameTemplate: '{supplierName}' }
+                },
+                { requireFolders: false }
+            );
+
+        expect(() => validate({ baseCurrency: 'dkk', ratesFile: 'data/rates.csv', ratesBase: 'EUR' })).not.toThrow();
+        expect(() => validate('DKK')).toThrow('processing.currencyConversion must be an object');
+        expect(() => validate({ baseCurrency: 'KRONE' })).toThrow(
+            'processing.currencyConversion.baseCurrency must be a 3-letter currency code'
+        );
+        expect(() => validate({ ratesBase: 1 })).toThrow(
+            'processing.currencyConversion.ratesBase must be a 3-letter currency code'
+        );
+        expect(() => validate({ ratesFile: ' ' })).toThrow(
+            'processing.currencyConversion.ratesFile must be a non-empty string'
+        );
+    });
+
+    test('validates PDF password environment variable names', () => {
+        const validate = (pdfPasswordEnvVar: unknown, supplierRules?: unknown) =>
+            validateConfig(
+                {
+                    processing: { concurrency: 1, retryAttempts: 0, pdfPasswordEnvVar },
+                    output: { filenameTemplate: '{supplierName}' },
+                    supplierRules
+                },
+                { requireFolders: false }
+            );
+
+        expect(() => validate('PDF_PASSWORD', [{ supplier: 'Orsted', pdfPasswordEnvVar: 'ORSTED_PDF' }])).not.toThrow();
+        expect(() => validate('pdf password')).toThrow(
+            'processing.pdfPasswordEnvVar must be an environment variable name'
+        );
+        expect(() => validate(undefined, [{ supplier: 'Bank', pdfPasswordEnvVar: '1BANK' }])).toThrow(
+            'supplierRules[0]: "pdfPasswordEnvVar" must be an environment variable name'
+        );
+    });
+
+    test('validates text layer settings', () => {
+        const validate = (textLayer: unknown) =>
+            validateConfig(
+                {
+                    processing: { concurrency: 1, retryAttempts: 0, textLayer },
+                    output: { filenameTemplate: '{supplierName}' }
+                },
+                { requireFolders: false }
+            );
+
+        expect(() => validate({ enabled: true, requiredFields: ['invoiceNumber'], sendText: true })).not.toThrow();
+        expect(() => validate(true)).toThrow('processing.textLayer must be an object');
+        expect(() => validate({ enabled: 'yes' })).toThrow('processing.textLayer.enabled must be a boolean');
+        expect(() => validate({ sendText: 1 })).toThrow('processing.textLayer.sendText must be a boolean');
+        expect(() => validate({ requiredFields: 'invoiceNumber' })).toThrow(
+            'processing.textLayer.requiredFields must be an array of field keys'
+        );
+    });
+
+    test('validates response cache settings', () => {
+        const validate = (responseCache: unknown) =>
+            validateConfig(
+                {
+                    processing: { concurrency: 1, retryAttempts: 0, responseCache },
+                    output: { filenameTemplate: '{supplierName}' }
+                },
+                { requireFolders: false }
+            );
+
+        expect(() => validate({ enabled: true, maxSizeMb: 0.5 })).not.toThrow();
+        expect(() => validate([])).toThrow('processing.responseCache must be an object');
+        expect(() => validate({ enabled: 1 })).toThrow('processing.responseCache.enabled must be a boolean');
+        expect(() => validate({ maxSizeMb: 0 })).toThrow(
+            'processing.responseCache.maxSizeMb must be a positive number'
+        );
+        expect(() => validate({ maxSizeMb: '50' })).toThrow(
+            'processing.responseCache.maxSizeMb must be a positive number'
+        );
+    });
+});
+
+describe('validateConfig UBL export settings', () => {
+    const validate = (ubl: unknown) =>
+        validateConfig(
+            {
+                processing: { concurrency: 1, retryAttempts: 0 },
+                output: { filenameTemplate: '{supplierName}', ubl }
+            },
+            { requireFolders: false }
+        );
+
+    test('accepts valid settings', () => {
+        expect(() => validate({ enabled: true, mapping: { bankAccountNumber: 'iban' } })).not.toThrow();
+        expect(() => validate({})).not.toThrow();
+    });
+
+    test('rejects invalid settings', () => {
+        expect(() => validate(true)).toThrow('output.ubl must be an object');
+        expect(() => validate({ enabled: 'yes' })).toThrow('output.ubl.enabled must be a boolean');
+        expect(() => validate({ mapping: [] })).toThrow('output.ubl.mapping must be an object');
+        expect(() => validate({ mapping: { bankAccountNumber: 'bic' } })).toThrow(
+            'output.ubl.mapping.bankAccountNumber must be one of'
+        );
+    });
+});
+
+describe('validateConfig export profiles', () => {
+    const validate = (exportProfiles: unknown, exportProfile?: string) =>
+        validateConfig(
+            {
+                processing: { concurrency: 1, retryAttempts: 0 },
+                output: { filenameTemplate: '{supplierName}', exportProfile },
+                exportProfiles
+            },
+            { requireFolders: false }
+        );
+
+    test('accepts built-in overrides and new profiles', () => {
+        expect(() => validate(undefined, 'datev')).not.toThrow();
+        expect(() => validate({ datev: { settings: { consultantNumber: '4711' } } })).not.toThrow();
+        expect(() =>
+            validate(
+                {
+                    mine: {
+                        label: 'Mine',
+                        format: 'csv',
+                        delimiter: ';',
+                        columns: [{ header: 'Total', field: ['totalAmount', 'amountDue'], type: 'amount' }]
+                    }
+                },
+                'mine'
+            )
+        ).not.toThrow();
+    });
+
+    test('rejects invalid profiles', () => {
+        expect(() => validate(undefined, 'nope')).toThrow('output.exportProfile must be one of: datev, xero');
+        expect(() => validate([])).toThrow('exportProfiles must be an object');
+        expect(() => validate({ mine: { format: 'csv' } })).toThrow('exportProfiles.mine: must have a "label" string');
+        expect(() => validate({ mine: { label: 'Mine', format: 'pdf' } })).toThrow('"format" must be one of');
+        expect(() => validate({ mine: { label: 'Mine', format: 'csv' } })).toThrow(
+            '"columns" must be a non-empty array'
+        );
+        expect(() => validate({ datev: { encoding: 'latin1' } })).toThrow('"encoding" must be one of');
+        expect(() => validate({ datev: { delimiter: ';;' } })).toThrow('"delimiter" must be a single character');
+        expect(() => validate({ datev: { settings: { clientNumber: 1 } } })).toThrow(
+            '"settings" must be an object of strings'
+        );
+        expect(() => validate({ xero: { columns: [{ header: 'X', type: 'money' }] } })).toThrow(
+            'exportProfiles.xero.columns[0]: "type" must be one of'
+        );
+    });
+});
+
+describe('validateCustomFormats', () => {
+    const cvr = { label: 'CVR', pattern: '\\d{8}', checksum: 'mod11', weights: [2, 7, 6, 5, 4, 3, 2, 1] };
+
+    test('accepts formats with normalization and checksum', () => {
+        expect(() =>
+            validateCustomFormats({ dkCvr: { ...cvr, normalize: ['stripSpaces', 'uppercase'], example: '10150817' } })
+        ).not.toThrow();
+    });
+
+    test('rejects invalid formats', () => {
+        expect(() => validateCustomFormats([])).toThrow('customFormats must be an object');
+        expect(() => validateCustomFormats({ iso4217: cvr })).toThrow(
+            'customFormats.iso4217: key is already a built-in format'
+        );
+        expect(() => validateCustomFormats({ 'dk-cvr': cvr })).toThrow('key must start with a lowercase letter');
+        expect(() => validateCustomFormats({ dkCvr: { pattern: '\\d{8}' } })).toThrow(
+            'customFormats.dkCvr: must have a "label" string'
+        );
+        expect(() => validateCustomFormats({ dkCvr: { ...cvr, pattern: '(\\d{8}' } })).toThrow(
+            '"pattern" is not a valid regular expression'
+        );
+        expect(() => validateCustomFormats({ dkCvr: { ...cvr, normalize: ['trim'] } })).toThrow(
+            '"normalize" must be an array of: stripSpaces, uppercase'
+        );
+        expect(() => validateCustomFormats({ dkCvr: { ...cvr, checksum: 'crc32' } })).toThrow(
+            '"checksum" must be one of: mod97, luhn, mod11'
+        );
+        expect(() => validateCustomFormats({ dkCvr: { ...cvr, checksum: 'luhn' } })).toThrow(
+            '"weights" only applies to the mod11 checksum'
+        );
+        expect(() => validateCustomFormats({ dkCvr: { ...cvr, weights: [2, -1] } })).toThrow(
+            '"weights" must be a non-empty array of non-negative integers'
+        );
+    });
+
+    test('validateConfig checks field formats against the custom formats', () => {
+        const config = {
+            processing: { concurrency: 1, retryAttempts: 0 },
+            output: { filenameTemplate: '{testField}.pdf' },
+            fieldDefinitions: [validField({ format: 'dkCvr' })]
+        };
+        expect(() =>
+            validateConfig({ ...config, customFormats: { dkCvr: cvr } }, { requireFolders: false })
+        ).not.toThrow();
+        expect(() => validateConfig(config, { requireFolders: false })).toThrow('"format" must be one of');
+    });
+});
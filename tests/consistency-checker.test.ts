@@ -0,0 +1,102 @@
+import { checkConsistency } from '../src/consistency-checker.js';
+
+describe('checkConsistency', () => {
+    test('returns no warnings without rules', () => {
+        expect(checkConsistency({ totalAmount: 10 }, undefined)).toEqual([]);
+        expect(checkConsistency({ totalAmount: 10 }, [])).toEqual([]);
+    });
+
+    test('skips disabled rules', () => {
+        const rules: any = [{ id: 'r', type: 'equal', fields: ['a', 'b'], enabled: false }];
+        expect(checkConsistency({ a: 'EUR', b: 'USD' }, rules)).toEqual([]);
+    });
+
+    describe('sum', () => {
+        const rules: any = [{ id: 'net-vat', type: 'sum', addends: ['netAmount', 'vatAmount'], total: 'totalAmount' }];
+
+        test('passes within the default tolerance', () => {
+            expect(checkConsistency({ netAmount: 100, vatAmount: 21, totalAmount: 121.005 }, rules)).toEqual([]);
+        });
+
+        test('warns when addends do not match the total', () => {
+            const [warning] = checkConsistency({ netAmount: 100, vatAmount: 21, totalAmount: 125 }, rules);
+            expect(warning).toEqual({
+                rule: 'net-vat',
+                type: 'sum',
+                fields: ['netAmount', 'vatAmount', 'totalAmount'],
+                message: 'net-vat: netAmount + vatAmount = 121, but totalAmount is 125',
+                expected: 125,
+                actual: 121
+            });
+        });
+
+        test('honours a custom tolerance and label', () => {
+            const loose: any = [{ ...rules[0], tolerance: 5, label: 'Net + VAT' }];
+            expect(checkConsistency({ netAmount: 100, vatAmount: 21, totalAmount: 125 }, loose)).toEqual([]);
+            const [warning] = checkConsistency({ netAmount: 100, vatAmount: 21, totalAmount: 130 }, loose);
+            expect(warning.message).toMatch(/^Net \+ VAT:/);
+        });
+
+        test('accepts numeric strings', () => {
+            expect(checkConsistency({ netAmount: '100', vatAmount: '21.00', totalAmount: 121 }, rules)).toEqual([]);
+        });
+
+        test('skips the rule when a field was not extracted', () => {
+            const validated = { netAmount: 100, vatAmount: 0, totalAmount: 121 };
+            expect(checkConsistency(validated, rules, { netAmount: 100, totalAmount: 121 })).toEqual([]);
+        });
+
+        test('sums table columns across rows', () => {
+            const lineRules: any = [{ id: 'lines', type: 'sum', addends: ['lineItems.amount'], total: 'netAmount' }];
+            const analysis = { netAmount: 30, lineItems: [{ amount: 10 }, { amount: 15 }] };
+            const [warning] = checkConsistency(analysis, lineRules);
+            expect(warning.actual).toBe(25);
+            expect(warning.expected).toBe(30);
+        });
+
+        test('skips table sums when the table is empty', () => {
+            const lineRules: any = [{ id: 'lines', type: 'sum', addends: ['lineItems.amount'], total: 'netAmount' }];
+            expect(checkConsistency({ netAmount: 30, lineItems: [] }, lineRules)).toEqual([]);
+        });
+    });
+
+    describe('dateOrder', () => {
+        const rules: any = [{ id: 'due', type: 'dateOrder', earlier: 'invoiceDate', later: 'paymentDate' }];
+
+        test('passes when dates are in order or equal', () => {
+            expect(checkConsistency({ invoiceDate: '2024-01-15', paymentDate: '2024-02-15' }, rules)).toEqual([]);
+            expect(checkConsistency({ invoiceDate: '2024-01-15', paymentDate: '2024-01-15' }, rules)).toEqual([]);
+        });
+
+        test('warns when the later date is earlier', () => {
+            const [warning] = checkConsistency({ invoiceDate: '2024-01-15', paymentDate: '20240110' }, rules);
+            expect(warning.type).toBe('dateOrder');
+            expect(warning.fields).toEqual(['invoiceDate', 'paymentDate']);
+            expect(warning.message).toBe('due: paymentDate (20240110) is before invoiceDate (2024-01-15)');
+        });
+
+        test('skips unknown or unparseable dates', () => {
+            expect(checkConsistency({ invoiceDate: 'Unknown', paymentDate: '2024-01-01' }, rules)).toEqual([]);
+            expect(checkConsistency({ invoiceDate: '15/01/2024', paymentDate: '2024-01-01' }, rules)).toEqual([]);
+        });
+    });
+
+    describe('equal', () => {
+        const rules: any = [{ id: 'currency', type: 'equal', fields: ['currency', 'lineItems.currency'] }];
+
+        test('ignores case and whitespace', () => {
+            const analysis = { currency: 'EUR', lineItems: [{ currency: 'eur ' }, { currency: '' }] };
+            expect(checkConsistency(analysis, rules)).toEqual([]);
+        });
+
+        test('warns when values differ', () => {
+            const analysis = { currency: 'EUR', lineItems: [{ currency: 'EUR' }, { currency: 'USD' }] };
+            const [warning] = checkConsistency(analysis, rules);
+            expect(warning.message).toBe(
+                'currency: expected one value across currency, lineItems.currency, found EUR, USD'
+            );
+            expect(warning.expected).toBe('EUR');
+            expect(warning.actual).toBe('USD');
+        });
+    });
+});
@@ -0,0 +1,231 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+    buildCsvHeaders,
+    buildLineItemsCsvHeaders,
+    getLineItemsCsvPath,
+    appendInvoiceRow,
+    appendLineItemRows,
+    replaceInvoiceRows,
+    readCsv
+} from '../src/csv-logger.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'csv-logger-test-'));
+});
+
+afterEach(async () => {
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+const config: any = {
+    output: { filenameTemplate: '{supplierName}', includeSummary: false },
+    fieldDefinitions: [
+        { key: 'supplierName', label: 'Supplier', type: 'text', schemaHint: 's', instruction: 'i', enabled: true },
+        {
+            key: 'lineItems',
+            label: 'Line Items',
+            type: 'table',
+            schemaHint: 'rows',
+            instruction: 'i',
+            enabled: true,
+            columns: [
+                { key: 'description', label: 'Description', type: 'text' },
+                { key: 'quantity', label: 'Quantity', type: 'number' },
+                { key: 'deliveryDate', label: 'Delivered', type: 'date' }
+            ]
+        },
+        {
+            key: 'fees',
+            label: 'Fees',
+            type: 'table',
+            schemaHint: 'rows',
+            instruction: 'i',
+            enabled: true,
+            columns: [
+                { key: 'description', label: 'Description', type: 'text' },
+                { key: 'waived', label: 'Waived', type: 'boolean' }
+            ]
+        }
+    ]
+};
+
+const invoice = {
+    outputFilename: 'Acme.pdf',
+    originalFilename: 'scan.pdf',
+    analysis: {
+        supplierName: 'Acme',
+        lineItems: [
+            { description: 'Widget, large', quantity: 2, deliveryDate: '20240115' },
+            { description: 'Gadget', quantity: 1, deliveryDate: '' }
+        ],
+        fees: [{ description: 'Shipping', waived: true }]
+    }
+};
+
+describe('buildCsvHeaders', () => {
+    test('leaves table fields out of the invoice log', () => {
+        expect(buildCsvHeaders(config)).toEqual(['Enriched Filename', 'Original Filename', 'Supplier', 'Processed At']);
+    });
+
+    test('adds the base-currency columns when conversion is configured', () => {
+        const converting = { ...config, processing: { currencyConversion: { baseCurrency: 'dkk' } } };
+        expect(buildCsvHeaders(converting).slice(-4)).toEqual([
+            'Amount (DKK)',
+            'Exchange Rate',
+            'Rate Date',
+            'Processed At'
+        ]);
+    });
+});
+
+describe('getLineItemsCsvPath', () => {
+    test('places the companion CSV next to the invoice log', () => {
+        expect(getLineItemsCsvPath('/data/acme/invoice-log.csv')).toBe('/data/acme/invoice-log-line-items.csv');
+    });
+});
+
+describe('buildLineItemsCsvHeaders', () => {
+    test('unions table columns by key', () => {
+        expect(buildLineItemsCsvHeaders(config)).toEqual([
+            'Enriched Filename',
+            'Original Filename',
+            'Table',
+            'Row',
+            'Description',
+            'Quantity',
+            'Delivered',
+            'Waived',
+            'Processed At'
+        ]);
+    });
+});
+
+describe('appendLineItemRows', () => {
+    test('writes one row per table entry with typed formatting', async () => {
+        const csvPath = path.join(tmpDir, 'invoice-log.csv');
+
+        const written = await appendLineItemRows(csvPath, invoice as any, config);
+
+        expect(written).toBe(3);
+        const rows = await readCsv(getLineItemsCsvPath(csvPath));
+        expect(rows.map((r) => r.slice(0, -1))).toEqual([
+            ['Acme.pdf', 'scan.pdf', 'Line Items', '1', 'Widget, large', '2', '2024-01-15', ''],
+            ['Acme.pdf', 'scan.pdf', 'Line Items', '2', 'Gadget', '1', '', ''],
+            ['Acme.pdf', 'scan.pdf', 'Fees', '1', 'Shipping', '', '', 'Yes']
+        ]);
+    });
+
+    test('writes the header only once', async () => {
+        const csvPath = path.join(tmpDir, 'invoice-log.csv');
+
+        await appendLineItemRows(csvPath, invoice as any, config);
+        await appendLineItemRows(csvPath, invoice as any, config);
+
+        const content = await fsp.readFile(getLineItemsCsvPath(csvPath), 'utf-8');
+        expect(content.match(/Enriched Filename/g)).toHaveLength(1);
+        expect(await readCsv(getLineItemsCsvPath(csvPath))).toHaveLength(6);
+    });
+
+    test('does nothing when no table fields are enabled', async () => {
+        const csvPath = path.join(tmpDir, 'invoice-log.csv');
+        const noTables = { ...config, fieldDefinitions: [config.fieldDefinitions[0]] };
+
+        expect(await appendLineItemRows(csvPath, invoice as any, noTables)).toBe(0);
+        await expect(fsp.access(getLineItemsCsvPath(csvPath))).rejects.toThrow();
+    });
+});
+
+describe('appendInvoiceRow', () => {
+    test('skips table values in the invoice log row', async () => {
+        const csvPath = path.join(tmpDir, 'invoice-log.csv');
+
+        await appendInvoiceRow(csvPath, invoice as any, config);
+
+        const [row] = await readCsv(csvPath);
+        expect(row.slice(0, 3)).toEqual(['Acme.pdf', 'scan.pdf', 'Acme']);
+        expect(row).toHaveLength(4);
+    });
+
+    test('writes the base-currency conversion, or blanks without one', async () => {
+        const csvPath = path.join(tmpDir, 'invoice-log.csv');
+        const converting = { ...config, processing: { currencyConversion: { baseCurrency: 'DKK' } } };
+        const conversion = {
+            baseCurrency: 'DKK',
+            baseCurrencyAmount: 745.8,
+            rate: 7.458,
+            rateDate: '2024-01-12',
+            sourceCurrency: 'EUR'
+        };
+
+        await appendInvoiceRow(
+            csvPath,
+            { ...invoice, analysis: { supplierName: 'Acme', _conversion: conversion } },
+            converting
+        );
+        await appendInvoiceRow(csvPath, invoice as any, converting);
+
+        const [converted, unconverted] = await readCsv(csvPath);
+        expect(converted.slice(3, 6)).toEqual(['745.80', '7.458', '2024-01-12']);
+        expect(unconverted.slice(3, 6)).toEqual(['', '', '']);
+    });
+});
+
+describe('replaceInvoiceRows', () => {
+    test('rewrites the rows of an invoice in place and keeps the others', async () => {
+        const csvPath = path.join(tmpDir, 'invoice-log.csv');
+        const other = { ...invoice, outputFilename: 'Other.pdf', originalFilename: 'other.pdf' };
+        for (const data of [invoice, other]) {
+            await appendInvoiceRow(csvPath, data as any, config);
+            await appendLineItemRows(csvPath, data as any, config);
+        }
+        const [originalRow] = await readCsv(csvPath);
+
+        const corrected = {
+            outputFilename: 'Acme Ltd.pdf',
+            originalFilename: 'scan.pdf',
+            analysis: { supplierName: 'Acme Ltd', lineItems: [{ description: 'Widget', quantity: 3 }] }
+        };
+        const replaced = await replaceInvoiceRows(csvPath, 'Acme.pdf', corrected as any, config);
+
+        expect(replaced).toBe(true);
+        const rows = await readCsv(csvPath);
+        expect(rows.map((r) => r[0])).toEqual(['Acme Ltd.pdf', 'Other.pdf']);
+        expect(rows[0]).toEqual(['Acme Ltd.pdf', 'scan.pdf', 'Acme Ltd', originalRow[3]]);
+        const lineItems = await readCsv(getLineItemsCsvPath(csvPath));
+        expect(lineItems.map((r) => `${r[0]}/${r[4]}`)).toEqual([
+            'Acme Ltd.pdf/Widget',
+            'Other.pdf/Widget, large',
+            'Other.pdf/Gadget',
+            'Other.pdf/Shipping'
+        ]);
+    });
+
+    test('keeps multi-line values of other rows intact', async () => {
+        const csvPath = path.join(tmpDir, 'invoice-log.csv');
+        const withSummary = { ...config, output: { ...config.output, includeSummary: true } };
+        const multiLine = { ...invoice, outputFilename: 'Other.pdf', analysis: { summary: 'line 1\nline 2' } };
+        await appendInvoiceRow(csvPath, multiLine as any, withSummary);
+        await appendInvoiceRow(csvPath, invoice as any, withSummary);
+
+        await replaceInvoiceRows(csvPath, 'Acme.pdf', { ...invoice, outputFilename: 'New.pdf' } as any, withSummary);
+
+        const content = await fsp.readFile(csvPath, 'utf-8');
+        expect(content).toContain('"line 1\nline 2"');
+        expect(content).toContain('\nNew.pdf,scan.pdf,Acme,');
+        expect(content).not.toContain('Acme.pdf');
+    });
+
+    test('appends the row when the invoice was never logged', async () => {
+        const csvPath = path.join(tmpDir, 'invoice-log.csv');
+        const noTables = { ...config, fieldDefinitions: [config.fieldDefinitions[0]] };
+
+        expect(await replaceInvoiceRows(csvPath, 'Missing.pdf', invoice as any, noTables)).toBe(false);
+        expect((await readCsv(csvPath)).map((r) => r[0])).toEqual(['Acme.pdf']);
+    });
+});
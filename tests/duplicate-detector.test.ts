@@ -0,0 +1,237 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+
+import { buildInvoiceKey, hashFile, loadDuplicateIndex } from '../src/duplicate-detector.js';
+import { appendResult, getResults } from '../src/result-manager.js';
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'duplicate-detector-test-'));
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+const ACME = { supplierName: 'Acme Corp', invoiceNumber: 'INV-001', totalAmount: 1500 };
+
+function entry(id: string) {
+    return { id, originalFilename: `${id}.pdf`, outputFilename: null, timestamp: null };
+}
+
+describe('buildInvoiceKey', () => {
+    test('normalises supplier, invoice number and amount', () => {
+        expect(buildInvoiceKey(ACME)).toBe(
+            buildInvoiceKey({ supplierName: 'ACME corp.', invoiceNumber: 'inv 001', totalAmount: '1500.00' })
+        );
+    });
+
+    test('distinguishes different amounts', () => {
+        expect(buildInvoiceKey(ACME)).not.toBe(buildInvoiceKey({ ...ACME, totalAmount: 1500.5 }));
+    });
+
+    test.each([{ supplierName: 'Unknown' }, { invoiceNumber: '' }, { totalAmount: 'n/a' }, { totalAmount: '' }])(
+        'returns null when a part is missing (%p)',
+        (override) => {
+            expect(buildInvoiceKey({ ...ACME, ...override })).toBeNull();
+        }
+    );
+});
+
+describe('hashFile', () => {
+    test('returns the same hash for identical content', async () => {
+        await fsp.writeFile(path.join(tmpDir, 'a.pdf'), 'same');
+        await fsp.writeFile(path.join(tmpDir, 'b.pdf'), 'same');
+        await fsp.writeFile(path.join(tmpDir, 'c.pdf'), 'other');
+
+        const [a, b, c] = await Promise.all(['a', 'b', 'c'].map((n) => hashFile(path.join(tmpDir, `${n}.pdf`))));
+
+        expect(a).toMatch(/^[0-9a-f]{64}$/);
+        expect(a).toBe(b);
+        expect(a).not.toBe(c);
+    });
+});
+
+describe('loadDuplicateIndex', () => {
+    test('matches earlier successful records by hash and invoice key', async () => {
+        const original = await appendResult(tmpDir, {
+            success: true,
+            originalFilename: 'scan.pdf',
+            outputFilename: 'Acme Corp.pdf',
+            analysis: ACME,
+            tokenUsage: { promptTokens: 0, outputTokens: 0, totalTokens: 0, cachedTokens: 0 },
+            fileHash: 'abc'
+        } as any);
+
+        const index = await loadDuplicateIndex(tmpDir);
+
+        expect(index.claimFile('abc', entry('new'))).toEqual({
+            id: original.id,
+            reason: 'fileHash',
+            originalFilename: 'scan.pdf',
+            outputFilename: 'Acme Corp.pdf',
+            timestamp: original.timestamp
+        });
+        expect(index.claimInvoice({ ...ACME, invoiceNumber: 'inv-001' }, entry('new'))).toMatchObject({
+            id: original.id,
+            reason: 'invoiceKey'
+        });
+    });
+
+    test('ignores failed records', async () => {
+        await appendResult(tmpDir, {
+            success: false,
+            originalFilename: 'scan.pdf',
+            error: 'boom',
+            tokenUsage: { promptTokens: 0, outputTokens: 0, totalTokens: 0, cachedTokens: 0 },
+            fileHash: 'abc'
+        } as any);
+
+        const index = await loadDuplicateIndex(tmpDir);
+
+        expect(index.claimFile('abc', entry('new'))).toBeNull();
+    });
+
+    test('claims within a batch and lets the same entry re-claim', async () => {
+        const index = await loadDuplicateIndex(undefined);
+
+        expect(index.claimFile('abc', entry('first'))).toBeNull();
+        expect(index.claimFile('abc', entry('first'))).toBeNull();
+        expect(index.claimFile('abc', entry('second'))).toMatchObject({
+            id: 'first',
+            originalFilename: 'first.pdf',
+            timestamp: null
+        });
+    });
+
+    test('release frees claims of a failed entry', async () => {
+        const index = await loadDuplicateIndex(undefined);
+        index.claimFile('abc', entry('first'));
+        index.claimInvoice(ACME, entry('first'));
+
+        index.release('first');
+
+        expect(index.claimFile('abc', entry('second'))).toBeNull();
+        expect(index.claimInvoice(ACME, entry('second'))).toBeNull();
+    });
+});
+
+describe('processAllInvoices duplicate handling', () => {
+    async function writePdf(name: string, pages: number): Promise<void> {
+        const pdfDoc = await PDFDocument.create();
+        for (let i = 0; i < pages; i++) pdfDoc.addPage();
+        await fsp.writeFile(path.join(tmpDir, name), await pdfDoc.save());
+    }
+
+    function makeConfig(): any {
+        const config = makePipelineConfig(tmpDir, {
+            processing: { detectDuplicates: true },
+            output: { filenameTemplate: '{supplierName}' }
+        });
+        config.folders.duplicates = path.join(tmpDir, 'duplicates');
+        return config;
+    }
+
+    beforeEach(async () => {
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+    });
+
+    afterEach(() => {
+        delete process.env.LOCAL_PROVIDER_URL;
+    });
+
+    test('moves repeated invoices to the duplicates subfolder and links the original', async () => {
+        await writePdf('a-original.pdf', 1);
+        await fsp.copyFile(path.join(tmpDir, 'a-original.pdf'), path.join(tmpDir, 'b-copy.pdf'));
+        await writePdf('c-resent.pdf', 2); // different file, same invoice
+        const fetchSpy = jest
+            .spyOn(global, 'fetch')
+            .mockImplementation(async () => new Response(JSON.stringify({ text: JSON.stringify(ACME) })));
+        const csvPath = path.join(tmpDir, 'invoice-log.csv');
+
+        const result = await processAllInvoices(makeConfig(), { csvPath });
+
+        expect(result.success).toBe(1);
+        expect(result.duplicates).toBe(2);
+        // Identical file is recognised by hash before extraction
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).toEqual(['Acme Corp.pdf']);
+        expect((await fsp.readdir(path.join(tmpDir, 'duplicates'))).sort()).toEqual(['b-copy.pdf', 'c-resent.pdf']);
+        expect((await fsp.readFile(csvPath, 'utf-8')).trim().split('\n')).toHaveLength(2);
+
+        const { results } = await getResults(tmpDir);
+        const original = results.find((r) => r.originalFilename === 'a-original.pdf')!;
+        const copy = results.find((r) => r.originalFilename === 'b-copy.pdf')!;
+        const resent = results.find((r) => r.originalFilename === 'c-resent.pdf')!;
+        expect(original.status).toBe('success');
+        expect(original.fileHash).toMatch(/^[0-9a-f]{64}$/);
+        expect(copy.status).toBe('duplicate');
+        expect(copy.duplicateOf).toMatchObject({ id: original.id, reason: 'fileHash' });
+        expect(resent.status).toBe('duplicate');
+        expect(resent.duplicateOf).toMatchObject({ id: original.id, reason: 'invoiceKey' });
+    });
+
+    test('detects invoices processed in an earlier run', async () => {
+        await writePdf('first.pdf', 1);
+        jest.spyOn(global, 'fetch').mockImplementation(
+            async () => new Response(JSON.stringify({ text: JSON.stringify(ACME) }))
+        );
+        await processAllInvoices(makeConfig());
+
+        await writePdf('again.pdf', 3);
+        const result = await processAllInvoices(makeConfig());
+
+        expect(result.duplicates).toBe(1);
+        expect(await fsp.readdir(path.join(tmpDir, 'duplicates'))).toEqual(['again.pdf']);
+    });
+
+    test('copies duplicates that cannot be renamed across devices', async () => {
+        await writePdf('first.pdf', 1);
+        jest.spyOn(global, 'fetch').mockImplementation(
+            async () => new Response(JSON.stringify({ text: JSON.stringify(ACME) }))
+        );
+        await processAllInvoices(makeConfig());
+
+        // As for a split-off part in the system temp folder on another device
+        const rename = fsp.rename;
+        jest.spyOn(fsp, 'rename').mockImplementation(async (from, to) => {
+            if (String(to).includes('duplicates')) throw Object.assign(new Error('EXDEV'), { code: 'EXDEV' });
+            return rename(from, to);
+        });
+        await writePdf('again.pdf', 3);
+        const result = await processAllInvoices(makeConfig());
+
+        expect(result.duplicates).toBe(1);
+        expect(await fsp.readdir(path.join(tmpDir, 'duplicates'))).toEqual(['again.pdf']);
+        expect(fs.existsSync(path.join(tmpDir, 'again.pdf'))).toBe(false);
+    });
+
+    test('can be switched off with processing.detectDuplicates', async () => {
+        await writePdf('a.pdf', 1);
+        await writePdf('b.pdf', 1);
+        jest.spyOn(global, 'fetch').mockImplementation(
+            async () => new Response(JSON.stringify({ text: JSON.stringify(ACME) }))
+        );
+        const config = makeConfig();
+        config.processing.detectDuplicates = false;
+
+        const result = await processAllInvoices(config, { storeResults: false });
+
+        expect(result.success).toBe(2);
+        expect(result.duplicates).toBe(0);
+        expect((await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).sort()).toEqual([
+            'Acme Corp (1).pdf',
+            'Acme Corp.pdf'
+        ]);
+    });
+});
@@ -0,0 +1,308 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AFRelationship, PDFDocument } from 'pdf-lib';
+
+import { mapEInvoiceFields, parseEInvoice, readEInvoice } from '../src/e-invoice.js';
+import { isInvoiceFile } from '../src/image-input.js';
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { readAttachments, readEmbeddedAnalysis } from '../src/pdf-metadata.js';
+import { field, makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+// ── Sample documents ──
+
+const CII = `<?xml version="1.0" encoding="UTF-8"?>
+<rsm:CrossIndustryInvoice xmlns:rsm="urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100"
+    xmlns:ram="urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100"
+    xmlns:udt="urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100">
+  <rsm:ExchangedDocumentContext>
+    <ram:GuidelineSpecifiedDocumentContextParameter><ram:ID>urn:factur-x.eu:1p0:en16931</ram:ID></ram:GuidelineSpecifiedDocumentContextParameter>
+  </rsm:ExchangedDocumentContext>
+  <rsm:ExchangedDocument>
+    <ram:ID>RE-2024-17</ram:ID>
+    <ram:IssueDateTime><udt:DateTimeString format="102">20240315</udt:DateTimeString></ram:IssueDateTime>
+  </rsm:ExchangedDocument>
+  <rsm:SupplyChainTradeTransaction>
+    <ram:IncludedSupplyChainTradeLineItem>
+      <ram:SpecifiedTradeProduct><ram:Name>Beratung</ram:Name></ram:SpecifiedTradeProduct>
+      <ram:SpecifiedLineTradeAgreement>
+        <ram:NetPriceProductTradePrice><ram:ChargeAmount>50.00</ram:ChargeAmount></ram:NetPriceProductTradePrice>
+      </ram:SpecifiedLineTradeAgreement>
+      <ram:SpecifiedLineTradeDelivery><ram:BilledQuantity unitCode="HUR">2</ram:BilledQuantity></ram:SpecifiedLineTradeDelivery>
+      <ram:SpecifiedLineTradeSettlement>
+        <ram:ApplicableTradeTax><ram:RateApplicablePercent>19</ram:RateApplicablePercent></ram:ApplicableTradeTax>
+        <ram:SpecifiedTradeSettlementLineMonetarySummation><ram:LineTotalAmount>100.00</ram:LineTotalAmount></ram:SpecifiedTradeSettlementLineMonetarySummation>
+      </ram:SpecifiedLineTradeSettlement>
+    </ram:IncludedSupplyChainTradeLineItem>
+    <ram:ApplicableHeaderTradeAgreement>
+      <ram:SellerTradeParty>
+        <ram:Name>Müller &amp; Söhne GmbH</ram:Name>
+        <ram:SpecifiedTaxRegistration><ram:ID schemeID="FC">201/113/40209</ram:ID></ram:SpecifiedTaxRegistration>
+        <ram:SpecifiedTaxRegistration><ram:ID schemeID="VA">DE123456789</ram:ID></ram:SpecifiedTaxRegistration>
+      </ram:SellerTradeParty>
+      <ram:BuyerTradeParty><ram:Name>Kunde AG</ram:Name></ram:BuyerTradeParty>
+    </ram:ApplicableHeaderTradeAgreement>
+    <ram:ApplicableHeaderTradeSettlement>
+      <ram:PaymentReference>RE-2024-17</ram:PaymentReference>
+      <ram:InvoiceCurrencyCode>EUR</ram:InvoiceCurrencyCode>
+      <ram:SpecifiedTradeSettlementPaymentMeans>
+        <ram:PayeePartyCreditorFinancialAccount><ram:IBANID>DE02120300000000202051</ram:IBANID></ram:PayeePartyCreditorFinancialAccount>
+      </ram:SpecifiedTradeSettlementPaymentMeans>
+      <ram:SpecifiedTradePaymentTerms>
+        <ram:DueDateDateTime><udt:DateTimeString format="102">20240414</udt:DateTimeString></ram:DueDateDateTime>
+      </ram:SpecifiedTradePaymentTerms>
+      <ram:SpecifiedTradeSettlementHeaderMonetarySummation>
+        <ram:TaxBasisTotalAmount>100.00</ram:TaxBasisTotalAmount>
+        <ram:TaxTotalAmount currencyID="EUR">19.00</ram:TaxTotalAmount>
+        <ram:GrandTotalAmount>119.00</ram:GrandTotalAmount>
+        <ram:DuePayableAmount>119.00</ram:DuePayableAmount>
+      </ram:SpecifiedTradeSettlementHeaderMonetarySummation>
+    </ram:ApplicableHeaderTradeSettlement>
+  </rsm:SupplyChainTradeTransaction>
+</rsm:CrossIndustryInvoice>`;
+
+function ubl(root: 'Invoice' | 'CreditNote'): string {
+    const line = root === 'Invoice' ? 'InvoiceLine' : 'CreditNoteLine';
+    const quantity = root === 'Invoice' ? 'InvoicedQuantity' : 'CreditedQuantity';
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<${root} xmlns="urn:oasis:names:specification:ubl:schema:xsd:${root}-2"
+    xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+    xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+  <cbc:CustomizationID>urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0</cbc:CustomizationID>
+  <cbc:ID>UBL-9</cbc:ID>
+  <cbc:IssueDate>2024-05-02</cbc:IssueDate>
+  <cbc:DueDate>2024-06-01</cbc:DueDate>
+  <cbc:DocumentCurrencyCode>EUR</cbc:DocumentCurrencyCode>
+  <cac:AccountingSupplierParty><cac:Party>
+    <cac:PartyName><cbc:Name>Lieferant</cbc:Name></cac:PartyName>
+    <cac:PartyTaxScheme><cbc:CompanyID>DE999999999</cbc:CompanyID><cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:PartyTaxScheme>
+    <cac:PartyLegalEntity><cbc:RegistrationName>Lieferant GmbH</cbc:RegistrationName></cac:PartyLegalEntity>
+  </cac:Party></cac:AccountingSupplierParty>
+  <cac:AccountingCustomerParty><cac:Party>
+    <cac:PartyName><cbc:Name>Käufer KG</cbc:Name></cac:PartyName>
+  </cac:Party></cac:AccountingCustomerParty>
+  <cac:PaymentMeans>
+    <cbc:PaymentID>REF 42</cbc:PaymentID>
+    <cac:PayeeFinancialAccount><cbc:ID>DE75512108001245126199</cbc:ID></cac:PayeeFinancialAccount>
+  </cac:PaymentMeans>
+  <cac:TaxTotal><cbc:TaxAmount currencyID="EUR">7.00</cbc:TaxAmount></cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    <cbc:TaxExclusiveAmount currencyID="EUR">100.00</cbc:TaxExclusiveAmount>
+    <cbc:TaxInclusiveAmount currencyID="EUR">107.00</cbc:TaxInclusiveAmount>
+    <cbc:PayableAmount currencyID="EUR">107.00</cbc:PayableAmount>
+  </cac:LegalMonetaryTotal>
+  <cac:${line}>
+    <cbc:${quantity} unitCode="C62">4</cbc:${quantity}>
+    <cbc:LineExtensionAmount currencyID="EUR">100.00</cbc:LineExtensionAmount>
+    <cac:Item><cbc:Name>Bücher</cbc:Name><cac:ClassifiedTaxCategory><cbc:Percent>7</cbc:Percent></cac:ClassifiedTaxCategory></cac:Item>
+    <cac:Price><cbc:PriceAmount currencyID="EUR">25.00</cbc:PriceAmount></cac:Price>
+  </cac:${line}>
+</${root}>`;
+}
+
+async function writeHybridPdf(name: string, xml: string): Promise<string> {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    await pdfDoc.attach(Buffer.from(xml, 'utf-8'), 'factur-x.xml', {
+        mimeType: 'text/xml',
+        afRelationship: AFRelationship.Alternative
+    });
+    const filePath = path.join(tmpDir, name);
+    await fsp.writeFile(filePath, await pdfDoc.save());
+    return filePath;
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'e-invoice-test-'));
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('parseEInvoice', () => {
+    test('reads a Factur-X / ZUGFeRD CII invoice', () => {
+        const eInvoice = parseEInvoice(CII, 'factur-x.xml');
+
+        expect(eInvoice?.info).toEqual({
+            syntax: 'cii',
+            profile: 'urn:factur-x.eu:1p0:en16931',
+            attachment: 'factur-x.xml'
+        });
+        expect(eInvoice?.values).toEqual({
+            supplierName: 'Müller & Söhne GmbH',
+            vatNumber: 'DE123456789',
+            buyerName: 'Kunde AG',
+            invoiceNumber: 'RE-2024-17',
+            invoiceDate: '2024-03-15',
+            paymentDate: '2024-04-14',
+            currency: 'EUR',
+            totalAmount: 119,
+            netAmount: 100,
+            vatAmount: 19,
+            amountDue: 119,
+            iban: 'DE02120300000000202051',
+            paymentReference: 'RE-2024-17',
+            lineItems: [{ description: 'Beratung', quantity: 2, unitPrice: 50, vatRate: 19, lineTotal: 100 }]
+        });
+    });
+
+    test('reads an XRechnung UBL invoice', () => {
+        const eInvoice = parseEInvoice(ubl('Invoice'));
+
+        expect(eInvoice?.info.syntax).toBe('ubl');
+        expect(eInvoice?.info.profile).toContain('xrechnung_3.0');
+        expect(eInvoice?.values).toMatchObject({
+            supplierName: 'Lieferant GmbH',
+            vatNumber: 'DE999999999',
+            buyerName: 'Käufer KG',
+            invoiceNumber: 'UBL-9',
+            invoiceDate: '2024-05-02',
+            paymentDate: '2024-06-01',
+            totalAmount: 107,
+            vatAmount: 7,
+            iban: 'DE75512108001245126199',
+            paymentReference: 'REF 42',
+            lineItems: [{ description: 'Bücher', quantity: 4, unitPrice: 25, vatRate: 7, lineTotal: 100 }]
+        });
+    });
+
+    test('reads the lines of a UBL credit note', () => {
+        expect(parseEInvoice(ubl('CreditNote'))?.values.lineItems).toEqual([
+            { description: 'Bücher', quantity: 4, unitPrice: 25, vatRate: 7, lineTotal: 100 }
+        ]);
+    });
+
+    test('returns null for other XML documents', () => {
+        expect(parseEInvoice('<Order><ID>1</ID></Order>')).toBeNull();
+    });
+});
+
+describe('readEInvoice', () => {
+    test('finds the XML attached to a hybrid PDF', async () => {
+        const eInvoice = await readEInvoice(await writeHybridPdf('hybrid.pdf', CII));
+
+        expect(eInvoice?.info.attachment).toBe('factur-x.xml');
+        expect(eInvoice?.values.invoiceNumber).toBe('RE-2024-17');
+    });
+
+    test('skips unreadable attachments', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await readEInvoice(await writeHybridPdf('broken.pdf', '<rsm:CrossIndustryInvoice>'))).toBeNull();
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring unreadable factur-x.xml'));
+    });
+
+    test('returns null for PDFs without XML and for unreadable files', async () => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        await fsp.writeFile(path.join(tmpDir, 'plain.pdf'), await pdfDoc.save());
+        await fsp.writeFile(path.join(tmpDir, 'broken.pdf'), 'not a pdf');
+
+        expect(await readEInvoice(path.join(tmpDir, 'plain.pdf'))).toBeNull();
+        expect(await readEInvoice(path.join(tmpDir, 'broken.pdf'))).toBeNull();
+    });
+
+    test('rejects standalone XML that is not an invoice', async () => {
+        await fsp.writeFile(path.join(tmpDir, 'order.xml'), '<Order/>');
+
+        await expect(readEInvoice(path.join(tmpDir, 'order.xml'))).rejects.toThrow(
+            'order.xml is not a CII or UBL e-invoice'
+        );
+    });
+});
+
+describe('mapEInvoiceFields', () => {
+    test('fills enabled fields by key or eInvoiceField and reduces line items to the table columns', () => {
+        const values = parseEInvoice(CII)!.values;
+        const analysis = mapEInvoiceFields(values, [
+            field('supplierName'),
+            field('totalAmount', 'number'),
+            field('vendorVat', 'text', { eInvoiceField: 'vatNumber' }),
+            field('summary'),
+            field('iban', 'text', { enabled: false }),
+            field('lineItems', 'table', {
+                columns: [
+                    { key: 'description', label: 'Description', type: 'text' },
+                    { key: 'lineTotal', label: 'Amount', type: 'number' }
+                ]
+            })
+        ]);
+
+        expect(analysis).toEqual({
+            supplierName: 'Müller & Söhne GmbH',
+            totalAmount: 119,
+            vendorVat: 'DE123456789',
+            lineItems: [{ description: 'Beratung', lineTotal: 100 }]
+        });
+    });
+});
+
+describe('isInvoiceFile', () => {
+    test('accepts XML invoices', () => {
+        expect(isInvoiceFile('xrechnung.XML')).toBe(true);
+    });
+});
+
+describe('processAllInvoices with e-invoices', () => {
+    function makeConfig(processing: Record<string, unknown> = {}): any {
+        return makePipelineConfig(tmpDir, {
+            model: 'local-model',
+            processing,
+            output: { filenameTemplate: '{invoiceNumber}' },
+            fieldDefinitions: [field('invoiceNumber'), field('totalAmount', 'number')]
+        });
+    }
+
+    beforeEach(async () => {
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+    });
+
+    afterEach(() => {
+        delete process.env.LOCAL_PROVIDER_URL;
+    });
+
+    test('takes the values of a hybrid PDF from its XML without calling the model', async () => {
+        await writeHybridPdf('hybrid.pdf', CII);
+        const fetchSpy = jest.spyOn(global, 'fetch');
+
+        const result = await processAllInvoices(makeConfig(), { storeResults: false });
+
+        expect(fetchSpy).not.toHaveBeenCalled();
+        expect(result.success).toBe(1);
+        expect(result.results[0]).toMatchObject({ source: 'xml', eInvoice: { syntax: 'cii' } });
+        const embedded = await readEmbeddedAnalysis(path.join(tmpDir, 'processed-enriched', 'RE-2024-17.pdf'));
+        expect(embedded).toMatchObject({ source: 'xml', model: null, fields: { totalAmount: 119 } });
+    });
+
+    test('sends hybrid PDFs to the model when readEInvoices is off', async () => {
+        await writeHybridPdf('hybrid.pdf', CII);
+        const fetchSpy = jest
+            .spyOn(global, 'fetch')
+            .mockImplementation(async () => new Response(JSON.stringify({ text: '{"invoiceNumber": "M-1"}' })));
+
+        const result = await processAllInvoices(makeConfig({ readEInvoices: false }), { storeResults: false });
+
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+        expect(result.results[0]).toMatchObject({ success: true, source: 'model' });
+    });
+
+    test('files a standalone XML invoice as a PDF with the XML attached', async () => {
+        await fsp.writeFile(path.join(tmpDir, 'xrechnung.xml'), ubl('Invoice'));
+
+        const result = await processAllInvoices(makeConfig(), { storeResults: false });
+
+        expect(result.success).toBe(1);
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-original'))).toEqual(['xrechnung.xml']);
+        const outputPath = path.join(tmpDir, 'processed-enriched', 'UBL-9.pdf');
+        expect((await PDFDocument.load(await fsp.readFile(outputPath))).getPageCount()).toBe(1); // summary only
+        expect((await readAttachments(outputPath)).map((a) => a.name)).toEqual(['xrechnung.xml', 'analysis.json']);
+    });
+});
@@ -0,0 +1,186 @@
+import { buildExport, getExportProfiles, getRecordDate } from '../src/export-profiles.js';
+import { parseXml, elementText, findElement, findElements } from '../src/xml.js';
+
+function record(id: string, fields: Record<string, unknown>, extra: Record<string, unknown> = {}): any {
+    return {
+        id,
+        status: 'success',
+        timestamp: '2024-05-02T08:00:00.000Z',
+        originalFilename: `${id}.pdf`,
+        outputFilename: `${id}.pdf`,
+        extractedFields: fields,
+        tags: {},
+        ...extra
+    };
+}
+
+const RECORDS = [
+    record('b', {
+        supplierName: 'Müller & Söhne GmbH',
+        vatNumber: 'DE123456789',
+        invoiceNumber: 'RE-17',
+        invoiceDate: '2024-03-15',
+        paymentDate: '2024-04-14',
+        currency: 'EUR',
+        totalAmount: 1234.5,
+        vatAmount: 197.1,
+        summary: 'Beratung "Q1"; Reise',
+        lineItems: [
+            { description: 'Beratung', quantity: 2, unitPrice: 500 },
+            { description: 'Reise', lineTotal: 234.5 }
+        ]
+    }),
+    record('a', {
+        supplierName: 'Café € Shop',
+        invoiceNumber: '2024-001',
+        invoiceDate: '20240301',
+        currency: 'EUR',
+        totalAmount: '19.99',
+        summary: 'Coffee'
+    }),
+    record('c', { supplierName: 'Late Ltd', invoiceNumber: 'X1', invoiceDate: '2024-04-01', totalAmount: 5 }),
+    record('d', { invoiceNumber: 'F1', totalAmount: 7 }, { status: 'failed' })
+];
+
+// Windows-1252 output is read as Latin-1, so € (0x80) shows as \u0080
+function exportText(profile: string, config: any = {}, range: { from?: string; to?: string } = {}) {
+    const file = buildExport(RECORDS, config, { profile, ...range });
+    const encoding = getExportProfiles(config)[profile].encoding === 'windows-1252' ? 'latin1' : 'utf-8';
+    return { file, text: file.content.toString(encoding) };
+}
+
+describe('getExportProfiles', () => {
+    test('merges configured profiles over the built-in ones', () => {
+        const profiles = getExportProfiles({
+            exportProfiles: {
+                datev: { settings: { consultantNumber: '4711' } },
+                mine: { label: 'Mine', format: 'csv', columns: [{ header: 'No', field: 'invoiceNumber' }] }
+            }
+        } as any);
+
+        expect(Object.keys(profiles)).toEqual(['datev', 'xero', 'quickbooks', 'saft', 'mine']);
+        expect(profiles.datev.settings).toMatchObject({ consultantNumber: '4711', expenseAccount: '4900' });
+        expect(profiles.datev.delimiter).toBe(';');
+        expect(profiles.mine.label).toBe('Mine');
+    });
+});
+
+describe('getRecordDate', () => {
+    test('uses the invoice date and falls back to the processing date', () => {
+        expect(getRecordDate(RECORDS[1])).toBe('2024-03-01');
+        expect(getRecordDate(record('x', { invoiceDate: 'Unknown' }))).toBe('2024-05-02');
+    });
+});
+
+describe('buildExport', () => {
+    test('writes a DATEV Buchungsstapel in Windows-1252 with CRLF', () => {
+        const { file, text } = exportText('datev', {}, { from: '2024-03-01', to: '2024-03-31' });
+        const lines = text.split('\r\n');
+
+        expect(file.filename).toBe('datev_2024-03-01_2024-03-31.csv');
+        expect(file.count).toBe(2);
+        expect(lines[0]).toMatch(
+            /^"EXTF";700;21;"Buchungsstapel";13;\d{17};;"RE";"";"";1001;1;20240101;4;20240301;20240331;/
+        );
+        expect(lines[1].split(';')).toHaveLength(14);
+        // Sorted by invoice date; amounts with decimal comma, dates as DDMM, text quoted
+        expect(lines[2]).toBe('19,99;"S";"EUR";;;;"4900";"70000";;0103;"2024-001";;;"Café \u0080 Shop"');
+        expect(lines[3]).toBe('1234,50;"S";"EUR";;;;"4900";"70000";;1503;"RE-17";;;"Müller & Söhne GmbH"');
+        expect(lines[4]).toBe('');
+    });
+
+    test('applies settings from config to the DATEV header and accounts', () => {
+        const { text } = exportText('datev', {
+            exportProfiles: { datev: { settings: { consultantNumber: '4711', expenseAccount: '3400' } } }
+        });
+
+        expect(text).toContain(';4711;1;');
+        expect(text).toContain('"3400";"70000"');
+    });
+
+    test('writes one Xero row per line item', () => {
+        const { file, text } = exportText('xero', {}, { to: '2024-03-31' });
+        const lines = text.split('\n');
+
+        expect(file.filename).toBe('xero_2024-03-31.csv');
+        expect(lines[0]).toBe(
+            '*ContactName,*InvoiceNumber,*InvoiceDate,*DueDate,*Description,*Quantity,*UnitAmount,*AccountCode,*TaxType,Currency'
+        );
+        expect(lines.slice(1, 4)).toEqual([
+            'Café € Shop,2024-001,01/03/2024,01/03/2024,Coffee,1,19.99,429,INPUT,EUR',
+            'Müller & Söhne GmbH,RE-17,15/03/2024,14/04/2024,Beratung,2,500.00,429,INPUT,EUR',
+            'Müller & Söhne GmbH,RE-17,15/03/2024,14/04/2024,Reise,1,234.50,429,INPUT,EUR'
+        ]);
+        expect(file.count).toBe(2);
+    });
+
+    test('writes QuickBooks bills and skips invoices without amount or date', () => {
+        const records = [
+            record('e', { supplierName: 'Mañana ™', invoiceDate: '2024-03-02', totalAmount: 3, summary: 'a\tb' }),
+            record('f', { supplierName: 'No Amount', invoiceDate: '2024-03-03', totalAmount: 'Unknown' })
+        ];
+        const file = buildExport(records, {} as any, { profile: 'quickbooks' });
+        const lines = file.content.toString('latin1').split('\r\n');
+
+        expect(file.contentType).toBe('text/plain');
+        expect(lines[0]).toMatch(/^!TRNS\tTRNSTYPE\tDATE\tACCNT/);
+        expect(lines.slice(3)).toEqual([
+            'TRNS\tBILL\t03/02/2024\tAccounts Payable\tMañana \u0099\t-3.00\t\ta b\t',
+            'SPL\tBILL\t03/02/2024\tExpenses\tMañana \u0099\t3.00\t\ta b',
+            'ENDTRNS',
+            ''
+        ]);
+        expect(file.count).toBe(1);
+        expect(file.skipped).toBe(1);
+    });
+
+    test('writes a SAF-T audit file with suppliers and purchase invoices', () => {
+        const file = buildExport(
+            RECORDS,
+            { exportProfiles: { saft: { settings: { companyName: 'Buyer & Co' } } } } as any,
+            { profile: 'saft', from: '2024-03-01', to: '2024-03-31' }
+        );
+        const root = parseXml(file.content.toString('utf-8'));
+
+        expect(file.filename).toBe('saft_2024-03-01_2024-03-31.xml');
+        expect(root.localName).toBe('AuditFile');
+        expect(elementText(root, 'Header', 'Company', 'Name')).toBe('Buyer & Co');
+        expect(elementText(root, 'Header', 'SelectionCriteria', 'SelectionEndDate')).toBe('2024-03-31');
+        const suppliers = findElements(findElement(root, 'MasterFiles', 'Suppliers'), 'Supplier');
+        expect(suppliers.map((s) => elementText(s, 'Name'))).toEqual(['Café € Shop', 'Müller & Söhne GmbH']);
+        const invoices = findElements(findElement(root, 'SourceDocuments', 'PurchaseInvoices'), 'Invoice');
+        expect(invoices).toHaveLength(2);
+        expect(elementText(invoices[1], 'SupplierInfo', 'SupplierID')).toBe('S0002');
+        expect(elementText(invoices[1], 'DocumentTotals', 'NetTotal')).toBe('1037.40');
+        expect(elementText(invoices[1], 'DocumentTotals', 'GrossTotal')).toBe('1234.50');
+    });
+
+    test('writes custom CSV profiles with tags, booleans and a BOM', () => {
+        const config = {
+            exportProfiles: {
+                mine: {
+                    label: 'Mine',
+                    format: 'csv',
+                    encoding: 'utf-8-bom',
+                    booleanValues: ['J', 'N'],
+                    columns: [
+                        { header: 'Number', field: 'invoiceNumber' },
+                        { header: 'Private', tag: 'private', type: 'boolean' },
+                        { header: 'Period', value: '{from:MM/YYYY}' }
+                    ]
+                }
+            }
+        };
+        const records = [record('p', { invoiceNumber: 'P1', invoiceDate: '2024-02-10' }, { tags: { private: true } })];
+        const file = buildExport(records, config as any, { profile: 'mine' });
+
+        expect(file.content.toString('utf-8')).toBe('﻿Number,Private,Period\nP1,J,02/2024\n');
+    });
+
+    test('rejects unknown profiles and malformed dates', () => {
+        expect(() => buildExport(RECORDS, {} as any, { profile: 'nope' })).toThrow('Export profile "nope" not found');
+        expect(() => buildExport(RECORDS, {} as any, { profile: 'xero', from: '03/2024' })).toThrow(
+            'Invalid date "03/2024", expected YYYY-MM-DD'
+        );
+    });
+});
@@ -0,0 +1,285 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import type { AddressInfo } from 'net';
+import { PDFDocument } from 'pdf-lib';
+
+import { getProvider, clearProviderCache } from '../src/extraction-provider.js';
+import { processAllInvoices } from '../src/parallel-processor.js';
+
+const fsp = fs.promises;
+
+const SAMPLE_REQUEST = {
+    model: 'test-model',
+    systemInstruction: 'Extract invoice data',
+    document: { mimeType: 'application/pdf', data: 'ZmFrZS1wZGY=' },
+    useJsonMode: false
+};
+
+function jsonResponse(body: unknown, status = 200): Response {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+const savedEnv = { ...process.env };
+
+beforeEach(() => {
+    clearProviderCache();
+    delete process.env.GEMINI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_BASE_URL;
+    delete process.env.LOCAL_PROVIDER_URL;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...savedEnv };
+});
+
+describe('getProvider', () => {
+    test('defaults to gemini', () => {
+        const provider = getProvider(undefined, 'test-key');
+        expect(provider.name).toBe('gemini');
+        expect(provider.defaultModel).toBe('gemini-3-flash-preview');
+    });
+
+    test('throws for unknown provider', () => {
+        expect(() => getProvider('bogus' as any)).toThrow('Unknown provider "bogus"');
+    });
+
+    test('throws when gemini has no API key', () => {
+        expect(() => getProvider('gemini')).toThrow('GEMINI_API_KEY not configured');
+    });
+
+    test('throws when openai has no API key', () => {
+        expect(() => getProvider('openai')).toThrow('OPENAI_API_KEY not configured');
+    });
+
+    test('local provider needs no API key', () => {
+        expect(getProvider('local').name).toBe('local');
+    });
+});
+
+describe('openai provider', () => {
+    test('posts a chat completion with the document as a file part', async () => {
+        const fetchSpy = jest
+            .spyOn(global, 'fetch')
+            .mockResolvedValue(jsonResponse({ choices: [{ message: { content: '{"supplierName":"Acme"}' } }] }));
+
+        await getProvider('openai', 'sk-test').generate(SAMPLE_REQUEST);
+
+        const [url, init] = fetchSpy.mock.calls[0];
+        expect(url).toBe('https://api.openai.com/v1/chat/completions');
+        expect((init!.headers as Record<string, string>).Authorization).toBe('Bearer sk-test');
+        const body = JSON.parse(init!.body as string);
+        expect(body.model).toBe('test-model');
+        expect(body.temperature).toBe(0);
+        expect(body.messages[0]).toEqual({ role: 'system', content: 'Extract invoice data' });
+        expect(body.messages[1].content[0]).toEqual({
+            type: 'file',
+            file: { filename: 'invoice.pdf', file_data: 'data:application/pdf;base64,ZmFrZS1wZGY=' }
+        });
+        expect(body.response_format).toBeUndefined();
+    });
+
+    test('sends a text layer as a text part instead of the document', async () => {
+        const fetchSpy = jest
+            .spyOn(global, 'fetch')
+            .mockResolvedValue(jsonResponse({ choices: [{ message: { content: '{}' } }] }));
+        const { document: _document, ...request } = SAMPLE_REQUEST;
+
+        await getProvider('openai', 'sk-test').generate({ ...request, text: 'Acme A/S\nInvoice 4711' });
+
+        const body = JSON.parse(fetchSpy.mock.calls[0][1]!.body as string);
+        expect(body.messages[1].content).toEqual([{ type: 'text', text: 'Acme A/S\nInvoice 4711' }]);
+    });
+
+    test('uses OPENAI_BASE_URL and requests JSON mode', async () => {
+        process.env.OPENAI_BASE_URL = 'http://localhost:1234/v1/';
+        const fetchSpy = jest
+            .spyOn(global, 'fetch')
+            .mockResolvedValue(jsonResponse({ choices: [{ message: { content: '{}' } }] }));
+
+        await getProvider('openai', 'sk-test').generate({ ...SAMPLE_REQUEST, useJsonMode: true });
+
+        const [url, init] = fetchSpy.mock.calls[0];
+        expect(url).toBe('http://localhost:1234/v1/chat/completions');
+        expect(JSON.parse(init!.body as string).response_format).toEqual({ type: 'json_object' });
+    });
+
+    test('normalises usage into TokenUsage', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue(
+            jsonResponse({
+                choices: [{ message: { content: '{}' } }],
+                usage: {
+                    prompt_tokens: 100,
+                    completion_tokens: 20,
+                    total_tokens: 120,
+                    prompt_tokens_details: { cached_tokens: 40 },
+                    completion_tokens_details: { reasoning_tokens: 5 }
+                }
+            })
+        );
+
+        const { text, tokenUsage } = await getProvider('openai', 'sk-test').generate(SAMPLE_REQUEST);
+
+        expect(text).toBe('{}');
+        expect(tokenUsage).toEqual({
+            promptTokens: 100,
+            outputTokens: 20,
+            totalTokens: 120,
+            cachedTokens: 40,
+            thoughtsTokens: 5
+        });
+    });
+
+    test('includes status code in errors so rate limits are detected', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue(new Response('slow down', { status: 429 }));
+
+        await expect(getProvider('openai', 'sk-test').generate(SAMPLE_REQUEST)).rejects.toThrow(
+            'OpenAI-compatible provider request failed with status 429: slow down'
+        );
+    });
+
+    test('throws when the response has no message content', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse({ choices: [] }));
+
+        await expect(getProvider('openai', 'sk-test').generate(SAMPLE_REQUEST)).rejects.toThrow(
+            'returned no message content'
+        );
+    });
+});
+
+describe('local provider', () => {
+    let server: http.Server;
+    let requests: Record<string, unknown>[];
+    let reply: (body: Record<string, unknown>) => { status: number; body: unknown };
+
+    beforeEach(async () => {
+        requests = [];
+        reply = () => ({ status: 200, body: { text: '{}' } });
+        server = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', (chunk) => (raw += chunk));
+            req.on('end', () => {
+                const body = JSON.parse(raw);
+                requests.push(body);
+                const { status, body: responseBody } = reply(body);
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(responseBody));
+            });
+        });
+        await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+        process.env.LOCAL_PROVIDER_URL = `http://127.0.0.1:${(server.address() as AddressInfo).port}/extract`;
+    });
+
+    afterEach(async () => {
+        await new Promise<void>((resolve) => server.close(() => resolve()));
+    });
+
+    test('posts the extraction request and fills in totalTokens', async () => {
+        reply = () => ({ status: 200, body: { text: '{"a":1}', tokenUsage: { promptTokens: 7, outputTokens: 3 } } });
+
+        const { text, tokenUsage } = await getProvider('local').generate(SAMPLE_REQUEST);
+
+        expect(requests[0]).toEqual(SAMPLE_REQUEST);
+        expect(text).toBe('{"a":1}');
+        expect(tokenUsage).toEqual({
+            promptTokens: 7,
+            outputTokens: 3,
+            totalTokens: 10,
+            cachedTokens: 0,
+            thoughtsTokens: 0
+        });
+    });
+
+    test('rejects responses without text', async () => {
+        reply = () => ({ status: 200, body: { result: {} } });
+
+        await expect(getProvider('local').generate(SAMPLE_REQUEST)).rejects.toThrow('must contain a "text" string');
+    });
+
+    test('runs the full pipeline offline', async () => {
+        const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'extraction-provider-test-'));
+        try {
+            const folders = {
+                base: tmpDir,
+                input: tmpDir,
+                processedOriginal: path.join(tmpDir, 'processed-original'),
+                processedEnriched: path.join(tmpDir, 'processed-enriched'),
+                csvPath: path.join(tmpDir, 'invoice-log.csv')
+            };
+            await fsp.mkdir(folders.processedOriginal);
+            await fsp.mkdir(folders.processedEnriched);
+
+            const pdfDoc = await PDFDocument.create();
+            pdfDoc.addPage();
+            await fsp.writeFile(path.join(tmpDir, 'invoice.pdf'), await pdfDoc.save());
+
+            reply = () => ({
+                status: 200,
+                body: {
+                    text: JSON.stringify({
+                        supplierName: 'Acme Corp',
+                        totalAmount: 42,
+                        lineItems: [{ description: 'Consulting', quantity: 2 }],
+                        tags: {}
+                    }),
+                    tokenUsage: { promptTokens: 10, outputTokens: 5 }
+                }
+            });
+
+            const config: any = {
+                provider: 'local',
+                processing: { concurrency: 1, retryAttempts: 0 },
+                output: { filenameTemplate: '{supplierName}' },
+                folders,
+                fieldDefinitions: [
+                    {
+                        key: 'supplierName',
+                        label: 'Supplier',
+                        type: 'text',
+                        schemaHint: 'string',
+                        instruction: 'Supplier name',
+                        enabled: true
+                    },
+                    {
+                        key: 'totalAmount',
+                        label: 'Total',
+                        type: 'number',
+                        schemaHint: 'number',
+                        instruction: 'Total amount',
+                        enabled: true
+                    },
+                    {
+                        key: 'lineItems',
+                        label: 'Line Items',
+                        type: 'table',
+                        schemaHint: 'Invoice lines',
+                        instruction: 'Every invoice line',
+                        enabled: true,
+                        columns: [
+                            { key: 'description', label: 'Description', type: 'text' },
+                            { key: 'quantity', label: 'Quantity', type: 'number' }
+                        ]
+                    }
+                ],
+                tagDefinitions: []
+            };
+
+            const result = await processAllInvoices(config, { csvPath: folders.csvPath, storeResults: false });
+
+            expect(result.success).toBe(1);
+            expect(result.tokenUsage.totalTokens).toBe(15);
+            expect(requests[0].model).toBe('local');
+            expect(await fsp.readdir(folders.processedEnriched)).toEqual(['Acme Corp.pdf']);
+            expect(await fsp.readdir(folders.processedOriginal)).toEqual(['invoice.pdf']);
+            expect(await fsp.readFile(folders.csvPath, 'utf-8')).toContain('Acme Corp');
+            expect(await fsp.readFile(path.join(tmpDir, 'invoice-log-line-items.csv'), 'utf-8')).toContain(
+                'Acme Corp.pdf,invoice.pdf,Line Items,1,Consulting,2'
+            );
+        } finally {
+            await fsp.rm(tmpDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -78,6 +78,22 @@ describe('formatFieldValue', () => {
         expect(formatFieldValue('currency', null, { currency: 'eur' })).toBe('EUR');
     });
 
+    test('formats the base-currency conversion', () => {
+        const analysis = {
+            _conversion: {
+                baseCurrency: 'DKK',
+                baseCurrencyAmount: 11191.03,
+                rate: 7.4582,
+                rateDate: '2024-01-15',
+                sourceCurrency: 'EUR'
+            }
+        };
+        expect(formatFieldValue('baseCurrencyAmount', null, analysis)).toBe('11191.03');
+        expect(formatFieldValue('baseCurrency', null, analysis)).toBe('DKK');
+        expect(formatFieldValue('exchangeRate', null, analysis)).toBe('7.4582');
+        expect(formatFieldValue('baseCurrencyAmount', null, {})).toBe('Unknown');
+    });
+
     test('formats privateTag based on tags', () => {
         expect(formatFieldValue('privateTag', null, { tags: { private: true } })).toBe(' - PRIVATE');
         expect(formatFieldValue('privateTag', null, { tags: { private: false } })).toBe('');
@@ -216,6 +232,23 @@ describe('generateFormattedFilename', () => {
         expect(result).toBe('Acme - EUR.pdf');
     });
 
+    test('renders the option label of choice fields', () => {
+        const config: any = {
+            fieldDefinitions: [
+                {
+                    key: 'category',
+                    type: 'choice',
+                    enabled: true,
+                    options: [{ value: 'office', label: 'Office / Supplies' }]
+                }
+            ]
+        };
+        expect(generateFormattedFilename('{category} - {categoryLabel}.pdf', { category: 'office' }, config)).toBe(
+            'office - Office Supplies.pdf'
+        );
+        expect(generateFormattedFilename('{categoryLabel}.pdf', { category: 'Unknown' }, config)).toBe('Unknown.pdf');
+    });
+
     test('cleans up double dashes from empty placeholders', () => {
         const result = generateFormattedFilename('{supplierName} - {invoiceDateIfDifferent}.pdf', {
             supplierName: 'Acme',
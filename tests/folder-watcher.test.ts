@@ -0,0 +1,205 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createFolderWatcher } from '../src/folder-watcher.js';
+
+import type { WatchTarget } from '../src/folder-watcher.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+let target: WatchTarget;
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'folder-watcher-test-'));
+    target = { id: 'acme', name: 'Acme Corp', folderPath: tmpDir };
+});
+
+afterEach(async () => {
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+function batch(files: string[], failed = 0): any {
+    return { total: files.length, success: files.length - failed, failed, duplicates: 0, results: [] };
+}
+
+/**
+ * Build a watcher whose processFiles moves the files out of the folder (like a
+ * successful run) unless told otherwise, recording every call.
+ */
+function makeWatcher(handler?: (files: string[]) => Promise<any>) {
+    const calls: string[][] = [];
+    const processFiles = jest.fn(async (_target: WatchTarget, files: string[]) => {
+        calls.push(files);
+        if (handler) return handler(files);
+        await Promise.all(files.map((f) => fsp.rm(path.join(tmpDir, f))));
+        return batch(files);
+    });
+
+    const watcher = createFolderWatcher({
+        stabilityMs: 0,
+        getTargets: async () => [target],
+        processFiles
+    });
+
+    return { watcher, calls, processFiles };
+}
+
+// Poll, then wait for any run started by that poll
+async function pollAndSettle(watcher: { poll(): Promise<void>; stop(): Promise<void> }): Promise<void> {
+    await watcher.poll();
+    await watcher.stop();
+}
+
+describe('createFolderWatcher', () => {
+    test('waits one poll before picking up a new PDF', async () => {
+        await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), 'pdf');
+        await fsp.writeFile(path.join(tmpDir, 'notes.txt'), 'ignored');
+        const { watcher, calls } = makeWatcher();
+
+        await pollAndSettle(watcher);
+        expect(calls).toEqual([]);
+        expect(watcher.getStatus().targets.acme.waiting).toEqual(['scan.pdf']);
+
+        await pollAndSettle(watcher);
+        expect(calls).toEqual([['scan.pdf']]);
+
+        const status = watcher.getStatus().targets.acme;
+        expect(status).toMatchObject({ processed: 1, failed: 0, processing: false, waiting: [] });
+        expect(status.lastRunAt).not.toBeNull();
+    });
+
+    test('keeps waiting while a file is still growing', async () => {
+        const file = path.join(tmpDir, 'scan.pdf');
+        await fsp.writeFile(file, 'part');
+        const { watcher, calls } = makeWatcher();
+
+        await pollAndSettle(watcher);
+        await fsp.appendFile(file, ' more');
+        await pollAndSettle(watcher);
+        expect(calls).toEqual([]);
+
+        await pollAndSettle(watcher);
+        expect(calls).toEqual([['scan.pdf']]);
+    });
+
+    test('honours stabilityMs', async () => {
+        await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), 'pdf');
+        const processFiles = jest.fn(async () => batch([]));
+        const watcher = createFolderWatcher({
+            stabilityMs: 60_000,
+            getTargets: async () => [target],
+            processFiles
+        });
+
+        await pollAndSettle(watcher);
+        await pollAndSettle(watcher);
+
+        expect(processFiles).not.toHaveBeenCalled();
+    });
+
+    test('does not retry a failed file until it changes', async () => {
+        const file = path.join(tmpDir, 'broken.pdf');
+        await fsp.writeFile(file, 'bad');
+        const { watcher, calls } = makeWatcher(async (files) => batch(files, files.length));
+
+        await pollAndSettle(watcher);
+        await pollAndSettle(watcher);
+        await pollAndSettle(watcher);
+        expect(calls).toHaveLength(1);
+        expect(watcher.getStatus().targets.acme.failed).toBe(1);
+
+        await fsp.writeFile(file, 'fixed version');
+        await pollAndSettle(watcher);
+        await pollAndSettle(watcher);
+        expect(calls).toHaveLength(2);
+    });
+
+    test('retries on a later poll when the target is busy', async () => {
+        await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), 'pdf');
+        let busy = true;
+        const { watcher, calls } = makeWatcher(async (files) => (busy ? null : batch(files)));
+
+        await pollAndSettle(watcher);
+        await pollAndSettle(watcher);
+        expect(calls).toHaveLength(1);
+        expect(watcher.getStatus().targets.acme.lastRunAt).toBeNull();
+
+        busy = false;
+        await pollAndSettle(watcher);
+        expect(calls).toHaveLength(2);
+        expect(watcher.getStatus().targets.acme.processed).toBe(1);
+    });
+
+    test('records errors from processFiles', async () => {
+        await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), 'pdf');
+        const events: any[] = [];
+        const watcher = createFolderWatcher({
+            stabilityMs: 0,
+            getTargets: async () => [target],
+            processFiles: async () => {
+                throw new Error('quota exceeded');
+            },
+            onEvent: (event) => events.push(event)
+        });
+
+        await pollAndSettle(watcher);
+        await pollAndSettle(watcher);
+
+        expect(watcher.getStatus().targets.acme.lastError).toBe('quota exceeded');
+        expect(events.map((e) => e.type)).toEqual(['queued', 'error']);
+    });
+
+    test('reports unreadable folders without throwing', async () => {
+        target.folderPath = path.join(tmpDir, 'missing');
+        const { watcher } = makeWatcher();
+
+        await pollAndSettle(watcher);
+
+        expect(watcher.getStatus().targets.acme.lastError).toMatch(/^Cannot read folder/);
+    });
+
+    test('stop waits for an in-flight run', async () => {
+        await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), 'pdf');
+        let finish!: () => void;
+        const { watcher } = makeWatcher((files) => new Promise((resolve) => (finish = () => resolve(batch(files)))));
+
+        await pollAndSettle(watcher);
+        await watcher.poll();
+        expect(watcher.getStatus().targets.acme.processing).toBe(true);
+
+        let stopped = false;
+        const stopping = watcher.stop().then(() => (stopped = true));
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(stopped).toBe(false);
+
+        finish();
+        await stopping;
+        expect(watcher.getStatus().targets.acme.processing).toBe(false);
+    });
+
+    test('start polls on an interval until stopped', async () => {
+        await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), 'pdf');
+        const processFiles = jest.fn(async (_t: WatchTarget, files: string[]) => {
+            await Promise.all(files.map((f) => fsp.rm(path.join(tmpDir, f))));
+            return batch(files);
+        });
+        const watcher = createFolderWatcher({
+            pollIntervalMs: 10,
+            stabilityMs: 0,
+            getTargets: async () => [target],
+            processFiles
+        });
+
+        watcher.start();
+        expect(watcher.getStatus().running).toBe(true);
+        for (let i = 0; i < 100 && processFiles.mock.calls.length === 0; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        await watcher.stop();
+
+        expect(processFiles).toHaveBeenCalledWith(target, ['scan.pdf']);
+        expect(watcher.getStatus().running).toBe(false);
+    });
+});
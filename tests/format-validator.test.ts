@@ -1,4 +1,4 @@
-import { validateFieldFormat, validateAllFormats } from '../src/format-validator.js';
+import { describeFormat, validateFieldFormat, validateAllFormats } from '../src/format-validator.js';
 
 describe('validateFieldFormat', () => {
     describe('skip validation for empty/unknown values', () => {
@@ -130,6 +130,13 @@ describe('validateFieldFormat', () => {
         test('rejects missing country code', () => {
             expect(validateFieldFormat('5000400440116243', 'iso13616').valid).toBe(false);
         });
+
+        test('rejects wrong check digits', () => {
+            expect(validateFieldFormat('DK5100400440116243', 'iso13616')).toEqual({
+                valid: false,
+                error: 'IBAN check digits do not match: DK5100400440116243'
+            });
+        });
     });
 
     describe('iso11649', () => {
@@ -140,6 +147,12 @@ describe('validateFieldFormat', () => {
         test('rejects missing RF prefix', () => {
             expect(validateFieldFormat('18539007547034', 'iso11649').valid).toBe(false);
         });
+
+        test('rejects wrong check digits', () => {
+            expect(validateFieldFormat('RF19 5390 0754 7034', 'iso11649').error).toBe(
+                'Creditor reference check digits do not match: RF19 5390 0754 7034'
+            );
+        });
     });
 
     describe('iso17442', () => {
@@ -150,6 +163,70 @@ describe('validateFieldFormat', () => {
         test('rejects wrong length', () => {
             expect(validateFieldFormat('529900T8BM49', 'iso17442').valid).toBe(false);
         });
+
+        test('rejects wrong check digits', () => {
+            expect(validateFieldFormat('529900T8BM49AURSDO56', 'iso17442').error).toBe(
+                'LEI check digits do not match: 529900T8BM49AURSDO56'
+            );
+        });
+    });
+
+    describe('custom formats', () => {
+        const customFormats: any = {
+            dkCvr: {
+                label: 'Danish CVR number',
+                pattern: '(DK)?\\d{8}',
+                normalize: ['stripSpaces', 'uppercase'],
+                checksum: 'mod11',
+                weights: [2, 7, 6, 5, 4, 3, 2, 1]
+            },
+            cardNumber: { label: 'Card number', pattern: '\\d{11,19}', checksum: 'luhn' },
+            isbn10: { label: 'ISBN-10', pattern: '\\d{10}', checksum: 'mod11' },
+            leiLike: { label: 'LEI-like code', pattern: '[A-Z0-9]{20}', checksum: 'mod97' },
+            orderNo: { label: 'Order number', pattern: 'PO-\\d+' }
+        };
+
+        test('normalizes the value and checks the weighted mod11 checksum', () => {
+            expect(validateFieldFormat('dk 1015 0817', 'dkCvr', customFormats)).toEqual({
+                valid: true,
+                corrected: 'DK10150817'
+            });
+            expect(validateFieldFormat('10150818', 'dkCvr', customFormats)).toEqual({
+                valid: false,
+                error: 'Danish CVR number check digits do not match: 10150818'
+            });
+        });
+
+        test('checks luhn, unweighted mod11 and mod97 checksums', () => {
+            expect(validateFieldFormat('79927398713', 'cardNumber', customFormats).valid).toBe(true);
+            expect(validateFieldFormat('79927398710', 'cardNumber', customFormats).valid).toBe(false);
+            expect(validateFieldFormat('0306406152', 'isbn10', customFormats).valid).toBe(true);
+            expect(validateFieldFormat('0306406153', 'isbn10', customFormats).valid).toBe(false);
+            expect(validateFieldFormat('529900T8BM49AURSDO55', 'leiLike', customFormats).valid).toBe(true);
+            expect(validateFieldFormat('529900T8BM49AURSDO56', 'leiLike', customFormats).valid).toBe(false);
+        });
+
+        test('requires the whole value to match the pattern', () => {
+            expect(validateFieldFormat('PO-123', 'orderNo', customFormats)).toEqual({ valid: true });
+            expect(validateFieldFormat('Ref PO-123', 'orderNo', customFormats)).toEqual({
+                valid: false,
+                error: 'Not a valid Order number: Ref PO-123'
+            });
+        });
+    });
+});
+
+describe('describeFormat', () => {
+    test('describes built-in and custom formats', () => {
+        const customFormats: any = {
+            dkCvr: { label: 'Danish CVR number', pattern: '\\d{8}', example: '10150817' },
+            orderNo: { label: 'Order number', pattern: 'PO-\\d+' }
+        };
+        expect(describeFormat('iso8601')).toBe('ISO 8601: YYYY-MM-DD');
+        expect(describeFormat('dkCvr', customFormats)).toBe('Danish CVR number, e.g. 10150817');
+        expect(describeFormat('orderNo', customFormats)).toBe('Order number');
+        expect(describeFormat('none')).toBeNull();
+        expect(describeFormat('missing', customFormats)).toBeNull();
     });
 });
 
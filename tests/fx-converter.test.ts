@@ -0,0 +1,179 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { addCurrencyConversion, convertToBaseCurrency } from '../src/fx-converter.js';
+
+const fsp = fs.promises;
+
+// ECB history layout: newest first, a trailing comma and N/A for missing quotes
+const ECB_HISTORY = [
+    'Date,USD,JPY,DKK,GBP,',
+    '2024-01-15,1.0945,160.89,7.4582,0.85950,',
+    '2024-01-12,1.0942,159.40,7.4580,0.85920,',
+    '2024-01-11,1.0987,160.20,7.4578,N/A,',
+    '2024-01-02,1.0956,155.86,7.4551,0.86590,'
+].join('\n');
+
+let tmpDir: string;
+let ratesFile: string;
+
+function makeConfig(currencyConversion: Record<string, unknown> = {}): any {
+    return { processing: { currencyConversion: { baseCurrency: 'DKK', ratesFile, ...currencyConversion } } };
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'fx-converter-test-'));
+    ratesFile = path.join(tmpDir, 'eurofxref-hist.csv');
+    await fsp.writeFile(ratesFile, ECB_HISTORY);
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('convertToBaseCurrency', () => {
+    test('converts from the rates base at the invoice date', async () => {
+        const analysis = { totalAmount: 1500.5, currency: 'EUR', invoiceDate: '20240115' };
+
+        expect(await convertToBaseCurrency(analysis, makeConfig())).toEqual({
+            baseCurrency: 'DKK',
+            baseCurrencyAmount: 11191.03,
+            rate: 7.4582,
+            rateDate: '2024-01-15',
+            sourceCurrency: 'EUR'
+        });
+    });
+
+    test('uses the previous business day for weekend dates', async () => {
+        const analysis = { totalAmount: 100, currency: 'eur', invoiceDate: '2024-01-14' };
+
+        const conversion = await convertToBaseCurrency(analysis, makeConfig());
+
+        expect(conversion).toMatchObject({ rate: 7.458, rateDate: '2024-01-12', baseCurrencyAmount: 745.8 });
+    });
+
+    test('computes cross rates through the rates base', async () => {
+        const analysis = { totalAmount: 200, currency: 'USD', invoiceDate: '15 January 2024' };
+
+        const conversion = await convertToBaseCurrency(analysis, makeConfig());
+
+        expect(conversion).toMatchObject({ sourceCurrency: 'USD', rate: 6.814253, baseCurrencyAmount: 1362.85 });
+    });
+
+    test('skips dates without a quote for one of the currencies', async () => {
+        const analysis = { totalAmount: 100, currency: 'GBP', invoiceDate: '2024-01-11' };
+
+        await expect(convertToBaseCurrency(analysis, makeConfig())).rejects.toThrow(
+            'no GBP/DKK rate within 7 days before 2024-01-11'
+        );
+        const usd = await convertToBaseCurrency({ ...analysis, currency: 'USD' }, makeConfig());
+        expect(usd!.rateDate).toBe('2024-01-11');
+    });
+
+    test('rejects rates older than 7 days', async () => {
+        const analysis = { totalAmount: 100, currency: 'USD', invoiceDate: '2024-01-10' };
+
+        await expect(convertToBaseCurrency(analysis, makeConfig())).rejects.toThrow(
+            'no USD/DKK rate within 7 days before 2024-01-10'
+        );
+        await expect(convertToBaseCurrency({ ...analysis, invoiceDate: '2023-12-31' }, makeConfig())).rejects.toThrow(
+            'no USD/DKK rate'
+        );
+    });
+
+    test('converts same-currency totals without a rate table', async () => {
+        const analysis = { totalAmount: 99.999, currency: 'DKK', invoiceDate: '2023-06-01' };
+
+        const conversion = await convertToBaseCurrency(analysis, makeConfig({ ratesFile: '/missing.csv' }));
+
+        expect(conversion).toEqual({
+            baseCurrency: 'DKK',
+            baseCurrencyAmount: 100,
+            rate: 1,
+            rateDate: '2023-06-01',
+            sourceCurrency: 'DKK'
+        });
+    });
+
+    test('reads tables quoted against another base currency', async () => {
+        await fsp.writeFile(ratesFile, 'Date,EUR,DKK\n2024-01-15,0.9137,6.8145\n');
+        const analysis = { totalAmount: 10, currency: 'USD', invoiceDate: '2024-01-15' };
+
+        const conversion = await convertToBaseCurrency(analysis, makeConfig({ ratesBase: 'USD' }));
+
+        expect(conversion).toMatchObject({ rate: 6.8145, baseCurrencyAmount: 68.15 });
+    });
+
+    test('returns null without a base currency', async () => {
+        const analysis = { totalAmount: 10, currency: 'EUR', invoiceDate: '2024-01-15' };
+
+        expect(await convertToBaseCurrency(analysis, { processing: {} } as any)).toBeNull();
+    });
+
+    test('throws for missing invoice values and rate tables', async () => {
+        const config = makeConfig();
+
+        await expect(convertToBaseCurrency({ currency: 'EUR', invoiceDate: '2024-01-15' }, config)).rejects.toThrow(
+            'no total amount'
+        );
+        await expect(convertToBaseCurrency({ totalAmount: 1, invoiceDate: '2024-01-15' }, config)).rejects.toThrow(
+            'no currency'
+        );
+        await expect(convertToBaseCurrency({ totalAmount: 1, currency: 'EUR' }, config)).rejects.toThrow(
+            'no invoice date'
+        );
+        const missing = path.join(tmpDir, 'missing.csv');
+        await expect(
+            convertToBaseCurrency(
+                { totalAmount: 1, currency: 'EUR', invoiceDate: '2024-01-15' },
+                makeConfig({ ratesFile: missing })
+            )
+        ).rejects.toThrow(`Rate table not found: ${missing}`);
+    });
+});
+
+describe('addCurrencyConversion', () => {
+    test('replaces a previous conversion', async () => {
+        const analysis = {
+            totalAmount: 100,
+            currency: 'EUR',
+            invoiceDate: '2024-01-15',
+            _conversion: {
+                baseCurrency: 'DKK',
+                baseCurrencyAmount: 1,
+                rate: 1,
+                rateDate: '2024-01-01',
+                sourceCurrency: 'EUR'
+            }
+        };
+
+        const converted = await addCurrencyConversion(analysis, makeConfig());
+
+        expect(converted._conversion).toMatchObject({ baseCurrencyAmount: 745.82, rateDate: '2024-01-15' });
+    });
+
+    test('drops the conversion with a warning when it fails', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const analysis = {
+            totalAmount: 100,
+            currency: 'CHF',
+            invoiceDate: '2024-01-15',
+            _conversion: {
+                baseCurrency: 'DKK',
+                baseCurrencyAmount: 1,
+                rate: 1,
+                rateDate: '2024-01-01',
+                sourceCurrency: 'CHF'
+            }
+        };
+
+        const converted = await addCurrencyConversion(analysis, makeConfig());
+
+        expect(converted).toEqual({ totalAmount: 100, currency: 'CHF', invoiceDate: '2024-01-15' });
+        expect(warn).toHaveBeenCalledWith(
+            'Warning: Currency conversion skipped: no CHF/DKK rate within 7 days before 2024-01-15'
+        );
+    });
+});
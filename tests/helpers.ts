@@ -0,0 +1,51 @@
+/**
+ * Shared fixtures for the pipeline and API tests
+ */
+
+import path from 'path';
+
+/**
+ * Build a field definition with the defaults the tests do not care about
+ * @param key - Field key, also used as its label
+ * @param type - Field type
+ * @param extra - Further properties, e.g. { enabled: false } or table columns
+ */
+export function field(key: string, type = 'text', extra: Record<string, unknown> = {}): any {
+    return { key, label: key, type, schemaHint: 'value', instruction: 'extract', enabled: true, ...extra };
+}
+
+/**
+ * Build a client configuration that runs the pipeline against the local provider
+ * The client folder is also the input folder. Keys of overrides replace the
+ * defaults, except processing, which is merged into them.
+ * @param tmpDir - Client base folder
+ * @param overrides - Configuration keys to replace
+ */
+export function makePipelineConfig(tmpDir: string, overrides: Record<string, any> = {}): any {
+    const { processing, ...rest } = overrides;
+    return {
+        provider: 'local',
+        processing: { concurrency: 1, retryAttempts: 0, detectDuplicates: false, ...processing },
+        output: { filenameTemplate: '{supplierName} - {invoiceNumber}' },
+        fieldDefinitions: [field('supplierName'), field('invoiceNumber'), field('totalAmount', 'number')],
+        tagDefinitions: [],
+        folders: {
+            base: tmpDir,
+            input: tmpDir,
+            processedOriginal: path.join(tmpDir, 'processed-original'),
+            processedEnriched: path.join(tmpDir, 'processed-enriched'),
+            csvPath: path.join(tmpDir, 'invoice-log.csv')
+        },
+        ...rest
+    };
+}
+
+/**
+ * Parse SSE response text into an array of event objects.
+ */
+export function parseSSEEvents(text: string): any[] {
+    return text
+        .split('\n\n')
+        .filter((chunk) => chunk.startsWith('data: '))
+        .map((chunk) => JSON.parse(chunk.replace('data: ', '')));
+}
@@ -0,0 +1,242 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { PDFDocument } from 'pdf-lib';
+import UTIF from 'utif';
+
+import { getDocumentMimeType, imageToPdf, isInvoiceFile, readDocument } from '../src/image-input.js';
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+// ── Minimal image files ──
+
+function pngChunk(type: string, data: Buffer): Buffer {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    // pdf-lib does not verify chunk CRCs
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+function makePng(width: number, height: number): Buffer {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB
+    const rows = Buffer.alloc((width * 3 + 1) * height);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(rows)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Only the markers pdf-lib reads: SOI, optional EXIF orientation, SOF0 with the size, EOI
+function makeJpeg(width: number, height: number, orientation?: number): Buffer {
+    const parts = [Buffer.from([0xff, 0xd8])];
+    if (orientation) {
+        const exif = Buffer.alloc(36);
+        exif.write('Exif\0\0MM', 0, 'latin1');
+        exif.writeUInt16BE(42, 8);
+        exif.writeUInt32BE(8, 10); // IFD0 right after the TIFF header
+        exif.writeUInt16BE(1, 14); // one entry
+        exif.writeUInt16BE(0x0112, 16);
+        exif.writeUInt16BE(3, 18); // SHORT
+        exif.writeUInt32BE(1, 20);
+        exif.writeUInt16BE(orientation, 24);
+        const length = Buffer.alloc(4);
+        length.writeUInt16BE(0xffe1, 0);
+        length.writeUInt16BE(exif.length + 2, 2);
+        parts.push(length, exif);
+    }
+    const sof = Buffer.from([0xff, 0xc0, 0, 11, 8, 0, 0, 0, 0, 1, 1, 0x11, 0]);
+    sof.writeUInt16BE(height, 5);
+    sof.writeUInt16BE(width, 7);
+    parts.push(sof, Buffer.from([0xff, 0xd9]));
+    return Buffer.concat(parts);
+}
+
+function makeTiff(width: number, height: number): Buffer {
+    return Buffer.from(UTIF.encodeImage(new Uint8Array(width * height * 4).fill(255), width, height));
+}
+
+async function writeFile(name: string, data: Buffer): Promise<string> {
+    const filePath = path.join(tmpDir, name);
+    await fsp.writeFile(filePath, data);
+    return filePath;
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'image-input-test-'));
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('isInvoiceFile', () => {
+    test.each(['a.pdf', 'b.PDF', 'c.jpg', 'd.JPEG', 'e.png', 'f.webp', 'g.tif', 'h.tiff'])('accepts %s', (name) => {
+        expect(isInvoiceFile(name)).toBe(true);
+    });
+
+    test.each(['notes.txt', 'photo.heic', 'archive.pdf.zip', 'jpg'])('rejects %s', (name) => {
+        expect(isInvoiceFile(name)).toBe(false);
+    });
+});
+
+describe('getDocumentMimeType', () => {
+    test('maps extensions to the MIME type sent to the model', () => {
+        expect(getDocumentMimeType('/in/receipt.JPG')).toBe('image/jpeg');
+        expect(getDocumentMimeType('scan.tif')).toBe('image/tiff');
+        expect(getDocumentMimeType('photo.webp')).toBe('image/webp');
+        expect(getDocumentMimeType('invoice.pdf')).toBe('application/pdf');
+    });
+});
+
+describe('imageToPdf', () => {
+    test('draws a PNG on a page of the same size', async () => {
+        const pdfDoc = await imageToPdf(await writeFile('receipt.png', makePng(40, 30)));
+
+        expect(pdfDoc.getPageCount()).toBe(1);
+        expect(pdfDoc.getPage(0).getSize()).toEqual({ width: 40, height: 30 });
+    });
+
+    test('draws a JPEG upright according to its EXIF orientation', async () => {
+        const upright = await imageToPdf(await writeFile('a.jpg', makeJpeg(400, 300)));
+        const rotated = await imageToPdf(await writeFile('b.jpg', makeJpeg(400, 300, 6)));
+
+        expect(upright.getPage(0).getSize()).toEqual({ width: 400, height: 300 });
+        expect(rotated.getPage(0).getSize()).toEqual({ width: 300, height: 400 });
+    });
+
+    test('draws a TIFF converted to PNG', async () => {
+        const pdfDoc = await imageToPdf(await writeFile('scan.tif', makeTiff(40, 30)));
+
+        expect(pdfDoc.getPageCount()).toBe(1);
+        expect(pdfDoc.getPage(0).getSize()).toEqual({ width: 40, height: 30 });
+        expect(Buffer.from(await pdfDoc.save()).toString('latin1')).not.toContain('/EmbeddedFiles');
+    });
+
+    test('attaches images pdf-lib cannot draw behind a placeholder page', async () => {
+        const pdfDoc = await imageToPdf(await writeFile('photo.webp', Buffer.from('RIFF....WEBP')));
+        const saved = Buffer.from(await pdfDoc.save({ useObjectStreams: false })).toString('latin1');
+
+        expect(pdfDoc.getPageCount()).toBe(1);
+        expect(saved).toContain('/EmbeddedFiles');
+        expect(saved).toContain('(photo.webp)');
+    });
+
+    test('reports unreadable images with the filename', async () => {
+        await expect(imageToPdf(await writeFile('broken.png', Buffer.from('not a png')))).rejects.toThrow(
+            'Could not read image broken.png'
+        );
+    });
+});
+
+describe('readDocument', () => {
+    test('sends PDFs and images the providers accept unchanged', async () => {
+        const png = makePng(20, 20);
+
+        expect(await readDocument(await writeFile('receipt.png', png))).toEqual({
+            mimeType: 'image/png',
+            data: png.toString('base64')
+        });
+    });
+
+    test('converts TIFF images to the same PDF every time', async () => {
+        const filePath = await writeFile('scan.tiff', makeTiff(40, 30));
+
+        const document = await readDocument(filePath);
+
+        expect(document.mimeType).toBe('application/pdf');
+        const pdfDoc = await PDFDocument.load(Buffer.from(document.data, 'base64'));
+        expect(pdfDoc.getPage(0).getSize()).toEqual({ width: 40, height: 30 });
+        expect(await readDocument(filePath)).toEqual(document);
+    });
+
+    test('reports unreadable TIFF images with the filename', async () => {
+        await expect(readDocument(await writeFile('broken.tif', Buffer.from('not a tiff')))).rejects.toThrow(
+            'Could not read image broken.tif'
+        );
+    });
+});
+
+describe('processAllInvoices with images', () => {
+    test('sends images with their MIME type and files them as PDFs', async () => {
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        await writeFile('receipt.png', makePng(20, 20));
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+        const fetchSpy = jest
+            .spyOn(global, 'fetch')
+            .mockImplementation(async () => new Response(JSON.stringify({ text: '{"invoiceNumber": "R-1"}' })));
+
+        try {
+            const result = await processAllInvoices(
+                {
+                    provider: 'local',
+                    processing: { concurrency: 1, retryAttempts: 0, detectDuplicates: false },
+                    output: { filenameTemplate: '{invoiceNumber}' },
+                    folders: {
+                        base: tmpDir,
+                        input: tmpDir,
+                        processedOriginal: path.join(tmpDir, 'processed-original'),
+                        processedEnriched: path.join(tmpDir, 'processed-enriched')
+                    },
+                    fieldDefinitions: [
+                        {
+                            key: 'invoiceNumber',
+                            label: 'Invoice number',
+                            type: 'text',
+                            schemaHint: 'value',
+                            instruction: 'extract',
+                            enabled: true
+                        }
+                    ],
+                    tagDefinitions: []
+                } as any,
+                { storeResults: false }
+            );
+
+            expect(result.success).toBe(1);
+            const request = JSON.parse(fetchSpy.mock.calls[0][1]!.body as string);
+            expect(request.document.mimeType).toBe('image/png');
+            expect(await fsp.readdir(path.join(tmpDir, 'processed-original'))).toEqual(['receipt.png']);
+            const output = await PDFDocument.load(
+                await fsp.readFile(path.join(tmpDir, 'processed-enriched', 'R-1.pdf'))
+            );
+            expect(output.getPageCount()).toBe(2); // image + summary
+        } finally {
+            delete process.env.LOCAL_PROVIDER_URL;
+        }
+    });
+
+    test('sends TIFF images to the provider as a PDF', async () => {
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        await writeFile('scan.tif', makeTiff(40, 30));
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+        const fetchSpy = jest
+            .spyOn(global, 'fetch')
+            .mockImplementation(async () => new Response(JSON.stringify({ text: '{"invoiceNumber": "T-1"}' })));
+
+        try {
+            const config = makePipelineConfig(tmpDir, { output: { filenameTemplate: '{invoiceNumber}' } });
+            const result = await processAllInvoices(config, { storeResults: false });
+
+            expect(result.success).toBe(1);
+            const { document } = JSON.parse(fetchSpy.mock.calls[0][1]!.body as string);
+            expect(document.mimeType).toBe('application/pdf');
+            expect((await PDFDocument.load(Buffer.from(document.data, 'base64'))).getPageCount()).toBe(1);
+            expect(await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).toEqual(['T-1.pdf']);
+        } finally {
+            delete process.env.LOCAL_PROVIDER_URL;
+        }
+    });
+});
@@ -0,0 +1,311 @@
+jest.mock('../src/job-store.js');
+
+import { createJobManager, countJobFiles } from '../src/job-manager.js';
+import { loadJobs, saveJob } from '../src/job-store.js';
+
+import type { JobContext, JobListener, JobRunner } from '../src/job-manager.js';
+import type { Job } from '../src/types/index.js';
+
+const mockedLoadJobs = jest.mocked(loadJobs);
+const mockedSaveJob = jest.mocked(saveJob);
+
+const ACME = { clientId: 'acme', name: 'Acme Corp' };
+
+function recorder(): JobListener & { events: any[]; ended: Promise<Job> } {
+    let resolveEnd!: (job: Job) => void;
+    const ended = new Promise<Job>((resolve) => (resolveEnd = resolve));
+    const events: any[] = [];
+    return { events, ended, onEvent: (e) => events.push(e), onEnd: (job) => resolveEnd(job) };
+}
+
+// Runner that blocks until released, so a test can act while the job is running
+function blockingRunner(before?: (ctx: JobContext) => void) {
+    let release!: () => void;
+    let reached!: () => void;
+    const started = new Promise<void>((resolve) => (reached = resolve));
+    const gate = new Promise<void>((resolve) => (release = resolve));
+    const contexts: JobContext[] = [];
+    const runner: JobRunner = async (_job, ctx) => {
+        contexts.push(ctx);
+        before?.(ctx);
+        reached();
+        await gate;
+    };
+    return { runner, started, release: () => release(), contexts };
+}
+
+function managerWith(process: JobRunner) {
+    const noop: JobRunner = async () => {};
+    return createJobManager({ process, 'process-all': noop, retry: noop });
+}
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    mockedLoadJobs.mockResolvedValue([]);
+    mockedSaveJob.mockResolvedValue(undefined);
+});
+
+describe('createJobManager', () => {
+    test('runs a job and tracks file states from progress events', async () => {
+        const manager = managerWith(async (_job, ctx) => {
+            const files = ctx.registerFiles('acme', ['a.pdf', 'b.pdf', 'c.pdf']);
+            expect(files).toEqual(['a.pdf', 'b.pdf', 'c.pdf']);
+            ctx.emit({ status: 'analyzing', filename: 'a.pdf' });
+            ctx.emit({ status: 'completed', filename: 'a.pdf', outputFilename: 'Acme.pdf' });
+            ctx.emit({ status: 'duplicate', filename: 'b.pdf' });
+            ctx.emit({ status: 'failed', filename: 'c.pdf', error: 'timeout' });
+            ctx.emit({ status: 'done', success: 1 });
+        });
+        const listener = recorder();
+
+        const job = await manager.create({ type: 'process', clients: [ACME] }, listener);
+        const finished = await listener.ended;
+
+        expect(finished.id).toBe(job.id);
+        expect(finished.status).toBe('completed');
+        expect(finished.finishedAt).not.toBeNull();
+        expect(finished.files).toEqual([
+            { clientId: 'acme', filename: 'a.pdf', status: 'done', outputFilename: 'Acme.pdf' },
+            { clientId: 'acme', filename: 'b.pdf', status: 'done', duplicate: true },
+            { clientId: 'acme', filename: 'c.pdf', status: 'failed', error: 'timeout' }
+        ]);
+        expect(finished.summary).toEqual({ total: 3, success: 1, failed: 1, duplicates: 1, pendingReview: 0 });
+        expect(listener.events[0]).toEqual({ status: 'job-started', jobId: job.id, resumed: false });
+        expect(listener.events.map((e) => e.status)).toContain('done');
+        expect(mockedSaveJob).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'completed' }));
+    });
+
+    test('finishes invoices held for review', async () => {
+        const manager = managerWith(async (_job, ctx) => {
+            ctx.registerFiles('acme', ['a.pdf', 'b.pdf']);
+            ctx.emit({ status: 'analyzing', filename: 'a.pdf' });
+            ctx.emit({ status: 'pending-review', filename: 'a.pdf', outputFilename: 'Acme.pdf' });
+            ctx.emit({ status: 'analyzing', filename: 'b.pdf' });
+            ctx.emit({ status: 'completed', filename: 'b.pdf', outputFilename: 'Globex.pdf' });
+        });
+
+        const job = await manager.create({ type: 'process', clients: [ACME] });
+        const finished = await manager.wait(job.id);
+
+        expect(finished.files[0]).toEqual({
+            clientId: 'acme',
+            filename: 'a.pdf',
+            status: 'done',
+            outputFilename: 'Acme.pdf',
+            pendingReview: true
+        });
+        expect(finished.summary).toEqual({ total: 2, success: 2, failed: 0, duplicates: 0, pendingReview: 1 });
+    });
+
+    test('keeps an explicit file selection', async () => {
+        let pending: string[] = [];
+        const manager = managerWith(async (_job, ctx) => {
+            pending = ctx.registerFiles('acme', ['a.pdf', 'b.pdf']);
+        });
+
+        const job = await manager.create({
+            type: 'process',
+            clients: [ACME],
+            files: [{ clientId: 'acme', filename: 'b.pdf' }]
+        });
+        await manager.wait(job.id);
+
+        expect(pending).toEqual(['b.pdf']);
+    });
+
+    test('marks files the runner never reached as failed', async () => {
+        const manager = managerWith(async (_job, ctx) => {
+            ctx.registerFiles('acme', ['gone.pdf']);
+        });
+
+        const job = await manager.create({ type: 'process', clients: [ACME] });
+        const finished = await manager.wait(job.id);
+
+        expect(finished.files[0]).toMatchObject({ status: 'failed', error: 'Not processed' });
+    });
+
+    test('reports runner errors', async () => {
+        const manager = managerWith(async () => {
+            throw new Error('config broken');
+        });
+        const listener = recorder();
+
+        const job = await manager.create({ type: 'process', clients: [ACME] }, listener);
+        const finished = await listener.ended;
+
+        expect(finished).toMatchObject({ status: 'failed', error: 'config broken' });
+        expect(listener.events).toContainEqual({ status: 'error', jobId: job.id, error: 'config broken' });
+    });
+
+    test('cancels at the next boundary', async () => {
+        const blocking = blockingRunner();
+        const manager = managerWith(blocking.runner);
+        const listener = recorder();
+
+        const job = await manager.create({ type: 'process', clients: [ACME] }, listener);
+        await blocking.started;
+        expect(manager.cancel(job.id).cancelRequested).toBe(true);
+        blocking.release();
+        const finished = await listener.ended;
+
+        expect(blocking.contexts[0].signal.aborted).toBe(true);
+        expect(finished.status).toBe('cancelled');
+        expect(listener.events).toContainEqual({ status: 'cancelled', jobId: job.id });
+        expect(() => manager.cancel(job.id)).toThrow('has already finished');
+        expect(() => manager.cancel('missing')).toThrow('not found');
+    });
+
+    test('holds a paused job until it is resumed', async () => {
+        const order: string[] = [];
+        let ready!: () => void;
+        const started = new Promise<void>((resolve) => (ready = resolve));
+        let proceed!: () => void;
+        const gate = new Promise<void>((resolve) => (proceed = resolve));
+        const manager = managerWith(async (_job, ctx) => {
+            ready();
+            await gate;
+            await ctx.waitWhilePaused();
+            order.push('next file');
+        });
+        const listener = recorder();
+
+        const job = await manager.create({ type: 'process', clients: [ACME] }, listener);
+        await started;
+        expect(manager.pause(job.id).status).toBe('paused');
+        proceed();
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(order).toEqual([]);
+
+        order.push('resumed');
+        expect(manager.resume(job.id).status).toBe('running');
+        const finished = await listener.ended;
+
+        expect(order).toEqual(['resumed', 'next file']);
+        expect(finished.status).toBe('completed');
+        expect(listener.events.map((e) => e.status)).toEqual(['job-started', 'paused', 'resumed']);
+    });
+
+    test('cancelling a paused job releases it', async () => {
+        const blocking = blockingRunner();
+        let afterPause = false;
+        const manager = managerWith(async (job, ctx) => {
+            await blocking.runner(job, ctx);
+            await ctx.waitWhilePaused();
+            afterPause = true;
+        });
+
+        const job = await manager.create({ type: 'process', clients: [ACME] });
+        await blocking.started;
+        manager.pause(job.id);
+        blocking.release();
+        manager.cancel(job.id);
+        const finished = await manager.wait(job.id);
+
+        expect(afterPause).toBe(true);
+        expect(finished.status).toBe('cancelled');
+        expect(() => manager.pause(job.id)).toThrow('has already finished');
+        expect(() => manager.resume('missing')).toThrow('not found');
+    });
+
+    test('replays earlier events to late subscribers', async () => {
+        const blocking = blockingRunner((ctx) => ctx.emit({ status: 'starting', total: 1 }));
+        const manager = managerWith(blocking.runner);
+
+        const job = await manager.create({ type: 'process', clients: [ACME] });
+        await blocking.started;
+        const listener = recorder();
+        const unsubscribe = manager.subscribe(job.id, listener);
+        blocking.release();
+        await listener.ended;
+
+        expect(unsubscribe).toEqual(expect.any(Function));
+        expect(listener.events.map((e) => e.status)).toEqual(['job-started', 'starting']);
+        expect(manager.subscribe(job.id, recorder())).toBeNull();
+    });
+
+    test('lists jobs newest first', async () => {
+        const manager = managerWith(async () => {});
+        const first = await manager.create({ type: 'process', clients: [ACME] });
+        await manager.wait(first.id);
+        const second = await manager.create({ type: 'process', clients: [ACME] });
+        await manager.wait(second.id);
+        second.createdAt = new Date(Date.now() + 1000).toISOString();
+
+        expect(manager.list().map((j) => j.id)).toEqual([second.id, first.id]);
+        expect(manager.get(first.id)).toBe(first);
+        expect(manager.get('missing')).toBeNull();
+    });
+});
+
+describe('resume', () => {
+    function storedJob(overrides: Partial<Job>): Job {
+        return {
+            id: 'job-1',
+            type: 'process',
+            status: 'running',
+            clients: [ACME],
+            files: [],
+            dryRun: false,
+            createdAt: '2026-01-01T00:00:00.000Z',
+            startedAt: '2026-01-01T00:00:01.000Z',
+            finishedAt: null,
+            ...overrides
+        };
+    }
+
+    test('restarts interrupted jobs with their unfinished files', async () => {
+        const calls: string[][] = [];
+        const manager = managerWith(async (_job, ctx) => {
+            calls.push(ctx.registerFiles('acme', ['ignored.pdf']));
+            ctx.emit({ status: 'completed', filename: 'b.pdf' });
+            ctx.emit({ status: 'completed', filename: 'c.pdf' });
+        });
+        mockedLoadJobs.mockResolvedValue([
+            storedJob({
+                files: [
+                    { clientId: 'acme', filename: 'a.pdf', status: 'done' },
+                    { clientId: 'acme', filename: 'b.pdf', status: 'running' },
+                    { clientId: 'acme', filename: 'c.pdf', status: 'queued' }
+                ]
+            }),
+            storedJob({ id: 'job-2', status: 'completed', finishedAt: '2026-01-01T00:01:00.000Z' })
+        ]);
+
+        const resumed = await manager.restore();
+        expect(resumed.map((j) => j.id)).toEqual(['job-1']);
+        const finished = await manager.wait('job-1');
+
+        expect(calls).toEqual([['b.pdf', 'c.pdf']]);
+        expect(finished.status).toBe('completed');
+        expect(finished.resumedAt).toEqual(expect.any(String));
+        expect(finished.startedAt).toBe('2026-01-01T00:00:01.000Z');
+        expect(countJobFiles(finished)).toEqual({ queued: 0, running: 0, done: 3, failed: 0 });
+        expect(manager.get('job-2')?.status).toBe('completed');
+    });
+
+    test('keeps a paused job paused after a restart', async () => {
+        const runner = jest.fn(async (_job: Job, ctx: JobContext) => {
+            await ctx.waitWhilePaused();
+        });
+        const manager = managerWith(runner);
+        mockedLoadJobs.mockResolvedValue([storedJob({ status: 'paused' })]);
+
+        await manager.restore();
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(manager.get('job-1')?.status).toBe('paused');
+
+        manager.resume('job-1');
+        expect((await manager.wait('job-1')).status).toBe('completed');
+    });
+
+    test('does not restart jobs that were being cancelled', async () => {
+        const runner = jest.fn(async () => {});
+        const manager = managerWith(runner);
+        mockedLoadJobs.mockResolvedValue([storedJob({ cancelRequested: true })]);
+
+        expect(await manager.restore()).toEqual([]);
+
+        expect(runner).not.toHaveBeenCalled();
+        expect(manager.get('job-1')?.status).toBe('cancelled');
+    });
+});
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { saveJob, loadJobs, deleteJob } from '../src/job-store.js';
+
+import type { Job } from '../src/types/index.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'job-store-test-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+function job(id: string, createdAt: string): Job {
+    return {
+        id,
+        type: 'process',
+        status: 'running',
+        clients: [{ clientId: 'acme', name: 'Acme Corp' }],
+        files: [{ clientId: 'acme', filename: 'a.pdf', status: 'queued' }],
+        dryRun: false,
+        createdAt,
+        startedAt: null,
+        finishedAt: null
+    };
+}
+
+describe('job-store', () => {
+    test('returns no jobs before anything was stored', async () => {
+        expect(await loadJobs()).toEqual([]);
+    });
+
+    test('saves, loads oldest first and deletes jobs', async () => {
+        await saveJob(job('b', '2026-01-02T00:00:00.000Z'));
+        await saveJob(job('a', '2026-01-01T00:00:00.000Z'));
+
+        expect((await loadJobs()).map((j) => j.id)).toEqual(['a', 'b']);
+        expect(await fsp.readdir(path.join(tmpDir, 'data', 'jobs'))).toEqual(['a.json', 'b.json']);
+
+        await deleteJob('a');
+        expect((await loadJobs()).map((j) => j.id)).toEqual(['b']);
+    });
+
+    test('overwrites a job with its latest state', async () => {
+        const stored = job('a', '2026-01-01T00:00:00.000Z');
+        await saveJob(stored);
+        await saveJob({ ...stored, status: 'completed' });
+
+        const [loaded] = await loadJobs();
+        expect(loaded.status).toBe('completed');
+    });
+
+    test('skips unreadable job files', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await saveJob(job('a', '2026-01-01T00:00:00.000Z'));
+        await fsp.writeFile(path.join(tmpDir, 'data', 'jobs', 'broken.json'), '{ not json');
+
+        expect((await loadJobs()).map((j) => j.id)).toEqual(['a']);
+    });
+
+    test('rejects job IDs that are not plain names', async () => {
+        await expect(saveJob(job('../escape', '2026-01-01T00:00:00.000Z'))).rejects.toThrow('Invalid job ID');
+    });
+});
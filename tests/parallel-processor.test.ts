@@ -0,0 +1,144 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+
+import { processAllInvoices, processWithRetry } from '../src/parallel-processor.js';
+import { makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+const ACME = { supplierName: 'Acme Corp', invoiceNumber: 'INV-001', totalAmount: 1500 };
+
+async function writePdf(name: string, pages = 1): Promise<string> {
+    const pdfDoc = await PDFDocument.create();
+    for (let i = 0; i < pages; i++) pdfDoc.addPage();
+    const filePath = path.join(tmpDir, name);
+    await fsp.writeFile(filePath, await pdfDoc.save());
+    return filePath;
+}
+
+function makeConfig(): any {
+    return makePipelineConfig(tmpDir, {
+        processing: { retryDelayMs: 5 },
+        output: { filenameTemplate: '{invoiceNumber}' }
+    });
+}
+
+function extractionResponse(invoiceNumber: string): Response {
+    return new Response(JSON.stringify({ text: JSON.stringify({ ...ACME, invoiceNumber }) }));
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'parallel-processor-test-'));
+    await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+    await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+    process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    delete process.env.LOCAL_PROVIDER_URL;
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('processAllInvoices cancellation', () => {
+    test('finishes the file in progress and leaves the rest in the input folder', async () => {
+        await Promise.all(['a.pdf', 'b.pdf', 'c.pdf'].map((name) => writePdf(name)));
+        const controller = new AbortController();
+        jest.spyOn(global, 'fetch').mockImplementation(async () => {
+            controller.abort();
+            return extractionResponse('INV-A');
+        });
+        const onComplete = jest.fn();
+
+        const result = await processAllInvoices(makeConfig(), {
+            signal: controller.signal,
+            storeResults: false,
+            onComplete
+        });
+
+        expect(result).toMatchObject({ total: 3, success: 1, failed: 0, cancelled: 2 });
+        expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ status: 'done', cancelled: 2 }));
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).toEqual(['INV-A.pdf']);
+        expect((await fsp.readdir(tmpDir)).filter((f) => f.endsWith('.pdf')).sort()).toEqual(['b.pdf', 'c.pdf']);
+    });
+
+    test('holds each file until waitWhilePaused resolves', async () => {
+        await Promise.all(['a.pdf', 'b.pdf'].map((name) => writePdf(name)));
+        let calls = 0;
+        const fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(async () => extractionResponse(`INV-${calls}`));
+        const waitWhilePaused = jest.fn(async () => {
+            calls++;
+            // Nothing may be analyzed while the gate is closed
+            expect(fetchSpy).toHaveBeenCalledTimes(calls - 1);
+        });
+
+        const result = await processAllInvoices(makeConfig(), { waitWhilePaused, storeResults: false });
+
+        expect(waitWhilePaused).toHaveBeenCalledTimes(2);
+        expect(result.success).toBe(2);
+    });
+
+    test('does not retry once the batch is cancelled', async () => {
+        const filePath = await writePdf('a.pdf');
+        const controller = new AbortController();
+        const fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(async () => {
+            controller.abort();
+            return new Response('unavailable', { status: 503 });
+        });
+        const config = makeConfig();
+        config.processing.retryAttempts = 3;
+
+        const result = await processWithRetry(filePath, config, { signal: controller.signal });
+
+        expect(result.success).toBe(false);
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('processAllInvoices splitting', () => {
+    function makeSplitConfig(): any {
+        const config = makeConfig();
+        config.processing.splitting = { enabled: true, mode: 'pages', pagesPerDocument: 1 };
+        return config;
+    }
+
+    test('processes each invoice of a scan separately and archives the scan', async () => {
+        await writePdf('scan.pdf', 3);
+        let calls = 0;
+        jest.spyOn(global, 'fetch').mockImplementation(async () => extractionResponse(`INV-${++calls}`));
+        const onProgress = jest.fn();
+
+        const result = await processAllInvoices(makeSplitConfig(), { onProgress });
+
+        expect(result).toMatchObject({ total: 3, success: 3, failed: 0 });
+        expect(onProgress).toHaveBeenCalledWith(
+            expect.objectContaining({ status: 'split', filename: 'scan.pdf', parts: 3 })
+        );
+        expect((await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).sort()).toEqual([
+            'INV-1.pdf',
+            'INV-2.pdf',
+            'INV-3.pdf'
+        ]);
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-original'))).toEqual(['scan.pdf']);
+        expect(result.results.map((r) => r.splitFrom)).toEqual([
+            { filename: 'scan.pdf', firstPage: 1, lastPage: 1 },
+            { filename: 'scan.pdf', firstPage: 2, lastPage: 2 },
+            { filename: 'scan.pdf', firstPage: 3, lastPage: 3 }
+        ]);
+    });
+
+    test('leaves the scan in the input folder when every invoice fails', async () => {
+        await writePdf('scan.pdf', 2);
+        jest.spyOn(global, 'fetch').mockImplementation(async () => new Response('bad request', { status: 400 }));
+
+        const result = await processAllInvoices(makeSplitConfig(), { storeResults: false });
+
+        expect(result).toMatchObject({ total: 2, success: 0, failed: 2 });
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-original'))).toEqual([]);
+        expect(fs.existsSync(path.join(tmpDir, 'scan.pdf'))).toBe(true);
+    });
+});
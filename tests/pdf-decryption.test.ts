@@ -0,0 +1,440 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    PDFArray,
+    PDFDict,
+    PDFDocument,
+    PDFHexString,
+    PDFName,
+    PDFParser,
+    PDFRawStream,
+    PDFString,
+    PDFWriter,
+    decodePDFRawStream
+} from 'pdf-lib';
+import type { PDFObject, PDFRef } from 'pdf-lib';
+
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { decryptPdf, getPdfPasswords } from '../src/pdf-decryption.js';
+import { getResults } from '../src/result-manager.js';
+
+const fsp = fs.promises;
+
+const PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+const TEXT = 'Invoice 4711';
+
+let tmpDir: string;
+
+// ── Standard security handler, encryption side ──
+
+type Method = 'rc4-40' | 'rc4' | 'aes128' | 'aes256-r5' | 'aes256';
+
+function md5(...parts: Buffer[]): Buffer {
+    return crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+}
+
+function rc4(key: Buffer, data: Buffer): Buffer {
+    const s = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + s[i] + key[i % key.length]) & 0xff;
+        [s[i], s[j]] = [s[j], s[i]];
+    }
+    const out = Buffer.alloc(data.length);
+    for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+        i = (i + 1) & 0xff;
+        j = (j + s[i]) & 0xff;
+        [s[i], s[j]] = [s[j], s[i]];
+        out[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+    }
+    return out;
+}
+
+function xor(key: Buffer, value: number): Buffer {
+    return Buffer.from(key.map((b) => b ^ value));
+}
+
+function aes(key: Buffer, iv: Buffer, data: Buffer, padding = true): Buffer {
+    const cipher = crypto.createCipheriv(`aes-${key.length * 8}-cbc`, key, iv);
+    cipher.setAutoPadding(padding);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+function pad(password: string): Buffer {
+    return Buffer.concat([Buffer.from(password, 'latin1'), PADDING]).subarray(0, 32);
+}
+
+// Revision 6 password hash (ISO 32000-2, Algorithm 2.B); revision 5 stops after the first SHA-256
+function hash2B(password: string, salt: Buffer, userKey: Buffer, revision = 6): Buffer {
+    const pw = Buffer.from(password, 'utf-8');
+    let k = crypto
+        .createHash('sha256')
+        .update(Buffer.concat([pw, salt, userKey]))
+        .digest();
+    if (revision === 5) return k;
+    for (let round = 0; ; round++) {
+        const e = aes(
+            k.subarray(0, 16),
+            k.subarray(16, 32),
+            Buffer.concat(Array(64).fill(Buffer.concat([pw, k, userKey]))),
+            false
+        );
+        const algorithm = ['sha256', 'sha384', 'sha512'][e.subarray(0, 16).reduce((sum, b) => sum + b, 0) % 3];
+        k = crypto.createHash(algorithm).update(e).digest();
+        if (round >= 63 && e[e.length - 1] <= round - 31) return k.subarray(0, 32);
+    }
+}
+
+function buildSecurityHandler(method: Method, userPassword: string, ownerPassword: string, id: Buffer) {
+    const permissions = -4;
+    if (method === 'aes256' || method === 'aes256-r5') {
+        const revision = method === 'aes256' ? 6 : 5;
+        const hash = (password: string, salt: Buffer, userKey: Buffer) => hash2B(password, salt, userKey, revision);
+        const fileKey = crypto.randomBytes(32);
+        const [uvs, uks, ovs, oks] = [0, 0, 0, 0].map(() => crypto.randomBytes(8));
+        const u = Buffer.concat([hash(userPassword, uvs, Buffer.alloc(0)), uvs, uks]);
+        const o = Buffer.concat([hash(ownerPassword, ovs, u), ovs, oks]);
+        const zeroIv = Buffer.alloc(16);
+        return {
+            fileKey,
+            dict: {
+                Filter: 'Standard',
+                V: 5,
+                R: revision,
+                Length: 256,
+                CF: { StdCF: { CFM: 'AESV3', AuthEvent: 'DocOpen', Length: 32 } },
+                StmF: 'StdCF',
+                StrF: 'StdCF',
+                O: o,
+                U: u,
+                OE: aes(hash(ownerPassword, oks, u), zeroIv, fileKey, false),
+                UE: aes(hash(userPassword, uks, Buffer.alloc(0)), zeroIv, fileKey, false),
+                P: permissions
+            }
+        };
+    }
+
+    const p = Buffer.alloc(4);
+    p.writeInt32LE(permissions);
+    if (method === 'rc4-40') {
+        // Revision 2: 40-bit keys without the extra MD5 and RC4 rounds
+        const o = rc4(md5(pad(ownerPassword)).subarray(0, 5), pad(userPassword));
+        const fileKey = md5(pad(userPassword), o, p, id).subarray(0, 5);
+        return { fileKey, dict: { Filter: 'Standard', V: 1, R: 2, O: o, U: rc4(fileKey, PADDING), P: permissions } };
+    }
+
+    // Algorithm 3: O from the owner and user passwords
+    let ownerKey = md5(pad(ownerPassword));
+    for (let i = 0; i < 50; i++) ownerKey = md5(ownerKey);
+    let o = rc4(ownerKey, pad(userPassword));
+    for (let i = 1; i <= 19; i++) o = rc4(xor(ownerKey, i), o);
+
+    // Algorithm 2: file key
+    let fileKey = md5(pad(userPassword), o, p, id);
+    for (let i = 0; i < 50; i++) fileKey = md5(fileKey);
+
+    // Algorithm 5: U
+    let u = rc4(fileKey, md5(PADDING, id));
+    for (let i = 1; i <= 19; i++) u = rc4(xor(fileKey, i), u);
+
+    const dict: Record<string, unknown> = {
+        Filter: 'Standard',
+        V: method === 'rc4' ? 2 : 4,
+        R: method === 'rc4' ? 3 : 4,
+        Length: 128,
+        O: o,
+        U: Buffer.concat([u, Buffer.alloc(16)]),
+        P: permissions
+    };
+    if (method === 'aes128') {
+        Object.assign(dict, {
+            CF: { StdCF: { CFM: 'AESV2', AuthEvent: 'DocOpen', Length: 16 } },
+            StmF: 'StdCF',
+            StrF: 'StdCF'
+        });
+    }
+    return { fileKey, dict };
+}
+
+function encryptObjectData(method: Method, fileKey: Buffer, ref: PDFRef, data: Buffer): Buffer {
+    if (method === 'aes256' || method === 'aes256-r5') {
+        const iv = crypto.randomBytes(16);
+        return Buffer.concat([iv, aes(fileKey, iv, data)]);
+    }
+    const objectId = Buffer.alloc(5);
+    objectId.writeUIntLE(ref.objectNumber, 0, 3);
+    objectId.writeUInt16LE(ref.generationNumber, 3);
+    const salt = method === 'aes128' ? Buffer.from('sAlT') : Buffer.alloc(0);
+    const key = md5(fileKey, objectId, salt).subarray(0, Math.min(fileKey.length + 5, 16));
+    if (method !== 'aes128') return rc4(key, data);
+    const iv = crypto.randomBytes(16);
+    return Buffer.concat([iv, aes(key, iv, data)]);
+}
+
+function encryptStrings(object: PDFObject, encrypt: (data: Buffer) => Buffer): PDFObject {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+        return PDFHexString.of(encrypt(Buffer.from(object.asBytes())).toString('hex'));
+    }
+    if (object instanceof PDFArray) {
+        for (let i = 0; i < object.size(); i++) object.set(i, encryptStrings(object.get(i), encrypt));
+    } else if (object instanceof PDFRawStream) {
+        encryptStrings(object.dict, encrypt);
+    } else if (object instanceof PDFDict) {
+        for (const [key, value] of object.entries()) object.set(key, encryptStrings(value, encrypt));
+    }
+    return object;
+}
+
+function toPdfObject(value: unknown, context: any): PDFObject {
+    if (Buffer.isBuffer(value)) return PDFHexString.of(value.toString('hex'));
+    if (typeof value === 'string') return PDFName.of(value);
+    if (typeof value === 'number') return context.obj(value);
+    const dict = context.obj({});
+    for (const [key, entry] of Object.entries(value as Record<string, unknown>)) {
+        dict.set(PDFName.of(key), toPdfObject(entry, context));
+    }
+    return dict;
+}
+
+/**
+ * Encrypt a PDF written by pdf-lib
+ * With objectStream, the Info dictionary is moved into an encrypted object stream.
+ */
+async function encryptPdf(
+    bytes: Uint8Array,
+    options: {
+        method: Method;
+        userPassword?: string;
+        ownerPassword?: string;
+        objectStream?: boolean;
+        encrypt?: Record<string, unknown>; // entries to replace in the Encrypt dictionary
+    }
+): Promise<Uint8Array> {
+    const { method, userPassword = '', ownerPassword = 'owner-secret', objectStream = false } = options;
+    const context = await PDFParser.forBytesWithOptions(bytes).parseDocument();
+    const id = crypto.randomBytes(16);
+    const { fileKey, dict } = buildSecurityHandler(method, userPassword, ownerPassword, id);
+    const infoRef = context.trailerInfo.Info as PDFRef;
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (objectStream && ref === infoRef) continue;
+        const encrypt = (data: Buffer) => encryptObjectData(method, fileKey, ref, data);
+        if (object instanceof PDFRawStream) {
+            encryptStrings(object.dict, encrypt);
+            context.assign(ref, PDFRawStream.of(object.dict, encrypt(Buffer.from(object.contents))));
+        } else {
+            context.assign(ref, encryptStrings(object, encrypt));
+        }
+    }
+
+    if (objectStream) {
+        const header = `${infoRef.objectNumber} 0 `;
+        const contents = Buffer.from(header + context.lookup(infoRef)!.toString(), 'latin1');
+        context.delete(infoRef);
+        const streamRef = context.nextRef();
+        const streamDict = context.obj({ Type: 'ObjStm', N: 1, First: header.length });
+        context.assign(streamRef, PDFRawStream.of(streamDict, encryptObjectData(method, fileKey, streamRef, contents)));
+    }
+
+    context.trailerInfo.Encrypt = context.register(toPdfObject({ ...dict, ...options.encrypt }, context));
+    const idString = PDFHexString.of(id.toString('hex'));
+    context.trailerInfo.ID = context.obj([idString, idString]);
+    return PDFWriter.forContext(context, Infinity).serializeToBuffer();
+}
+
+// ── Fixtures ──
+
+async function createPdf(): Promise<Uint8Array> {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle('Electricity bill');
+    pdfDoc.addPage().drawText(TEXT);
+    return pdfDoc.save({ useObjectStreams: false });
+}
+
+async function readBack(bytes: Uint8Array): Promise<{ title: string | undefined; content: string }> {
+    const pdfDoc = await PDFDocument.load(bytes);
+    const contents = pdfDoc.getPage(0).node.normalizedEntries().Contents!;
+    const streams = contents.asArray().map((ref) => pdfDoc.context.lookup(ref));
+    return {
+        title: pdfDoc.getTitle(),
+        content: streams
+            .filter((stream) => stream instanceof PDFRawStream)
+            .map((stream) => Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1'))
+            .join('\n')
+    };
+}
+
+const HEX_TEXT = Buffer.from(TEXT).toString('hex').toUpperCase();
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'pdf-decryption-test-'));
+});
+
+afterEach(async () => {
+    delete process.env.LOCAL_PROVIDER_URL;
+    delete process.env.TEST_PDF_PASSWORD;
+    delete process.env.TEST_SUPPLIER_PDF_PASSWORD;
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('decryptPdf', () => {
+    test('returns unencrypted PDFs unchanged', async () => {
+        const bytes = await createPdf();
+
+        expect(await decryptPdf(bytes, ['secret'])).toBe(bytes);
+    });
+
+    test.each(['rc4-40', 'rc4', 'aes128', 'aes256-r5', 'aes256'] as const)(
+        'decrypts %s with the user or owner password',
+        async (method) => {
+            const encrypted = await encryptPdf(await createPdf(), { method, userPassword: 'secret' });
+            await expect(PDFDocument.load(encrypted)).rejects.toThrow();
+
+            for (const password of ['secret', 'owner-secret']) {
+                const { title, content } = await readBack(await decryptPdf(encrypted, ['wrong', password]));
+                expect(title).toBe('Electricity bill');
+                expect(content).toContain(HEX_TEXT);
+            }
+        }
+    );
+
+    test('opens files with an empty user password without a configured password', async () => {
+        const encrypted = await encryptPdf(await createPdf(), { method: 'aes128' });
+
+        expect((await readBack(await decryptPdf(encrypted))).title).toBe('Electricity bill');
+    });
+
+    test('decrypts object streams without decrypting their objects again', async () => {
+        const encrypted = await encryptPdf(await createPdf(), { method: 'rc4', objectStream: true });
+
+        const { title, content } = await readBack(await decryptPdf(encrypted));
+
+        expect(title).toBe('Electricity bill');
+        expect(content).toContain(HEX_TEXT);
+    });
+
+    test.each([
+        ['version 3', 'rc4', { V: 3 }, 'version 3, revision 3'],
+        ['a revision of another version', 'aes256', { R: 4 }, 'version 5, revision 4'],
+        [
+            'AES-256 filters with version 4',
+            'aes128',
+            { CF: { StdCF: { CFM: 'AESV3' } } },
+            'crypt filter method /AESV3 with version 4'
+        ],
+        ['other key lengths', 'rc4', { Length: 136 }, 'key length 136 bit'],
+        ['other security handlers', 'rc4', { Filter: 'Adobe.PubSec' }, 'security handler /Adobe.PubSec']
+    ] as const)('rejects %s as unsupported', async (_name, method, entries, message) => {
+        const encrypted = await encryptPdf(await createPdf(), { method, encrypt: entries });
+
+        await expect(decryptPdf(encrypted, ['secret'])).rejects.toMatchObject({
+            message: `Unsupported PDF encryption: ${message}`,
+            isPasswordProtected: true
+        });
+    });
+
+    test('rejects files no password opens', async () => {
+        const encrypted = await encryptPdf(await createPdf(), { method: 'aes256', userPassword: 'secret' });
+
+        await expect(decryptPdf(encrypted, ['wrong'])).rejects.toMatchObject({
+            message: 'PDF is password-protected and none of the configured passwords opens it',
+            isPasswordProtected: true
+        });
+        await expect(decryptPdf(encrypted)).rejects.toThrow('set processing.pdfPasswordEnvVar');
+    });
+});
+
+describe('getPdfPasswords', () => {
+    test('tries the matching supplier rule, the client setting, then the other rules', () => {
+        process.env.TEST_PDF_PASSWORD = 'client';
+        process.env.TEST_SUPPLIER_PDF_PASSWORD = 'supplier';
+        const config: any = {
+            processing: { concurrency: 1, retryAttempts: 0, pdfPasswordEnvVar: 'TEST_PDF_PASSWORD' },
+            supplierRules: [
+                { supplier: 'Bank', pdfPasswordEnvVar: 'TEST_UNSET_PDF_PASSWORD' },
+                { supplier: 'Power', filenamePattern: '^power', pdfPasswordEnvVar: 'TEST_SUPPLIER_PDF_PASSWORD' },
+                { supplier: 'Water', pdfPasswordEnvVar: 'TEST_PDF_PASSWORD' }
+            ]
+        };
+
+        expect(getPdfPasswords(config, 'power-2024-05.pdf')).toEqual(['supplier', 'client']);
+        expect(getPdfPasswords(config, 'scan.pdf')).toEqual(['client', 'supplier']);
+    });
+});
+
+describe('processing encrypted PDFs', () => {
+    let calls: number;
+
+    async function setUp(bytes: Uint8Array): Promise<any> {
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        await fsp.writeFile(path.join(tmpDir, 'statement.pdf'), bytes);
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+        calls = 0;
+        jest.spyOn(global, 'fetch').mockImplementation(async () => {
+            calls++;
+            const extracted = { supplierName: 'Power Co', invoiceNumber: '4711' };
+            return new Response(JSON.stringify({ text: JSON.stringify(extracted) }));
+        });
+        const field = (key: string) => ({
+            key,
+            label: key,
+            type: 'text',
+            schemaHint: 'v',
+            instruction: 'x',
+            enabled: true
+        });
+        return {
+            provider: 'local',
+            processing: { concurrency: 1, retryAttempts: 2, retryDelayMs: 1, pdfPasswordEnvVar: 'TEST_PDF_PASSWORD' },
+            output: { filenameTemplate: '{supplierName} - {invoiceNumber}' },
+            fieldDefinitions: [field('supplierName'), field('invoiceNumber')],
+            folders: {
+                base: tmpDir,
+                input: tmpDir,
+                processedOriginal: path.join(tmpDir, 'processed-original'),
+                processedEnriched: path.join(tmpDir, 'processed-enriched'),
+                csvPath: path.join(tmpDir, 'invoice-log.csv')
+            }
+        };
+    }
+
+    test('analyzes and enriches a decrypted copy and archives the original unchanged', async () => {
+        process.env.TEST_PDF_PASSWORD = 'secret';
+        const encrypted = await encryptPdf(await createPdf(), { method: 'aes128', userPassword: 'secret' });
+        const config = await setUp(encrypted);
+
+        await processAllInvoices(config, { csvPath: config.folders.csvPath });
+
+        expect(calls).toBe(1);
+        const enriched = await PDFDocument.load(
+            await fsp.readFile(path.join(tmpDir, 'processed-enriched', 'Power Co - 4711.pdf'))
+        );
+        expect(enriched.getPageCount()).toBe(2);
+        expect(await fsp.readFile(path.join(tmpDir, 'processed-original', 'statement.pdf'))).toEqual(
+            Buffer.from(encrypted)
+        );
+    });
+
+    test('moves files no password opens to the failed folder without retrying', async () => {
+        process.env.TEST_PDF_PASSWORD = 'wrong';
+        const encrypted = await encryptPdf(await createPdf(), { method: 'rc4', userPassword: 'secret' });
+        const config = await setUp(encrypted);
+
+        const summary = await processAllInvoices(config, { csvPath: config.folders.csvPath });
+
+        expect(calls).toBe(0);
+        expect(summary.failed).toBe(1);
+        expect(fs.existsSync(path.join(tmpDir, 'failed', 'statement.pdf'))).toBe(true);
+        expect(fs.existsSync(path.join(tmpDir, 'statement.pdf'))).toBe(false);
+        const [result] = (await getResults(tmpDir)).results;
+        expect(result).toMatchObject({
+            status: 'failed',
+            failureReason: 'encrypted',
+            failedFile: 'statement.pdf',
+            error: 'PDF is password-protected and none of the configured passwords opens it'
+        });
+    });
+});
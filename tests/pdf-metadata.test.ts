@@ -0,0 +1,156 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument, PDFName, PDFRawStream } from 'pdf-lib';
+
+import { buildEmbeddedAnalysis, embedAnalysis, readEmbeddedAnalysis } from '../src/pdf-metadata.js';
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { addSummaryToPdf } from '../src/processor.js';
+import { getResults } from '../src/result-manager.js';
+import { makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+const META = { provider: 'gemini', model: 'gemini-flash', source: 'model' as const, originalFilename: 'scan.pdf' };
+
+const ANALYSIS = {
+    supplierName: 'Müller & Söhne <GmbH>',
+    invoiceNumber: 'INV-7',
+    totalAmount: 99.5,
+    lineItems: [{ description: 'Widget', amount: 99.5 }],
+    tags: { private: true, reimbursable: false },
+    _formatWarnings: []
+};
+
+async function enrich(name: string, analysis: Record<string, unknown>, source?: string): Promise<string> {
+    const pdfDoc = source ? await PDFDocument.load(await fsp.readFile(source)) : await PDFDocument.create();
+    if (!source) pdfDoc.addPage();
+    await embedAnalysis(pdfDoc, buildEmbeddedAnalysis(analysis, META));
+    const filePath = path.join(tmpDir, name);
+    await fsp.writeFile(filePath, await pdfDoc.save());
+    return filePath;
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'pdf-metadata-test-'));
+});
+
+afterEach(async () => {
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('buildEmbeddedAnalysis', () => {
+    test('separates fields and tags and drops internal keys', () => {
+        const data = buildEmbeddedAnalysis(ANALYSIS, META);
+
+        expect(data).toMatchObject({ version: 1, provider: 'gemini', model: 'gemini-flash' });
+        expect(data.fields).toEqual({
+            supplierName: 'Müller & Söhne <GmbH>',
+            invoiceNumber: 'INV-7',
+            totalAmount: 99.5,
+            lineItems: [{ description: 'Widget', amount: 99.5 }]
+        });
+        expect(data.tags).toEqual({ private: true, reimbursable: false });
+        expect(Date.parse(data.processedAt)).not.toBeNaN();
+    });
+});
+
+describe('embedAnalysis / readEmbeddedAnalysis', () => {
+    test('round-trips the analysis through the analysis.json attachment', async () => {
+        const filePath = await enrich('out.pdf', ANALYSIS);
+
+        const data = await readEmbeddedAnalysis(filePath);
+
+        expect(data?.fields).toEqual(buildEmbeddedAnalysis(ANALYSIS, META).fields);
+        expect(data?.tags).toEqual({ private: true, reimbursable: false });
+        expect(data?.originalFilename).toBe('scan.pdf');
+    });
+
+    test('sets the PDF Info fields', async () => {
+        const pdfDoc = await PDFDocument.load(await fsp.readFile(await enrich('out.pdf', ANALYSIS)), {
+            updateMetadata: false
+        });
+
+        expect(pdfDoc.getTitle()).toBe('Müller & Söhne <GmbH> - INV-7');
+        expect(pdfDoc.getKeywords()).toBe('private');
+        expect(pdfDoc.getProducer()).toBe('invoice-analyzer-app');
+    });
+
+    test('writes scalar fields to the XMP packet', async () => {
+        const pdfDoc = await PDFDocument.load(await fsp.readFile(await enrich('out.pdf', ANALYSIS)));
+        const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata')) as PDFRawStream;
+        const xmp = Buffer.from(stream.getContents()).toString('utf-8');
+
+        expect(xmp).toContain('<inv:supplierName>Müller &amp; Söhne &lt;GmbH&gt;</inv:supplierName>');
+        expect(xmp).toContain('<inv:totalAmount>99.5</inv:totalAmount>');
+        expect(xmp).toContain('<rdf:li>private</rdf:li>');
+        expect(xmp).not.toContain('lineItems');
+    });
+
+    test('returns the latest analysis of a PDF enriched twice', async () => {
+        const first = await enrich('first.pdf', ANALYSIS);
+        const second = await enrich('second.pdf', { ...ANALYSIS, invoiceNumber: 'INV-8' }, first);
+
+        expect((await readEmbeddedAnalysis(second))?.fields.invoiceNumber).toBe('INV-8');
+    });
+
+    test('returns null for a PDF without embedded analysis', async () => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        const filePath = path.join(tmpDir, 'plain.pdf');
+        await fsp.writeFile(filePath, await pdfDoc.save());
+
+        expect(await readEmbeddedAnalysis(filePath)).toBeNull();
+    });
+});
+
+describe('addSummaryToPdf', () => {
+    test('embeds the analysis in the enriched PDF', async () => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        const inputPath = path.join(tmpDir, 'input.pdf');
+        const outputPath = path.join(tmpDir, 'output.pdf');
+        await fsp.writeFile(inputPath, await pdfDoc.save());
+        const config: any = {
+            provider: 'openai',
+            output: { filenameTemplate: '{invoiceNumber}' },
+            fieldDefinitions: [{ key: 'invoiceNumber', label: 'Invoice', type: 'text', enabled: true }],
+            tagDefinitions: []
+        };
+
+        await addSummaryToPdf(inputPath, outputPath, { invoiceNumber: 'INV-9', tags: {} }, config);
+
+        expect(await readEmbeddedAnalysis(outputPath)).toMatchObject({
+            provider: 'openai',
+            model: null,
+            source: 'model',
+            originalFilename: 'input.pdf',
+            fields: { invoiceNumber: 'INV-9' }
+        });
+    });
+
+    test("records the provider's default model when no model is configured", async () => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        await fsp.writeFile(path.join(tmpDir, 'input.pdf'), await pdfDoc.save());
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+        jest.spyOn(global, 'fetch').mockImplementation(
+            async () => new Response(JSON.stringify({ text: '{"supplierName": "Acme", "invoiceNumber": "A-1"}' }))
+        );
+
+        try {
+            await processAllInvoices(makePipelineConfig(tmpDir));
+
+            const outputPath = path.join(tmpDir, 'processed-enriched', 'Acme - A-1.pdf');
+            expect(await readEmbeddedAnalysis(outputPath)).toMatchObject({ provider: 'local', model: 'local' });
+            expect((await getResults(tmpDir)).results[0].model).toBe('local');
+        } finally {
+            delete process.env.LOCAL_PROVIDER_URL;
+            jest.restoreAllMocks();
+        }
+    });
+});
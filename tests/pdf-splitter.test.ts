@@ -0,0 +1,160 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+
+import { detectDocuments, getPartFilename, rangesFromStartPages, writeParts } from '../src/pdf-splitter.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+async function writePdf(name: string, pages: number): Promise<string> {
+    const pdfDoc = await PDFDocument.create();
+    for (let i = 0; i < pages; i++) pdfDoc.addPage([200 + i, 300]);
+    const filePath = path.join(tmpDir, name);
+    await fsp.writeFile(filePath, await pdfDoc.save());
+    return filePath;
+}
+
+function makeConfig(splitting: unknown): any {
+    return { provider: 'local', processing: { concurrency: 1, retryAttempts: 0, splitting } };
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'pdf-splitter-test-'));
+    process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    delete process.env.LOCAL_PROVIDER_URL;
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('rangesFromStartPages', () => {
+    test('turns start pages into consecutive ranges', () => {
+        expect(rangesFromStartPages([1, 3, 4], 5)).toEqual([
+            { firstPage: 1, lastPage: 2 },
+            { firstPage: 3, lastPage: 3 },
+            { firstPage: 4, lastPage: 5 }
+        ]);
+    });
+
+    test('ignores pages out of range or out of order and always starts on page 1', () => {
+        expect(rangesFromStartPages([4, 2, 2, 0, 9, 2.5], 5)).toEqual([
+            { firstPage: 1, lastPage: 1 },
+            { firstPage: 2, lastPage: 3 },
+            { firstPage: 4, lastPage: 5 }
+        ]);
+    });
+});
+
+describe('getPartFilename', () => {
+    test('names the pages of the part', () => {
+        expect(getPartFilename('scan.pdf', { firstPage: 3, lastPage: 4 })).toBe('scan (pages 3-4).pdf');
+        expect(getPartFilename('scan.PDF', { firstPage: 2, lastPage: 2 })).toBe('scan (page 2).pdf');
+    });
+});
+
+describe('detectDocuments', () => {
+    test('returns no ranges while splitting is disabled', async () => {
+        const pdfPath = await writePdf('scan.pdf', 3);
+
+        expect(await detectDocuments(pdfPath, makeConfig(undefined))).toEqual({ ranges: [], tokenUsage: null });
+    });
+
+    test('splits by a fixed page count in pages mode', async () => {
+        const pdfPath = await writePdf('scan.pdf', 5);
+        const fetchSpy = jest.spyOn(global, 'fetch');
+
+        const { ranges } = await detectDocuments(
+            pdfPath,
+            makeConfig({ enabled: true, mode: 'pages', pagesPerDocument: 2 })
+        );
+
+        expect(ranges).toEqual([
+            { firstPage: 1, lastPage: 2 },
+            { firstPage: 3, lastPage: 4 },
+            { firstPage: 5, lastPage: 5 }
+        ]);
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    test('asks the provider for document boundaries in classify mode', async () => {
+        const pdfPath = await writePdf('scan.pdf', 4);
+        const fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(
+            async () =>
+                new Response(
+                    JSON.stringify({
+                        text: '```json\n{"documentStartPages": [1, 3]}\n```',
+                        tokenUsage: { promptTokens: 10, outputTokens: 2 }
+                    })
+                )
+        );
+
+        const result = await detectDocuments(pdfPath, makeConfig({ enabled: true }));
+
+        expect(result.ranges).toEqual([
+            { firstPage: 1, lastPage: 2 },
+            { firstPage: 3, lastPage: 4 }
+        ]);
+        expect(result.tokenUsage).toMatchObject({ totalTokens: 12 });
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(fetchSpy.mock.calls[0][1]!.body as string).systemInstruction).toContain('4 pages');
+    });
+
+    test('does not classify single-page files', async () => {
+        const pdfPath = await writePdf('scan.pdf', 1);
+        const fetchSpy = jest.spyOn(global, 'fetch');
+
+        const { ranges } = await detectDocuments(pdfPath, makeConfig({ enabled: true }));
+
+        expect(ranges).toEqual([{ firstPage: 1, lastPage: 1 }]);
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    test('rejects unparseable classification responses', async () => {
+        const pdfPath = await writePdf('scan.pdf', 2);
+        jest.spyOn(global, 'fetch').mockImplementation(async () => new Response(JSON.stringify({ text: 'two' })));
+
+        await expect(detectDocuments(pdfPath, makeConfig({ enabled: true }))).rejects.toThrow(
+            'Could not parse document boundaries'
+        );
+    });
+});
+
+describe('writeParts', () => {
+    test('writes each range to its own PDF and cleans up', async () => {
+        const pdfPath = await writePdf('scan.pdf', 3);
+
+        const { parts, cleanup } = await writeParts(
+            pdfPath,
+            [
+                { firstPage: 1, lastPage: 2 },
+                { firstPage: 3, lastPage: 3 }
+            ],
+            makeConfig({ enabled: true })
+        );
+
+        expect(parts.map((p) => path.basename(p.path))).toEqual(['scan (pages 1-2).pdf', 'scan (page 3).pdf']);
+        expect(parts[1].splitFrom).toEqual({ filename: 'scan.pdf', firstPage: 3, lastPage: 3 });
+        const second = await PDFDocument.load(await fsp.readFile(parts[1].path));
+        expect(second.getPageCount()).toBe(1);
+        expect(second.getPage(0).getWidth()).toBe(202);
+
+        await cleanup();
+        expect(fs.existsSync(path.dirname(parts[0].path))).toBe(false);
+    });
+
+    test('produces identical bytes when the same scan is split again', async () => {
+        const pdfPath = await writePdf('scan.pdf', 2);
+        const range = [{ firstPage: 2, lastPage: 2 }];
+
+        const first = await writeParts(pdfPath, range, makeConfig({ enabled: true }));
+        const second = await writeParts(pdfPath, range, makeConfig({ enabled: true }));
+
+        expect(await fsp.readFile(first.parts[0].path)).toEqual(await fsp.readFile(second.parts[0].path));
+        await Promise.all([first.cleanup(), second.cleanup()]);
+    });
+});
@@ -0,0 +1,92 @@
+import { PDFDocument, PDFName, StandardFonts } from 'pdf-lib';
+
+import { extractPdfText } from '../src/pdf-text.js';
+
+// ToUnicode CMap of the composite test font: 0003 is a space, 0010 the euro sign, 0020-0039 A-Z
+const TO_UNICODE = [
+    '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+    '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+    '2 beginbfchar <0003> <0020> <0010> <20AC> endbfchar',
+    '2 beginbfrange <0020> <0039> <0041> <0040> <0041> [<00C6> <00D8>] endbfrange',
+    'endcmap CMapName currentdict /CMap defineresource pop end end'
+].join('\n');
+
+// Codes of the composite test font for uppercase text
+function encode(text: string): string {
+    const codes = [...text].map((ch) => (ch === ' ' ? 3 : ch.charCodeAt(0) - 0x41 + 0x20));
+    return `<${codes.map((code) => code.toString(16).padStart(4, '0')).join('')}>`;
+}
+
+async function buildPdf(content: string): Promise<Uint8Array> {
+    const pdfDoc = await PDFDocument.create();
+    const { context } = pdfDoc;
+    const page = pdfDoc.addPage();
+
+    const composite = context.obj({
+        Type: 'Font',
+        Subtype: 'Type0',
+        BaseFont: 'Test',
+        Encoding: 'Identity-H',
+        ToUnicode: context.register(context.flateStream(TO_UNICODE))
+    });
+    const simple = context.obj({
+        Type: 'Font',
+        Subtype: 'Type1',
+        BaseFont: 'Helvetica',
+        Encoding: context.obj({ BaseEncoding: 'WinAnsiEncoding', Differences: [90, 'Euro', 'uni00C5'] })
+    });
+    const form = context.flateStream('BT /F2 10 Tf 50 600 Td (From a form) Tj ET', {
+        Type: 'XObject',
+        Subtype: 'Form',
+        BBox: [0, 0, 612, 792]
+    });
+
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream(content)));
+    page.node.set(
+        PDFName.of('Resources'),
+        context.obj({
+            Font: { F1: context.register(composite), F2: context.register(simple) },
+            XObject: { Fm1: context.register(form) }
+        })
+    );
+    return pdfDoc.save();
+}
+
+describe('extractPdfText', () => {
+    test('rebuilds lines from text drawn with standard fonts', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        const page = pdfDoc.addPage();
+        page.drawText('Nordic Power A/S', { x: 50, y: 700, font, size: 12 });
+        page.drawText('Invoice no.', { x: 50, y: 680, font, size: 12 });
+        page.drawText('NP-2024-001', { x: 150, y: 680, font, size: 12 });
+        page.drawText('Total \u20ac 1.234,56 \u2014 paid', { x: 50, y: 660, font, size: 12 });
+        pdfDoc.addPage().drawText('Page two', { x: 50, y: 700, font, size: 12 });
+
+        const text = await extractPdfText(await pdfDoc.save());
+
+        expect(text).toBe('Nordic Power A/S\nInvoice no. NP-2024-001\nTotal \u20ac 1.234,56 \u2014 paid\n\nPage two');
+    });
+
+    test('decodes ToUnicode CMaps, glyph name differences and form XObjects', async () => {
+        const content = [
+            'BI /W 1 /H 1 /BPC 8 /CS /G ID x EI',
+            `BT /F1 12 Tf 50 700 Td ${encode('INVOICE')} Tj ET`,
+            `BT /F1 12 Tf 1 0 0 1 50 680 Tm [${encode('TOTAL')} -300 ${encode('DUE')}] TJ`,
+            '1 0 0 1 150 680 Tm <0010> Tj ET',
+            'BT /F2 10 Tf 14 TL 50 650 Td (Paid \\050in full\\051) Tj T* (Total Z\\133) Tj ET',
+            '/Fm1 Do'
+        ].join('\n');
+
+        const text = await extractPdfText(await buildPdf(content));
+
+        expect(text).toBe('INVOICE\nTOTAL DUE \u20ac\nPaid (in full)\nTotal \u20ac\u00c5\nFrom a form');
+    });
+
+    test('returns an empty string for pages without text', async () => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+
+        expect(await extractPdfText(await pdfDoc.save())).toBe('');
+    });
+});
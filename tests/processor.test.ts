@@ -74,6 +74,27 @@ describe('analyzeInvoice', () => {
             });
         });
 
+        test('adds a response schema built from the field and tag definitions', async () => {
+            const config: any = {
+                extraction: { useJsonMode: true },
+                fieldDefinitions: [
+                    { key: 'totalAmount', type: 'number', schemaHint: 'Total', instruction: 'i', enabled: true }
+                ],
+                tagDefinitions: [{ id: 'private', label: 'Private', instruction: 'i', enabled: true }],
+                output: {}
+            };
+
+            await analyzeInvoice('/test.pdf', config, { apiKey: 'test-key' });
+
+            const { responseSchema } = mockGenerateContent.mock.calls[0][0].generationConfig;
+            expect(responseSchema.required).toEqual(['totalAmount', 'tags']);
+            expect(responseSchema.properties.totalAmount).toEqual({
+                type: 'number',
+                description: 'Total',
+                nullable: true
+            });
+        });
+
         test('excludes responseMimeType when extraction.useJsonMode is false', async () => {
             const config: any = {
                 extraction: { useJsonMode: false },
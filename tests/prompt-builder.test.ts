@@ -1,5 +1,6 @@
 import {
     buildExtractionPrompt,
+    getLowConfidenceFields,
     parseGeminiResponse,
     validateAnalysis,
     resolveTagInstruction
@@ -76,6 +77,18 @@ describe('buildExtractionPrompt', () => {
         expect(buildExtractionPrompt(config)).toBe('This is my raw prompt');
     });
 
+    test('adds the promptHint of a supplier rule after the extraction rules', () => {
+        const supplierRule = { supplier: 'Acme A/S', promptHint: "The invoice number is the 'Bilagsnr.' box." };
+        const prompt = buildExtractionPrompt(baseConfig, { supplierRule });
+
+        expect(prompt).toContain(
+            "For invoices from Acme A/S:\nThe invoice number is the 'Bilagsnr.' box.\n\nIf any field"
+        );
+        expect(buildExtractionPrompt({ ...baseConfig, rawPrompt: 'Raw' }, { supplierRule })).toBe(
+            "Raw\n\nFor invoices from Acme A/S:\nThe invoice number is the 'Bilagsnr.' box."
+        );
+    });
+
     test('includes field instructions for enabled fields only', () => {
         const config: any = {
             ...baseConfig,
@@ -135,6 +148,43 @@ describe('buildExtractionPrompt', () => {
         expect(prompt).toContain('summary');
     });
 
+    test('renders table fields as an array of row objects', () => {
+        const config: any = {
+            ...baseConfig,
+            fieldDefinitions: [
+                {
+                    key: 'lineItems',
+                    label: 'Line Items',
+                    type: 'table',
+                    schemaHint: 'Invoice lines',
+                    instruction: 'extract every invoice line.',
+                    enabled: true,
+                    columns: [
+                        { key: 'description', label: 'Description', type: 'text' },
+                        { key: 'quantity', label: 'Quantity', type: 'number', schemaHint: 'Units ordered' }
+                    ]
+                }
+            ]
+        };
+        const prompt = buildExtractionPrompt(config);
+        expect(prompt).toContain(
+            JSON.stringify({ lineItems: [{ description: 'text', quantity: 'Units ordered' }] }, null, 2)
+        );
+        expect(prompt).toContain(
+            '- For lineItems, extract every invoice line. Return one object per row with the keys: description, quantity'
+        );
+    });
+
+    test('asks for per-field confidence when enabled or a threshold is set', () => {
+        expect(buildExtractionPrompt(baseConfig)).not.toContain('_confidence');
+
+        for (const confidence of [{ enabled: true }, { threshold: 0.7 }]) {
+            const prompt = buildExtractionPrompt({ ...baseConfig, processing: { confidence } });
+            expect(prompt).toContain('"_confidence": {');
+            expect(prompt).toContain('- For _confidence, add an entry for each of: supplierName, totalAmount.');
+        }
+    });
+
     describe('fieldFilter option', () => {
         const filterConfig: any = {
             ...baseConfig,
@@ -255,6 +305,12 @@ describe('parseGeminiResponse', () => {
         expect(result).toEqual({ supplierName: 'Acme' });
     });
 
+    test('throws when the JSON is not an object', () => {
+        expect(() => parseGeminiResponse('[{"supplierName": "Acme"}]', { useJsonMode: true })).toThrow(
+            'Gemini response is not a JSON object'
+        );
+    });
+
     test('throws on invalid JSON', () => {
         expect(() => parseGeminiResponse('not json')).toThrow('Failed to parse Gemini response');
     });
@@ -420,6 +476,38 @@ describe('validateAnalysis', () => {
         expect(result._formatWarnings).toBeUndefined();
     });
 
+    test('validates custom formats and hints them in the prompt', () => {
+        const config: any = {
+            fieldDefinitions: [
+                {
+                    key: 'vatId',
+                    label: 'VAT ID',
+                    type: 'text',
+                    format: 'dkCvr',
+                    schemaHint: 'Supplier CVR',
+                    instruction: 'i',
+                    enabled: true
+                }
+            ],
+            customFormats: {
+                dkCvr: {
+                    label: 'Danish CVR number',
+                    pattern: '\\d{8}',
+                    normalize: ['stripSpaces'],
+                    checksum: 'mod11',
+                    weights: [2, 7, 6, 5, 4, 3, 2, 1],
+                    example: '10150817'
+                }
+            },
+            output: { includeSummary: false }
+        };
+        expect(buildExtractionPrompt(config)).toContain('"vatId": "Supplier CVR (Danish CVR number, e.g. 10150817)"');
+        expect(validateAnalysis({ vatId: '1015 0817' }, config).vatId).toBe('10150817');
+        expect(validateAnalysis({ vatId: '10150818' }, config)._formatWarnings![0].error).toBe(
+            'Danish CVR number check digits do not match: 10150818'
+        );
+    });
+
     test('skips format validation for fields without format', () => {
         const config: any = {
             fieldDefinitions: [
@@ -430,4 +518,215 @@ describe('validateAnalysis', () => {
         expect(result.name).toBe('anything');
         expect(result._formatWarnings).toBeUndefined();
     });
+
+    describe('consistency rules', () => {
+        const numberField = (key: string) => ({
+            key,
+            label: key,
+            type: 'number',
+            schemaHint: 'n',
+            instruction: 'i',
+            enabled: true
+        });
+        const ruleConfig: any = {
+            fieldDefinitions: [numberField('netAmount'), numberField('vatAmount'), numberField('totalAmount')],
+            consistencyRules: [
+                { id: 'net-vat', type: 'sum', addends: ['netAmount', 'vatAmount'], total: 'totalAmount' }
+            ]
+        };
+
+        test('adds _consistencyWarnings when a rule fails', () => {
+            const result = validateAnalysis({ netAmount: 100, vatAmount: 21, totalAmount: 120 }, ruleConfig);
+            expect(result._consistencyWarnings).toHaveLength(1);
+            expect(result._consistencyWarnings![0].rule).toBe('net-vat');
+        });
+
+        test('does not flag defaults filled in for missing fields', () => {
+            const result = validateAnalysis({ netAmount: 100, totalAmount: 121 }, ruleConfig);
+            expect(result.vatAmount).toBe(0);
+            expect(result._consistencyWarnings).toBeUndefined();
+        });
+    });
+
+    describe('table fields', () => {
+        const tableConfig: any = {
+            fieldDefinitions: [
+                {
+                    key: 'lineItems',
+                    label: 'Line Items',
+                    type: 'table',
+                    schemaHint: 'rows',
+                    instruction: 'i',
+                    enabled: true,
+                    columns: [
+                        { key: 'description', label: 'Description', type: 'text' },
+                        { key: 'quantity', label: 'Quantity', type: 'number' },
+                        { key: 'taxable', label: 'Taxable', type: 'boolean' }
+                    ]
+                }
+            ]
+        };
+
+        test('defaults missing table to empty array', () => {
+            expect(validateAnalysis({}, tableConfig).lineItems).toEqual([]);
+        });
+
+        test('replaces non-array table value with empty array', () => {
+            expect(validateAnalysis({ lineItems: 'none' }, tableConfig).lineItems).toEqual([]);
+        });
+
+        test('normalizes rows to configured columns', () => {
+            const result = validateAnalysis(
+                {
+                    lineItems: [
+                        { description: 'Widget', quantity: '3', taxable: true, extra: 'dropped' },
+                        { quantity: 'n/a' },
+                        'not a row'
+                    ]
+                },
+                tableConfig
+            );
+            expect(result.lineItems).toEqual([
+                { description: 'Widget', quantity: 3, taxable: true },
+                { description: '', quantity: null, taxable: false }
+            ]);
+        });
+
+        test('reads number cells like amounts', () => {
+            const result = validateAnalysis(
+                { lineItems: [{ quantity: '12,50' }, { quantity: '1,234.56' }, { quantity: '1.234,56' }, {}] },
+                tableConfig
+            );
+            expect((result.lineItems as any[]).map((row) => row.quantity)).toEqual([12.5, 1234.56, 1234.56, 0]);
+            expect(result._formatWarnings).toBeUndefined();
+        });
+
+        test('leaves number cells that are not a number empty, with a warning', () => {
+            const result = validateAnalysis({ lineItems: [{ description: 'Widget', quantity: 'two' }] }, tableConfig);
+            expect(result.lineItems).toEqual([{ description: 'Widget', quantity: null, taxable: false }]);
+            expect(result._formatWarnings).toEqual([
+                { field: 'lineItems', format: 'number', value: 'two', error: 'Row 1, Quantity: not a number' }
+            ]);
+        });
+    });
+
+    describe('choice fields', () => {
+        const choiceConfig: any = {
+            fieldDefinitions: [
+                {
+                    key: 'category',
+                    label: 'Category',
+                    type: 'choice',
+                    schemaHint: 'Expense category',
+                    instruction: 'pick the expense category.',
+                    enabled: true,
+                    options: [
+                        { value: 'office', label: 'Office Supplies' },
+                        { value: 'travel', label: 'Travel', description: 'Hotels and flights' }
+                    ]
+                }
+            ]
+        };
+
+        test('lists the options in the prompt', () => {
+            const prompt = buildExtractionPrompt({ ...choiceConfig, output: { includeSummary: false } });
+            expect(prompt).toContain('"category": "Expense category (one of: office, travel)"');
+            expect(prompt).toContain('Use exactly one of these values, or "Unknown" if none applies:');
+            expect(prompt).toContain('  - "office": Office Supplies\n  - "travel": Travel (Hotels and flights)');
+        });
+
+        test('maps labels and near-misses to option values', () => {
+            expect(validateAnalysis({ category: 'Office Supplies' }, choiceConfig).category).toBe('office');
+            expect(validateAnalysis({ category: 'Travl' }, choiceConfig).category).toBe('travel');
+        });
+
+        test('replaces values outside the options with Unknown and a warning', () => {
+            const result = validateAnalysis({ category: 'Catering' }, choiceConfig);
+            expect(result.category).toBe('Unknown');
+            expect(result._formatWarnings).toEqual([
+                {
+                    field: 'category',
+                    format: 'choice',
+                    value: 'Catering',
+                    error: 'Not one of the options: office, travel'
+                }
+            ]);
+        });
+
+        test('keeps missing values as Unknown without a warning', () => {
+            const result = validateAnalysis({ category: null }, choiceConfig);
+            expect(result.category).toBe('Unknown');
+            expect(result._formatWarnings).toBeUndefined();
+        });
+    });
+
+    describe('confidence', () => {
+        const textField = (key: string) => ({
+            key,
+            label: key,
+            type: 'text',
+            schemaHint: 's',
+            instruction: 'i',
+            enabled: true
+        });
+        const confidenceConfig: any = {
+            fieldDefinitions: [textField('supplierName'), textField('invoiceNumber'), textField('iban')],
+            processing: { confidence: { threshold: 0.6 } }
+        };
+
+        test('keeps entries for enabled fields, clamped to 0-1', () => {
+            const result = validateAnalysis(
+                {
+                    supplierName: 'Acme',
+                    _confidence: {
+                        supplierName: { confidence: 1.4, source: '  ACME GmbH  ', page: 1 },
+                        invoiceNumber: { confidence: '0.5', page: 0 },
+                        iban: { confidence: 'high' },
+                        unknownField: { confidence: 0.9 }
+                    }
+                },
+                confidenceConfig
+            );
+            expect(result._confidence).toEqual({
+                supplierName: { confidence: 1, source: 'ACME GmbH', page: 1 },
+                invoiceNumber: { confidence: 0.5 }
+            });
+        });
+
+        test('drops a malformed _confidence value', () => {
+            expect(validateAnalysis({ _confidence: 'sure' }, confidenceConfig)).not.toHaveProperty('_confidence');
+        });
+
+        test('lists fields below the threshold', () => {
+            const analysis = validateAnalysis(
+                {
+                    _confidence: {
+                        supplierName: { confidence: 0.9 },
+                        invoiceNumber: { confidence: 0.4 },
+                        iban: { confidence: 0.59 }
+                    }
+                },
+                confidenceConfig
+            );
+            expect(getLowConfidenceFields(analysis, confidenceConfig)).toEqual(['invoiceNumber', 'iban']);
+            expect(getLowConfidenceFields(analysis, { ...confidenceConfig, processing: {} })).toEqual([]);
+        });
+
+        test('counts fields without a score as low, except those changed by a supplier rule', () => {
+            const analysis = validateAnalysis({ _confidence: { supplierName: { confidence: 0.9 } } }, confidenceConfig);
+            expect(getLowConfidenceFields(analysis, confidenceConfig)).toEqual(['invoiceNumber', 'iban']);
+            expect(validateAnalysis({}, confidenceConfig)).not.toHaveProperty('_confidence');
+            expect(getLowConfidenceFields(validateAnalysis({}, confidenceConfig), confidenceConfig)).toEqual([
+                'supplierName',
+                'invoiceNumber',
+                'iban'
+            ]);
+
+            const ruleApplied = {
+                ...analysis,
+                _supplierRule: { supplier: 'Acme', matchedBy: 'supplierName', promptHint: false, fields: ['iban'] }
+            } as any;
+            expect(getLowConfidenceFields(ruleApplied, confidenceConfig)).toEqual(['invoiceNumber']);
+        });
+    });
 });
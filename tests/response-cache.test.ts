@@ -0,0 +1,163 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { processAllInvoices, processWithRetry } from '../src/parallel-processor.js';
+import { getSummary } from '../src/result-manager.js';
+import {
+    RESPONSE_CACHE_FOLDER,
+    clearResponseCache,
+    getResponseCacheStats,
+    readCachedResponse,
+    writeCachedResponse
+} from '../src/response-cache.js';
+import { field, makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+const TOKENS = { promptTokens: 40, outputTokens: 10, totalTokens: 50, cachedTokens: 0, thoughtsTokens: 0 };
+
+let tmpDir: string;
+
+function makeConfig(responseCache: Record<string, unknown> = { enabled: true }): any {
+    return makePipelineConfig(tmpDir, {
+        model: 'test-model',
+        processing: { responseCache },
+        fieldDefinitions: [field('supplierName'), field('invoiceNumber')]
+    });
+}
+
+function key(content: string, prompt = 'Extract the invoice', model = 'local/test-model') {
+    return { content, prompt, model };
+}
+
+function sleep(ms: number): Promise<void> {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'response-cache-test-'));
+});
+
+afterEach(async () => {
+    delete process.env.LOCAL_PROVIDER_URL;
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('response cache', () => {
+    test('finds responses by content, prompt and model', async () => {
+        const config = makeConfig();
+        await writeCachedResponse(config, key('invoice-a'), { text: '{"invoiceNumber":"A-1"}', tokenUsage: TOKENS });
+
+        expect(await readCachedResponse(config, key('invoice-a'))).toMatchObject({
+            model: 'local/test-model',
+            text: '{"invoiceNumber":"A-1"}',
+            tokenUsage: TOKENS
+        });
+        expect(await readCachedResponse(config, key('invoice-b'))).toBeNull();
+        expect(await readCachedResponse(config, key('invoice-a', 'Extract the receipt'))).toBeNull();
+        expect(await readCachedResponse(config, key('invoice-a', undefined, 'gemini/test-model'))).toBeNull();
+        expect(await readCachedResponse(makeConfig({ enabled: false }), key('invoice-a'))).toBeNull();
+    });
+
+    test('does nothing when disabled', async () => {
+        await writeCachedResponse(makeConfig({}), key('invoice-a'), { text: '{}', tokenUsage: TOKENS });
+
+        expect(fs.existsSync(path.join(tmpDir, RESPONSE_CACHE_FOLDER))).toBe(false);
+    });
+
+    test('removes the least recently used responses above maxSizeMb', async () => {
+        // Room for two of the responses below
+        const config = makeConfig({ enabled: true, maxSizeMb: 0.002 });
+        const response = { text: 'x'.repeat(800), tokenUsage: TOKENS };
+
+        await writeCachedResponse(config, key('invoice-a'), response);
+        await sleep(20);
+        await writeCachedResponse(config, key('invoice-b'), response);
+        await sleep(20);
+        expect(await readCachedResponse(config, key('invoice-a'))).not.toBeNull();
+        await sleep(20);
+        await writeCachedResponse(config, key('invoice-c'), response);
+
+        expect(await readCachedResponse(config, key('invoice-a'))).not.toBeNull();
+        expect(await readCachedResponse(config, key('invoice-b'))).toBeNull();
+        expect(await readCachedResponse(config, key('invoice-c'))).not.toBeNull();
+        expect((await getResponseCacheStats(tmpDir)).entries).toBe(2);
+    });
+
+    test('counts and clears the responses of a client folder', async () => {
+        const config = makeConfig();
+        expect(await getResponseCacheStats(tmpDir)).toEqual({ entries: 0, sizeBytes: 0 });
+        await writeCachedResponse(config, key('invoice-a'), { text: '{}', tokenUsage: TOKENS });
+        await writeCachedResponse(config, key('invoice-b'), { text: '{}', tokenUsage: TOKENS });
+
+        const stats = await getResponseCacheStats(tmpDir);
+        expect(stats.entries).toBe(2);
+        expect(stats.sizeBytes).toBeGreaterThan(0);
+
+        expect(await clearResponseCache(tmpDir)).toEqual(stats);
+        expect(await getResponseCacheStats(tmpDir)).toEqual({ entries: 0, sizeBytes: 0 });
+        expect(await readCachedResponse(config, key('invoice-a'))).toBeNull();
+    });
+});
+
+describe('processing with the response cache', () => {
+    let fetchSpy: jest.SpyInstance;
+
+    beforeEach(async () => {
+        await fsp.writeFile(path.join(tmpDir, 'invoice.pdf'), '%PDF-1.4 test invoice');
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+        fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(
+            async () =>
+                new Response(
+                    JSON.stringify({
+                        text: JSON.stringify({ supplierName: 'Acme', invoiceNumber: 'A-1' }),
+                        tokenUsage: { promptTokens: 40, outputTokens: 10 }
+                    })
+                )
+        );
+    });
+
+    test('serves a repeated extraction from the cache without tokens', async () => {
+        const config = makeConfig();
+
+        await processAllInvoices(config, { dryRun: true });
+        const second = await processAllInvoices(config, { dryRun: true });
+
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+        expect(second.results[0]).toMatchObject({ success: true, fromCache: true });
+        expect(second.results[0].tokenUsage.totalTokens).toBe(0);
+        expect((second.results[0] as any).analysis.invoiceNumber).toBe('A-1');
+
+        const summary = await getSummary(tmpDir);
+        expect(summary.cacheHits).toBe(1);
+        expect(summary.tokenUsage.totalTokens).toBe(50);
+    });
+
+    test('calls the model again when the prompt changes', async () => {
+        const config = makeConfig();
+        await processAllInvoices(config, { dryRun: true });
+
+        config.fieldDefinitions[1].instruction = 'The number in the top right corner';
+        const second = await processAllInvoices(config, { dryRun: true });
+
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+        expect(second.results[0]).not.toHaveProperty('fromCache');
+    });
+
+    test('skips cached responses when asked, and does not cache unparseable ones', async () => {
+        const config = makeConfig();
+        const filePath = path.join(tmpDir, 'invoice.pdf');
+        await processWithRetry(filePath, config, { dryRun: true });
+
+        const retried = await processWithRetry(filePath, config, { dryRun: true, skipCache: true });
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+        expect(retried.tokenUsage.totalTokens).toBe(50);
+
+        await clearResponseCache(tmpDir);
+        fetchSpy.mockResolvedValueOnce(new Response(JSON.stringify({ text: 'not json', tokenUsage: {} })));
+        expect((await processWithRetry(filePath, config, { dryRun: true })).success).toBe(false);
+        expect(await getResponseCacheStats(tmpDir)).toEqual({ entries: 0, sizeBytes: 0 });
+    });
+});
@@ -0,0 +1,132 @@
+import { buildResponseSchema } from '../src/response-schema.js';
+
+function field(key: string, type: string, extra: Record<string, unknown> = {}): any {
+    return { key, label: key, type, schemaHint: `${key} hint`, instruction: 'i', enabled: true, ...extra };
+}
+
+function makeConfig(extra: Record<string, unknown> = {}): any {
+    return {
+        processing: { concurrency: 1, retryAttempts: 0 },
+        output: { filenameTemplate: '{supplierName}', includeSummary: false },
+        fieldDefinitions: [
+            field('supplierName', 'text'),
+            field('invoiceDate', 'date', { format: 'iso8601' }),
+            field('totalAmount', 'number'),
+            field('isPaid', 'boolean'),
+            field('documentTypes', 'array'),
+            field('lineItems', 'table', {
+                columns: [
+                    { key: 'description', label: 'Description', type: 'text' },
+                    { key: 'quantity', label: 'Quantity', type: 'number', schemaHint: 'Units' }
+                ]
+            }),
+            field('iban', 'text', { enabled: false })
+        ],
+        tagDefinitions: [
+            { id: 'private', label: 'Private', instruction: 'i', enabled: true },
+            { id: 'urgent', label: 'Urgent', instruction: 'i', enabled: false }
+        ],
+        ...extra
+    };
+}
+
+describe('buildResponseSchema', () => {
+    test('types every enabled field and makes them required but nullable', () => {
+        const schema = buildResponseSchema(makeConfig())!;
+
+        expect(schema.type).toBe('object');
+        expect(schema.required).toEqual([
+            'supplierName',
+            'invoiceDate',
+            'totalAmount',
+            'isPaid',
+            'documentTypes',
+            'lineItems',
+            'tags'
+        ]);
+        expect(schema.propertyOrdering).toEqual(schema.required);
+        expect(schema.properties!.supplierName).toEqual({
+            type: 'string',
+            description: 'supplierName hint',
+            nullable: true
+        });
+        expect(schema.properties!.invoiceDate.description).toBe('invoiceDate hint (ISO 8601: YYYY-MM-DD)');
+        expect(schema.properties!.totalAmount).toMatchObject({ type: 'number', nullable: true });
+        expect(schema.properties!.isPaid).toMatchObject({ type: 'boolean', nullable: true });
+        expect(schema.properties!.documentTypes).toMatchObject({ type: 'array', items: { type: 'string' } });
+        expect(schema.properties).not.toHaveProperty('iban');
+    });
+
+    test('describes table rows with typed columns', () => {
+        const schema = buildResponseSchema(makeConfig())!;
+
+        expect(schema.properties!.lineItems.items).toEqual({
+            type: 'object',
+            properties: { description: { type: 'string' }, quantity: { type: 'number', description: 'Units' } },
+            required: ['description', 'quantity'],
+            propertyOrdering: ['description', 'quantity']
+        });
+    });
+
+    test('restricts choice fields to their option values', () => {
+        const schema = buildResponseSchema(
+            makeConfig({
+                fieldDefinitions: [
+                    field('category', 'choice', {
+                        options: [
+                            { value: 'office', label: 'Office Supplies' },
+                            { value: 'travel', label: 'Travel' }
+                        ]
+                    })
+                ]
+            })
+        )!;
+
+        expect(schema.properties!.category).toEqual({
+            type: 'string',
+            description: 'category hint',
+            nullable: true,
+            format: 'enum',
+            enum: ['office', 'travel']
+        });
+    });
+
+    test('requires a boolean per enabled tag', () => {
+        const schema = buildResponseSchema(makeConfig())!;
+
+        expect(schema.properties!.tags).toEqual({
+            type: 'object',
+            properties: { private: { type: 'boolean', description: 'Private' } },
+            required: ['private'],
+            propertyOrdering: ['private']
+        });
+    });
+
+    test('adds the summary and required confidence entries when enabled', () => {
+        const schema = buildResponseSchema(
+            makeConfig({
+                output: { filenameTemplate: '{supplierName}', includeSummary: true },
+                processing: { concurrency: 1, retryAttempts: 0, confidence: { threshold: 0.5 } }
+            })
+        )!;
+
+        expect(schema.properties!.summary).toMatchObject({ type: 'string' });
+        expect(schema.required).toContain('summary');
+        expect(schema.required).toContain('_confidence');
+
+        const confidence = schema.properties!._confidence;
+        expect(Object.keys(confidence.properties!)).toEqual([
+            'supplierName',
+            'invoiceDate',
+            'totalAmount',
+            'isPaid',
+            'documentTypes'
+        ]);
+        expect(confidence.required).toEqual(Object.keys(confidence.properties!));
+        expect(confidence.properties!.supplierName.required).toEqual(['confidence']);
+    });
+
+    test('returns null when nothing is enabled', () => {
+        expect(buildResponseSchema(makeConfig({ fieldDefinitions: [], tagDefinitions: [] }))).toBeNull();
+    });
+});
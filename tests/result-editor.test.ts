@@ -0,0 +1,164 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+
+import { readCsv } from '../src/csv-logger.js';
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { readEmbeddedAnalysis } from '../src/pdf-metadata.js';
+import { correctResult } from '../src/result-editor.js';
+import { getResult, getResults } from '../src/result-manager.js';
+import { field, makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+function makeConfig(extra: Record<string, unknown> = {}): any {
+    return makePipelineConfig(tmpDir, {
+        tagDefinitions: [{ id: 'private', label: 'Private', instruction: 'private expense', enabled: true }],
+        ...extra
+    });
+}
+
+/** Run the pipeline on one scan and return the stored result */
+async function fileInvoice(config: any, extracted: Record<string, unknown>): Promise<any> {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), await pdfDoc.save());
+    jest.spyOn(global, 'fetch').mockImplementation(
+        async () => new Response(JSON.stringify({ text: JSON.stringify(extracted) }))
+    );
+
+    await processAllInvoices(config, { csvPath: config.folders.csvPath });
+    return (await getResults(tmpDir)).results[0];
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'result-editor-test-'));
+    await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+    await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+    process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+});
+
+afterEach(async () => {
+    delete process.env.LOCAL_PROVIDER_URL;
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('correctResult', () => {
+    test('drops the confidence scores of the corrected fields', async () => {
+        const config = makeConfig({ processing: { confidence: { enabled: true } } });
+        const filed = await fileInvoice(config, {
+            supplierName: 'Acme',
+            invoiceNumber: 'A-1',
+            totalAmount: 10,
+            _confidence: { supplierName: { confidence: 0.9 }, totalAmount: { confidence: 0.4, source: '1O' } }
+        });
+
+        const corrected = await correctResult(filed.id, config, { fields: { totalAmount: 12.5 } });
+
+        expect(corrected.extractedFields._confidence).toEqual({ supplierName: { confidence: 0.9 } });
+    });
+
+    test('renames and rebuilds the enriched PDF, rewrites the CSV row and keeps the previous values', async () => {
+        const config = makeConfig();
+        const filed = await fileInvoice(config, { supplierName: 'Acme', invoiceNumber: 'A-1', totalAmount: 10 });
+
+        const corrected = await correctResult(filed.id, config, {
+            fields: { invoiceNumber: 'A-2', totalAmount: 12.5, supplierName: 'Acme' },
+            tags: { private: true }
+        });
+
+        expect(corrected.outputFilename).toBe('Acme - A-2.pdf');
+        expect(corrected.extractedFields).toMatchObject({ invoiceNumber: 'A-2', totalAmount: 12.5 });
+        expect(corrected.tags).toEqual({ private: true });
+        expect(corrected.corrections).toEqual([
+            {
+                correctedAt: expect.any(String),
+                changes: {
+                    invoiceNumber: { from: 'A-1', to: 'A-2' },
+                    totalAmount: { from: 10, to: 12.5 },
+                    'tags.private': { from: false, to: true }
+                },
+                previousOutputFilename: 'Acme - A-1.pdf'
+            }
+        ]);
+        expect(await getResult(tmpDir, filed.id)).toEqual(corrected);
+
+        const enrichedDir = path.join(tmpDir, 'processed-enriched');
+        expect(await fsp.readdir(enrichedDir)).toEqual(['Acme - A-2.pdf']);
+        const embedded = await readEmbeddedAnalysis(path.join(enrichedDir, 'Acme - A-2.pdf'));
+        expect(embedded!.fields).toMatchObject({ invoiceNumber: 'A-2', totalAmount: 12.5 });
+
+        const rows = await readCsv(config.folders.csvPath);
+        expect(rows).toHaveLength(1);
+        expect(rows[0].slice(0, 5)).toEqual(['Acme - A-2.pdf', 'scan.pdf', 'Acme', 'A-2', '12.5']);
+    });
+
+    test('keeps the filename when the template values are unchanged', async () => {
+        const config = makeConfig();
+        const filed = await fileInvoice(config, { supplierName: 'Acme', invoiceNumber: 'A-1', totalAmount: 10 });
+
+        const corrected = await correctResult(filed.id, config, { fields: { totalAmount: 11 } });
+
+        expect(corrected.outputFilename).toBe('Acme - A-1.pdf');
+        expect(corrected.corrections![0]).not.toHaveProperty('previousOutputFilename');
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).toEqual(['Acme - A-1.pdf']);
+    });
+
+    test('returns the record unchanged when nothing differs', async () => {
+        const config = makeConfig();
+        const filed = await fileInvoice(config, { supplierName: 'Acme', invoiceNumber: 'A-1', totalAmount: 10 });
+
+        const result = await correctResult(filed.id, config, { fields: { totalAmount: 10 } });
+
+        expect(result).toEqual(filed);
+    });
+
+    test('recomputes the base-currency conversion from the corrected total', async () => {
+        const ratesFile = path.join(tmpDir, 'rates.csv');
+        await fsp.writeFile(ratesFile, 'Date,USD,DKK\n2024-01-12,1.0942,7.4580\n');
+        const config = makeConfig({
+            fieldDefinitions: [
+                field('supplierName'),
+                field('invoiceNumber'),
+                field('totalAmount', 'number'),
+                field('currency'),
+                field('invoiceDate', 'date')
+            ]
+        });
+        config.processing.currencyConversion = { baseCurrency: 'DKK', ratesFile };
+        const filed = await fileInvoice(config, {
+            supplierName: 'Acme',
+            invoiceNumber: 'A-1',
+            totalAmount: 10,
+            currency: 'EUR',
+            invoiceDate: '20240114'
+        });
+        expect(filed.extractedFields._conversion).toMatchObject({ baseCurrencyAmount: 74.58, rateDate: '2024-01-12' });
+
+        const corrected = await correctResult(filed.id, config, { fields: { totalAmount: 20 } });
+
+        expect(corrected.extractedFields._conversion).toMatchObject({ baseCurrencyAmount: 149.16, rate: 7.458 });
+        const [row] = await readCsv(config.folders.csvPath);
+        expect(row.slice(-4, -1)).toEqual(['149.16', '7.458', '2024-01-12']);
+    });
+
+    test('rejects unknown fields, unknown results and missing originals', async () => {
+        const config = makeConfig();
+        const filed = await fileInvoice(config, { supplierName: 'Acme', invoiceNumber: 'A-1', totalAmount: 10 });
+
+        await expect(correctResult(filed.id, config, { fields: { iban: 'x' } })).rejects.toThrow(
+            'Unknown field "iban"'
+        );
+        await expect(correctResult('missing', config, {})).rejects.toThrow('Result missing not found');
+
+        await fsp.rm(path.join(tmpDir, 'processed-original', 'scan.pdf'));
+        await expect(correctResult(filed.id, config, { fields: { totalAmount: 11 } })).rejects.toThrow(
+            'Original file not found: scan.pdf'
+        );
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).toEqual(['Acme - A-1.pdf']);
+    });
+});
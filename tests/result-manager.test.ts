@@ -7,6 +7,7 @@ import {
     getResult,
     getSummary,
     updateResult,
+    updateResultRecord,
     getFailedResults,
     getGlobalStats,
     RESULTS_FILENAME,
@@ -202,6 +203,33 @@ describe('updateResult', () => {
     });
 });
 
+describe('updateResultRecord', () => {
+    test('stores held results as pending-review with the file they wait with', async () => {
+        const held = await appendResult(tmpDir, successResult({ reviewPath: '/x/pending-review/invoice-001.pdf' }));
+
+        expect(held.status).toBe('pending-review');
+        expect(held.reviewFile).toBe('invoice-001.pdf');
+        expect((await getSummary(tmpDir)).pendingReview).toBe(1);
+    });
+
+    test('merges changes into the record and drops cleared keys', async () => {
+        const held = await appendResult(tmpDir, successResult({ reviewPath: '/x/pending-review/invoice-001.pdf' }));
+        const review = { decision: 'approved' as const, reviewedAt: '2024-05-01T00:00:00.000Z', editedFields: [] };
+
+        const updated = await updateResultRecord(tmpDir, held.id, { status: 'success', reviewFile: undefined, review });
+
+        expect(updated).toMatchObject({ id: held.id, status: 'success', originalFilename: 'invoice-001.pdf', review });
+        expect(updated).not.toHaveProperty('reviewFile');
+        expect(await getResult(tmpDir, held.id)).toEqual(updated);
+    });
+
+    test('throws for unknown ID', async () => {
+        await expect(updateResultRecord(tmpDir, 'nonexistent', { status: 'failed' })).rejects.toThrow(
+            'Result nonexistent not found'
+        );
+    });
+});
+
 describe('getFailedResults', () => {
     test('returns only failed results', async () => {
         await appendResult(tmpDir, successResult());
@@ -0,0 +1,204 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { getResult, getResults } from '../src/result-manager.js';
+import { approveReview, getReviewFilePath, rejectReview } from '../src/review.js';
+import { makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+function makeConfig(): any {
+    const config = makePipelineConfig(tmpDir, {
+        processing: { reviewRequired: true },
+        tagDefinitions: [{ id: 'private', label: 'Private', instruction: 'private expense', enabled: true }]
+    });
+    config.folders.pendingReview = path.join(tmpDir, 'pending-review');
+    return config;
+}
+
+/** Run the pipeline on one scan */
+async function processScan(config: any, extracted: Record<string, unknown>): Promise<any> {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), await pdfDoc.save());
+    jest.spyOn(global, 'fetch').mockImplementation(
+        async () => new Response(JSON.stringify({ text: JSON.stringify(extracted) }))
+    );
+
+    return processAllInvoices(config, { csvPath: config.folders.csvPath });
+}
+
+/** Run the pipeline on one scan and return the stored (held) result */
+async function holdInvoice(config: any, extracted: Record<string, unknown>): Promise<any> {
+    await processScan(config, extracted);
+    return (await getResults(tmpDir)).results[0];
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'review-test-'));
+    await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+    await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+    process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+});
+
+afterEach(async () => {
+    delete process.env.LOCAL_PROVIDER_URL;
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('review queue', () => {
+    test('holds the analyzed invoice without filing it', async () => {
+        const config = makeConfig();
+        const held = await holdInvoice(config, { supplierName: 'Acme', invoiceNumber: 'A-1', totalAmount: 10 });
+
+        expect(held.status).toBe('pending-review');
+        expect(held.outputFilename).toBe('Acme - A-1.pdf');
+        expect(fs.existsSync(getReviewFilePath(config, held))).toBe(true);
+        expect(fs.existsSync(path.join(tmpDir, 'scan.pdf'))).toBe(false);
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).toEqual([]);
+        expect(fs.existsSync(config.folders.csvPath)).toBe(false);
+    });
+
+    test('approving files the invoice with the corrections and records what was edited', async () => {
+        const config = makeConfig();
+        const held = await holdInvoice(config, { supplierName: 'Acme', invoiceNumber: 'A-1', totalAmount: 10 });
+
+        const approved = await approveReview(held.id, config, {
+            fields: { invoiceNumber: 'A-2', totalAmount: 10 },
+            tags: { private: true }
+        });
+
+        expect(approved.status).toBe('success');
+        expect(approved.outputFilename).toBe('Acme - A-2.pdf');
+        expect(approved.extractedFields.invoiceNumber).toBe('A-2');
+        expect(approved.tags).toEqual({ private: true });
+        expect(approved.review).toMatchObject({
+            decision: 'approved',
+            editedFields: ['invoiceNumber', 'tags.private']
+        });
+        expect(approved).not.toHaveProperty('reviewFile');
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).toEqual(['Acme - A-2.pdf']);
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-original'))).toEqual(['scan.pdf']);
+        expect(await fsp.readFile(config.folders.csvPath, 'utf-8')).toContain('A-2');
+        expect(await fsp.readdir(path.join(tmpDir, 'pending-review'))).toEqual([]);
+    });
+
+    test('rejecting archives the original and marks the result as failed', async () => {
+        const config = makeConfig();
+        const held = await holdInvoice(config, { supplierName: 'Acme', invoiceNumber: 'A-1', totalAmount: 10 });
+
+        const rejected = await rejectReview(held.id, config, 'wrong client');
+
+        expect(rejected).toMatchObject({
+            status: 'failed',
+            outputFilename: null,
+            error: 'Rejected in review: wrong client',
+            review: { decision: 'rejected', editedFields: [] }
+        });
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-original'))).toEqual(['scan.pdf']);
+        await expect(approveReview(held.id, config)).rejects.toThrow('is not pending review');
+    });
+
+    test('rejects corrections to unknown fields and tags', async () => {
+        const config = makeConfig();
+        const held = await holdInvoice(config, { supplierName: 'Acme', invoiceNumber: 'A-1', totalAmount: 10 });
+
+        await expect(approveReview(held.id, config, { fields: { iban: 'DE00' } })).rejects.toThrow(
+            'Unknown field "iban"'
+        );
+        await expect(approveReview(held.id, config, { tags: { urgent: true } })).rejects.toThrow(
+            'Unknown tag "urgent"'
+        );
+        expect((await getResult(tmpDir, held.id))!.status).toBe('pending-review');
+    });
+});
+
+describe('low-confidence extractions', () => {
+    const extracted = {
+        supplierName: 'Acme',
+        invoiceNumber: 'A-1',
+        totalAmount: 10,
+        _confidence: {
+            supplierName: { confidence: 0.95, source: 'ACME GmbH', page: 1 },
+            invoiceNumber: { confidence: 0.9 },
+            totalAmount: { confidence: 0.3, source: '1O,00', page: 1 }
+        }
+    };
+
+    function makeConfidenceConfig(action?: string): any {
+        const config = makeConfig();
+        config.processing = { ...config.processing, reviewRequired: false, confidence: { threshold: 0.6, action } };
+        return config;
+    }
+
+    test('holds the invoice for review and stores the scores', async () => {
+        const held = await holdInvoice(makeConfidenceConfig(), extracted);
+
+        expect(held.status).toBe('pending-review');
+        expect(held.lowConfidence).toEqual(['totalAmount']);
+        expect(held.extractedFields._confidence.totalAmount).toEqual({ confidence: 0.3, source: '1O,00', page: 1 });
+    });
+
+    test('drops the scores once a reviewer approved the values', async () => {
+        const config = makeConfidenceConfig();
+        const held = await holdInvoice(config, extracted);
+
+        const approved = await approveReview(held.id, config, { fields: { totalAmount: 10 } });
+
+        expect(approved.status).toBe('success');
+        expect(approved.extractedFields).not.toHaveProperty('_confidence');
+        expect(approved).not.toHaveProperty('lowConfidence');
+    });
+
+    test('files confident extractions as usual', async () => {
+        const filed = await holdInvoice(makeConfidenceConfig(), {
+            ...extracted,
+            _confidence: { ...extracted._confidence, totalAmount: { confidence: 0.8 } }
+        });
+
+        expect(filed.status).toBe('success');
+        expect(filed).not.toHaveProperty('lowConfidence');
+    });
+
+    test('holds invoices whose fields the model did not score', async () => {
+        const held = await holdInvoice(makeConfidenceConfig(), {
+            ...extracted,
+            _confidence: { supplierName: { confidence: 0.95 } }
+        });
+
+        expect(held.status).toBe('pending-review');
+        expect(held.lowConfidence).toEqual(['invoiceNumber', 'totalAmount']);
+    });
+
+    test('fails the invoice with the "fail" action and leaves it in the input folder', async () => {
+        const failed = await holdInvoice(makeConfidenceConfig('fail'), extracted);
+
+        expect(failed).toMatchObject({
+            status: 'failed',
+            error: 'Low confidence: totalAmount (0.30)',
+            lowConfidence: ['totalAmount']
+        });
+        expect(fs.existsSync(path.join(tmpDir, 'scan.pdf'))).toBe(true);
+    });
+
+    test('fails the invoice in single-client mode, where there is no review queue', async () => {
+        const config = makeConfidenceConfig();
+        delete config.folders.base;
+
+        const { results } = await processScan(config, extracted);
+
+        expect(results[0]).toMatchObject({
+            success: false,
+            error: 'Low confidence: totalAmount (0.30)',
+            lowConfidence: ['totalAmount']
+        });
+        expect(fs.existsSync(path.join(tmpDir, 'scan.pdf'))).toBe(true);
+        expect(await fsp.readdir(path.join(tmpDir, 'processed-enriched'))).toEqual([]);
+    });
+});
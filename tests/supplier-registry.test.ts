@@ -0,0 +1,322 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { getResults } from '../src/result-manager.js';
+import { approveReview } from '../src/review.js';
+import {
+    SUPPLIERS_FILENAME,
+    applySupplierRegistry,
+    containsSupplierName,
+    deleteSupplier,
+    findSupplier,
+    findSupplierInText,
+    getSuppliers,
+    learnSupplier,
+    mergeSuppliers,
+    updateSupplier
+} from '../src/supplier-registry.js';
+import { field, makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+function makeConfig(extra: Record<string, unknown> = {}): any {
+    return makePipelineConfig(tmpDir, {
+        processing: { supplierRegistry: true },
+        fieldDefinitions: [field('supplierName'), field('invoiceNumber'), field('vatNumber'), field('category')],
+        ...extra
+    });
+}
+
+function supplier(overrides: Record<string, unknown> = {}): any {
+    return {
+        id: 'acme',
+        name: 'Acme Corp',
+        aliases: [],
+        vatNumber: null,
+        iban: null,
+        defaultCategory: null,
+        invoiceCount: 1,
+        firstSeen: '2024-01-01T00:00:00.000Z',
+        lastSeen: '2024-01-01T00:00:00.000Z',
+        ...overrides
+    };
+}
+
+async function writeSuppliers(suppliers: unknown[]): Promise<void> {
+    await fsp.writeFile(path.join(tmpDir, SUPPLIERS_FILENAME), JSON.stringify({ suppliers }));
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'supplier-registry-test-'));
+});
+
+afterEach(async () => {
+    delete process.env.LOCAL_PROVIDER_URL;
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('findSupplier', () => {
+    const suppliers = [
+        supplier({ aliases: ['ACME Corporation'], vatNumber: 'DK12345678' }),
+        supplier({ id: 'globex', name: 'Globex A/S', iban: 'DK5000400440116243' })
+    ];
+
+    test('matches by VAT number, then IBAN, ignoring spacing and case', () => {
+        expect(findSupplier(suppliers, { supplierName: 'Other', vatNumber: 'dk 1234 5678' })).toEqual({
+            supplier: suppliers[0],
+            matchedBy: 'vatNumber'
+        });
+        expect(findSupplier(suppliers, { supplierName: 'Other', iban: 'DK50 0040 0440 1162 43' })).toEqual({
+            supplier: suppliers[1],
+            matchedBy: 'iban'
+        });
+    });
+
+    test('matches names without legal forms, punctuation or accents', () => {
+        expect(findSupplier(suppliers, { supplierName: 'ACME, Inc.' })!.supplier.id).toBe('acme');
+        expect(findSupplier(suppliers, { supplierName: 'Acme A/S' })!.matchedBy).toBe('name');
+        expect(findSupplier(suppliers, { supplierName: 'Gl\u00f6bex ApS' })!.supplier.id).toBe('globex');
+        expect(findSupplier(suppliers, { supplierName: 'Acme Industries' })).toBeNull();
+        expect(findSupplier(suppliers, { supplierName: 'Unknown' })).toBeNull();
+    });
+
+    test('rejects name matches with a different VAT number or several candidates', () => {
+        expect(findSupplier(suppliers, { supplierName: 'Acme Corp', vatNumber: 'SE556000000001' })).toBeNull();
+        const twins = [supplier(), supplier({ id: 'acme-2', name: 'Acme Ltd' })];
+        expect(findSupplier(twins, { supplierName: 'Acme' })).toBeNull();
+    });
+});
+
+describe('findSupplierInText', () => {
+    const text = 'Globex A/S\nInvoice 4711\nVAT DK 1234 5678\nPay to DK50 0040 0440 1162 43';
+
+    test('finds names as whole words, ignoring case, punctuation and legal forms', () => {
+        expect(containsSupplierName(text, 'GLOBEX ApS')).toBe(true);
+        expect(containsSupplierName('Globexia Ltd', 'Globex')).toBe(false);
+        expect(containsSupplierName(text, 'Unknown')).toBe(false);
+    });
+
+    test('matches by VAT number or IBAN, then by a single matching name', async () => {
+        await writeSuppliers([
+            supplier({ vatNumber: 'DK12345678' }),
+            supplier({ id: 'globex', name: 'Globex', iban: 'DK5000400440116243' })
+        ]);
+
+        expect((await findSupplierInText(text, makeConfig()))!.id).toBe('acme');
+        expect((await findSupplierInText('Globex A/S\nInvoice 4712', makeConfig()))!.id).toBe('globex');
+        expect(await findSupplierInText('Acme and Globex', makeConfig())).toBeNull();
+        expect(await findSupplierInText(text, makeConfig({ processing: { supplierRegistry: false } }))).toBeNull();
+    });
+});
+
+describe('applySupplierRegistry', () => {
+    test('sets the canonical name and fills empty fields from the supplier', async () => {
+        await writeSuppliers([supplier({ vatNumber: 'DK12345678', iban: 'DK50', defaultCategory: 'office' })]);
+
+        const analysis = await applySupplierRegistry(
+            { supplierName: 'ACME Corporation', vatNumber: 'Unknown', category: null },
+            makeConfig()
+        );
+
+        expect(analysis).toEqual({
+            supplierName: 'Acme Corp',
+            vatNumber: 'DK12345678',
+            category: 'office',
+            _supplier: { id: 'acme', matchedBy: 'name', extractedName: 'ACME Corporation' }
+        });
+    });
+
+    test('keeps extracted values and leaves unmatched or disabled registries alone', async () => {
+        await writeSuppliers([supplier({ defaultCategory: 'office' })]);
+        const config = makeConfig();
+
+        expect(await applySupplierRegistry({ supplierName: 'Acme Corp', category: 'travel' }, config)).toEqual({
+            supplierName: 'Acme Corp',
+            category: 'travel',
+            _supplier: { id: 'acme', matchedBy: 'name' }
+        });
+        expect(await applySupplierRegistry({ supplierName: 'Initech' }, config)).toEqual({ supplierName: 'Initech' });
+        const disabled = makeConfig({ processing: { concurrency: 1, retryAttempts: 0 } });
+        expect(await applySupplierRegistry({ supplierName: 'Acme' }, disabled)).toEqual({ supplierName: 'Acme' });
+    });
+});
+
+describe('learnSupplier', () => {
+    test('adds unknown suppliers and teaches known ones aliases and missing values', async () => {
+        const config = makeConfig();
+
+        await learnSupplier({ supplierName: 'Acme Corp', category: 'office' }, config);
+        const learned = await applySupplierRegistry({ supplierName: 'ACME A/S', vatNumber: 'DK 12345678' }, config);
+        await learnSupplier(learned, config);
+
+        const [acme] = await getSuppliers(tmpDir);
+        expect(acme).toMatchObject({
+            name: 'Acme Corp',
+            aliases: ['ACME A/S'],
+            vatNumber: 'DK12345678',
+            defaultCategory: 'office',
+            invoiceCount: 2
+        });
+    });
+
+    test('serializes parallel updates', async () => {
+        const config = makeConfig();
+
+        await Promise.all(
+            ['Acme Corp', 'ACME Corp.', 'Globex', 'Acme'].map((name) => learnSupplier({ supplierName: name }, config))
+        );
+
+        const suppliers = await getSuppliers(tmpDir);
+        expect(suppliers.map((s) => [s.name, s.aliases, s.invoiceCount])).toEqual([
+            ['Acme Corp', ['ACME Corp.', 'Acme'], 3],
+            ['Globex', [], 1]
+        ]);
+    });
+
+    test('skips extractions without a supplier name', async () => {
+        await learnSupplier({ supplierName: 'Unknown' }, makeConfig());
+
+        expect(await getSuppliers(tmpDir)).toEqual([]);
+    });
+});
+
+describe('updateSupplier', () => {
+    test('changes the name, aliases and values', async () => {
+        await writeSuppliers([supplier({ aliases: ['Acme Corporation'] })]);
+
+        const updated = await updateSupplier(tmpDir, 'acme', {
+            name: 'Acme Corporation',
+            vatNumber: 'dk-12345678',
+            defaultCategory: ' office '
+        });
+
+        expect(updated).toMatchObject({
+            name: 'Acme Corporation',
+            aliases: [],
+            vatNumber: 'DK12345678',
+            defaultCategory: 'office'
+        });
+        expect(await getSuppliers(tmpDir)).toEqual([updated]);
+    });
+
+    test('rejects invalid changes, unknown suppliers and taken VAT numbers', async () => {
+        await writeSuppliers([supplier({ vatNumber: 'DK12345678' }), supplier({ id: 'globex', name: 'Globex' })]);
+
+        await expect(updateSupplier(tmpDir, 'acme', { name: ' ' })).rejects.toThrow('name must be a non-empty string');
+        await expect(updateSupplier(tmpDir, 'acme', { aliases: 'Acme' })).rejects.toThrow(
+            'aliases must be an array of strings'
+        );
+        await expect(updateSupplier(tmpDir, 'acme', { country: 'DK' })).rejects.toThrow(
+            'Unknown supplier property "country"'
+        );
+        await expect(updateSupplier(tmpDir, 'missing', { name: 'x' })).rejects.toThrow('Supplier missing not found');
+        await expect(updateSupplier(tmpDir, 'globex', { vatNumber: 'DK12345678' })).rejects.toThrow(
+            'vatNumber DK12345678 is already registered for "Acme Corp"'
+        );
+        expect((await getSuppliers(tmpDir))[1].vatNumber).toBeNull();
+    });
+});
+
+describe('mergeSuppliers', () => {
+    test('turns the sources into aliases of the target', async () => {
+        await writeSuppliers([
+            supplier({ invoiceCount: 3 }),
+            supplier({
+                id: 'acme-as',
+                name: 'Acme A/S',
+                aliases: ['ACME Danmark'],
+                vatNumber: 'DK12345678',
+                invoiceCount: 2,
+                firstSeen: '2023-06-01T00:00:00.000Z'
+            })
+        ]);
+
+        const merged = await mergeSuppliers(tmpDir, 'acme', ['acme-as']);
+
+        expect(merged).toMatchObject({
+            name: 'Acme Corp',
+            aliases: ['Acme A/S', 'ACME Danmark'],
+            vatNumber: 'DK12345678',
+            invoiceCount: 5,
+            firstSeen: '2023-06-01T00:00:00.000Z'
+        });
+        expect(await getSuppliers(tmpDir)).toEqual([merged]);
+    });
+
+    test('rejects empty, self and unknown merges', async () => {
+        await writeSuppliers([supplier()]);
+
+        await expect(mergeSuppliers(tmpDir, 'acme', [])).rejects.toThrow('sourceIds must be a non-empty array');
+        await expect(mergeSuppliers(tmpDir, 'acme', ['acme'])).rejects.toThrow(
+            'sourceIds must not include the target supplier'
+        );
+        await expect(mergeSuppliers(tmpDir, 'acme', ['missing'])).rejects.toThrow('Supplier missing not found');
+    });
+});
+
+describe('deleteSupplier', () => {
+    test('removes the supplier', async () => {
+        await writeSuppliers([supplier(), supplier({ id: 'globex', name: 'Globex' })]);
+
+        await deleteSupplier(tmpDir, 'acme');
+
+        expect((await getSuppliers(tmpDir)).map((s) => s.id)).toEqual(['globex']);
+        await expect(deleteSupplier(tmpDir, 'acme')).rejects.toThrow('Supplier acme not found');
+    });
+});
+
+describe('processing with the supplier registry', () => {
+    async function processScan(config: any, extracted: Record<string, unknown>): Promise<void> {
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), await pdfDoc.save());
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+        jest.spyOn(global, 'fetch').mockImplementation(
+            async () => new Response(JSON.stringify({ text: JSON.stringify(extracted) }))
+        );
+
+        await processAllInvoices(config, { csvPath: config.folders.csvPath });
+    }
+
+    test('files invoices under the canonical supplier name', async () => {
+        await writeSuppliers([supplier({ vatNumber: 'DK12345678' })]);
+        await processScan(makeConfig(), {
+            supplierName: 'ACME Danmark',
+            invoiceNumber: 'A-1',
+            vatNumber: 'DK12345678'
+        });
+
+        const [result] = (await getResults(tmpDir)).results;
+        expect(result.outputFilename).toBe('Acme Corp - A-1.pdf');
+        expect(result.extractedFields._supplier).toEqual({
+            id: 'acme',
+            matchedBy: 'vatNumber',
+            extractedName: 'ACME Danmark'
+        });
+        const [acme] = await getSuppliers(tmpDir);
+        expect(acme).toMatchObject({ aliases: ['ACME Danmark'], invoiceCount: 2 });
+    });
+
+    test('learns from held invoices only once they are approved', async () => {
+        const config = makeConfig({ processing: { supplierRegistry: true, reviewRequired: true } });
+        await processScan(config, { supplierName: 'Globex', invoiceNumber: 'G-1' });
+
+        const [held] = (await getResults(tmpDir)).results;
+        expect(held.status).toBe('pending-review');
+        expect(await getSuppliers(tmpDir)).toEqual([]);
+
+        await approveReview(held.id, config, { fields: { supplierName: 'Globex A/S' } });
+
+        expect(await getSuppliers(tmpDir)).toEqual([
+            expect.objectContaining({ name: 'Globex A/S', aliases: [], invoiceCount: 1 })
+        ]);
+    });
+});
@@ -0,0 +1,228 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { getResults } from '../src/result-manager.js';
+import { applySupplierRule, findRuleByFilename, findRuleBySupplier, findRuleByText } from '../src/supplier-rules.js';
+import { field, makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+const BILAG_HINT = "The invoice number is the 'Bilagsnr.' box, not the order number.";
+
+let tmpDir: string;
+
+function makeConfig(extra: Record<string, unknown> = {}): any {
+    return makePipelineConfig(tmpDir, {
+        fieldDefinitions: [
+            field('supplierName'),
+            field('invoiceNumber'),
+            field('category'),
+            field('totalAmount', 'number')
+        ],
+        ...extra
+    });
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'supplier-rules-test-'));
+});
+
+afterEach(async () => {
+    delete process.env.LOCAL_PROVIDER_URL;
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('findRuleByFilename', () => {
+    test('returns the first rule whose pattern matches, ignoring case', () => {
+        const rules = [
+            { supplier: 'Acme', filenamePattern: '^acme[-_]', promptHint: 'a' },
+            { supplier: 'Acme Danmark', filenamePattern: 'acme', promptHint: 'b' },
+            { supplier: 'Globex', promptHint: 'c' }
+        ];
+        const config = makeConfig({ supplierRules: rules });
+
+        expect(findRuleByFilename('ACME_2024-01.pdf', config)).toBe(rules[0]);
+        expect(findRuleByFilename('invoice acme.pdf', config)).toBe(rules[1]);
+        expect(findRuleByFilename('globex.pdf', config)).toBeNull();
+        expect(findRuleByFilename('acme.pdf', makeConfig())).toBeNull();
+    });
+});
+
+describe('findRuleByText', () => {
+    test('returns the first rule whose supplier is named in the text', () => {
+        const rules = [
+            { supplier: 'Acme A/S', promptHint: 'a' },
+            { supplier: 'Globex', promptHint: 'b' }
+        ];
+        const config = makeConfig({ supplierRules: rules });
+
+        expect(findRuleByText('GLOBEX LTD\nInvoice 7', config)).toBe(rules[1]);
+        expect(findRuleByText('Acme ApS, Globex', config)).toBe(rules[0]);
+        expect(findRuleByText('Acmeco', config)).toBeNull();
+    });
+});
+
+describe('findRuleBySupplier', () => {
+    const rules = [{ supplier: 'Acme A/S', promptHint: 'a' }];
+
+    test('compares names without case, punctuation or legal form', () => {
+        const config = makeConfig({ supplierRules: rules });
+
+        expect(findRuleBySupplier({ supplierName: 'ACME ApS' }, config)).toBe(rules[0]);
+        expect(findRuleBySupplier({ supplierName: 'Acme Industries' }, config)).toBeNull();
+        expect(findRuleBySupplier({ supplierName: 'Unknown' }, config)).toBeNull();
+    });
+
+    test('also checks the name extracted before a registry match', () => {
+        const analysis = {
+            supplierName: 'Acme Holding',
+            _supplier: { id: 'acme', matchedBy: 'vatNumber' as const, extractedName: 'Acme A/S' }
+        };
+
+        expect(findRuleBySupplier(analysis, makeConfig({ supplierRules: rules }))).toBe(rules[0]);
+    });
+});
+
+describe('applySupplierRule', () => {
+    const rule = {
+        supplier: 'Acme',
+        fields: {
+            invoiceNumber: { pattern: '^Bilagsnr\\.?\\s*' },
+            category: { set: 'utilities' },
+            totalAmount: { pattern: '0' }
+        }
+    };
+
+    test('sets and rewrites text values, leaving other types alone', () => {
+        const analysis = {
+            supplierName: 'Acme',
+            invoiceNumber: 'Bilagsnr. 4711',
+            category: 'Unknown',
+            totalAmount: 100,
+            _confidence: { invoiceNumber: { confidence: 0.4 }, totalAmount: { confidence: 0.9 } }
+        };
+
+        const applied = applySupplierRule(analysis, rule, makeConfig(), {
+            matchedBy: 'supplierName',
+            promptHint: false
+        });
+
+        expect(applied).toMatchObject({ invoiceNumber: '4711', category: 'utilities', totalAmount: 100 });
+        expect(applied._confidence).toEqual({ totalAmount: { confidence: 0.9 } });
+        expect(applied._supplierRule).toEqual({
+            supplier: 'Acme',
+            matchedBy: 'supplierName',
+            promptHint: false,
+            fields: ['invoiceNumber', 'category']
+        });
+    });
+
+    test('recomputes format warnings from the new values', () => {
+        const config = makeConfig({
+            fieldDefinitions: [field('supplierName'), { ...field('currency'), format: 'iso4217' }]
+        });
+        const analysis = {
+            supplierName: 'Acme',
+            currency: 'kr.',
+            _formatWarnings: [{ field: 'currency', format: 'iso4217', value: 'kr.', error: 'Invalid' }]
+        };
+        const currencyRule = { supplier: 'Acme', fields: { currency: { set: 'DKK' } } };
+
+        const applied = applySupplierRule(analysis, currencyRule, config, { matchedBy: 'filename', promptHint: true });
+
+        expect(applied.currency).toBe('DKK');
+        expect(applied._formatWarnings).toBeUndefined();
+    });
+
+    test('records the rule when no field changes', () => {
+        const analysis = { supplierName: 'Acme', invoiceNumber: '4711', category: 'utilities', totalAmount: 1 };
+
+        const applied = applySupplierRule(analysis, rule, makeConfig(), { matchedBy: 'filename', promptHint: true });
+
+        expect(applied).toEqual({
+            ...analysis,
+            _supplierRule: { supplier: 'Acme', matchedBy: 'filename', promptHint: true, fields: [] }
+        });
+    });
+});
+
+describe('processing with supplier rules', () => {
+    let prompts: string[];
+
+    async function setUp(filename: string, responses: Record<string, unknown>[]): Promise<void> {
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        await fsp.writeFile(path.join(tmpDir, filename), await pdfDoc.save());
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+        prompts = [];
+        jest.spyOn(global, 'fetch').mockImplementation(async (_url, init) => {
+            prompts.push(JSON.parse(init!.body as string).systemInstruction);
+            const extracted = responses[Math.min(prompts.length, responses.length) - 1];
+            return new Response(
+                JSON.stringify({
+                    text: JSON.stringify(extracted),
+                    tokenUsage: { promptTokens: 100, outputTokens: 10 }
+                })
+            );
+        });
+    }
+
+    test('re-extracts with the hint of a rule found by supplier name', async () => {
+        await setUp('scan.pdf', [
+            { supplierName: 'ACME ApS', invoiceNumber: 'PO-88' },
+            { supplierName: 'ACME ApS', invoiceNumber: 'Bilagsnr. 4711' }
+        ]);
+        const config = makeConfig({
+            supplierRules: [
+                { supplier: 'Acme', promptHint: BILAG_HINT, fields: { invoiceNumber: { pattern: '^Bilagsnr\\.\\s*' } } }
+            ]
+        });
+
+        await processAllInvoices(config, { csvPath: config.folders.csvPath });
+
+        expect(prompts).toHaveLength(2);
+        expect(prompts[0]).not.toContain(BILAG_HINT);
+        expect(prompts[1]).toContain(`For invoices from Acme:\n${BILAG_HINT}`);
+        const [result] = (await getResults(tmpDir)).results;
+        expect(result.outputFilename).toBe('ACME ApS - 4711.pdf');
+        expect(result.tokenUsage).toMatchObject({ promptTokens: 200, outputTokens: 20, totalTokens: 220 });
+        expect(result.extractedFields._supplierRule).toEqual({
+            supplier: 'Acme',
+            matchedBy: 'supplierName',
+            promptHint: true,
+            fields: ['invoiceNumber']
+        });
+    });
+
+    test('adds the hint to the first extraction when the filename matches', async () => {
+        await setUp('acme-0042.pdf', [{ supplierName: 'Acme A/S', invoiceNumber: '4711' }]);
+        const config = makeConfig({
+            supplierRules: [{ supplier: 'Acme', filenamePattern: '^acme-', promptHint: BILAG_HINT }]
+        });
+
+        await processAllInvoices(config, { csvPath: config.folders.csvPath });
+
+        expect(prompts).toHaveLength(1);
+        expect(prompts[0]).toContain(BILAG_HINT);
+        const [result] = (await getResults(tmpDir)).results;
+        expect(result.tokenUsage.totalTokens).toBe(110);
+        expect(result.extractedFields._supplierRule).toMatchObject({ matchedBy: 'filename', promptHint: true });
+    });
+
+    test('applies field rules without a second call', async () => {
+        await setUp('scan.pdf', [{ supplierName: 'Globex', invoiceNumber: 'INV-7', category: 'Unknown' }]);
+        const config = makeConfig({ supplierRules: [{ supplier: 'Globex', fields: { category: { set: 'travel' } } }] });
+
+        await processAllInvoices(config, { csvPath: config.folders.csvPath });
+
+        expect(prompts).toHaveLength(1);
+        const [result] = (await getResults(tmpDir)).results;
+        expect(result.extractedFields.category).toBe('travel');
+    });
+});
@@ -0,0 +1,210 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { getResults } from '../src/result-manager.js';
+import { SUPPLIERS_FILENAME } from '../src/supplier-registry.js';
+import { readTextLayer } from '../src/text-layer.js';
+import { field, makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+const INVOICE_LINES = ['Nordic Power A/S', 'Invoice no. NP-2024-001', 'Date 31.01.2024', 'Total EUR 1.234,56'];
+
+const NORDIC_POWER_RULE = {
+    supplier: 'Nordic Power',
+    textPatterns: {
+        invoiceNumber: 'Invoice no\\.\\s*(\\S+)',
+        invoiceDate: '^Date (.+)$',
+        totalAmount: 'Total EUR ([\\d.,]+)'
+    }
+};
+
+let tmpDir: string;
+
+function makeConfig(extra: Record<string, unknown> = {}, textLayer: Record<string, unknown> = {}): any {
+    return makePipelineConfig(tmpDir, {
+        processing: { textLayer: { enabled: true, ...textLayer } },
+        fieldDefinitions: [
+            field('supplierName'),
+            field('invoiceNumber'),
+            field('invoiceDate', 'date'),
+            field('totalAmount', 'number')
+        ],
+        ...extra
+    });
+}
+
+async function writePdf(filename: string, lines: string[]): Promise<string> {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const page = pdfDoc.addPage();
+    lines.forEach((line, i) => page.drawText(line, { x: 50, y: 700 - 20 * i, font, size: 12 }));
+    const filePath = path.join(tmpDir, filename);
+    await fsp.writeFile(filePath, await pdfDoc.save());
+    return filePath;
+}
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'text-layer-test-'));
+});
+
+afterEach(async () => {
+    delete process.env.LOCAL_PROVIDER_URL;
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('readTextLayer', () => {
+    test('reads the fields of a rule whose supplier is named in the text', async () => {
+        const pdfPath = await writePdf('invoice.pdf', INVOICE_LINES);
+
+        const result = await readTextLayer(pdfPath, makeConfig({ supplierRules: [NORDIC_POWER_RULE] }), null);
+
+        expect(result.values).toEqual({
+            invoiceNumber: 'NP-2024-001',
+            invoiceDate: '2024-01-31',
+            totalAmount: 1234.56,
+            supplierName: 'Nordic Power'
+        });
+        expect(result.info).toEqual({
+            stage: 'local',
+            fields: ['invoiceNumber', 'invoiceDate', 'totalAmount', 'supplierName'],
+            missing: []
+        });
+        expect(result.rule).toBe(NORDIC_POWER_RULE);
+    });
+
+    test('counts registry and fixed rule values as found and lists missing fields', async () => {
+        const pdfPath = await writePdf('invoice.pdf', [
+            'Power supply for January',
+            'VAT DK 1234 5678',
+            'Invoice no. NP-2024-001',
+            'Consumption 412 kWh at the agreed tariff, network charges and electricity taxes included'
+        ]);
+        await fsp.writeFile(
+            path.join(tmpDir, SUPPLIERS_FILENAME),
+            JSON.stringify({
+                suppliers: [
+                    {
+                        id: 'np',
+                        name: 'Nordic Power A/S',
+                        aliases: [],
+                        vatNumber: 'DK12345678',
+                        iban: null,
+                        defaultCategory: null,
+                        invoiceCount: 3,
+                        firstSeen: '2024-01-01T00:00:00.000Z',
+                        lastSeen: '2024-01-01T00:00:00.000Z'
+                    }
+                ]
+            })
+        );
+        const config = (textLayer: Record<string, unknown>) =>
+            makeConfig(
+                {
+                    processing: {
+                        concurrency: 1,
+                        retryAttempts: 0,
+                        supplierRegistry: true,
+                        textLayer: { enabled: true, ...textLayer }
+                    },
+                    fieldDefinitions: [
+                        field('supplierName'),
+                        field('vatNumber'),
+                        field('category'),
+                        field('invoiceNumber')
+                    ],
+                    supplierRules: [{ supplier: 'Nordic Power', fields: { category: { set: 'utilities' } } }]
+                },
+                textLayer
+            );
+
+        const missing = await readTextLayer(pdfPath, config({}), null);
+        expect(missing.values).toEqual({ supplierName: 'Nordic Power A/S' });
+        expect(missing.info).toEqual({ stage: 'model-document', fields: ['supplierName'], missing: ['invoiceNumber'] });
+
+        expect((await readTextLayer(pdfPath, config({ sendText: true }), null)).info.stage).toBe('model-text');
+        const required = await readTextLayer(pdfPath, config({ requiredFields: ['supplierName', 'category'] }), null);
+        expect(required.info.stage).toBe('local');
+    });
+
+    test('sends scans to the model as documents', async () => {
+        const pdfPath = await writePdf('scan.pdf', []);
+
+        const result = await readTextLayer(pdfPath, makeConfig({}, { sendText: true }), null);
+
+        expect(result.text).toBe('');
+        expect(result.info).toEqual({
+            stage: 'model-document',
+            fields: [],
+            missing: ['supplierName', 'invoiceNumber', 'invoiceDate', 'totalAmount']
+        });
+    });
+});
+
+describe('processing with the text layer', () => {
+    let requests: Record<string, unknown>[];
+
+    async function setUp(lines: string[]): Promise<void> {
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        await writePdf('invoice.pdf', lines);
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+        requests = [];
+        jest.spyOn(global, 'fetch').mockImplementation(async (_url, init) => {
+            requests.push(JSON.parse(init!.body as string));
+            return new Response(
+                JSON.stringify({
+                    text: JSON.stringify({ supplierName: 'Nordic Power', invoiceNumber: 'NP-2024-002' }),
+                    tokenUsage: { promptTokens: 40, outputTokens: 10 }
+                })
+            );
+        });
+    }
+
+    test('files invoices without a model call when the text layer has every required field', async () => {
+        await setUp(INVOICE_LINES);
+        const config = makeConfig({ supplierRules: [NORDIC_POWER_RULE] });
+
+        await processAllInvoices(config, { csvPath: config.folders.csvPath });
+
+        expect(requests).toHaveLength(0);
+        const [result] = (await getResults(tmpDir)).results;
+        expect(result).toMatchObject({
+            status: 'success',
+            outputFilename: 'Nordic Power - NP-2024-001.pdf',
+            source: 'text',
+            model: null,
+            textLayer: { stage: 'local', missing: [] }
+        });
+        expect(result.tokenUsage.totalTokens).toBe(0);
+        expect(result.extractedFields).toMatchObject({ totalAmount: 1234.56, invoiceDate: '2024-01-31' });
+        expect(result.extractedFields._supplierRule).toMatchObject({ supplier: 'Nordic Power', matchedBy: 'text' });
+    });
+
+    test('sends the text layer instead of the PDF when fields are missing', async () => {
+        const lines = [
+            ...INVOICE_LINES.slice(0, 2),
+            'Thank you for choosing renewable electricity from the Nordic grid.',
+            'Payment is due within thirty days of the invoice date.'
+        ];
+        await setUp(lines);
+        const config = makeConfig({ supplierRules: [NORDIC_POWER_RULE] }, { sendText: true });
+
+        await processAllInvoices(config, { csvPath: config.folders.csvPath });
+
+        expect(requests).toHaveLength(1);
+        expect(requests[0].document).toBeUndefined();
+        expect(requests[0].text).toBe(lines.join('\n'));
+        const [result] = (await getResults(tmpDir)).results;
+        expect(result).toMatchObject({
+            status: 'success',
+            source: 'model',
+            textLayer: { stage: 'model-text', missing: ['invoiceDate', 'totalAmount'] }
+        });
+        expect(result.tokenUsage.totalTokens).toBe(50);
+    });
+});
@@ -0,0 +1,216 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { PDFDocument } from 'pdf-lib';
+
+import { parseEInvoice } from '../src/e-invoice.js';
+import { processAllInvoices } from '../src/parallel-processor.js';
+import { buildUblInvoice, buildUblZip, getUblFilename } from '../src/ubl-export.js';
+import { parseXml, elementText, findElements } from '../src/xml.js';
+import { field, makePipelineConfig } from './helpers.js';
+
+const fsp = fs.promises;
+
+let tmpDir: string;
+
+function makeConfig(extra: Record<string, unknown> = {}): any {
+    return {
+        output: { filenameTemplate: '{invoiceNumber}' },
+        fieldDefinitions: [
+            field('supplierName'),
+            field('vendorVat', 'text', { eInvoiceField: 'vatNumber' }),
+            field('invoiceNumber'),
+            field('invoiceDate', 'date'),
+            field('currency'),
+            field('totalAmount', 'number'),
+            field('lineItems', 'table')
+        ],
+        ...extra
+    };
+}
+
+const FIELDS = {
+    supplierName: 'Müller & Söhne GmbH',
+    vendorVat: 'DE123456789',
+    invoiceNumber: 'RE-17',
+    invoiceDate: '20240315',
+    paymentDate: '2024-04-14',
+    currency: 'eur',
+    totalAmount: 119,
+    vatAmount: 19,
+    iban: 'DE02 1203 0000 0000 2020 51',
+    summary: 'Consulting',
+    lineItems: [
+        { description: 'Beratung', quantity: 2, unitPrice: 40, vatRate: 19, lineTotal: 80 },
+        { description: 'Reise', unitPrice: 20, vatRate: 19 }
+    ]
+};
+
+beforeEach(async () => {
+    tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ubl-export-test-'));
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('buildUblInvoice', () => {
+    test('writes a Peppol BIS invoice that reads back to the extracted values', () => {
+        const xml = buildUblInvoice(FIELDS, makeConfig());
+        const eInvoice = parseEInvoice(xml);
+
+        expect(eInvoice?.info.profile).toBe(
+            'urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0'
+        );
+        expect(eInvoice?.values).toEqual({
+            supplierName: 'Müller & Söhne GmbH',
+            vatNumber: 'DE123456789',
+            invoiceNumber: 'RE-17',
+            invoiceDate: '2024-03-15',
+            paymentDate: '2024-04-14',
+            currency: 'EUR',
+            totalAmount: 119,
+            netAmount: 100,
+            vatAmount: 19,
+            amountDue: 119,
+            iban: 'DE02120300000000202051',
+            lineItems: [
+                { description: 'Beratung', quantity: 2, unitPrice: 40, vatRate: 19, lineTotal: 80 },
+                { description: 'Reise', quantity: 1, unitPrice: 20, vatRate: 19, lineTotal: 20 }
+            ]
+        });
+    });
+
+    test('adds the VAT breakdown and the supplier country from the VAT number', () => {
+        const root = parseXml(buildUblInvoice(FIELDS, makeConfig()));
+        const subtotals = findElements(
+            root.children.find((c) => c.localName === 'TaxTotal'),
+            'TaxSubtotal'
+        );
+
+        expect(subtotals).toHaveLength(1);
+        expect(elementText(subtotals[0], 'TaxableAmount')).toBe('100.00');
+        expect(elementText(subtotals[0], 'TaxCategory', 'ID')).toBe('S');
+        expect(
+            elementText(root, 'AccountingSupplierParty', 'Party', 'PostalAddress', 'Country', 'IdentificationCode')
+        ).toBe('DE');
+        expect(elementText(root, 'LegalMonetaryTotal', 'LineExtensionAmount')).toBe('100.00');
+    });
+
+    test('applies output.ubl.mapping before eInvoiceField and the field key', () => {
+        const config = makeConfig({
+            output: { filenameTemplate: '', ubl: { mapping: { reference: 'paymentReference', summary: 'buyerName' } } }
+        });
+
+        const values = parseEInvoice(buildUblInvoice({ ...FIELDS, reference: 'RF18 5390 0754 7034' }, config))?.values;
+
+        expect(values?.paymentReference).toBe('RF18 5390 0754 7034');
+        expect(values?.buyerName).toBe('Consulting');
+    });
+
+    test('escapes markup in extracted values', () => {
+        const xml = buildUblInvoice({ ...FIELDS, supplierName: 'A <B> & "C"' }, makeConfig());
+
+        expect(xml).toContain('<cbc:Name>A &lt;B&gt; &amp; &quot;C&quot;</cbc:Name>');
+        expect(parseEInvoice(xml)?.values.supplierName).toBe('A <B> & "C"');
+    });
+
+    test('requires invoice number, date, currency and total', () => {
+        expect(() => buildUblInvoice({ invoiceNumber: 'Unknown', totalAmount: 5 }, makeConfig())).toThrow(
+            'Missing invoiceNumber, invoiceDate, currency for a UBL invoice'
+        );
+        expect(() => buildUblInvoice({ ...FIELDS, totalAmount: 'n/a' }, makeConfig())).toThrow('is not a number');
+    });
+});
+
+describe('getUblFilename', () => {
+    test('replaces the PDF extension', () => {
+        expect(getUblFilename('/out/Acme - 2024.03.15 - RE-17.pdf')).toBe('Acme - 2024.03.15 - RE-17.xml');
+    });
+});
+
+describe('buildUblZip', () => {
+    function record(id: string, extra: Record<string, unknown> = {}): any {
+        return {
+            id,
+            status: 'success',
+            originalFilename: `${id}.pdf`,
+            outputFilename: 'RE-17.pdf',
+            extractedFields: FIELDS,
+            ...extra
+        };
+    }
+
+    test('bundles successful records and reports skipped ones', () => {
+        const { zip, exported, skipped } = buildUblZip(
+            [
+                record('a'),
+                record('b'),
+                record('c', { status: 'failed', outputFilename: null }),
+                record('d', { extractedFields: {} })
+            ],
+            makeConfig()
+        );
+
+        expect(exported).toBe(2);
+        expect(skipped).toEqual([
+            { id: 'c', filename: 'c.pdf', error: 'Status is failed' },
+            { id: 'd', filename: 'RE-17.pdf', error: expect.stringContaining('Missing invoiceNumber') }
+        ]);
+
+        // Central directory: entry names, with a counter for the second invoice of the same name
+        const names: string[] = [];
+        let pos = zip.readUInt32LE(zip.length - 6);
+        for (let i = 0; i < exported; i++) {
+            const nameLength = zip.readUInt16LE(pos + 28);
+            names.push(zip.toString('utf-8', pos + 46, pos + 46 + nameLength));
+            pos += 46 + nameLength;
+        }
+        expect(names).toEqual(['RE-17.xml', 'RE-17 (2).xml']);
+        // First local entry: 30-byte header, name, deflated data
+        const dataStart = 30 + 'RE-17.xml'.length;
+        const first = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + zip.readUInt32LE(18)));
+        expect(first.toString('utf-8')).toContain('<cbc:ID>RE-17</cbc:ID>');
+    });
+});
+
+describe('processAllInvoices with output.ubl.enabled', () => {
+    test('writes the UBL invoice next to the enriched PDF', async () => {
+        await fsp.mkdir(path.join(tmpDir, 'processed-original'));
+        await fsp.mkdir(path.join(tmpDir, 'processed-enriched'));
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        await fsp.writeFile(path.join(tmpDir, 'scan.pdf'), await pdfDoc.save());
+        process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:1/extract';
+        jest.spyOn(global, 'fetch').mockImplementation(
+            async () =>
+                new Response(
+                    JSON.stringify({
+                        text: JSON.stringify({
+                            invoiceNumber: 'RE-17',
+                            invoiceDate: '2024-03-15',
+                            currency: 'EUR',
+                            totalAmount: 119
+                        })
+                    })
+                )
+        );
+
+        try {
+            await processAllInvoices(
+                makePipelineConfig(tmpDir, {
+                    fieldDefinitions: makeConfig().fieldDefinitions,
+                    output: { filenameTemplate: '{invoiceNumber}', ubl: { enabled: true } }
+                }),
+                { storeResults: false }
+            );
+
+            const xml = await fsp.readFile(path.join(tmpDir, 'processed-enriched', 'RE-17.xml'), 'utf-8');
+            expect(parseEInvoice(xml)?.values).toMatchObject({ invoiceNumber: 'RE-17', totalAmount: 119 });
+        } finally {
+            delete process.env.LOCAL_PROVIDER_URL;
+        }
+    });
+});
@@ -0,0 +1,59 @@
+import { elementText, escapeXml, findElement, findElements, parseXml } from '../src/xml.js';
+
+describe('parseXml', () => {
+    test('reads elements, attributes and text with namespace prefixes', () => {
+        const root = parseXml(
+            '<?xml version="1.0"?>\n<!-- note --><a:Root xmlns:a="urn:a"><a:Item id="1">One</a:Item><a:Item id=\'2\'/></a:Root>'
+        );
+
+        expect(root.name).toBe('a:Root');
+        expect(root.localName).toBe('Root');
+        expect(findElements(root, 'Item').map((item) => item.attributes.id)).toEqual(['1', '2']);
+        expect(elementText(root, 'Item')).toBe('One');
+    });
+
+    test('decodes entities and CDATA', () => {
+        const root = parseXml(
+            '<r a="x &amp; y"><t>M&#252;ller &lt;GmbH&gt; &#x26;</t><c><![CDATA[<b>&amp;</b>]]></c></r>'
+        );
+
+        expect(root.attributes.a).toBe('x & y');
+        expect(elementText(root, 't')).toBe('Müller <GmbH> &');
+        expect(elementText(root, 'c')).toBe('<b>&amp;</b>');
+    });
+
+    test('ignores a byte order mark', () => {
+        expect(parseXml('\uFEFF<r/>').name).toBe('r');
+    });
+
+    test('rejects documents with a DOCTYPE', () => {
+        expect(() => parseXml('<!DOCTYPE r [<!ENTITY x "y">]><r>&x;</r>')).toThrow('DOCTYPE');
+    });
+
+    test.each([
+        ['<r><a></r>', 'unexpected </r>'],
+        ['<r><a>', '<a> is not closed'],
+        ['<r/><s/>', 'more than one root'],
+        ['text', 'text outside the root'],
+        ['', 'no root element'],
+        ['<r>a < b</r>', 'stray "<"']
+    ])('rejects %j', (xml, message) => {
+        expect(() => parseXml(xml)).toThrow(message);
+    });
+});
+
+describe('findElement / elementText', () => {
+    test('return undefined and null for missing or empty elements', () => {
+        const root = parseXml('<r><a><b>  </b></a></r>');
+
+        expect(findElement(root, 'a', 'missing')).toBeUndefined();
+        expect(elementText(root, 'a', 'b')).toBeNull();
+        expect(elementText(undefined, 'a')).toBeNull();
+    });
+});
+
+describe('escapeXml', () => {
+    test('escapes markup characters and drops control characters', () => {
+        expect(escapeXml('a < b & "c" >\u0007')).toBe('a &lt; b &amp; &quot;c&quot; &gt;');
+    });
+});
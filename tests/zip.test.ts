@@ -0,0 +1,52 @@
+import zlib from 'zlib';
+
+import { createZip } from '../src/zip.js';
+
+/**
+ * Read a ZIP archive through its central directory
+ */
+function readZip(zip: Buffer): Record<string, { data: string; crc: number }> {
+    const end = zip.length - 22;
+    expect(zip.readUInt32LE(end)).toBe(0x06054b50);
+    const count = zip.readUInt16LE(end + 10);
+    let pos = zip.readUInt32LE(end + 16);
+    const files: Record<string, { data: string; crc: number }> = {};
+
+    for (let i = 0; i < count; i++) {
+        expect(zip.readUInt32LE(pos)).toBe(0x02014b50);
+        const crc = zip.readUInt32LE(pos + 16);
+        const size = zip.readUInt32LE(pos + 20);
+        const nameLength = zip.readUInt16LE(pos + 28);
+        const offset = zip.readUInt32LE(pos + 42);
+        const name = zip.toString('utf-8', pos + 46, pos + 46 + nameLength);
+
+        expect(zip.readUInt32LE(offset)).toBe(0x04034b50);
+        const dataStart = offset + 30 + zip.readUInt16LE(offset + 26);
+        files[name] = { data: zlib.inflateRawSync(zip.subarray(dataStart, dataStart + size)).toString('utf-8'), crc };
+        pos += 46 + nameLength;
+    }
+    return files;
+}
+
+describe('createZip', () => {
+    test('stores deflated entries with UTF-8 names and their CRC-32', () => {
+        const zip = createZip([
+            { name: 'a.xml', data: Buffer.from('<a/>') },
+            { name: 'Müller/b.txt', data: Buffer.from('hello world') }
+        ]);
+
+        expect(readZip(zip)).toEqual({
+            'a.xml': { data: '<a/>', crc: expect.any(Number) },
+            'Müller/b.txt': { data: 'hello world', crc: 0x0d4a1185 }
+        });
+    });
+
+    test('creates an empty archive', () => {
+        expect(createZip([])).toHaveLength(22);
+    });
+
+    test('rejects duplicate entry names', () => {
+        const entry = { name: 'a.xml', data: Buffer.from('') };
+        expect(() => createZip([entry, entry])).toThrow('unique');
+    });
+});